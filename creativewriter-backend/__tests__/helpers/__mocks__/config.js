@@ -30,6 +30,8 @@ module.exports = {
   },
   apis: {
     anthropic: { key: 'test-key', baseUrl: 'https://api.anthropic.com/v1', model: 'claude-sonnet-4-20250514' },
+    openai: { key: '', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+    ollama: { baseUrl: 'http://localhost:11434', model: 'llama3.1' },
     suno: { key: '', baseUrl: '' },
     udio: { key: '', baseUrl: '' },
     heygen: { key: '', baseUrl: '' },
@@ -47,8 +49,49 @@ module.exports = {
   },
   lyrics: {
     maxTokens: 2500,
+    defaultLanguage: 'te', // te, te-en (Telugu-English), hi, ta or kn
     defaultDialect: 'coastal',
     defaultStyle: 'romantic',
-    defaultPoetryForm: 'geeyam'
+    defaultPoetryForm: 'geeyam',
+    sectionMaxTokens: 800,
+    sectionRegenerateCost: 0.25, // Fraction of a lyrics generation charged per section
+    translationMaxTokens: 2000,
+    translationCost: 0.25, // Fraction of a lyrics generation charged per translation
+    searchMaxResults: 500,
+    importMaxFileSize: 2 * 1024 * 1024, // Bytes per uploaded file
+    importMaxFiles: 20,
+    importMaxSongs: 200, // Songs created by one import request
+    maxVariants: 4, // Candidates one generate request may ask for (plans may allow fewer)
+    variantCost: 0.5, // Fraction of a lyrics generation charged per extra candidate
+    draftTtlHours: 72, // Candidates not kept are deleted after this
+    tuneMaxLines: 60, // Lines in a write-to-tune template
+    tuneMaxRetries: 2, // Rounds of rewriting the lines that do not fit a tune
+    tuneTolerance: 0, // Syllables (and matras) a line may be off its tune line and still fit
+    maxCustomDialects: 10 // Custom dialect profiles per user
+  },
+  collections: {
+    maxTracks: 200
+  },
+  moderation: {
+    reviewThreshold: 0.5,
+    blockThreshold: 0.85,
+    providerMaxTokens: 200,
+    maxFlagText: 4000
+  },
+  similarity: {
+    blockThreshold: 0.6,
+    minSimilarity: 0.1,
+    maxCandidates: 50,
+    maxMatches: 5
+  },
+  jobs: {
+    runWorker: false,
+    concurrency: 2,
+    pollInterval: 1000,
+    maxAttempts: 3,
+    backoffBase: 5000,
+    backoffMax: 300000,
+    lockTimeout: 600000,
+    timeouts: { lyrics: 180000, music: 60000, video: 60000, voice: 180000 }
   }
 };
@@ -18,7 +18,11 @@ const createMockRes = () => {
   const res = {
     statusCode: 200,
     _json: null,
-    _cookie: null
+    _cookie: null,
+    _headers: {},
+    _written: [],
+    _listeners: {},
+    writableEnded: false
   };
 
   res.status = jest.fn((code) => {
@@ -41,6 +45,28 @@ const createMockRes = () => {
     return res;
   });
 
+  // Streaming (SSE) support
+  res.setHeader = jest.fn((name, value) => {
+    res._headers[name.toLowerCase()] = value;
+  });
+
+  res.flushHeaders = jest.fn();
+
+  res.write = jest.fn((chunk) => {
+    res._written.push(chunk);
+    return true;
+  });
+
+  res.end = jest.fn(() => {
+    res.writableEnded = true;
+    return res;
+  });
+
+  res.on = jest.fn((event, listener) => {
+    res._listeners[event] = listener;
+    return res;
+  });
+
   return res;
 };
 
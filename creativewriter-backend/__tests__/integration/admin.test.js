@@ -1,10 +1,29 @@
 jest.mock('../../src/models/User');
 jest.mock('../../src/models/ApiKey');
 jest.mock('../../src/models/Lyrics');
+jest.mock('../../src/models/LyricsRevision');
+jest.mock('../../src/models/LyricsComment');
+jest.mock('../../src/models/Collection');
+jest.mock('../../src/models/LyricsDraft');
+jest.mock('../../src/models/GenerationJob');
+jest.mock('../../src/models/Dialect');
+jest.mock('../../src/models/CatalogEntry');
+jest.mock('../../src/models/Setting');
+jest.mock('../../src/models/PromptTemplate');
+jest.mock('node-fetch');
 
 const User = require('../../src/models/User');
 const ApiKey = require('../../src/models/ApiKey');
 const Lyrics = require('../../src/models/Lyrics');
+const LyricsRevision = require('../../src/models/LyricsRevision');
+const LyricsComment = require('../../src/models/LyricsComment');
+const Collection = require('../../src/models/Collection');
+const LyricsDraft = require('../../src/models/LyricsDraft');
+const GenerationJob = require('../../src/models/GenerationJob');
+const Dialect = require('../../src/models/Dialect');
+const Setting = require('../../src/models/Setting');
+const PromptTemplate = require('../../src/models/PromptTemplate');
+const fetch = require('node-fetch');
 const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
 
 const {
@@ -18,7 +37,15 @@ const {
   getApiKeys,
   updateApiKey,
   testApiKey,
-  deleteApiKey
+  deleteApiKey,
+  getProviders,
+  updateProviderChain,
+  getPromptTemplates,
+  getPromptVersions,
+  createPromptVersion,
+  previewPromptTemplate,
+  publishPromptVersion,
+  rollbackPromptTemplate
 } = require('../../src/controllers/adminController');
 
 describe('Admin Controller', () => {
@@ -329,6 +356,7 @@ describe('Admin Controller', () => {
       const mockUser = { _id: 'user123', deleteOne: jest.fn().mockResolvedValue(true) };
       User.findById.mockResolvedValue(mockUser);
       Lyrics.deleteMany.mockResolvedValue({});
+      Lyrics.distinct.mockResolvedValue(['lyrics1', 'lyrics2']);
 
       const req = createMockReq({
         params: { id: 'user123' },
@@ -342,6 +370,16 @@ describe('Admin Controller', () => {
       await flushPromises();
 
       expect(Lyrics.deleteMany).toHaveBeenCalledWith({ user: 'user123' });
+      expect(LyricsRevision.deleteMany).toHaveBeenCalledWith({ lyrics: { $in: ['lyrics1', 'lyrics2'] } });
+      expect(LyricsComment.deleteMany).toHaveBeenCalledWith({ lyrics: { $in: ['lyrics1', 'lyrics2'] } });
+      expect(Collection.deleteMany).toHaveBeenCalledWith({ user: 'user123' });
+      expect(LyricsDraft.deleteMany).toHaveBeenCalledWith({ user: 'user123' });
+      expect(GenerationJob.deleteMany).toHaveBeenCalledWith({ user: 'user123' });
+      expect(Dialect.deleteMany).toHaveBeenCalledWith({ owner: 'user123' });
+      expect(Lyrics.updateMany).toHaveBeenCalledWith(
+        { 'collaborators.user': 'user123' },
+        { $pull: { collaborators: { user: 'user123' } } }
+      );
       expect(mockUser.deleteOne).toHaveBeenCalled();
     });
   });
@@ -614,6 +652,342 @@ describe('Admin Controller', () => {
       expect(mockApiKey.lastTestResult).toBe('success');
       expect(res.status).toHaveBeenCalledWith(200);
     });
+
+    it('should test ollama without a key against its configured base URL', async () => {
+      const mockApiKey = {
+        getKey: jest.fn().mockReturnValue(''),
+        save: jest.fn().mockResolvedValue(true),
+        metadata: { baseUrl: 'http://gpu-box:11434/', model: 'gemma2' },
+        lastTested: null, lastTestResult: null
+      };
+      ApiKey.findOne.mockResolvedValue(mockApiKey);
+      fetch.mockResolvedValue({ ok: true, json: jest.fn().mockResolvedValue({ message: { content: 'Hello' } }) });
+
+      const req = createMockReq({ params: { service: 'ollama' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      testApiKey(req, res, next);
+      await flushPromises();
+
+      expect(fetch.mock.calls[0][0]).toBe('http://gpu-box:11434/api/chat');
+      expect(JSON.parse(fetch.mock.calls[0][1].body).model).toBe('gemma2');
+      expect(mockApiKey.lastTestResult).toBe('success');
+    });
+
+    it('should report failure when an OpenAI-compatible endpoint rejects the key', async () => {
+      const mockApiKey = {
+        getKey: jest.fn().mockReturnValue('sk-bad'),
+        save: jest.fn().mockResolvedValue(true),
+        lastTested: null, lastTestResult: null
+      };
+      ApiKey.findOne.mockResolvedValue(mockApiKey);
+      fetch.mockResolvedValue({ ok: false, status: 401 });
+
+      const req = createMockReq({ params: { service: 'openai' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      testApiKey(req, res, next);
+      await flushPromises();
+
+      expect(mockApiKey.lastTestResult).toBe('failed');
+      expect(res.json.mock.calls[0][0].data.message).toBe('API error: 401');
+    });
+  });
+
+  // ==================== getProviders ====================
+  describe('GET /admin/providers', () => {
+    it('should list registered providers with their chain position', async () => {
+      Setting.getValue.mockResolvedValue(['openai', 'anthropic']);
+      ApiKey.find.mockResolvedValue([
+        { service: 'anthropic', isActive: true, encryptedKey: 'enc', metadata: {} },
+        { service: 'openai', isActive: true, encryptedKey: '', metadata: { model: 'gpt-4.1' } },
+        { service: 'ollama', isActive: true, encryptedKey: '', metadata: {} }
+      ]);
+
+      const req = createMockReq();
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getProviders(req, res, next);
+      await flushPromises();
+
+      const { chain, providers } = res.json.mock.calls[0][0].data;
+      expect(chain).toEqual(['openai', 'anthropic']);
+
+      const byService = Object.fromEntries(providers.map(p => [p.service, p]));
+      expect(byService.anthropic).toEqual(expect.objectContaining({ isConfigured: true, position: 1 }));
+      expect(byService.openai).toEqual(expect.objectContaining({ isConfigured: false, model: 'gpt-4.1', position: 0 }));
+      expect(byService.ollama).toEqual(expect.objectContaining({ isConfigured: true, requiresKey: false, position: -1 }));
+    });
+  });
+
+  // ==================== updateProviderChain ====================
+  describe('PUT /admin/providers/chain', () => {
+    it('should save a valid chain', async () => {
+      Setting.setValue.mockResolvedValue({});
+      Setting.getValue.mockResolvedValue(['ollama', 'anthropic']);
+
+      const req = createMockReq({ body: { chain: ['ollama', 'anthropic'] }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      updateProviderChain(req, res, next);
+      await flushPromises();
+
+      expect(Setting.setValue).toHaveBeenCalledWith('llm.fallbackChain', ['ollama', 'anthropic'], 'admin1');
+      expect(res.json.mock.calls[0][0].data.chain).toEqual(['ollama', 'anthropic']);
+    });
+
+    it('should reject an empty chain', async () => {
+      const req = createMockReq({ body: { chain: [] }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      updateProviderChain(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('INVALID_CHAIN');
+      expect(Setting.setValue).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown providers', async () => {
+      const req = createMockReq({ body: { chain: ['anthropic', 'bard'] }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      updateProviderChain(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('UNKNOWN_PROVIDER');
+    });
+  });
+
+  // ==================== getPromptTemplates ====================
+  describe('GET /admin/prompts', () => {
+    it('should list editable templates with their published version', async () => {
+      PromptTemplate.getPublished.mockResolvedValueOnce({ version: 2 });
+      PromptTemplate.countDocuments.mockResolvedValueOnce(3);
+
+      const req = createMockReq();
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getPromptTemplates(req, res, next);
+      await flushPromises();
+
+      const [lyrics] = res.json.mock.calls[0][0].data;
+      expect(lyrics).toEqual(expect.objectContaining({ name: 'lyrics', publishedVersion: 2, versionCount: 3 }));
+      expect(lyrics.variables.map(v => v.name)).toContain('dialectFeatures');
+    });
+  });
+
+  // ==================== getPromptVersions ====================
+  describe('GET /admin/prompts/:name/versions', () => {
+    it('should return versions newest first', async () => {
+      const versions = [{ version: 2 }, { version: 1 }];
+      const sort = jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue(versions) });
+      PromptTemplate.find.mockReturnValue({ sort });
+
+      const req = createMockReq({ params: { name: 'lyrics' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getPromptVersions(req, res, next);
+      await flushPromises();
+
+      expect(sort).toHaveBeenCalledWith({ version: -1 });
+      expect(res.json.mock.calls[0][0].data).toEqual(versions);
+    });
+
+    it('should return 404 for an unknown template', async () => {
+      const req = createMockReq({ params: { name: 'video' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getPromptVersions(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('TEMPLATE_NOT_FOUND');
+    });
+  });
+
+  // ==================== createPromptVersion ====================
+  describe('POST /admin/prompts/:name/versions', () => {
+    it('should create a draft version', async () => {
+      PromptTemplate.createVersion.mockResolvedValue({ version: 4, status: 'draft' });
+
+      const req = createMockReq({
+        params: { name: 'lyrics' },
+        body: { template: 'Song about {{theme}}', description: 'Shorter' },
+        user: { _id: 'admin1' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      createPromptVersion(req, res, next);
+      await flushPromises();
+
+      expect(PromptTemplate.createVersion).toHaveBeenCalledWith(
+        'lyrics', { template: 'Song about {{theme}}', description: 'Shorter' }, 'admin1'
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject unknown variables', async () => {
+      const req = createMockReq({
+        params: { name: 'lyrics' },
+        body: { template: 'Song about {{topic}}' },
+        user: { _id: 'admin1' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      createPromptVersion(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('UNKNOWN_VARIABLE');
+      expect(PromptTemplate.createVersion).not.toHaveBeenCalled();
+    });
+
+    it('should require template text', async () => {
+      const req = createMockReq({ params: { name: 'lyrics' }, body: { template: '  ' }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      createPromptVersion(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('MISSING_TEMPLATE');
+    });
+  });
+
+  // ==================== previewPromptTemplate ====================
+  describe('POST /admin/prompts/:name/preview', () => {
+    it('should render unsaved template text with supplied input', async () => {
+      const req = createMockReq({
+        params: { name: 'lyrics' },
+        body: { template: '{{theme}} / {{dialectName}} / {{mood}}', input: { theme: 'Rain', dialect: 'rayalaseema' } }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      previewPromptTemplate(req, res, next);
+      await flushPromises();
+
+      const data = res.json.mock.calls[0][0].data;
+      expect(data.prompt).toBe('Rain / రాయలసీమ (Rayalaseema) / ');
+      expect(data.unknownVariables).toEqual(['mood']);
+      expect(PromptTemplate.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should preview a language\'s template with that language\'s default dialect', async () => {
+      const req = createMockReq({
+        params: { name: 'lyrics-ta' },
+        body: { template: '{{language}} / {{dialectName}} / {{styleName}}' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      previewPromptTemplate(req, res, next);
+      await flushPromises();
+
+      expect(res.json.mock.calls[0][0].data.prompt).toBe('ta / சென்னை (Chennai) / Romantic');
+    });
+
+    it('should render a saved version', async () => {
+      PromptTemplate.findOne.mockResolvedValueOnce({ template: 'Form: {{poetryForm}}' });
+
+      const req = createMockReq({ params: { name: 'lyrics' }, body: { version: 2 } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      previewPromptTemplate(req, res, next);
+      await flushPromises();
+
+      expect(PromptTemplate.findOne).toHaveBeenCalledWith({ name: 'lyrics', version: 2 });
+      expect(res.json.mock.calls[0][0].data.prompt).toBe('Form: geeyam');
+    });
+
+    it('should return 404 when the version does not exist', async () => {
+      PromptTemplate.findOne.mockResolvedValueOnce(null);
+
+      const req = createMockReq({ params: { name: 'lyrics' }, body: { version: 9 } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      previewPromptTemplate(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('VERSION_NOT_FOUND');
+    });
+  });
+
+  // ==================== publishPromptVersion ====================
+  describe('POST /admin/prompts/:name/versions/:version/publish', () => {
+    it('should publish the version', async () => {
+      PromptTemplate.publishVersion.mockResolvedValueOnce({ version: 3, status: 'published' });
+
+      const req = createMockReq({ params: { name: 'lyrics', version: '3' }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      publishPromptVersion(req, res, next);
+      await flushPromises();
+
+      expect(PromptTemplate.publishVersion).toHaveBeenCalledWith('lyrics', 3, 'admin1');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 404 for a missing version', async () => {
+      PromptTemplate.publishVersion.mockResolvedValueOnce(null);
+
+      const req = createMockReq({ params: { name: 'lyrics', version: '7' }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      publishPromptVersion(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('VERSION_NOT_FOUND');
+    });
+  });
+
+  // ==================== rollbackPromptTemplate ====================
+  describe('POST /admin/prompts/:name/rollback', () => {
+    it('should republish the most recently published earlier version', async () => {
+      PromptTemplate.getPublished.mockResolvedValueOnce({ version: 3 });
+      const sort = jest.fn().mockResolvedValue({ version: 2 });
+      PromptTemplate.findOne.mockReturnValueOnce({ sort });
+      PromptTemplate.publishVersion.mockResolvedValueOnce({ version: 2, status: 'published' });
+
+      const req = createMockReq({ params: { name: 'lyrics' }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      rollbackPromptTemplate(req, res, next);
+      await flushPromises();
+
+      expect(sort).toHaveBeenCalledWith({ publishedAt: -1 });
+      expect(PromptTemplate.publishVersion).toHaveBeenCalledWith('lyrics', 2, 'admin1');
+      expect(res.json.mock.calls[0][0].message).toContain('from version 3 to 2');
+    });
+
+    it('should fail when there is nothing to roll back to', async () => {
+      PromptTemplate.getPublished.mockResolvedValueOnce({ version: 1 });
+      PromptTemplate.findOne.mockReturnValueOnce({ sort: jest.fn().mockResolvedValue(null) });
+
+      const req = createMockReq({ params: { name: 'lyrics' }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      rollbackPromptTemplate(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('NO_PREVIOUS_VERSION');
+      expect(PromptTemplate.publishVersion).not.toHaveBeenCalled();
+    });
   });
 
   // ==================== deleteApiKey ====================
@@ -0,0 +1,125 @@
+jest.mock('../../src/models/CatalogEntry');
+
+const CatalogEntry = require('../../src/models/CatalogEntry');
+const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
+
+const {
+  getCatalog,
+  adminGetCatalog,
+  adminCreateCatalogEntry,
+  adminUpdateCatalogEntry
+} = require('../../src/controllers/catalogController');
+
+describe('Style and poetry form catalog', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /catalog', () => {
+    it('should return the active styles and poetry forms', async () => {
+      CatalogEntry.listActive.mockResolvedValue({
+        styles: [{ key: 'folk', name: 'Folk', teluguName: 'జానపద గీతం' }],
+        poetryForms: [{ key: 'geeyam', name: 'Geeyam', teluguName: 'గేయం' }]
+      });
+
+      const req = createMockReq();
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getCatalog(req, res, next);
+      await flushPromises();
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.styles[0].key).toBe('folk');
+      expect(res.json.mock.calls[0][0].data.poetryForms[0].key).toBe('geeyam');
+    });
+  });
+
+  describe('GET /catalog/admin', () => {
+    it('should list every entry of a kind, including inactive ones', async () => {
+      const chain = { sort: jest.fn().mockResolvedValue([{ key: 'lullaby', isActive: false }]) };
+      CatalogEntry.find.mockReturnValue(chain);
+
+      const req = createMockReq({ user: { _id: 'admin1', role: 'admin' }, query: { kind: 'style' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      adminGetCatalog(req, res, next);
+      await flushPromises();
+
+      expect(CatalogEntry.find).toHaveBeenCalledWith({ kind: 'style' });
+      expect(chain.sort).toHaveBeenCalledWith({ kind: 1, sortOrder: 1, name: 1 });
+      expect(res.json.mock.calls[0][0].count).toBe(1);
+    });
+  });
+
+  describe('POST /catalog/admin', () => {
+    it('should add a style', async () => {
+      CatalogEntry.create.mockImplementation(async (doc) => ({ _id: 'entry1', ...doc }));
+
+      const req = createMockReq({
+        user: { _id: 'admin1', role: 'admin' },
+        body: {
+          kind: 'style',
+          name: 'Bathukamma Paata',
+          teluguName: 'బతుకమ్మ పాట',
+          guidance: 'Circle-dance song to Gauri',
+          base: 'folk',
+          createdAt: 'ignored'
+        }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      adminCreateCatalogEntry(req, res, next);
+      await flushPromises();
+
+      expect(CatalogEntry.create).toHaveBeenCalledWith({
+        kind: 'style',
+        key: undefined,
+        name: 'Bathukamma Paata',
+        teluguName: 'బతుకమ్మ పాట',
+        guidance: 'Circle-dance song to Gauri',
+        base: 'folk'
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].message).toBe('Style created successfully');
+    });
+  });
+
+  describe('PUT /catalog/admin/:id', () => {
+    it('should edit the guidance and deactivate an entry without changing its key', async () => {
+      const entry = { kind: 'poetryForm', key: 'padyam', set: jest.fn(), save: jest.fn().mockResolvedValue() };
+      CatalogEntry.findById.mockResolvedValue(entry);
+
+      const req = createMockReq({
+        user: { _id: 'admin1', role: 'admin' },
+        params: { id: 'entry1' },
+        body: { guidance: 'Kandam or Ataveladi only', isActive: false, key: 'renamed' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      adminUpdateCatalogEntry(req, res, next);
+      await flushPromises();
+
+      expect(entry.set).toHaveBeenCalledWith({ guidance: 'Kandam or Ataveladi only', isActive: false });
+      expect(entry.save).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].message).toBe('Poetry form updated successfully');
+    });
+
+    it('should return 404 for an unknown entry', async () => {
+      CatalogEntry.findById.mockResolvedValue(null);
+
+      const req = createMockReq({ user: { _id: 'admin1', role: 'admin' }, params: { id: 'entry1' }, body: {} });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      adminUpdateCatalogEntry(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('CATALOG_ENTRY_NOT_FOUND');
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+});
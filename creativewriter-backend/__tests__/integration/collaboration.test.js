@@ -0,0 +1,487 @@
+jest.mock('../../src/models/Lyrics');
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/LyricsComment');
+
+const Lyrics = require('../../src/models/Lyrics');
+const User = require('../../src/models/User');
+const LyricsComment = require('../../src/models/LyricsComment');
+const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
+
+const {
+  getSharedLyrics,
+  getInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getCollaborators,
+  inviteCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+  getComments,
+  addComment,
+  deleteComment
+} = require('../../src/controllers/collaborationController');
+
+describe('Collaboration Controller', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const owner = { _id: 'owner1', email: 'owner@example.com' };
+  const composer = { _id: 'user2', email: 'composer@example.com', isEmailVerified: true };
+  const unverified = { ...composer, isEmailVerified: false };
+  const hash = (token) => require('crypto').createHash('sha256').update(token).digest('hex');
+
+  const sharedLyrics = (collaborators = []) => ({
+    _id: 'lyrics1',
+    title: 'Vaana',
+    user: 'owner1',
+    collaborators,
+    save: jest.fn().mockResolvedValue(true)
+  });
+
+  // ==================== Shared with me ====================
+  describe('GET /lyrics/shared', () => {
+    it('should list lyrics shared with the user and their role', async () => {
+      const lyrics = sharedLyrics([{ user: 'user2', status: 'accepted', role: 'editor' }]);
+      Lyrics.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue([lyrics]) })
+      });
+
+      const req = createMockReq({ user: composer });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getSharedLyrics(req, res, next);
+      await flushPromises();
+
+      expect(Lyrics.find).toHaveBeenCalledWith({
+        collaborators: { $elemMatch: { user: 'user2', status: 'accepted' } }
+      });
+      const body = res.json.mock.calls[0][0];
+      expect(body.count).toBe(1);
+      expect(body.data[0]).toMatchObject({ _id: 'lyrics1', title: 'Vaana', role: 'editor' });
+    });
+  });
+
+  describe('GET /lyrics/invitations', () => {
+    it('should list pending invitations for the user email', async () => {
+      const lyrics = sharedLyrics([{ email: 'composer@example.com', status: 'pending', role: 'commenter', invitedAt: 'yesterday' }]);
+      Lyrics.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue([lyrics]) })
+      });
+
+      const req = createMockReq({ user: { ...composer, email: 'Composer@Example.com' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getInvitations(req, res, next);
+      await flushPromises();
+
+      expect(Lyrics.find).toHaveBeenCalledWith({
+        collaborators: { $elemMatch: { email: 'composer@example.com', status: 'pending' } }
+      });
+      expect(res.json.mock.calls[0][0].data[0]).toMatchObject({ role: 'commenter', invitedAt: 'yesterday' });
+    });
+
+    it('should not list invitations for an unverified email', async () => {
+      const req = createMockReq({ user: unverified });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getInvitations(req, res, next);
+      await flushPromises();
+
+      expect(Lyrics.find).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data).toEqual([]);
+    });
+  });
+
+  describe('POST /lyrics/:id/invitation/accept', () => {
+    it('should link the invitation to the user', async () => {
+      const lyrics = sharedLyrics([{ email: 'composer@example.com', status: 'pending', role: 'editor' }]);
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: composer });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      acceptInvitation(req, res, next);
+      await flushPromises();
+
+      expect(lyrics.collaborators[0]).toMatchObject({ user: 'user2', status: 'accepted' });
+      expect(lyrics.collaborators[0].acceptedAt).toBeInstanceOf(Date);
+      expect(lyrics.save).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data).toEqual({ lyrics: 'lyrics1', role: 'editor' });
+    });
+
+    it('should return 404 without a pending invitation', async () => {
+      Lyrics.findById.mockResolvedValue(sharedLyrics());
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: composer });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      acceptInvitation(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('INVITATION_NOT_FOUND');
+    });
+
+    it('should accept with the invite token when the email is not verified, once', async () => {
+      const lyrics = sharedLyrics([{ email: 'composer@example.com', status: 'pending', role: 'editor', inviteToken: hash('secret') }]);
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: unverified, body: { token: 'secret' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      acceptInvitation(req, res, next);
+      await flushPromises();
+
+      expect(lyrics.collaborators[0]).toMatchObject({ user: 'user2', status: 'accepted' });
+      expect(lyrics.collaborators[0].inviteToken).toBeUndefined();
+    });
+
+    it('should not let an unverified account take an invitation without its token', async () => {
+      const lyrics = sharedLyrics([{ email: 'composer@example.com', status: 'pending', role: 'editor', inviteToken: hash('secret') }]);
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      for (const body of [{}, { token: 'guess' }]) {
+        const req = createMockReq({ params: { id: 'lyrics1' }, user: unverified, body });
+        const res = createMockRes();
+        const next = createMockNext();
+
+        acceptInvitation(req, res, next);
+        await flushPromises();
+
+        expect(next.mock.calls[0][0].code).toBe('INVALID_INVITE_TOKEN');
+      }
+      expect(lyrics.collaborators[0].status).toBe('pending');
+      expect(lyrics.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /lyrics/:id/invitation/decline', () => {
+    it('should remove the invitation', async () => {
+      const lyrics = sharedLyrics([
+        { email: 'composer@example.com', status: 'pending', role: 'editor' },
+        { email: 'other@example.com', status: 'pending', role: 'viewer' }
+      ]);
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: composer });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      declineInvitation(req, res, next);
+      await flushPromises();
+
+      expect(lyrics.collaborators).toHaveLength(1);
+      expect(lyrics.collaborators[0].email).toBe('other@example.com');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  // ==================== Collaborators ====================
+  describe('GET /lyrics/:id/collaborators', () => {
+    it('should list collaborators for a collaborator', async () => {
+      const lyrics = sharedLyrics([{ user: { _id: 'user2', name: 'Composer' }, status: 'accepted', role: 'viewer' }]);
+      lyrics.user = { _id: 'owner1', name: 'Owner' };
+      Lyrics.findById.mockReturnValue({
+        populate: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue(lyrics) })
+      });
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: composer });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getCollaborators(req, res, next);
+      await flushPromises();
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.role).toBe('viewer');
+      expect(data.owner.name).toBe('Owner');
+      expect(data.collaborators).toHaveLength(1);
+    });
+
+    it('should hide email addresses from viewers and show them to editors', async () => {
+      const populated = (role) => {
+        const lyrics = sharedLyrics([
+          { user: { _id: 'user2', name: 'Composer' }, email: 'composer@example.com', status: 'accepted', role },
+          { email: 'pending@example.com', status: 'pending', role: 'viewer', inviteToken: 'hash' }
+        ]);
+        lyrics.user = { _id: 'owner1', name: 'Owner', email: 'owner@example.com' };
+        return { populate: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue(lyrics) }) };
+      };
+
+      const read = async (role) => {
+        Lyrics.findById.mockReturnValueOnce(populated(role));
+        const res = createMockRes();
+        getCollaborators(createMockReq({ params: { id: 'lyrics1' }, user: composer }), res, createMockNext());
+        await flushPromises();
+        return res.json.mock.calls[0][0].data;
+      };
+
+      const viewer = await read('viewer');
+      expect(viewer.owner).toEqual({ _id: 'owner1', name: 'Owner' });
+      expect(viewer.collaborators.some(c => 'email' in c)).toBe(false);
+
+      const editor = await read('editor');
+      expect(editor.owner.email).toBe('owner@example.com');
+      expect(editor.collaborators.map(c => c.email)).toEqual(['composer@example.com', 'pending@example.com']);
+      expect(editor.collaborators.some(c => 'inviteToken' in c)).toBe(false);
+    });
+
+    it('should return 403 for other users', async () => {
+      Lyrics.findById.mockReturnValue({
+        populate: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue(sharedLyrics()) })
+      });
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: composer });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getCollaborators(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+  });
+
+  describe('POST /lyrics/:id/collaborators', () => {
+    it('should invite a collaborator by email', async () => {
+      const lyrics = sharedLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      User.findOne.mockResolvedValue(composer);
+
+      const req = createMockReq({
+        params: { id: 'lyrics1' },
+        user: owner,
+        body: { email: 'Composer@Example.com', role: 'editor' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      inviteCollaborator(req, res, next);
+      await flushPromises();
+
+      expect(lyrics.collaborators).toEqual([{ email: 'composer@example.com', role: 'editor', invitedBy: 'owner1', inviteToken: expect.any(String) }]);
+      expect(lyrics.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+
+      // The owner gets the token for the invite link; only its hash is stored
+      const { data } = res.json.mock.calls[0][0];
+      expect(hash(data.inviteToken)).toBe(lyrics.collaborators[0].inviteToken);
+      expect(data).toEqual(expect.objectContaining({ email: 'composer@example.com', role: 'editor' }));
+    });
+
+    it('should update the role when the email is already invited', async () => {
+      const lyrics = sharedLyrics([{ email: 'composer@example.com', status: 'accepted', user: 'user2', role: 'viewer' }]);
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({
+        params: { id: 'lyrics1' },
+        user: owner,
+        body: { email: 'composer@example.com', role: 'commenter' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      inviteCollaborator(req, res, next);
+      await flushPromises();
+
+      expect(lyrics.collaborators).toHaveLength(1);
+      expect(lyrics.collaborators[0].role).toBe('commenter');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not let the owner invite themselves', async () => {
+      Lyrics.findById.mockResolvedValue(sharedLyrics());
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: owner, body: { email: 'owner@example.com' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      inviteCollaborator(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('CANNOT_INVITE_SELF');
+    });
+
+    it('should not let an editor share the lyrics', async () => {
+      Lyrics.findById.mockResolvedValue(sharedLyrics([{ user: 'user2', status: 'accepted', role: 'editor' }]));
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: composer, body: { email: 'third@example.com' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      inviteCollaborator(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('OWNER_ONLY');
+    });
+  });
+
+  describe('PUT /lyrics/:id/collaborators/:collaboratorId', () => {
+    it('should change the role', async () => {
+      const lyrics = sharedLyrics([{ _id: 'c1', user: 'user2', status: 'accepted', role: 'viewer' }]);
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1', collaboratorId: 'c1' }, user: owner, body: { role: 'editor' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      updateCollaborator(req, res, next);
+      await flushPromises();
+
+      expect(lyrics.collaborators[0].role).toBe('editor');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 404 for an unknown collaborator', async () => {
+      Lyrics.findById.mockResolvedValue(sharedLyrics());
+
+      const req = createMockReq({ params: { id: 'lyrics1', collaboratorId: 'c9' }, user: owner, body: { role: 'editor' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      updateCollaborator(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('COLLABORATOR_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /lyrics/:id/collaborators/:collaboratorId', () => {
+    it('should let the owner remove a collaborator', async () => {
+      const lyrics = sharedLyrics([{ _id: 'c1', user: 'user2', status: 'accepted', role: 'viewer' }]);
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1', collaboratorId: 'c1' }, user: owner });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      removeCollaborator(req, res, next);
+      await flushPromises();
+
+      expect(lyrics.collaborators).toHaveLength(0);
+      expect(res.json.mock.calls[0][0].message).toBe('Collaborator removed');
+    });
+
+    it('should let a collaborator leave', async () => {
+      const lyrics = sharedLyrics([{ _id: 'c1', user: 'user2', status: 'accepted', role: 'viewer' }]);
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1', collaboratorId: 'c1' }, user: composer });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      removeCollaborator(req, res, next);
+      await flushPromises();
+
+      expect(lyrics.collaborators).toHaveLength(0);
+      expect(res.json.mock.calls[0][0].message).toBe('You left this lyrics');
+    });
+
+    it('should not let a collaborator remove someone else', async () => {
+      Lyrics.findById.mockResolvedValue(sharedLyrics([
+        { _id: 'c1', user: 'user2', status: 'accepted', role: 'editor' },
+        { _id: 'c2', user: 'user3', status: 'accepted', role: 'viewer' }
+      ]));
+
+      const req = createMockReq({ params: { id: 'lyrics1', collaboratorId: 'c2' }, user: composer });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      removeCollaborator(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('OWNER_ONLY');
+    });
+  });
+
+  // ==================== Comments ====================
+  describe('Comments', () => {
+    it('should list comments for a viewer', async () => {
+      Lyrics.findById.mockResolvedValue(sharedLyrics([{ user: 'user2', status: 'accepted', role: 'viewer' }]));
+      LyricsComment.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue([{ text: 'Nice pallavi' }]) })
+      });
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: composer });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getComments(req, res, next);
+      await flushPromises();
+
+      expect(LyricsComment.find).toHaveBeenCalledWith({ lyrics: 'lyrics1' });
+      expect(res.json.mock.calls[0][0].count).toBe(1);
+    });
+
+    it('should let a commenter add a comment', async () => {
+      Lyrics.findById.mockResolvedValue(sharedLyrics([{ user: 'user2', status: 'accepted', role: 'commenter' }]));
+      LyricsComment.create.mockResolvedValue({ _id: 'comment1', text: 'Try a softer word' });
+
+      const req = createMockReq({
+        params: { id: 'lyrics1' },
+        user: composer,
+        body: { text: 'Try a softer word', section: 'pallavi' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      addComment(req, res, next);
+      await flushPromises();
+
+      expect(LyricsComment.create).toHaveBeenCalledWith({
+        lyrics: 'lyrics1', user: 'user2', section: 'pallavi', text: 'Try a softer word'
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should not let a viewer comment', async () => {
+      Lyrics.findById.mockResolvedValue(sharedLyrics([{ user: 'user2', status: 'accepted', role: 'viewer' }]));
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: composer, body: { text: 'Hi' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      addComment(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+      expect(LyricsComment.create).not.toHaveBeenCalled();
+    });
+
+    it('should let the owner delete any comment', async () => {
+      const comment = { user: 'user2', deleteOne: jest.fn().mockResolvedValue(true) };
+      Lyrics.findById.mockResolvedValue(sharedLyrics());
+      LyricsComment.findOne.mockResolvedValue(comment);
+
+      const req = createMockReq({ params: { id: 'lyrics1', commentId: 'comment1' }, user: owner });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      deleteComment(req, res, next);
+      await flushPromises();
+
+      expect(LyricsComment.findOne).toHaveBeenCalledWith({ _id: 'comment1', lyrics: 'lyrics1' });
+      expect(comment.deleteOne).toHaveBeenCalled();
+    });
+
+    it('should not let others delete a comment', async () => {
+      Lyrics.findById.mockResolvedValue(sharedLyrics([{ user: 'user3', status: 'accepted', role: 'editor' }]));
+      LyricsComment.findOne.mockResolvedValue({ user: 'user2', deleteOne: jest.fn() });
+
+      const req = createMockReq({ params: { id: 'lyrics1', commentId: 'comment1' }, user: { _id: 'user3', email: 'x@example.com' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      deleteComment(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+  });
+});
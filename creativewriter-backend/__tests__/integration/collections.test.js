@@ -0,0 +1,552 @@
+jest.mock('../../src/models/Collection');
+jest.mock('../../src/models/Lyrics');
+jest.mock('../../src/models/Setting');
+jest.mock('../../src/models/ModerationFlag');
+
+const Collection = require('../../src/models/Collection');
+const Lyrics = require('../../src/models/Lyrics');
+const ModerationFlag = require('../../src/models/ModerationFlag');
+const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
+
+const {
+  getCollections,
+  getPublicCollections,
+  getCollection,
+  exportCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addTrack,
+  removeTrack,
+  reorderTracks
+} = require('../../src/controllers/collectionController');
+
+describe('Collection Controller', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const track = (id) => ({ lyrics: { toString: () => id }, addedAt: `added-${id}` });
+
+  const mockCollection = (owner = 'user1', tracks = []) => ({
+    _id: 'col1',
+    title: 'Film Soundtrack',
+    isPublic: false,
+    user: { toString: () => owner },
+    tracks,
+    save: jest.fn().mockResolvedValue(true),
+    deleteOne: jest.fn().mockResolvedValue(true),
+    toJSON() { return { _id: this._id, title: this.title, tracks: this.tracks }; }
+  });
+
+  // A populated track of the collection owner's lyrics
+  const populatedTrack = (id, lyricsOverrides = {}) => ({
+    lyrics: { _id: id, title: `Song ${id}`, user: 'owner1', isPublic: false, collaborators: [], ...lyricsOverrides },
+    addedAt: `added-${id}`
+  });
+
+  // ==================== list ====================
+  describe('GET /collections', () => {
+    it('should list the user collections', async () => {
+      Collection.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([mockCollection()]) });
+
+      const req = createMockReq({ user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getCollections(req, res, next);
+      await flushPromises();
+
+      expect(Collection.find).toHaveBeenCalledWith({ user: 'user1' });
+      expect(res.json.mock.calls[0][0].count).toBe(1);
+    });
+  });
+
+  describe('GET /collections/public', () => {
+    it('should list public collections', async () => {
+      const limit = jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue([]) });
+      Collection.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ limit }) });
+
+      const req = createMockReq({ query: { limit: '5' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getPublicCollections(req, res, next);
+      await flushPromises();
+
+      expect(Collection.find).toHaveBeenCalledWith({ isPublic: true });
+      expect(limit).toHaveBeenCalledWith(5);
+    });
+  });
+
+  // ==================== get ====================
+  describe('GET /collections/:id', () => {
+    const findPopulated = (collection) => {
+      Collection.findById.mockReturnValue({
+        populate: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue(collection) })
+      });
+    };
+
+    it('should return the owner collection with tracks', async () => {
+      const collection = mockCollection('owner1', [populatedTrack('l1'), populatedTrack('l2', { isPublic: true })]);
+      collection.user = { _id: { toString: () => 'owner1' }, name: 'Owner' };
+      findPopulated(collection);
+
+      const req = createMockReq({ params: { id: 'col1' }, user: { _id: 'owner1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getCollection(req, res, next);
+      await flushPromises();
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.tracks.map(t => t.lyrics._id)).toEqual(['l1', 'l2']);
+      expect(data.trackCount).toBe(2);
+      expect(data.tracks[0].lyrics).not.toHaveProperty('collaborators');
+    });
+
+    it('should return 403 for a private collection of another user', async () => {
+      const collection = mockCollection('other');
+      collection.user = { _id: { toString: () => 'other' }, name: 'Other' };
+      findPopulated(collection);
+
+      const req = createMockReq({ params: { id: 'col1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getCollection(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+
+    it('should allow a public collection of another user', async () => {
+      const collection = { ...mockCollection('other'), isPublic: true };
+      collection.user = { _id: { toString: () => 'other' }, name: 'Other' };
+      findPopulated(collection);
+
+      const req = createMockReq({ params: { id: 'col1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getCollection(req, res, next);
+      await flushPromises();
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should only share the tracks another user could open on their own', async () => {
+      const collection = {
+        ...mockCollection('owner1', [
+          populatedTrack('private'),
+          populatedTrack('public', { isPublic: true, moderation: { status: 'clear' } }),
+          populatedTrack('held', { isPublic: true, moderation: { status: 'pending' } }),
+          populatedTrack('shared', { collaborators: [{ user: 'user1', status: 'accepted', role: 'viewer' }] }),
+          { lyrics: null, addedAt: 'deleted' }
+        ]),
+        isPublic: true
+      };
+      collection.user = { _id: { toString: () => 'owner1' }, name: 'Owner' };
+      findPopulated(collection);
+
+      const req = createMockReq({ params: { id: 'col1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+
+      getCollection(req, res, createMockNext());
+      await flushPromises();
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.tracks.map(t => t.lyrics._id)).toEqual(['public', 'shared']);
+      expect(data.trackCount).toBe(2);
+    });
+
+    it('should return 404 if the collection does not exist', async () => {
+      findPopulated(null);
+
+      const req = createMockReq({ params: { id: 'col1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getCollection(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('COLLECTION_NOT_FOUND');
+    });
+  });
+
+  // ==================== export ====================
+  describe('GET /collections/:id/export', () => {
+    const findPopulated = (collection) => {
+      Collection.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(collection) });
+    };
+
+    const song = (id, overrides) => populatedTrack(id, {
+      title: `Song ${id}`,
+      content: `【పల్లవి - Pallavi】\nవాన ${id}`,
+      sections: [],
+      ...overrides
+    });
+
+    it('should send the collection as a text songbook', async () => {
+      findPopulated(mockCollection('owner1', [song('l1'), song('l2')]));
+
+      const req = createMockReq({ params: { id: 'col1' }, query: { format: 'text' }, user: { _id: 'owner1' } });
+      const res = createMockRes();
+
+      exportCollection(req, res, createMockNext());
+      await flushPromises();
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res._headers['content-disposition']).toContain('filename="Film-Soundtrack.txt"');
+      expect(res._data).toContain('1. Song l1\n2. Song l2');
+      expect(res._data).toContain('వాన l2');
+    });
+
+    it('should leave out tracks another user could not open on their own', async () => {
+      const collection = {
+        ...mockCollection('owner1', [
+          song('private'),
+          song('public', { isPublic: true, moderation: { status: 'clear' } }),
+          song('held', { isPublic: true, moderation: { status: 'rejected' } })
+        ]),
+        isPublic: true
+      };
+      findPopulated(collection);
+
+      const req = createMockReq({ params: { id: 'col1' }, query: { format: 'text' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+
+      exportCollection(req, res, createMockNext());
+      await flushPromises();
+
+      expect(res._data).toContain('1. Song public\n\n');
+      expect(res._data).not.toContain('Song private');
+      expect(res._data).not.toContain('Song held');
+    });
+
+    it('should return 403 for a private collection of another user', async () => {
+      findPopulated(mockCollection('other', [song('l1')]));
+
+      const req = createMockReq({ params: { id: 'col1' }, query: { format: 'text' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      exportCollection(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if the collection does not exist', async () => {
+      findPopulated(null);
+
+      const req = createMockReq({ params: { id: 'col1' }, query: { format: 'text' }, user: { _id: 'user1' } });
+      const next = createMockNext();
+
+      exportCollection(req, createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('COLLECTION_NOT_FOUND');
+    });
+  });
+
+  // ==================== create ====================
+  describe('POST /collections', () => {
+    it('should create a collection with tracks in order', async () => {
+      Lyrics.countDocuments.mockResolvedValue(2);
+      Collection.create.mockResolvedValue({ _id: 'col1' });
+
+      const req = createMockReq({
+        user: { _id: 'user1' },
+        body: { title: 'Bhakti Album', description: 'Songs for Sankranti', lyrics: ['l2', 'l1'] }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      createCollection(req, res, next);
+      await flushPromises();
+
+      expect(Lyrics.countDocuments).toHaveBeenCalledWith({ _id: { $in: ['l2', 'l1'] }, user: 'user1' });
+      expect(Collection.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'user1',
+        title: 'Bhakti Album',
+        tracks: [{ lyrics: 'l2' }, { lyrics: 'l1' }]
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should screen the details of a public collection and hold it when flagged', async () => {
+      Lyrics.countDocuments.mockResolvedValue(0);
+      Collection.create.mockImplementation(async (doc) => doc);
+      ModerationFlag.record.mockResolvedValue({ _id: 'flag1' });
+
+      const req = createMockReq({
+        user: { _id: 'user1' },
+        body: { title: 'Night', description: 'I will behead them all', isPublic: true }
+      });
+      const res = createMockRes();
+
+      createCollection(req, res, createMockNext());
+      await flushPromises();
+
+      const created = Collection.create.mock.calls[0][0];
+      expect(created).toEqual(expect.objectContaining({ isPublic: false, moderation: { status: 'pending', flag: 'flag1' } }));
+      expect(ModerationFlag.record.mock.calls[0][1]).toEqual(expect.objectContaining({ source: 'collection', lyricsCollection: created._id }));
+      expect(res.json.mock.calls[0][0].message).toBe('Collection created. It will be public once a moderator reviews it.');
+    });
+
+    it('should reject lyrics the user does not own', async () => {
+      Lyrics.countDocuments.mockResolvedValue(1);
+
+      const req = createMockReq({ user: { _id: 'user1' }, body: { title: 'Album', lyrics: ['l1', 'l2'] } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      createCollection(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('INVALID_TRACKS');
+      expect(Collection.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject duplicate tracks', async () => {
+      const req = createMockReq({ user: { _id: 'user1' }, body: { title: 'Album', lyrics: ['l1', 'l1'] } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      createCollection(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('INVALID_TRACKS');
+    });
+  });
+
+  // ==================== update / delete ====================
+  describe('PUT /collections/:id', () => {
+    it('should update details', async () => {
+      const collection = mockCollection();
+      Collection.findById.mockResolvedValue(collection);
+
+      const req = createMockReq({
+        params: { id: 'col1' },
+        user: { _id: { toString: () => 'user1' } },
+        body: { coverText: 'Music: Keeravani', isPublic: true }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      updateCollection(req, res, next);
+      await flushPromises();
+
+      expect(collection.coverText).toBe('Music: Keeravani');
+      expect(collection.isPublic).toBe(true);
+      expect(collection.moderation).toEqual({ status: 'clear' });
+      expect(collection.save).toHaveBeenCalled();
+    });
+
+    it('should keep a collection private while its review is pending', async () => {
+      const collection = { ...mockCollection(), moderation: { status: 'pending', flag: 'flag1' } };
+      Collection.findById.mockResolvedValue(collection);
+
+      const req = createMockReq({ params: { id: 'col1' }, user: { _id: { toString: () => 'user1' } }, body: { isPublic: true } });
+      const res = createMockRes();
+
+      updateCollection(req, res, createMockNext());
+      await flushPromises();
+
+      expect(collection.isPublic).toBe(false);
+      expect(ModerationFlag.record).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].message).toBe('This collection is still waiting for a moderator to review it.');
+    });
+
+    it('should return 403 if not owner', async () => {
+      Collection.findById.mockResolvedValue(mockCollection('other'));
+
+      const req = createMockReq({ params: { id: 'col1' }, user: { _id: { toString: () => 'user1' } }, body: {} });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      updateCollection(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+  });
+
+  describe('DELETE /collections/:id', () => {
+    it('should delete the collection', async () => {
+      const collection = mockCollection();
+      Collection.findById.mockResolvedValue(collection);
+
+      const req = createMockReq({ params: { id: 'col1' }, user: { _id: { toString: () => 'user1' } } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      deleteCollection(req, res, next);
+      await flushPromises();
+
+      expect(collection.deleteOne).toHaveBeenCalled();
+      expect(Lyrics.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== tracks ====================
+  describe('POST /collections/:id/tracks', () => {
+    it('should insert at the given position', async () => {
+      const collection = mockCollection('user1', [track('l1'), track('l2')]);
+      Collection.findById.mockResolvedValue(collection);
+      Lyrics.countDocuments.mockResolvedValue(1);
+
+      const req = createMockReq({
+        params: { id: 'col1' },
+        user: { _id: { toString: () => 'user1' } },
+        body: { lyricsId: 'l3', position: 2 }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      addTrack(req, res, next);
+      await flushPromises();
+
+      expect(collection.tracks.map(t => t.lyrics.toString())).toEqual(['l1', 'l3', 'l2']);
+      expect(res.json.mock.calls[0][0].message).toBe('Added as track 2');
+    });
+
+    it('should append when no position is given', async () => {
+      const collection = mockCollection('user1', [track('l1')]);
+      Collection.findById.mockResolvedValue(collection);
+      Lyrics.countDocuments.mockResolvedValue(1);
+
+      const req = createMockReq({
+        params: { id: 'col1' },
+        user: { _id: { toString: () => 'user1' } },
+        body: { lyricsId: 'l2' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      addTrack(req, res, next);
+      await flushPromises();
+
+      expect(collection.tracks.map(t => t.lyrics.toString())).toEqual(['l1', 'l2']);
+    });
+
+    it('should reject a track beyond the collection limit', async () => {
+      const collection = mockCollection('user1', Array.from({ length: 200 }, (_, i) => track(`l${i}`)));
+      Collection.findById.mockResolvedValue(collection);
+
+      const req = createMockReq({ params: { id: 'col1' }, user: { _id: { toString: () => 'user1' } }, body: { lyricsId: 'new' } });
+      const next = createMockNext();
+
+      addTrack(req, createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('TOO_MANY_TRACKS');
+      expect(collection.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject lyrics already in the collection', async () => {
+      Collection.findById.mockResolvedValue(mockCollection('user1', [track('l1')]));
+
+      const req = createMockReq({
+        params: { id: 'col1' },
+        user: { _id: { toString: () => 'user1' } },
+        body: { lyricsId: 'l1' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      addTrack(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('TRACK_EXISTS');
+    });
+
+    it('should reject lyrics of another user', async () => {
+      Collection.findById.mockResolvedValue(mockCollection());
+      Lyrics.countDocuments.mockResolvedValue(0);
+
+      const req = createMockReq({
+        params: { id: 'col1' },
+        user: { _id: { toString: () => 'user1' } },
+        body: { lyricsId: 'l9' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      addTrack(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('LYRICS_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /collections/:id/tracks/:lyricsId', () => {
+    it('should remove the track', async () => {
+      const collection = mockCollection('user1', [track('l1'), track('l2')]);
+      Collection.findById.mockResolvedValue(collection);
+
+      const req = createMockReq({ params: { id: 'col1', lyricsId: 'l1' }, user: { _id: { toString: () => 'user1' } } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      removeTrack(req, res, next);
+      await flushPromises();
+
+      expect(collection.tracks.map(t => t.lyrics.toString())).toEqual(['l2']);
+    });
+
+    it('should return 404 if the track is not in the collection', async () => {
+      Collection.findById.mockResolvedValue(mockCollection('user1', [track('l1')]));
+
+      const req = createMockReq({ params: { id: 'col1', lyricsId: 'l5' }, user: { _id: { toString: () => 'user1' } } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      removeTrack(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('TRACK_NOT_FOUND');
+    });
+  });
+
+  describe('PUT /collections/:id/tracks', () => {
+    it('should reorder the tracks', async () => {
+      const collection = mockCollection('user1', [track('l1'), track('l2'), track('l3')]);
+      Collection.findById.mockResolvedValue(collection);
+
+      const req = createMockReq({
+        params: { id: 'col1' },
+        user: { _id: { toString: () => 'user1' } },
+        body: { lyrics: ['l3', 'l1', 'l2'] }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      reorderTracks(req, res, next);
+      await flushPromises();
+
+      expect(collection.tracks.map(t => t.lyrics.toString())).toEqual(['l3', 'l1', 'l2']);
+      expect(collection.tracks[0].addedAt).toBe('added-l3');
+      expect(collection.save).toHaveBeenCalled();
+    });
+
+    it('should reject an order that drops or repeats tracks', async () => {
+      Collection.findById.mockResolvedValue(mockCollection('user1', [track('l1'), track('l2')]));
+
+      const req = createMockReq({
+        params: { id: 'col1' },
+        user: { _id: { toString: () => 'user1' } },
+        body: { lyrics: ['l1', 'l1'] }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      reorderTracks(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('INVALID_ORDER');
+    });
+  });
+});
@@ -0,0 +1,223 @@
+jest.mock('../../src/models/Dialect');
+
+const Dialect = require('../../src/models/Dialect');
+const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
+
+const {
+  getDialects,
+  createDialect,
+  updateDialect,
+  deleteDialect,
+  adminGetDialects,
+  adminCreateDialect,
+  adminUpdateDialect
+} = require('../../src/controllers/dialectController');
+
+const NELLORE = {
+  name: 'Nellore',
+  nativeName: 'నెల్లూరు',
+  vocabulary: ['ఏమబ్బా', 'సానా'],
+  markers: ['-బ్బా endings'],
+  references: ['Penna', 'Rottela Panduga'],
+  baseDialect: 'rayalaseema'
+};
+
+describe('Dialects', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /dialects', () => {
+    it('should list global dialects for guests', async () => {
+      Dialect.listAvailable.mockResolvedValue([{ key: 'telangana' }]);
+
+      const req = createMockReq({ user: null });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getDialects(req, res, next);
+      await flushPromises();
+
+      expect(Dialect.listAvailable).toHaveBeenCalledWith(null, null);
+      expect(res.json.mock.calls[0][0].count).toBe(1);
+    });
+
+    it('should include the user\'s own profiles', async () => {
+      Dialect.listAvailable.mockResolvedValue([{ key: 'telangana' }, { key: 'nellore-a1b2c3', owner: 'user1' }]);
+
+      const req = createMockReq({ user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getDialects(req, res, next);
+      await flushPromises();
+
+      expect(Dialect.listAvailable).toHaveBeenCalledWith('user1', null);
+      expect(res.json.mock.calls[0][0].data).toHaveLength(2);
+    });
+
+    it('should list the dialects of one language, Telugu ones for Telugu-English', async () => {
+      Dialect.listAvailable.mockResolvedValue([]);
+
+      for (const [language, expected] of [['hi', 'hi'], ['te-en', 'te']]) {
+        const req = createMockReq({ user: null, query: { language } });
+        getDialects(req, createMockRes(), createMockNext());
+        await flushPromises();
+
+        expect(Dialect.listAvailable).toHaveBeenLastCalledWith(null, expected);
+      }
+    });
+  });
+
+  describe('POST /dialects', () => {
+    it('should create a profile owned by the user', async () => {
+      Dialect.countDocuments.mockResolvedValue(0);
+      Dialect.create.mockImplementation(async (doc) => ({ _id: 'dialect1', ...doc }));
+
+      const req = createMockReq({ user: { _id: 'user1' }, body: { ...NELLORE, key: 'telangana', isActive: false } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      createDialect(req, res, next);
+      await flushPromises();
+
+      // Users cannot pick the key or deactivate global entries through their own profiles
+      expect(Dialect.create).toHaveBeenCalledWith({ ...NELLORE, owner: 'user1' });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should refuse more profiles than the limit', async () => {
+      Dialect.countDocuments.mockResolvedValue(10);
+
+      const req = createMockReq({ user: { _id: 'user1' }, body: NELLORE });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      createDialect(req, res, next);
+      await flushPromises();
+
+      expect(Dialect.create).not.toHaveBeenCalled();
+      expect(next.mock.calls[0][0].code).toBe('DIALECT_LIMIT_REACHED');
+    });
+  });
+
+  describe('PUT /dialects/:id', () => {
+    it('should update the user\'s own profile', async () => {
+      const dialect = { set: jest.fn(), save: jest.fn().mockResolvedValue() };
+      Dialect.findOne.mockResolvedValue(dialect);
+
+      const req = createMockReq({ user: { _id: 'user1' }, params: { id: 'dialect1' }, body: { vocabulary: ['ఏమబ్బా'] } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      updateDialect(req, res, next);
+      await flushPromises();
+
+      expect(Dialect.findOne).toHaveBeenCalledWith({ _id: 'dialect1', owner: 'user1' });
+      expect(dialect.set).toHaveBeenCalledWith({ vocabulary: ['ఏమబ్బా'] });
+      expect(dialect.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 404 for global or another user\'s dialect', async () => {
+      Dialect.findOne.mockResolvedValue(null);
+
+      const req = createMockReq({ user: { _id: 'user1' }, params: { id: 'dialect1' }, body: { name: 'Mine now' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      updateDialect(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('DIALECT_NOT_FOUND');
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+
+  describe('DELETE /dialects/:id', () => {
+    it('should delete only the user\'s own profile', async () => {
+      Dialect.findOneAndDelete.mockResolvedValue({ _id: 'dialect1' });
+
+      const req = createMockReq({ user: { _id: 'user1' }, params: { id: 'dialect1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      deleteDialect(req, res, next);
+      await flushPromises();
+
+      expect(Dialect.findOneAndDelete).toHaveBeenCalledWith({ _id: 'dialect1', owner: 'user1' });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  // ==================== admin ====================
+  describe('GET /dialects/admin', () => {
+    it('should list global dialects including inactive ones', async () => {
+      const chain = { sort: jest.fn().mockResolvedValue([{ key: 'telangana', isActive: false }]) };
+      Dialect.find.mockReturnValue(chain);
+
+      const req = createMockReq({ user: { _id: 'admin1', role: 'admin' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      adminGetDialects(req, res, next);
+      await flushPromises();
+
+      expect(Dialect.find).toHaveBeenCalledWith({ owner: null });
+      expect(chain.sort).toHaveBeenCalledWith({ name: 1 });
+      expect(res.json.mock.calls[0][0].count).toBe(1);
+    });
+  });
+
+  describe('POST /dialects/admin', () => {
+    it('should create a global dialect with the given key', async () => {
+      Dialect.create.mockImplementation(async (doc) => ({ _id: 'dialect1', ...doc }));
+
+      const req = createMockReq({ user: { _id: 'admin1', role: 'admin' }, body: { ...NELLORE, key: 'nellore' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      adminCreateDialect(req, res, next);
+      await flushPromises();
+
+      expect(Dialect.create).toHaveBeenCalledWith({ ...NELLORE, key: 'nellore', isActive: undefined, owner: null });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe('PUT /dialects/admin/:id', () => {
+    it('should edit the lexicon and deactivate a global dialect', async () => {
+      const dialect = { isActive: true, set: jest.fn(), save: jest.fn().mockResolvedValue() };
+      Dialect.findOne.mockResolvedValue(dialect);
+
+      const req = createMockReq({
+        user: { _id: 'admin1', role: 'admin' },
+        params: { id: 'dialect1' },
+        body: { references: ['Bathukamma', 'Bonalu', 'Sammakka Saralamma'], isActive: false }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      adminUpdateDialect(req, res, next);
+      await flushPromises();
+
+      expect(Dialect.findOne).toHaveBeenCalledWith({ _id: 'dialect1', owner: null });
+      expect(dialect.set).toHaveBeenCalledWith({ references: ['Bathukamma', 'Bonalu', 'Sammakka Saralamma'] });
+      expect(dialect.isActive).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not edit custom profiles', async () => {
+      Dialect.findOne.mockResolvedValue(null);
+
+      const req = createMockReq({ user: { _id: 'admin1', role: 'admin' }, params: { id: 'dialect1' }, body: {} });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      adminUpdateDialect(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('DIALECT_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+jest.mock('../../src/models/Lyrics');
+jest.mock('../../src/models/LyricsRevision');
+
+const Lyrics = require('../../src/models/Lyrics');
+const LyricsRevision = require('../../src/models/LyricsRevision');
+const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
+
+const { importLyrics } = require('../../src/controllers/importController');
+
+describe('Import Controller', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const file = (originalname, text) => ({ originalname, buffer: Buffer.isBuffer(text) ? text : Buffer.from(text) });
+
+  const run = async (req, res, next) => {
+    importLyrics(req, res, next);
+    for (let i = 0; i < 20 && !res.json.mock.calls.length && !next.mock.calls.length; i++) {
+      await flushPromises();
+    }
+  };
+
+  beforeEach(() => {
+    Lyrics.create.mockImplementation(async (docs) => docs.map((doc, i) => ({
+      _id: `lyr${i}`,
+      ...doc,
+      sections: [{ type: 'pallavi' }, { type: 'metadata' }]
+    })));
+    LyricsRevision.record.mockResolvedValue({});
+  });
+
+  describe('POST /lyrics/import', () => {
+    it('should create imported lyrics for every song in the files', async () => {
+      const req = createMockReq({
+        user: { _id: 'user1' },
+        files: [
+          file('songbook.md', '# లాలి\n\n**Pallavi**\nలాలి లాలి జో జో\n\n# వాన\n\nవాన వాన వల్లప్ప'),
+          file('rain.txt', 'చినుకు చినుకు')
+        ]
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await run(req, res, next);
+
+      const docs = Lyrics.create.mock.calls[0][0];
+      expect(docs).toHaveLength(3);
+      expect(docs[0]).toEqual({
+        user: 'user1',
+        title: 'లాలి',
+        content: '🎵 లాలి\n\n【పల్లవి - Pallavi】\nలాలి లాలి జో జో',
+        language: 'te',
+        style: 'lullaby',
+        dialect: 'coastal',
+        poetryForm: 'geeyam',
+        generationParams: { model: 'imported' }
+      });
+      expect(docs[2].title).toBe('rain');
+      expect(LyricsRevision.record).toHaveBeenCalledTimes(3);
+      expect(LyricsRevision.record).toHaveBeenCalledWith(expect.objectContaining({ _id: 'lyr0' }), {
+        source: 'import',
+        user: 'user1',
+        note: 'Imported'
+      });
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const body = res.json.mock.calls[0][0];
+      expect(body.count).toBe(3);
+      expect(body.data[0]).toEqual(expect.objectContaining({
+        file: 'songbook.md',
+        sections: 1,
+        guessed: { language: true, style: true, dialect: false }
+      }));
+      expect(body.skipped).toEqual([]);
+    });
+
+    it('should apply style, dialect and poetry form overrides', async () => {
+      const req = createMockReq({
+        user: { _id: 'user1' },
+        files: [file('song.txt', 'లాలి లాలి జో జో')],
+        body: { style: 'folk', dialect: 'telangana', poetryForm: 'padyam' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await run(req, res, next);
+
+      expect(Lyrics.create.mock.calls[0][0][0]).toEqual(expect.objectContaining({
+        style: 'folk',
+        dialect: 'telangana',
+        poetryForm: 'padyam'
+      }));
+      expect(res.json.mock.calls[0][0].data[0].guessed).toEqual({ language: true, style: false, dialect: false });
+    });
+
+    it('should give a song in another script its language and default dialect', async () => {
+      const req = createMockReq({
+        user: { _id: 'user1' },
+        files: [file('geet.txt', 'बारिश की बूँदें\nदिल की बातें')]
+      });
+
+      await run(req, createMockRes(), createMockNext());
+
+      expect(Lyrics.create.mock.calls[0][0][0]).toEqual(expect.objectContaining({
+        language: 'hi',
+        dialect: 'khari-boli'
+      }));
+    });
+
+    it('should not guess a dialect of another language than the one given', async () => {
+      const req = createMockReq({
+        user: { _id: 'user1' },
+        files: [file('song.txt', 'మస్తు బువ్వ లగువ\n\n---\n🗣️ మాండలికం: తెలంగాణ (Telangana)')],
+        body: { language: 'hi' }
+      });
+      const res = createMockRes();
+
+      await run(req, res, createMockNext());
+
+      expect(Lyrics.create.mock.calls[0][0][0]).toEqual(expect.objectContaining({
+        language: 'hi',
+        dialect: 'khari-boli'
+      }));
+      expect(res.json.mock.calls[0][0].data[0].guessed).toEqual({ language: false, style: false, dialect: false });
+    });
+
+    it('should skip files that cannot be read and import the rest', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const req = createMockReq({
+        user: { _id: 'user1' },
+        files: [file('broken.docx', 'not a zip'), file('empty.txt', '\n\n'), file('song.txt', 'వాన వాన')]
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await run(req, res, next);
+
+      expect(Lyrics.create.mock.calls[0][0]).toHaveLength(1);
+      expect(res.json.mock.calls[0][0].skipped).toEqual([
+        { file: 'broken.docx', reason: 'The file could not be read' },
+        { file: 'empty.txt', reason: 'No lyrics found' }
+      ]);
+      console.error.mockRestore();
+    });
+
+    it('should reject a request without files', async () => {
+      const req = createMockReq({ user: { _id: 'user1' }, files: [] });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await run(req, res, next);
+
+      expect(next.mock.calls[0][0].code).toBe('NO_FILES');
+      expect(Lyrics.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject files without lyrics', async () => {
+      const req = createMockReq({ user: { _id: 'user1' }, files: [file('empty.md', '# \n')] });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await run(req, res, next);
+
+      expect(next.mock.calls[0][0].code).toBe('NO_LYRICS_FOUND');
+    });
+
+    it('should reject more songs than the import limit', async () => {
+      const songbook = Array.from({ length: 201 }, (_, i) => `# Song ${i}\nపాట`).join('\n');
+      const req = createMockReq({ user: { _id: 'user1' }, files: [file('big.md', songbook)] });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await run(req, res, next);
+
+      expect(next.mock.calls[0][0].code).toBe('TOO_MANY_SONGS');
+      expect(Lyrics.create).not.toHaveBeenCalled();
+    });
+  });
+});
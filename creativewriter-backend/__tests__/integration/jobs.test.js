@@ -0,0 +1,246 @@
+jest.mock('../../src/models/GenerationJob');
+jest.mock('../../src/middleware/usageLimit');
+jest.mock('../../src/jobs/lyrics');
+jest.mock('../../src/jobs/media');
+
+const GenerationJob = require('../../src/models/GenerationJob');
+const { incrementUsage } = require('../../src/middleware/usageLimit');
+const { runLyricsJob } = require('../../src/jobs/lyrics');
+const { runMusicJob } = require('../../src/jobs/media');
+const { AppError } = require('../../src/middleware/errorHandler');
+const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
+
+const { getJobs, getJob, cancelJob } = require('../../src/controllers/jobController');
+const { runJob, backoffDelay } = require('../../src/jobs');
+
+describe('Generation jobs', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ==================== jobController ====================
+  describe('GET /jobs', () => {
+    it('should list the user\'s jobs newest first without results', async () => {
+      const chain = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([{ _id: 'job1' }])
+      };
+      GenerationJob.find.mockReturnValue(chain);
+
+      const req = createMockReq({ user: { _id: 'user1' }, query: { type: 'music', status: 'queued' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getJobs(req, res, next);
+      await flushPromises();
+
+      expect(GenerationJob.find).toHaveBeenCalledWith({ user: 'user1', type: 'music', status: 'queued' });
+      expect(chain.select).toHaveBeenCalledWith('-result -submission');
+      expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(chain.limit).toHaveBeenCalledWith(20);
+      expect(res.json.mock.calls[0][0].count).toBe(1);
+    });
+  });
+
+  describe('GET /jobs/:id', () => {
+    it('should return the user\'s job', async () => {
+      GenerationJob.findOne.mockResolvedValue({ _id: 'job1', status: 'succeeded', result: { content: 'Lyrics' } });
+
+      const req = createMockReq({ user: { _id: 'user1' }, params: { id: 'job1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getJob(req, res, next);
+      await flushPromises();
+
+      expect(GenerationJob.findOne).toHaveBeenCalledWith({ _id: 'job1', user: 'user1' });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.result.content).toBe('Lyrics');
+    });
+
+    it('should return 404 for another user\'s job', async () => {
+      GenerationJob.findOne.mockResolvedValue(null);
+
+      const req = createMockReq({ user: { _id: 'user2' }, params: { id: 'job1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getJob(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('JOB_NOT_FOUND');
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+
+  describe('DELETE /jobs/:id', () => {
+    it('should cancel a queued job', async () => {
+      GenerationJob.findOneAndUpdate.mockResolvedValue({ _id: 'job1', status: 'cancelled' });
+
+      const req = createMockReq({ user: { _id: 'user1' }, params: { id: 'job1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      cancelJob(req, res, next);
+      await flushPromises();
+
+      expect(GenerationJob.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'job1', user: 'user1', status: 'queued' },
+        { $set: { status: 'cancelled', finishedAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should refuse to cancel a job that has started', async () => {
+      GenerationJob.findOneAndUpdate.mockResolvedValue(null);
+      GenerationJob.exists.mockResolvedValue({ _id: 'job1' });
+
+      const req = createMockReq({ user: { _id: 'user1' }, params: { id: 'job1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      cancelJob(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('JOB_NOT_CANCELLABLE');
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it('should return 404 when the job does not exist', async () => {
+      GenerationJob.findOneAndUpdate.mockResolvedValue(null);
+      GenerationJob.exists.mockResolvedValue(null);
+
+      const req = createMockReq({ user: { _id: 'user1' }, params: { id: 'job1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      cancelJob(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('JOB_NOT_FOUND');
+    });
+  });
+
+  // ==================== worker ====================
+  describe('runJob', () => {
+    const claimedJob = (overrides = {}) => ({
+      _id: 'job1',
+      user: 'user1',
+      type: 'lyrics',
+      input: { theme: 'Rain' },
+      attempts: 1,
+      lockedBy: 'worker1',
+      ...overrides
+    });
+
+    beforeEach(() => {
+      GenerationJob.findOneAndUpdate.mockImplementation(async (filter, update) => ({ _id: filter._id, ...update.$set }));
+      incrementUsage.mockResolvedValue();
+    });
+
+    it('should store the result and charge once the job has succeeded', async () => {
+      runLyricsJob.mockResolvedValue({ result: { content: 'Lyrics' }, charge: 1 });
+
+      await runJob(claimedJob());
+
+      expect(runLyricsJob).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'job1' }),
+        { signal: expect.any(AbortSignal), lastAttempt: false }
+      );
+      expect(GenerationJob.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'job1', status: 'running', lockedBy: 'worker1', attempts: 1 },
+        {
+          $set: expect.objectContaining({
+            status: 'succeeded',
+            result: { content: 'Lyrics' },
+            charged: 1,
+            lockedBy: null,
+            finishedAt: expect.any(Date)
+          })
+        },
+        { new: true }
+      );
+      expect(incrementUsage).toHaveBeenCalledWith('lyrics', 'user1', 1);
+    });
+
+    it('should not charge a job that was taken over by another worker', async () => {
+      runLyricsJob.mockResolvedValue({ result: { content: 'Lyrics' }, charge: 1 });
+      GenerationJob.findOneAndUpdate.mockResolvedValue(null);
+
+      await runJob(claimedJob());
+
+      expect(incrementUsage).not.toHaveBeenCalled();
+    });
+
+    it('should not charge demo results', async () => {
+      runMusicJob.mockResolvedValue({ result: { demo: true }, charge: 0 });
+
+      await runJob(claimedJob({ type: 'music' }));
+
+      expect(GenerationJob.findOneAndUpdate.mock.calls[0][1].$set.status).toBe('succeeded');
+      expect(incrementUsage).not.toHaveBeenCalled();
+    });
+
+    it('should requeue a failed attempt with backoff', async () => {
+      runMusicJob.mockRejectedValue(new Error('Suno API error: 503'));
+      const before = Date.now();
+
+      await runJob(claimedJob({ type: 'music', attempts: 2 }));
+
+      const update = GenerationJob.findOneAndUpdate.mock.calls[0][1].$set;
+      expect(update.status).toBe('queued');
+      expect(update.error).toEqual({ message: 'Suno API error: 503', code: 'GENERATION_FAILED' });
+      expect(update.runAt.getTime()).toBeGreaterThanOrEqual(before + 10000);
+      expect(update.finishedAt).toBeUndefined();
+      expect(incrementUsage).not.toHaveBeenCalled();
+    });
+
+    it('should fail the job after the last attempt', async () => {
+      runMusicJob.mockRejectedValue(new Error('Suno API error: 503'));
+
+      await runJob(claimedJob({ type: 'music', attempts: 3 }));
+
+      const update = GenerationJob.findOneAndUpdate.mock.calls[0][1].$set;
+      expect(update.status).toBe('failed');
+      expect(update.finishedAt).toEqual(expect.any(Date));
+    });
+
+    it('should not retry client errors', async () => {
+      runMusicJob.mockRejectedValue(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+
+      await runJob(claimedJob({ type: 'music' }));
+
+      const update = GenerationJob.findOneAndUpdate.mock.calls[0][1].$set;
+      expect(update.status).toBe('failed');
+      expect(update.error.code).toBe('LYRICS_NOT_FOUND');
+    });
+
+    it('should tell the runner when it is on its last attempt', async () => {
+      runLyricsJob.mockResolvedValue({ result: {}, charge: 0 });
+
+      await runJob(claimedJob({ attempts: 3 }));
+
+      expect(runLyricsJob.mock.calls[0][1].lastAttempt).toBe(true);
+    });
+
+    it('should abandon a job whose worker died on the last attempt', async () => {
+      await runJob(claimedJob({ attempts: 4 }));
+
+      expect(runLyricsJob).not.toHaveBeenCalled();
+      const update = GenerationJob.findOneAndUpdate.mock.calls[0][1].$set;
+      expect(update.status).toBe('failed');
+      expect(update.error.code).toBe('JOB_ABANDONED');
+    });
+  });
+
+  describe('backoffDelay', () => {
+    it('should double the delay each attempt up to the maximum', () => {
+      expect(backoffDelay(1)).toBe(5000);
+      expect(backoffDelay(2)).toBe(10000);
+      expect(backoffDelay(3)).toBe(20000);
+      expect(backoffDelay(20)).toBe(300000);
+    });
+  });
+});
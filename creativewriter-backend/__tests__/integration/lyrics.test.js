@@ -1,26 +1,70 @@
 jest.mock('../../src/models/Lyrics');
 jest.mock('../../src/models/ApiKey');
 jest.mock('../../src/models/User');
+jest.mock('../../src/models/Setting');
+jest.mock('../../src/models/PromptTemplate');
+jest.mock('../../src/models/LyricsRevision');
+jest.mock('../../src/models/LyricsDraft');
+jest.mock('../../src/models/GenerationJob');
+jest.mock('../../src/models/Dialect');
+jest.mock('../../src/models/CatalogEntry');
+jest.mock('../../src/models/LyricsComment');
+jest.mock('../../src/models/Collection');
+jest.mock('../../src/models/ModerationFlag');
+jest.mock('../../src/models/ReferenceLyrics');
+jest.mock('../../src/models/VoiceRecording');
 jest.mock('../../src/middleware/usageLimit');
 jest.mock('node-fetch');
 
 const Lyrics = require('../../src/models/Lyrics');
 const ApiKey = require('../../src/models/ApiKey');
 const User = require('../../src/models/User');
+const Setting = require('../../src/models/Setting');
+const PromptTemplate = require('../../src/models/PromptTemplate');
+const LyricsRevision = require('../../src/models/LyricsRevision');
+const LyricsDraft = require('../../src/models/LyricsDraft');
+const GenerationJob = require('../../src/models/GenerationJob');
+const Dialect = require('../../src/models/Dialect');
+const CatalogEntry = require('../../src/models/CatalogEntry');
+const LyricsComment = require('../../src/models/LyricsComment');
+const Collection = require('../../src/models/Collection');
+const ModerationFlag = require('../../src/models/ModerationFlag');
+const ReferenceLyrics = require('../../src/models/ReferenceLyrics');
+const VoiceRecording = require('../../src/models/VoiceRecording');
 const { incrementUsage } = require('../../src/middleware/usageLimit');
 const fetch = require('node-fetch');
+const { Readable } = require('stream');
 const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
 
 const {
   generateLyrics,
+  streamLyrics,
+  getDrafts,
+  getDraft,
+  keepVariant,
+  discardDraft,
+  regenerateSection,
+  analyzeMeter,
+  analyzeRhyme,
+  suggestRaga,
+  regenerateTransliteration,
+  translateLyrics,
+  getSimilarity,
+  transliterateText,
   getLyrics,
   getLyricsById,
   updateLyrics,
   deleteLyrics,
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+  exportLyrics,
   toggleFavorite,
   getStats,
   getPublicLyrics
 } = require('../../src/controllers/lyricsController');
+const { runLyricsJob } = require('../../src/jobs/lyrics');
 
 describe('Lyrics Controller', () => {
   afterEach(() => {
@@ -29,134 +73,1629 @@ describe('Lyrics Controller', () => {
 
   // ==================== generateLyrics ====================
   describe('POST /lyrics/generate', () => {
+    beforeEach(() => {
+      GenerationJob.create.mockImplementation(async (doc) => ({ _id: 'job1', status: 'queued', ...doc }));
+    });
+
     it('should return error when no theme or customLines provided', async () => {
       const req = createMockReq({ body: {}, user: { _id: 'user1' } });
       const res = createMockRes();
       const next = createMockNext();
 
-      generateLyrics(req, res, next);
+      generateLyrics(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('MISSING_INPUT');
+      expect(GenerationJob.create).not.toHaveBeenCalled();
+    });
+
+    it('should queue a lyrics job and respond 202', async () => {
+      const req = createMockReq({
+        body: { theme: 'Love', style: 'romantic', dialect: 'coastal' },
+        user: { _id: 'user1' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      generateLyrics(req, res, next);
+      await flushPromises();
+
+      expect(GenerationJob.create).toHaveBeenCalledWith({
+        user: 'user1',
+        type: 'lyrics',
+        input: expect.objectContaining({ theme: 'Love', style: 'romantic', dialect: 'coastal', n: 1 }),
+        cost: 1
+      });
+      expect(fetch).not.toHaveBeenCalled();
+      expect(Lyrics.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ _id: 'job1', status: 'queued' }));
+    });
+
+    it('should reserve the cost of the extra variants on the job', async () => {
+      const req = createMockReq({
+        body: { theme: 'Rain', n: 3 },
+        user: { _id: 'user1' },
+        subscription: { plan: { features: { maxVariants: 4 } } }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      generateLyrics(req, res, next);
+      await flushPromises();
+
+      expect(GenerationJob.create).toHaveBeenCalledWith(expect.objectContaining({
+        input: expect.objectContaining({ n: 3 }),
+        cost: 2
+      }));
+      expect(res.json.mock.calls[0][0].message).toBe('Generating 3 variants');
+    });
+
+    it('should reject more variants than the plan allows', async () => {
+      const req = createMockReq({
+        body: { theme: 'Rain', n: 3 },
+        user: { _id: 'user1' },
+        subscription: { plan: { features: { maxVariants: 1 } } }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      generateLyrics(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FEATURE_NOT_AVAILABLE');
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+      expect(GenerationJob.create).not.toHaveBeenCalled();
+    });
+
+    it('should queue the tune template with the job', async () => {
+      const req = createMockReq({ body: { theme: 'Rain', tune: '8\nU I I U' }, user: { _id: 'user1' } });
+
+      generateLyrics(req, createMockRes(), createMockNext());
+      await flushPromises();
+
+      expect(GenerationJob.create.mock.calls[0][0].input).toEqual(expect.objectContaining({ tune: '8\nU I I U', n: 1 }));
+    });
+  });
+
+  // ==================== runLyricsJob ====================
+  describe('runLyricsJob', () => {
+    const lyricsJob = (input) => ({ _id: 'job1', user: 'user1', type: 'lyrics', input, attempts: 1 });
+
+    it('should generate lyrics using Anthropic API when key is available', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      fetch.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          content: [{ type: 'text', text: 'Generated Telugu lyrics here' }]
+        })
+      });
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Love Song' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const { result, charge } = await runLyricsJob(lyricsJob({ theme: 'Love', style: 'romantic', dialect: 'coastal' }));
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.anthropic.com/v1/messages',
+        expect.objectContaining({ method: 'POST' })
+      );
+      expect(result.content).toBe('Generated Telugu lyrics here');
+      expect(result.generationInfo.isDemo).toBe(false);
+      expect(result.saved).toEqual({ id: 'lyrics1', title: 'Love Song' });
+      expect(charge).toBe(1);
+      expect(LyricsRevision.record).toHaveBeenCalledWith(
+        { _id: 'lyrics1', title: 'Love Song' },
+        { source: 'generation', user: 'user1' }
+      );
+    });
+
+    it('should use demo mode when no API key configured', async () => {
+      ApiKey.getKeyForService.mockResolvedValue(null);
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Demo Song' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const { result } = await runLyricsJob(lyricsJob({ theme: 'Nature' }));
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(result.generationInfo.isDemo).toBe(true);
+    });
+
+    it('should prompt with the user\'s custom dialect profile', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      fetch.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'Nellore lyrics' }] })
+      });
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      Dialect.resolve.mockResolvedValueOnce({
+        key: 'nellore-a1b2c3',
+        name: 'Nellore',
+        nativeName: 'నెల్లూరు',
+        vocabulary: ['ఏమబ్బా'],
+        markers: [],
+        references: ['Rottela Panduga'],
+        baseDialect: 'rayalaseema'
+      });
+
+      await runLyricsJob(lyricsJob({ theme: 'Love', dialect: 'nellore-a1b2c3', saveResult: false }));
+
+      expect(Dialect.resolve).toHaveBeenCalledWith('nellore-a1b2c3', 'user1');
+      const prompt = JSON.parse(fetch.mock.calls[0][1].body).messages[0].content;
+      expect(prompt).toContain('నెల్లూరు (Nellore)');
+      expect(prompt).toContain('Rottela Panduga');
+    });
+
+    it('should prompt with the guidance of an admin-added style', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      fetch.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'Bathukamma lyrics' }] })
+      });
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      CatalogEntry.resolve.mockImplementation(async (kind, key) => (kind === 'style'
+        ? { key, name: 'Bathukamma Paata', teluguName: 'బతుకమ్మ పాట', guidance: 'Circle-dance song to Gauri', base: 'folk' }
+        : null));
+
+      await runLyricsJob(lyricsJob({ theme: 'Flowers', style: 'bathukamma-paata', saveResult: false }));
+
+      expect(CatalogEntry.resolve).toHaveBeenCalledWith('style', 'bathukamma-paata');
+      CatalogEntry.resolve.mockReset();
+      const prompt = JSON.parse(fetch.mock.calls[0][1].body).messages[0].content;
+      expect(prompt).toContain('Style: బతుకమ్మ పాట (Bathukamma Paata)');
+      expect(prompt).toContain('Style guidance: Circle-dance song to Gauri');
+    });
+
+    it('should throw so the job is retried when the API call fails', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      fetch.mockResolvedValue({ ok: false, status: 500 });
+
+      await expect(runLyricsJob(lyricsJob({ theme: 'Test' }), { lastAttempt: false })).rejects.toThrow();
+      expect(Lyrics.create).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to demo when the API call fails on the last attempt', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      fetch.mockResolvedValue({ ok: false, status: 500 });
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Fallback' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const { result } = await runLyricsJob(lyricsJob({ theme: 'Test' }), { lastAttempt: true });
+
+      expect(result.generationInfo.isDemo).toBe(true);
+    });
+
+    it('should not save once the attempt has been aborted', async () => {
+      ApiKey.getKeyForService.mockResolvedValue(null);
+      const controller = new AbortController();
+      controller.abort(new Error('Generation timed out'));
+
+      await expect(runLyricsJob(lyricsJob({ theme: 'Test' }), { signal: controller.signal, lastAttempt: true }))
+        .rejects.toThrow();
+      expect(Lyrics.create).not.toHaveBeenCalled();
+    });
+
+    it('should record the saved lyrics on the job so a retry does not save them again', async () => {
+      ApiKey.getKeyForService.mockResolvedValue(null);
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Test' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+      const job = lyricsJob({ theme: 'Test' });
+
+      const { result } = await runLyricsJob(job);
+
+      expect(GenerationJob.updateOne).toHaveBeenCalledWith({ _id: 'job1' }, { $set: { submission: result } });
+      expect(job.submission).toBe(result);
+    });
+
+    it('should finish from the saved lyrics on a retry', async () => {
+      const submission = { content: 'Saved', saved: { id: 'lyrics1', title: 'Test' } };
+
+      const { result, charge } = await runLyricsJob({ ...lyricsJob({ theme: 'Test' }), attempts: 2, submission });
+
+      expect(result).toBe(submission);
+      expect(charge).toBe(1);
+      expect(Lyrics.create).not.toHaveBeenCalled();
+    });
+
+    it('should record which provider answered in generationParams', async () => {
+      Setting.getValue.mockResolvedValueOnce(['anthropic', 'openai']);
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      fetch
+        .mockResolvedValueOnce({ ok: false, status: 529 })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: jest.fn().mockResolvedValue({ choices: [{ message: { content: 'OpenAI lyrics' } }] })
+        });
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Love' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const { result } = await runLyricsJob(lyricsJob({ theme: 'Love' }));
+
+      expect(Lyrics.create).toHaveBeenCalledWith(expect.objectContaining({
+        content: 'OpenAI lyrics',
+        generationParams: expect.objectContaining({ provider: 'openai', model: 'gpt-4o-mini' })
+      }));
+      expect(result.generationInfo.provider).toBe('openai');
+    });
+
+    it('should render the published prompt template and record its version', async () => {
+      PromptTemplate.getPublished.mockResolvedValueOnce({
+        _id: 'tpl3',
+        version: 3,
+        template: 'Write a {{styleName}} song about {{theme}} in {{dialectName}}'
+      });
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'Lyrics' }] })
+      });
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Rain' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      await runLyricsJob(lyricsJob({ theme: 'Rain', style: 'folk', dialect: 'telangana' }));
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.messages[0].content).toBe('Write a జానపద గీతం (Folk) song about Rain in తెలంగాణ (Telangana)');
+      expect(Lyrics.create).toHaveBeenCalledWith(expect.objectContaining({
+        generationParams: expect.objectContaining({ promptVersion: '3', promptTemplate: 'tpl3' })
+      }));
+    });
+
+    it('should fall back to the built-in template when none is published', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'Lyrics' }] })
+      });
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Rain' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      await runLyricsJob(lyricsJob({ theme: 'Rain' }));
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.messages[0].content).toContain('- Theme: Rain');
+      expect(Lyrics.create).toHaveBeenCalledWith(expect.objectContaining({
+        generationParams: expect.objectContaining({ promptVersion: '1', promptTemplate: null })
+      }));
+    });
+
+    it('should generate in the requested language with its template and default dialect', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'Hindi lyrics' }] })
+      });
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Rain' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const { result } = await runLyricsJob(lyricsJob({ theme: 'Rain', language: 'hi' }));
+
+      expect(PromptTemplate.getPublished).toHaveBeenCalledWith('lyrics-hi');
+      expect(Dialect.resolve).toHaveBeenCalledWith('khari-boli', 'user1');
+      const prompt = JSON.parse(fetch.mock.calls[0][1].body).messages[0].content;
+      expect(prompt).toContain('master Hindi lyricist');
+      expect(prompt).toContain('खड़ी बोली (Khari Boli)');
+      expect(Lyrics.create).toHaveBeenCalledWith(expect.objectContaining({ language: 'hi' }));
+      expect(result.metadata.language).toBe('hi');
+    });
+
+    it('should not save or charge when saveResult is false', async () => {
+      ApiKey.getKeyForService.mockResolvedValue(null);
+
+      const { result, charge } = await runLyricsJob(lyricsJob({ theme: 'Test', saveResult: false }));
+
+      expect(Lyrics.create).not.toHaveBeenCalled();
+      expect(result.saved).toBeNull();
+      expect(charge).toBe(0);
+    });
+
+    it('should update user stats on save and leave charging to the worker', async () => {
+      ApiKey.getKeyForService.mockResolvedValue(null);
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Song' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const { charge } = await runLyricsJob(lyricsJob({ theme: 'Test' }));
+
+      expect(charge).toBe(1);
+      expect(incrementUsage).not.toHaveBeenCalled();
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user1', {
+        $inc: { 'stats.lyricsGenerated': 1 }
+      });
+    });
+  });
+
+  describe('runLyricsJob written to a tune', () => {
+    const lyricsJob = (input) => ({ _id: 'job1', user: 'user1', type: 'lyrics', input, attempts: 1 });
+    const reply = (text) => ({ ok: true, json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text }] }) });
+    const SONG = '【పల్లవి - Pallavi】\nవాన వాన\n(vaana vaana)\nకోన కోన కల\n(kOna kOna kala)';
+
+    beforeEach(() => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      Lyrics.create.mockImplementation(async (doc) => ({ _id: 'lyrics1', ...doc }));
+      User.findByIdAndUpdate.mockResolvedValue({});
+    });
+
+    it('should prompt with the tune and rewrite the lines that do not fit', async () => {
+      fetch
+        .mockResolvedValueOnce(reply(SONG))
+        .mockResolvedValueOnce(reply('2. కోన కోన'));
+
+      const { result } = await runLyricsJob(lyricsJob({ theme: 'Rain', tune: '【పల్లవి】\n4\n4' }));
+
+      const prompt = JSON.parse(fetch.mock.calls[0][1].body).messages[0].content;
+      expect(prompt).toContain('**TUNE (the music is already composed):**');
+      expect(prompt).toContain('【పల్లవి】\n1. 4 syllables\n2. 4 syllables');
+      const retry = JSON.parse(fetch.mock.calls[1][1].body).messages[0].content;
+      expect(retry).toContain('**LINES TO REWRITE (1 lines):**\n2. కోన కోన కల (has 6 syllables; needs 4 syllables)');
+
+      expect(result.content).toContain('కోన కోన\n(kOna kOna)');
+      expect(result.tuneFit).toEqual(expect.objectContaining({ fits: true, fitted: 2, total: 2, retries: 1 }));
+      expect(LyricsRevision.record).toHaveBeenCalledWith(
+        expect.objectContaining({ content: result.content }),
+        { source: 'generation', user: 'user1', note: 'Written to a tune: 2 of 2 lines fit' }
+      );
+    });
+
+    it('should stop after the configured retries and report the lines that still do not fit', async () => {
+      fetch
+        .mockResolvedValueOnce(reply(SONG))
+        .mockResolvedValueOnce(reply('2. కోన కోన కల కల'))
+        .mockResolvedValueOnce(reply('no numbered lines'));
+
+      const { result } = await runLyricsJob(lyricsJob({ theme: 'Rain', tune: '4\n4' }));
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(result.content).toBe(SONG);
+      expect(result.tuneFit).toEqual(expect.objectContaining({ fits: false, fitted: 1, retries: 2 }));
+      expect(result.tuneFit.lines[1]).toEqual(expect.objectContaining({ text: 'కోన కోన కల', syllables: 6, fits: false }));
+    });
+
+    it('should keep the lyrics when a retry fails', async () => {
+      fetch
+        .mockResolvedValueOnce(reply(SONG))
+        .mockResolvedValueOnce({ ok: false, status: 500, json: jest.fn().mockResolvedValue({ error: { message: 'down' } }) });
+
+      const { result } = await runLyricsJob(lyricsJob({ theme: 'Rain', tune: '4\n4' }));
+
+      expect(result.content).toBe(SONG);
+      expect(result.tuneFit).toEqual(expect.objectContaining({ fits: false, retries: 1 }));
+    });
+
+    it('should add the tune to a published template without a place for it', async () => {
+      PromptTemplate.getPublished.mockResolvedValueOnce({ _id: 'tpl3', version: 3, template: 'Write a song about {{theme}}' });
+      fetch.mockResolvedValueOnce(reply(SONG));
+
+      const { result } = await runLyricsJob(lyricsJob({ theme: 'Rain', tune: '4\n6' }));
+
+      const prompt = JSON.parse(fetch.mock.calls[0][1].body).messages[0].content;
+      expect(prompt).toMatch(/^Write a song about Rain\n\n\*\*TUNE/);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(result.tuneFit.fits).toBe(true);
+    });
+
+    it('should not save when the attempt times out while fitting the tune', async () => {
+      const controller = new AbortController();
+      fetch
+        .mockResolvedValueOnce(reply(SONG))
+        .mockImplementationOnce(async () => {
+          controller.abort(new Error('Generation timed out'));
+          return reply('2. కోన కోన');
+        });
+
+      await expect(runLyricsJob(lyricsJob({ theme: 'Rain', tune: '4\n4' }), { signal: controller.signal }))
+        .rejects.toThrow('Generation timed out');
+      expect(Lyrics.create).not.toHaveBeenCalled();
+    });
+
+    it('should only report demo lyrics against the tune', async () => {
+      ApiKey.getKeyForService.mockResolvedValue(null);
+
+      const { result } = await runLyricsJob(lyricsJob({ theme: 'Rain', tune: '4\n4' }));
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(result.tuneFit).toEqual(expect.objectContaining({ total: 2, retries: 0 }));
+    });
+  });
+
+  // ==================== variants ====================
+  describe('runLyricsJob with n variants', () => {
+    const variantsJob = (input) => ({ _id: 'job1', user: 'user1', type: 'lyrics', input, attempts: 1 });
+    const anthropicReply = (text) => ({
+      ok: true,
+      json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text }] })
+    });
+
+    beforeEach(() => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      LyricsDraft.create.mockImplementation(async (doc) => ({ _id: 'draft1', createdAt: 'now', ...doc }));
+    });
+
+    it('should store the candidates as a draft group and charge for extra variants', async () => {
+      fetch
+        .mockResolvedValueOnce(anthropicReply('Take one'))
+        .mockResolvedValueOnce(anthropicReply('Take two'))
+        .mockResolvedValueOnce(anthropicReply('Take three'));
+
+      const { result, charge } = await runLyricsJob(variantsJob({ theme: 'Rain', style: 'folk', n: 3 }));
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      const draft = LyricsDraft.create.mock.calls[0][0];
+      expect(draft).toEqual(expect.objectContaining({
+        user: 'user1',
+        theme: 'Rain',
+        style: 'folk',
+        dialect: 'coastal',
+        charged: 2,
+        expiresAt: expect.any(Date)
+      }));
+      expect(draft.variants.map(v => v.content)).toEqual(['Take one', 'Take two', 'Take three']);
+      expect(draft.variants[0].generationParams).toEqual(expect.objectContaining({ provider: 'anthropic' }));
+      expect(charge).toBe(2);
+      expect(Lyrics.create).not.toHaveBeenCalled();
+
+      expect(result.draft.id).toBe('draft1');
+      expect(result.draft.variants[2]).toEqual(expect.objectContaining({ index: 2, content: 'Take three', saved: null }));
+      expect(result.draft.variants[2].metadata.style).toBe('folk');
+    });
+
+    it('should drop failed candidates and charge only for those produced', async () => {
+      fetch
+        .mockResolvedValueOnce(anthropicReply('Take one'))
+        .mockResolvedValueOnce({ ok: false, status: 500 })
+        .mockResolvedValueOnce(anthropicReply('Take three'));
+
+      const { charge } = await runLyricsJob(variantsJob({ theme: 'Rain', n: 3 }));
+
+      expect(LyricsDraft.create.mock.calls[0][0].variants.map(v => v.content)).toEqual(['Take one', 'Take three']);
+      expect(charge).toBe(1.5);
+    });
+
+    it('should fall back to a single demo variant when every candidate fails', async () => {
+      ApiKey.getKeyForService.mockResolvedValue(null);
+
+      const { result, charge } = await runLyricsJob(variantsJob({ theme: 'Rain', n: 2 }));
+
+      const draft = LyricsDraft.create.mock.calls[0][0];
+      expect(draft.variants).toHaveLength(1);
+      expect(draft.variants[0].generationParams.model).toBe('demo');
+      expect(charge).toBe(1);
+      expect(result.draft.variants[0].generationInfo.isDemo).toBe(true);
+    });
+  });
+
+  describe('Lyrics drafts', () => {
+    const mockDraft = () => ({
+      _id: 'draft1',
+      theme: 'Rain',
+      style: 'folk',
+      dialect: 'telangana',
+      poetryForm: 'geeyam',
+      charged: 1.5,
+      variants: [
+        { content: 'Take one', generationParams: { provider: 'anthropic', model: 'claude' } },
+        { content: 'Take two', generationParams: { provider: 'openai', model: 'gpt-4o-mini' } }
+      ],
+      deleteOne: jest.fn().mockResolvedValue(true)
+    });
+
+    it('should list the unexpired drafts of the user', async () => {
+      const sort = jest.fn().mockResolvedValue([mockDraft()]);
+      LyricsDraft.find.mockReturnValue({ sort });
+
+      const req = createMockReq({ user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getDrafts(req, res, next);
+      await flushPromises();
+
+      expect(LyricsDraft.find).toHaveBeenCalledWith({ user: 'user1', expiresAt: { $gt: expect.any(Date) } });
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+      const body = res.json.mock.calls[0][0];
+      expect(body.count).toBe(1);
+      expect(body.data[0].variants[1].generationInfo.provider).toBe('openai');
+    });
+
+    it('should return 404 for a missing or expired draft', async () => {
+      LyricsDraft.findOne.mockResolvedValue(null);
+
+      const req = createMockReq({ params: { id: 'draft1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getDraft(req, res, next);
+      await flushPromises();
+
+      expect(LyricsDraft.findOne).toHaveBeenCalledWith({ _id: 'draft1', user: 'user1', expiresAt: { $gt: expect.any(Date) } });
+      expect(next.mock.calls[0][0].code).toBe('DRAFT_NOT_FOUND');
+    });
+
+    it('should keep the chosen variant without charging again and discard the group', async () => {
+      const draft = mockDraft();
+      LyricsDraft.findOne.mockResolvedValue(draft);
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Rain' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const req = createMockReq({ params: { id: 'draft1' }, body: { index: 1 }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      keepVariant(req, res, next);
+      await flushPromises();
+
+      expect(Lyrics.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'user1',
+        title: 'Rain',
+        content: 'Take two',
+        style: 'folk',
+        dialect: 'telangana',
+        generationParams: { provider: 'openai', model: 'gpt-4o-mini' }
+      }));
+      expect(LyricsRevision.record).toHaveBeenCalledWith(
+        { _id: 'lyrics1', title: 'Rain' },
+        { source: 'generation', user: 'user1', note: 'Kept variant 2 of 2' }
+      );
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user1', { $inc: { 'stats.lyricsGenerated': 1 } });
+      expect(incrementUsage).not.toHaveBeenCalled();
+      expect(draft.deleteOne).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data.saved).toEqual({ id: 'lyrics1', title: 'Rain' });
+    });
+
+    it('should reject an index outside the group', async () => {
+      const draft = mockDraft();
+      LyricsDraft.findOne.mockResolvedValue(draft);
+
+      const req = createMockReq({ params: { id: 'draft1' }, body: { index: 2 }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      keepVariant(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('VARIANT_NOT_FOUND');
+      expect(Lyrics.create).not.toHaveBeenCalled();
+      expect(draft.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should discard a draft group', async () => {
+      const draft = mockDraft();
+      LyricsDraft.findOne.mockResolvedValue(draft);
+
+      const req = createMockReq({ params: { id: 'draft1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      discardDraft(req, res, next);
+      await flushPromises();
+
+      expect(draft.deleteOne).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].message).toBe('Variants discarded');
+    });
+  });
+
+  // ==================== streamLyrics ====================
+  describe('POST /lyrics/generate/stream', () => {
+    const sseChunk = (event, data) => Buffer.from(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const textDelta = (text) => sseChunk('content_block_delta', { type: 'content_block_delta', delta: { type: 'text_delta', text } });
+
+    // Parse the events the controller wrote to the mock response
+    const writtenEvents = (res) => res._written.map(chunk => {
+      const [eventLine, dataLine] = chunk.trim().split('\n');
+      return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+
+    const waitForStream = async (res) => {
+      for (let i = 0; i < 20 && !res.end.mock.calls.length; i++) {
+        await flushPromises();
+      }
+    };
+
+    it('should return error before streaming when no theme or customLines provided', async () => {
+      const req = createMockReq({ body: {}, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      streamLyrics(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('MISSING_INPUT');
+      expect(res.write).not.toHaveBeenCalled();
+    });
+
+    it('should relay Anthropic text deltas and save on completion', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      fetch.mockResolvedValue({
+        ok: true,
+        body: Readable.from([
+          sseChunk('message_start', { type: 'message_start' }),
+          textDelta('【పల్లవి - Pallavi】\n'),
+          textDelta('వెన్నెల రేయి'),
+          sseChunk('message_stop', { type: 'message_stop' })
+        ])
+      });
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Love' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+      incrementUsage.mockResolvedValue();
+
+      const req = createMockReq({ body: { theme: 'Love', style: 'romantic' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      streamLyrics(req, res, next);
+      await waitForStream(res);
+
+      const requestBody = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(requestBody.stream).toBe(true);
+      expect(res._headers['content-type']).toMatch(/text\/event-stream/);
+
+      const events = writtenEvents(res);
+      expect(events.filter(e => e.event === 'delta').map(e => e.data.text))
+        .toEqual(['【పల్లవి - Pallavi】\n', 'వెన్నెల రేయి']);
+
+      const done = events.find(e => e.event === 'done');
+      expect(done.data.content).toBe('【పల్లవి - Pallavi】\nవెన్నెల రేయి');
+      expect(done.data.saved).toEqual({ id: 'lyrics1', title: 'Love' });
+      expect(done.data.generationInfo.isDemo).toBe(false);
+      expect(Lyrics.create).toHaveBeenCalledWith(expect.objectContaining({ content: '【పల్లవి - Pallavi】\nవెన్నెల రేయి' }));
+      expect(incrementUsage).toHaveBeenCalledWith('lyrics', 'user1');
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('should stream demo lyrics when no API key configured', async () => {
+      ApiKey.getKeyForService.mockResolvedValue(null);
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Demo' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+      incrementUsage.mockResolvedValue();
+
+      const req = createMockReq({ body: { theme: 'Nature' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      streamLyrics(req, res, next);
+      await waitForStream(res);
+
+      expect(fetch).not.toHaveBeenCalled();
+      const events = writtenEvents(res);
+      expect(events[0]).toEqual({ event: 'start', data: { provider: 'demo', model: 'demo', isDemo: true } });
+      expect(events.find(e => e.event === 'done').data.generationInfo.isDemo).toBe(true);
+    });
+
+    it('should abort upstream and skip saving when the client disconnects', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      let res;
+      async function* disconnectingBody() {
+        yield textDelta('వెన్నెల');
+        res._listeners.close();
+        const abortError = new Error('The user aborted a request.');
+        abortError.name = 'AbortError';
+        throw abortError;
+      }
+      fetch.mockResolvedValue({ ok: true, body: disconnectingBody() });
+
+      const req = createMockReq({ body: { theme: 'Love' }, user: { _id: 'user1' } });
+      res = createMockRes();
+      const next = createMockNext();
+
+      streamLyrics(req, res, next);
+      for (let i = 0; i < 5; i++) await flushPromises();
+
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+      expect(Lyrics.create).not.toHaveBeenCalled();
+      expect(incrementUsage).not.toHaveBeenCalled();
+    });
+
+    it('should send an error event without saving when the stream fails midway', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      fetch.mockResolvedValue({
+        ok: true,
+        body: Readable.from([
+          textDelta('వెన్నెల'),
+          sseChunk('error', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } })
+        ])
+      });
+
+      const req = createMockReq({ body: { theme: 'Love' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      streamLyrics(req, res, next);
+      await waitForStream(res);
+
+      const events = writtenEvents(res);
+      expect(events[events.length - 1]).toEqual({
+        event: 'error',
+        data: { error: 'Lyrics generation was interrupted', code: 'STREAM_INTERRUPTED' }
+      });
+      expect(Lyrics.create).not.toHaveBeenCalled();
+      expect(incrementUsage).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to demo lyrics when the API fails before any text', async () => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      fetch.mockResolvedValue({ ok: false, status: 529 });
+      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Fallback' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+      incrementUsage.mockResolvedValue();
+
+      const req = createMockReq({ body: { theme: 'Test' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      streamLyrics(req, res, next);
+      await waitForStream(res);
+
+      const done = writtenEvents(res).find(e => e.event === 'done');
+      expect(done.data.generationInfo.isDemo).toBe(true);
+      expect(done.data.content).toContain('Demo Mode');
+    });
+  });
+
+  // ==================== regenerateSection ====================
+  describe('POST /lyrics/:id/sections/:section/regenerate', () => {
+    const SONG = '【పల్లవి - Pallavi】\nపాత పల్లవి\n\n【చరణం 1 - Charanam 1】\nపాత చరణం\n\n---\n🎶 Theme: Rain';
+
+    const mockSavedLyrics = (overrides = {}) => ({
+      _id: 'lyrics1',
+      user: { toString: () => 'user1' },
+      content: SONG,
+      theme: 'Rain',
+      style: 'folk',
+      dialect: 'telangana',
+      poetryForm: 'geeyam',
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides
+    });
+
+    it('should replace only the targeted section and charge a fractional unit', async () => {
+      const lyrics = mockSavedLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: '【చరణం 1 - Charanam 1】\nకొత్త చరణం' }] })
+      });
+      incrementUsage.mockResolvedValue();
+
+      const req = createMockReq({
+        params: { id: 'lyrics1', section: 'charanam-1' },
+        body: { instructions: 'more monsoon imagery' },
+        user: { _id: 'user1' }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      regenerateSection(req, res, next);
+      await flushPromises();
+
+      const prompt = JSON.parse(fetch.mock.calls[0][1].body).messages[0].content;
+      expect(prompt).toContain('పాత పల్లవి');
+      expect(prompt).toContain('more monsoon imagery');
+      expect(prompt).toContain('【చరణం 1 - Charanam 1】');
+
+      expect(lyrics.content).toBe('【పల్లవి - Pallavi】\nపాత పల్లవి\n\n【చరణం 1 - Charanam 1】\nకొత్త చరణం\n\n---\n🎶 Theme: Rain');
+      expect(lyrics.save).toHaveBeenCalled();
+      expect(incrementUsage).toHaveBeenCalledWith('lyrics', 'user1', 0.25);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(LyricsRevision.record).toHaveBeenCalledWith(lyrics, { source: 'section', user: 'user1', note: 'Regenerated చరణం 1 - Charanam 1' });
+
+      const data = res.json.mock.calls[0][0].data;
+      expect(data.section).toEqual(expect.objectContaining({ key: 'charanam-1', previous: 'పాత చరణం', content: 'కొత్త చరణం' }));
+      expect(data.generationInfo.provider).toBe('anthropic');
+    });
+
+
+    it('should rewrite a section with its language\'s template', async () => {
+      Lyrics.findById.mockResolvedValue(mockSavedLyrics({ language: 'ta', dialect: 'madurai' }));
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'புதிய சரணம்' }] })
+      });
+      incrementUsage.mockResolvedValue();
+
+      const req = createMockReq({ params: { id: 'lyrics1', section: 'charanam-1' }, body: {}, user: { _id: 'user1' } });
+
+      regenerateSection(req, createMockRes(), createMockNext());
+      await flushPromises();
+
+      expect(PromptTemplate.getPublished).toHaveBeenCalledWith('section-ta');
+      expect(JSON.parse(fetch.mock.calls[0][1].body).messages[0].content).toContain('existing Tamil song');
+    });
+    it('should return 404 for an unknown section', async () => {
+      Lyrics.findById.mockResolvedValue(mockSavedLyrics());
+
+      const req = createMockReq({ params: { id: 'lyrics1', section: 'charanam-3' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      regenerateSection(req, res, next);
+      await flushPromises();
+
+      const err = next.mock.calls[0][0];
+      expect(err.code).toBe('SECTION_NOT_FOUND');
+      expect(err.message).toContain('pallavi, charanam-1');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 for lyrics owned by another user', async () => {
+      Lyrics.findById.mockResolvedValue(mockSavedLyrics({ user: { toString: () => 'other' } }));
+
+      const req = createMockReq({ params: { id: 'lyrics1', section: 'pallavi' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      regenerateSection(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+
+    it('should not modify or charge when no provider is available', async () => {
+      const lyrics = mockSavedLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      ApiKey.getKeyForService.mockResolvedValue(null);
+
+      const req = createMockReq({ params: { id: 'lyrics1', section: 'pallavi' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      regenerateSection(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('PROVIDERS_UNAVAILABLE');
+      expect(lyrics.content).toBe(SONG);
+      expect(lyrics.save).not.toHaveBeenCalled();
+      expect(incrementUsage).not.toHaveBeenCalled();
+    });
+
+    it('should keep public lyrics unchanged when the new section copies another song', async () => {
+      const lyrics = mockSavedLyrics({ isPublic: true });
+      Lyrics.findById.mockResolvedValue(lyrics);
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'నీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను' }] })
+      });
+      Lyrics.aggregate.mockResolvedValueOnce([]);
+      ReferenceLyrics.aggregate.mockResolvedValueOnce([{
+        _id: 'ref1', title: 'Vennela Song', content: '【Pallavi】\nnee kosam vennela raatri vechi unnaanu\n\n【Charanam】\npaata charanam'
+      }]);
+
+      const req = createMockReq({ params: { id: 'lyrics1', section: 'pallavi' }, body: {}, user: { _id: 'user1' } });
+      const res = createMockRes();
+
+      regenerateSection(req, res, createMockNext());
+      await flushPromises();
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].code).toBe('TOO_SIMILAR');
+      expect(lyrics.content).toBe(SONG);
+      expect(lyrics.save).not.toHaveBeenCalled();
+      expect(incrementUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== analyzeMeter ====================
+  describe('POST /lyrics/:id/analyze-meter', () => {
+    const UTPALAMALA = 'ఎవ్వనిచే జనించు జగ మెవ్వని లోపల నుండు లీనమై';
+
+    it('should analyze the Telugu lines of stored sections', async () => {
+      Lyrics.findById.mockResolvedValue({
+        user: { toString: () => 'user1' },
+        poetryForm: 'padyam',
+        content: UTPALAMALA,
+        sections: [
+          { key: 'pallavi', type: 'pallavi', teluguLines: [UTPALAMALA], transliterationLines: ['Evvaniche'] },
+          { key: 'metadata', type: 'metadata', teluguLines: [], transliterationLines: [] }
+        ]
+      });
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, body: {}, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      analyzeMeter(req, res, next);
+      await flushPromises();
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(data.meter.key).toBe('utpalamala');
+      expect(data.detected).toBe(true);
+      expect(data.summary).toEqual({ totalLines: 1, passed: 1, failed: 0 });
+      expect(data.lines[0]).toMatchObject({ section: 'pallavi', pass: true });
+    });
+
+    it('should fall back to content lines when there are no sections', async () => {
+      Lyrics.findById.mockResolvedValue({
+        user: { toString: () => 'user1' },
+        poetryForm: 'padyam',
+        content: `${UTPALAMALA}\n(Evvaniche janinchu)\n---\n🎶 Theme: భక్తి`,
+        sections: []
+      });
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, body: { meter: 'champakamala' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      analyzeMeter(req, res, next);
+      await flushPromises();
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.meter.key).toBe('champakamala');
+      expect(data.lines).toHaveLength(1);
+      expect(data.lines[0].section).toBe('lyrics');
+      expect(data.lines[0].pass).toBe(false);
+      expect(data.lines[0].violations.length).toBeGreaterThan(0);
+    });
+
+    it('should reject lyrics without Telugu lines', async () => {
+      Lyrics.findById.mockResolvedValue({
+        user: { toString: () => 'user1' },
+        content: 'Only English here',
+        sections: []
+      });
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, body: {}, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      analyzeMeter(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('NO_TELUGU_LINES');
+    });
+
+    it('should forbid analyzing another user\'s private lyrics', async () => {
+      Lyrics.findById.mockResolvedValue({
+        user: { toString: () => 'other' },
+        isPublic: false,
+        content: UTPALAMALA,
+        sections: []
+      });
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, body: {}, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      analyzeMeter(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+  });
+
+  // ==================== analyzeRhyme ====================
+  describe('POST /lyrics/:id/analyze-rhyme', () => {
+    const mockRhymeLyrics = (overrides = {}) => ({
+      user: { toString: () => 'user1' },
+      content: '【పల్లవి - Pallavi】\nవాన వాన వల్లప్ప\nకోన కోన కల్లప్ప',
+      sections: [
+        { key: 'pallavi', type: 'pallavi', label: 'పల్లవి - Pallavi', teluguLines: ['వాన వాన వల్లప్ప', 'కోన కోన కల్లప్ప'], transliterationLines: [] }
+      ],
+      metadata: {},
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides
+    });
+
+    it('should return a per-section report and save the score', async () => {
+      const lyrics = mockRhymeLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      analyzeRhyme(req, res, next);
+      await flushPromises();
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(data.sections[0]).toMatchObject({ key: 'pallavi', praasa: { letter: 'న', consistency: 1 } });
+      expect(lyrics.metadata.rhyme.score).toBe(data.score);
+      expect(lyrics.save).toHaveBeenCalled();
+    });
+
+    it('should not save when the stored score is current', async () => {
+      const lyrics = mockRhymeLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } });
+      analyzeRhyme(req, createMockRes(), createMockNext());
+      await flushPromises();
+      lyrics.save.mockClear();
+
+      analyzeRhyme(req, createMockRes(), createMockNext());
+      await flushPromises();
+
+      expect(lyrics.save).not.toHaveBeenCalled();
+    });
+
+    it('should report public lyrics of other users without saving', async () => {
+      const lyrics = mockRhymeLyrics({ user: { toString: () => 'other' }, isPublic: true });
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      analyzeRhyme(req, res, next);
+      await flushPromises();
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(lyrics.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when lyrics do not exist', async () => {
+      Lyrics.findById.mockResolvedValue(null);
+
+      const req = createMockReq({ params: { id: 'missing' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      analyzeRhyme(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('LYRICS_NOT_FOUND');
+    });
+  });
+
+  describe('POST /lyrics/:id/suggest-raga', () => {
+    const mockRagaLyrics = (overrides = {}) => ({
+      user: { toString: () => 'user1' },
+      style: 'devotional',
+      poetryForm: 'keertana',
+      theme: 'Prayer to Lord Venkateswara',
+      content: '【పల్లవి - Pallavi】\nఏడుకొండలవాడా వెంకటరమణా గోవిందా',
+      sections: [
+        { key: 'pallavi', type: 'pallavi', label: 'పల్లవి - Pallavi', teluguLines: ['ఏడుకొండలవాడా వెంకటరమణా గోవిందా'], transliterationLines: [] }
+      ],
+      metadata: {},
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides
+    });
+
+    it('should return ranked suggestions and save the top ones', async () => {
+      const lyrics = mockRagaLyrics();
+      Lyrics.findById.mockResolvedValueOnce(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+
+      suggestRaga(req, res, createMockNext());
+      await flushPromises();
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(data.moods).toEqual(['devotion']);
+      expect(data.talas[0].key).toBe('adi');
+      expect(data.suggestedRaga).toBe(data.ragas[0].name);
+      expect(data.fromFooter).toEqual({ raga: false, tala: false });
+      expect(lyrics.metadata).toEqual({ suggestedRaga: data.ragas[0].name, suggestedTala: 'Adi' });
+      expect(lyrics.save).toHaveBeenCalled();
+    });
+
+    it('should keep a raga named in the footer', async () => {
+      const lyrics = mockRagaLyrics({
+        content: '【పల్లవి - Pallavi】\nఏడుకొండలవాడా వెంకటరమణా గోవిందా\n\n---\n🎵 Raga: మోహనం'
+      });
+      Lyrics.findById.mockResolvedValueOnce(lyrics);
+
+      const res = createMockRes();
+
+      suggestRaga(createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } }), res, createMockNext());
+      await flushPromises();
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.suggestedRaga).toBe('మోహనం');
+      expect(data.fromFooter).toEqual({ raga: true, tala: false });
+      expect(lyrics.metadata.suggestedRaga).toBe('మోహనం');
+    });
+
+    it('should score a catalog style as the style it is based on', async () => {
+      CatalogEntry.resolve.mockImplementation(async (kind) => (kind === 'style' ? { key: 'annamayya-keertana', base: 'devotional' } : null));
+      const lyrics = mockRagaLyrics({ style: 'annamayya-keertana' });
+      Lyrics.findById.mockResolvedValueOnce(lyrics);
+
+      const res = createMockRes();
+
+      suggestRaga(createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } }), res, createMockNext());
+      await flushPromises();
+      CatalogEntry.resolve.mockReset();
+
+      expect(res.json.mock.calls[0][0].data.ragas[0].reasons).toContain('Often used for devotional songs');
+    });
+
+    it('should not save when the stored suggestions are current', async () => {
+      const lyrics = mockRagaLyrics();
+      Lyrics.findById.mockResolvedValueOnce(lyrics).mockResolvedValueOnce(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } });
+      suggestRaga(req, createMockRes(), createMockNext());
+      await flushPromises();
+      lyrics.save.mockClear();
+
+      suggestRaga(req, createMockRes(), createMockNext());
+      await flushPromises();
+
+      expect(lyrics.save).not.toHaveBeenCalled();
+    });
+
+    it('should suggest for public lyrics of other users without saving', async () => {
+      const lyrics = mockRagaLyrics({ user: { toString: () => 'other' }, isPublic: true });
+      Lyrics.findById.mockResolvedValueOnce(lyrics);
+
+      const res = createMockRes();
+
+      suggestRaga(createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } }), res, createMockNext());
+      await flushPromises();
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(lyrics.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 for private lyrics of other users', async () => {
+      Lyrics.findById.mockResolvedValueOnce(mockRagaLyrics({ user: { toString: () => 'other' } }));
+      const next = createMockNext();
+
+      suggestRaga(createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } }), createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+
+    it('should return 404 when lyrics do not exist', async () => {
+      Lyrics.findById.mockResolvedValueOnce(null);
+      const next = createMockNext();
+
+      suggestRaga(createMockReq({ params: { id: 'missing' }, user: { _id: 'user1' } }), createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('LYRICS_NOT_FOUND');
+    });
+  });
+
+  // ==================== transliteration ====================
+  describe('POST /lyrics/:id/transliteration', () => {
+    it('should regenerate the transliteration lines and save', async () => {
+      const lyrics = {
+        user: { toString: () => 'user1' },
+        content: '【పల్లవి - Pallavi】\nనీ నవ్వే\n(Nee navve)',
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, body: { scheme: 'iso' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      regenerateTransliteration(req, res, next);
+      await flushPromises();
+
+      expect(lyrics.content).toBe('【పల్లవి - Pallavi】\nనీ నవ్వే\n(nī navvē)\n');
+      expect(lyrics.save).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].message).toContain('ISO 15919');
+    });
+
+    it('should forbid regenerating another user\'s lyrics', async () => {
+      Lyrics.findById.mockResolvedValue({ user: { toString: () => 'other' }, isPublic: true });
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, body: {}, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      regenerateTransliteration(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+  });
+
+  // ==================== translateLyrics ====================
+  describe('POST /lyrics/:id/translate', () => {
+    const SONG = '【పల్లవి - Pallavi】\nవాన వాన వల్లప్ప\n(Vaana vaana vallappa)\n\n【చరణం 1 - Charanam 1】\nమబ్బులు కమ్మెను\nచినుకులు రాలెను\n\n---\n🎶 Theme: Rain';
+
+    const mockSavedLyrics = (overrides = {}) => ({
+      _id: 'lyrics1',
+      user: { toString: () => 'user1' },
+      content: SONG,
+      theme: 'Rain',
+      style: 'folk',
+      dialect: 'telangana',
+      poetryForm: 'geeyam',
+      language: 'te',
+      translations: [],
+      collaborators: [],
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides
+    });
+
+    const mockTranslation = (text) => {
+      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text }] })
+      });
+      incrementUsage.mockResolvedValue();
+    };
+
+    it('should store a line-aligned translation and charge a fractional unit', async () => {
+      const lyrics = mockSavedLyrics({ translations: [{ language: 'en', sections: [], stale: true }, { language: 'hi', sections: [] }] });
+      Lyrics.findById.mockResolvedValue(lyrics);
+      mockTranslation('1. Rain, rain, Vallappa\n2. The clouds gathered\n3. The drops fell');
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { to: 'en' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      translateLyrics(req, res, next);
+      await flushPromises();
+
+      expect(PromptTemplate.getPublished).toHaveBeenCalledWith('translate');
+      const prompt = JSON.parse(fetch.mock.calls[0][1].body).messages[0].content;
+      expect(prompt).toContain('Translate a Telugu song into English');
+      expect(prompt).toContain('【చరణం 1 - Charanam 1】\n2. మబ్బులు కమ్మెను\n3. చినుకులు రాలెను');
+      expect(prompt).not.toContain('Vaana vaana vallappa');
+
+      expect(lyrics.translations.map(t => t.language)).toEqual(['hi', 'en']);
+      const translation = lyrics.translations[1];
+      expect(translation.stale).toBe(false);
+      expect(translation.provider).toBe('anthropic');
+      expect(translation.sections[1]).toEqual({
+        key: 'charanam-1',
+        label: 'చరణం 1 - Charanam 1',
+        lines: [{ source: 'మబ్బులు కమ్మెను', text: 'The clouds gathered' }, { source: 'చినుకులు రాలెను', text: 'The drops fell' }]
+      });
+      expect(lyrics.save).toHaveBeenCalled();
+      expect(incrementUsage).toHaveBeenCalledWith('lyrics', 'user1', 0.25);
+      expect(res.json.mock.calls[0][0].message).toBe('Translated into English');
+    });
+
+    it('should let a viewer translate shared lyrics', async () => {
+      const lyrics = mockSavedLyrics({
+        user: { toString: () => 'owner1' },
+        collaborators: [{ user: { toString: () => 'user1' }, role: 'viewer', status: 'accepted' }]
+      });
+      Lyrics.findById.mockResolvedValue(lyrics);
+      mockTranslation('1. बारिश\n3. बूँदें गिरीं');
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { to: 'hi' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+
+      translateLyrics(req, res, createMockNext());
+      await flushPromises();
+
+      expect(lyrics.translations[0].sections[1].lines.map(l => l.text)).toEqual(['', 'बूँदें गिरीं']);
+      expect(res.json.mock.calls[0][0].data.missingLines).toBe(1);
+      expect(res.json.mock.calls[0][0].message).toContain('1 of 3 lines were skipped');
+    });
+
+    it('should reject translating into the song\'s own language', async () => {
+      Lyrics.findById.mockResolvedValue(mockSavedLyrics({ language: 'hi', dialect: 'khari-boli' }));
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { to: 'hi' }, user: { _id: 'user1' } });
+      const next = createMockNext();
+
+      translateLyrics(req, createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('SAME_LANGUAGE');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should forbid translating lyrics the user cannot see', async () => {
+      Lyrics.findById.mockResolvedValue(mockSavedLyrics({ user: { toString: () => 'other' }, isPublic: true }));
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { to: 'en' }, user: { _id: 'user1' } });
+      const next = createMockNext();
+
+      translateLyrics(req, createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+
+    it('should not save or charge when the model returns no numbered lines', async () => {
+      const lyrics = mockSavedLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      mockTranslation('Sorry, I cannot translate this song.');
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { to: 'en' }, user: { _id: 'user1' } });
+      const next = createMockNext();
+
+      translateLyrics(req, createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('EMPTY_TRANSLATION');
+      expect(lyrics.save).not.toHaveBeenCalled();
+      expect(incrementUsage).not.toHaveBeenCalled();
+    });
+
+    it('should not save or charge when no provider is available', async () => {
+      const lyrics = mockSavedLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      ApiKey.getKeyForService.mockResolvedValue(null);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { to: 'en' }, user: { _id: 'user1' } });
+      const next = createMockNext();
+
+      translateLyrics(req, createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('PROVIDERS_UNAVAILABLE');
+      expect(lyrics.save).not.toHaveBeenCalled();
+      expect(incrementUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /lyrics/:id/similarity', () => {
+    const SONG = '【పల్లవి】\nనీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను\nనా మనసు నీ పేరే పాడుతోంది';
+
+    const checkSimilarity = async (lyrics, userId = 'user1') => {
+      Lyrics.findById.mockResolvedValue(lyrics);
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: { _id: { toString: () => userId } } });
+      const res = createMockRes();
+      const next = createMockNext();
+      getSimilarity(req, res, next);
+      await flushPromises();
+      return { res, next };
+    };
+
+    it('should return the closest matches with their overlapping lines', async () => {
+      Lyrics.aggregate.mockResolvedValueOnce([
+        { _id: 'other1', title: 'Unrelated', content: '【పల్లవి】\nమేఘాల మధ్య చందమామ దాగింది', owner: [{ name: 'Sita' }] }
+      ]);
+      ReferenceLyrics.aggregate.mockResolvedValueOnce([
+        { _id: 'ref1', title: 'Vennela Song', film: 'Old Film', year: 1990, lyricist: 'Poet', content: 'nee kosam vennela raatri vechi unnaanu' }
+      ]);
+
+      const { res } = await checkSimilarity({ _id: 'lyrics1', user: { toString: () => 'user1' }, content: SONG });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data, count } = res.json.mock.calls[0][0];
+      expect(count).toBe(1);
+      expect(data.threshold).toBe(0.6);
+      expect(data.score).toBe(data.matches[0].similarity);
+      expect(data.blocked).toBe(false);
+      expect(data.matches[0]).toEqual(expect.objectContaining({ source: 'reference', _id: 'ref1', film: 'Old Film', year: 1990 }));
+      expect(data.matches[0].content).toBeUndefined();
+      expect(data.matches[0].overlappingLines).toEqual([expect.objectContaining({
+        line: 'నీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను',
+        matchedLine: 'nee kosam vennela raatri vechi unnaanu',
+        overlap: 1
+      })]);
+    });
+
+    it('should report lyrics as blocked when a match reaches the threshold', async () => {
+      Lyrics.aggregate.mockResolvedValueOnce([{ _id: 'other1', title: 'Copy', content: SONG, owner: [] }]);
+      ReferenceLyrics.aggregate.mockResolvedValueOnce([]);
+
+      const { res } = await checkSimilarity({ _id: 'lyrics1', user: { toString: () => 'user1' }, content: SONG });
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({ score: 1, blocked: true }));
+      expect(data.matches[0].author).toBeNull();
+    });
+
+    it('should not search when the lyrics have no lines to compare', async () => {
+      const { res } = await checkSimilarity({ _id: 'lyrics1', user: { toString: () => 'user1' }, content: 'లా లా' });
+
+      expect(Lyrics.aggregate).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data).toEqual({ score: 0, threshold: 0.6, blocked: false, matches: [] });
+    });
+
+    it('should return 403 for users without access', async () => {
+      const { next } = await checkSimilarity({ _id: 'lyrics1', user: { toString: () => 'other' }, isPublic: true, content: SONG });
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+
+    it('should return 404 if lyrics not found', async () => {
+      const { next } = await checkSimilarity(null);
+
+      expect(next.mock.calls[0][0].code).toBe('LYRICS_NOT_FOUND');
+    });
+  });
+
+  describe('POST /lyrics/transliterate', () => {
+    it('should convert Telugu to Roman', async () => {
+      const req = createMockReq({ body: { text: 'నీ నవ్వే' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      transliterateText(req, res, next);
+      await flushPromises();
+
+      expect(res.json.mock.calls[0][0].data).toEqual({ text: 'nee navvE', to: 'roman', scheme: 'rts' });
+    });
+
+    it('should convert RTS input to Telugu', async () => {
+      const req = createMockReq({ body: { text: 'nee navvE', to: 'telugu' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      transliterateText(req, res, next);
+      await flushPromises();
+
+      expect(res.json.mock.calls[0][0].data.text).toBe('నీ నవ్వే');
+    });
+  });
+
+  // ==================== revisions ====================
+  describe('Lyrics revisions', () => {
+    const ownLyrics = (overrides = {}) => ({
+      _id: 'lyrics1',
+      title: 'Current',
+      content: 'line 1\nline 2 edited',
+      user: { toString: () => 'user1' },
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides
+    });
+
+    it('should list revisions without content, newest first', async () => {
+      Lyrics.findById.mockResolvedValue(ownLyrics());
+      const populate = jest.fn().mockResolvedValue([{ revision: 2 }, { revision: 1 }]);
+      const select = jest.fn().mockReturnValue({ populate });
+      const sort = jest.fn().mockReturnValue({ select });
+      LyricsRevision.find.mockReturnValue({ sort });
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getRevisions(req, res, next);
+      await flushPromises();
+
+      expect(LyricsRevision.find).toHaveBeenCalledWith({ lyrics: 'lyrics1' });
+      expect(sort).toHaveBeenCalledWith({ revision: -1 });
+      expect(select).toHaveBeenCalledWith('-content');
+      expect(res.json.mock.calls[0][0].count).toBe(2);
+    });
+
+    it('should keep revision history private to the owner', async () => {
+      Lyrics.findById.mockResolvedValue(ownLyrics({ user: { toString: () => 'other' }, isPublic: true }));
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getRevisions(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+
+    it('should return a single revision', async () => {
+      Lyrics.findById.mockResolvedValue(ownLyrics());
+      LyricsRevision.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue({ revision: 1, content: 'line 1' }) });
+
+      const req = createMockReq({ params: { id: 'lyrics1', revision: '1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getRevision(req, res, next);
+      await flushPromises();
+
+      expect(LyricsRevision.findOne).toHaveBeenCalledWith({ lyrics: 'lyrics1', revision: '1' });
+      expect(res.json.mock.calls[0][0].data.content).toBe('line 1');
+    });
+
+    it('should diff two revisions line by line', async () => {
+      Lyrics.findById.mockResolvedValue(ownLyrics());
+      LyricsRevision.find.mockResolvedValue([
+        { revision: 1, source: 'generation', title: 'Song', content: 'line 1\nline 2' },
+        { revision: 3, source: 'edit', title: 'Song', content: 'line 1\nline 2 edited\nline 3' }
+      ]);
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { from: '1', to: '3' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      diffRevisions(req, res, next);
       await flushPromises();
 
-      expect(next.mock.calls[0][0].code).toBe('MISSING_INPUT');
+      const { data } = res.json.mock.calls[0][0];
+      expect(LyricsRevision.find).toHaveBeenCalledWith({ lyrics: 'lyrics1', revision: { $in: [1, 3] } });
+      expect(data.from.revision).toBe(1);
+      expect(data.to.source).toBe('edit');
+      expect(data.titleChanged).toBe(false);
+      expect(data.stats).toEqual({ added: 2, removed: 1, unchanged: 1 });
     });
 
-    it('should generate lyrics using Anthropic API when key is available', async () => {
-      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
-      fetch.mockResolvedValue({
-        ok: true,
-        json: jest.fn().mockResolvedValue({
-          content: [{ type: 'text', text: 'Generated Telugu lyrics here' }]
-        })
-      });
-      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
-      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Love Song' });
-      User.findByIdAndUpdate.mockResolvedValue({});
-      incrementUsage.mockResolvedValue();
+    it('should return 404 when a diffed revision is missing', async () => {
+      Lyrics.findById.mockResolvedValue(ownLyrics());
+      LyricsRevision.find.mockResolvedValue([{ revision: 1, content: 'x' }]);
 
-      const req = createMockReq({
-        body: { theme: 'Love', style: 'romantic', dialect: 'coastal' },
-        user: { _id: 'user1' }
-      });
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { from: '1', to: '9' }, user: { _id: 'user1' } });
       const res = createMockRes();
       const next = createMockNext();
 
-      generateLyrics(req, res, next);
+      diffRevisions(req, res, next);
       await flushPromises();
 
-      expect(fetch).toHaveBeenCalledWith(
-        'https://api.anthropic.com/v1/messages',
-        expect.objectContaining({ method: 'POST' })
-      );
-      expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.content).toBe('Generated Telugu lyrics here');
-      expect(data.generationInfo.isDemo).toBe(false);
-      expect(data.saved).toBeDefined();
+      expect(next.mock.calls[0][0].code).toBe('REVISION_NOT_FOUND');
+      expect(next.mock.calls[0][0].message).toContain('9');
     });
 
-    it('should use demo mode when no API key configured', async () => {
-      ApiKey.getKeyForService.mockResolvedValue(null);
-      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Demo Song' });
-      User.findByIdAndUpdate.mockResolvedValue({});
-      incrementUsage.mockResolvedValue();
+    it('should restore an old revision as a new revision', async () => {
+      const lyrics = ownLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      LyricsRevision.findOne.mockResolvedValue({ revision: 1, title: 'Original', content: 'line 1\nline 2' });
 
-      const req = createMockReq({
-        body: { theme: 'Nature' },
-        user: { _id: 'user1' }
-      });
+      const req = createMockReq({ params: { id: 'lyrics1', revision: '1' }, user: { _id: 'user1' } });
       const res = createMockRes();
       const next = createMockNext();
 
-      generateLyrics(req, res, next);
+      restoreRevision(req, res, next);
       await flushPromises();
 
-      expect(fetch).not.toHaveBeenCalled();
-      expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.generationInfo.isDemo).toBe(true);
+      expect(lyrics.title).toBe('Original');
+      expect(lyrics.content).toBe('line 1\nline 2');
+      expect(lyrics.save).toHaveBeenCalled();
+      expect(LyricsRevision.ensureBaseline).toHaveBeenCalledWith(lyrics);
+      expect(LyricsRevision.record).toHaveBeenCalledWith(lyrics, { source: 'restore', user: 'user1', note: 'Restored revision 1' });
+      expect(res.json.mock.calls[0][0].message).toBe('Revision 1 restored');
     });
 
-    it('should fall back to demo when API call fails', async () => {
-      ApiKey.getKeyForService.mockResolvedValue('sk-test-key');
-      fetch.mockResolvedValue({ ok: false, status: 500 });
-      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Fallback' });
-      User.findByIdAndUpdate.mockResolvedValue({});
-      incrementUsage.mockResolvedValue();
+    it('should return 404 when restoring a missing revision', async () => {
+      const lyrics = ownLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      LyricsRevision.findOne.mockResolvedValue(null);
 
-      const req = createMockReq({
-        body: { theme: 'Test' },
-        user: { _id: 'user1' }
-      });
+      const req = createMockReq({ params: { id: 'lyrics1', revision: '7' }, user: { _id: 'user1' } });
       const res = createMockRes();
       const next = createMockNext();
 
-      generateLyrics(req, res, next);
+      restoreRevision(req, res, next);
       await flushPromises();
 
-      expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.generationInfo.isDemo).toBe(true);
+      expect(next.mock.calls[0][0].code).toBe('REVISION_NOT_FOUND');
+      expect(lyrics.save).not.toHaveBeenCalled();
     });
 
-    it('should not save when saveResult is false', async () => {
-      ApiKey.getKeyForService.mockResolvedValue(null);
+    it('should refuse to restore public lyrics to a revision that copies another song', async () => {
+      const lyrics = ownLyrics({ isPublic: true });
+      Lyrics.findById.mockResolvedValue(lyrics);
+      const copied = 'నీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను';
+      LyricsRevision.findOne.mockResolvedValue({ revision: 1, title: 'Original', content: copied });
+      Lyrics.aggregate.mockResolvedValueOnce([{ _id: 'other1', title: 'Their Song', content: copied, owner: [{ name: 'Ravi' }] }]);
+      ReferenceLyrics.aggregate.mockResolvedValueOnce([]);
 
-      const req = createMockReq({
-        body: { theme: 'Test', saveResult: false },
-        user: { _id: 'user1' }
-      });
+      const req = createMockReq({ params: { id: 'lyrics1', revision: '1' }, user: { _id: 'user1' } });
       const res = createMockRes();
-      const next = createMockNext();
 
-      generateLyrics(req, res, next);
+      restoreRevision(req, res, createMockNext());
       await flushPromises();
 
-      expect(Lyrics.create).not.toHaveBeenCalled();
-      expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.saved).toBeNull();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].data.matches[0]).toEqual(expect.objectContaining({ title: 'Their Song', similarity: 1 }));
+      expect(lyrics.content).toBe('line 1\nline 2 edited');
+      expect(lyrics.save).not.toHaveBeenCalled();
+      expect(LyricsRevision.record).not.toHaveBeenCalled();
     });
 
-    it('should increment subscription usage on save', async () => {
-      ApiKey.getKeyForService.mockResolvedValue(null);
-      Lyrics.create.mockResolvedValue({ _id: 'lyrics1', title: 'Song' });
-      User.findByIdAndUpdate.mockResolvedValue({});
-      incrementUsage.mockResolvedValue();
+    it('should not run the similarity check when restoring private lyrics', async () => {
+      Lyrics.findById.mockResolvedValue(ownLyrics());
+      LyricsRevision.findOne.mockResolvedValue({ revision: 1, title: 'Original', content: 'line 1' });
 
-      const req = createMockReq({
-        body: { theme: 'Test' },
-        user: { _id: 'user1' }
-      });
-      const res = createMockRes();
-      const next = createMockNext();
+      const req = createMockReq({ params: { id: 'lyrics1', revision: '1' }, user: { _id: 'user1' } });
 
-      generateLyrics(req, res, next);
+      restoreRevision(req, createMockRes(), createMockNext());
       await flushPromises();
 
-      expect(incrementUsage).toHaveBeenCalledWith('lyrics', 'user1');
-      expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user1', {
-        $inc: { 'stats.lyricsGenerated': 1 }
-      });
+      expect(Lyrics.aggregate).not.toHaveBeenCalled();
+      expect(ReferenceLyrics.aggregate).not.toHaveBeenCalled();
     });
   });
 
@@ -214,12 +1753,66 @@ describe('Lyrics Controller', () => {
         isFavorite: true
       }));
     });
+
+    it('should rank search matches and return highlighted snippets', async () => {
+      const doc = (id, title, content, createdAt) => ({
+        _id: id, title, content, createdAt,
+        toJSON() { return { _id: id, title, content }; }
+      });
+      const matches = [
+        doc('l1', 'వాన', 'వాన చినుకులు\nవెన్నెల రాత్రి', '2024-01-02'),
+        doc('l2', 'వెన్నెల పాట', 'నీ నవ్వే వెన్నెల', '2024-01-01')
+      ];
+      const limit = jest.fn().mockResolvedValue(matches);
+      Lyrics.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ limit }) });
+
+      const req = createMockReq({ user: { _id: 'user1' }, query: { q: 'Vennela', style: 'romantic' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getLyrics(req, res, next);
+      await flushPromises();
+
+      expect(Lyrics.find).toHaveBeenCalledWith({
+        user: 'user1',
+        style: 'romantic',
+        $and: [{ searchText: { $regex: 'venela' } }]
+      });
+      expect(limit).toHaveBeenCalledWith(500);
+      expect(Lyrics.countDocuments).not.toHaveBeenCalled();
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.pagination.total).toBe(2);
+      expect(body.data.map(l => l._id)).toEqual(['l2', 'l1']);
+      expect(body.data[0].search.titleHighlights).toEqual([{ start: 0, end: 7 }]);
+      expect(body.data[1].search.snippets).toEqual([{ line: 2, text: 'వెన్నెల రాత్రి', highlights: [{ start: 0, end: 7 }] }]);
+    });
+
+    it('should ignore a query without letters or digits', async () => {
+      Lyrics.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          skip: jest.fn().mockReturnValue({
+            limit: jest.fn().mockResolvedValue([])
+          })
+        })
+      });
+      Lyrics.countDocuments.mockResolvedValue(0);
+
+      const req = createMockReq({ user: { _id: 'user1' }, query: { q: '  ?! ' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getLyrics(req, res, next);
+      await flushPromises();
+
+      expect(Lyrics.find).toHaveBeenCalledWith({ user: 'user1' });
+    });
   });
 
   // ==================== getLyricsById ====================
   describe('GET /lyrics/:id', () => {
     it('should return lyrics by id', async () => {
-      const mockLyrics = { _id: 'lyrics1', user: 'user1', title: 'Song', isPublic: false };
+      const mockLyrics = { _id: 'lyrics1', user: 'user1', title: 'Song', isPublic: false, toJSON: () => ({ _id: 'lyrics1', title: 'Song' }) };
       mockLyrics.user = { toString: () => 'user1' };
       Lyrics.findById.mockResolvedValue(mockLyrics);
 
@@ -234,7 +1827,7 @@ describe('Lyrics Controller', () => {
       await flushPromises();
 
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json.mock.calls[0][0].data).toBe(mockLyrics);
+      expect(res.json.mock.calls[0][0].data).toEqual({ _id: 'lyrics1', title: 'Song', collaborators: [] });
     });
 
     it('should return 404 if lyrics not found', async () => {
@@ -268,8 +1861,62 @@ describe('Lyrics Controller', () => {
       expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
     });
 
-    it('should allow access to public lyrics by non-owner', async () => {
-      const mockLyrics = { _id: 'lyrics1', isPublic: true };
+    it('should allow access to an accepted collaborator and return their role', async () => {
+      const mockLyrics = {
+        _id: 'lyrics1', isPublic: false,
+        user: { toString: () => 'other_user' },
+        collaborators: [
+          { email: 'pending@example.com', status: 'pending', role: 'editor' },
+          { email: 'me@example.com', user: { toString: () => 'user1' }, status: 'accepted', role: 'commenter' }
+        ],
+        toJSON: () => ({ _id: 'lyrics1' })
+      };
+      Lyrics.findById.mockResolvedValue(mockLyrics);
+
+      const req = createMockReq({
+        params: { id: 'lyrics1' },
+        user: { _id: { toString: () => 'user1' } }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getLyricsById(req, res, next);
+      await flushPromises();
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].role).toBe('commenter');
+      // Commenters see who the lyrics are shared with, but not their emails
+      expect(res.json.mock.calls[0][0].data.collaborators).toHaveLength(2);
+      expect(res.json.mock.calls[0][0].data.collaborators.some(c => 'email' in c)).toBe(false);
+    });
+
+    it('should not grant access through a pending invitation', async () => {
+      const mockLyrics = {
+        _id: 'lyrics1', isPublic: false,
+        user: { toString: () => 'other_user' },
+        collaborators: [{ email: 'me@example.com', user: { toString: () => 'user1' }, status: 'pending', role: 'editor' }]
+      };
+      Lyrics.findById.mockResolvedValue(mockLyrics);
+
+      const req = createMockReq({
+        params: { id: 'lyrics1' },
+        user: { _id: { toString: () => 'user1' } }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getLyricsById(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+    });
+
+    it('should allow access to public lyrics by non-owner without showing collaborators', async () => {
+      const mockLyrics = {
+        _id: 'lyrics1', isPublic: true,
+        collaborators: [{ email: 'co@example.com', user: 'user2', status: 'accepted', role: 'editor' }],
+        toJSON() { return { _id: 'lyrics1', collaborators: this.collaborators }; }
+      };
       mockLyrics.user = { toString: () => 'other_user' };
       Lyrics.findById.mockResolvedValue(mockLyrics);
 
@@ -284,6 +1931,7 @@ describe('Lyrics Controller', () => {
       await flushPromises();
 
       expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.collaborators).toBeUndefined();
     });
   });
 
@@ -313,6 +1961,139 @@ describe('Lyrics Controller', () => {
       expect(mockLyrics.isFavorite).toBe(true);
       expect(mockLyrics.save).toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(200);
+      expect(LyricsRevision.ensureBaseline).toHaveBeenCalledWith(mockLyrics);
+      expect(LyricsRevision.record).toHaveBeenCalledWith(mockLyrics, { source: 'edit', user: req.user._id });
+    });
+
+    it('should not record a revision when only flags change', async () => {
+      const mockLyrics = {
+        _id: 'lyrics1', title: 'Title', content: 'old', isFavorite: false,
+        user: { toString: () => 'user1' },
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Lyrics.findById.mockResolvedValue(mockLyrics);
+
+      const req = createMockReq({
+        params: { id: 'lyrics1' },
+        user: { _id: { toString: () => 'user1' } },
+        body: { title: 'Title', isFavorite: true }
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      updateLyrics(req, res, next);
+      await flushPromises();
+
+      expect(mockLyrics.save).toHaveBeenCalled();
+      expect(LyricsRevision.record).not.toHaveBeenCalled();
+    });
+
+    describe('publishing', () => {
+      const mockPublishable = (overrides = {}) => ({
+        _id: 'lyrics1', title: 'Vaana', content: 'వాన వాన వల్లప్ప', isPublic: false,
+        user: { toString: () => 'user1' },
+        save: jest.fn().mockResolvedValue(true),
+        ...overrides
+      });
+
+      beforeEach(() => {
+        Lyrics.aggregate.mockResolvedValue([]);
+        ReferenceLyrics.aggregate.mockResolvedValue([]);
+      });
+
+      const publish = async (lyrics, body = { isPublic: true }) => {
+        Lyrics.findById.mockResolvedValue(lyrics);
+        const req = createMockReq({ params: { id: 'lyrics1' }, user: { _id: { toString: () => 'user1' } }, body });
+        const res = createMockRes();
+        updateLyrics(req, res, createMockNext());
+        await flushPromises();
+        return res;
+      };
+
+      it('should publish lyrics that pass moderation', async () => {
+        const lyrics = mockPublishable();
+
+        const res = await publish(lyrics);
+
+        expect(lyrics.isPublic).toBe(true);
+        expect(lyrics.moderation).toEqual({ status: 'clear' });
+        expect(ModerationFlag.record).not.toHaveBeenCalled();
+        expect(res.json.mock.calls[0][0].message).toBe('Lyrics updated successfully');
+      });
+
+      it('should hold flagged lyrics for review instead of publishing them', async () => {
+        const lyrics = mockPublishable({ content: 'They will massacre and slaughter the village' });
+        ModerationFlag.record.mockResolvedValueOnce({ _id: 'flag1' });
+
+        const res = await publish(lyrics);
+
+        expect(lyrics.isPublic).toBe(false);
+        expect(lyrics.moderation).toEqual({ status: 'pending', flag: 'flag1' });
+        expect(ModerationFlag.record.mock.calls[0][1]).toEqual(expect.objectContaining({ stage: 'output', source: 'publish', lyrics: 'lyrics1' }));
+        expect(lyrics.save).toHaveBeenCalled();
+        expect(res.json.mock.calls[0][0].message).toContain('once a moderator reviews them');
+      });
+
+      it('should re-screen public lyrics when their text changes', async () => {
+        const lyrics = mockPublishable({ isPublic: true });
+        ModerationFlag.record.mockResolvedValueOnce({ _id: 'flag2' });
+
+        await publish(lyrics, { content: 'porn' });
+
+        expect(lyrics.isPublic).toBe(false);
+        expect(lyrics.moderation.status).toBe('pending');
+      });
+
+      it('should refuse to publish lyrics that copy another song', async () => {
+        const lyrics = mockPublishable({ content: '【పల్లవి】\nనీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను' });
+        ReferenceLyrics.aggregate.mockResolvedValueOnce([{
+          _id: 'ref1', title: 'Vennela Song', film: 'Old Film', year: 1990, lyricist: 'Poet',
+          content: '【Pallavi】\nnee kosam vennela raatri vechi unnaanu'
+        }]);
+
+        const res = await publish(lyrics);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        const body = res.json.mock.calls[0][0];
+        expect(body.code).toBe('TOO_SIMILAR');
+        expect(body.error).toContain('Vennela Song');
+        expect(body.data.matches[0]).toEqual(expect.objectContaining({ source: 'reference', similarity: 1 }));
+        expect(lyrics.isPublic).toBe(false);
+        expect(lyrics.save).not.toHaveBeenCalled();
+        expect(ReferenceLyrics.aggregate.mock.calls[0][0][0]).toEqual({ $match: { fingerprint: { $in: expect.any(Array) } } });
+      });
+
+      it('should check new text of public lyrics against public lyrics of other users', async () => {
+        const lyrics = mockPublishable({ isPublic: true });
+        const copied = '【పల్లవి】\nనీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను';
+        Lyrics.aggregate.mockResolvedValueOnce([{ _id: 'other1', title: 'Their Song', content: copied, owner: [{ name: 'Ravi' }] }]);
+
+        const res = await publish(lyrics, { content: copied });
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json.mock.calls[0][0].data.matches[0]).toEqual(expect.objectContaining({ source: 'lyrics', title: 'Their Song', author: 'Ravi' }));
+        expect(Lyrics.aggregate.mock.calls[0][0][0].$match).toEqual(expect.objectContaining({ isPublic: true, user: { $ne: lyrics.user } }));
+        expect(lyrics.content).toBe('వాన వాన వల్లప్ప');
+      });
+
+      it('should not run the similarity check when lyrics are made private', async () => {
+        const lyrics = mockPublishable({ isPublic: true });
+
+        await publish(lyrics, { isPublic: false, content: 'నీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను' });
+
+        expect(Lyrics.aggregate).not.toHaveBeenCalled();
+        expect(lyrics.save).toHaveBeenCalled();
+      });
+
+      it('should not flag held lyrics again until they are edited', async () => {
+        const lyrics = mockPublishable({ content: 'They will massacre and slaughter the village', moderation: { status: 'pending', flag: 'flag1' } });
+
+        const res = await publish(lyrics);
+
+        expect(lyrics.isPublic).toBe(false);
+        expect(ModerationFlag.record).not.toHaveBeenCalled();
+        expect(res.json.mock.calls[0][0].message).toContain('still waiting for a moderator');
+      });
     });
 
     it('should return 404 if lyrics not found', async () => {
@@ -350,6 +2131,71 @@ describe('Lyrics Controller', () => {
 
       expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
     });
+
+    describe('as a collaborator', () => {
+      const sharedLyrics = (role) => ({
+        _id: 'lyrics1', title: 'Title', content: 'old', isPublic: false,
+        user: { toString: () => 'owner1' },
+        collaborators: [{ user: { toString: () => 'user1' }, status: 'accepted', role }],
+        save: jest.fn().mockResolvedValue(true)
+      });
+
+      it('should let an editor change the content', async () => {
+        const mockLyrics = sharedLyrics('editor');
+        Lyrics.findById.mockResolvedValue(mockLyrics);
+
+        const req = createMockReq({
+          params: { id: 'lyrics1' },
+          user: { _id: { toString: () => 'user1' } },
+          body: { content: 'new' }
+        });
+        const res = createMockRes();
+        const next = createMockNext();
+
+        updateLyrics(req, res, next);
+        await flushPromises();
+
+        expect(mockLyrics.content).toBe('new');
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(LyricsRevision.record).toHaveBeenCalledWith(mockLyrics, { source: 'edit', user: req.user._id });
+      });
+
+      it('should keep public and favorite flags with the owner', async () => {
+        const mockLyrics = sharedLyrics('editor');
+        Lyrics.findById.mockResolvedValue(mockLyrics);
+
+        const req = createMockReq({
+          params: { id: 'lyrics1' },
+          user: { _id: { toString: () => 'user1' } },
+          body: { isPublic: true }
+        });
+        const res = createMockRes();
+        const next = createMockNext();
+
+        updateLyrics(req, res, next);
+        await flushPromises();
+
+        expect(next.mock.calls[0][0].code).toBe('OWNER_ONLY');
+        expect(mockLyrics.save).not.toHaveBeenCalled();
+      });
+
+      it('should not let a commenter edit', async () => {
+        Lyrics.findById.mockResolvedValue(sharedLyrics('commenter'));
+
+        const req = createMockReq({
+          params: { id: 'lyrics1' },
+          user: { _id: { toString: () => 'user1' } },
+          body: { content: 'new' }
+        });
+        const res = createMockRes();
+        const next = createMockNext();
+
+        updateLyrics(req, res, next);
+        await flushPromises();
+
+        expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+      });
+    });
   });
 
   // ==================== deleteLyrics ====================
@@ -370,6 +2216,10 @@ describe('Lyrics Controller', () => {
       await flushPromises();
 
       expect(mockLyrics.deleteOne).toHaveBeenCalled();
+      expect(LyricsRevision.deleteMany).toHaveBeenCalledWith({ lyrics: 'lyrics1' });
+      expect(LyricsComment.deleteMany).toHaveBeenCalledWith({ lyrics: 'lyrics1' });
+      expect(Collection.removeLyrics).toHaveBeenCalledWith('lyrics1');
+      expect(VoiceRecording.deleteMany).toHaveBeenCalledWith({ lyrics: 'lyrics1' });
       expect(res.status).toHaveBeenCalledWith(200);
     });
 
@@ -408,6 +2258,79 @@ describe('Lyrics Controller', () => {
     });
   });
 
+  // ==================== exportLyrics ====================
+  describe('GET /lyrics/:id/export', () => {
+    const exportable = (overrides = {}) => ({
+      _id: 'lyrics1',
+      user: 'user1',
+      title: 'వాన పాట',
+      content: '【పల్లవి - Pallavi】\nవాన వాన వల్లప్ప\n(Vaana vaana vallappa)',
+      sections: [],
+      metadata: {},
+      collaborators: [],
+      isPublic: false,
+      ...overrides
+    });
+
+    it('should send an SRT file as a download', async () => {
+      Lyrics.findById.mockResolvedValue(exportable());
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { format: 'srt', bpm: '60' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      exportLyrics(req, res, next);
+      await flushPromises();
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res._headers['content-type']).toBe('application/x-subrip; charset=utf-8');
+      expect(res._headers['content-disposition']).toContain('filename="vaana-paaTa.srt"');
+      expect(res._data).toBe('1\n00:00:00,000 --> 00:00:05,500\nవాన వాన వల్లప్ప\nVaana vaana vallappa\n');
+    });
+
+    it('should let a collaborator export', async () => {
+      Lyrics.findById.mockResolvedValue(exportable({
+        collaborators: [{ user: 'user2', role: 'viewer', status: 'accepted' }]
+      }));
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { format: 'text' }, user: { _id: 'user2' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      exportLyrics(req, res, next);
+      await flushPromises();
+
+      expect(res._data).toContain('వాన వాన వల్లప్ప');
+    });
+
+    it('should return 403 for private lyrics of another user', async () => {
+      Lyrics.findById.mockResolvedValue(exportable());
+
+      const req = createMockReq({ params: { id: 'lyrics1' }, query: { format: 'text' }, user: { _id: 'user2' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      exportLyrics(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if lyrics not found', async () => {
+      Lyrics.findById.mockResolvedValue(null);
+
+      const req = createMockReq({ params: { id: 'missing' }, query: { format: 'text' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      exportLyrics(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('LYRICS_NOT_FOUND');
+    });
+  });
+
   // ==================== toggleFavorite ====================
   describe('PATCH /lyrics/:id/favorite', () => {
     it('should toggle favorite status', async () => {
@@ -517,5 +2440,28 @@ describe('Lyrics Controller', () => {
 
       expect(Lyrics.getPopular).toHaveBeenCalledWith(5);
     });
+
+    it('should search public lyrics when a query is given', async () => {
+      const match = {
+        _id: 'l1', title: 'చందమామ', content: 'చందమామ రావే', excerpt: 'చందమామ రావే',
+        style: 'lullaby', user: { name: 'Poet' }, createdAt: '2024-01-01'
+      };
+      const populate = jest.fn().mockResolvedValue([match]);
+      Lyrics.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ limit: jest.fn().mockReturnValue({ populate }) }) });
+
+      const req = createMockReq({ query: { q: 'chandamama' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getPublicLyrics(req, res, next);
+      await flushPromises();
+
+      expect(Lyrics.find).toHaveBeenCalledWith({ isPublic: true, $and: [{ searchText: { $regex: 'candamama' } }] });
+      expect(Lyrics.getPopular).not.toHaveBeenCalled();
+      const [result] = res.json.mock.calls[0][0].data;
+      expect(result.content).toBeUndefined();
+      expect(result.user.name).toBe('Poet');
+      expect(result.search.snippets[0].text).toBe('చందమామ రావే');
+    });
   });
 });
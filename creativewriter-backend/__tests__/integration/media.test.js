@@ -1,11 +1,13 @@
 jest.mock('../../src/models/Lyrics');
 jest.mock('../../src/models/ApiKey');
-jest.mock('../../src/middleware/usageLimit');
+jest.mock('../../src/models/GenerationJob');
+jest.mock('../../src/models/VoiceRecording');
 jest.mock('node-fetch');
 
 const Lyrics = require('../../src/models/Lyrics');
 const ApiKey = require('../../src/models/ApiKey');
-const { incrementUsage } = require('../../src/middleware/usageLimit');
+const GenerationJob = require('../../src/models/GenerationJob');
+const VoiceRecording = require('../../src/models/VoiceRecording');
 const fetch = require('node-fetch');
 const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
 
@@ -17,9 +19,11 @@ const {
   sunoCallback,
   audioProxy,
   generateVoice,
+  getVoiceRecording,
   getVoices,
   getAvatars
 } = require('../../src/controllers/mediaController');
+const { runMusicJob, runVideoJob, runVoiceJob } = require('../../src/jobs/media');
 
 describe('Media Controller', () => {
   afterEach(() => {
@@ -68,50 +72,15 @@ describe('Media Controller', () => {
       expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
     });
 
-    it('should return demo mode when no API key configured', async () => {
-      Lyrics.findById.mockResolvedValue(mockLyrics());
-      ApiKey.getKeyForService.mockResolvedValue(null);
-
-      const req = createMockReq({
-        params: { lyricsId: 'lyrics1' },
-        user: { _id: { toString: () => 'user1' } },
-        body: { platform: 'suno' }
-      });
-      const res = createMockRes();
-      const next = createMockNext();
-
-      generateMusic(req, res, next);
-      await flushPromises();
-
-      expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.demo).toBe(true);
-      expect(data.status).toBe('demo');
-    });
-
-    it('should generate music with Suno when key available', async () => {
-      const lyrics = mockLyrics();
+    it('should return 403 for a viewer collaborator', async () => {
+      const lyrics = mockLyrics('other_user');
+      lyrics.collaborators = [{ user: { toString: () => 'user1' }, status: 'accepted', role: 'viewer' }];
       Lyrics.findById.mockResolvedValue(lyrics);
-      ApiKey.getKeyForService
-        .mockResolvedValueOnce('suno-key')   // suno
-        .mockResolvedValueOnce(null);        // udio
-      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
-      incrementUsage.mockResolvedValue();
-
-      fetch.mockResolvedValue({
-        ok: true,
-        json: jest.fn().mockResolvedValue({
-          code: 200,
-          data: { taskId: 'task123' }
-        })
-      });
 
       const req = createMockReq({
         params: { lyricsId: 'lyrics1' },
         user: { _id: { toString: () => 'user1' } },
-        body: { platform: 'suno' },
-        protocol: 'https',
-        get: jest.fn().mockReturnValue('localhost:5000')
+        body: {}
       });
       const res = createMockRes();
       const next = createMockNext();
@@ -119,33 +88,18 @@ describe('Media Controller', () => {
       generateMusic(req, res, next);
       await flushPromises();
 
-      expect(fetch).toHaveBeenCalledWith(
-        'https://api.sunoapi.org/api/v1/generate',
-        expect.objectContaining({ method: 'POST' })
-      );
-      expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.platform).toBe('suno');
-      expect(data.status).toBe('processing');
-      expect(incrementUsage).toHaveBeenCalledWith('music', expect.anything());
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+      expect(GenerationJob.create).not.toHaveBeenCalled();
     });
 
-    it('should handle Suno API error gracefully', async () => {
+    it('should queue a music job with the Suno callback URL', async () => {
       Lyrics.findById.mockResolvedValue(mockLyrics());
-      ApiKey.getKeyForService
-        .mockResolvedValueOnce('suno-key')
-        .mockResolvedValueOnce(null);
-
-      fetch.mockResolvedValue({
-        ok: false,
-        status: 500,
-        json: jest.fn().mockResolvedValue({ msg: 'Server error' })
-      });
+      GenerationJob.create.mockImplementation(async (doc) => ({ _id: 'job1', status: 'queued', ...doc }));
 
       const req = createMockReq({
         params: { lyricsId: 'lyrics1' },
-        user: { _id: { toString: () => 'user1' } },
-        body: { platform: 'suno' },
+        user: { _id: 'user1' },
+        body: { platform: 'suno', tempo: 'fast' },
         protocol: 'https',
         get: jest.fn().mockReturnValue('localhost:5000')
       });
@@ -155,38 +109,37 @@ describe('Media Controller', () => {
       generateMusic(req, res, next);
       await flushPromises();
 
-      expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.status).toBe('error');
+      expect(GenerationJob.create).toHaveBeenCalledWith({
+        user: 'user1',
+        type: 'music',
+        lyrics: 'lyrics1',
+        input: expect.objectContaining({
+          platform: 'suno',
+          tempo: 'fast',
+          callbackUrl: 'https://localhost:5000/api/v1/media/callback/suno'
+        })
+      });
+      expect(fetch).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.json.mock.calls[0][0].data._id).toBe('job1');
     });
 
-    it('should use Udio when platform is udio and key available', async () => {
-      Lyrics.findById.mockResolvedValue(mockLyrics());
-      ApiKey.getKeyForService
-        .mockResolvedValueOnce(null)         // suno
-        .mockResolvedValueOnce('udio-key');  // udio
-      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
-      incrementUsage.mockResolvedValue();
-
-      fetch.mockResolvedValue({
-        ok: true,
-        json: jest.fn().mockResolvedValue({ id: 'track123', audio_url: 'https://audio.url/track.mp3', status: 'completed' })
-      });
+    it('should queue the suggested raga and tala of the lyrics', async () => {
+      Lyrics.findById.mockResolvedValueOnce({ ...mockLyrics(), metadata: { suggestedRaga: 'Mohanam', suggestedTala: 'Adi' } });
+      GenerationJob.create.mockImplementationOnce(async (doc) => ({ _id: 'job1', status: 'queued', ...doc }));
 
       const req = createMockReq({
         params: { lyricsId: 'lyrics1' },
-        user: { _id: { toString: () => 'user1' } },
-        body: { platform: 'udio' }
+        user: { _id: 'user1' },
+        body: { tala: 'Rupaka' },
+        protocol: 'https',
+        get: jest.fn().mockReturnValue('localhost:5000')
       });
-      const res = createMockRes();
-      const next = createMockNext();
 
-      generateMusic(req, res, next);
+      generateMusic(req, createMockRes(), createMockNext());
       await flushPromises();
 
-      expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.platform).toBe('udio');
+      expect(GenerationJob.create.mock.calls[0][0].input).toEqual(expect.objectContaining({ raga: 'Mohanam', tala: 'Rupaka' }));
     });
   });
 
@@ -205,14 +158,14 @@ describe('Media Controller', () => {
       expect(next.mock.calls[0][0].code).toBe('LYRICS_NOT_FOUND');
     });
 
-    it('should return demo mode when no HeyGen key', async () => {
+    it('should queue a video job', async () => {
       Lyrics.findById.mockResolvedValue(mockLyrics());
-      ApiKey.getKeyForService.mockResolvedValue(null);
+      GenerationJob.create.mockImplementation(async (doc) => ({ _id: 'job1', ...doc }));
 
       const req = createMockReq({
         params: { lyricsId: 'lyrics1' },
-        user: { _id: { toString: () => 'user1' } },
-        body: {}
+        user: { _id: 'user1' },
+        body: { avatarId: 'avatar1' }
       });
       const res = createMockRes();
       const next = createMockNext();
@@ -220,40 +173,12 @@ describe('Media Controller', () => {
       generateVideo(req, res, next);
       await flushPromises();
 
-      expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json.mock.calls[0][0].data.demo).toBe(true);
-    });
-
-    it('should generate video with HeyGen when key available', async () => {
-      const lyrics = mockLyrics();
-      Lyrics.findById.mockResolvedValue(lyrics);
-      ApiKey.getKeyForService.mockResolvedValue('heygen-key');
-      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
-      incrementUsage.mockResolvedValue();
-
-      fetch.mockResolvedValue({
-        ok: true,
-        json: jest.fn().mockResolvedValue({
-          data: { video_id: 'vid123', status: 'processing' }
-        })
-      });
-
-      const req = createMockReq({
-        params: { lyricsId: 'lyrics1' },
-        user: { _id: { toString: () => 'user1' } },
-        body: {}
-      });
-      const res = createMockRes();
-      const next = createMockNext();
-
-      generateVideo(req, res, next);
-      await flushPromises();
-
-      expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.platform).toBe('heygen');
-      expect(data.videoId).toBe('vid123');
-      expect(incrementUsage).toHaveBeenCalledWith('video', expect.anything());
+      expect(GenerationJob.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'video',
+        lyrics: 'lyrics1',
+        input: expect.objectContaining({ avatarId: 'avatar1' })
+      }));
+      expect(res.status).toHaveBeenCalledWith(202);
     });
   });
 
@@ -309,14 +234,14 @@ describe('Media Controller', () => {
       expect(next.mock.calls[0][0].code).toBe('LYRICS_NOT_FOUND');
     });
 
-    it('should return demo mode when no ElevenLabs key', async () => {
+    it('should queue a voice job', async () => {
       Lyrics.findById.mockResolvedValue(mockLyrics());
-      ApiKey.getKeyForService.mockResolvedValue(null);
+      GenerationJob.create.mockImplementation(async (doc) => ({ _id: 'job1', ...doc }));
 
       const req = createMockReq({
         params: { lyricsId: 'lyrics1' },
-        user: { _id: { toString: () => 'user1' } },
-        body: {}
+        user: { _id: 'user1' },
+        body: { voiceId: 'voice1', stability: 0.3 }
       });
       const res = createMockRes();
       const next = createMockNext();
@@ -324,15 +249,207 @@ describe('Media Controller', () => {
       generateVoice(req, res, next);
       await flushPromises();
 
-      expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json.mock.calls[0][0].data.demo).toBe(true);
+      expect(GenerationJob.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'voice',
+        lyrics: 'lyrics1',
+        input: expect.objectContaining({ voiceId: 'voice1', stability: 0.3 })
+      }));
+      expect(res.status).toHaveBeenCalledWith(202);
+    });
+  });
+
+  // ==================== media job runners ====================
+  describe('media job runners', () => {
+    const mediaJob = (type, input = {}) => ({ _id: 'job1', user: 'user1', type, lyrics: 'lyrics1', input, attempts: 1 });
+
+    it('should fail permanently when the lyrics were deleted', async () => {
+      Lyrics.findById.mockResolvedValue(null);
+
+      await expect(runMusicJob(mediaJob('music'))).rejects.toMatchObject({ code: 'LYRICS_NOT_FOUND', statusCode: 404 });
     });
 
-    it('should generate voice with ElevenLabs when key available', async () => {
+    it('should fail permanently when the user lost edit access', async () => {
+      Lyrics.findById.mockResolvedValue(mockLyrics('other_user'));
+
+      await expect(runVoiceJob(mediaJob('voice'))).rejects.toMatchObject({ code: 'FORBIDDEN', statusCode: 403 });
+    });
+
+    it('should return an uncharged demo result when no music key is configured', async () => {
       Lyrics.findById.mockResolvedValue(mockLyrics());
+      ApiKey.getKeyForService.mockResolvedValue(null);
+
+      const { result, charge } = await runMusicJob(mediaJob('music', { platform: 'suno' }));
+
+      expect(result.demo).toBe(true);
+      expect(result.status).toBe('demo');
+      expect(charge).toBe(0);
+    });
+
+    it('should generate music with Suno when key available', async () => {
+      Lyrics.findById.mockResolvedValue(mockLyrics());
+      ApiKey.getKeyForService
+        .mockResolvedValueOnce('suno-key')   // suno
+        .mockResolvedValueOnce(null);        // udio
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+
+      fetch.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          code: 200,
+          data: { taskId: 'task123' }
+        })
+      });
+
+      const { result, charge } = await runMusicJob(mediaJob('music', {
+        platform: 'suno',
+        callbackUrl: 'https://localhost:5000/api/v1/media/callback/suno'
+      }));
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.sunoapi.org/api/v1/generate',
+        expect.objectContaining({ method: 'POST' })
+      );
+      expect(JSON.parse(fetch.mock.calls[0][1].body).callBackUrl).toBe('https://localhost:5000/api/v1/media/callback/suno');
+      expect(result.platform).toBe('suno');
+      expect(result.id).toBe('task123');
+      expect(result.status).toBe('processing');
+      expect(charge).toBe(1);
+      expect(GenerationJob.updateOne).toHaveBeenCalledWith({ _id: 'job1' }, { $set: { submission: result } });
+    });
+
+    it('should finish from the saved submission on a retry instead of paying again', async () => {
+      const lyrics = mockLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      const submission = { platform: 'udio', id: 'track123', url: 'https://audio.url/track.mp3', status: 'completed' };
+
+      const { result, charge } = await runMusicJob({ ...mediaJob('music', { platform: 'udio' }), attempts: 2, submission });
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(ApiKey.findOne).not.toHaveBeenCalled();
+      expect(result).toBe(submission);
+      expect(charge).toBe(1);
+      expect(lyrics.musicGenerated.url).toBe('https://audio.url/track.mp3');
+    });
+
+    it('should keep the submission when saving the lyrics fails after Udio accepted the song', async () => {
+      const lyrics = mockLyrics();
+      lyrics.save.mockRejectedValueOnce(new Error('connection reset'));
+      Lyrics.findById.mockResolvedValue(lyrics);
+      ApiKey.getKeyForService
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce('udio-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ id: 'track123', audio_url: 'https://audio.url/track.mp3' })
+      });
+      const job = mediaJob('music', { platform: 'udio' });
+
+      await expect(runMusicJob(job)).rejects.toThrow('connection reset');
+
+      expect(GenerationJob.updateOne).toHaveBeenCalledWith({ _id: 'job1' }, { $set: { submission: expect.objectContaining({ id: 'track123' }) } });
+      expect(job.submission.id).toBe('track123');
+    });
+
+    it('should add the raga and tala to the Suno style tags', async () => {
+      Lyrics.findById.mockResolvedValueOnce(mockLyrics());
+      ApiKey.getKeyForService
+        .mockResolvedValueOnce('suno-key')   // suno
+        .mockResolvedValueOnce(null);        // udio
+      ApiKey.findOne.mockResolvedValueOnce({ recordUsage: jest.fn().mockResolvedValue(true) });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ code: 200, data: { taskId: 'task123' } })
+      });
+
+      await runMusicJob(mediaJob('music', { platform: 'suno', raga: 'మోహనం', tala: 'Adi' }));
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body).style)
+        .toBe('romantic, telugu, coastal, carnatic, raga Mohanam, Adi tala, medium tempo');
+    });
+
+    it('should throw on a Suno API error so the job is retried', async () => {
+      Lyrics.findById.mockResolvedValue(mockLyrics());
+      ApiKey.getKeyForService
+        .mockResolvedValueOnce('suno-key')
+        .mockResolvedValueOnce(null);
+
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 500,
+        json: jest.fn().mockResolvedValue({ msg: 'Server error' })
+      });
+
+      await expect(runMusicJob(mediaJob('music', { platform: 'suno' }))).rejects.toThrow('Server error');
+    });
+
+    it('should use Udio when platform is udio and key available', async () => {
+      const lyrics = mockLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      ApiKey.getKeyForService
+        .mockResolvedValueOnce(null)         // suno
+        .mockResolvedValueOnce('udio-key');  // udio
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+
+      fetch.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ id: 'track123', audio_url: 'https://audio.url/track.mp3', status: 'completed' })
+      });
+
+      const { result } = await runMusicJob(mediaJob('music', { platform: 'udio' }));
+
+      expect(result.platform).toBe('udio');
+      expect(lyrics.musicGenerated.url).toBe('https://audio.url/track.mp3');
+      expect(lyrics.save).toHaveBeenCalled();
+    });
+
+    it('should return an uncharged demo result when no HeyGen key', async () => {
+      Lyrics.findById.mockResolvedValue(mockLyrics());
+      ApiKey.getKeyForService.mockResolvedValue(null);
+
+      const { result, charge } = await runVideoJob(mediaJob('video'));
+
+      expect(result.demo).toBe(true);
+      expect(charge).toBe(0);
+    });
+
+    it('should generate video with HeyGen when key available', async () => {
+      const lyrics = mockLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      ApiKey.getKeyForService.mockResolvedValue('heygen-key');
+      ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
+
+      fetch.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          data: { video_id: 'vid123', status: 'processing' }
+        })
+      });
+
+      const { result, charge } = await runVideoJob(mediaJob('video'));
+
+      expect(result.platform).toBe('heygen');
+      expect(result.videoId).toBe('vid123');
+      expect(charge).toBe(1);
+      expect(lyrics.videoGenerated.url).toBe('vid123');
+    });
+
+    it('should return an uncharged demo result when no ElevenLabs key', async () => {
+      Lyrics.findById.mockResolvedValue(mockLyrics());
+      ApiKey.getKeyForService.mockResolvedValue(null);
+
+      const { result, charge } = await runVoiceJob(mediaJob('voice'));
+
+      expect(result.demo).toBe(true);
+      expect(charge).toBe(0);
+    });
+
+    it('should store the ElevenLabs audio as a recording and keep only its id in the job', async () => {
+      const lyrics = mockLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
       ApiKey.getKeyForService.mockResolvedValue('elevenlabs-key');
       ApiKey.findOne.mockResolvedValue({ recordUsage: jest.fn().mockResolvedValue(true) });
-      incrementUsage.mockResolvedValue();
+      VoiceRecording.saveForLyrics.mockResolvedValue({ _id: 'rec1', contentType: 'audio/mpeg', size: 8 });
 
       const mockArrayBuffer = new ArrayBuffer(8);
       fetch.mockResolvedValue({
@@ -341,26 +458,35 @@ describe('Media Controller', () => {
         headers: { get: jest.fn().mockReturnValue('audio/mpeg') }
       });
 
-      const req = createMockReq({
-        params: { lyricsId: 'lyrics1' },
-        user: { _id: { toString: () => 'user1' } },
-        body: {}
-      });
-      const res = createMockRes();
-      const next = createMockNext();
+      const { result, charge } = await runVoiceJob(mediaJob('voice'));
 
-      generateVoice(req, res, next);
-      await flushPromises();
+      expect(VoiceRecording.saveForLyrics).toHaveBeenCalledWith(expect.objectContaining({
+        lyrics: 'lyrics1', user: 'user1', job: 'job1', contentType: 'audio/mpeg', audio: expect.any(Buffer)
+      }));
+      expect(result).toEqual(expect.objectContaining({ platform: 'elevenlabs', status: 'completed', recordingId: 'rec1', size: 8 }));
+      expect(result).not.toHaveProperty('audioBase64');
+      expect(GenerationJob.updateOne).toHaveBeenCalledWith({ _id: 'job1' }, { $set: { submission: result } });
+      expect(lyrics.voiceGenerated.recording).toBe('rec1');
+      expect(charge).toBe(1);
+    });
 
-      expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.platform).toBe('elevenlabs');
-      expect(data.status).toBe('completed');
-      expect(data.audioBase64).toBeDefined();
-      expect(incrementUsage).toHaveBeenCalledWith('voice', expect.anything());
+    it('should finish from a recording stored by an earlier attempt instead of paying again', async () => {
+      const lyrics = mockLyrics();
+      Lyrics.findById.mockResolvedValue(lyrics);
+      VoiceRecording.findOne.mockResolvedValueOnce({ _id: 'rec1', contentType: 'audio/mpeg', size: 8 });
+      const job = { ...mediaJob('voice'), attempts: 2 };
+
+      const { result, charge } = await runVoiceJob(job);
+
+      expect(VoiceRecording.findOne).toHaveBeenCalledWith({ job: 'job1' }, { audio: 0 });
+      expect(fetch).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ status: 'completed', recordingId: 'rec1', size: 8 }));
+      expect(job.submission).toBe(result);
+      expect(lyrics.voiceGenerated.recording).toBe('rec1');
+      expect(charge).toBe(1);
     });
 
-    it('should handle ElevenLabs API error', async () => {
+    it('should throw on an ElevenLabs API error', async () => {
       Lyrics.findById.mockResolvedValue(mockLyrics());
       ApiKey.getKeyForService.mockResolvedValue('elevenlabs-key');
 
@@ -370,20 +496,54 @@ describe('Media Controller', () => {
         json: jest.fn().mockResolvedValue({ detail: { message: 'Unauthorized' } })
       });
 
-      const req = createMockReq({
-        params: { lyricsId: 'lyrics1' },
-        user: { _id: { toString: () => 'user1' } },
-        body: {}
-      });
+      await expect(runVoiceJob(mediaJob('voice'))).rejects.toThrow('Unauthorized');
+    });
+  });
+
+  // ==================== getVoiceRecording ====================
+  describe('GET /media/voice/:recordingId', () => {
+    const recording = { _id: 'rec1', lyrics: 'lyrics1', contentType: 'audio/mpeg', audio: Buffer.from('mp3') };
+
+    it('should send the audio to a reader of the lyrics', async () => {
+      VoiceRecording.findById.mockResolvedValue(recording);
+      Lyrics.findById.mockResolvedValue(mockLyrics());
+
+      const req = createMockReq({ params: { recordingId: 'rec1' }, user: { _id: 'user1' } });
       const res = createMockRes();
-      const next = createMockNext();
 
-      generateVoice(req, res, next);
+      getVoiceRecording(req, res, createMockNext());
       await flushPromises();
 
       expect(res.status).toHaveBeenCalledWith(200);
-      const data = res.json.mock.calls[0][0].data;
-      expect(data.status).toBe('error');
+      expect(res._headers['content-type']).toBe('audio/mpeg');
+      expect(res._data).toBe(recording.audio);
+    });
+
+    it('should return 403 for private lyrics of another user', async () => {
+      VoiceRecording.findById.mockResolvedValue(recording);
+      Lyrics.findById.mockResolvedValue(mockLyrics('other_user'));
+
+      const req = createMockReq({ params: { recordingId: 'rec1' }, user: { _id: 'user1' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      getVoiceRecording(req, res, next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FORBIDDEN');
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if the recording does not exist', async () => {
+      VoiceRecording.findById.mockResolvedValue(null);
+
+      const req = createMockReq({ params: { recordingId: 'rec1' }, user: { _id: 'user1' } });
+      const next = createMockNext();
+
+      getVoiceRecording(req, createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('RECORDING_NOT_FOUND');
     });
   });
 
@@ -0,0 +1,183 @@
+jest.mock('../../src/models/ModerationFlag');
+jest.mock('../../src/models/Lyrics');
+jest.mock('../../src/models/Collection');
+jest.mock('../../src/models/Setting');
+
+const ModerationFlag = require('../../src/models/ModerationFlag');
+const Lyrics = require('../../src/models/Lyrics');
+const Collection = require('../../src/models/Collection');
+const Setting = require('../../src/models/Setting');
+const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
+
+const {
+  getFlags,
+  reviewFlag,
+  getSettings,
+  updateSettings
+} = require('../../src/controllers/moderationController');
+
+const mockFlag = (overrides = {}) => ({
+  _id: { toString: () => 'flag1' },
+  stage: 'output',
+  source: 'publish',
+  lyrics: 'lyrics1',
+  status: 'pending',
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const mockHeldLyrics = (flagId = 'flag1') => ({
+  _id: 'lyrics1',
+  isPublic: false,
+  moderation: { status: 'pending', flag: { toString: () => flagId } },
+  save: jest.fn().mockResolvedValue(true)
+});
+
+describe('Moderation', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /moderation/admin/flags', () => {
+    it('should list pending flags by default with the pending count', async () => {
+      const populate = jest.fn();
+      const query = { sort: jest.fn(), skip: jest.fn(), limit: jest.fn(), populate };
+      query.sort.mockReturnValue(query);
+      query.skip.mockReturnValue(query);
+      query.limit.mockReturnValue(query);
+      populate.mockReturnValueOnce(query).mockReturnValueOnce(query).mockReturnValueOnce(query).mockResolvedValueOnce([mockFlag()]);
+      ModerationFlag.find.mockReturnValue(query);
+      ModerationFlag.countDocuments.mockResolvedValueOnce(1).mockResolvedValueOnce(3);
+
+      const req = createMockReq({ query: { stage: 'output', page: '2', limit: '10' }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+
+      getFlags(req, res, createMockNext());
+      await flushPromises();
+
+      expect(ModerationFlag.find).toHaveBeenCalledWith({ status: 'pending', stage: 'output' });
+      expect(query.skip).toHaveBeenCalledWith(10);
+      expect(populate).toHaveBeenCalledWith('lyrics', 'title isPublic moderation');
+      expect(populate).toHaveBeenCalledWith('lyricsCollection', 'title isPublic moderation');
+      expect(res.json.mock.calls[0][0]).toEqual(expect.objectContaining({ count: 1, pending: 3, pagination: { page: 2, limit: 10, total: 1, pages: 1 } }));
+    });
+  });
+
+  describe('PUT /moderation/admin/flags/:id', () => {
+    it('should publish held lyrics when their flag is approved', async () => {
+      const flag = mockFlag();
+      const lyrics = mockHeldLyrics();
+      ModerationFlag.findById.mockResolvedValue(flag);
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'flag1' }, body: { status: 'approved', note: 'Folk ballad' }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+
+      reviewFlag(req, res, createMockNext());
+      await flushPromises();
+
+      expect(flag).toEqual(expect.objectContaining({ status: 'approved', reviewNote: 'Folk ballad', reviewedBy: 'admin1' }));
+      expect(flag.save).toHaveBeenCalled();
+      expect(lyrics.isPublic).toBe(true);
+      expect(lyrics.moderation.status).toBe('approved');
+      expect(lyrics.save).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].message).toBe('Flag approved');
+    });
+
+    it('should keep rejected lyrics private', async () => {
+      const lyrics = mockHeldLyrics();
+      ModerationFlag.findById.mockResolvedValue(mockFlag());
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'flag1' }, body: { status: 'rejected' }, user: { _id: 'admin1' } });
+
+      reviewFlag(req, createMockRes(), createMockNext());
+      await flushPromises();
+
+      expect(lyrics.isPublic).toBe(false);
+      expect(lyrics.moderation.status).toBe('rejected');
+    });
+
+    it('should leave lyrics alone when a newer flag holds them', async () => {
+      const lyrics = mockHeldLyrics('flag2');
+      ModerationFlag.findById.mockResolvedValue(mockFlag());
+      Lyrics.findById.mockResolvedValue(lyrics);
+
+      const req = createMockReq({ params: { id: 'flag1' }, body: { status: 'approved' }, user: { _id: 'admin1' } });
+
+      reviewFlag(req, createMockRes(), createMockNext());
+      await flushPromises();
+
+      expect(lyrics.isPublic).toBe(false);
+      expect(lyrics.save).not.toHaveBeenCalled();
+    });
+
+    it('should publish a held collection when its flag is approved', async () => {
+      const collection = { ...mockHeldLyrics(), _id: 'collection1' };
+      ModerationFlag.findById.mockResolvedValue(mockFlag({ source: 'collection', lyrics: null, lyricsCollection: 'collection1' }));
+      Collection.findById.mockResolvedValue(collection);
+
+      const req = createMockReq({ params: { id: 'flag1' }, body: { status: 'approved' }, user: { _id: 'admin1' } });
+
+      reviewFlag(req, createMockRes(), createMockNext());
+      await flushPromises();
+
+      expect(Collection.findById).toHaveBeenCalledWith('collection1');
+      expect(Lyrics.findById).not.toHaveBeenCalled();
+      expect(collection.isPublic).toBe(true);
+      expect(collection.moderation.status).toBe('approved');
+      expect(collection.save).toHaveBeenCalled();
+    });
+
+    it('should only record the decision for input flags', async () => {
+      const flag = mockFlag({ stage: 'input', source: 'generate', lyrics: null });
+      ModerationFlag.findById.mockResolvedValue(flag);
+
+      const req = createMockReq({ params: { id: 'flag1' }, body: { status: 'approved' }, user: { _id: 'admin1' } });
+
+      reviewFlag(req, createMockRes(), createMockNext());
+      await flushPromises();
+
+      expect(flag.status).toBe('approved');
+      expect(Lyrics.findById).not.toHaveBeenCalled();
+      expect(Collection.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown flag', async () => {
+      ModerationFlag.findById.mockResolvedValue(null);
+
+      const req = createMockReq({ params: { id: 'missing' }, body: { status: 'approved' }, user: { _id: 'admin1' } });
+      const next = createMockNext();
+
+      reviewFlag(req, createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('FLAG_NOT_FOUND');
+    });
+  });
+
+  describe('moderation settings', () => {
+    it('should return defaults when nothing is saved', async () => {
+      Setting.getValue.mockImplementation(async (key, defaultValue) => defaultValue);
+
+      const res = createMockRes();
+      getSettings(createMockReq({ user: { _id: 'admin1' } }), res, createMockNext());
+      await flushPromises();
+
+      expect(res.json.mock.calls[0][0].data).toEqual({ blocklist: [], providerCheck: false });
+    });
+
+    it('should turn on the LLM check', async () => {
+      Setting.getValue.mockImplementation(async (key, defaultValue) => (key === 'moderation.providerCheck' ? true : defaultValue));
+
+      const req = createMockReq({ body: { providerCheck: true }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+
+      updateSettings(req, res, createMockNext());
+      await flushPromises();
+
+      expect(Setting.setValue).toHaveBeenCalledWith('moderation.providerCheck', true, 'admin1');
+      expect(res.json.mock.calls[0][0].data.providerCheck).toBe(true);
+    });
+  });
+});
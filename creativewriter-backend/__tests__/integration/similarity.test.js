@@ -0,0 +1,162 @@
+jest.mock('../../src/models/ReferenceLyrics');
+
+const ReferenceLyrics = require('../../src/models/ReferenceLyrics');
+const { createMockReq, createMockRes, createMockNext, flushPromises } = require('../helpers/mockExpress');
+
+const {
+  getReferences,
+  createReference,
+  importReferences,
+  deleteReference
+} = require('../../src/controllers/similarityController');
+
+describe('Similarity Controller', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /similarity/admin/references', () => {
+    const mockQuery = (result) => {
+      const query = { sort: jest.fn(), skip: jest.fn(), limit: jest.fn(), populate: jest.fn().mockResolvedValue(result) };
+      query.sort.mockReturnValue(query);
+      query.skip.mockReturnValue(query);
+      query.limit.mockReturnValue(query);
+      ReferenceLyrics.find.mockReturnValue(query);
+      return query;
+    };
+
+    it('should list reference songs newest first', async () => {
+      const query = mockQuery([{ _id: 'ref1', title: 'Vennela' }]);
+      ReferenceLyrics.countDocuments.mockResolvedValueOnce(21);
+
+      const req = createMockReq({ query: { page: '2' }, user: { _id: 'admin1' } });
+      const res = createMockRes();
+
+      getReferences(req, res, createMockNext());
+      await flushPromises();
+
+      expect(ReferenceLyrics.find).toHaveBeenCalledWith({});
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(query.skip).toHaveBeenCalledWith(20);
+      expect(res.json.mock.calls[0][0]).toEqual(expect.objectContaining({
+        count: 1,
+        pagination: { page: 2, limit: 20, total: 21, pages: 2 }
+      }));
+    });
+
+    it('should search title, film and lyricist by folded terms', async () => {
+      mockQuery([]);
+      ReferenceLyrics.countDocuments.mockResolvedValueOnce(0);
+
+      const req = createMockReq({ query: { q: 'వెన్నెల' }, user: { _id: 'admin1' } });
+
+      getReferences(req, createMockRes(), createMockNext());
+      await flushPromises();
+
+      expect(ReferenceLyrics.find).toHaveBeenCalledWith({ $and: [{ searchText: { $regex: 'venela' } }] });
+    });
+  });
+
+  describe('POST /similarity/admin/references', () => {
+    it('should add a reference song with its credits', async () => {
+      ReferenceLyrics.create.mockImplementationOnce(async (doc) => ({ _id: 'ref1', ...doc }));
+
+      const req = createMockReq({
+        user: { _id: 'admin1' },
+        body: { title: 'Vennela', content: 'నీ కోసం వెన్నెల రాత్రి', film: 'Old Film', year: 1990, lyricist: '' }
+      });
+      const res = createMockRes();
+
+      createReference(req, res, createMockNext());
+      await flushPromises();
+
+      expect(ReferenceLyrics.create).toHaveBeenCalledWith({
+        title: 'Vennela',
+        content: 'నీ కోసం వెన్నెల రాత్రి',
+        film: 'Old Film',
+        year: 1990,
+        addedBy: 'admin1'
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe('POST /similarity/admin/references/import', () => {
+    const file = (originalname, text) => ({ originalname, buffer: Buffer.from(text) });
+
+    const run = async (req, res, next) => {
+      importReferences(req, res, next);
+      for (let i = 0; i < 20 && !res.json.mock.calls.length && !next.mock.calls.length; i++) {
+        await flushPromises();
+      }
+    };
+
+    it('should add every song in the files with the shared credits', async () => {
+      ReferenceLyrics.create.mockImplementationOnce(async (docs) => docs.map((doc, i) => ({ _id: `ref${i}`, ...doc })));
+
+      const req = createMockReq({
+        user: { _id: 'admin1' },
+        body: { film: 'Old Film', year: 1990 },
+        files: [
+          file('album.md', '# లాలి\n\nలాలి లాలి జో జో\n\n# వాన\n\nవాన వాన వల్లప్ప'),
+          file('empty.txt', '   ')
+        ]
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await run(req, res, next);
+
+      const docs = ReferenceLyrics.create.mock.calls[0][0];
+      expect(docs.map(d => d.title)).toEqual(['లాలి', 'వాన']);
+      expect(docs[0]).toEqual(expect.objectContaining({ film: 'Old Film', year: 1990, addedBy: 'admin1' }));
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0]).toEqual(expect.objectContaining({
+        count: 2,
+        skipped: [{ file: 'empty.txt', reason: 'No lyrics found' }]
+      }));
+    });
+
+    it('should return 400 without files', async () => {
+      const next = createMockNext();
+
+      await run(createMockReq({ user: { _id: 'admin1' }, files: [] }), createMockRes(), next);
+
+      expect(next.mock.calls[0][0].code).toBe('NO_FILES');
+    });
+
+    it('should return 400 when no file holds lyrics', async () => {
+      const next = createMockNext();
+
+      await run(createMockReq({ user: { _id: 'admin1' }, files: [file('empty.txt', '')] }), createMockRes(), next);
+
+      expect(next.mock.calls[0][0].code).toBe('NO_LYRICS_FOUND');
+      expect(ReferenceLyrics.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /similarity/admin/references/:id', () => {
+    it('should remove a reference song', async () => {
+      const reference = { _id: 'ref1', deleteOne: jest.fn().mockResolvedValue(true) };
+      ReferenceLyrics.findById.mockResolvedValueOnce(reference);
+
+      const res = createMockRes();
+
+      deleteReference(createMockReq({ params: { id: 'ref1' }, user: { _id: 'admin1' } }), res, createMockNext());
+      await flushPromises();
+
+      expect(reference.deleteOne).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 404 for an unknown reference song', async () => {
+      ReferenceLyrics.findById.mockResolvedValueOnce(null);
+      const next = createMockNext();
+
+      deleteReference(createMockReq({ params: { id: 'missing' }, user: { _id: 'admin1' } }), createMockRes(), next);
+      await flushPromises();
+
+      expect(next.mock.calls[0][0].code).toBe('REFERENCE_NOT_FOUND');
+    });
+  });
+});
@@ -1,9 +1,11 @@
 const { createMockReq, createMockRes, createMockNext } = require('../../helpers/mockExpress');
 
 jest.mock('../../../src/models/Subscription');
+jest.mock('../../../src/models/GenerationJob');
 
 const Subscription = require('../../../src/models/Subscription');
-const { checkUsageLimit, incrementUsage } = require('../../../src/middleware/usageLimit');
+const GenerationJob = require('../../../src/models/GenerationJob');
+const { checkUsageLimit, checkExportFormat, checkPlanFeature, planAllows, incrementUsage } = require('../../../src/middleware/usageLimit');
 
 describe('usageLimit middleware', () => {
   afterEach(() => {
@@ -12,6 +14,10 @@ describe('usageLimit middleware', () => {
 
   // ==================== checkUsageLimit ====================
   describe('checkUsageLimit', () => {
+    beforeEach(() => {
+      GenerationJob.pendingUsage.mockResolvedValue(0);
+    });
+
     it('should call next with AppError if no user on request', async () => {
       const middleware = checkUsageLimit('lyrics');
       const req = createMockReq({ user: null });
@@ -182,6 +188,69 @@ describe('usageLimit middleware', () => {
       expect(req.subscription).toBe(mockSub);
     });
 
+    it('should check the limit against the request cost', async () => {
+      const mockSub = {
+        status: 'active',
+        plan: { name: 'Free', limits: { lyricsPerMonth: 5 } },
+        checkLimit: jest.fn().mockReturnValue({ allowed: true, current: 4.5, limit: 5, remaining: 0.5 }),
+        usage: { periodEnd: new Date() }
+      };
+      Subscription.getForUser.mockResolvedValue(mockSub);
+
+      const middleware = checkUsageLimit('lyrics', { cost: 0.25 });
+      const req = createMockReq({ user: { _id: 'user123' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await middleware(req, res, next);
+
+      expect(mockSub.checkLimit).toHaveBeenCalledWith('lyrics', { lyricsPerMonth: 5 }, 0.25);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should compute the cost from the request when given a function', async () => {
+      const mockSub = {
+        status: 'active',
+        plan: { name: 'Pro', limits: { lyricsPerMonth: 30 } },
+        checkLimit: jest.fn().mockReturnValue({ allowed: false, current: 28, limit: 30, remaining: 2 }),
+        usage: { periodEnd: new Date() }
+      };
+      Subscription.getForUser.mockResolvedValue(mockSub);
+
+      const middleware = checkUsageLimit('lyrics', { cost: req => 1 + (req.body.n - 1) * 0.5 });
+      const req = createMockReq({ user: { _id: 'user123' }, body: { n: 4 } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await middleware(req, res, next);
+
+      expect(mockSub.checkLimit).toHaveBeenCalledWith('lyrics', { lyricsPerMonth: 30 }, 2.5);
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reserve the cost of unfinished jobs', async () => {
+      GenerationJob.pendingUsage.mockResolvedValue(2);
+      const mockSub = {
+        status: 'active',
+        plan: { name: 'Free', limits: { lyricsPerMonth: 5 } },
+        checkLimit: jest.fn().mockReturnValue({ allowed: false, current: 3, limit: 5, remaining: 2 }),
+        usage: { periodEnd: new Date() }
+      };
+      Subscription.getForUser.mockResolvedValue(mockSub);
+
+      const middleware = checkUsageLimit('lyrics');
+      const req = createMockReq({ user: { _id: 'user123' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await middleware(req, res, next);
+
+      expect(GenerationJob.pendingUsage).toHaveBeenCalledWith('user123', 'lyrics');
+      expect(mockSub.checkLimit).toHaveBeenCalledWith('lyrics', { lyricsPerMonth: 5 }, 3);
+      expect(res.status).toHaveBeenCalledWith(429);
+    });
+
     it('should call next() without error when an exception occurs (fail-open)', async () => {
       Subscription.getForUser.mockRejectedValue(new Error('DB error'));
 
@@ -197,6 +266,145 @@ describe('usageLimit middleware', () => {
     });
   });
 
+  // ==================== checkExportFormat ====================
+  describe('checkExportFormat', () => {
+    const proSubscription = {
+      status: 'active',
+      plan: { name: 'Pro', features: { exportFormats: ['text', 'pdf'] } }
+    };
+
+    it('should allow a format included in the plan', async () => {
+      Subscription.getForUser.mockResolvedValue(proSubscription);
+
+      const req = createMockReq({ user: { _id: 'user123' }, query: { format: 'pdf' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await checkExportFormat(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.subscription).toBe(proSubscription);
+    });
+
+    it('should return 403 FEATURE_NOT_AVAILABLE for a format outside the plan', async () => {
+      Subscription.getForUser.mockResolvedValue(proSubscription);
+
+      const req = createMockReq({ user: { _id: 'user123' }, query: { format: 'docx' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await checkExportFormat(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'FEATURE_NOT_AVAILABLE',
+        data: { currentPlan: 'Pro', format: 'docx', exportFormats: ['text', 'pdf'] }
+      }));
+    });
+
+    it('should reject an inactive subscription', async () => {
+      Subscription.getForUser.mockResolvedValue({ ...proSubscription, status: 'cancelled' });
+
+      const req = createMockReq({ user: { _id: 'user123' }, query: { format: 'text' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await checkExportFormat(req, res, next);
+
+      expect(next.mock.calls[0][0].code).toBe('SUBSCRIPTION_INACTIVE');
+    });
+
+    it('should pass errors on instead of failing open', async () => {
+      const error = new Error('DB error');
+      Subscription.getForUser.mockRejectedValue(error);
+
+      const req = createMockReq({ user: { _id: 'user123' }, query: { format: 'pdf' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await checkExportFormat(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  // ==================== checkPlanFeature ====================
+  describe('checkPlanFeature', () => {
+    const planWith = (features) => ({ status: 'active', plan: { name: 'Basic', features } });
+    const middleware = checkPlanFeature('customDialects', 'Custom dialects');
+
+    it('should allow a plan with the feature turned on', async () => {
+      Subscription.getForUser.mockResolvedValue(planWith({ customDialects: true }));
+
+      const req = createMockReq({ user: { _id: 'user123' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await middleware(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.subscription.plan.name).toBe('Basic');
+    });
+
+    it('should return 403 FEATURE_NOT_AVAILABLE when the plan lacks the feature', async () => {
+      Subscription.getForUser.mockResolvedValue(planWith({ customDialects: false }));
+
+      const req = createMockReq({ user: { _id: 'user123' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await middleware(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Custom dialects are not available on your current plan (Basic). Please upgrade.',
+        code: 'FEATURE_NOT_AVAILABLE',
+        data: { currentPlan: 'Basic', feature: 'customDialects' }
+      }));
+    });
+
+    it('should return 403 SUBSCRIPTION_INACTIVE for an expired subscription', async () => {
+      Subscription.getForUser.mockResolvedValue({ ...planWith({ customDialects: true }), status: 'expired' });
+
+      const req = createMockReq({ user: { _id: 'user123' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await middleware(req, res, next);
+
+      expect(next.mock.calls[0][0].code).toBe('SUBSCRIPTION_INACTIVE');
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should pass errors on instead of failing open', async () => {
+      const error = new Error('DB error');
+      Subscription.getForUser.mockRejectedValue(error);
+
+      const req = createMockReq({ user: { _id: 'user123' } });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await middleware(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('planAllows', () => {
+    it('should require an active subscription whose plan has the feature', async () => {
+      Subscription.getForUser.mockResolvedValueOnce({ status: 'trial', plan: { features: { customDialects: true } } });
+      await expect(planAllows('user123', 'customDialects')).resolves.toBe(true);
+
+      Subscription.getForUser.mockResolvedValueOnce({ status: 'expired', plan: { features: { customDialects: true } } });
+      await expect(planAllows('user123', 'customDialects')).resolves.toBe(false);
+
+      Subscription.getForUser.mockResolvedValueOnce(null);
+      await expect(planAllows('user123', 'customDialects')).resolves.toBe(false);
+    });
+  });
+
   // ==================== incrementUsage ====================
   describe('incrementUsage', () => {
     it('should increment usage on subscription', async () => {
@@ -208,7 +416,16 @@ describe('usageLimit middleware', () => {
       await incrementUsage('lyrics', 'user123');
 
       expect(Subscription.getForUser).toHaveBeenCalledWith('user123');
-      expect(mockSub.incrementUsage).toHaveBeenCalledWith('lyrics');
+      expect(mockSub.incrementUsage).toHaveBeenCalledWith('lyrics', 1);
+    });
+
+    it('should pass a fractional amount through', async () => {
+      const mockSub = { incrementUsage: jest.fn().mockResolvedValue(true) };
+      Subscription.getForUser.mockResolvedValue(mockSub);
+
+      await incrementUsage('lyrics', 'user123', 0.25);
+
+      expect(mockSub.incrementUsage).toHaveBeenCalledWith('lyrics', 0.25);
     });
 
     it('should not throw when no subscription found', async () => {
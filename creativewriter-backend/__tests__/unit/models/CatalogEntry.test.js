@@ -0,0 +1,24 @@
+const CatalogEntry = require('../../../src/models/CatalogEntry');
+
+describe('CatalogEntry model', () => {
+  it('should derive the key from the name and borrow the first built-in as base', async () => {
+    const entry = new CatalogEntry({ kind: 'style', name: 'Bathukamma Paata', teluguName: 'బతుకమ్మ పాట' });
+    await entry.validate();
+
+    expect(entry.key).toBe('bathukamma-paata');
+    expect(entry.base).toBe('devotional');
+  });
+
+  it('should use its own key as base for a built-in entry', async () => {
+    const entry = new CatalogEntry({ kind: 'poetryForm', key: 'keertana', name: 'Keertana', teluguName: 'కీర్తన' });
+    await entry.validate();
+
+    expect(entry.base).toBe('keertana');
+  });
+
+  it('should only accept a base of the same kind', async () => {
+    const entry = new CatalogEntry({ kind: 'poetryForm', name: 'Qawwali', teluguName: 'ఖవ్వాలీ', base: 'folk' });
+
+    await expect(entry.validate()).rejects.toThrow('Base must be a built-in entry of the same kind');
+  });
+});
@@ -0,0 +1,37 @@
+const Dialect = require('../../../src/models/Dialect');
+
+describe('Dialect model', () => {
+  it('should derive a global dialect key from its name', async () => {
+    const dialect = new Dialect({ name: 'Hyderabadi Dakhni' });
+    await dialect.validate();
+
+    expect(dialect.key).toBe('hyderabadi-dakhni');
+    expect(dialect.baseDialect).toBe('coastal');
+  });
+
+  it('should suffix custom profile keys so they cannot clash with global keys', async () => {
+    const dialect = new Dialect({ name: 'Telangana', owner: '507f1f77bcf86cd799439011' });
+    await dialect.validate();
+
+    expect(dialect.key).toBe(`telangana-${dialect._id.toString().slice(-6)}`);
+  });
+
+  it('should extend the default dialect of its language', async () => {
+    const dialect = new Dialect({ name: 'Patna', language: 'hi', owner: '507f1f77bcf86cd799439011' });
+    await dialect.validate();
+
+    expect(dialect.baseDialect).toBe('khari-boli');
+  });
+
+  it('should reject a base dialect from another language', async () => {
+    const dialect = new Dialect({ name: 'Tirunelveli', language: 'ta', baseDialect: 'telangana' });
+
+    await expect(dialect.validate()).rejects.toThrow('Base dialect must be a built-in dialect of the same language');
+  });
+
+  it('should limit the size of the lexicon', async () => {
+    const dialect = new Dialect({ name: 'Nellore', markers: Array.from({ length: 21 }, (_, i) => `marker ${i}`) });
+
+    await expect(dialect.validate()).rejects.toThrow('Cannot have more than 20 marker entries');
+  });
+});
@@ -0,0 +1,18 @@
+const Lyrics = require('../../../src/models/Lyrics');
+
+describe('Lyrics collaborators', () => {
+  it('should keep the invite token hash out of the JSON of the lyrics', () => {
+    const lyrics = new Lyrics({
+      user: '507f1f77bcf86cd799439011',
+      content: 'వాన వాన',
+      collaborators: [{ email: 'ravi@example.com', role: 'editor', inviteToken: 'a1b2c3' }]
+    });
+
+    const json = lyrics.toJSON();
+
+    expect(json.collaborators[0]).toEqual(expect.objectContaining({ email: 'ravi@example.com', role: 'editor', status: 'pending' }));
+    expect(json.collaborators[0]).not.toHaveProperty('inviteToken');
+    expect(JSON.stringify(lyrics)).not.toContain('a1b2c3');
+    expect(lyrics.collaborators[0].inviteToken).toBe('a1b2c3');
+  });
+});
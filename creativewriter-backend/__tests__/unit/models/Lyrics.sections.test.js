@@ -0,0 +1,142 @@
+const Lyrics = require('../../../src/models/Lyrics');
+const { fingerprint } = require('../../../src/utils/similarity');
+
+const SONG = `🎵 వాన పాట
+
+【పల్లవి - Pallavi】
+వాన వాన వల్లప్ప
+(Vaana vaana vallappa)
+
+【చరణం 1 - Charanam 1】
+మబ్బులు కమ్మెను ఆకాశం (Mabbulu kammenu aakaasham)
+చినుకులు రాలెను నేల మీద (Chinukulu raalenu nela meeda)
+
+---
+🗣️ మాండలికం: తెలంగాణ (Telangana)
+🎶 Theme: Rain
+⏱️ Suggested Tempo: 100 – 120 BPM
+🎼 Raga: Mohanam`;
+
+describe('Lyrics sections', () => {
+  it('should derive structured sections from content', () => {
+    const lyrics = new Lyrics({ user: '507f1f77bcf86cd799439011', content: SONG });
+    lyrics.deriveFromContent();
+
+    const sections = lyrics.sections.map(s => s.toObject());
+    expect(sections.map(s => s.key)).toEqual(['pallavi', 'charanam-1', 'metadata']);
+    expect(sections[0]).toEqual(expect.objectContaining({
+      type: 'pallavi',
+      teluguLines: ['వాన వాన వల్లప్ప'],
+      transliterationLines: ['Vaana vaana vallappa']
+    }));
+    expect(sections[1].teluguLines).toEqual(['మబ్బులు కమ్మెను ఆకాశం', 'చినుకులు రాలెను నేల మీద']);
+    expect(sections[1].transliterationLines).toEqual(['Mabbulu kammenu aakaasham', 'Chinukulu raalenu nela meeda']);
+    expect(lyrics.sections[2].fields.get('dialect')).toBe('తెలంగాణ (Telangana)');
+  });
+
+  it('should extract the suggested tempo and raga from the metadata block', () => {
+    const lyrics = new Lyrics({ user: '507f1f77bcf86cd799439011', content: SONG });
+    lyrics.deriveFromContent();
+
+    expect(lyrics.metadata.suggestedTempo).toBe('100-120 BPM');
+    expect(lyrics.metadata.suggestedRaga).toBe('Mohanam');
+  });
+
+  it('should keep the default tempo when the text has none', () => {
+    const lyrics = new Lyrics({
+      user: '507f1f77bcf86cd799439011',
+      content: '【పల్లవి】\nపాట\n\n---\n⏱️ Suggested Tempo: [appropriate tempo]'
+    });
+    lyrics.deriveFromContent();
+
+    expect(lyrics.metadata.suggestedTempo).toBe('80-100 BPM');
+    expect(lyrics.sections[0].key).toBe('pallavi');
+  });
+
+  it('should store the rhyme score in metadata', () => {
+    const lyrics = new Lyrics({ user: '507f1f77bcf86cd799439011', content: SONG });
+    lyrics.deriveFromContent();
+
+    expect(lyrics.metadata.rhyme.score).toBeGreaterThan(0);
+    expect(lyrics.metadata.rhyme.score).toBeLessThanOrEqual(100);
+    expect(lyrics.metadata.rhyme.analyzedAt).toBeInstanceOf(Date);
+  });
+
+  it('should analyze rhyme for lyrics without section headings', () => {
+    const lyrics = new Lyrics({ user: '507f1f77bcf86cd799439011', content: 'వాన వాన వల్లప్ప\nకోన కోన కల్లప్ప' });
+    lyrics.deriveFromContent();
+
+    expect(lyrics.metadata.rhyme.praasa).toBe(1);
+    expect(lyrics.metadata.rhyme.antyaprasa).toBe(1);
+  });
+
+  it('should only report a transliteration when lyric lines have one', () => {
+    const lyrics = new Lyrics({
+      user: '507f1f77bcf86cd799439011',
+      content: '【పల్లవి - Pallavi】\nవాన వాన వల్లప్ప\n\n---\n🎶 Theme: Rain'
+    });
+    lyrics.deriveFromContent();
+    expect(lyrics.metadata.hasTransliteration).toBe(false);
+
+    lyrics.content = SONG;
+    lyrics.deriveFromContent();
+    expect(lyrics.metadata.hasTransliteration).toBe(true);
+  });
+
+  it('should store folded search text for transliterated queries', () => {
+    const lyrics = new Lyrics({ user: '507f1f77bcf86cd799439011', title: 'వెన్నెల', content: SONG });
+    lyrics.deriveFromContent();
+
+    expect(lyrics.searchText.startsWith('venela')).toBe(true);
+    expect(lyrics.searchText).toContain('vana vana valapa');
+  });
+
+  it('should store the similarity fingerprint of the lyric lines', () => {
+    const lyrics = new Lyrics({ user: '507f1f77bcf86cd799439011', content: SONG });
+    lyrics.deriveFromContent();
+
+    expect(lyrics.fingerprint.length).toBeGreaterThan(0);
+    expect([...lyrics.fingerprint]).toEqual(fingerprint(SONG));
+  });
+
+  it('should suggest a raga and tala from the style, form and theme', () => {
+    const content = SONG.replace('\n🎼 Raga: Mohanam', '');
+    const lyrics = new Lyrics({ user: '507f1f77bcf86cd799439011', content, style: 'devotional', poetryForm: 'keertana', theme: 'Prayer' });
+    lyrics.deriveFromContent();
+
+    expect(lyrics.metadata.suggestedRaga).toBeTruthy();
+    expect(lyrics.metadata.suggestedTala).toBe('Adi');
+  });
+
+  it('should prefer a raga named in the footer', () => {
+    const lyrics = new Lyrics({ user: '507f1f77bcf86cd799439011', content: SONG, style: 'lullaby', poetryForm: 'janapada' });
+    lyrics.deriveFromContent();
+
+    // Anandabhairavi is the top recommendation for lullabies
+    expect(lyrics.metadata.suggestedRaga).toBe('Mohanam');
+  });
+
+  it('should backfill stale lyrics in batches, only where the content is unchanged', async () => {
+    const stale = Array.from({ length: 3 }, () => new Lyrics({ user: '507f1f77bcf86cd799439011', content: SONG }));
+    const cursor = jest.fn(() => (async function* () { yield* stale; })());
+    const batchSize = jest.fn(() => ({ cursor }));
+    jest.spyOn(Lyrics, 'find').mockReturnValue({ batchSize });
+    const bulkWrite = jest.spyOn(Lyrics, 'bulkWrite').mockResolvedValue({ modifiedCount: 3 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await Lyrics.backfillSections();
+
+    expect(Lyrics.find).toHaveBeenCalledWith({ 'metadata.derivedVersion': { $ne: 5 } });
+    expect(bulkWrite).toHaveBeenCalledTimes(1);
+    const [ops] = bulkWrite.mock.calls[0];
+    expect(ops).toHaveLength(3);
+    expect(ops[0].updateOne.filter).toEqual({ _id: stale[0]._id, content: SONG });
+    const { $set } = ops[0].updateOne.update;
+    expect($set.sections.map(s => s.key)).toEqual(['pallavi', 'charanam-1', 'metadata']);
+    expect($set.metadata.derivedVersion).toBe(5);
+    expect($set.searchText).toBeTruthy();
+    expect([...$set.fingerprint]).toEqual(fingerprint(SONG));
+
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,87 @@
+const PromptTemplate = require('../../../src/models/PromptTemplate');
+const { PROMPT_TEMPLATES } = require('../../../src/utils/lyricsPrompt');
+
+describe('PromptTemplate defaults', () => {
+  // Every template but `lyrics` is already seeded with its shipped text
+  const seed = ({ shipped, latest, published }) => {
+    jest.spyOn(PromptTemplate, 'updateMany').mockResolvedValue({});
+    jest.spyOn(PromptTemplate, 'findOne').mockImplementation(({ name, builtIn }) => {
+      const doc = name !== 'lyrics'
+        ? { template: PROMPT_TEMPLATES[name].defaultTemplate, version: 1 }
+        : (builtIn ? shipped : latest);
+      return { sort: () => ({ select: async () => doc || null }) };
+    });
+    jest.spyOn(PromptTemplate, 'getPublished').mockResolvedValue(published || null);
+    jest.spyOn(PromptTemplate, 'create').mockImplementation(async (doc) => doc);
+    jest.spyOn(PromptTemplate, 'publishVersion').mockResolvedValue({});
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should seed and publish version 1 of a new template', async () => {
+    seed({});
+
+    await PromptTemplate.initializeDefaults();
+
+    expect(PromptTemplate.create).toHaveBeenCalledTimes(1);
+    expect(PromptTemplate.create).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'lyrics',
+      version: 1,
+      template: PROMPT_TEMPLATES.lyrics.defaultTemplate,
+      builtIn: true
+    }));
+    expect(PromptTemplate.publishVersion).toHaveBeenCalledWith('lyrics', 1, null);
+  });
+
+  it('should mark version 1 seeded before built-in versions were marked', async () => {
+    seed({ shipped: { template: PROMPT_TEMPLATES.lyrics.defaultTemplate } });
+
+    await PromptTemplate.initializeDefaults();
+
+    expect(PromptTemplate.updateMany).toHaveBeenCalledWith(
+      { version: 1, builtIn: { $exists: false }, createdBy: { $exists: false } },
+      { $set: { builtIn: true } }
+    );
+    expect(PromptTemplate.create).not.toHaveBeenCalled();
+  });
+
+  it('should publish a new version when the shipped text changes', async () => {
+    seed({
+      shipped: { template: 'Old shipped prompt about {{theme}}' },
+      latest: { version: 3 },
+      published: { version: 3, builtIn: true }
+    });
+
+    await PromptTemplate.initializeDefaults();
+
+    expect(PromptTemplate.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'lyrics', version: 4, builtIn: true }));
+    expect(PromptTemplate.publishVersion).toHaveBeenCalledWith('lyrics', 4, null);
+  });
+
+  it('should leave the new version as a draft when an admin published their own', async () => {
+    seed({
+      shipped: { template: 'Old shipped prompt about {{theme}}' },
+      latest: { version: 2 },
+      published: { version: 2, builtIn: false }
+    });
+
+    await PromptTemplate.initializeDefaults();
+
+    expect(PromptTemplate.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'lyrics', version: 3 }));
+    expect(PromptTemplate.publishVersion).not.toHaveBeenCalled();
+  });
+
+  it('should skip a version another server seeded first', async () => {
+    seed({ shipped: { template: 'Old shipped prompt about {{theme}}' }, latest: { version: 1 }, published: { version: 1, builtIn: true } });
+    PromptTemplate.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(PromptTemplate.initializeDefaults()).resolves.toBeUndefined();
+    expect(PromptTemplate.publishVersion).not.toHaveBeenCalled();
+  });
+});
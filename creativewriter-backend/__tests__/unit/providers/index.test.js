@@ -0,0 +1,219 @@
+jest.mock('../../../src/models/ApiKey');
+jest.mock('../../../src/models/Setting');
+jest.mock('node-fetch');
+
+const { Readable } = require('stream');
+const ApiKey = require('../../../src/models/ApiKey');
+const Setting = require('../../../src/models/Setting');
+const fetch = require('node-fetch');
+const {
+  getProvider,
+  getFallbackChain,
+  setFallbackChain,
+  generateWithFallback
+} = require('../../../src/providers');
+
+describe('LLM provider registry', () => {
+  // Keys per service; undefined means no active ApiKey entry
+  const configureKeys = (keys) => {
+    ApiKey.getKeyForService.mockImplementation(async (service) => (service in keys ? keys[service] : null));
+    ApiKey.findOne.mockImplementation(async ({ service }) => ({
+      service,
+      metadata: {},
+      recordUsage: jest.fn().mockResolvedValue(true)
+    }));
+  };
+
+  const anthropicOk = (text) => ({
+    ok: true,
+    json: jest.fn().mockResolvedValue({ content: [{ type: 'text', text }] })
+  });
+
+  const openaiOk = (text) => ({
+    ok: true,
+    json: jest.fn().mockResolvedValue({ choices: [{ message: { content: text } }] })
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ==================== fallback chain ====================
+  describe('getFallbackChain', () => {
+    it('should default to anthropic when no chain is stored', async () => {
+      Setting.getValue.mockResolvedValue(null);
+      expect(await getFallbackChain()).toEqual(['anthropic']);
+    });
+
+    it('should return the stored chain', async () => {
+      Setting.getValue.mockResolvedValue(['ollama', 'openai']);
+      expect(await getFallbackChain()).toEqual(['ollama', 'openai']);
+    });
+  });
+
+  describe('setFallbackChain', () => {
+    it('should de-duplicate and store the chain', async () => {
+      await setFallbackChain(['openai', 'anthropic', 'openai'], 'admin1');
+      expect(Setting.setValue).toHaveBeenCalledWith('llm.fallbackChain', ['openai', 'anthropic'], 'admin1');
+    });
+
+    it('should reject unknown providers', async () => {
+      await expect(setFallbackChain(['palm'], 'admin1')).rejects.toThrow('Unknown provider(s): palm');
+    });
+  });
+
+  // ==================== generateWithFallback ====================
+  describe('generateWithFallback', () => {
+    it('should answer with the first configured provider', async () => {
+      Setting.getValue.mockResolvedValue(['anthropic', 'openai']);
+      configureKeys({ anthropic: 'sk-ant', openai: 'sk-oai' });
+      fetch.mockResolvedValue(anthropicOk('పల్లవి'));
+
+      const result = await generateWithFallback({ prompt: 'Write', maxTokens: 100 });
+
+      expect(result).toEqual(expect.objectContaining({ text: 'పల్లవి', provider: 'anthropic' }));
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall through to the next provider on failure', async () => {
+      Setting.getValue.mockResolvedValue(['anthropic', 'openai']);
+      configureKeys({ anthropic: 'sk-ant', openai: 'sk-oai' });
+      fetch
+        .mockResolvedValueOnce({ ok: false, status: 529 })
+        .mockResolvedValueOnce(openaiOk('చరణం'));
+
+      const result = await generateWithFallback({ prompt: 'Write', maxTokens: 100 });
+
+      expect(result.provider).toBe('openai');
+      expect(result.model).toBe('gpt-4o-mini');
+      expect(fetch.mock.calls[1][0]).toBe('https://api.openai.com/v1/chat/completions');
+      expect(result.attempts).toEqual([
+        { provider: 'anthropic', success: false, error: 'API error: 529' },
+        { provider: 'openai', success: true }
+      ]);
+    });
+
+    it('should skip providers without a required key', async () => {
+      Setting.getValue.mockResolvedValue(['openai', 'ollama']);
+      configureKeys({ openai: '', ollama: '' });
+      fetch.mockResolvedValue({ ok: true, json: jest.fn().mockResolvedValue({ message: { content: 'local' } }) });
+
+      const result = await generateWithFallback({ prompt: 'Write', maxTokens: 100 });
+
+      expect(result.provider).toBe('ollama');
+      expect(fetch.mock.calls[0][0]).toBe('http://localhost:11434/api/chat');
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+    });
+
+    it('should prefer base URL and model from ApiKey metadata', async () => {
+      Setting.getValue.mockResolvedValue(['openai']);
+      configureKeys({ openai: 'sk-groq' });
+      ApiKey.findOne.mockResolvedValue({
+        metadata: { baseUrl: 'https://api.groq.com/openai/v1/', model: 'llama-3.3-70b' },
+        recordUsage: jest.fn()
+      });
+      fetch.mockResolvedValue(openaiOk('text'));
+
+      const result = await generateWithFallback({ prompt: 'Write', maxTokens: 100 });
+
+      expect(fetch.mock.calls[0][0]).toBe('https://api.groq.com/openai/v1/chat/completions');
+      expect(result.model).toBe('llama-3.3-70b');
+    });
+
+    it('should record usage on the answering provider', async () => {
+      Setting.getValue.mockResolvedValue(['anthropic']);
+      const keyDoc = { metadata: {}, recordUsage: jest.fn().mockResolvedValue(true) };
+      ApiKey.getKeyForService.mockResolvedValue('sk-ant');
+      ApiKey.findOne.mockResolvedValue(keyDoc);
+      fetch.mockResolvedValue(anthropicOk('text'));
+
+      await generateWithFallback({ prompt: 'Write', maxTokens: 100 });
+
+      expect(keyDoc.recordUsage).toHaveBeenCalled();
+    });
+
+    it('should throw PROVIDERS_UNAVAILABLE when nothing is configured', async () => {
+      Setting.getValue.mockResolvedValue(['anthropic']);
+      configureKeys({});
+
+      await expect(generateWithFallback({ prompt: 'Write', maxTokens: 100 }))
+        .rejects.toMatchObject({ code: 'PROVIDERS_UNAVAILABLE', attempts: [] });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should treat an empty response as a failure', async () => {
+      Setting.getValue.mockResolvedValue(['anthropic']);
+      configureKeys({ anthropic: 'sk-ant' });
+      fetch.mockResolvedValue(anthropicOk('  '));
+
+      await expect(generateWithFallback({ prompt: 'Write', maxTokens: 100 }))
+        .rejects.toMatchObject({ code: 'PROVIDERS_UNAVAILABLE' });
+    });
+
+    it('should stream from OpenAI-compatible endpoints until [DONE]', async () => {
+      Setting.getValue.mockResolvedValue(['openai']);
+      configureKeys({ openai: 'sk-oai' });
+      const chunk = (text) => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`;
+      fetch.mockResolvedValue({
+        ok: true,
+        body: Readable.from([Buffer.from(chunk('వెన్న') + chunk('ెల')), Buffer.from('data: [DONE]\n\n')])
+      });
+      const deltas = [];
+
+      const result = await generateWithFallback({ prompt: 'Write', maxTokens: 100, onText: t => deltas.push(t) });
+
+      expect(deltas).toEqual(['వెన్న', 'ెల']);
+      expect(result.text).toBe('వెన్నెల');
+    });
+
+    it('should stream newline-delimited JSON from Ollama', async () => {
+      Setting.getValue.mockResolvedValue(['ollama']);
+      configureKeys({ ollama: '' });
+      const lines = '{"message":{"content":"గీతం"},"done":false}\n{"message":{"content":" పాట"},"done":false}\n{"done":true}';
+      const bytes = Buffer.from(lines);
+      fetch.mockResolvedValue({ ok: true, body: Readable.from([bytes.subarray(0, 20), bytes.subarray(20)]) });
+      const deltas = [];
+
+      const result = await generateWithFallback({ prompt: 'Write', maxTokens: 100, onText: t => deltas.push(t) });
+
+      expect(deltas).toEqual(['గీతం', ' పాట']);
+      expect(result.provider).toBe('ollama');
+    });
+
+    it('should not fall back after partial streamed output', async () => {
+      Setting.getValue.mockResolvedValue(['openai', 'anthropic']);
+      configureKeys({ openai: 'sk-oai', anthropic: 'sk-ant' });
+      fetch.mockResolvedValue({
+        ok: true,
+        body: Readable.from([
+          Buffer.from(`data: ${JSON.stringify({ choices: [{ delta: { content: 'partial' } }] })}\n\n`),
+          Buffer.from(`data: ${JSON.stringify({ error: { message: 'server overloaded' } })}\n\n`)
+        ])
+      });
+
+      await expect(generateWithFallback({ prompt: 'Write', maxTokens: 100, onText: () => {} }))
+        .rejects.toMatchObject({ code: 'STREAM_INTERRUPTED' });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should notify onAttempt for each provider tried', async () => {
+      Setting.getValue.mockResolvedValue(['anthropic', 'openai']);
+      configureKeys({ anthropic: 'sk-ant', openai: 'sk-oai' });
+      fetch
+        .mockResolvedValueOnce({ ok: false, status: 500 })
+        .mockResolvedValueOnce(openaiOk('text'));
+      const onAttempt = jest.fn();
+
+      await generateWithFallback({ prompt: 'Write', maxTokens: 100, onAttempt });
+
+      expect(onAttempt.mock.calls.map(c => c[0].provider)).toEqual(['anthropic', 'openai']);
+    });
+  });
+
+  describe('getProvider', () => {
+    it('should return null for unregistered services', () => {
+      expect(getProvider('suno')).toBeNull();
+      expect(getProvider('anthropic').requiresKey).toBe(true);
+    });
+  });
+});
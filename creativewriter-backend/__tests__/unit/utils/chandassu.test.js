@@ -0,0 +1,116 @@
+const {
+  METRES,
+  splitAksharas,
+  analyzeLine,
+  analyzeMeter
+} = require('../../../src/utils/chandassu');
+
+// Pothana, Bhagavatam - a textbook Utpalamala line
+const UTPALAMALA = 'ఎవ్వనిచే జనించు జగ మెవ్వని లోపల నుండు లీనమై';
+
+const weights = (text) => splitAksharas(text).map(a => `${a.text}${a.weight}`).join(' ');
+
+describe('Chandassu', () => {
+  describe('splitAksharas', () => {
+    it('should mark long vowels guru and short vowels laghu', () => {
+      expect(weights('రామ')).toBe('రాU మI');
+      expect(weights('ఆట ఇది')).toBe('ఆU టI ఇI దిI');
+    });
+
+    it('should make an akshara guru before a conjunct or double consonant', () => {
+      expect(weights('సత్యము')).toBe('సU త్యI ముI');
+      expect(weights('అమ్మ')).toBe('అU మ్మI');
+    });
+
+    it('should not lengthen across a word boundary', () => {
+      expect(weights('నీ ప్రేమ')).toBe('నీU ప్రేU మI');
+      expect(weights('మన ప్రేమ')).toBe('మI నI ప్రేU మI');
+    });
+
+    it('should make anusvara, visarga and pollu guru', () => {
+      expect(weights('అందం')).toBe('అంU దంU');
+      expect(weights('దుఃఖ')).toBe('దుఃU ఖI');
+      expect(weights('కన్')).toBe('కన్U');
+    });
+
+    it('should ignore punctuation and Latin text', () => {
+      expect(weights('రామ, (Rama)!')).toBe('రాU మI');
+    });
+  });
+
+  describe('analyzeLine', () => {
+    it('should pass a correct Utpalamala line and group its ganas', () => {
+      const result = analyzeLine(UTPALAMALA, 'utpalamala');
+
+      expect(result.pattern).toBe('UIIUIUIIIUIIUIIUIUIU');
+      expect(result.ganas.map(g => g.name)).toEqual(['భ', 'ర', 'న', 'భ', 'భ', 'ర', 'వ']);
+      expect(result.pass).toBe(true);
+      expect(result.violations).toEqual([]);
+    });
+
+    it('should flag the aksharas that break a vritta', () => {
+      const result = analyzeLine(UTPALAMALA.replace('ఎవ్వనిచే', 'ఎవనిచే'), 'utpalamala');
+
+      expect(result.pass).toBe(false);
+      expect(result.violations[0]).toMatchObject({ type: 'gana', position: 0 });
+      expect(result.aksharas[0].violation).toBe(true);
+    });
+
+    it('should report lines that are too short or too long', () => {
+      const result = analyzeLine(UTPALAMALA.replace(' లీనమై', ''), 'utpalamala');
+
+      expect(result.pass).toBe(false);
+      expect(result.violations).toEqual([expect.objectContaining({ type: 'length', position: 17 })]);
+    });
+
+    it('should validate Kandam lines against the short and long line rules', () => {
+      expect(analyzeLine('రామా రామా రామా', 'kandam', 0).pass).toBe(true);
+
+      const long = analyzeLine('రామా రామా సుమేరు రామా రామా', 'kandam', 1);
+      expect(long.pass).toBe(true);
+      expect(long.ganas.map(g => g.name)).toEqual(['గగ', 'గగ', 'జ', 'గగ', 'గగ']);
+    });
+
+    it('should reject a Kandam long line without జ or నల as its third gana', () => {
+      const result = analyzeLine('రామా రామా రామా రామా రామా', 'kandam', 1);
+
+      expect(result.pass).toBe(false);
+      expect(result.violations[0].message).toContain('Gana 3');
+    });
+
+    it('should report yati mismatches as warnings', () => {
+      const result = analyzeLine('కమలా సుమేరు రామా', 'kandam', 0);
+      const yati = analyzeLine('కామా రామా సుమేరు రామా రామా', 'kandam', 1);
+
+      expect(result.violations.filter(v => v.type === 'yati')).toEqual([]);
+      expect(yati.violations).toEqual([expect.objectContaining({ type: 'yati', severity: 'warning' })]);
+      expect(yati.pass).toBe(true);
+    });
+  });
+
+  describe('analyzeMeter', () => {
+    it('should detect the best-fitting metre', () => {
+      const result = analyzeMeter([UTPALAMALA]);
+
+      expect(result.meter.key).toBe('utpalamala');
+      expect(result.detected).toBe(true);
+      expect(result.summary).toEqual({ totalLines: 1, passed: 1, failed: 0 });
+    });
+
+    it('should use the requested metre', () => {
+      const result = analyzeMeter([UTPALAMALA], 'champakamala');
+
+      expect(result.meter).toEqual({ key: 'champakamala', name: METRES.champakamala.name });
+      expect(result.detected).toBe(false);
+      expect(result.lines[0].pass).toBe(false);
+    });
+
+    it('should check praasa across a verse', () => {
+      const result = analyzeMeter([UTPALAMALA, UTPALAMALA.replace('ఎవ్వ', 'ఎన్న')], 'utpalamala');
+
+      expect(result.lines[0].violations).toEqual([]);
+      expect(result.lines[1].violations).toEqual([expect.objectContaining({ type: 'praasa', position: 1 })]);
+      expect(result.lines[1].pass).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { composeDemoLyrics } = require('../../../src/utils/demoComposer');
+const { parseLyricsStructure } = require('../../../src/utils/lyricsSections');
+const { analyzeRhyme } = require('../../../src/utils/rhyme');
+
+const input = (overrides = {}) => ({
+  theme: 'వాన',
+  style: 'folk',
+  dialect: 'telangana',
+  poetryForm: 'geeyam',
+  ...overrides
+});
+
+const songSections = (content) => parseLyricsStructure(content).filter(s => s.type !== 'metadata');
+
+describe('Demo Composer', () => {
+  it('should compose the same song for the same input', () => {
+    expect(composeDemoLyrics(input())).toBe(composeDemoLyrics(input()));
+  });
+
+  it('should compose a different song for a different theme or seed', () => {
+    const song = composeDemoLyrics(input());
+
+    expect(composeDemoLyrics(input({ theme: 'పండుగ' }))).not.toBe(song);
+    expect(composeDemoLyrics(input(), { seed: 7 })).not.toBe(song);
+  });
+
+  it('should keep one praasa on every line of a section', () => {
+    for (const style of ['romantic', 'devotional', 'cinematic']) {
+      for (const theme of ['వాన', 'Love', 'అమ్మ']) {
+        const { sections } = analyzeRhyme(songSections(composeDemoLyrics(input({ style, theme }))));
+
+        sections.forEach(section => expect(section.praasa.consistency).toBe(1));
+      }
+    }
+  });
+
+  it('should follow the sections of the poetry form', () => {
+    const keys = (poetryForm) => songSections(composeDemoLyrics(input({ poetryForm }))).map(s => s.key);
+
+    expect(keys('geeyam')).toEqual(['pallavi', 'charanam-1', 'charanam-2']);
+    expect(keys('keertana')).toEqual(['pallavi', 'anupallavi', 'charanam-1', 'charanam-2', 'charanam-3']);
+    expect(keys('padyam')).toEqual(['padyam-1', 'padyam-2']);
+  });
+
+  it('should close every folk verse with a refrain from the dialect', () => {
+    const sections = songSections(composeDemoLyrics(input({ poetryForm: 'janapada', dialect: 'rayalaseema' })));
+
+    expect(sections).toHaveLength(4);
+    sections.forEach(section => {
+      expect(['ఏలో ఏలో ఏలేలో', 'ఓ రామ సక్కనోడా']).toContain(section.teluguLines[section.teluguLines.length - 1]);
+    });
+  });
+
+  it('should open on the theme and use the style and dialect vocabulary', () => {
+    const content = composeDemoLyrics(input({ theme: 'బతుకమ్మ పండుగ', style: 'celebration' }));
+
+    expect(songSections(content)[0].teluguLines[0]).toContain('బతుకమ్మ పండుగ');
+    expect(content).toContain('పండుగ పాట - తెలంగాణ శైలి');
+    expect(content).toMatch(/మస్తుగ|లగువగ/);
+    expect(content).toContain('⏱️ Suggested Tempo: 110-130 BPM');
+  });
+
+  it('should start the first verse with the user\'s lines', () => {
+    const content = composeDemoLyrics(input({ customLines: 'నా పల్లె నా ప్రాణం\nనా పాట నా గానం' }));
+    const charanam = songSections(content).find(s => s.key === 'charanam-1');
+
+    expect(charanam.teluguLines.slice(0, 2)).toEqual(['నా పల్లె నా ప్రాణం', 'నా పాట నా గానం']);
+    expect(charanam.teluguLines).toHaveLength(4);
+  });
+
+  it('should transliterate every line', () => {
+    const [pallavi] = songSections(composeDemoLyrics(input()));
+
+    expect(pallavi.transliterationLines).toHaveLength(pallavi.teluguLines.length);
+    expect(pallavi.transliterationLines[0]).toMatch(/^[a-zA-Z ]+$/);
+  });
+
+  it('should name a custom dialect profile and borrow its base dialect\'s vocabulary', () => {
+    const dialectProfile = { name: 'Nellore', nativeName: 'నెల్లూరు', baseDialect: 'rayalaseema' };
+    const content = composeDemoLyrics(input({ poetryForm: 'janapada', dialect: 'nellore-a1b2c3', dialectProfile }));
+
+    expect(content).toContain('🗣️ మాండలికం: నెల్లూరు');
+    expect(content).toMatch(/ఏలో ఏలో ఏలేలో|ఓ రామ సక్కనోడా/);
+  });
+
+  it('should compose admin-added styles and forms from their built-in base', () => {
+    const content = composeDemoLyrics(input({
+      style: 'bathukamma-paata',
+      poetryForm: 'kolatam',
+      styleProfile: { name: 'Bathukamma Paata', teluguName: 'బతుకమ్మ పాట', base: 'celebration' },
+      poetryFormProfile: { name: 'Kolatam', teluguName: 'కోలాటం', base: 'keertana' }
+    }));
+
+    expect(content).toContain('బతుకమ్మ పాట - తెలంగాణ శైలి');
+    expect(content).toContain('⏱️ Suggested Tempo: 110-130 BPM');
+    expect(songSections(content).map(s => s.key)).toEqual(['pallavi', 'anupallavi', 'charanam-1', 'charanam-2', 'charanam-3']);
+  });
+
+  it('should compose a short song in Hindi, Tamil or Kannada', () => {
+    const content = composeDemoLyrics(input({ language: 'hi', theme: 'बारिश', dialect: 'bhojpuri', customLines: 'मेरी पंक्ति' }));
+    const sections = songSections(content);
+
+    expect(sections.map(s => s.key)).toEqual(['pallavi', 'charanam-1', 'charanam-2']);
+    expect(sections[0].label).toBe('मुखड़ा - Pallavi');
+    expect(sections[0].teluguLines[0]).toContain('बारिश');
+    expect(sections[1].teluguLines[0]).toBe('मेरी पंक्ति');
+    expect(sections[0].transliterationLines[0]).toMatch(/^baariS /);
+    expect(content).toContain('🗣️ Dialect: भोजपुरी');
+    expect(content).toContain('Demo Mode');
+  });
+
+  it('should fall back to defaults for unknown style, dialect and form', () => {
+    const content = composeDemoLyrics({ theme: 'Rain', style: 'jazz', dialect: 'unknown', poetryForm: 'haiku' });
+
+    expect(content).toContain('ప్రేమ గీతం - కోస్తాంధ్ర శైలి');
+    expect(songSections(content).map(s => s.key)).toEqual(['pallavi', 'charanam-1', 'charanam-2']);
+    expect(content).toContain('Demo Mode');
+  });
+});
@@ -0,0 +1,35 @@
+const { diffLines } = require('../../../src/utils/diff');
+
+const summarize = (changes) => changes.map(c => `${{ equal: ' ', added: '+', removed: '-' }[c.type]}${c.text}`);
+
+describe('Line Diff', () => {
+  it('should report identical texts as unchanged', () => {
+    const { changes, stats } = diffLines('a\nb', 'a\nb');
+
+    expect(summarize(changes)).toEqual([' a', ' b']);
+    expect(stats).toEqual({ added: 0, removed: 0, unchanged: 2 });
+  });
+
+  it('should show a changed line as a removal followed by an addition', () => {
+    const { changes } = diffLines('a\nb\nc', 'a\nx\nc');
+
+    expect(summarize(changes)).toEqual([' a', '-b', '+x', ' c']);
+    expect(changes[1]).toEqual({ type: 'removed', text: 'b', oldLine: 2, newLine: null });
+    expect(changes[2]).toEqual({ type: 'added', text: 'x', oldLine: null, newLine: 2 });
+  });
+
+  it('should track line numbers across insertions and deletions', () => {
+    const { changes, stats } = diffLines('a\nb\nc\nd', 'new\na\nc\nd\nend');
+
+    expect(summarize(changes)).toEqual(['+new', ' a', '-b', ' c', ' d', '+end']);
+    expect(changes[3]).toEqual({ type: 'equal', text: 'c', oldLine: 3, newLine: 3 });
+    expect(changes[4]).toEqual({ type: 'equal', text: 'd', oldLine: 4, newLine: 4 });
+    expect(stats).toEqual({ added: 2, removed: 1, unchanged: 3 });
+  });
+
+  it('should keep moved blocks aligned on the longest common run', () => {
+    const { changes } = diffLines('p1\np2\nc1\nc2', 'c1\nc2\np1\np2');
+
+    expect(changes.filter(c => c.type === 'equal')).toHaveLength(2);
+  });
+});
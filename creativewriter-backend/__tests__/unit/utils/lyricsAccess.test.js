@@ -0,0 +1,63 @@
+const { getRole, hasRole, visibleCollaborators } = require('../../../src/utils/lyricsAccess');
+
+describe('Lyrics access roles', () => {
+  const lyrics = {
+    user: 'owner1',
+    collaborators: [
+      { email: 'e@example.com', user: 'editor1', status: 'accepted', role: 'editor' },
+      { email: 'v@example.com', user: { _id: 'viewer1', name: 'Populated' }, status: 'accepted', role: 'viewer' },
+      { email: 'p@example.com', user: 'pending1', status: 'pending', role: 'editor' },
+      { email: 'new@example.com', status: 'pending', role: 'commenter' }
+    ]
+  };
+
+  describe('getRole', () => {
+    it('should recognise the owner', () => {
+      expect(getRole(lyrics, 'owner1')).toBe('owner');
+      expect(getRole({ user: { _id: 'owner1', name: 'Owner' } }, 'owner1')).toBe('owner');
+    });
+
+    it('should return the role of accepted collaborators', () => {
+      expect(getRole(lyrics, 'editor1')).toBe('editor');
+      expect(getRole(lyrics, { toString: () => 'viewer1' })).toBe('viewer');
+    });
+
+    it('should ignore pending invitations and strangers', () => {
+      expect(getRole(lyrics, 'pending1')).toBeNull();
+      expect(getRole(lyrics, 'someone')).toBeNull();
+    });
+
+    it('should handle lyrics without collaborators', () => {
+      expect(getRole({ user: 'owner1' }, 'other')).toBeNull();
+    });
+  });
+
+  describe('hasRole', () => {
+    it('should compare roles by rank', () => {
+      expect(hasRole(lyrics, 'owner1', 'editor')).toBe(true);
+      expect(hasRole(lyrics, 'editor1', 'commenter')).toBe(true);
+      expect(hasRole(lyrics, 'editor1', 'owner')).toBe(false);
+      expect(hasRole(lyrics, 'viewer1', 'viewer')).toBe(true);
+      expect(hasRole(lyrics, 'viewer1', 'commenter')).toBe(false);
+      expect(hasRole(lyrics, 'someone', 'viewer')).toBe(false);
+    });
+  });
+
+  describe('visibleCollaborators', () => {
+    const withToken = { ...lyrics, collaborators: [{ ...lyrics.collaborators[3], inviteToken: 'hash' }] };
+
+    it('should show emails to editors and the owner, never invite tokens', () => {
+      expect(visibleCollaborators(withToken, 'editor')[0]).toEqual(expect.objectContaining({ email: 'new@example.com', role: 'commenter' }));
+      expect(visibleCollaborators(withToken, 'owner')[0]).not.toHaveProperty('inviteToken');
+    });
+
+    it('should hide emails from viewers and commenters', () => {
+      expect(visibleCollaborators(lyrics, 'viewer')).toHaveLength(4);
+      expect(visibleCollaborators(lyrics, 'commenter').some(c => 'email' in c)).toBe(false);
+    });
+
+    it('should show nothing to users without a role', () => {
+      expect(visibleCollaborators(lyrics, null)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const {
+  EXPORT_FORMATS,
+  parseBpm,
+  timeLines,
+  exportSections,
+  renderExport,
+  renderCollectionExport,
+  contentDisposition
+} = require('../../../src/utils/lyricsExport');
+const JSZip = require('jszip');
+
+const SONG = `🎵 వాన పాట
+
+【పల్లవి - Pallavi】
+వాన వాన వల్లప్ప
+(Vaana vaana vallappa)
+
+【చరణం 1 - Charanam 1】
+మబ్బులు కమ్మెను ఆకాశం (Mabbulu kammenu aakaasham)
+చినుకులు రాలెను నేల మీద
+
+---
+⏱️ Suggested Tempo: 100 – 120 BPM
+🎼 Raga: Mohanam`;
+
+const lyrics = {
+  title: 'వాన పాట',
+  content: SONG,
+  style: 'folk',
+  dialect: 'telangana',
+  sections: [],
+  metadata: { suggestedTempo: '100-120 BPM', suggestedRaga: 'Mohanam' }
+};
+
+const hindiLyrics = {
+  title: 'बारिश',
+  language: 'hi',
+  content: `【मुखड़ा - Mukhda】
+बादल बरसे आज
+(Baadal barse aaj)`,
+  style: 'folk',
+  dialect: 'khari-boli',
+  sections: []
+};
+
+describe('Lyrics export', () => {
+  describe('exportSections', () => {
+    it('should pair Telugu lines with their transliteration', () => {
+      const sections = exportSections(lyrics, 'rts');
+
+      expect(sections.map(s => s.label)).toEqual(['పల్లవి - Pallavi', 'చరణం 1 - Charanam 1']);
+      expect(sections[0].lines).toEqual([{ telugu: 'వాన వాన వల్లప్ప', roman: 'Vaana vaana vallappa' }]);
+    });
+
+    it('should fill in missing transliterations in the requested scheme', () => {
+      const [, charanam] = exportSections(lyrics, 'iso');
+
+      expect(charanam.lines[0].roman).toBe('Mabbulu kammenu aakaasham');
+      expect(charanam.lines[1]).toEqual({ telugu: 'చినుకులు రాలెను నేల మీద', roman: 'cinukulu rālenu nēla mīda' });
+    });
+
+    it('should export lyrics without section headings as one section', () => {
+      const sections = exportSections({ content: 'వాన వాన వల్లప్ప\nకోన కోన కల్లప్ప', sections: [] }, 'rts');
+
+      expect(sections).toHaveLength(1);
+      expect(sections[0].lines).toHaveLength(2);
+    });
+  });
+
+  describe('timing', () => {
+    it('should take the midpoint of a tempo range', () => {
+      expect(parseBpm('100-120 BPM')).toBe(110);
+      expect(parseBpm('90 BPM')).toBe(90);
+      expect(parseBpm('[appropriate tempo]')).toBeNull();
+    });
+
+    it('should time lines by their laghu and guru aksharas', () => {
+      // వా న వా న వ ల్ల ప్ప: U I U I U U I = 11 mātras = 5.5 beats; 60 BPM is a second a beat
+      const [first, second] = timeLines([
+        { label: 'Pallavi', lines: [{ telugu: 'వాన వాన వల్లప్ప', roman: '' }, { telugu: 'కోన', roman: '' }] }
+      ], { bpm: 60, offset: 2 });
+
+      expect(first).toEqual(expect.objectContaining({ start: 2, end: 7.5 }));
+      // A 1-beat gap, and short lines last at least 2 beats
+      expect(second).toEqual(expect.objectContaining({ start: 8.5, end: 10.5 }));
+    });
+
+    it('should leave a bar between sections', () => {
+      const timed = timeLines([
+        { label: 'A', lines: [{ telugu: 'కోన', roman: '' }] },
+        { label: 'B', lines: [{ telugu: 'కోన', roman: '' }] }
+      ], { bpm: 60 });
+
+      expect(timed[1].start).toBe(7);
+    });
+
+    it('should weigh Devanagari aksharas like their Telugu counterparts', () => {
+      // बा दल् ब र से आज्: U U I I U U = 10 mātras = 5 beats
+      const [line] = timeLines([{ label: 'A', lines: [{ telugu: 'बादल बरसे आज', roman: '' }] }], { bpm: 60 });
+
+      expect(line.end).toBe(5);
+    });
+  });
+
+  describe('renderExport', () => {
+    it('should export the content as plain text', async () => {
+      expect(await renderExport(lyrics, 'text')).toBe(`${SONG}\n`);
+    });
+
+    it('should write SRT cues with the transliteration under each line', async () => {
+      const srt = await renderExport(lyrics, 'srt', { bpm: 60 });
+
+      expect(srt.startsWith('1\n00:00:00,000 --> 00:00:05,500\nవాన వాన వల్లప్ప\nVaana vaana vallappa\n\n2\n')).toBe(true);
+      expect(srt.trim().split('\n\n')).toHaveLength(3);
+    });
+
+    it('should write LRC lines using the tempo from the metadata', async () => {
+      const lrc = await renderExport(lyrics, 'lrc');
+      const lines = lrc.trim().split('\n');
+
+      expect(lines[0]).toBe('[ti:వాన పాట]');
+      expect(lines[1]).toMatch(/^\[length:\d{2}:\d{2}\]$/);
+      expect(lines[2]).toBe('[00:00.00]వాన వాన వల్లప్ప');
+      // 5.5 beats + 1 gap + 4 between sections at 110 BPM
+      expect(lines[3]).toBe('[00:05.73]మబ్బులు కమ్మెను ఆకాశం');
+    });
+
+    it('should render a PDF with the Telugu fonts embedded', async () => {
+      const pdf = await renderExport(lyrics, 'pdf');
+
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(pdf.toString('latin1')).toContain('NotoSansTelugu-Regular');
+    });
+
+    it('should render a DOCX file', async () => {
+      const docx = await renderExport(lyrics, 'docx');
+
+      expect(docx.subarray(0, 2).toString()).toBe('PK');
+    });
+
+    it('should embed the font for the song\'s script in a Hindi PDF', async () => {
+      const pdf = (await renderExport(hindiLyrics, 'pdf')).toString('latin1');
+
+      expect(pdf).toContain('NotoSansDevanagari-Regular');
+      expect(pdf).not.toContain('NotoSansTelugu');
+    });
+
+    it('should embed the font for the song\'s script in a Hindi DOCX', async () => {
+      const zip = await JSZip.loadAsync(await renderExport(hindiLyrics, 'docx'));
+      const fontTable = await zip.file('word/fontTable.xml').async('string');
+      const document = await zip.file('word/document.xml').async('string');
+
+      expect(fontTable).toContain('Noto Sans Devanagari');
+      expect(fontTable).not.toContain('Noto Sans Telugu');
+      expect(document).toContain('w:ascii="Noto Sans Devanagari"');
+    });
+  });
+
+  describe('renderCollectionExport', () => {
+    const collection = { title: 'Monsoon Songs', coverText: 'వర్షాకాలం పాటలు', description: 'Rain songs from two languages' };
+
+    it('should write a contents list and every song between dividers', async () => {
+      const text = await renderCollectionExport(collection, [lyrics, hindiLyrics], 'text');
+      const [cover, first, second] = text.split('\n\n* * *\n\n');
+
+      expect(cover).toBe('Monsoon Songs\n\nవర్షాకాలం పాటలు\n\nRain songs from two languages\n\n1. వాన పాట\n2. बारिश');
+      expect(first).toBe(SONG);
+      expect(second).toBe(`${hindiLyrics.content}\n`);
+    });
+
+    it('should embed the font of every song\'s script in a PDF songbook', async () => {
+      const pdf = (await renderCollectionExport(collection, [lyrics, hindiLyrics], 'pdf')).toString('latin1');
+
+      expect(pdf).toContain('NotoSansTelugu-Bold');
+      expect(pdf).toContain('NotoSansDevanagari-Regular');
+      // A cover page, then one page per song
+      expect(pdf.match(/\/Type \/Page\b/g)).toHaveLength(3);
+    });
+
+    it('should start each song on a new page of a DOCX songbook', async () => {
+      const zip = await JSZip.loadAsync(await renderCollectionExport(collection, [lyrics, hindiLyrics], 'docx'));
+      const fontTable = await zip.file('word/fontTable.xml').async('string');
+      const document = await zip.file('word/document.xml').async('string');
+
+      expect(fontTable).toContain('Noto Sans Telugu');
+      expect(fontTable).toContain('Noto Sans Devanagari');
+      expect(document.match(/<w:pageBreakBefore\/>/g)).toHaveLength(2);
+    });
+
+    it('should reject timed formats', async () => {
+      await expect(renderCollectionExport(collection, [lyrics], 'srt')).rejects.toThrow('Unknown collection export format');
+    });
+  });
+
+  describe('contentDisposition', () => {
+    it('should name the download after the title with an ASCII fallback', () => {
+      expect(contentDisposition('🎵 వాన పాట', 'pdf')).toBe(
+        `attachment; filename="vaana-paaTa.pdf"; filename*=UTF-8''${encodeURIComponent('వాన పాట.pdf')}`
+      );
+      expect(contentDisposition('', 'srt')).toBe(`attachment; filename="lyrics.srt"; filename*=UTF-8''lyrics.srt`);
+    });
+
+    it('should cover every format', () => {
+      expect(Object.keys(EXPORT_FORMATS)).toEqual(['text', 'pdf', 'docx', 'srt', 'lrc']);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { Document, Packer, Paragraph, HeadingLevel } = require('docx');
+const {
+  markerLabel,
+  buildContent,
+  splitSongs,
+  guessLanguage,
+  guessStyleAndDialect,
+  parseLyricsFile
+} = require('../../../src/utils/lyricsImport');
+
+describe('Lyrics import', () => {
+  describe('markerLabel', () => {
+    it('should recognise common section markers', () => {
+      expect(markerLabel('【పల్లవి - Pallavi】')).toBe('పల్లవి - Pallavi');
+      expect(markerLabel('## Charanam 2')).toBe('Charanam 2');
+      expect(markerLabel('[Chorus]')).toBe('Chorus');
+      expect(markerLabel('**Verse 1**')).toBe('Verse 1');
+      expect(markerLabel('చరణం 2:')).toBe('చరణం 2');
+      expect(markerLabel('అనుపల్లవి')).toBe('అనుపల్లవి');
+    });
+
+    it('should not mistake lyric lines for markers', () => {
+      expect(markerLabel('పల్లవిలో పాడిన పాట')).toBeNull();
+      expect(markerLabel('Chorus of birds sings')).toBeNull();
+      expect(markerLabel('(Vaana vaana vallappa)')).toBeNull();
+      expect(markerLabel('వాన వాన వల్లప్ప')).toBeNull();
+    });
+  });
+
+  describe('buildContent', () => {
+    it('should rewrite markers as numbered 【…】 headings', () => {
+      const content = buildContent(['[Chorus]', 'వాన వాన', '', 'Verse', 'మబ్బులు', 'Verse', 'చినుకులు']);
+
+      expect(content).toBe('【పల్లవి - Pallavi】\nవాన వాన\n\n【చరణం 1 - Charanam 1】\nమబ్బులు\n\n【చరణం 2 - Charanam 2】\nచినుకులు');
+    });
+
+    it('should make unmarked opening lines the pallavi', () => {
+      const content = buildContent(['వాన వాన', '', 'Charanam 1:', 'మబ్బులు']);
+
+      expect(content).toBe('【పల్లవి - Pallavi】\nవాన వాన\n\n【చరణం 1 - Charanam 1】\nమబ్బులు');
+    });
+
+    it('should keep lyrics without markers and the metadata footer as written', () => {
+      expect(buildContent(['వాన వాన', 'మబ్బులు', '', '---', '🎼 Raga: Mohanam']))
+        .toBe('వాన వాన\nమబ్బులు\n\n---\n🎼 Raga: Mohanam');
+    });
+  });
+
+  describe('splitSongs', () => {
+    it('should start a song at each top-level heading or separator', () => {
+      const songs = splitSongs('# వాన పాట\nవాన వాన\n# జోల పాట\nలాలి\n===\nకొత్త పాట');
+
+      expect(songs.map(s => s.title)).toEqual(['వాన పాట', 'జోల పాట', null]);
+      expect(songs[2].lines).toEqual(['కొత్త పాట']);
+    });
+
+    it('should take a 🎵 or "Title:" first line as the title', () => {
+      expect(splitSongs('🎵 వాన పాట\n\nవాన వాన')[0]).toEqual({ title: 'వాన పాట', lines: ['', 'వాన వాన'] });
+      expect(splitSongs('Title: Rain\nవాన')[0].title).toBe('Rain');
+    });
+  });
+
+  describe('guessLanguage', () => {
+    it('should pick the script most letters are in', () => {
+      expect(guessLanguage('వాన వాన (vaana vaana)')).toBe('te');
+      expect(guessLanguage('मेरा दिल धड़कता है\nஒரு பாட்டு')).toBe('hi');
+      expect(guessLanguage('ಮಳೆ ಹನಿ')).toBe('kn');
+      expect(guessLanguage('Rain, rain')).toBeNull();
+    });
+  });
+
+  describe('guessStyleAndDialect', () => {
+    it('should guess from Telugu and transliterated vocabulary', () => {
+      expect(guessStyleAndDialect('లాలి లాలి జో జో\nనిద్రపో కన్నా')).toEqual({ style: 'lullaby', dialect: null });
+      expect(guessStyleAndDialect('nee prema lo\nbathukamma aadudam').style).toBe('romantic');
+    });
+
+    it('should prefer the dialect named in the metadata footer', () => {
+      const content = 'గోదావరి గట్టున\n\n---\n🗣️ మాండలికం: తెలంగాణ (Telangana)';
+      expect(guessStyleAndDialect(content).dialect).toBe('telangana');
+    });
+
+    it('should return nulls when there is no evidence', () => {
+      expect(guessStyleAndDialect('ఒక పాట')).toEqual({ style: null, dialect: null });
+    });
+
+    it('should only name a dialect of the song\'s language', () => {
+      const content = 'மழை\n\n---\n🗣️ Dialect: மதுரை';
+
+      expect(guessStyleAndDialect(content, 'ta').dialect).toBe('madurai');
+      expect(guessStyleAndDialect(content, 'te').dialect).toBeNull();
+    });
+  });
+
+  describe('parseLyricsFile', () => {
+    it('should parse a Markdown songbook', async () => {
+      const md = '# వెన్నెల\n\n**Pallavi**\n*వెన్నెల* వెలుగులో\n\n# పండుగ\n\n- సంక్రాంతి సంబరం\n';
+      const songs = await parseLyricsFile('songbook.md', Buffer.from(md));
+
+      expect(songs).toHaveLength(2);
+      expect(songs[0]).toEqual(expect.objectContaining({
+        title: 'వెన్నెల',
+        content: '🎵 వెన్నెల\n\n【పల్లవి - Pallavi】\nవెన్నెల వెలుగులో'
+      }));
+      expect(songs[1]).toEqual(expect.objectContaining({ content: '🎵 పండుగ\n\nసంక్రాంతి సంబరం', style: 'celebration' }));
+    });
+
+    it('should title an untitled text file after the file name', async () => {
+      const [song] = await parseLyricsFile('Rain Song.txt', Buffer.from('﻿# వాన\r\nవాన వాన\r\n'));
+      expect(song.title).toBe('వాన');
+
+      const [untitled] = await parseLyricsFile('Rain Song.txt', Buffer.from('వాన వాన\n'));
+      expect(untitled.title).toBe('Rain Song');
+    });
+
+    it('should read headings and paragraphs from a Word document', async () => {
+      const doc = new Document({
+        sections: [{
+          children: [
+            new Paragraph({ text: 'జోల పాట', heading: HeadingLevel.TITLE }),
+            new Paragraph({ text: 'Pallavi', heading: HeadingLevel.HEADING_2 }),
+            new Paragraph('లాలి లాలి జో జో & నిద్ర'),
+            new Paragraph({ text: 'Charanam 2', heading: HeadingLevel.HEADING_2 }),
+            new Paragraph('చందమామ రావే')
+          ]
+        }]
+      });
+
+      const [song] = await parseLyricsFile('lullaby.docx', await Packer.toBuffer(doc));
+
+      expect(song).toEqual({
+        title: 'జోల పాట',
+        content: '🎵 జోల పాట\n\n【పల్లవి - Pallavi】\nలాలి లాలి జో జో & నిద్ర\n\n【చరణం 2 - Charanam 2】\nచందమామ రావే',
+        language: 'te',
+        style: 'lullaby',
+        dialect: null
+      });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const {
+  DEFAULT_LYRICS_TEMPLATE,
+  DEFAULT_SECTION_TEMPLATE,
+  PROMPT_TEMPLATES,
+  promptTemplateName,
+  buildPromptVariables,
+  extractVariables,
+  findUnknownVariables,
+  renderTemplate
+} = require('../../../src/utils/lyricsPrompt');
+
+describe('Lyrics Prompt Templates', () => {
+  describe('renderTemplate', () => {
+    it('should substitute variables', () => {
+      expect(renderTemplate('{{ a }} and {{b}}', { a: 'x', b: 2 })).toBe('x and 2');
+    });
+
+    it('should use the default for empty values', () => {
+      const template = 'Theme: {{theme | default: "Universal"}}';
+      expect(renderTemplate(template, { theme: '' })).toBe('Theme: Universal');
+      expect(renderTemplate(template, { theme: 'Rain' })).toBe('Theme: Rain');
+    });
+
+    it('should render unknown variables as empty', () => {
+      expect(renderTemplate('[{{missing}}]', {})).toBe('[]');
+    });
+  });
+
+  describe('extractVariables', () => {
+    it('should list unique variable names in order', () => {
+      expect(extractVariables('{{b}} {{a | default: "x"}} {{b}}')).toEqual(['b', 'a']);
+    });
+  });
+
+  describe('findUnknownVariables', () => {
+    it('should flag variables outside the catalog', () => {
+      expect(findUnknownVariables('{{theme}} {{mood}}')).toEqual(['mood']);
+      expect(findUnknownVariables(DEFAULT_LYRICS_TEMPLATE)).toEqual([]);
+    });
+
+    it('should use the catalog of the named template', () => {
+      expect(findUnknownVariables('{{currentSection}}')).toEqual(['currentSection']);
+      expect(findUnknownVariables('{{currentSection}}', 'section')).toEqual([]);
+      expect(findUnknownVariables(DEFAULT_SECTION_TEMPLATE, 'section')).toEqual([]);
+      expect(findUnknownVariables(PROMPT_TEMPLATES.translate.defaultTemplate, 'translate')).toEqual([]);
+    });
+  });
+
+  describe('buildPromptVariables', () => {
+    it('should expand dialect and poetry form details', () => {
+      const vars = buildPromptVariables({ theme: 'Rain', style: 'folk', dialect: 'telangana', poetryForm: 'keertana' });
+      expect(vars.dialectName).toBe('తెలంగాణ (Telangana)');
+      expect(vars.dialectReferences).toContain('Bathukamma');
+      expect(vars.poetryFormDescription).toContain('కీర్తన');
+      expect(vars.customLines).toBe('');
+    });
+
+    it('should fall back for unknown keys', () => {
+      const vars = buildPromptVariables({ style: 'x', dialect: 'y', poetryForm: 'z' });
+      expect(vars.styleName).toBe('ప్రేమ గీతం (Romantic)');
+      expect(vars.dialectName).toBe('కోస్తాంధ్ర (Coastal Andhra)');
+      expect(vars.poetryFormDescription).toContain('గేయం');
+    });
+
+    it('should describe styles and poetry forms from the catalog', () => {
+      const vars = buildPromptVariables({
+        style: 'bathukamma-paata',
+        dialect: 'telangana',
+        poetryForm: 'qawwali',
+        styleProfile: { name: 'Bathukamma Paata', teluguName: 'బతుకమ్మ పాట', guidance: 'Circle-dance song to the goddess of flowers' },
+        poetryFormProfile: { name: 'Qawwali', teluguName: 'ఖవ్వాలీ', guidance: 'Lead and chorus trading a rising refrain' }
+      });
+      expect(vars.styleName).toBe('బతుకమ్మ పాట (Bathukamma Paata)');
+      expect(vars.styleGuidance).toBe('Circle-dance song to the goddess of flowers');
+      expect(vars.poetryFormDescription).toBe('ఖవ్వాలీ - Lead and chorus trading a rising refrain');
+    });
+
+    it('should use a resolved dialect profile over the built-in data', () => {
+      const vars = buildPromptVariables({
+        style: 'folk',
+        dialect: 'nellore-a1b2c3',
+        poetryForm: 'geeyam',
+        dialectProfile: {
+          name: 'Nellore',
+          nativeName: 'నెల్లూరు',
+          vocabulary: ['ఏమబ్బా', 'సానా'],
+          markers: ['-బ్బా endings'],
+          references: ['Penna', 'Rottela Panduga']
+        }
+      });
+      expect(vars.dialectName).toBe('నెల్లూరు (Nellore)');
+      expect(vars.dialectFeatures).toBe('-బ్బా endings, ఏమబ్బా, సానా vocabulary');
+      expect(vars.dialectReferences).toBe('Penna, Rottela Panduga');
+    });
+
+    it('should use English style and form names outside Telugu script', () => {
+      const vars = buildPromptVariables({ language: 'hi', style: 'folk', dialect: 'bhojpuri', poetryForm: 'geeyam' });
+      expect(vars.language).toBe('hi');
+      expect(vars.styleName).toBe('Folk');
+      expect(vars.poetryFormDescription).toMatch(/^Geeyam - /);
+      expect(vars.dialectName).toBe('भोजपुरी (Bhojpuri)');
+
+      expect(buildPromptVariables({ language: 'te-en', style: 'folk' }).styleName).toBe('జానపద గీతం (Folk)');
+    });
+  });
+
+  describe('promptTemplateName', () => {
+    it('should pick the language\'s template, Telugu using the base one', () => {
+      expect(promptTemplateName('lyrics', 'te')).toBe('lyrics');
+      expect(promptTemplateName('lyrics', undefined)).toBe('lyrics');
+      expect(promptTemplateName('section', 'ta')).toBe('section-ta');
+      expect(promptTemplateName('lyrics', 'te-en')).toBe('lyrics-te-en');
+    });
+  });
+
+  describe('localized templates', () => {
+    it('should ask for the language\'s script and section names', () => {
+      const template = PROMPT_TEMPLATES['lyrics-kn'].defaultTemplate;
+      expect(template).toContain('master Kannada lyricist');
+      expect(template).toContain('【ಚರಣ 1 - Charanam 1】');
+      expect(template).toContain('Kannada script (primary)');
+      expect(findUnknownVariables(template, 'lyrics-kn')).toEqual([]);
+      expect(findUnknownVariables(PROMPT_TEMPLATES['section-kn'].defaultTemplate, 'section-kn')).toEqual([]);
+    });
+
+    it('should ask Telugu-English songs to mix in English', () => {
+      expect(PROMPT_TEMPLATES['lyrics-te-en'].defaultTemplate).toContain('Blend everyday English words');
+    });
+  });
+
+  describe('DEFAULT_LYRICS_TEMPLATE', () => {
+    it('should render the built-in prompt', () => {
+      const prompt = renderTemplate(DEFAULT_LYRICS_TEMPLATE, buildPromptVariables({
+        theme: '', customLines: '', style: 'romantic', dialect: 'coastal', poetryForm: 'geeyam'
+      }));
+      expect(prompt).toContain('- Theme: Not specified - create based on style');
+      expect(prompt).toContain("- User's lines to incorporate: None");
+      expect(prompt).toContain('🎶 Theme: Universal');
+      expect(prompt).not.toMatch(/\{\{/);
+    });
+
+    it('should place the tune before the output format only when writing to a tune', () => {
+      const variables = buildPromptVariables({ theme: 'Rain', style: 'romantic', dialect: 'coastal', poetryForm: 'geeyam' });
+
+      expect(renderTemplate(DEFAULT_LYRICS_TEMPLATE, variables)).toContain('melodious\n\n**OUTPUT FORMAT:**');
+      expect(renderTemplate(DEFAULT_LYRICS_TEMPLATE, { ...variables, tuneRequirements: '**TUNE:**\n1. 8 syllables\n' }))
+        .toContain('melodious\n\n**TUNE:**\n1. 8 syllables\n**OUTPUT FORMAT:**');
+      expect(findUnknownVariables(PROMPT_TEMPLATES.tune.defaultTemplate, 'tune')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const {
+  sectionKey,
+  parseSections,
+  replaceSection,
+  cleanSectionText,
+  splitSectionLines,
+  parseFooter,
+  extractTempo,
+  parseLyricsStructure,
+  teluguLineGroups,
+  hasTransliteration
+} = require('../../../src/utils/lyricsSections');
+
+const SONG = `🎵 ప్రేమ గీతం
+
+【పల్లవి - Pallavi】
+నీ నవ్వే నా వెన్నెల
+(Nee navve naa vennela)
+
+【చరణం 1 - Charanam 1】
+మొదటి చరణం
+(Modati charanam)
+
+【చరణం 2 - Charanam 2】
+రెండవ చరణం
+(Rendava charanam)
+
+---
+🗣️ మాండలికం: కోస్తాంధ్ర`;
+
+describe('Lyrics Sections', () => {
+  describe('sectionKey', () => {
+    it('should use the English part of bilingual headings', () => {
+      expect(sectionKey('పల్లవి - Pallavi')).toBe('pallavi');
+      expect(sectionKey('చరణం 2 - Charanam 2')).toBe('charanam-2');
+    });
+
+    it('should map Telugu-only headings', () => {
+      expect(sectionKey('చరణం 3')).toBe('charanam-3');
+      expect(sectionKey('అనుపల్లవి')).toBe('anupallavi');
+    });
+
+    it('should map headings in Hindi, Tamil and Kannada', () => {
+      expect(sectionKey('अंतरा 2')).toBe('charanam-2');
+      expect(sectionKey('அனுபல்லவி')).toBe('anupallavi');
+      expect(sectionKey('ಪಲ್ಲವಿ')).toBe('pallavi');
+    });
+  });
+
+  describe('parseSections', () => {
+    it('should find sections in order and stop at the footer', () => {
+      const sections = parseSections(SONG);
+
+      expect(sections.map(s => s.key)).toEqual(['pallavi', 'charanam-1', 'charanam-2']);
+      expect(sections[0].text).toBe('నీ నవ్వే నా వెన్నెల\n(Nee navve naa vennela)');
+      expect(sections[2].text).toBe('రెండవ చరణం\n(Rendava charanam)');
+    });
+
+    it('should de-duplicate repeated headings', () => {
+      const sections = parseSections('【Pallavi】\na\n\n【Pallavi】\nb');
+      expect(sections.map(s => s.key)).toEqual(['pallavi', 'pallavi-2']);
+    });
+
+    it('should return an empty list when there are no headings', () => {
+      expect(parseSections('just some lines\nof text')).toEqual([]);
+    });
+  });
+
+  describe('replaceSection', () => {
+    it('should replace only the targeted section', () => {
+      const updated = replaceSection(SONG, 'charanam-1', 'కొత్త చరణం\n(Kotta charanam)');
+
+      expect(updated).toContain('【చరణం 1 - Charanam 1】\nకొత్త చరణం\n(Kotta charanam)\n\n【చరణం 2 - Charanam 2】');
+      expect(updated).not.toContain('మొదటి చరణం');
+      expect(updated).toContain('నీ నవ్వే నా వెన్నెల');
+      expect(updated).toContain('---\n🗣️ మాండలికం: కోస్తాంధ్ర');
+    });
+
+    it('should keep the footer after the last section', () => {
+      const updated = replaceSection(SONG, 'charanam-2', 'చివరి చరణం');
+      expect(updated).toContain('【చరణం 2 - Charanam 2】\nచివరి చరణం\n\n---');
+    });
+
+    it('should return null for an unknown section', () => {
+      expect(replaceSection(SONG, 'charanam-9', 'x')).toBeNull();
+    });
+  });
+
+  describe('cleanSectionText', () => {
+    it('should strip headings and code fences', () => {
+      expect(cleanSectionText('```\n【చరణం 1 - Charanam 1】\nకొత్త చరణం\n```')).toBe('కొత్త చరణం');
+    });
+  });
+
+  describe('splitSectionLines', () => {
+    it('should separate Telugu lines from a parenthesised transliteration block', () => {
+      expect(splitSectionLines('నీ నవ్వే\nనా వెన్నెల\n\n(Nee navve\nNaa vennela)')).toEqual({
+        teluguLines: ['నీ నవ్వే', 'నా వెన్నెల'],
+        transliterationLines: ['Nee navve', 'Naa vennela']
+      });
+    });
+
+    it('should split inline transliterations', () => {
+      expect(splitSectionLines('నీ నవ్వే (Nee navve)')).toEqual({
+        teluguLines: ['నీ నవ్వే'],
+        transliterationLines: ['Nee navve']
+      });
+    });
+
+    it('should treat Devanagari, Tamil and Kannada lines like Telugu ones', () => {
+      expect(splitSectionLines('दिल की बात\nமழை (mazhai)\n(dil kee baat)')).toEqual({
+        teluguLines: ['दिल की बात', 'மழை'],
+        transliterationLines: ['mazhai', 'dil kee baat']
+      });
+    });
+  });
+
+  describe('parseFooter', () => {
+    it('should map footer labels to fields', () => {
+      expect(parseFooter(SONG).fields).toEqual({ dialect: 'కోస్తాంధ్ర' });
+    });
+
+    it('should ignore placeholder values and use the last separator', () => {
+      const footer = parseFooter('a\n---\nb\n---\n⏱️ Suggested Tempo: [appropriate tempo]\n🎶 Theme: Rain');
+      expect(footer.fields).toEqual({ theme: 'Rain' });
+      expect(footer.lines).toHaveLength(2);
+    });
+
+    it('should return null without a footer', () => {
+      expect(parseFooter('【Pallavi】\nx')).toBeNull();
+    });
+  });
+
+  describe('extractTempo', () => {
+    it('should prefer the footer tempo', () => {
+      expect(extractTempo('x\n---\n⏱️ Suggested Tempo: Medium, 90 - 110 BPM')).toBe('Medium, 90-110 BPM');
+    });
+
+    it('should fall back to a BPM mention anywhere in the text', () => {
+      expect(extractTempo('Sing this slowly at about 72 BPM')).toBe('72 BPM');
+    });
+
+    it('should return null when there is no tempo', () => {
+      expect(extractTempo(SONG)).toBeNull();
+    });
+  });
+
+  describe('parseLyricsStructure', () => {
+    it('should type sections and append the metadata block', () => {
+      const sections = parseLyricsStructure(SONG);
+
+      expect(sections.map(s => s.type)).toEqual(['pallavi', 'charanam', 'charanam', 'metadata']);
+      expect(sections[1]).toEqual({
+        key: 'charanam-1',
+        type: 'charanam',
+        label: 'చరణం 1 - Charanam 1',
+        teluguLines: ['మొదటి చరణం'],
+        transliterationLines: ['Modati charanam']
+      });
+      expect(sections[3].fields).toEqual({ dialect: 'కోస్తాంధ్ర' });
+    });
+  });
+
+  describe('teluguLineGroups', () => {
+    it('should return the Telugu lines of each section', () => {
+      expect(teluguLineGroups(SONG)).toEqual([
+        { key: 'pallavi', label: 'పల్లవి - Pallavi', teluguLines: ['నీ నవ్వే నా వెన్నెల'] },
+        { key: 'charanam-1', label: 'చరణం 1 - Charanam 1', teluguLines: ['మొదటి చరణం'] },
+        { key: 'charanam-2', label: 'చరణం 2 - Charanam 2', teluguLines: ['రెండవ చరణం'] }
+      ]);
+    });
+
+    it('should fall back to the lines above the footer when there are no headings', () => {
+      expect(teluguLineGroups('ఒక పద్యం\n(Oka padyam)\n---\n🎶 Theme: భక్తి')).toEqual([
+        { key: 'lyrics', label: 'Lyrics', teluguLines: ['ఒక పద్యం'] }
+      ]);
+    });
+  });
+
+  describe('hasTransliteration', () => {
+    it('should detect transliteration lines in sections', () => {
+      expect(hasTransliteration(SONG)).toBe(true);
+    });
+
+    it('should ignore English in the title and metadata footer', () => {
+      expect(hasTransliteration('🎵 Love Song\n\n【పల్లవి - Pallavi】\nనీ నవ్వే\n\n---\n🎶 Theme: Rain')).toBe(false);
+      expect(hasTransliteration('ఒక పద్యం\n---\n🎶 Theme: Rain')).toBe(false);
+    });
+
+    it('should detect transliteration in lyrics without headings', () => {
+      expect(hasTransliteration('ఒక పద్యం\n(Oka padyam)')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const {
+  TALAS,
+  detectMoods,
+  syllableCount,
+  sungLines,
+  analyzeRhythm,
+  recommendRagaTala,
+  ragaStyleTags
+} = require('../../../src/utils/ragaTala');
+
+describe('Raga and Tala Recommendations', () => {
+  describe('detectMoods', () => {
+    it('should find moods from English and Telugu theme words', () => {
+      expect(detectMoods('Waiting for my love')).toEqual(['love', 'longing']);
+      expect(detectMoods('ప్రేమలో విరహం')).toEqual(['love', 'longing']);
+    });
+
+    it('should not read a mood into the start of another word', () => {
+      expect(detectMoods('ప్రేమలో విరహం')).not.toContain('heroic');
+      expect(detectMoods('Godavari banks')).not.toContain('devotion');
+    });
+
+    it('should find no moods in an empty theme', () => {
+      expect(detectMoods('')).toEqual([]);
+      expect(detectMoods(undefined)).toEqual([]);
+    });
+  });
+
+  describe('syllableCount', () => {
+    it('should count Telugu script and transliteration alike', () => {
+      expect(syllableCount('నీ కోసం వెన్నెల')).toBe(6);
+      expect(syllableCount('nee kosam vennela')).toBe(6);
+      expect(syllableCount('---')).toBe(0);
+    });
+  });
+
+  describe('sungLines', () => {
+    it('should use native lines, or transliteration where a section has none', () => {
+      const content = '【పల్లవి】\nనీ కోసం\n(nee kosam)\n\n【Charanam】\n(vaana vaana)\n\n---\n🎵 Raga: Mohanam';
+
+      expect(sungLines(content)).toEqual(['నీ కోసం', 'vaana vaana']);
+    });
+  });
+
+  describe('analyzeRhythm', () => {
+    it('should score how evenly lines fill each tala cycle', () => {
+      const rhythm = analyzeRhythm(['abababababababab', 'abababab']);
+
+      expect(rhythm.lines).toBe(2);
+      expect(rhythm.averageSyllables).toBe(6);
+      expect(rhythm.fit.eka).toBe(1);
+      expect(rhythm.fit.adi).toBe(0.5);
+      expect(rhythm.fit.rupaka).toBe(0);
+    });
+
+    it('should give no fit without lines', () => {
+      const rhythm = analyzeRhythm([]);
+
+      expect(rhythm.averageSyllables).toBe(0);
+      expect(Object.values(rhythm.fit).every(fit => fit === 0)).toBe(true);
+      expect(Object.keys(rhythm.fit)).toEqual(Object.keys(TALAS));
+    });
+  });
+
+  describe('recommendRagaTala', () => {
+    it('should rank ragas and talas with reasons', () => {
+      const result = recommendRagaTala({
+        style: 'devotional',
+        poetryForm: 'keertana',
+        theme: 'Prayer to Lord Venkateswara',
+        lines: ['ఏడుకొండలవాడా వెంకటరమణా గోవిందా']
+      });
+
+      expect(result.moods).toEqual(['devotion']);
+      expect(result.ragas).toHaveLength(3);
+      expect(result.ragas[0].reasons).toEqual([
+        'Often used for devotional songs',
+        'Keertana compositions are commonly set in this raga',
+        'Carries the devotion mood of the theme'
+      ]);
+      expect(result.talas[0]).toEqual(expect.objectContaining({ key: 'adi', name: 'Adi', beats: 8, pattern: '4+2+2' }));
+      expect(result.talas[0].reasons).toContain('100% of lines fill whole 8-beat cycles (4+2+2)');
+      expect(result.talas.map(t => t.score)).toEqual([...result.talas.map(t => t.score)].sort((a, b) => b - a));
+    });
+
+    it('should follow the mood when style and form give no lead', () => {
+      const result = recommendRagaTala({ style: 'unknown', poetryForm: 'unknown', theme: 'festival dance' });
+
+      expect(result.moods).toEqual(['celebration']);
+      expect(result.ragas.length).toBeGreaterThan(0);
+      expect(result.ragas.every(r => r.reasons[0] === 'Carries the celebration mood of the theme')).toBe(true);
+    });
+
+    it('should suggest nothing without any match', () => {
+      expect(recommendRagaTala({ style: 'unknown', poetryForm: 'unknown' })).toEqual(expect.objectContaining({ ragas: [], talas: [] }));
+    });
+  });
+
+  describe('ragaStyleTags', () => {
+    it('should give English tags for Telugu raga and tala names', () => {
+      expect(ragaStyleTags({ raga: 'మోహనం', tala: 'ఆది తాళం' })).toEqual(['carnatic', 'raga Mohanam', 'Adi tala']);
+    });
+
+    it('should keep unknown names and skip a missing tala', () => {
+      expect(ragaStyleTags({ raga: 'Yaman', tala: '' })).toEqual(['carnatic', 'raga Yaman']);
+    });
+
+    it('should give no tags without a raga or tala', () => {
+      expect(ragaStyleTags({})).toEqual([]);
+    });
+  });
+});
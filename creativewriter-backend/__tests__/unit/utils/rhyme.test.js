@@ -0,0 +1,49 @@
+const { analyzeRhyme } = require('../../../src/utils/rhyme');
+
+const group = (teluguLines, key = 'pallavi') => ({ key, label: key, teluguLines });
+
+describe('Rhyme Analyzer', () => {
+  it('should measure praasa consistency and list mismatching lines', () => {
+    const { sections } = analyzeRhyme([group(['వాన వాన', 'కోన కోన', 'మనసు మాట', 'చెలియ పాట'])]);
+
+    expect(sections[0].praasa).toEqual({ letter: 'న', consistency: 0.75, mismatches: [3] });
+  });
+
+  it('should group lines by their rhyming ending', () => {
+    const { sections } = analyzeRhyme([group(['వాన వల్లప్ప', 'కోన కల్లప్ప', 'మనసు మాట', 'చెలియ పాట', 'నీ రూపం'])]);
+
+    expect(sections[0].antyaprasa.ratio).toBe(0.8);
+    expect(sections[0].antyaprasa.groups).toEqual([
+      { ending: 'ప్ప', lines: [0, 1] },
+      { ending: 'ట', lines: [2, 3] }
+    ]);
+  });
+
+  it('should measure alliteration density within lines', () => {
+    const { sections } = analyzeRhyme([group(['కల కల కమలం', 'నీ రూపం'])]);
+
+    expect(sections[0].anuprasa.repeated).toEqual(['క', 'ల']);
+    expect(sections[0].anuprasa.density).toBeGreaterThan(0.4);
+  });
+
+  it('should skip praasa and end rhyme for single-line sections', () => {
+    const result = analyzeRhyme([group(['వాన వాన వల్లప్ప'])]);
+
+    expect(result.sections[0].praasa).toBeNull();
+    expect(result.sections[0].antyaprasa).toBeNull();
+    expect(result.praasa).toBeNull();
+    expect(result.score).toBeGreaterThan(0);
+  });
+
+  it('should score well-rhymed lyrics higher than unrhymed ones', () => {
+    const rhymed = analyzeRhyme([group(['వాన వాన వల్లప్ప', 'కోన కోన కల్లప్ప'])]);
+    const unrhymed = analyzeRhyme([group(['నీ రూపం', 'చెలియ మాట'])]);
+
+    expect(rhymed.score).toBeGreaterThan(unrhymed.score);
+    expect(rhymed.score).toBeLessThanOrEqual(100);
+  });
+
+  it('should return a null score without Telugu lines', () => {
+    expect(analyzeRhyme([])).toEqual({ score: null, praasa: null, antyaprasa: null, anuprasa: null, sections: [] });
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  foldText,
+  searchableText,
+  queryTerms,
+  searchFilter,
+  scoreLyrics,
+  highlightText,
+  buildSnippets,
+  rankLyrics
+} = require('../../../src/utils/search');
+
+describe('Lyrics search', () => {
+  describe('foldText', () => {
+    it('should fold Telugu and its transliterations to the same key', () => {
+      expect(foldText('వెన్నెల')).toBe('venela');
+      expect(foldText('Vennela')).toBe('venela');
+      expect(foldText('చందమామ')).toBe(foldText('chandamama'));
+      expect(foldText('సంగీతం')).toBe(foldText('sangeetham'));
+      expect(foldText('క్షేమం')).toBe(foldText('kshemam'));
+    });
+
+    it('should normalise vowel signs and vowel length', () => {
+      expect(foldText('వెన్నేల')).toBe(foldText('వెన్నెల'));
+      expect(foldText('నీ నవ్వే')).toBe(foldText('ni navve'));
+      expect(foldText('ఆకాశం')).toBe(foldText('akasham'));
+    });
+
+    it('should ignore zero-width joiners, ISO diacritics and punctuation', () => {
+      expect(foldText('వెన్‌నెల')).toBe('venela');
+      expect(foldText('nī navvē!')).toBe('ni nave');
+    });
+  });
+
+  describe('queryTerms and searchFilter', () => {
+    it('should split, fold and de-duplicate query terms', () => {
+      expect(queryTerms('Vennela  వెన్నెల raatri')).toEqual(['venela', 'ratri']);
+      expect(queryTerms('?!')).toEqual([]);
+    });
+
+    it('should require every term', () => {
+      expect(searchFilter(['venela', 'ratri'])).toEqual({
+        $and: [{ searchText: { $regex: 'venela' } }, { searchText: { $regex: 'ratri' } }]
+      });
+    });
+  });
+
+  describe('searchableText', () => {
+    it('should fold title, theme, tags and content together', () => {
+      expect(searchableText({ title: 'వాన', theme: 'Rain', tags: ['monsoon'], content: 'చినుకులు' }))
+        .toBe('vana rain monsun cinukulu');
+    });
+  });
+
+  describe('scoreLyrics', () => {
+    it('should weigh a title match above content matches', () => {
+      const inTitle = scoreLyrics({ title: 'వెన్నెల', content: 'వాన' }, ['venela']);
+      const inContent = scoreLyrics({ title: 'వాన', content: 'వెన్నెల\nవెన్నెల' }, ['venela']);
+      expect(inTitle).toBeGreaterThan(inContent);
+    });
+
+    it('should cap repeated content matches', () => {
+      const chorus = Array(20).fill('వెన్నెల').join('\n');
+      expect(scoreLyrics({ title: '', content: chorus }, ['venela'])).toBe(5);
+    });
+  });
+
+  describe('highlighting', () => {
+    it('should highlight whole words containing a term', () => {
+      expect(highlightText('ఆ వెన్నెలలో నువ్వు', ['venela'])).toEqual([{ start: 2, end: 11 }]);
+    });
+
+    it('should pick the best matching lines in content order', () => {
+      const content = 'వాన\nవెన్నెల రాత్రి\nరాత్రి\nవెన్నెల వెలుగు రాత్రి';
+      const snippets = buildSnippets(content, ['venela', 'ratri'], 2);
+      expect(snippets.map(s => s.line)).toEqual([2, 4]);
+      expect(snippets[1].highlights).toHaveLength(2);
+    });
+  });
+
+  describe('rankLyrics', () => {
+    it('should sort by score, then newest first', () => {
+      const ranked = rankLyrics([
+        { _id: 'old', title: 'వాన', content: 'వెన్నెల', createdAt: '2024-01-01' },
+        { _id: 'new', title: 'వాన', content: 'వెన్నెల', createdAt: '2024-02-01' },
+        { _id: 'best', title: 'వెన్నెల', content: 'వెన్నెల', createdAt: '2023-01-01' }
+      ], ['venela']);
+
+      expect(ranked.map(r => r.lyrics._id)).toEqual(['best', 'new', 'old']);
+      expect(ranked[0].snippets).toHaveLength(1);
+    });
+  });
+});
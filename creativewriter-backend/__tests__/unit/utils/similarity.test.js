@@ -0,0 +1,113 @@
+const {
+  hashShingle,
+  winnow,
+  fingerprintLyrics,
+  fingerprint,
+  compareLyrics
+} = require('../../../src/utils/similarity');
+
+const SONG = [
+  '【పల్లవి - Pallavi】',
+  'నీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను',
+  'నా మనసు నీ పేరే పాడుతోంది',
+  '',
+  '【చరణం 1 - Charanam 1】',
+  'గోదావరి అలలపై నీ నవ్వు తేలింది',
+  'ఏ దారిలో వెళ్ళినా నువ్వే కనిపించావు',
+  '',
+  '---',
+  '⏱️ Suggested Tempo: 80-90 BPM'
+].join('\n');
+
+describe('Lyrics Similarity', () => {
+  describe('hashShingle', () => {
+    it('should give stable unsigned 32-bit hashes', () => {
+      expect(hashShingle('vennela')).toBe(hashShingle('vennela'));
+      expect(hashShingle('vennela')).not.toBe(hashShingle('venela'));
+      expect(hashShingle('vennela')).toBeGreaterThanOrEqual(0);
+      expect(hashShingle('vennela')).toBeLessThan(2 ** 32);
+    });
+  });
+
+  describe('winnow', () => {
+    it('should keep the smallest hash of each window', () => {
+      expect(winnow([5, 3, 9, 7, 8, 1])).toEqual([3, 1]);
+    });
+
+    it('should keep one hash of lines shorter than a window', () => {
+      expect(winnow([4, 2])).toEqual([2]);
+    });
+  });
+
+  describe('fingerprintLyrics', () => {
+    it('should fingerprint lyric lines and skip headings and the footer', () => {
+      const { lines, fingerprint: print } = fingerprintLyrics(SONG);
+
+      expect(lines.map(l => l.section)).toEqual(['పల్లవి - Pallavi', 'పల్లవి - Pallavi', 'చరణం 1 - Charanam 1', 'చరణం 1 - Charanam 1']);
+      expect(print.length).toBeGreaterThan(0);
+      expect(print).toEqual([...print].sort((a, b) => a - b));
+    });
+
+    it('should count a repeated line once', () => {
+      const repeated = SONG.replace('【చరణం 1', 'నీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను\n\n【చరణం 1');
+
+      expect(fingerprintLyrics(repeated).lines).toHaveLength(4);
+      expect(fingerprint(repeated)).toEqual(fingerprint(SONG));
+    });
+
+    it('should use transliteration only where a section has no native lines', () => {
+      const both = '【Pallavi】\nనీ కోసం వెన్నెల రాత్రి\n(nee kosam vennela raatri)';
+
+      expect(fingerprintLyrics(both).lines.map(l => l.line)).toEqual(['నీ కోసం వెన్నెల రాత్రి']);
+    });
+
+    it('should ignore short lines and empty content', () => {
+      expect(fingerprintLyrics('లా లా\nఓహో').fingerprint).toEqual([]);
+      expect(fingerprint('')).toEqual([]);
+      expect(fingerprint(null)).toEqual([]);
+    });
+  });
+
+  describe('compareLyrics', () => {
+    it('should score identical lyrics as a full match', () => {
+      const song = fingerprintLyrics(SONG);
+      const result = compareLyrics(song, song);
+
+      expect(result.similarity).toBe(1);
+      expect(result.overlappingLines).toHaveLength(4);
+    });
+
+    it('should match a copied line written in transliteration', () => {
+      const copy = fingerprintLyrics('【Pallavi】\nnee kosam vennela raatri vechi unnaanu\nmeghaala madhya chandamama dhaagindi');
+      const result = compareLyrics(fingerprintLyrics(SONG), copy);
+
+      expect(result.similarity).toBeGreaterThan(0);
+      expect(result.similarity).toBeLessThan(0.5);
+      expect(result.overlappingLines).toEqual([{
+        section: 'పల్లవి - Pallavi',
+        line: 'నీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను',
+        matchedSection: 'Pallavi',
+        matchedLine: 'nee kosam vennela raatri vechi unnaanu',
+        overlap: 1
+      }]);
+    });
+
+    it('should score by how much of the checked lyrics is copied', () => {
+      const excerpt = fingerprintLyrics('【పల్లవి】\nనీ కోసం వెన్నెల రాత్రి వేచి ఉన్నాను\nనా మనసు నీ పేరే పాడుతోంది');
+      const song = fingerprintLyrics(SONG);
+
+      expect(compareLyrics(excerpt, song).similarity).toBe(1);
+      expect(compareLyrics(song, excerpt).similarity).toBeLessThan(1);
+    });
+
+    it('should find nothing in unrelated lyrics', () => {
+      const other = fingerprintLyrics('【పల్లవి】\nమేఘాల మధ్య చందమామ దాగింది\nచల్లని గాలి పాట పాడింది');
+
+      expect(compareLyrics(fingerprintLyrics(SONG), other)).toEqual({ similarity: 0, overlappingLines: [] });
+    });
+
+    it('should score lyrics without fingerprints as 0', () => {
+      expect(compareLyrics(fingerprintLyrics(''), fingerprintLyrics(SONG))).toEqual({ similarity: 0, overlappingLines: [] });
+    });
+  });
+});
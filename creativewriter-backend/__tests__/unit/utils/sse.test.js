@@ -0,0 +1,91 @@
+const { Readable } = require('stream');
+const { createMockRes } = require('../../helpers/mockExpress');
+const { initEventStream, sendEvent, parseEventBlock, parseEventStream } = require('../../../src/utils/sse');
+
+describe('sse utility', () => {
+  // ==================== initEventStream / sendEvent ====================
+  describe('initEventStream', () => {
+    it('should set event-stream headers and flush them', () => {
+      const res = createMockRes();
+
+      initEventStream(res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res._headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(res._headers['cache-control']).toMatch(/no-cache/);
+      expect(res.flushHeaders).toHaveBeenCalled();
+    });
+  });
+
+  describe('sendEvent', () => {
+    it('should write a named event with a JSON payload', () => {
+      const res = createMockRes();
+
+      sendEvent(res, 'delta', { text: 'పల్లవి' });
+
+      expect(res._written[0]).toBe('event: delta\ndata: {"text":"పల్లవి"}\n\n');
+    });
+
+    it('should not write after the response has ended', () => {
+      const res = createMockRes();
+      res.end();
+
+      sendEvent(res, 'delta', { text: 'late' });
+
+      expect(res.write).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== parseEventBlock ====================
+  describe('parseEventBlock', () => {
+    it('should parse event name and JSON data', () => {
+      const parsed = parseEventBlock('event: ping\ndata: {"type":"ping"}');
+      expect(parsed).toEqual({ event: 'ping', data: { type: 'ping' } });
+    });
+
+    it('should default event name to message and keep non-JSON data as text', () => {
+      expect(parseEventBlock('data: hello')).toEqual({ event: 'message', data: 'hello' });
+    });
+
+    it('should return null for comment-only blocks', () => {
+      expect(parseEventBlock(': keep-alive')).toBeNull();
+    });
+  });
+
+  // ==================== parseEventStream ====================
+  describe('parseEventStream', () => {
+    it('should emit events split across arbitrary chunk boundaries', async () => {
+      const payload = 'event: a\ndata: {"n":1}\n\nevent: b\ndata: {"n":2}\n\n';
+      const bytes = Buffer.from(payload);
+      const body = Readable.from([bytes.subarray(0, 7), bytes.subarray(7, 30), bytes.subarray(30)]);
+      const events = [];
+
+      await parseEventStream(body, (evt) => events.push(evt));
+
+      expect(events).toEqual([
+        { event: 'a', data: { n: 1 } },
+        { event: 'b', data: { n: 2 } }
+      ]);
+    });
+
+    it('should decode multi-byte Telugu characters split between chunks', async () => {
+      const bytes = Buffer.from('data: {"text":"వెన్నెల"}\n\n');
+      // Split in the middle of the first Telugu character (3 bytes in UTF-8)
+      const body = Readable.from([bytes.subarray(0, 16), bytes.subarray(16)]);
+      const events = [];
+
+      await parseEventStream(body, (evt) => events.push(evt));
+
+      expect(events[0].data.text).toBe('వెన్నెల');
+    });
+
+    it('should handle a trailing event without a final blank line', async () => {
+      const body = Readable.from([Buffer.from('event: end\ndata: {}')]);
+      const events = [];
+
+      await parseEventStream(body, (evt) => events.push(evt));
+
+      expect(events).toEqual([{ event: 'end', data: {} }]);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { numberLines, parseTranslation } = require('../../../src/utils/translation');
+
+const groups = [
+  { key: 'pallavi', label: 'పల్లవి - Pallavi', teluguLines: ['వాన వాన వల్లప్ప', 'వాకిట్లో తిరుగుడు'] },
+  { key: 'charanam-1', label: 'చరణం 1 - Charanam 1', teluguLines: ['మబ్బులు కమ్మెను'] }
+];
+
+describe('Lyrics Translation', () => {
+  describe('numberLines', () => {
+    it('should number lines across sections under their headings', () => {
+      expect(numberLines(groups)).toBe(
+        '【పల్లవి - Pallavi】\n1. వాన వాన వల్లప్ప\n2. వాకిట్లో తిరుగుడు\n\n【చరణం 1 - Charanam 1】\n3. మబ్బులు కమ్మెను'
+      );
+    });
+  });
+
+  describe('parseTranslation', () => {
+    it('should match numbered lines back to their section and source line', () => {
+      const { sections, missing } = parseTranslation('1. Rain, rain, Vallappa\n2) Spinning in the yard\n3 - Clouds gathered', groups);
+
+      expect(missing).toBe(0);
+      expect(sections.map(s => s.key)).toEqual(['pallavi', 'charanam-1']);
+      expect(sections[0].lines).toEqual([
+        { source: 'వాన వాన వల్లప్ప', text: 'Rain, rain, Vallappa' },
+        { source: 'వాకిట్లో తిరుగుడు', text: 'Spinning in the yard' }
+      ]);
+      expect(sections[1].lines[0].text).toBe('Clouds gathered');
+    });
+
+    it('should ignore headings and commentary and leave skipped lines empty', () => {
+      const { sections, missing } = parseTranslation('Here is the translation:\n【Pallavi】\n3. Clouds gathered\n1. Rain, rain\n1. Repeated', groups);
+
+      expect(missing).toBe(1);
+      expect(sections[0].lines.map(l => l.text)).toEqual(['Rain, rain', '']);
+      expect(sections[1].lines[0].text).toBe('Clouds gathered');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { toRoman, toTelugu, transliterateLyrics } = require('../../../src/utils/transliterate');
+
+describe('Transliteration', () => {
+  describe('toRoman', () => {
+    it('should convert Telugu to RTS', () => {
+      expect(toRoman('నీ నవ్వే నా వెన్నెల')).toBe('nee navvE naa vennela');
+      expect(toRoman('రాముడు శ్రీ క్షేమం')).toBe('raamuDu Sree kshEmaM');
+    });
+
+    it('should convert Telugu to ISO 15919', () => {
+      expect(toRoman('నీ నవ్వే నా వెన్నెల', 'iso')).toBe('nī navvē nā vennela');
+      expect(toRoman('రాముడు శ్రీ దుఃఖం', 'iso')).toBe('rāmuḍu śrī duḥkhaṁ');
+    });
+
+    it('should drop the inherent vowel before a virama', () => {
+      expect(toRoman('కన్')).toBe('kan');
+    });
+
+    it('should pass through punctuation, Latin text and convert Telugu digits', () => {
+      expect(toRoman('పాట 1, (song) ౨')).toBe('paaTa 1, (song) 2');
+    });
+
+    it('should romanize Devanagari, dropping the final inherent vowel of Hindi words', () => {
+      expect(toRoman('दिल की बात')).toBe('dil kee baat');
+      expect(toRoman('न जा', 'iso')).toBe('na jā');
+      expect(toRoman('राज़ डॉक्टर।')).toBe('raaj DOkTar.');
+    });
+
+    it('should romanize Tamil and Kannada', () => {
+      expect(toRoman('என் மழை')).toBe('en mazhai');
+      expect(toRoman('ನನ್ನ ಹಾಡು', 'iso')).toBe('nanna hāḍu');
+    });
+  });
+
+  describe('toTelugu', () => {
+    it('should convert RTS back to Telugu', () => {
+      expect(toTelugu('nee navvE naa vennela')).toBe('నీ నవ్వే నా వెన్నెల');
+      expect(toTelugu('raamuDu Sree kshEmaM duHkhaM')).toBe('రాముడు శ్రీ క్షేమం దుఃఖం');
+    });
+
+    it('should round-trip Telugu through RTS', () => {
+      const text = 'చినుకులు రాలెను నేల మీద, గుండెల్లో వెన్నెల';
+      expect(toTelugu(toRoman(text))).toBe(text);
+    });
+
+    it('should accept common alternates', () => {
+      expect(toTelugu('rAma')).toBe('రామ');
+      expect(toTelugu('prIti')).toBe('ప్రీతి');
+    });
+
+    it('should add a virama to word-final consonants', () => {
+      expect(toTelugu('kan')).toBe('కన్');
+    });
+
+    it('should read a capital M or H without a preceding vowel as a consonant', () => {
+      expect(toTelugu('Hari Mani')).toBe('హరి మని');
+    });
+  });
+
+  describe('transliterateLyrics', () => {
+    it('should replace block transliterations in each section', () => {
+      const content = '🎵 పాట\n\n【పల్లవి - Pallavi】\nనీ నవ్వే\nనా పాట\n(Nee navve\nNaa paata)\n\n---\n🎶 Theme: Rain';
+
+      expect(transliterateLyrics(content)).toBe(
+        '🎵 పాట\n\n【పల్లవి - Pallavi】\nనీ నవ్వే\nనా పాట\n(nee navvE)\n(naa paaTa)\n\n---\n🎶 Theme: Rain'
+      );
+    });
+
+    it('should keep inline layouts inline', () => {
+      const content = '【చరణం 1 - Charanam 1】\nమొదటి (Modati)\nరెండు (Rendu)';
+
+      expect(transliterateLyrics(content, 'iso')).toBe('【చరణం 1 - Charanam 1】\nమొదటి (modaṭi)\nరెండు (reṁḍu)\n');
+    });
+
+    it('should transliterate sections in other scripts', () => {
+      const content = '【मुखड़ा - Pallavi】\nदिल की बात\n(old)';
+
+      expect(transliterateLyrics(content)).toBe('【मुखड़ा - Pallavi】\nदिल की बात\n(dil kee baat)\n');
+    });
+
+    it('should add transliterations to lyrics without headings', () => {
+      expect(transliterateLyrics('ఒక పద్యం\nరెండు\n---\n🎶 Theme: భక్తి')).toBe(
+        'ఒక పద్యం\nరెండు\n(oka padyaM)\n(reMDu)\n\n---\n🎶 Theme: భక్తి'
+      );
+    });
+  });
+});
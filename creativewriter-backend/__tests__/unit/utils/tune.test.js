@@ -0,0 +1,175 @@
+const {
+  scanLine,
+  parseTune,
+  tuneError,
+  tunePrompt,
+  checkTuneFit,
+  numberMisfits,
+  parseRewrites,
+  applyRewrites
+} = require('../../../src/utils/tune');
+
+const SONG = [
+  '【పల్లవి - Pallavi】',
+  'నీ కోసం వెన్నెల',
+  '(nee kosam vennela)',
+  'వాన వాన',
+  '(vaana vaana)',
+  'వాన వాన',
+  '(vaana vaana)',
+  '',
+  '【చరణం 1 - Charanam 1】',
+  'నా మనసు నీ పేరే (naa manasu nee pere)',
+  '',
+  '---',
+  '⏱️ Suggested Tempo: 90 BPM'
+].join('\n');
+
+describe('Write to Tune', () => {
+  describe('scanLine', () => {
+    it('should count aksharas and matras of Telugu lines', () => {
+      expect(scanLine('నీ కోసం వెన్నెల')).toEqual({ syllables: 6, matras: 10, pattern: 'UUUUII' });
+    });
+
+    it('should count Roman dummy lines, Hindi and Tamil alike', () => {
+      expect(scanLine('na na naa na')).toEqual({ syllables: 4, matras: 5, pattern: 'IIUI' });
+      expect(scanLine('प्यार का सपना').syllables).toBe(5);
+      expect(scanLine('காதல் பாட்டு').syllables).toBe(4);
+    });
+
+    it('should count English words in code-mixed lines', () => {
+      expect(scanLine('నా heart నీదే').syllables).toBeGreaterThan(scanLine('నా నీదే').syllables);
+    });
+  });
+
+  describe('parseTune', () => {
+    it('should read counts, laghu/guru patterns and dummy lines under headings', () => {
+      const tune = parseTune('【పల్లవి】\n8\nU I I U\n\n2 1 2\nna na naa na\n【చరణం】\n12');
+
+      expect(tune.sections).toBe(true);
+      expect(tune.lines).toEqual([
+        { section: 'పల్లవి', syllables: 8, matras: null, pattern: null, dummy: null },
+        { section: 'పల్లవి', syllables: 4, matras: 6, pattern: 'UIIU', dummy: null },
+        { section: 'పల్లవి', syllables: 3, matras: 5, pattern: 'UIU', dummy: null },
+        { section: 'పల్లవి', syllables: 4, matras: null, pattern: 'IIUI', dummy: 'na na naa na' },
+        { section: 'చరణం', syllables: 12, matras: null, pattern: null, dummy: null }
+      ]);
+    });
+
+    it('should read a template without headings', () => {
+      expect(parseTune('6\n6').sections).toBe(false);
+      expect(parseTune('').lines).toEqual([]);
+    });
+  });
+
+  describe('tuneError', () => {
+    it('should reject empty, long and unsingable templates', () => {
+      expect(tuneError(parseTune(''), 10)).toBe('Tune has no lines');
+      expect(tuneError(parseTune('4\n4\n4'), 2)).toBe('Tune cannot have more than 2 lines');
+      expect(tuneError(parseTune('4\n0'), 10)).toBe('Tune line 2 must have between 1 and 32 syllables');
+      expect(tuneError(parseTune('4\n---'), 10)).toBe('Tune line 2 must have between 1 and 32 syllables');
+      expect(tuneError(parseTune('4\nU I'), 10)).toBeNull();
+    });
+  });
+
+  describe('tunePrompt', () => {
+    it('should number the tune lines under their sections', () => {
+      const prompt = tunePrompt(parseTune('【పల్లవి】\n8\nU I I U\n【చరణం】\nna na naa na'));
+
+      expect(prompt).toContain('Write exactly 3 lyric lines, one for each tune line below and in the same order, grouped into the sections shown.');
+      expect(prompt).toContain([
+        '【పల్లవి】',
+        '1. 8 syllables',
+        '2. 4 syllables, laghu/guru U I I U (6 matras)',
+        '',
+        '【చరణం】',
+        '3. 4 syllables, like "na na naa na" (I I U I)'
+      ].join('\n'));
+      expect(prompt.endsWith('\n\n')).toBe(true);
+    });
+  });
+
+  describe('checkTuneFit', () => {
+    it('should compare lyric lines with the tune in order', () => {
+      const report = checkTuneFit(SONG, parseTune('6\n4\n5\n7'));
+
+      expect(report).toEqual(expect.objectContaining({ fits: false, fitted: 3, total: 4, extraLines: 0 }));
+      expect(report.lines[2]).toEqual(expect.objectContaining({
+        number: 3,
+        section: 'పల్లవి - Pallavi',
+        text: 'వాన వాన',
+        expected: { syllables: 5, matras: null, pattern: null },
+        syllables: 4,
+        fits: false
+      }));
+    });
+
+    it('should check matras where the tune gives a laghu/guru pattern', () => {
+      expect(checkTuneFit(SONG, parseTune('U U U U I I')).lines[0].fits).toBe(true);
+      expect(checkTuneFit(SONG, parseTune('U I U I I I')).lines[0].fits).toBe(false);
+    });
+
+    it('should allow a tolerance', () => {
+      expect(checkTuneFit(SONG, parseTune('6\n4\n5\n7'), 1).fits).toBe(true);
+    });
+
+    it('should report missing and extra lines', () => {
+      const short = checkTuneFit(SONG, parseTune('6\n4\n4\n7\n8'));
+      expect(short.fits).toBe(false);
+      expect(short.lines[4]).toEqual(expect.objectContaining({ text: '', fits: false }));
+
+      const long = checkTuneFit(SONG, parseTune('6\n4'));
+      expect(long).toEqual(expect.objectContaining({ fits: false, fitted: 2, extraLines: 2 }));
+    });
+  });
+
+  describe('numberMisfits', () => {
+    it('should give each line\'s place, text and syllables', () => {
+      const report = checkTuneFit(SONG, parseTune('6\n4\nU I U I I\n7'));
+
+      expect(numberMisfits(report.lines.filter(line => !line.fits)))
+        .toBe('3. వాన వాన (has 4 syllables; needs 5 syllables, laghu/guru U I U I I (7 matras))');
+    });
+  });
+
+  describe('parseRewrites', () => {
+    const tune = parseTune('6\n4\n5\n7');
+    const report = checkTuneFit(SONG, tune);
+
+    it('should keep numbered rewrites that come closer to the tune', () => {
+      const text = 'Here you go:\n3. వాన వాన రా (vaana vaana raa)\n3. వాన వాన వాన';
+
+      expect(parseRewrites(text, report, tune)).toEqual([{ number: 3, text: 'వాన వాన రా' }]);
+    });
+
+    it('should ignore lines that already fit and rewrites that are no better', () => {
+      expect(parseRewrites('1. వాన\n3. వాన', report, tune)).toEqual([]);
+    });
+  });
+
+  describe('applyRewrites', () => {
+    it('should replace the line in its place and transliterate its section again', () => {
+      const updated = applyRewrites(SONG, [{ number: 3, text: 'వాన వాన రా' }]);
+
+      expect(updated).toContain('వాన వాన\n(vaana vaana)\nవాన వాన రా\n(vaana vaana raa)');
+      expect(updated).toContain('నా మనసు నీ పేరే (naa manasu nee pere)');
+      expect(updated).toContain('---\n⏱️ Suggested Tempo: 90 BPM');
+    });
+
+    it('should keep the inline layout of a line', () => {
+      const updated = applyRewrites(SONG, [{ number: 4, text: 'నా మనసు నీ పేరు పాట' }]);
+
+      expect(updated).toContain('నా మనసు నీ పేరు పాట (naa manasu nee pEru paaTa)');
+    });
+
+    it('should replace Roman lines of sections without native lines as they are', () => {
+      const roman = '【Pallavi】\n(vaana vaana)\n(kona kona)';
+
+      expect(applyRewrites(roman, [{ number: 2, text: 'kona kona kala' }])).toBe('【Pallavi】\n(vaana vaana)\n(kona kona kala)');
+    });
+
+    it('should leave content alone without rewrites', () => {
+      expect(applyRewrites(SONG, [])).toBe(SONG);
+    });
+  });
+});
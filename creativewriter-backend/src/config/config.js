@@ -56,6 +56,15 @@ const config = {
       baseUrl: 'https://api.anthropic.com/v1',
       model: 'claude-sonnet-4-20250514'
     },
+    openai: {
+      key: process.env.OPENAI_API_KEY || '',
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    },
+    ollama: {
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_MODEL || 'llama3.1'
+    },
     suno: {
       key: process.env.SUNO_API_KEY || '',
       baseUrl: 'https://api.suno.ai/v1'
@@ -91,9 +100,63 @@ const config = {
   // Lyrics Generation
   lyrics: {
     maxTokens: 2500,
+    defaultLanguage: 'te', // te, te-en (Telugu-English), hi, ta or kn
     defaultDialect: 'coastal',
     defaultStyle: 'romantic',
-    defaultPoetryForm: 'geeyam'
+    defaultPoetryForm: 'geeyam',
+    sectionMaxTokens: 800,
+    sectionRegenerateCost: 0.25, // Fraction of a lyrics generation charged per section
+    translationMaxTokens: 2000,
+    translationCost: 0.25, // Fraction of a lyrics generation charged per translation
+    searchMaxResults: 500, // Matches ranked per search; lower-ranked matches beyond this are dropped
+    importMaxFileSize: 2 * 1024 * 1024, // Bytes per uploaded file
+    importMaxFiles: 20,
+    importMaxSongs: 200, // Songs created by one import request
+    maxVariants: 4, // Candidates one generate request may ask for (plans may allow fewer)
+    variantCost: 0.5, // Fraction of a lyrics generation charged per extra candidate
+    draftTtlHours: 72, // Candidates not kept are deleted after this
+    tuneMaxLines: 60, // Lines in a write-to-tune template
+    tuneMaxRetries: 2, // Rounds of rewriting the lines that do not fit a tune
+    tuneTolerance: 0, // Syllables (and matras) a line may be off its tune line and still fit
+    maxCustomDialects: 10 // Custom dialect profiles per user
+  },
+
+  // Songbooks and albums
+  collections: {
+    maxTracks: 200
+  },
+
+  // Content moderation of prompt input and published lyrics
+  moderation: {
+    reviewThreshold: 0.5, // Category score (0-1) that flags content for admin review
+    blockThreshold: 0.85, // Category score that rejects input outright
+    providerMaxTokens: 200, // For the optional LLM check (admin setting moderation.providerCheck)
+    maxFlagText: 4000 // Characters of flagged text kept for reviewers
+  },
+
+  // Similarity checks against public lyrics and the admin reference corpus
+  similarity: {
+    blockThreshold: parseFloat(process.env.SIMILARITY_BLOCK_THRESHOLD) || 0.6, // Share (0-1) of lyrics found in one other song that stops them being made public; above 1 only reports
+    minSimilarity: 0.1, // Weaker matches are left out unless lines overlap
+    maxCandidates: 50, // Songs sharing the most fingerprints that are compared line by line
+    maxMatches: 5
+  },
+
+  // Background generation jobs (stored in MongoDB)
+  jobs: {
+    runWorker: process.env.JOB_WORKER !== 'false', // Set to false when workers run as a separate process (npm run worker)
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2, // Jobs one worker runs at a time
+    pollInterval: 1000, // ms between queue checks when idle
+    maxAttempts: 3,
+    backoffBase: 5000, // ms before the first retry; doubles on each attempt
+    backoffMax: 5 * 60 * 1000,
+    lockTimeout: 10 * 60 * 1000, // A running job not finished after this is taken over (e.g. after a restart)
+    timeouts: { // ms per attempt
+      lyrics: 3 * 60 * 1000,
+      music: 60 * 1000,
+      video: 60 * 1000,
+      voice: 3 * 60 * 1000
+    }
   }
 };
 
@@ -1,12 +1,29 @@
 /**
  * Admin Controller
- * Handles admin-only operations: user management, API keys, system settings
+ * Handles admin-only operations: user management, API keys, system settings, prompt templates
  */
 
 const User = require('../models/User');
 const ApiKey = require('../models/ApiKey');
 const Lyrics = require('../models/Lyrics');
+const LyricsRevision = require('../models/LyricsRevision');
+const LyricsComment = require('../models/LyricsComment');
+const Collection = require('../models/Collection');
+const LyricsDraft = require('../models/LyricsDraft');
+const GenerationJob = require('../models/GenerationJob');
+const PromptTemplate = require('../models/PromptTemplate');
+const Dialect = require('../models/Dialect');
+const config = require('../config/config');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getProvider, listProviders, getFallbackChain, setFallbackChain } = require('../providers');
+const { resolveGenerationInput } = require('../jobs/lyrics');
+const {
+  PROMPT_TEMPLATES,
+  buildPromptVariables,
+  renderTemplate,
+  extractVariables,
+  findUnknownVariables
+} = require('../utils/lyricsPrompt');
 
 // ======================= DASHBOARD =======================
 
@@ -204,9 +221,24 @@ const deleteUser = asyncHandler(async (req, res, next) => {
 
   // Option: Delete user's lyrics or keep them
   if (req.query.deleteLyrics === 'true') {
+    const lyricsIds = await Lyrics.distinct('_id', { user: user._id });
+    await LyricsRevision.deleteMany({ lyrics: { $in: lyricsIds } });
+    await LyricsComment.deleteMany({ lyrics: { $in: lyricsIds } });
     await Lyrics.deleteMany({ user: user._id });
   }
 
+  // Collections only hold the user's own lyrics, and unpicked variants are never shared
+  await Collection.deleteMany({ user: user._id });
+  await LyricsDraft.deleteMany({ user: user._id });
+  await GenerationJob.deleteMany({ user: user._id });
+  await Dialect.deleteMany({ owner: user._id });
+
+  // Drop the user from lyrics shared with them
+  await Lyrics.updateMany(
+    { 'collaborators.user': user._id },
+    { $pull: { collaborators: { user: user._id } } }
+  );
+
   await user.deleteOne();
 
   res.status(200).json({
@@ -359,7 +391,8 @@ const testApiKey = asyncHandler(async (req, res, next) => {
   }
 
   const key = apiKey.getKey();
-  if (!key) {
+  const provider = getProvider(service);
+  if (!key && (!provider || provider.requiresKey)) {
     apiKey.lastTested = new Date();
     apiKey.lastTestResult = 'failed';
     await apiKey.save();
@@ -401,6 +434,18 @@ const testApiKey = asyncHandler(async (req, res, next) => {
         };
         break;
 
+      case 'openai':
+      case 'ollama':
+        await provider.generate({
+          apiKey: key,
+          baseUrl: (apiKey.metadata?.baseUrl || provider.defaults.baseUrl).replace(/\/+$/, ''),
+          model: apiKey.metadata?.model || provider.defaults.model,
+          prompt: 'Hi',
+          maxTokens: 10
+        });
+        testResult = { success: true, message: 'Connection successful' };
+        break;
+
       // Add other service tests as needed
       default:
         testResult = {
@@ -456,6 +501,251 @@ const deleteApiKey = asyncHandler(async (req, res, next) => {
   });
 });
 
+// ======================= LYRICS PROVIDERS =======================
+
+/**
+ * @desc    Get lyrics LLM providers and the fallback chain
+ * @route   GET /api/v1/admin/providers
+ * @access  Admin
+ */
+const getProviders = asyncHandler(async (req, res, next) => {
+  const chain = await getFallbackChain();
+  const apiKeys = await ApiKey.find({ service: { $in: listProviders().map(p => p.service) } });
+
+  const providers = listProviders().map(provider => {
+    const keyDoc = apiKeys.find(k => k.service === provider.service);
+    return {
+      service: provider.service,
+      name: provider.name,
+      requiresKey: provider.requiresKey,
+      isActive: keyDoc ? keyDoc.isActive : false,
+      isConfigured: !!keyDoc && (!provider.requiresKey || !!keyDoc.encryptedKey),
+      baseUrl: keyDoc?.metadata?.baseUrl || provider.defaults.baseUrl,
+      model: keyDoc?.metadata?.model || provider.defaults.model,
+      position: chain.indexOf(provider.service)
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      chain,
+      providers
+    }
+  });
+});
+
+/**
+ * @desc    Set the ordered lyrics provider fallback chain
+ * @route   PUT /api/v1/admin/providers/chain
+ * @access  Admin
+ */
+const updateProviderChain = asyncHandler(async (req, res, next) => {
+  const { chain } = req.body;
+
+  if (!Array.isArray(chain) || chain.length === 0) {
+    return next(new AppError('Please provide a non-empty list of providers', 400, 'INVALID_CHAIN'));
+  }
+
+  const unknown = chain.filter(service => !getProvider(service));
+  if (unknown.length > 0) {
+    return next(new AppError(`Unknown provider(s): ${unknown.join(', ')}`, 400, 'UNKNOWN_PROVIDER'));
+  }
+
+  await setFallbackChain(chain, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Provider fallback chain updated',
+    data: { chain: await getFallbackChain() }
+  });
+});
+
+// ======================= PROMPT TEMPLATES =======================
+
+// Sample input used when previewing a template without explicit input; the
+// dialect defaults to the one of the template's language
+const PREVIEW_INPUT = {
+  theme: 'అమ్మ ప్రేమ (Mother\'s love)',
+  customLines: '',
+  style: config.lyrics.defaultStyle,
+  poetryForm: config.lyrics.defaultPoetryForm
+};
+
+/**
+ * @desc    Get editable prompt templates with their published version
+ * @route   GET /api/v1/admin/prompts
+ * @access  Admin
+ */
+const getPromptTemplates = asyncHandler(async (req, res, next) => {
+  const templates = await Promise.all(Object.entries(PROMPT_TEMPLATES).map(async ([name, def]) => {
+    const published = await PromptTemplate.getPublished(name);
+    const versionCount = await PromptTemplate.countDocuments({ name });
+    return {
+      name,
+      description: def.description,
+      language: def.language || 'te',
+      variables: def.variables,
+      publishedVersion: published ? published.version : null,
+      versionCount
+    };
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: templates
+  });
+});
+
+/**
+ * @desc    Get all versions of a prompt template
+ * @route   GET /api/v1/admin/prompts/:name/versions
+ * @access  Admin
+ */
+const getPromptVersions = asyncHandler(async (req, res, next) => {
+  const { name } = req.params;
+
+  if (!PROMPT_TEMPLATES[name]) {
+    return next(new AppError(`Unknown prompt template: ${name}`, 404, 'TEMPLATE_NOT_FOUND'));
+  }
+
+  const versions = await PromptTemplate.find({ name })
+    .sort({ version: -1 })
+    .populate('createdBy publishedBy', 'name');
+
+  res.status(200).json({
+    success: true,
+    data: versions
+  });
+});
+
+/**
+ * @desc    Create a new draft version of a prompt template
+ * @route   POST /api/v1/admin/prompts/:name/versions
+ * @access  Admin
+ */
+const createPromptVersion = asyncHandler(async (req, res, next) => {
+  const { name } = req.params;
+  const { template, description } = req.body;
+
+  if (!PROMPT_TEMPLATES[name]) {
+    return next(new AppError(`Unknown prompt template: ${name}`, 404, 'TEMPLATE_NOT_FOUND'));
+  }
+
+  if (!template || !template.trim()) {
+    return next(new AppError('Please provide the template text', 400, 'MISSING_TEMPLATE'));
+  }
+
+  const unknown = findUnknownVariables(template, name);
+  if (unknown.length > 0) {
+    return next(new AppError(`Unknown template variable(s): ${unknown.join(', ')}`, 400, 'UNKNOWN_VARIABLE'));
+  }
+
+  const version = await PromptTemplate.createVersion(name, { template, description }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: `Draft version ${version.version} created`,
+    data: version
+  });
+});
+
+/**
+ * @desc    Dry-run a template: render it with sample or supplied input without calling a provider
+ * @route   POST /api/v1/admin/prompts/:name/preview
+ * @access  Admin
+ *
+ * Body: { template } to preview unsaved text, or { version } for a saved version
+ * (defaults to the published one); optional { input } overrides the sample input.
+ */
+const previewPromptTemplate = asyncHandler(async (req, res, next) => {
+  const { name } = req.params;
+  const { template, version, input } = req.body;
+
+  if (!PROMPT_TEMPLATES[name]) {
+    return next(new AppError(`Unknown prompt template: ${name}`, 404, 'TEMPLATE_NOT_FOUND'));
+  }
+
+  let text = template;
+  if (!text) {
+    const saved = version
+      ? await PromptTemplate.findOne({ name, version })
+      : await PromptTemplate.getPublished(name);
+    if (!saved) {
+      return next(new AppError('Template version not found', 404, 'VERSION_NOT_FOUND'));
+    }
+    text = saved.template;
+  }
+
+  const variables = {
+    ...PROMPT_TEMPLATES[name].sampleVariables,
+    ...buildPromptVariables(await resolveGenerationInput({
+      ...PREVIEW_INPUT,
+      language: PROMPT_TEMPLATES[name].language,
+      ...input
+    }))
+  };
+
+  res.status(200).json({
+    success: true,
+    data: {
+      prompt: renderTemplate(text, variables),
+      variables,
+      usedVariables: extractVariables(text),
+      unknownVariables: findUnknownVariables(text, name)
+    }
+  });
+});
+
+/**
+ * @desc    Publish a prompt template version
+ * @route   POST /api/v1/admin/prompts/:name/versions/:version/publish
+ * @access  Admin
+ */
+const publishPromptVersion = asyncHandler(async (req, res, next) => {
+  const { name } = req.params;
+  const version = parseInt(req.params.version, 10);
+
+  const published = await PromptTemplate.publishVersion(name, version, req.user._id);
+  if (!published) {
+    return next(new AppError('Template version not found', 404, 'VERSION_NOT_FOUND'));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Version ${version} of ${name} is now live`,
+    data: published
+  });
+});
+
+/**
+ * @desc    Roll back to the previously published version of a prompt template
+ * @route   POST /api/v1/admin/prompts/:name/rollback
+ * @access  Admin
+ */
+const rollbackPromptTemplate = asyncHandler(async (req, res, next) => {
+  const { name } = req.params;
+
+  const current = await PromptTemplate.getPublished(name);
+  const previous = await PromptTemplate.findOne({
+    name,
+    status: 'archived',
+    publishedAt: { $exists: true }
+  }).sort({ publishedAt: -1 });
+
+  if (!previous) {
+    return next(new AppError('No previously published version to roll back to', 400, 'NO_PREVIOUS_VERSION'));
+  }
+
+  const published = await PromptTemplate.publishVersion(name, previous.version, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: `Rolled back ${name} from version ${current ? current.version : '-'} to ${published.version}`,
+    data: published
+  });
+});
+
 module.exports = {
   getDashboard,
   getUsers,
@@ -467,5 +757,13 @@ module.exports = {
   getApiKeys,
   updateApiKey,
   testApiKey,
-  deleteApiKey
+  deleteApiKey,
+  getProviders,
+  updateProviderChain,
+  getPromptTemplates,
+  getPromptVersions,
+  createPromptVersion,
+  previewPromptTemplate,
+  publishPromptVersion,
+  rollbackPromptTemplate
 };
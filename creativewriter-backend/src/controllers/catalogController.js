@@ -0,0 +1,96 @@
+/**
+ * Catalog Controller
+ * Handles the style and poetry form catalog used by generation
+ */
+
+const CatalogEntry = require('../models/CatalogEntry');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+// Fields admins may edit; kind and key are fixed once created since lyrics refer to them
+const EDITABLE_FIELDS = ['name', 'teluguName', 'guidance', 'base', 'sortOrder', 'isActive'];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * @desc    Get the active styles and poetry forms
+ * @route   GET /api/v1/catalog
+ * @access  Public
+ */
+const getCatalog = asyncHandler(async (req, res, next) => {
+  const catalog = await CatalogEntry.listActive();
+
+  res.status(200).json({
+    success: true,
+    data: catalog
+  });
+});
+
+// ======================= ADMIN =======================
+
+/**
+ * @desc    Get every catalog entry, including inactive ones
+ * @route   GET /api/v1/catalog/admin
+ * @access  Admin
+ */
+const adminGetCatalog = asyncHandler(async (req, res, next) => {
+  const filter = req.query.kind ? { kind: req.query.kind } : {};
+  const entries = await CatalogEntry.find(filter).sort({ kind: 1, sortOrder: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries
+  });
+});
+
+/**
+ * @desc    Add a style or poetry form
+ * @route   POST /api/v1/catalog/admin
+ * @access  Admin
+ */
+const adminCreateCatalogEntry = asyncHandler(async (req, res, next) => {
+  const { kind, key } = req.body;
+
+  const entry = await CatalogEntry.create({
+    ...pickEditable(req.body),
+    kind,
+    key
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${kind === 'style' ? 'Style' : 'Poetry form'} created successfully`,
+    data: entry
+  });
+});
+
+/**
+ * @desc    Update a catalog entry, or (de)activate it
+ * @route   PUT /api/v1/catalog/admin/:id
+ * @access  Admin
+ */
+const adminUpdateCatalogEntry = asyncHandler(async (req, res, next) => {
+  const entry = await CatalogEntry.findById(req.params.id);
+
+  if (!entry) {
+    return next(new AppError('Catalog entry not found', 404, 'CATALOG_ENTRY_NOT_FOUND'));
+  }
+
+  entry.set(pickEditable(req.body));
+  await entry.save();
+
+  res.status(200).json({
+    success: true,
+    message: `${entry.kind === 'style' ? 'Style' : 'Poetry form'} updated successfully`,
+    data: entry
+  });
+});
+
+module.exports = {
+  getCatalog,
+  adminGetCatalog,
+  adminCreateCatalogEntry,
+  adminUpdateCatalogEntry
+};
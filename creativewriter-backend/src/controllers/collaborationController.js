@@ -0,0 +1,441 @@
+/**
+ * Collaboration Controller
+ * Handles co-author invitations, collaborator roles and comments on lyrics
+ */
+
+const crypto = require('crypto');
+const Lyrics = require('../models/Lyrics');
+const User = require('../models/User');
+const LyricsComment = require('../models/LyricsComment');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getRole, hasRole, canSeeEmails, collaboratorSummary, visibleCollaborators } = require('../utils/lyricsAccess');
+
+/**
+ * Summary of shared lyrics for list views
+ */
+const sharedSummary = (lyrics, role) => ({
+  _id: lyrics._id,
+  title: lyrics.title,
+  style: lyrics.style,
+  dialect: lyrics.dialect,
+  poetryForm: lyrics.poetryForm,
+  owner: lyrics.user,
+  role,
+  createdAt: lyrics.createdAt,
+  updatedAt: lyrics.updatedAt
+});
+
+// Invite tokens are stored hashed, like password reset tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Give a collaborator a new single-use invite token
+ * @returns {string} The token for the invite link; only its hash is stored
+ */
+const issueInviteToken = (collaborator) => {
+  const token = crypto.randomBytes(20).toString('hex');
+  collaborator.inviteToken = hashToken(token);
+  return token;
+};
+
+/**
+ * The current user's pending invitation on lyrics
+ * Anyone can register with an invited address, so the invitation only counts
+ * when that email is verified or the request carries the invite token.
+ * @returns {object} { invite, error } - invite is null when there is none to answer
+ */
+const findInvitation = (lyrics, req) => {
+  const email = req.user.email.toLowerCase();
+  const invite = lyrics.collaborators.find(c => c.email === email && c.status === 'pending');
+
+  if (!invite) {
+    return { invite: null, error: new AppError('No pending invitation for this lyrics', 404, 'INVITATION_NOT_FOUND') };
+  }
+
+  const token = req.body && req.body.token;
+  const tokenValid = typeof token === 'string' && Boolean(invite.inviteToken) && hashToken(token) === invite.inviteToken;
+  if (!req.user.isEmailVerified && !tokenValid) {
+    return {
+      invite: null,
+      error: new AppError('Open the invite link you were sent, or verify your email, to answer this invitation', 403, 'INVALID_INVITE_TOKEN')
+    };
+  }
+
+  return { invite, error: null };
+};
+
+// ======================= SHARED WITH ME =======================
+
+/**
+ * @desc    Lyrics shared with the current user
+ * @route   GET /api/v1/lyrics/shared
+ * @access  Private
+ */
+const getSharedLyrics = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.find({
+    collaborators: { $elemMatch: { user: req.user._id, status: 'accepted' } }
+  })
+    .sort({ updatedAt: -1 })
+    .populate('user', 'name');
+
+  res.status(200).json({
+    success: true,
+    count: lyrics.length,
+    data: lyrics.map(l => sharedSummary(l, getRole(l, req.user._id)))
+  });
+});
+
+/**
+ * @desc    Pending invitations for the current user's email
+ * @route   GET /api/v1/lyrics/invitations
+ * @access  Private
+ *
+ * Only listed for a verified email; otherwise invitations are opened through
+ * their invite link.
+ */
+const getInvitations = asyncHandler(async (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return res.status(200).json({ success: true, count: 0, data: [] });
+  }
+
+  const email = req.user.email.toLowerCase();
+  const lyrics = await Lyrics.find({
+    collaborators: { $elemMatch: { email, status: 'pending' } }
+  })
+    .sort({ updatedAt: -1 })
+    .populate('user', 'name');
+
+  const invitations = lyrics.map(l => {
+    const invite = l.collaborators.find(c => c.email === email && c.status === 'pending');
+    return {
+      lyrics: sharedSummary(l, invite.role),
+      role: invite.role,
+      invitedAt: invite.invitedAt
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations
+  });
+});
+
+/**
+ * @desc    Accept an invitation to collaborate on lyrics
+ * @route   POST /api/v1/lyrics/:id/invitation/accept
+ * @access  Private (invitee with a verified email or the invite `token`)
+ */
+const acceptInvitation = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  const { invite, error } = findInvitation(lyrics, req);
+  if (!invite) {
+    return next(error);
+  }
+
+  invite.user = req.user._id;
+  invite.status = 'accepted';
+  invite.acceptedAt = new Date();
+  invite.inviteToken = undefined;
+  await lyrics.save();
+
+  res.status(200).json({
+    success: true,
+    message: `You can now access "${lyrics.title}" as ${invite.role}`,
+    data: { lyrics: lyrics._id, role: invite.role }
+  });
+});
+
+/**
+ * @desc    Decline an invitation to collaborate on lyrics
+ * @route   POST /api/v1/lyrics/:id/invitation/decline
+ * @access  Private (invitee with a verified email or the invite `token`)
+ */
+const declineInvitation = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  const { invite, error } = findInvitation(lyrics, req);
+  if (!invite) {
+    return next(error);
+  }
+
+  lyrics.collaborators = lyrics.collaborators.filter(c => c !== invite);
+  await lyrics.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation declined',
+    data: {}
+  });
+});
+
+// ======================= COLLABORATORS =======================
+
+/**
+ * @desc    Owner and collaborators of lyrics
+ * @route   GET /api/v1/lyrics/:id/collaborators
+ * @access  Private
+ */
+const getCollaborators = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id)
+    .populate('user', 'name email')
+    .populate('collaborators.user', 'name');
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  const role = getRole(lyrics, req.user._id);
+  if (!role) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  // Viewers and commenters see who else has access, but not their email addresses
+  const owner = canSeeEmails(role) ? lyrics.user : { _id: lyrics.user._id, name: lyrics.user.name };
+
+  res.status(200).json({
+    success: true,
+    data: {
+      owner,
+      role,
+      collaborators: visibleCollaborators(lyrics, role)
+    }
+  });
+});
+
+/**
+ * @desc    Invite a collaborator by email
+ * @route   POST /api/v1/lyrics/:id/collaborators
+ * @access  Private (owner)
+ *
+ * The invitation is attached to the email address. The response carries a
+ * single-use `inviteToken` for the invite link; the invitee accepts with it, or
+ * from GET /lyrics/invitations once their email is verified. Inviting an
+ * existing collaborator again changes their role, and gives a pending
+ * invitation a new token.
+ */
+const inviteCollaborator = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (getRole(lyrics, req.user._id) !== 'owner') {
+    return next(new AppError('Only the owner can share this lyrics', 403, 'OWNER_ONLY'));
+  }
+
+  const email = req.body.email.toLowerCase();
+  const role = req.body.role || 'viewer';
+
+  if (email === req.user.email.toLowerCase()) {
+    return next(new AppError('You already own this lyrics', 400, 'CANNOT_INVITE_SELF'));
+  }
+
+  const existing = lyrics.collaborators.find(c => c.email === email);
+  if (existing) {
+    existing.role = role;
+    const inviteToken = existing.status === 'pending' ? issueInviteToken(existing) : undefined;
+    await lyrics.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `${email} is now ${role}`,
+      data: { ...collaboratorSummary(existing), inviteToken }
+    });
+  }
+
+  const invitee = await User.findOne({ email });
+
+  const invite = { email, role, invitedBy: req.user._id };
+  const inviteToken = issueInviteToken(invite);
+  lyrics.collaborators.push(invite);
+  await lyrics.save();
+
+  res.status(201).json({
+    success: true,
+    message: invitee
+      ? `${email} has been invited as ${role}; send them the invite link to accept`
+      : `${email} has been invited as ${role}; send them the invite link to accept after signing up`,
+    data: { ...collaboratorSummary(lyrics.collaborators[lyrics.collaborators.length - 1]), inviteToken }
+  });
+});
+
+/**
+ * @desc    Change a collaborator's role
+ * @route   PUT /api/v1/lyrics/:id/collaborators/:collaboratorId
+ * @access  Private (owner)
+ */
+const updateCollaborator = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (getRole(lyrics, req.user._id) !== 'owner') {
+    return next(new AppError('Only the owner can change collaborator roles', 403, 'OWNER_ONLY'));
+  }
+
+  const collaborator = lyrics.collaborators.find(c => c._id.toString() === req.params.collaboratorId);
+
+  if (!collaborator) {
+    return next(new AppError('Collaborator not found', 404, 'COLLABORATOR_NOT_FOUND'));
+  }
+
+  collaborator.role = req.body.role;
+  await lyrics.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Collaborator role updated',
+    data: collaboratorSummary(collaborator)
+  });
+});
+
+/**
+ * @desc    Remove a collaborator, or leave lyrics shared with you
+ * @route   DELETE /api/v1/lyrics/:id/collaborators/:collaboratorId
+ * @access  Private (owner, or the collaborator themselves)
+ */
+const removeCollaborator = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  const collaborator = lyrics.collaborators.find(c => c._id.toString() === req.params.collaboratorId);
+
+  if (!collaborator) {
+    return next(new AppError('Collaborator not found', 404, 'COLLABORATOR_NOT_FOUND'));
+  }
+
+  const isSelf = collaborator.user && collaborator.user.toString() === req.user._id.toString();
+  if (!isSelf && getRole(lyrics, req.user._id) !== 'owner') {
+    return next(new AppError('Only the owner can remove collaborators', 403, 'OWNER_ONLY'));
+  }
+
+  lyrics.collaborators = lyrics.collaborators.filter(c => c !== collaborator);
+  await lyrics.save();
+
+  res.status(200).json({
+    success: true,
+    message: isSelf ? 'You left this lyrics' : 'Collaborator removed',
+    data: {}
+  });
+});
+
+// ======================= COMMENTS =======================
+
+/**
+ * @desc    Comments on lyrics, oldest first
+ * @route   GET /api/v1/lyrics/:id/comments
+ * @access  Private
+ */
+const getComments = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'viewer')) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const comments = await LyricsComment.find({ lyrics: lyrics._id })
+    .sort({ createdAt: 1 })
+    .populate('user', 'name');
+
+  res.status(200).json({
+    success: true,
+    count: comments.length,
+    data: comments
+  });
+});
+
+/**
+ * @desc    Comment on lyrics
+ * @route   POST /api/v1/lyrics/:id/comments
+ * @access  Private (commenter and above)
+ */
+const addComment = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'commenter')) {
+    return next(new AppError('Not authorized to comment on this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const comment = await LyricsComment.create({
+    lyrics: lyrics._id,
+    user: req.user._id,
+    section: req.body.section || null,
+    text: req.body.text
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added',
+    data: comment
+  });
+});
+
+/**
+ * @desc    Delete a comment
+ * @route   DELETE /api/v1/lyrics/:id/comments/:commentId
+ * @access  Private (comment author or lyrics owner)
+ */
+const deleteComment = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  const comment = await LyricsComment.findOne({ _id: req.params.commentId, lyrics: lyrics._id });
+
+  if (!comment) {
+    return next(new AppError('Comment not found', 404, 'COMMENT_NOT_FOUND'));
+  }
+
+  const isAuthor = comment.user.toString() === req.user._id.toString();
+  if (!isAuthor && getRole(lyrics, req.user._id) !== 'owner') {
+    return next(new AppError('Not authorized to delete this comment', 403, 'FORBIDDEN'));
+  }
+
+  await comment.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment deleted',
+    data: {}
+  });
+});
+
+module.exports = {
+  getSharedLyrics,
+  getInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getCollaborators,
+  inviteCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+  getComments,
+  addComment,
+  deleteComment
+};
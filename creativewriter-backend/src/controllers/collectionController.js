@@ -0,0 +1,373 @@
+/**
+ * Collection Controller
+ * Handles songbooks and albums: ordered collections of the user's lyrics
+ */
+
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const Lyrics = require('../models/Lyrics');
+const config = require('../config/config');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { screenCollection } = require('../middleware/moderation');
+const { canRead } = require('../utils/lyricsAccess');
+const { EXPORT_FORMATS, renderCollectionExport, contentDisposition } = require('../utils/lyricsExport');
+
+// Lyrics fields returned with each track of a collection
+const TRACK_FIELDS = ['title', 'content', 'language', 'style', 'dialect', 'poetryForm', 'sections', 'metadata', 'isPublic', 'createdAt', 'updatedAt'];
+// Also loaded to decide who may read each track
+const TRACK_ACCESS_FIELDS = ['user', 'collaborators', 'moderation'];
+
+/**
+ * Tracks of a collection that a user may read, in order
+ * A public collection shares only lyrics that are readable on their own.
+ * @param {object} collection - With tracks.lyrics populated
+ * @param {string} userId
+ * @returns {object[]} [{ lyrics, addedAt }]
+ */
+const readableTracks = (collection, userId) => collection.tracks
+  .filter(track => track.lyrics && canRead(track.lyrics, userId))
+  .map(({ lyrics, addedAt }) => ({
+    lyrics: Object.fromEntries(['_id', ...TRACK_FIELDS].map(field => [field, lyrics[field]])),
+    addedAt
+  }));
+
+/**
+ * Check that every id is unique and refers to lyrics owned by the user
+ * @returns {boolean}
+ */
+const ownsAllLyrics = async (ids, userId) => {
+  const unique = new Set(ids.map(String));
+  if (unique.size !== ids.length) return false;
+  if (ids.length === 0) return true;
+
+  const owned = await Lyrics.countDocuments({ _id: { $in: ids }, user: userId });
+  return owned === ids.length;
+};
+
+/**
+ * @desc    Get user's collections
+ * @route   GET /api/v1/collections
+ * @access  Private
+ */
+const getCollections = asyncHandler(async (req, res, next) => {
+  const collections = await Collection.find({ user: req.user._id })
+    .sort({ updatedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: collections.length,
+    data: collections
+  });
+});
+
+/**
+ * @desc    Get public collections
+ * @route   GET /api/v1/collections/public
+ * @access  Public
+ */
+const getPublicCollections = asyncHandler(async (req, res, next) => {
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const collections = await Collection.find({ isPublic: true })
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .populate('user', 'name');
+
+  res.status(200).json({
+    success: true,
+    count: collections.length,
+    data: collections
+  });
+});
+
+/**
+ * @desc    Get a collection with its tracks in order
+ * @route   GET /api/v1/collections/:id
+ * @access  Private
+ *
+ * Other users only see the tracks they could open on their own: public lyrics
+ * that moderation has not held, or lyrics shared with them.
+ */
+const getCollection = asyncHandler(async (req, res, next) => {
+  const collection = await Collection.findById(req.params.id)
+    .populate('user', 'name')
+    .populate('tracks.lyrics', [...TRACK_FIELDS, ...TRACK_ACCESS_FIELDS].join(' '));
+
+  if (!collection) {
+    return next(new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND'));
+  }
+
+  const ownerId = collection.user._id || collection.user;
+  if (ownerId.toString() !== req.user._id.toString() && !collection.isPublic) {
+    return next(new AppError('Not authorized to access this collection', 403, 'FORBIDDEN'));
+  }
+
+  const tracks = readableTracks(collection, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { ...collection.toJSON(), tracks, trackCount: tracks.length }
+  });
+});
+
+/**
+ * @desc    Download a collection as a songbook: text, PDF or DOCX
+ * @route   GET /api/v1/collections/:id/export?format=pdf
+ * @access  Private (formats limited by plan)
+ *
+ * Holds the same tracks as GET /collections/:id, each on its own page after a
+ * cover with the collection's details and contents.
+ */
+const exportCollection = asyncHandler(async (req, res, next) => {
+  const collection = await Collection.findById(req.params.id)
+    .populate('tracks.lyrics', [...TRACK_FIELDS, ...TRACK_ACCESS_FIELDS].join(' '));
+
+  if (!collection) {
+    return next(new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND'));
+  }
+
+  if (collection.user.toString() !== req.user._id.toString() && !collection.isPublic) {
+    return next(new AppError('Not authorized to access this collection', 403, 'FORBIDDEN'));
+  }
+
+  const { format, scheme } = req.query;
+  const tracks = readableTracks(collection, req.user._id).map(track => track.lyrics);
+  const output = await renderCollectionExport(collection, tracks, format, { scheme });
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', contentDisposition(collection.title, format));
+  res.status(200).send(output);
+});
+
+/**
+ * @desc    Create a collection
+ * @route   POST /api/v1/collections
+ * @access  Private
+ *
+ * A public collection's title, description and cover text are screened by
+ * content moderation; flagged collections stay private until an admin approves them.
+ */
+const createCollection = asyncHandler(async (req, res, next) => {
+  const { title, description, coverText, isPublic, lyrics = [] } = req.body;
+
+  if (!(await ownsAllLyrics(lyrics, req.user._id))) {
+    return next(new AppError('Tracks must be distinct lyrics that you own', 400, 'INVALID_TRACKS'));
+  }
+
+  // The id is set up front so a moderation flag can refer to the collection
+  const details = { _id: new mongoose.Types.ObjectId(), title, description, coverText, isPublic };
+  const flag = isPublic ? await screenCollection(details, req.user._id) : null;
+
+  const collection = await Collection.create({
+    ...details,
+    user: req.user._id,
+    tracks: lyrics.map(id => ({ lyrics: id }))
+  });
+
+  res.status(201).json({
+    success: true,
+    message: flag
+      ? 'Collection created. It will be public once a moderator reviews it.'
+      : 'Collection created successfully',
+    data: collection
+  });
+});
+
+/**
+ * @desc    Update collection details
+ * @route   PUT /api/v1/collections/:id
+ * @access  Private
+ */
+const updateCollection = asyncHandler(async (req, res, next) => {
+  const collection = await Collection.findById(req.params.id);
+
+  if (!collection) {
+    return next(new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND'));
+  }
+
+  if (collection.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to update this collection', 403, 'FORBIDDEN'));
+  }
+
+  const { title, description, coverText, isPublic } = req.body;
+  const wasPublic = collection.isPublic;
+  const detailsChanged = [['title', title], ['description', description], ['coverText', coverText]]
+    .some(([field, value]) => value !== undefined && value !== collection[field]);
+
+  if (title !== undefined) collection.title = title;
+  if (description !== undefined) collection.description = description;
+  if (coverText !== undefined) collection.coverText = coverText;
+  if (isPublic !== undefined) collection.isPublic = isPublic;
+
+  // Publishing, or changing the details of a public collection, is screened first
+  let moderationMessage = null;
+  if (collection.isPublic && (!wasPublic || detailsChanged)) {
+    const status = collection.moderation?.status;
+    if (!detailsChanged && (status === 'pending' || status === 'rejected')) {
+      collection.isPublic = false;
+      moderationMessage = status === 'pending'
+        ? 'This collection is still waiting for a moderator to review it.'
+        : 'A moderator declined to publish this collection. Edit its details to submit it again.';
+    } else if (await screenCollection(collection, req.user._id)) {
+      moderationMessage = 'Collection updated. It will be public once a moderator reviews it.';
+    }
+  }
+
+  await collection.save();
+
+  res.status(200).json({
+    success: true,
+    message: moderationMessage || 'Collection updated successfully',
+    data: collection
+  });
+});
+
+/**
+ * @desc    Delete a collection (the lyrics in it are kept)
+ * @route   DELETE /api/v1/collections/:id
+ * @access  Private
+ */
+const deleteCollection = asyncHandler(async (req, res, next) => {
+  const collection = await Collection.findById(req.params.id);
+
+  if (!collection) {
+    return next(new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND'));
+  }
+
+  if (collection.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to delete this collection', 403, 'FORBIDDEN'));
+  }
+
+  await collection.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Collection deleted successfully',
+    data: {}
+  });
+});
+
+/**
+ * @desc    Add lyrics to a collection
+ * @route   POST /api/v1/collections/:id/tracks
+ * @access  Private
+ *
+ * `position` is the 1-based track number to insert at; the track is appended when omitted.
+ */
+const addTrack = asyncHandler(async (req, res, next) => {
+  const collection = await Collection.findById(req.params.id);
+
+  if (!collection) {
+    return next(new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND'));
+  }
+
+  if (collection.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to update this collection', 403, 'FORBIDDEN'));
+  }
+
+  const { lyricsId, position } = req.body;
+
+  if (collection.tracks.some(t => t.lyrics.toString() === lyricsId)) {
+    return next(new AppError('These lyrics are already in the collection', 400, 'TRACK_EXISTS'));
+  }
+
+  if (collection.tracks.length >= config.collections.maxTracks) {
+    return next(new AppError(`A collection can hold up to ${config.collections.maxTracks} tracks`, 400, 'TOO_MANY_TRACKS'));
+  }
+
+  if (!(await ownsAllLyrics([lyricsId], req.user._id))) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  const index = position ? Math.min(position - 1, collection.tracks.length) : collection.tracks.length;
+  collection.tracks.splice(index, 0, { lyrics: lyricsId });
+  await collection.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Added as track ${index + 1}`,
+    data: collection
+  });
+});
+
+/**
+ * @desc    Remove lyrics from a collection
+ * @route   DELETE /api/v1/collections/:id/tracks/:lyricsId
+ * @access  Private
+ */
+const removeTrack = asyncHandler(async (req, res, next) => {
+  const collection = await Collection.findById(req.params.id);
+
+  if (!collection) {
+    return next(new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND'));
+  }
+
+  if (collection.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to update this collection', 403, 'FORBIDDEN'));
+  }
+
+  const remaining = collection.tracks.filter(t => t.lyrics.toString() !== req.params.lyricsId);
+
+  if (remaining.length === collection.tracks.length) {
+    return next(new AppError('These lyrics are not in the collection', 404, 'TRACK_NOT_FOUND'));
+  }
+
+  collection.tracks = remaining;
+  await collection.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Track removed',
+    data: collection
+  });
+});
+
+/**
+ * @desc    Reorder the tracks of a collection
+ * @route   PUT /api/v1/collections/:id/tracks
+ * @access  Private
+ *
+ * `lyrics` must list every track of the collection exactly once, in the new order.
+ */
+const reorderTracks = asyncHandler(async (req, res, next) => {
+  const collection = await Collection.findById(req.params.id);
+
+  if (!collection) {
+    return next(new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND'));
+  }
+
+  if (collection.user.toString() !== req.user._id.toString()) {
+    return next(new AppError('Not authorized to update this collection', 403, 'FORBIDDEN'));
+  }
+
+  const order = req.body.lyrics.map(String);
+  const current = new Map(collection.tracks.map(t => [t.lyrics.toString(), t]));
+
+  if (order.length !== current.size || new Set(order).size !== order.length || !order.every(id => current.has(id))) {
+    return next(new AppError('The new order must list every track exactly once', 400, 'INVALID_ORDER'));
+  }
+
+  collection.tracks = order.map(id => {
+    const { lyrics, addedAt } = current.get(id);
+    return { lyrics, addedAt };
+  });
+  await collection.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Tracks reordered',
+    data: collection
+  });
+});
+
+module.exports = {
+  getCollections,
+  getPublicCollections,
+  getCollection,
+  exportCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addTrack,
+  removeTrack,
+  reorderTracks
+};
@@ -0,0 +1,176 @@
+/**
+ * Dialect Controller
+ * Handles dialect lexicons: admin-managed global dialects and the custom
+ * dialect profiles of users whose plan allows them
+ */
+
+const Dialect = require('../models/Dialect');
+const config = require('../config/config');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { dialectLanguage } = require('../utils/lyricsPrompt');
+
+// Fields a dialect profile may set; the key is fixed once created since lyrics refer to it
+const PROFILE_FIELDS = ['name', 'nativeName', 'language', 'vocabulary', 'markers', 'references', 'baseDialect'];
+
+const pickProfile = (body) => Object.fromEntries(
+  PROFILE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * @desc    Get dialects available for generation, optionally for one language (?language=hi)
+ * @route   GET /api/v1/dialects
+ * @access  Public (custom profiles included when signed in)
+ */
+const getDialects = asyncHandler(async (req, res, next) => {
+  const language = req.query.language ? dialectLanguage(req.query.language) : null;
+  const dialects = await Dialect.listAvailable(req.user ? req.user._id : null, language);
+
+  res.status(200).json({
+    success: true,
+    count: dialects.length,
+    data: dialects
+  });
+});
+
+/**
+ * @desc    Create a custom dialect profile
+ * @route   POST /api/v1/dialects
+ * @access  Private (plans with customDialects)
+ */
+const createDialect = asyncHandler(async (req, res, next) => {
+  const owned = await Dialect.countDocuments({ owner: req.user._id });
+
+  if (owned >= config.lyrics.maxCustomDialects) {
+    return next(new AppError(
+      `You can have up to ${config.lyrics.maxCustomDialects} custom dialects. Delete one to add another.`,
+      400,
+      'DIALECT_LIMIT_REACHED'
+    ));
+  }
+
+  const dialect = await Dialect.create({
+    ...pickProfile(req.body),
+    owner: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Dialect created successfully',
+    data: dialect
+  });
+});
+
+/**
+ * @desc    Update a custom dialect profile
+ * @route   PUT /api/v1/dialects/:id
+ * @access  Private (plans with customDialects)
+ */
+const updateDialect = asyncHandler(async (req, res, next) => {
+  const dialect = await Dialect.findOne({ _id: req.params.id, owner: req.user._id });
+
+  if (!dialect) {
+    return next(new AppError('Dialect not found', 404, 'DIALECT_NOT_FOUND'));
+  }
+
+  dialect.set(pickProfile(req.body));
+  await dialect.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Dialect updated successfully',
+    data: dialect
+  });
+});
+
+/**
+ * @desc    Delete a custom dialect profile
+ * @route   DELETE /api/v1/dialects/:id
+ * @access  Private
+ *
+ * Lyrics written in it keep the key and fall back to the default dialect when regenerated.
+ */
+const deleteDialect = asyncHandler(async (req, res, next) => {
+  const dialect = await Dialect.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+  if (!dialect) {
+    return next(new AppError('Dialect not found', 404, 'DIALECT_NOT_FOUND'));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Dialect deleted successfully',
+    data: {}
+  });
+});
+
+// ======================= ADMIN =======================
+
+/**
+ * @desc    Get all global dialects, including inactive ones
+ * @route   GET /api/v1/dialects/admin
+ * @access  Admin
+ */
+const adminGetDialects = asyncHandler(async (req, res, next) => {
+  const dialects = await Dialect.find({ owner: null }).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: dialects.length,
+    data: dialects
+  });
+});
+
+/**
+ * @desc    Create a global dialect
+ * @route   POST /api/v1/dialects/admin
+ * @access  Admin
+ */
+const adminCreateDialect = asyncHandler(async (req, res, next) => {
+  const { key, isActive } = req.body;
+
+  const dialect = await Dialect.create({
+    ...pickProfile(req.body),
+    key,
+    isActive,
+    owner: null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Dialect created successfully',
+    data: dialect
+  });
+});
+
+/**
+ * @desc    Update a global dialect's lexicon, or (de)activate it
+ * @route   PUT /api/v1/dialects/admin/:id
+ * @access  Admin
+ */
+const adminUpdateDialect = asyncHandler(async (req, res, next) => {
+  const dialect = await Dialect.findOne({ _id: req.params.id, owner: null });
+
+  if (!dialect) {
+    return next(new AppError('Dialect not found', 404, 'DIALECT_NOT_FOUND'));
+  }
+
+  dialect.set(pickProfile(req.body));
+  if (req.body.isActive !== undefined) dialect.isActive = req.body.isActive;
+  await dialect.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Dialect updated successfully',
+    data: dialect
+  });
+});
+
+module.exports = {
+  getDialects,
+  createDialect,
+  updateDialect,
+  deleteDialect,
+  adminGetDialects,
+  adminCreateDialect,
+  adminUpdateDialect
+};
@@ -0,0 +1,101 @@
+/**
+ * Import Controller
+ * Creates lyrics from uploaded text, Markdown and DOCX files
+ */
+
+const Lyrics = require('../models/Lyrics');
+const LyricsRevision = require('../models/LyricsRevision');
+const config = require('../config/config');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { parseLyricsFile } = require('../utils/lyricsImport');
+const { languageInfo } = require('../utils/lyricsPrompt');
+
+/**
+ * @desc    Import lyrics from files
+ * @route   POST /api/v1/lyrics/import
+ * @access  Private
+ *
+ * Multipart field `files`; a file may hold several songs (see utils/lyricsImport).
+ * Optional `language`, `style`, `dialect` and `poetryForm` fields apply to every
+ * imported song; otherwise language, style and dialect are guessed from the text
+ * (style and dialect for the given language when only that is set).
+ * Files that cannot be read are listed in `skipped` and the rest are still imported.
+ */
+const importLyrics = asyncHandler(async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one file', 400, 'NO_FILES'));
+  }
+
+  const { language, style, dialect, poetryForm } = req.body;
+  const songs = [];
+  const skipped = [];
+
+  for (const file of req.files) {
+    try {
+      const parsed = await parseLyricsFile(file.originalname, file.buffer, { language });
+      if (parsed.length === 0) {
+        skipped.push({ file: file.originalname, reason: 'No lyrics found' });
+      }
+      parsed.forEach(song => songs.push({ file: file.originalname, ...song }));
+    } catch (error) {
+      console.error(`Import of ${file.originalname} failed:`, error.message);
+      skipped.push({ file: file.originalname, reason: 'The file could not be read' });
+    }
+  }
+
+  if (songs.length === 0) {
+    return next(new AppError('No lyrics found in the uploaded files', 400, 'NO_LYRICS_FOUND'));
+  }
+
+  if (songs.length > config.lyrics.importMaxSongs) {
+    return next(new AppError(
+      `The files contain ${songs.length} songs; import at most ${config.lyrics.importMaxSongs} at a time`,
+      400,
+      'TOO_MANY_SONGS'
+    ));
+  }
+
+  const created = await Lyrics.create(songs.map(song => {
+    const songLanguage = language || song.language || config.lyrics.defaultLanguage;
+    return {
+      user: req.user._id,
+      title: song.title,
+      content: song.content,
+      language: songLanguage,
+      style: style || song.style || config.lyrics.defaultStyle,
+      dialect: dialect || song.dialect || languageInfo[songLanguage].defaultDialect || config.lyrics.defaultDialect,
+      poetryForm: poetryForm || config.lyrics.defaultPoetryForm,
+      generationParams: { model: 'imported' }
+    };
+  }));
+
+  for (const lyrics of created) {
+    await LyricsRevision.record(lyrics, { source: 'import', user: req.user._id, note: 'Imported' });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Imported ${created.length} lyrics`,
+    count: created.length,
+    data: created.map((lyrics, i) => ({
+      _id: lyrics._id,
+      title: lyrics.title,
+      file: songs[i].file,
+      language: lyrics.language,
+      style: lyrics.style,
+      dialect: lyrics.dialect,
+      poetryForm: lyrics.poetryForm,
+      sections: lyrics.sections.filter(s => s.type !== 'metadata').length,
+      guessed: {
+        language: !language && Boolean(songs[i].language),
+        style: !style && Boolean(songs[i].style),
+        dialect: !dialect && Boolean(songs[i].dialect)
+      }
+    })),
+    skipped
+  });
+});
+
+module.exports = {
+  importLyrics
+};
@@ -0,0 +1,90 @@
+/**
+ * Job Controller
+ * Status of queued lyrics and media generations
+ */
+
+const GenerationJob = require('../models/GenerationJob');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+/**
+ * @desc    List the user's recent generation jobs
+ * @route   GET /api/v1/jobs
+ * @access  Private
+ *
+ * Optional `type`, `status` and `lyrics` filters; results (and the
+ * submissions they repeat) are omitted to keep the list small, as lyrics
+ * results carry the full text and draft results every variant.
+ */
+const getJobs = asyncHandler(async (req, res, next) => {
+  const { type, status, lyrics } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const filter = { user: req.user._id };
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (lyrics) filter.lyrics = lyrics;
+
+  const jobs = await GenerationJob.find(filter)
+    .select('-result -submission')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs
+  });
+});
+
+/**
+ * @desc    Get a generation job with its result
+ * @route   GET /api/v1/jobs/:id
+ * @access  Private
+ */
+const getJob = asyncHandler(async (req, res, next) => {
+  const job = await GenerationJob.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!job) {
+    return next(new AppError('Job not found', 404, 'JOB_NOT_FOUND'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * @desc    Cancel a job that has not started
+ * @route   DELETE /api/v1/jobs/:id
+ * @access  Private
+ *
+ * Jobs already running are left to finish, since the provider may already be
+ * working on them.
+ */
+const cancelJob = asyncHandler(async (req, res, next) => {
+  const job = await GenerationJob.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id, status: 'queued' },
+    { $set: { status: 'cancelled', finishedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!job) {
+    const exists = await GenerationJob.exists({ _id: req.params.id, user: req.user._id });
+    return next(exists
+      ? new AppError('Only queued jobs can be cancelled', 400, 'JOB_NOT_CANCELLABLE')
+      : new AppError('Job not found', 404, 'JOB_NOT_FOUND'));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Job cancelled',
+    data: job
+  });
+});
+
+module.exports = {
+  getJobs,
+  getJob,
+  cancelJob
+};
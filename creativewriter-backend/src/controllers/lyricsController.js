@@ -1,313 +1,747 @@
 /**
  * Lyrics Controller
- * Handles Telugu lyrics generation, CRUD operations, and AI integration
+ * Handles Telugu (and Hindi, Tamil, Kannada) lyrics generation, CRUD operations, and AI integration
  */
 
 const Lyrics = require('../models/Lyrics');
-const ApiKey = require('../models/ApiKey');
-const User = require('../models/User');
+const LyricsRevision = require('../models/LyricsRevision');
+const LyricsDraft = require('../models/LyricsDraft');
+const GenerationJob = require('../models/GenerationJob');
+const LyricsComment = require('../models/LyricsComment');
+const Collection = require('../models/Collection');
+const ReferenceLyrics = require('../models/ReferenceLyrics');
+const VoiceRecording = require('../models/VoiceRecording');
 const config = require('../config/config');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { incrementUsage } = require('../middleware/usageLimit');
-const fetch = require('node-fetch');
+const { screenPublication } = require('../middleware/moderation');
+const { initEventStream, sendEvent } = require('../utils/sse');
+const { generateWithFallback } = require('../providers');
+const { buildPromptVariables, promptTemplateName, languageInfo } = require('../utils/lyricsPrompt');
+const { parseSections, replaceSection, cleanSectionText, teluguLineGroups, parseFooter } = require('../utils/lyricsSections');
+const { analyzeMeter: analyzeChandassu } = require('../utils/chandassu');
+const { analyzeRhyme: analyzeRhymeReport } = require('../utils/rhyme');
+const { toRoman, toTelugu, transliterateLyrics } = require('../utils/transliterate');
+const { diffLines } = require('../utils/diff');
+const { getRole, hasRole, visibleCollaborators } = require('../utils/lyricsAccess');
+const { queryTerms, searchFilter, rankLyrics } = require('../utils/search');
+const { EXPORT_FORMATS, renderExport, contentDisposition } = require('../utils/lyricsExport');
+const { requestedVariants, variantsCost } = require('../utils/variants');
+const { TRANSLATION_LANGUAGES, numberLines, parseTranslation } = require('../utils/translation');
+const { fingerprintLyrics, compareLyrics } = require('../utils/similarity');
+const { recommendRagaTala, sungLines } = require('../utils/ragaTala');
+const {
+  resolvePrompt,
+  providerGenerationParams,
+  demoGenerationParams,
+  saveGeneratedLyrics,
+  buildGenerationResult,
+  buildDraftResult,
+  resolveGenerationInput,
+  generateDemoLyrics
+} = require('../jobs/lyrics');
 
 // ======================= LYRICS GENERATION =======================
 
 /**
- * @desc    Generate Telugu lyrics using AI
+ * @desc    Queue a lyrics generation (Telugu unless `language` says otherwise)
  * @route   POST /api/v1/lyrics/generate
  * @access  Private
+ *
+ * Responds 202 with a GenerationJob; poll GET /api/v1/jobs/:id for the result,
+ * which has the shape this endpoint used to return. With `n` > 1 (up to the
+ * plan's features.maxVariants) the candidates are generated in parallel and
+ * stored as a draft group instead of being saved; keep one with
+ * POST /lyrics/drafts/:id/keep. With a `tune` template (one syllable count,
+ * laghu/guru pattern or dummy line per tune line; see utils/tune) lines that do
+ * not fit are rewritten and the result has a `tuneFit` report.
  */
 const generateLyrics = asyncHandler(async (req, res, next) => {
-  const { theme, customLines, style, dialect, poetryForm, saveResult } = req.body;
+  const { theme, customLines, style, dialect, poetryForm, language, saveResult, tune } = req.body;
+  const n = requestedVariants(req.body.n);
 
   if (!theme && !customLines) {
     return next(new AppError('Please provide a theme or custom lines', 400, 'MISSING_INPUT'));
   }
 
-  // Get Anthropic API key
-  const anthropicKey = await ApiKey.getKeyForService('anthropic');
+  if (n > 1) {
+    // req.subscription is only missing when the usage check failed open
+    const maxVariants = req.subscription
+      ? req.subscription.plan.features?.maxVariants || 1
+      : config.lyrics.maxVariants;
+
+    if (n > maxVariants) {
+      return next(new AppError(
+        `Your plan allows ${maxVariants} variant${maxVariants === 1 ? '' : 's'} per request. Please upgrade to compare more.`,
+        403,
+        'FEATURE_NOT_AVAILABLE'
+      ));
+    }
+  }
 
-  // Build the prompt
-  const prompt = buildLyricsPrompt({
-    theme: theme || '',
-    customLines: customLines || '',
-    style: style || config.lyrics.defaultStyle,
-    dialect: dialect || config.lyrics.defaultDialect,
-    poetryForm: poetryForm || config.lyrics.defaultPoetryForm
+  const job = await GenerationJob.create({
+    user: req.user._id,
+    type: 'lyrics',
+    input: { theme, customLines, style, dialect, poetryForm, language, saveResult, n, tune },
+    cost: variantsCost(n)
   });
 
-  let generatedContent = '';
-  let generationParams = {};
+  res.status(202).json({
+    success: true,
+    message: n > 1 ? `Generating ${n} variants` : 'Lyrics generation queued',
+    data: job
+  });
+});
+
+/**
+ * @desc    Generate lyrics, streaming partial text over Server-Sent Events
+ * @route   POST /api/v1/lyrics/generate/stream
+ * @access  Private
+ *
+ * Events: `start` (provider/model, sent per provider attempt), `delta` ({ text }), `done` (same payload as
+ * /generate), `error` ({ error, code }). If the client disconnects before
+ * `done`, the upstream request is aborted and nothing is saved or charged.
+ */
+const streamLyrics = asyncHandler(async (req, res, next) => {
+  const { theme, customLines, saveResult } = req.body;
+
+  if (!theme && !customLines) {
+    return next(new AppError('Please provide a theme or custom lines', 400, 'MISSING_INPUT'));
+  }
+
+  const generationInput = await resolveGenerationInput(req.body, req.user && req.user._id);
+  const promptInfo = await resolvePrompt(
+    promptTemplateName('lyrics', generationInput.language),
+    buildPromptVariables(generationInput)
+  );
+
+  initEventStream(res);
+
+  // Abort the upstream call if the client goes away mid-generation
+  const abortController = new AbortController();
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientGone = true;
+      abortController.abort();
+    }
+  });
+
+  try {
+    let generatedContent = '';
+    let generationParams = {};
 
-  if (anthropicKey) {
     try {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': anthropicKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: config.apis.anthropic.model,
-          max_tokens: config.lyrics.maxTokens,
-          messages: [{ role: 'user', content: prompt }]
-        })
+      const result = await generateWithFallback({
+        prompt: promptInfo.prompt,
+        maxTokens: config.lyrics.maxTokens,
+        signal: abortController.signal,
+        onAttempt: ({ provider, model }) => sendEvent(res, 'start', { provider, model, isDemo: false }),
+        onText: (text) => sendEvent(res, 'delta', { text })
       });
+      generatedContent = result.text;
+      generationParams = providerGenerationParams(result, promptInfo);
+    } catch (error) {
+      if (clientGone) return;
+      console.error('Lyrics provider stream error:', error.message);
 
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
+      // Partial output can't be silently replaced by demo text
+      if (error.code === 'STREAM_INTERRUPTED') {
+        sendEvent(res, 'error', { error: 'Lyrics generation was interrupted', code: 'STREAM_INTERRUPTED' });
+        return res.end();
       }
 
-      const data = await response.json();
-      generatedContent = data.content
-        .map(item => item.type === 'text' ? item.text : '')
-        .filter(Boolean)
-        .join('\n');
+      generatedContent = generateDemoLyrics(generationInput);
+      generationParams = demoGenerationParams(error);
+    }
 
-      generationParams = {
-        model: config.apis.anthropic.model,
-        maxTokens: config.lyrics.maxTokens,
-        promptVersion: '1.0'
-      };
+    if (clientGone) return;
 
-      // Record API usage
-      const apiKeyDoc = await ApiKey.findOne({ service: 'anthropic' });
-      if (apiKeyDoc) {
-        await apiKeyDoc.recordUsage();
-      }
-    } catch (error) {
-      console.error('Anthropic API error:', error);
-      // Fall back to sample lyrics
-      generatedContent = generateSampleLyrics(theme, style, dialect);
-      generationParams = { model: 'demo', note: 'API unavailable' };
+    if (generationParams.model === 'demo') {
+      sendEvent(res, 'start', { provider: 'demo', model: 'demo', isDemo: true });
+      sendEvent(res, 'delta', { text: generatedContent });
     }
-  } else {
-    // No API key - use sample lyrics
-    generatedContent = generateSampleLyrics(theme, style, dialect);
-    generationParams = { model: 'demo', note: 'No API key configured' };
-  }
-
-  // Save to database if requested
-  let savedLyrics = null;
-  if (saveResult !== false && req.user) {
-    savedLyrics = await Lyrics.create({
-      user: req.user._id,
-      title: theme || 'Untitled',
-      content: generatedContent,
-      theme,
-      customLines,
-      style: style || config.lyrics.defaultStyle,
-      dialect: dialect || config.lyrics.defaultDialect,
-      poetryForm: poetryForm || config.lyrics.defaultPoetryForm,
-      generationParams
-    });
 
-    // Update user stats
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { 'stats.lyricsGenerated': 1 }
-    });
+    const savedLyrics = saveResult !== false && req.user
+      ? await saveGeneratedLyrics(req.user._id, req.body, generatedContent, generationParams)
+      : null;
+
+    sendEvent(res, 'done', buildGenerationResult(req.body, generatedContent, generationParams, savedLyrics));
+    res.end();
+  } catch (error) {
+    // Headers are already sent, so report through the stream instead of errorHandler
+    console.error('Lyrics stream error:', error.message);
+    sendEvent(res, 'error', { error: 'Lyrics generation failed', code: 'SERVER_ERROR' });
+    res.end();
+  }
+});
+
+/**
+ * @desc    List the user's draft groups awaiting a pick
+ * @route   GET /api/v1/lyrics/drafts
+ * @access  Private
+ */
+const getDrafts = asyncHandler(async (req, res, next) => {
+  const drafts = await LyricsDraft.find({ user: req.user._id, expiresAt: { $gt: new Date() } })
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: drafts.length,
+    data: drafts.map(buildDraftResult)
+  });
+});
+
+/**
+ * @desc    Get a draft group with its variants
+ * @route   GET /api/v1/lyrics/drafts/:id
+ * @access  Private
+ */
+const getDraft = asyncHandler(async (req, res, next) => {
+  const draft = await findDraft(req.params.id, req.user._id);
 
-    // Increment subscription usage
-    await incrementUsage('lyrics', req.user._id);
+  if (!draft) {
+    return next(new AppError('Draft not found or expired', 404, 'DRAFT_NOT_FOUND'));
   }
 
   res.status(200).json({
     success: true,
-    message: 'Lyrics generated successfully',
+    data: buildDraftResult(draft)
+  });
+});
+
+/**
+ * @desc    Keep one variant of a draft group as saved lyrics and discard the rest
+ * @route   POST /api/v1/lyrics/drafts/:id/keep
+ * @access  Private
+ *
+ * The group was charged when generated, so keeping a variant uses no further quota.
+ */
+const keepVariant = asyncHandler(async (req, res, next) => {
+  const draft = await findDraft(req.params.id, req.user._id);
+
+  if (!draft) {
+    return next(new AppError('Draft not found or expired', 404, 'DRAFT_NOT_FOUND'));
+  }
+
+  const index = Number(req.body.index);
+  const variant = draft.variants[index];
+
+  if (!variant) {
+    return next(new AppError(`Variant must be between 0 and ${draft.variants.length - 1}`, 400, 'VARIANT_NOT_FOUND'));
+  }
+
+  const savedLyrics = await saveGeneratedLyrics(req.user._id, draft, variant.content, variant.generationParams, {
+    charge: false,
+    note: `Kept variant ${index + 1} of ${draft.variants.length}`
+  });
+
+  await draft.deleteOne();
+
+  res.status(201).json({
+    success: true,
+    message: 'Variant saved',
+    data: buildGenerationResult(draft, variant.content, variant.generationParams, savedLyrics)
+  });
+});
+
+/**
+ * @desc    Discard a draft group without keeping a variant
+ * @route   DELETE /api/v1/lyrics/drafts/:id
+ * @access  Private
+ */
+const discardDraft = asyncHandler(async (req, res, next) => {
+  const draft = await findDraft(req.params.id, req.user._id);
+
+  if (!draft) {
+    return next(new AppError('Draft not found or expired', 404, 'DRAFT_NOT_FOUND'));
+  }
+
+  await draft.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Variants discarded'
+  });
+});
+
+/**
+ * @desc    Regenerate a single section (pallavi, anupallavi or one charanam) of saved lyrics
+ * @route   POST /api/v1/lyrics/:id/sections/:section/regenerate
+ * @access  Private
+ *
+ * The rest of the song is sent as context and only the targeted 【…】 block is
+ * replaced. Counts as a fraction of a lyrics generation (config.lyrics.sectionRegenerateCost).
+ */
+const regenerateSection = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'editor')) {
+    return next(new AppError('Not authorized to update this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const sections = parseSections(lyrics.content);
+  const target = sections.find(s => s.key === req.params.section);
+
+  if (!target) {
+    const available = sections.map(s => s.key).join(', ') || 'none';
+    return next(new AppError(`Section "${req.params.section}" not found. Available sections: ${available}`, 404, 'SECTION_NOT_FOUND'));
+  }
+
+  const generationInput = await resolveGenerationInput(lyrics, lyrics.user);
+  const { prompt, promptVersion } = await resolvePrompt(promptTemplateName('section', generationInput.language), {
+    ...buildPromptVariables(generationInput),
+    sectionLabel: target.label,
+    currentSection: target.text,
+    songContext: replaceSection(lyrics.content, target.key, '[… this section is being rewritten …]'),
+    instructions: req.body.instructions || ''
+  });
+
+  let result;
+  try {
+    result = await generateWithFallback({ prompt, maxTokens: config.lyrics.sectionMaxTokens });
+  } catch (error) {
+    // Demo text would overwrite the user's saved section, so fail instead
+    console.error('Section regeneration error:', error.message);
+    return next(new AppError('Lyrics generation is unavailable right now. Please try again later.', 503, 'PROVIDERS_UNAVAILABLE'));
+  }
+
+  const sectionText = cleanSectionText(result.text);
+  if (!sectionText) {
+    return next(new AppError('The model returned an empty section. Please try again.', 502, 'EMPTY_SECTION'));
+  }
+
+  // Public lyrics keep their text when the new section would copy another song; nothing is charged
+  const content = replaceSection(lyrics.content, target.key, sectionText);
+  if (lyrics.isPublic) {
+    const refusal = await tooSimilarToPublish(lyrics, content);
+    if (refusal) return res.status(409).json(refusal);
+  }
+
+  await LyricsRevision.ensureBaseline(lyrics);
+  lyrics.content = content;
+  if (lyrics.isPublic) await screenPublication(lyrics, req.user._id);
+  await lyrics.save();
+  await LyricsRevision.record(lyrics, { source: 'section', user: req.user._id, note: `Regenerated ${target.label}` });
+
+  await incrementUsage('lyrics', req.user._id, config.lyrics.sectionRegenerateCost);
+
+  res.status(200).json({
+    success: true,
+    message: `${target.label} regenerated successfully`,
     data: {
-      content: generatedContent,
-      metadata: {
-        style,
-        dialect,
-        poetryForm,
-        wordCount: generatedContent.split(/\s+/).filter(w => w).length,
-        lineCount: generatedContent.split('\n').filter(l => l.trim()).length
+      lyrics,
+      section: {
+        key: target.key,
+        label: target.label,
+        previous: target.text,
+        content: sectionText
       },
-      saved: savedLyrics ? {
-        id: savedLyrics._id,
-        title: savedLyrics.title
-      } : null,
       generationInfo: {
-        model: generationParams.model,
-        isDemo: generationParams.model === 'demo'
+        provider: result.provider,
+        model: result.model,
+        promptVersion
       }
     }
   });
 });
 
 /**
- * Build prompt for lyrics generation
+ * @desc    Analyze the chandassu (meter) of padyam lyrics
+ * @route   POST /api/v1/lyrics/:id/analyze-meter
+ * @access  Private
+ *
+ * Validates each Telugu line against the metre in `req.body.meter`, or the
+ * best-fitting known metre when none is given. Lines are grouped into verses of four.
  */
-const buildLyricsPrompt = ({ theme, customLines, style, dialect, poetryForm }) => {
-  const styleNames = {
-    devotional: 'భక్తి గీతం (Devotional)',
-    folk: 'జానపద గీతం (Folk)',
-    romantic: 'ప్రేమ గీతం (Romantic)',
-    patriotic: 'దేశభక్తి గీతం (Patriotic)',
-    lullaby: 'జోల పాట (Lullaby)',
-    celebration: 'పండుగ పాట (Celebration)',
-    philosophical: 'తత్వ గీతం (Philosophical)',
-    cinematic: 'సినిమా పాట (Cinematic)'
-  };
+const analyzeMeter = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
 
-  const dialectInfo = {
-    telangana: {
-      name: 'తెలంగాణ (Telangana)',
-      features: 'గావు/గాదు endings, మస్తు, లగువ, బువ్వ vocabulary',
-      references: 'Bathukamma, Bonalu, Charminar, Tank Bund'
-    },
-    rayalaseema: {
-      name: 'రాయలసీమ (Rayalaseema)', 
-      features: 'ళ్ళ/ణ్ణ pronunciations, ఏందిరా, అట్లనే, పోరడు vocabulary',
-      references: 'Penna River, Tirupati, Annamayya keertanas'
-    },
-    coastal: {
-      name: 'కోస్తాంధ్ర (Coastal Andhra)',
-      features: 'Standard literary Telugu, softer pronunciations',
-      references: 'Godavari, Krishna rivers, Pushkarams'
-    },
-    uttarandhra: {
-      name: 'ఉత్తరాంధ్ర (North Andhra)',
-      features: 'గిట్ల, అట్ల, రావాలె vocabulary, Odiya influence',
-      references: 'Simhachalam, Visakhapatnam, Srikakulam'
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'viewer') && !lyrics.isPublic) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const lines = teluguLineGroups(lyrics.content, lyrics.sections)
+    .flatMap(group => group.teluguLines.map(text => ({ section: group.key, text })));
+
+  if (lines.length === 0) {
+    return next(new AppError('No Telugu lines found to analyze', 400, 'NO_TELUGU_LINES'));
+  }
+
+  const analysis = analyzeChandassu(lines.map(l => l.text), req.body.meter);
+  analysis.lines.forEach((line, i) => { line.section = lines[i].section; });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      poetryForm: lyrics.poetryForm,
+      ...analysis
     }
-  };
+  });
+});
+
+/**
+ * @desc    Praasa, antyaprasa and anuprasa report for lyrics
+ * @route   POST /api/v1/lyrics/:id/analyze-rhyme
+ * @access  Private
+ *
+ * Returns the per-section report. The summary score lives in metadata.rhyme and is
+ * recalculated whenever content is saved; it is refreshed here if it is out of date.
+ */
+const analyzeRhyme = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  const canEdit = hasRole(lyrics, req.user._id, 'editor');
+  if (!hasRole(lyrics, req.user._id, 'viewer') && !lyrics.isPublic) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const report = analyzeRhymeReport(teluguLineGroups(lyrics.content, lyrics.sections));
+
+  if (canEdit && lyrics.metadata.rhyme?.score !== report.score) {
+    const { score, praasa, antyaprasa, anuprasa } = report;
+    lyrics.metadata.rhyme = { score, praasa, antyaprasa, anuprasa, analyzedAt: new Date() };
+    await lyrics.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
+
+/**
+ * @desc    Suggest Carnatic ragas and talas, with the reasons for each
+ * @route   POST /api/v1/lyrics/:id/suggest-raga
+ * @access  Private (public lyrics: any signed-in user)
+ *
+ * Uses the style, poetry form, mood words in the theme and the syllable rhythm of
+ * the lines; catalog styles and forms count as the built-in one they are based on.
+ * Editors save the top suggestions to metadata unless the footer names a raga or tala.
+ */
+const suggestRaga = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  const canEdit = hasRole(lyrics, req.user._id, 'editor');
+  if (!hasRole(lyrics, req.user._id, 'viewer') && !lyrics.isPublic) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const { style, poetryForm, styleProfile, poetryFormProfile } = await resolveGenerationInput(lyrics, lyrics.user);
+  const suggestion = recommendRagaTala({
+    style: (styleProfile && styleProfile.base) || style,
+    poetryForm: (poetryFormProfile && poetryFormProfile.base) || poetryForm,
+    theme: lyrics.theme,
+    lines: sungLines(lyrics.content, lyrics.sections)
+  });
+
+  const footer = parseFooter(lyrics.content);
+  const named = footer ? footer.fields : {};
+  const suggestedRaga = named.raga || (suggestion.ragas[0] && suggestion.ragas[0].name);
+  const suggestedTala = named.tala || (suggestion.talas[0] && suggestion.talas[0].name);
+
+  if (canEdit && (lyrics.metadata.suggestedRaga !== suggestedRaga || lyrics.metadata.suggestedTala !== suggestedTala)) {
+    lyrics.metadata.suggestedRaga = suggestedRaga;
+    lyrics.metadata.suggestedTala = suggestedTala;
+    await lyrics.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...suggestion,
+      suggestedRaga: suggestedRaga || null,
+      suggestedTala: suggestedTala || null,
+      fromFooter: { raga: Boolean(named.raga), tala: Boolean(named.tala) }
+    }
+  });
+});
+
+/**
+ * @desc    Replace the transliteration of saved lyrics with a deterministic one
+ * @route   POST /api/v1/lyrics/:id/transliteration
+ * @access  Private
+ *
+ * Telugu lines are kept as they are; the LLM-written "(…)" lines are regenerated
+ * in RTS (default) or ISO 15919.
+ */
+const regenerateTransliteration = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'editor')) {
+    return next(new AppError('Not authorized to update this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const scheme = req.body.scheme || 'rts';
+  await LyricsRevision.ensureBaseline(lyrics);
+  lyrics.content = transliterateLyrics(lyrics.content, scheme);
+  await lyrics.save();
+  await LyricsRevision.record(lyrics, { source: 'transliteration', user: req.user._id, note: scheme === 'iso' ? 'ISO 15919' : 'RTS' });
+
+  res.status(200).json({
+    success: true,
+    message: `Transliteration regenerated (${scheme === 'iso' ? 'ISO 15919' : 'RTS'})`,
+    data: lyrics
+  });
+});
+
+/**
+ * @desc    Translate lyrics line by line into English or Hindi
+ * @route   POST /api/v1/lyrics/:id/translate?to=en|hi
+ * @access  Private
+ *
+ * Every line is translated on its own and kept in its section, so the translation
+ * can be read beside the original. It replaces an earlier translation into the same
+ * language and is marked stale when the content changes. Any collaborator may
+ * translate; counts as a fraction of a lyrics generation (config.lyrics.translationCost).
+ */
+const translateLyrics = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'viewer')) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const to = req.query.to;
+  const generationInput = await resolveGenerationInput(lyrics, lyrics.user);
+  const sourceLanguage = languageInfo[generationInput.language].name;
+
+  if (generationInput.language === to) {
+    return next(new AppError(`These lyrics are already in ${sourceLanguage}`, 400, 'SAME_LANGUAGE'));
+  }
 
-  const poetryForms = {
-    padyam: 'పద్యం - Classical verse with strict meter (Kandam, Seesam, Utpalamala)',
-    geeyam: 'గేయం - Lyrical poetry for singing (Pallavi-Charanam structure)',
-    janapada: 'జానపద - Folk poetry (Gobbilla Paata, Bathukamma Paata)',
-    keertana: 'కీర్తన - Devotional composition (Annamayya, Tyagaraja style)',
-    modern: 'ఆధునిక - Contemporary free verse'
+  const groups = teluguLineGroups(lyrics.content, lyrics.sections);
+  const lineCount = groups.reduce((count, group) => count + group.teluguLines.length, 0);
+
+  if (lineCount === 0) {
+    return next(new AppError(`No ${sourceLanguage} lines found to translate`, 400, 'NO_LYRICS_LINES'));
+  }
+
+  const { prompt, promptVersion } = await resolvePrompt('translate', {
+    ...buildPromptVariables(generationInput),
+    sourceLanguage,
+    targetLanguage: TRANSLATION_LANGUAGES[to].name,
+    lineCount,
+    numberedLines: numberLines(groups)
+  });
+
+  let result;
+  try {
+    result = await generateWithFallback({ prompt, maxTokens: config.lyrics.translationMaxTokens });
+  } catch (error) {
+    // A demo translation would be stored as if it were real, so fail instead
+    console.error('Translation error:', error.message);
+    return next(new AppError('Translation is unavailable right now. Please try again later.', 503, 'PROVIDERS_UNAVAILABLE'));
+  }
+
+  const { sections, missing } = parseTranslation(result.text, groups);
+  if (missing === lineCount) {
+    return next(new AppError('The model returned no usable translation. Please try again.', 502, 'EMPTY_TRANSLATION'));
+  }
+
+  const translation = {
+    language: to,
+    sections,
+    provider: result.provider,
+    model: result.model,
+    promptVersion,
+    stale: false,
+    translatedAt: new Date()
   };
+  lyrics.translations = [...(lyrics.translations || []).filter(t => t.language !== to), translation];
+  await lyrics.save();
+
+  await incrementUsage('lyrics', req.user._id, config.lyrics.translationCost);
+
+  res.status(200).json({
+    success: true,
+    message: missing > 0
+      ? `Translated into ${TRANSLATION_LANGUAGES[to].name} (${missing} of ${lineCount} lines were skipped)`
+      : `Translated into ${TRANSLATION_LANGUAGES[to].name}`,
+    data: {
+      translation,
+      missingLines: missing
+    }
+  });
+});
 
-  const dialectData = dialectInfo[dialect] || dialectInfo.coastal;
-  const poetryData = poetryForms[poetryForm] || poetryForms.geeyam;
-
-  return `You are a master Telugu lyricist and poet. Generate beautiful, authentic Telugu song lyrics.
-
-**INPUT:**
-- Theme: ${theme || 'Not specified - create based on style'}
-- User's lines to incorporate: ${customLines || 'None'}
-- Style: ${styleNames[style] || styleNames.romantic}
-- Regional Dialect: ${dialectData.name}
-- Poetry Form: ${poetryData}
-
-**DIALECT REQUIREMENTS:**
-Use ${dialectData.name} dialect characteristics:
-- Features: ${dialectData.features}
-- Cultural references: ${dialectData.references}
-
-**STRUCTURAL REQUIREMENTS:**
-1. Follow traditional Telugu song structure:
-   - పల్లవి (Pallavi) - Main refrain/chorus
-   - అనుపల్లవి (Anupallavi) - Secondary refrain (optional)
-   - చరణం 1, 2 (Charanam) - Verses
-
-2. Apply Telugu poetic devices:
-   - అనుప్రాస (Anuprasa) - Alliteration
-   - యమకం (Yamakam) - Same word, different meanings
-   - ప్రాస (Praasa) - End rhyme
-   - ఛందస్సు (Chandassu) - Metrical rhythm
-
-3. Include:
-   - Telugu script (primary)
-   - Romanized transliteration (in parentheses)
-   - Make it singable and melodious
-
-**OUTPUT FORMAT:**
-【పల్లవి - Pallavi】
-[Telugu lyrics]
-(Transliteration)
-
-【చరణం 1 - Charanam 1】
-[Telugu lyrics]
-(Transliteration)
-
-【చరణం 2 - Charanam 2】
-[Telugu lyrics]
-(Transliteration)
-
----
-🗣️ మాండలికం: ${dialectData.name}
-🎶 Theme: ${theme || 'Universal'}
-⏱️ Suggested Tempo: [appropriate tempo]
-
-Generate the complete lyrics now:`;
+/**
+ * Find public lyrics by other users and reference songs that lyrics copy from
+ * The candidates sharing the most fingerprints are compared line by line.
+ * @param {object} lyrics - Lyrics being checked; its owner's other lyrics are never matches
+ * @param {string} [content] - Text to check when it differs from the saved content
+ * @returns {Promise<object[]>} Up to config.similarity.maxMatches matches, most similar first
+ */
+const findSimilarLyrics = async (lyrics, content = lyrics.content) => {
+  const source = fingerprintLyrics(content);
+  if (source.fingerprint.length === 0) return [];
+
+  const { minSimilarity, maxCandidates, maxMatches } = config.similarity;
+  const shared = { $size: { $setIntersection: ['$fingerprint', source.fingerprint] } };
+  const closest = [{ $sort: { shared: -1 } }, { $limit: maxCandidates }];
+
+  const published = await Lyrics.aggregate([
+    { $match: { isPublic: true, user: { $ne: lyrics.user }, fingerprint: { $in: source.fingerprint } } },
+    { $project: { title: 1, content: 1, user: 1, shared } },
+    ...closest,
+    { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'owner', pipeline: [{ $project: { name: 1 } }] } }
+  ]);
+
+  const references = await ReferenceLyrics.aggregate([
+    { $match: { fingerprint: { $in: source.fingerprint } } },
+    { $project: { title: 1, film: 1, year: 1, lyricist: 1, content: 1, shared } },
+    ...closest
+  ]);
+
+  const candidates = [
+    ...published.map(song => ({
+      source: 'lyrics',
+      _id: song._id,
+      title: song.title,
+      author: song.owner && song.owner[0] ? song.owner[0].name : null,
+      content: song.content
+    })),
+    ...references.map(song => ({
+      source: 'reference',
+      _id: song._id,
+      title: song.title,
+      film: song.film,
+      year: song.year,
+      lyricist: song.lyricist,
+      content: song.content
+    }))
+  ];
+
+  return candidates
+    .map(({ content: otherContent, ...match }) => ({ ...match, ...compareLyrics(source, fingerprintLyrics(otherContent)) }))
+    .filter(match => match.similarity >= minSimilarity || match.overlappingLines.length > 0)
+    .sort((a, b) => b.similarity - a.similarity || b.overlappingLines.length - a.overlappingLines.length)
+    .slice(0, maxMatches);
 };
 
 /**
- * Generate sample lyrics for demo mode
+ * Response body refusing public lyrics that read too much like another song
+ * Every path that changes the text of public lyrics, or publishes them, checks this first.
+ * @param {object} lyrics - Lyrics being changed
+ * @param {string} [content] - Text about to be saved
+ * @returns {Promise<object|null>} 409 TOO_SIMILAR body, or null when the text may be public
  */
-const generateSampleLyrics = (theme, style, dialect) => {
-  const dialectNames = {
-    telangana: 'తెలంగాణ',
-    rayalaseema: 'రాయలసీమ',
-    coastal: 'కోస్తాంధ్ర',
-    uttarandhra: 'ఉత్తరాంధ్ర'
-  };
+const tooSimilarToPublish = async (lyrics, content = lyrics.content) => {
+  const matches = await findSimilarLyrics(lyrics, content);
+  const threshold = config.similarity.blockThreshold;
 
-  const styleNames = {
-    devotional: 'భక్తి గీతం',
-    folk: 'జానపద గీతం',
-    romantic: 'ప్రేమ గీతం',
-    patriotic: 'దేశభక్తి గీతం',
-    lullaby: 'జోల పాట',
-    celebration: 'పండుగ పాట',
-    philosophical: 'తత్వ గీతం',
-    cinematic: 'సినిమా పాట'
-  };
+  if (matches.length === 0 || matches[0].similarity < threshold) return null;
 
-  return `🎵 ${styleNames[style] || 'గీతం'} - ${dialectNames[dialect] || 'తెలుగు'} శైలి
-
-【పల్లవి - Pallavi】
-${theme || 'మనసు నిండా ప్రేమ భావం'}
-హృదయం పాడే మధుర గీతం
-ఆత్మ స్పర్శతో రాసిన కవితం
-తెలుగు భాష మా గర్వం
-
-(Manasu nindaa prema bhaavam
-Hrudayam paade madhura geetam
-Aatma sparshato raasina kavitam
-Telugu bhaasha maa garvam)
-
-【చరణం 1 - Charanam 1】
-వెన్నెల రేయిలో మనసు మెరిసింది
-చందమామ చూసి హృదయం పొంగింది
-ప్రకృతి అందాలు మనల్ని పిలిచాయి
-కలల లోకంలో మనం విహరించాం
-
-(Vennela reyilo manasu merisindi
-Chandamama choosi hrudayam pongindi
-Prakruti andaalu manalni pilichaayi
-Kalala lokamlo manam viharinchaam)
-
-【చరణం 2 - Charanam 2】
-తెలుగు నేల మా తల్లి భూమి
-సాహిత్యం మా సంపద ధనం
-కవిత్వం మా ఆత్మ స్వరం
-సంగీతం మా జీవన గమనం
-
-(Telugu nela maa talli bhoomi
-Saahityam maa sampada dhanam
-Kavitvam maa aatma svaram
-Sangeetam maa jeevana gamanam)
-
----
-🗣️ మాండలికం: ${dialectNames[dialect] || 'కోస్తాంధ్ర'}
-🎶 Theme: ${theme || 'Universal'}
-⏱️ Suggested Tempo: 80-100 BPM
-📝 Demo Mode - Configure API for AI generation`;
+  return {
+    success: false,
+    error: `These lyrics are too similar to "${matches[0].title}" to be public (${Math.round(matches[0].similarity * 100)}% match). Revise them or keep them private.`,
+    code: 'TOO_SIMILAR',
+    data: { threshold, matches }
+  };
 };
 
+/**
+ * @desc    Check lyrics for copying from public lyrics and the reference corpus
+ * @route   GET /api/v1/lyrics/:id/similarity
+ * @access  Private
+ *
+ * Script and transliteration are folded to one key before comparing, so copying a
+ * song's transliteration is caught too. Lyrics whose closest match reaches
+ * config.similarity.blockThreshold cannot be made public (`blocked`).
+ */
+const getSimilarity = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'viewer')) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const matches = await findSimilarLyrics(lyrics);
+  const score = matches.length > 0 ? matches[0].similarity : 0;
+  const threshold = config.similarity.blockThreshold;
+
+  res.status(200).json({
+    success: true,
+    count: matches.length,
+    data: {
+      score,
+      threshold,
+      blocked: score >= threshold,
+      matches
+    }
+  });
+});
+
+/**
+ * @desc    Transliterate text between Telugu script and Roman
+ * @route   POST /api/v1/lyrics/transliterate
+ * @access  Private
+ */
+const transliterateText = asyncHandler(async (req, res, next) => {
+  const { text, to = 'roman', scheme = 'rts' } = req.body;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      text: to === 'telugu' ? toTelugu(text) : toRoman(text, scheme),
+      to,
+      scheme: to === 'telugu' ? 'rts' : scheme
+    }
+  });
+});
+
+
+/**
+ * Find a user's unexpired draft group
+ * MongoDB's TTL monitor runs periodically, so expired groups may linger briefly.
+ */
+const findDraft = (id, userId) => LyricsDraft.findOne({ _id: id, user: userId, expiresAt: { $gt: new Date() } });
+
 // ======================= LYRICS CRUD =======================
 
+/**
+ * Lyrics JSON with the relevance details of a search match
+ */
+const searchResult = ({ lyrics, score, titleHighlights, snippets }) => ({
+  ...lyrics.toJSON(),
+  search: { score, titleHighlights, snippets }
+});
+
 /**
  * @desc    Get user's lyrics
  * @route   GET /api/v1/lyrics
  * @access  Private
+ *
+ * With `q`, returns matches ranked by relevance, each with a `search` object
+ * holding the score, title highlights and content snippets.
  */
 const getLyrics = asyncHandler(async (req, res, next) => {
   const page = parseInt(req.query.page, 10) || 1;
@@ -319,6 +753,26 @@ const getLyrics = asyncHandler(async (req, res, next) => {
   if (req.query.dialect) filter.dialect = req.query.dialect;
   if (req.query.isFavorite === 'true') filter.isFavorite = true;
 
+  const terms = queryTerms(req.query.q || '');
+  if (terms.length > 0) {
+    const matches = await Lyrics.find({ ...filter, ...searchFilter(terms) })
+      .sort({ createdAt: -1 })
+      .limit(config.lyrics.searchMaxResults);
+    const ranked = rankLyrics(matches, terms);
+
+    return res.status(200).json({
+      success: true,
+      count: Math.max(0, Math.min(limit, ranked.length - skip)),
+      pagination: {
+        page,
+        limit,
+        total: ranked.length,
+        pages: Math.ceil(ranked.length / limit)
+      },
+      data: ranked.slice(skip, skip + limit).map(searchResult)
+    });
+  }
+
   const lyrics = await Lyrics.find(filter)
     .sort({ createdAt: -1 })
     .skip(skip)
@@ -351,14 +805,17 @@ const getLyricsById = asyncHandler(async (req, res, next) => {
     return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
   }
 
-  // Check ownership (unless public)
-  if (lyrics.user.toString() !== req.user._id.toString() && !lyrics.isPublic) {
+  // Check ownership or collaboration (unless public)
+  const role = getRole(lyrics, req.user._id);
+  if (!role && !lyrics.isPublic) {
     return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
   }
 
+  // Readers of public lyrics don't see who it is shared with
   res.status(200).json({
     success: true,
-    data: lyrics
+    role,
+    data: { ...lyrics.toJSON(), collaborators: visibleCollaborators(lyrics, role) }
   });
 });
 
@@ -366,6 +823,9 @@ const getLyricsById = asyncHandler(async (req, res, next) => {
  * @desc    Update lyrics
  * @route   PUT /api/v1/lyrics/:id
  * @access  Private
+ *
+ * Making lyrics public, or editing public lyrics, runs content moderation; flagged
+ * lyrics are kept private until an admin approves them (moderation.status pending).
  */
 const updateLyrics = asyncHandler(async (req, res, next) => {
   let lyrics = await Lyrics.findById(req.params.id);
@@ -374,12 +834,31 @@ const updateLyrics = asyncHandler(async (req, res, next) => {
     return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
   }
 
-  if (lyrics.user.toString() !== req.user._id.toString()) {
+  if (!hasRole(lyrics, req.user._id, 'editor')) {
     return next(new AppError('Not authorized to update this lyrics', 403, 'FORBIDDEN'));
   }
 
   const { title, content, isFavorite, isPublic, rating, tags } = req.body;
 
+  // Editors may change the text; sharing, favorites and rating stay with the owner
+  const ownerFieldsSent = [isFavorite, isPublic, rating].some(v => v !== undefined);
+  if (ownerFieldsSent && getRole(lyrics, req.user._id) !== 'owner') {
+    return next(new AppError('Only the owner can change favorite, public or rating', 403, 'OWNER_ONLY'));
+  }
+
+  const textChanged = (title !== undefined && title !== lyrics.title)
+    || (content !== undefined && content !== lyrics.content);
+  const wasPublic = lyrics.isPublic;
+
+  // Lyrics too close to another song can't be made public, or have their public text changed to it
+  const willBePublic = isPublic !== undefined ? isPublic : lyrics.isPublic;
+  if (willBePublic && (!wasPublic || textChanged)) {
+    const refusal = await tooSimilarToPublish(lyrics, content !== undefined ? content : lyrics.content);
+    if (refusal) return res.status(409).json(refusal);
+  }
+
+  if (textChanged) await LyricsRevision.ensureBaseline(lyrics);
+
   if (title !== undefined) lyrics.title = title;
   if (content !== undefined) lyrics.content = content;
   if (isFavorite !== undefined) lyrics.isFavorite = isFavorite;
@@ -387,11 +866,27 @@ const updateLyrics = asyncHandler(async (req, res, next) => {
   if (rating !== undefined) lyrics.rating = rating;
   if (tags !== undefined) lyrics.tags = tags;
 
+  // Publishing, or changing the text of public lyrics, is screened first
+  let moderationMessage = null;
+  if (lyrics.isPublic && (!wasPublic || textChanged)) {
+    const status = lyrics.moderation?.status;
+    if (!textChanged && (status === 'pending' || status === 'rejected')) {
+      lyrics.isPublic = false;
+      moderationMessage = status === 'pending'
+        ? 'These lyrics are still waiting for a moderator to review them.'
+        : 'A moderator declined to publish these lyrics. Edit them to submit them again.';
+    } else if (await screenPublication(lyrics, req.user._id)) {
+      moderationMessage = 'Lyrics updated. They will be published once a moderator reviews them.';
+    }
+  }
+
   await lyrics.save();
 
+  if (textChanged) await LyricsRevision.record(lyrics, { source: 'edit', user: req.user._id });
+
   res.status(200).json({
     success: true,
-    message: 'Lyrics updated successfully',
+    message: moderationMessage || 'Lyrics updated successfully',
     data: lyrics
   });
 });
@@ -413,6 +908,10 @@ const deleteLyrics = asyncHandler(async (req, res, next) => {
   }
 
   await lyrics.deleteOne();
+  await LyricsRevision.deleteMany({ lyrics: lyrics._id });
+  await LyricsComment.deleteMany({ lyrics: lyrics._id });
+  await Collection.removeLyrics(lyrics._id);
+  await VoiceRecording.deleteMany({ lyrics: lyrics._id });
 
   res.status(200).json({
     success: true,
@@ -421,6 +920,178 @@ const deleteLyrics = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    List revisions of lyrics, newest first
+ * @route   GET /api/v1/lyrics/:id/revisions
+ * @access  Private
+ */
+const getRevisions = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'viewer')) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const revisions = await LyricsRevision.find({ lyrics: lyrics._id })
+    .sort({ revision: -1 })
+    .select('-content')
+    .populate('user', 'name');
+
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    data: revisions
+  });
+});
+
+/**
+ * @desc    Get a single revision with its content
+ * @route   GET /api/v1/lyrics/:id/revisions/:revision
+ * @access  Private
+ */
+const getRevision = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'viewer')) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const revision = await LyricsRevision.findOne({ lyrics: lyrics._id, revision: req.params.revision })
+    .populate('user', 'name');
+
+  if (!revision) {
+    return next(new AppError(`Revision ${req.params.revision} not found`, 404, 'REVISION_NOT_FOUND'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: revision
+  });
+});
+
+/**
+ * @desc    Line-level diff between two revisions
+ * @route   GET /api/v1/lyrics/:id/revisions/diff?from=1&to=3
+ * @access  Private
+ */
+const diffRevisions = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'viewer')) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const from = parseInt(req.query.from, 10);
+  const to = parseInt(req.query.to, 10);
+
+  const revisions = await LyricsRevision.find({ lyrics: lyrics._id, revision: { $in: [from, to] } });
+  const before = revisions.find(r => r.revision === from);
+  const after = revisions.find(r => r.revision === to);
+
+  if (!before || !after) {
+    const missing = !before ? req.query.from : req.query.to;
+    return next(new AppError(`Revision ${missing} not found`, 404, 'REVISION_NOT_FOUND'));
+  }
+
+  const summary = (r) => ({ revision: r.revision, source: r.source, note: r.note, title: r.title, createdAt: r.createdAt });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from: summary(before),
+      to: summary(after),
+      titleChanged: before.title !== after.title,
+      ...diffLines(before.content, after.content)
+    }
+  });
+});
+
+/**
+ * @desc    Restore the title and content of an earlier revision
+ * @route   POST /api/v1/lyrics/:id/revisions/:revision/restore
+ * @access  Private
+ *
+ * Restoring adds a new revision, so the restore itself can be undone.
+ */
+const restoreRevision = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'editor')) {
+    return next(new AppError('Not authorized to update this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const revision = await LyricsRevision.findOne({ lyrics: lyrics._id, revision: req.params.revision });
+
+  if (!revision) {
+    return next(new AppError(`Revision ${req.params.revision} not found`, 404, 'REVISION_NOT_FOUND'));
+  }
+
+  if (lyrics.isPublic) {
+    const refusal = await tooSimilarToPublish(lyrics, revision.content);
+    if (refusal) return res.status(409).json(refusal);
+  }
+
+  await LyricsRevision.ensureBaseline(lyrics);
+  lyrics.title = revision.title;
+  lyrics.content = revision.content;
+  if (lyrics.isPublic) await screenPublication(lyrics, req.user._id);
+  await lyrics.save();
+  await LyricsRevision.record(lyrics, { source: 'restore', user: req.user._id, note: `Restored revision ${revision.revision}` });
+
+  res.status(200).json({
+    success: true,
+    message: `Revision ${revision.revision} restored`,
+    data: lyrics
+  });
+});
+
+/**
+ * @desc    Download lyrics as text, PDF, DOCX, SRT or LRC
+ * @route   GET /api/v1/lyrics/:id/export?format=pdf
+ * @access  Private (formats limited by plan)
+ *
+ * SRT/LRC timings are estimated from the tempo and each line's aksharas;
+ * `bpm` and `offset` (seconds before the first line) adjust them.
+ */
+const exportLyrics = asyncHandler(async (req, res, next) => {
+  const lyrics = await Lyrics.findById(req.params.id);
+
+  if (!lyrics) {
+    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+  }
+
+  if (!hasRole(lyrics, req.user._id, 'viewer') && !lyrics.isPublic) {
+    return next(new AppError('Not authorized to access this lyrics', 403, 'FORBIDDEN'));
+  }
+
+  const { format, scheme, bpm, offset } = req.query;
+  const output = await renderExport(lyrics, format, {
+    scheme,
+    bpm: bpm ? parseInt(bpm, 10) : undefined,
+    offset: offset ? parseFloat(offset) : undefined
+  });
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', contentDisposition(lyrics.title, format));
+  res.status(200).send(output);
+});
+
 /**
  * @desc    Toggle favorite status
  * @route   PATCH /api/v1/lyrics/:id/favorite
@@ -464,9 +1135,31 @@ const getStats = asyncHandler(async (req, res, next) => {
  * @desc    Get public/popular lyrics
  * @route   GET /api/v1/lyrics/public
  * @access  Public
+ *
+ * With `q`, searches public lyrics instead and ranks them by relevance.
  */
 const getPublicLyrics = asyncHandler(async (req, res, next) => {
   const limit = parseInt(req.query.limit, 10) || 10;
+
+  const terms = queryTerms(req.query.q || '');
+  if (terms.length > 0) {
+    const matches = await Lyrics.find({ isPublic: true, ...searchFilter(terms) })
+      .sort({ createdAt: -1 })
+      .limit(config.lyrics.searchMaxResults)
+      .populate('user', 'name');
+    // Same fields as getPopular, so matches render like the popular list
+    const results = rankLyrics(matches, terms).slice(0, limit).map(({ lyrics, score, titleHighlights, snippets }) => {
+      const { _id, title, excerpt, style, dialect, rating, createdAt, user } = lyrics;
+      return { _id, title, excerpt, style, dialect, rating, createdAt, user, search: { score, titleHighlights, snippets } };
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: results.length,
+      data: results
+    });
+  }
+
   const lyrics = await Lyrics.getPopular(limit);
 
   res.status(200).json({
@@ -478,10 +1171,28 @@ const getPublicLyrics = asyncHandler(async (req, res, next) => {
 
 module.exports = {
   generateLyrics,
+  streamLyrics,
+  getDrafts,
+  getDraft,
+  keepVariant,
+  discardDraft,
+  regenerateSection,
+  analyzeMeter,
+  analyzeRhyme,
+  suggestRaga,
+  regenerateTransliteration,
+  translateLyrics,
+  getSimilarity,
+  transliterateText,
   getLyrics,
   getLyricsById,
   updateLyrics,
   deleteLyrics,
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+  exportLyrics,
   toggleFavorite,
   getStats,
   getPublicLyrics
@@ -1,251 +1,102 @@
 /**
  * Media Controller
- * Handles music generation (Suno/Udio), video generation (HeyGen), and voice synthesis (ElevenLabs)
+ * Queues music (Suno/Udio), video (HeyGen) and voice (ElevenLabs) generation, and
+ * serves provider status, voices, avatars and audio
  */
 
 const Lyrics = require('../models/Lyrics');
 const ApiKey = require('../models/ApiKey');
-const config = require('../config/config');
+const GenerationJob = require('../models/GenerationJob');
+const VoiceRecording = require('../models/VoiceRecording');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { incrementUsage } = require('../middleware/usageLimit');
+const { hasRole, canRead } = require('../utils/lyricsAccess');
 const fetch = require('node-fetch');
 
-// ======================= MUSIC GENERATION (SUNO) =======================
-
 /**
- * @desc    Generate music from lyrics using Suno API
- * @route   POST /api/v1/media/:lyricsId/music
- * @access  Private
+ * Load the lyrics of a media request if the user may edit them
+ * Reports 404/403 through next and resolves to null otherwise.
  */
-const generateMusic = asyncHandler(async (req, res, next) => {
+const findEditableLyrics = async (req, next) => {
   const lyrics = await Lyrics.findById(req.params.lyricsId);
 
   if (!lyrics) {
-    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+    next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
+    return null;
   }
-  if (lyrics.user.toString() !== req.user._id.toString()) {
-    return next(new AppError('Not authorized', 403, 'FORBIDDEN'));
+  if (!hasRole(lyrics, req.user._id, 'editor')) {
+    next(new AppError('Not authorized', 403, 'FORBIDDEN'));
+    return null;
   }
 
-  const { platform = 'suno', tempo, genre, instrumental } = req.body;
-  const sunoKey = await ApiKey.getKeyForService('suno');
-  const udioKey = await ApiKey.getKeyForService('udio');
-
-  let result = null;
-
-  if (platform === 'suno' && sunoKey) {
-    try {
-      // Build style tags for Suno
-      const styleTags = [lyrics.style, 'telugu', lyrics.dialect, tempo || 'medium tempo'].filter(Boolean).join(', ');
-
-      const response = await fetch('https://api.sunoapi.org/api/v1/generate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${sunoKey}`
-        },
-        body: JSON.stringify({
-          customMode: true,
-          instrumental: instrumental || false,
-          model: 'V4_5ALL',
-          prompt: instrumental ? '' : lyrics.content.substring(0, 3000),
-          style: styleTags.substring(0, 200),
-          title: lyrics.title.substring(0, 80),
-          callBackUrl: `${req.protocol}://${req.get('host')}/api/v1/media/callback/suno`
-        })
-      });
+  return lyrics;
+};
 
-      const data = await response.json();
+// ======================= MUSIC GENERATION (SUNO) =======================
 
-      if (response.ok && data.code === 200) {
-        result = {
-          platform: 'suno',
-          id: data.data?.taskId || data.taskId,
-          status: 'processing',
-          message: 'Music generation started. Songs will be ready in 1-3 minutes.',
-          data: data.data || data
-        };
-
-        // Record usage
-        const apiKeyDoc = await ApiKey.findOne({ service: 'suno' });
-        if (apiKeyDoc) await apiKeyDoc.recordUsage();
-      } else {
-        throw new Error(data.msg || data.message || `Suno API error: ${response.status}`);
-      }
-    } catch (error) {
-      console.error('Suno API error:', error.message);
-      result = { platform: 'suno', status: 'error', message: error.message };
-    }
-  } else if (platform === 'udio' && udioKey) {
-    try {
-      const response = await fetch('https://api.udio.com/v1/generate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${udioKey}`
-        },
-        body: JSON.stringify({
-          lyrics: lyrics.content.substring(0, 3000),
-          title: lyrics.title,
-          genre: genre || lyrics.style,
-          language: 'Telugu'
-        })
-      });
+/**
+ * @desc    Queue music generation from lyrics (Suno or Udio)
+ * @route   POST /api/v1/media/:lyricsId/music
+ * @access  Private
+ *
+ * Responds 202 with a GenerationJob; its result holds the Suno task id to poll
+ * with GET /media/music/:taskId/status (see jobs/media).
+ */
+const generateMusic = asyncHandler(async (req, res, next) => {
+  const lyrics = await findEditableLyrics(req, next);
+  if (!lyrics) return;
 
-      if (response.ok) {
-        const data = await response.json();
-        result = {
-          platform: 'udio',
-          id: data.id || data.track_id,
-          url: data.audio_url || data.url || null,
-          status: data.status || 'processing',
-          data: data
-        };
-
-        const apiKeyDoc = await ApiKey.findOne({ service: 'udio' });
-        if (apiKeyDoc) await apiKeyDoc.recordUsage();
-      } else {
-        const errData = await response.json().catch(() => ({}));
-        throw new Error(errData.detail || errData.message || `Udio API error: ${response.status}`);
-      }
-    } catch (error) {
-      console.error('Udio API error:', error.message);
-      result = { platform: 'udio', status: 'error', message: error.message };
+  const { platform = 'suno', tempo, genre, instrumental } = req.body;
+  // Raga and tala for the Suno style tags; an empty string leaves them out
+  const raga = req.body.raga !== undefined ? req.body.raga : lyrics.metadata?.suggestedRaga;
+  const tala = req.body.tala !== undefined ? req.body.tala : lyrics.metadata?.suggestedTala;
+  const job = await GenerationJob.create({
+    user: req.user._id,
+    type: 'music',
+    lyrics: lyrics._id,
+    input: {
+      platform,
+      tempo,
+      genre,
+      instrumental,
+      raga,
+      tala,
+      callbackUrl: `${req.protocol}://${req.get('host')}/api/v1/media/callback/suno`
     }
-  } else {
-    // Demo mode
-    result = {
-      platform: platform,
-      status: 'demo',
-      message: `${platform} API key not configured. Go to Admin > API Keys to add your ${platform} key.`,
-      demo: true
-    };
-  }
-
-  // Increment subscription usage for music generation
-  if (result && result.status !== 'error' && !result.demo) {
-    await incrementUsage('music', req.user._id);
-  }
-
-  // Save music info to lyrics if successful
-  if (result && result.url) {
-    lyrics.musicGenerated = {
-      platform: result.platform,
-      url: result.url,
-      generatedAt: new Date()
-    };
-    await lyrics.save();
-  }
+  });
 
-  res.status(200).json({
+  res.status(202).json({
     success: true,
-    message: result.demo ? 'Demo mode - configure API key' : 'Music generation initiated',
-    data: result
+    message: 'Music generation queued',
+    data: job
   });
 });
 
 // ======================= VIDEO GENERATION (HEYGEN) =======================
 
 /**
- * @desc    Generate video from lyrics using HeyGen API
+ * @desc    Queue video generation from lyrics using HeyGen
  * @route   POST /api/v1/media/:lyricsId/video
  * @access  Private
+ *
+ * Responds 202 with a GenerationJob; its result holds the HeyGen video id to
+ * poll with GET /media/video/:videoId/status.
  */
 const generateVideo = asyncHandler(async (req, res, next) => {
-  const lyrics = await Lyrics.findById(req.params.lyricsId);
-
-  if (!lyrics) {
-    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
-  }
-  if (lyrics.user.toString() !== req.user._id.toString()) {
-    return next(new AppError('Not authorized', 403, 'FORBIDDEN'));
-  }
+  const lyrics = await findEditableLyrics(req, next);
+  if (!lyrics) return;
 
   const { avatarId, voiceId, background } = req.body;
-  const heygenKey = await ApiKey.getKeyForService('heygen');
-
-  let result = null;
-
-  if (heygenKey) {
-    try {
-      // Step 1: Create video
-      const response = await fetch('https://api.heygen.com/v2/video/generate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Api-Key': heygenKey
-        },
-        body: JSON.stringify({
-          video_inputs: [{
-            character: {
-              type: 'avatar',
-              avatar_id: avatarId || 'af78fd01567347b3a6859ea1e4a46410',
-              avatar_style: 'normal'
-            },
-            voice: {
-              type: 'text',
-              input_text: lyrics.content.substring(0, 1500),
-              voice_id: voiceId || '9d50356dea1440bd8af1dcc0f618e161'
-            },
-            background: {
-              type: 'color',
-              value: background || '#1a1a2e'
-            }
-          }],
-          dimension: { width: 1280, height: 720 },
-          title: lyrics.title
-        })
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        result = {
-          platform: 'heygen',
-          videoId: data.data?.video_id || data.video_id,
-          status: data.data?.status || 'processing',
-          message: 'Video generation started. It may take a few minutes to complete.',
-          data: data
-        };
-
-        const apiKeyDoc = await ApiKey.findOne({ service: 'heygen' });
-        if (apiKeyDoc) await apiKeyDoc.recordUsage();
-      } else {
-        const errData = await response.json().catch(() => ({}));
-        const errMsg = typeof errData.error === 'string' ? errData.error : errData.message || errData.error?.message || JSON.stringify(errData) || `HeyGen API error: ${response.status}`;
-        throw new Error(errMsg);
-      }
-    } catch (error) {
-      console.error('HeyGen API error:', error.message);
-      result = { platform: 'heygen', status: 'error', message: error.message };
-    }
-  } else {
-    result = {
-      platform: 'heygen',
-      status: 'demo',
-      message: 'HeyGen API key not configured. Go to Admin > API Keys to add your HeyGen key.',
-      demo: true
-    };
-  }
-
-  // Increment subscription usage for video generation
-  if (result && result.status !== 'error' && !result.demo) {
-    await incrementUsage('video', req.user._id);
-  }
-
-  // Save video info if we got a video ID
-  if (result && result.videoId) {
-    lyrics.videoGenerated = {
-      platform: 'heygen',
-      url: result.videoId,
-      generatedAt: new Date()
-    };
-    await lyrics.save();
-  }
+  const job = await GenerationJob.create({
+    user: req.user._id,
+    type: 'video',
+    lyrics: lyrics._id,
+    input: { avatarId, voiceId, background }
+  });
 
-  res.status(200).json({
+  res.status(202).json({
     success: true,
-    message: result.demo ? 'Demo mode - configure API key' : 'Video generation initiated',
-    data: result
+    message: 'Video generation queued',
+    data: job
   });
 });
 
@@ -286,87 +137,52 @@ const checkVideoStatus = asyncHandler(async (req, res, next) => {
 // ======================= VOICE SYNTHESIS (ELEVENLABS) =======================
 
 /**
- * @desc    Generate voice/speech from lyrics using ElevenLabs
+ * @desc    Queue voice synthesis from lyrics using ElevenLabs
  * @route   POST /api/v1/media/:lyricsId/voice
  * @access  Private
+ *
+ * Responds 202 with a GenerationJob; its result holds the `recordingId`
+ * of the stored audio, fetched from GET /api/v1/media/voice/:recordingId.
  */
 const generateVoice = asyncHandler(async (req, res, next) => {
-  const lyrics = await Lyrics.findById(req.params.lyricsId);
-
-  if (!lyrics) {
-    return next(new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND'));
-  }
-  if (lyrics.user.toString() !== req.user._id.toString()) {
-    return next(new AppError('Not authorized', 403, 'FORBIDDEN'));
-  }
+  const lyrics = await findEditableLyrics(req, next);
+  if (!lyrics) return;
 
   const { voiceId, modelId, stability, similarityBoost } = req.body;
-  const elevenLabsKey = await ApiKey.getKeyForService('elevenlabs');
+  const job = await GenerationJob.create({
+    user: req.user._id,
+    type: 'voice',
+    lyrics: lyrics._id,
+    input: { voiceId, modelId, stability, similarityBoost }
+  });
 
-  let result = null;
-
-  if (elevenLabsKey) {
-    try {
-      const selectedVoice = voiceId || '21m00Tcm4TlvDq8ikWAM'; // Default: Rachel
-
-      const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${selectedVoice}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'xi-api-key': elevenLabsKey
-        },
-        body: JSON.stringify({
-          text: lyrics.content.substring(0, 5000),
-          model_id: modelId || 'eleven_multilingual_v2',
-          voice_settings: {
-            stability: stability || 0.5,
-            similarity_boost: similarityBoost || 0.75
-          }
-        })
-      });
+  res.status(202).json({
+    success: true,
+    message: 'Voice generation queued',
+    data: job
+  });
+});
 
-      if (response.ok) {
-        // ElevenLabs returns audio binary - convert to base64
-        const arrayBuf = await response.arrayBuffer();
-        const base64Audio = Buffer.from(arrayBuf).toString('base64');
-
-        result = {
-          platform: 'elevenlabs',
-          status: 'completed',
-          audioBase64: base64Audio,
-          contentType: response.headers.get('content-type') || 'audio/mpeg',
-          message: 'Voice generated successfully'
-        };
-
-        const apiKeyDoc = await ApiKey.findOne({ service: 'elevenlabs' });
-        if (apiKeyDoc) await apiKeyDoc.recordUsage();
-      } else {
-        const errData = await response.json().catch(() => ({}));
-        throw new Error(errData.detail?.message || errData.message || `ElevenLabs API error: ${response.status}`);
-      }
-    } catch (error) {
-      console.error('ElevenLabs API error:', error.message);
-      result = { platform: 'elevenlabs', status: 'error', message: error.message };
-    }
-  } else {
-    result = {
-      platform: 'elevenlabs',
-      status: 'demo',
-      message: 'ElevenLabs API key not configured. Go to Admin > API Keys to add your ElevenLabs key.',
-      demo: true
-    };
+/**
+ * @desc    Get a stored voice recording
+ * @route   GET /api/v1/media/voice/:recordingId
+ * @access  Private (anyone who can read the lyrics)
+ */
+const getVoiceRecording = asyncHandler(async (req, res, next) => {
+  const recording = await VoiceRecording.findById(req.params.recordingId);
+
+  if (!recording) {
+    return next(new AppError('Recording not found', 404, 'RECORDING_NOT_FOUND'));
   }
 
-  // Increment subscription usage for voice generation
-  if (result && result.status !== 'error' && !result.demo) {
-    await incrementUsage('voice', req.user._id);
+  const lyrics = await Lyrics.findById(recording.lyrics);
+  if (!lyrics || !canRead(lyrics, req.user._id)) {
+    return next(new AppError('Not authorized to access this recording', 403, 'FORBIDDEN'));
   }
 
-  res.status(200).json({
-    success: true,
-    message: result.demo ? 'Demo mode - configure API key' : 'Voice generation completed',
-    data: result
-  });
+  res.setHeader('Content-Type', recording.contentType);
+  res.setHeader('Content-Length', recording.audio.length);
+  res.status(200).send(recording.audio);
 });
 
 /**
@@ -576,6 +392,7 @@ module.exports = {
   sunoCallback,
   audioProxy,
   generateVoice,
+  getVoiceRecording,
   getVoices,
   getAvatars
 };
@@ -0,0 +1,124 @@
+/**
+ * Moderation Controller
+ * Admin review queue for flagged prompt input and lyrics, and moderation settings
+ */
+
+const ModerationFlag = require('../models/ModerationFlag');
+const Lyrics = require('../models/Lyrics');
+const Collection = require('../models/Collection');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getModerationSettings, saveModerationSettings } = require('../middleware/moderation');
+
+/**
+ * @desc    Get flagged items, pending first by default (?status=&stage=&page=&limit=)
+ * @route   GET /api/v1/moderation/admin/flags
+ * @access  Admin
+ */
+const getFlags = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = { status: req.query.status || 'pending' };
+  if (req.query.stage) filter.stage = req.query.stage;
+
+  const flags = await ModerationFlag.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('user', 'name email')
+    .populate('reviewedBy', 'name')
+    .populate('lyrics', 'title isPublic moderation')
+    .populate('lyricsCollection', 'title isPublic moderation');
+
+  const total = await ModerationFlag.countDocuments(filter);
+  const pending = await ModerationFlag.countDocuments({ status: 'pending' });
+
+  res.status(200).json({
+    success: true,
+    count: flags.length,
+    pending,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: flags
+  });
+});
+
+/**
+ * @desc    Approve or reject a flagged item
+ * @route   PUT /api/v1/moderation/admin/flags/:id
+ * @access  Admin
+ *
+ * For lyrics or a collection held from publishing, approving publishes them and
+ * rejecting keeps them private, as long as the flag is still the one holding them.
+ * For input the decision is only recorded.
+ */
+const reviewFlag = asyncHandler(async (req, res, next) => {
+  const flag = await ModerationFlag.findById(req.params.id);
+
+  if (!flag) {
+    return next(new AppError('Flag not found', 404, 'FLAG_NOT_FOUND'));
+  }
+
+  const { status, note } = req.body;
+  flag.status = status;
+  flag.reviewNote = note || '';
+  flag.reviewedBy = req.user._id;
+  flag.reviewedAt = new Date();
+  await flag.save();
+
+  const held = flag.lyrics
+    ? await Lyrics.findById(flag.lyrics)
+    : flag.lyricsCollection ? await Collection.findById(flag.lyricsCollection) : null;
+  if (held && held.moderation?.flag?.toString() === flag._id.toString()) {
+    held.moderation.status = status;
+    held.isPublic = status === 'approved';
+    await held.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: status === 'approved' ? 'Flag approved' : 'Flag rejected',
+    data: flag
+  });
+});
+
+/**
+ * @desc    Get moderation settings (extra blocklist terms, LLM check)
+ * @route   GET /api/v1/moderation/admin/settings
+ * @access  Admin
+ */
+const getSettings = asyncHandler(async (req, res, next) => {
+  const settings = await getModerationSettings();
+
+  res.status(200).json({
+    success: true,
+    data: settings
+  });
+});
+
+/**
+ * @desc    Update moderation settings
+ * @route   PUT /api/v1/moderation/admin/settings
+ * @access  Admin
+ */
+const updateSettings = asyncHandler(async (req, res, next) => {
+  const settings = await saveModerationSettings(req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Moderation settings updated',
+    data: settings
+  });
+});
+
+module.exports = {
+  getFlags,
+  reviewFlag,
+  getSettings,
+  updateSettings
+};
@@ -0,0 +1,159 @@
+/**
+ * Similarity Controller
+ * Admin management of the reference corpus that lyrics are checked against for copying
+ */
+
+const ReferenceLyrics = require('../models/ReferenceLyrics');
+const config = require('../config/config');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { parseLyricsFile } = require('../utils/lyricsImport');
+const { queryTerms, searchFilter } = require('../utils/search');
+
+// Credits admins may set on a reference song
+const CREDIT_FIELDS = ['film', 'year', 'lyricist'];
+
+const pickCredits = (body) => Object.fromEntries(
+  CREDIT_FIELDS.filter(field => body[field] !== undefined && body[field] !== '').map(field => [field, body[field]])
+);
+
+/**
+ * @desc    Get reference songs (?q=&page=&limit=)
+ * @route   GET /api/v1/similarity/admin/references
+ * @access  Admin
+ *
+ * `q` matches title, film and lyricist, in Telugu script or transliteration.
+ */
+const getReferences = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const terms = queryTerms(req.query.q || '');
+  const filter = terms.length > 0 ? searchFilter(terms) : {};
+
+  const references = await ReferenceLyrics.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('addedBy', 'name');
+
+  const total = await ReferenceLyrics.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: references.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: references
+  });
+});
+
+/**
+ * @desc    Add a reference song
+ * @route   POST /api/v1/similarity/admin/references
+ * @access  Admin
+ */
+const createReference = asyncHandler(async (req, res, next) => {
+  const reference = await ReferenceLyrics.create({
+    ...pickCredits(req.body),
+    title: req.body.title,
+    content: req.body.content,
+    addedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Reference song added',
+    data: reference
+  });
+});
+
+/**
+ * @desc    Add reference songs from files
+ * @route   POST /api/v1/similarity/admin/references/import
+ * @access  Admin
+ *
+ * Multipart field `files`, read like lyrics imports (utils/lyricsImport), so one
+ * file may hold a whole album. Optional `film`, `year` and `lyricist` fields apply
+ * to every song. Files that cannot be read are listed in `skipped`.
+ */
+const importReferences = asyncHandler(async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one file', 400, 'NO_FILES'));
+  }
+
+  const songs = [];
+  const skipped = [];
+
+  for (const file of req.files) {
+    try {
+      const parsed = await parseLyricsFile(file.originalname, file.buffer);
+      if (parsed.length === 0) {
+        skipped.push({ file: file.originalname, reason: 'No lyrics found' });
+      }
+      parsed.forEach(song => songs.push(song));
+    } catch (error) {
+      console.error(`Reference import of ${file.originalname} failed:`, error.message);
+      skipped.push({ file: file.originalname, reason: 'The file could not be read' });
+    }
+  }
+
+  if (songs.length === 0) {
+    return next(new AppError('No lyrics found in the uploaded files', 400, 'NO_LYRICS_FOUND'));
+  }
+
+  if (songs.length > config.lyrics.importMaxSongs) {
+    return next(new AppError(
+      `The files contain ${songs.length} songs; import at most ${config.lyrics.importMaxSongs} at a time`,
+      400,
+      'TOO_MANY_SONGS'
+    ));
+  }
+
+  const credits = pickCredits(req.body);
+  const created = await ReferenceLyrics.create(songs.map(song => ({
+    ...credits,
+    title: song.title,
+    content: song.content,
+    addedBy: req.user._id
+  })));
+
+  res.status(201).json({
+    success: true,
+    message: `Added ${created.length} reference songs`,
+    count: created.length,
+    data: created,
+    skipped
+  });
+});
+
+/**
+ * @desc    Remove a reference song
+ * @route   DELETE /api/v1/similarity/admin/references/:id
+ * @access  Admin
+ */
+const deleteReference = asyncHandler(async (req, res, next) => {
+  const reference = await ReferenceLyrics.findById(req.params.id);
+
+  if (!reference) {
+    return next(new AppError('Reference song not found', 404, 'REFERENCE_NOT_FOUND'));
+  }
+
+  await reference.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Reference song removed'
+  });
+});
+
+module.exports = {
+  getReferences,
+  createReference,
+  importReferences,
+  deleteReference
+};
@@ -0,0 +1,187 @@
+/**
+ * Generation Job Worker
+ * Polls the GenerationJob collection and runs due jobs with retries,
+ * exponential backoff and a per-attempt timeout
+ *
+ * Any number of workers (the API server and `npm run worker` processes) can
+ * share the queue: jobs are claimed atomically, and a job whose worker died is
+ * taken over once its lock times out.
+ */
+
+const os = require('os');
+const GenerationJob = require('../models/GenerationJob');
+const config = require('../config/config');
+const { AppError } = require('../middleware/errorHandler');
+const { incrementUsage } = require('../middleware/usageLimit');
+const { runLyricsJob } = require('./lyrics');
+const { runMusicJob, runVideoJob, runVoiceJob } = require('./media');
+
+// Job type → runner returning { result, charge }
+const RUNNERS = {
+  lyrics: runLyricsJob,
+  music: runMusicJob,
+  video: runVideoJob,
+  voice: runVoiceJob
+};
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let stopped = true;
+let timer = null;
+let active = 0;
+
+/**
+ * Delay before retrying after a failed attempt
+ * @param {number} attempt - The attempt that failed (1-based)
+ * @returns {number} ms
+ */
+const backoffDelay = (attempt) => Math.min(config.jobs.backoffBase * 2 ** (attempt - 1), config.jobs.backoffMax);
+
+/**
+ * Client errors (AppError with a 4xx status) will fail again, so they are not retried
+ */
+const isPermanent = (error) => Boolean(error.isOperational && error.statusCode < 500);
+
+/**
+ * Run a job runner, rejecting and aborting it when the attempt takes too long
+ */
+const runWithTimeout = (runner, job, lastAttempt) => {
+  const ms = config.jobs.timeouts[job.type];
+  const controller = new AbortController();
+  let timeout;
+
+  const expired = new Promise((resolve, reject) => {
+    timeout = setTimeout(() => {
+      const error = new AppError(`Generation timed out after ${Math.round(ms / 1000)} seconds`, 504, 'JOB_TIMEOUT');
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([runner(job, { signal: controller.signal, lastAttempt }), expired])
+    .finally(() => clearTimeout(timeout));
+};
+
+/**
+ * Record the outcome of an attempt
+ * Only applies while this worker still holds the job, so a job taken over
+ * after a lock timeout is not finished twice.
+ * @returns {Promise<object|null>} The updated job, or null if it was taken over
+ */
+const finishAttempt = (job, update) => {
+  const done = update.status !== 'queued';
+
+  return GenerationJob.findOneAndUpdate(
+    { _id: job._id, status: 'running', lockedBy: job.lockedBy, attempts: job.attempts },
+    {
+      $set: {
+        ...update,
+        lockedBy: null,
+        lockedAt: null,
+        ...(done ? { finishedAt: new Date() } : {})
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Run one claimed job to success, retry or failure
+ * Usage is charged once, after the job is marked succeeded: a crash in
+ * between can only under-charge, never charge twice.
+ * @param {object} job - GenerationJob claimed by this worker
+ */
+const runJob = async (job) => {
+  const runner = RUNNERS[job.type];
+
+  // Claimed again after its worker died during the last attempt
+  if (job.attempts > config.jobs.maxAttempts) {
+    await finishAttempt(job, {
+      status: 'failed',
+      error: { message: 'Generation did not finish. Please try again.', code: 'JOB_ABANDONED' }
+    });
+    return;
+  }
+
+  try {
+    const { result, charge = 0 } = await runWithTimeout(runner, job, job.attempts >= config.jobs.maxAttempts);
+    const finished = await finishAttempt(job, { status: 'succeeded', result, charged: charge, error: null });
+
+    if (finished && charge > 0) {
+      await incrementUsage(job.type, job.user, charge);
+    }
+  } catch (error) {
+    const retry = !isPermanent(error) && job.attempts < config.jobs.maxAttempts;
+    console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+
+    await finishAttempt(job, {
+      status: retry ? 'queued' : 'failed',
+      error: { message: error.message, code: error.code || 'GENERATION_FAILED' },
+      ...(retry ? { runAt: new Date(Date.now() + backoffDelay(job.attempts)) } : {})
+    });
+  }
+};
+
+/**
+ * Claim and start due jobs up to the configured concurrency
+ */
+const poll = async () => {
+  timer = null;
+  if (stopped) return;
+
+  try {
+    while (!stopped && active < config.jobs.concurrency) {
+      const job = await GenerationJob.claimNext(workerId, config.jobs.lockTimeout);
+      if (!job) break;
+
+      active++;
+      runJob(job)
+        .catch(error => console.error(`Job ${job._id} could not be finished:`, error.message))
+        .finally(() => {
+          active--;
+          schedule(0);
+        });
+    }
+  } catch (error) {
+    console.error('Job queue error:', error.message);
+  }
+
+  schedule(config.jobs.pollInterval);
+};
+
+const schedule = (delay) => {
+  if (!stopped && !timer) {
+    timer = setTimeout(poll, delay);
+  }
+};
+
+/**
+ * Start polling the queue
+ */
+const startWorker = () => {
+  if (!stopped) return;
+  stopped = false;
+  schedule(0);
+  console.log(`✅ Generation worker ${workerId} started (concurrency ${config.jobs.concurrency})`);
+};
+
+/**
+ * Stop claiming jobs and wait for the running ones to finish
+ * @returns {Promise<void>}
+ */
+const stopWorker = async () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+
+  while (active > 0) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+module.exports = {
+  startWorker,
+  stopWorker,
+  runJob,
+  backoffDelay
+};
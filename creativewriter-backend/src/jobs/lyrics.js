@@ -0,0 +1,396 @@
+/**
+ * Lyrics Generation Jobs
+ * Runs queued lyrics generations, and the generation helpers shared with the
+ * streaming and draft endpoints in lyricsController
+ */
+
+const User = require('../models/User');
+const Lyrics = require('../models/Lyrics');
+const PromptTemplate = require('../models/PromptTemplate');
+const Dialect = require('../models/Dialect');
+const CatalogEntry = require('../models/CatalogEntry');
+const LyricsRevision = require('../models/LyricsRevision');
+const LyricsDraft = require('../models/LyricsDraft');
+const config = require('../config/config');
+const { incrementUsage } = require('../middleware/usageLimit');
+const { recordSubmission } = require('./submission');
+const { generateWithFallback } = require('../providers');
+const { buildPromptVariables, renderTemplate, PROMPT_TEMPLATES, promptTemplateName, languageInfo } = require('../utils/lyricsPrompt');
+const { variantsCost } = require('../utils/variants');
+const { composeDemoLyrics } = require('../utils/demoComposer');
+const { parseTune, tunePrompt, checkTuneFit, numberMisfits, parseRewrites, applyRewrites } = require('../utils/tune');
+
+/**
+ * Generation params recorded for provider-generated lyrics
+ */
+const providerGenerationParams = ({ provider, model }, { promptVersion, promptTemplate }) => ({
+  provider,
+  model,
+  maxTokens: config.lyrics.maxTokens,
+  promptVersion,
+  promptTemplate
+});
+
+/**
+ * Generation params recorded when falling back to demo lyrics
+ */
+const demoGenerationParams = (error) => ({
+  model: 'demo',
+  provider: 'demo',
+  note: error.attempts && error.attempts.length > 0 ? 'API unavailable' : 'No API key configured'
+});
+
+/**
+ * Save generated lyrics and update user stats and subscription usage
+ * @param {object} [options]
+ * @param {boolean} [options.charge=true] - Charge one lyrics generation (false when already charged)
+ * @param {string} [options.note] - Note on the first revision
+ * @returns {object} The saved Lyrics document
+ */
+const saveGeneratedLyrics = async (userId, input, content, generationParams, { charge = true, note } = {}) => {
+  const { theme, customLines, style, dialect, poetryForm, language } = input;
+
+  const savedLyrics = await Lyrics.create({
+    user: userId,
+    title: theme || 'Untitled',
+    content,
+    theme,
+    customLines,
+    style: style || config.lyrics.defaultStyle,
+    dialect: dialect || config.lyrics.defaultDialect,
+    poetryForm: poetryForm || config.lyrics.defaultPoetryForm,
+    language: language || config.lyrics.defaultLanguage,
+    generationParams
+  });
+
+  await LyricsRevision.record(savedLyrics, { source: 'generation', user: userId, note });
+
+  // Update user stats
+  await User.findByIdAndUpdate(userId, {
+    $inc: { 'stats.lyricsGenerated': 1 }
+  });
+
+  // Increment subscription usage
+  if (charge) {
+    await incrementUsage('lyrics', userId);
+  }
+
+  return savedLyrics;
+};
+
+/**
+ * Generate n candidates in parallel and store them as a draft group
+ * A candidate whose providers all fail is dropped, and only the candidates
+ * produced are charged (see utils/variants). Demo lyrics stand in only when
+ * every candidate fails on the last attempt, and are charged as one candidate.
+ */
+const generateVariants = async (job, generationInput, promptInfo, { signal, lastAttempt }) => {
+  const { theme, customLines, style, dialect, poetryForm, language, n } = job.input;
+
+  const results = await Promise.allSettled(Array.from({ length: n }, () =>
+    generateWithFallback({ prompt: promptInfo.prompt, maxTokens: config.lyrics.maxTokens, signal })
+  ));
+
+  let variants = results
+    .filter(r => r.status === 'fulfilled')
+    .map(r => ({ content: r.value.text, generationParams: providerGenerationParams(r.value, promptInfo) }));
+
+  if (variants.length === 0) {
+    const error = results[0].reason;
+    if (!settleForDemo(error, signal, lastAttempt)) throw error;
+    console.error('Lyrics provider error:', error.message);
+    variants = [{
+      content: generateDemoLyrics(generationInput),
+      generationParams: demoGenerationParams(error)
+    }];
+  }
+
+  if (signal && signal.aborted) throw signal.reason;
+
+  const charge = variantsCost(variants.length);
+
+  const draft = await LyricsDraft.create({
+    user: job.user,
+    theme,
+    customLines,
+    style: style || config.lyrics.defaultStyle,
+    dialect: dialect || config.lyrics.defaultDialect,
+    poetryForm: poetryForm || config.lyrics.defaultPoetryForm,
+    language: language || config.lyrics.defaultLanguage,
+    variants,
+    charged: charge,
+    expiresAt: new Date(Date.now() + config.lyrics.draftTtlHours * 60 * 60 * 1000)
+  });
+
+  const result = { draft: buildDraftResult(draft) };
+  await recordSubmission(job, result);
+
+  return { result, charge };
+};
+
+/**
+ * Build the response payload for a draft group; each variant is shaped like a /generate result
+ */
+const buildDraftResult = (draft) => ({
+  id: draft._id,
+  theme: draft.theme,
+  charged: draft.charged,
+  expiresAt: draft.expiresAt,
+  createdAt: draft.createdAt,
+  variants: draft.variants.map((variant, index) => ({
+    index,
+    ...buildGenerationResult(draft, variant.content, variant.generationParams, null)
+  }))
+});
+
+/**
+ * Build the response payload for a completed generation
+ */
+const buildGenerationResult = (input, content, generationParams, savedLyrics) => {
+  const { style, dialect, poetryForm, language } = input;
+
+  return {
+    content,
+    metadata: {
+      language: language || config.lyrics.defaultLanguage,
+      style,
+      dialect,
+      poetryForm,
+      wordCount: content.split(/\s+/).filter(w => w).length,
+      lineCount: content.split('\n').filter(l => l.trim()).length
+    },
+    saved: savedLyrics ? {
+      id: savedLyrics._id,
+      title: savedLyrics.title
+    } : null,
+    generationInfo: {
+      model: generationParams.model,
+      provider: generationParams.provider,
+      isDemo: generationParams.model === 'demo'
+    }
+  };
+};
+
+/**
+ * Render the published version of a prompt template
+ * Falls back to the built-in template when none has been published yet.
+ * @param {string} name - Template name (lyrics, section, or a language variant such as lyrics-hi)
+ * @param {object} variables - Template variables
+ * @returns {object} { prompt, promptVersion, promptTemplate }
+ */
+const resolvePrompt = async (name, variables) => {
+  const published = await PromptTemplate.getPublished(name);
+
+  if (!published) {
+    return {
+      prompt: renderTemplate(PROMPT_TEMPLATES[name].defaultTemplate, variables),
+      promptVersion: '1',
+      promptTemplate: null
+    };
+  }
+
+  return {
+    prompt: renderTemplate(published.template, variables),
+    promptVersion: String(published.version),
+    promptTemplate: published._id
+  };
+};
+
+/**
+ * Fill in the configured defaults and look up the dialect, style and poetry form profiles for a generation
+ * Without a dialect, Hindi, Tamil and Kannada use their own default dialect.
+ * @param {object} input - { language, theme, customLines, style, dialect, poetryForm }
+ * @param {string} [userId] - User whose custom dialects may be used
+ * @returns {Promise<object>} Prompt input; a profile is null when its key is not in the database
+ */
+const resolveGenerationInput = async ({ language, theme, customLines, style, dialect, poetryForm }, userId) => {
+  const resolvedLanguage = languageInfo[language] ? language : config.lyrics.defaultLanguage;
+  const resolved = {
+    language: resolvedLanguage,
+    theme: theme || '',
+    customLines: customLines || '',
+    style: style || config.lyrics.defaultStyle,
+    dialect: dialect || languageInfo[resolvedLanguage].defaultDialect || config.lyrics.defaultDialect,
+    poetryForm: poetryForm || config.lyrics.defaultPoetryForm
+  };
+
+  const [dialectProfile, styleProfile, poetryFormProfile] = await Promise.all([
+    Dialect.resolve(resolved.dialect, userId),
+    CatalogEntry.resolve('style', resolved.style),
+    CatalogEntry.resolve('poetryForm', resolved.poetryForm)
+  ]);
+
+  return {
+    ...resolved,
+    dialectProfile: dialectProfile || null,
+    styleProfile: styleProfile || null,
+    poetryFormProfile: poetryFormProfile || null
+  };
+};
+
+/**
+ * Compose demo lyrics offline for the request's language, style, dialect and poetry form
+ */
+const generateDemoLyrics = (input) => composeDemoLyrics({
+  ...input,
+  language: input.language || config.lyrics.defaultLanguage,
+  style: input.style || config.lyrics.defaultStyle,
+  dialect: input.dialect || config.lyrics.defaultDialect,
+  poetryForm: input.poetryForm || config.lyrics.defaultPoetryForm
+});
+
+/**
+ * Whether a failed generation should fall back to demo lyrics
+ * With providers configured the job is retried first; demo lyrics are only
+ * used on the last attempt or when no provider is configured at all.
+ */
+const settleForDemo = (error, signal, lastAttempt) => {
+  if (signal && signal.aborted) return false;
+  const providersTried = error.attempts && error.attempts.length > 0;
+  return !providersTried || lastAttempt;
+};
+
+/**
+ * Rewrite the lines of generated lyrics that do not fit a tune
+ * Runs up to config.lyrics.tuneMaxRetries rounds of the `tune` prompt. A rewritten
+ * line is kept only when it is closer to the tune than the line it replaces; a
+ * provider error ends the retries and keeps the lyrics as they are.
+ * @param {string} content - Generated lyrics
+ * @param {object} tune - From parseTune
+ * @param {object} generationInput - From resolveGenerationInput
+ * @returns {Promise<object>} { content, report } - report from checkTuneFit, with `retries`
+ */
+const fitToTune = async (content, tune, generationInput, { signal } = {}) => {
+  const { tuneMaxRetries, tuneTolerance } = config.lyrics;
+  const { name, script } = languageInfo[generationInput.language];
+  let report = checkTuneFit(content, tune, tuneTolerance);
+  let retries = 0;
+
+  while (!report.fits && retries < tuneMaxRetries) {
+    // Missing lines have nothing to rewrite; the report shows them
+    const misfits = report.lines.filter(line => !line.fits && line.text);
+    if (misfits.length === 0) break;
+    retries += 1;
+
+    const { prompt } = await resolvePrompt('tune', {
+      ...buildPromptVariables(generationInput),
+      languageName: name,
+      script,
+      songContext: content,
+      lineCount: misfits.length,
+      numberedLines: numberMisfits(misfits)
+    });
+
+    let result;
+    try {
+      result = await generateWithFallback({ prompt, maxTokens: config.lyrics.sectionMaxTokens, signal });
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      console.error('Tune fitting error:', error.message);
+      break;
+    }
+
+    content = applyRewrites(content, parseRewrites(result.text, report, tune, tuneTolerance));
+    report = checkTuneFit(content, tune, tuneTolerance);
+  }
+
+  return { content, report: { ...report, retries } };
+};
+
+/**
+ * Run a queued lyrics generation
+ * job.input holds the POST /lyrics/generate body; with n > 1 the result is a
+ * draft group of variants instead of saved lyrics. With a `tune` template the
+ * lines that do not fit are rewritten (fitToTune) and the result carries a `tuneFit` report.
+ * The saved lyrics or draft are recorded on the job (recordSubmission): an
+ * attempt that timed out after saving is finished from them on retry instead
+ * of saving a second copy.
+ * @param {object} job - GenerationJob document
+ * @param {object} context - { signal, lastAttempt } from the worker
+ * @returns {Promise<object>} { result, charge } - charge is the usage units to record;
+ *   saved lyrics are charged whether a provider or the offline demo composer wrote them
+ */
+const runLyricsJob = async (job, { signal, lastAttempt } = {}) => {
+  const { saveResult, n = 1 } = job.input;
+
+  if (job.submission) {
+    const { draft, saved } = job.submission;
+    return { result: job.submission, charge: draft ? draft.charged : (saved ? 1 : 0) };
+  }
+
+  const generationInput = await resolveGenerationInput(job.input, job.user);
+  const tune = job.input.tune ? parseTune(job.input.tune) : null;
+  const variables = {
+    ...buildPromptVariables(generationInput),
+    tuneRequirements: tune ? tunePrompt(tune) : ''
+  };
+  const promptInfo = await resolvePrompt(promptTemplateName('lyrics', generationInput.language), variables);
+
+  // Published templates from before write-to-tune have no place for the tune
+  if (tune && !promptInfo.prompt.includes(variables.tuneRequirements)) {
+    promptInfo.prompt = `${promptInfo.prompt}\n\n${variables.tuneRequirements.trim()}`;
+  }
+
+  if (n > 1) {
+    return generateVariants(job, generationInput, promptInfo, { signal, lastAttempt });
+  }
+
+  let generatedContent = '';
+  let generationParams = {};
+
+  try {
+    // Try each configured provider in the admin-defined fallback order
+    const result = await generateWithFallback({ prompt: promptInfo.prompt, maxTokens: config.lyrics.maxTokens, signal });
+    generatedContent = result.text;
+    generationParams = providerGenerationParams(result, promptInfo);
+  } catch (error) {
+    if (!settleForDemo(error, signal, lastAttempt)) throw error;
+    console.error('Lyrics provider error:', error.message);
+    // Fall back to lyrics composed offline
+    generatedContent = generateDemoLyrics(generationInput);
+    generationParams = demoGenerationParams(error);
+  }
+
+  // The worker gave up on this attempt (timeout); a retry will generate again
+  if (signal && signal.aborted) throw signal.reason;
+
+  // Demo lyrics are not rewritten, only reported against the tune
+  let tuneFit = null;
+  if (tune && generationParams.provider === 'demo') {
+    tuneFit = { ...checkTuneFit(generatedContent, tune, config.lyrics.tuneTolerance), retries: 0 };
+  } else if (tune) {
+    ({ content: generatedContent, report: tuneFit } = await fitToTune(generatedContent, tune, generationInput, { signal }));
+  }
+
+  // Checked again right before the write: a timeout during tune fitting must not save
+  if (signal && signal.aborted) throw signal.reason;
+
+  // Save to database if requested; the worker charges the usage
+  const savedLyrics = saveResult !== false
+    ? await saveGeneratedLyrics(job.user, job.input, generatedContent, generationParams, {
+      charge: false,
+      note: tuneFit ? `Written to a tune: ${tuneFit.fitted} of ${tuneFit.total} lines fit` : undefined
+    })
+    : null;
+
+  const result = buildGenerationResult(job.input, generatedContent, generationParams, savedLyrics);
+  if (tuneFit) result.tuneFit = tuneFit;
+  if (savedLyrics) await recordSubmission(job, result);
+
+  return {
+    result,
+    charge: savedLyrics ? 1 : 0
+  };
+};
+
+module.exports = {
+  runLyricsJob,
+  resolvePrompt,
+  providerGenerationParams,
+  demoGenerationParams,
+  saveGeneratedLyrics,
+  buildGenerationResult,
+  buildDraftResult,
+  resolveGenerationInput,
+  generateDemoLyrics
+};
@@ -0,0 +1,354 @@
+/**
+ * Media Generation Jobs
+ * Runs queued music (Suno/Udio), video (HeyGen) and voice (ElevenLabs) generations
+ *
+ * Provider errors are thrown so the worker retries them; a missing API key
+ * completes the job with a demo result that is not charged. Once a provider
+ * accepts a paid request its id is saved on the job (recordSubmission), and a
+ * retry finishes from that instead of submitting again.
+ */
+
+const Lyrics = require('../models/Lyrics');
+const ApiKey = require('../models/ApiKey');
+const VoiceRecording = require('../models/VoiceRecording');
+const { AppError } = require('../middleware/errorHandler');
+const { hasRole } = require('../utils/lyricsAccess');
+const { recordSubmission } = require('./submission');
+const { ragaStyleTags } = require('../utils/ragaTala');
+const fetch = require('node-fetch');
+
+/**
+ * Load the job's lyrics and check the user may still generate media for them
+ * Both failures are permanent, so the job is not retried.
+ */
+const loadLyrics = async (job) => {
+  const lyrics = await Lyrics.findById(job.lyrics);
+
+  if (!lyrics) {
+    throw new AppError('Lyrics not found', 404, 'LYRICS_NOT_FOUND');
+  }
+  if (!hasRole(lyrics, job.user, 'editor')) {
+    throw new AppError('Not authorized', 403, 'FORBIDDEN');
+  }
+
+  return lyrics;
+};
+
+const recordKeyUsage = async (service) => {
+  const apiKeyDoc = await ApiKey.findOne({ service });
+  if (apiKeyDoc) await apiKeyDoc.recordUsage();
+};
+
+/**
+ * Run a queued music generation
+ * job.input: { platform, tempo, genre, instrumental, raga, tala, callbackUrl }
+ * @returns {Promise<object>} { result, charge }
+ */
+const runMusicJob = async (job, { signal } = {}) => {
+  const lyrics = await loadLyrics(job);
+  const result = job.submission || await submitMusic(job, lyrics, { signal });
+  if (result.demo) return { result, charge: 0 };
+
+  // Save music info to lyrics if successful
+  if (result.url) {
+    lyrics.musicGenerated = {
+      platform: result.platform,
+      url: result.url,
+      generatedAt: new Date()
+    };
+    await lyrics.save();
+  }
+
+  return { result, charge: 1 };
+};
+
+/**
+ * Submit a music generation to Suno or Udio, saving it on the job once accepted
+ * @returns {Promise<object>} The job result, or a demo result when the platform has no API key
+ */
+const submitMusic = async (job, lyrics, { signal }) => {
+  const { platform = 'suno', tempo, genre, instrumental, raga, tala, callbackUrl } = job.input;
+  const sunoKey = await ApiKey.getKeyForService('suno');
+  const udioKey = await ApiKey.getKeyForService('udio');
+
+  if (platform === 'suno' && sunoKey) {
+    // Build style tags for Suno, with the suggested raga and tala (utils/ragaTala)
+    const styleTags = [lyrics.style, 'telugu', lyrics.dialect, ...ragaStyleTags({ raga, tala }), tempo || 'medium tempo']
+      .filter(Boolean).join(', ');
+
+    const response = await fetch('https://api.sunoapi.org/api/v1/generate', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${sunoKey}`
+      },
+      body: JSON.stringify({
+        customMode: true,
+        instrumental: instrumental || false,
+        model: 'V4_5ALL',
+        prompt: instrumental ? '' : lyrics.content.substring(0, 3000),
+        style: styleTags.substring(0, 200),
+        title: lyrics.title.substring(0, 80),
+        callBackUrl: callbackUrl
+      }),
+      signal
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || data.code !== 200) {
+      throw new Error(data.msg || data.message || `Suno API error: ${response.status}`);
+    }
+
+    const result = {
+      platform: 'suno',
+      id: data.data?.taskId || data.taskId,
+      status: 'processing',
+      message: 'Music generation started. Songs will be ready in 1-3 minutes.',
+      data: data.data || data
+    };
+    await recordSubmission(job, result);
+    await recordKeyUsage('suno');
+    return result;
+  }
+
+  if (platform === 'udio' && udioKey) {
+    const response = await fetch('https://api.udio.com/v1/generate', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${udioKey}`
+      },
+      body: JSON.stringify({
+        lyrics: lyrics.content.substring(0, 3000),
+        title: lyrics.title,
+        genre: genre || lyrics.style,
+        language: 'Telugu'
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({}));
+      throw new Error(errData.detail || errData.message || `Udio API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const result = {
+      platform: 'udio',
+      id: data.id || data.track_id,
+      url: data.audio_url || data.url || null,
+      status: data.status || 'processing',
+      data: data
+    };
+    await recordSubmission(job, result);
+    await recordKeyUsage('udio');
+    return result;
+  }
+
+  // Demo mode
+  return {
+    platform: platform,
+    status: 'demo',
+    message: `${platform} API key not configured. Go to Admin > API Keys to add your ${platform} key.`,
+    demo: true
+  };
+};
+
+/**
+ * Run a queued video generation
+ * job.input: { avatarId, voiceId, background }
+ * @returns {Promise<object>} { result, charge }
+ */
+const runVideoJob = async (job, { signal } = {}) => {
+  const lyrics = await loadLyrics(job);
+  const result = job.submission || await submitVideo(job, lyrics, { signal });
+  if (result.demo) return { result, charge: 0 };
+
+  // Save video info if we got a video ID
+  if (result.videoId) {
+    lyrics.videoGenerated = {
+      platform: 'heygen',
+      url: result.videoId,
+      generatedAt: new Date()
+    };
+    await lyrics.save();
+  }
+
+  return { result, charge: 1 };
+};
+
+/**
+ * Submit a video generation to HeyGen, saving it on the job once accepted
+ * @returns {Promise<object>} The job result, or a demo result when there is no API key
+ */
+const submitVideo = async (job, lyrics, { signal }) => {
+  const { avatarId, voiceId, background } = job.input;
+  const heygenKey = await ApiKey.getKeyForService('heygen');
+
+  if (!heygenKey) {
+    return {
+      platform: 'heygen',
+      status: 'demo',
+      message: 'HeyGen API key not configured. Go to Admin > API Keys to add your HeyGen key.',
+      demo: true
+    };
+  }
+
+  const response = await fetch('https://api.heygen.com/v2/video/generate', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Api-Key': heygenKey
+    },
+    body: JSON.stringify({
+      video_inputs: [{
+        character: {
+          type: 'avatar',
+          avatar_id: avatarId || 'af78fd01567347b3a6859ea1e4a46410',
+          avatar_style: 'normal'
+        },
+        voice: {
+          type: 'text',
+          input_text: lyrics.content.substring(0, 1500),
+          voice_id: voiceId || '9d50356dea1440bd8af1dcc0f618e161'
+        },
+        background: {
+          type: 'color',
+          value: background || '#1a1a2e'
+        }
+      }],
+      dimension: { width: 1280, height: 720 },
+      title: lyrics.title
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errData = await response.json().catch(() => ({}));
+    const errMsg = typeof errData.error === 'string' ? errData.error : errData.message || errData.error?.message || JSON.stringify(errData) || `HeyGen API error: ${response.status}`;
+    throw new Error(errMsg);
+  }
+
+  const data = await response.json();
+  const result = {
+    platform: 'heygen',
+    videoId: data.data?.video_id || data.video_id,
+    status: data.data?.status || 'processing',
+    message: 'Video generation started. It may take a few minutes to complete.',
+    data: data
+  };
+  await recordSubmission(job, result);
+  await recordKeyUsage('heygen');
+
+  return result;
+};
+
+/**
+ * Run a queued voice synthesis
+ * job.input: { voiceId, modelId, stability, similarityBoost }
+ * The audio is stored as the lyrics' VoiceRecording; the result only refers to it.
+ * @returns {Promise<object>} { result, charge }
+ */
+const runVoiceJob = async (job, { signal } = {}) => {
+  const lyrics = await loadLyrics(job);
+  const result = job.submission || await submitVoice(job, lyrics, { signal });
+  if (result.demo) return { result, charge: 0 };
+
+  lyrics.voiceGenerated = {
+    platform: 'elevenlabs',
+    recording: result.recordingId,
+    generatedAt: new Date()
+  };
+  await lyrics.save();
+
+  return { result, charge: 1 };
+};
+
+/**
+ * The job result for a stored voice recording
+ */
+const voiceResult = (recording) => ({
+  platform: 'elevenlabs',
+  status: 'completed',
+  recordingId: recording._id,
+  contentType: recording.contentType,
+  size: recording.size,
+  message: 'Voice generated successfully'
+});
+
+/**
+ * Synthesise the lyrics with ElevenLabs and store the audio, saving the
+ * recording on the job once stored
+ * The recording is stored with the job's id in the same write, so a retry
+ * after that write finishes from it instead of paying ElevenLabs again.
+ * @returns {Promise<object>} The job result, or a demo result when there is no API key
+ */
+const submitVoice = async (job, lyrics, { signal }) => {
+  const { voiceId, modelId, stability, similarityBoost } = job.input;
+
+  // Stored by an earlier attempt that failed before saving it on the job
+  const stored = await VoiceRecording.findOne({ job: job._id }, { audio: 0 });
+  if (stored) {
+    const result = voiceResult(stored);
+    await recordSubmission(job, result);
+    return result;
+  }
+
+  const elevenLabsKey = await ApiKey.getKeyForService('elevenlabs');
+
+  if (!elevenLabsKey) {
+    return {
+      platform: 'elevenlabs',
+      status: 'demo',
+      message: 'ElevenLabs API key not configured. Go to Admin > API Keys to add your ElevenLabs key.',
+      demo: true
+    };
+  }
+
+  const selectedVoice = voiceId || '21m00Tcm4TlvDq8ikWAM'; // Default: Rachel
+
+  const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${selectedVoice}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'xi-api-key': elevenLabsKey
+    },
+    body: JSON.stringify({
+      text: lyrics.content.substring(0, 5000),
+      model_id: modelId || 'eleven_multilingual_v2',
+      voice_settings: {
+        stability: stability || 0.5,
+        similarity_boost: similarityBoost || 0.75
+      }
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errData = await response.json().catch(() => ({}));
+    throw new Error(errData.detail?.message || errData.message || `ElevenLabs API error: ${response.status}`);
+  }
+
+  // ElevenLabs returns the audio binary
+  const recording = await VoiceRecording.saveForLyrics({
+    lyrics: lyrics._id,
+    user: job.user,
+    job: job._id,
+    platform: 'elevenlabs',
+    contentType: response.headers.get('content-type') || 'audio/mpeg',
+    audio: Buffer.from(await response.arrayBuffer())
+  });
+
+  const result = voiceResult(recording);
+  await recordSubmission(job, result);
+  await recordKeyUsage('elevenlabs');
+
+  return result;
+};
+
+module.exports = {
+  runMusicJob,
+  runVideoJob,
+  runVoiceJob
+};
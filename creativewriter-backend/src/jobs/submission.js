@@ -0,0 +1,22 @@
+/**
+ * Job Submissions
+ * What an attempt already paid for or saved, kept on the job so a retry
+ * finishes from it instead of paying or saving again
+ */
+
+const GenerationJob = require('../models/GenerationJob');
+
+/**
+ * Save what a paid provider accepted (or what was saved from it) on the job,
+ * before anything else can fail
+ * @param {object} job - GenerationJob document
+ * @param {object} submission - The result to finish the job with
+ */
+const recordSubmission = async (job, submission) => {
+  await GenerationJob.updateOne({ _id: job._id }, { $set: { submission } });
+  job.submission = submission;
+};
+
+module.exports = {
+  recordSubmission
+};
@@ -0,0 +1,171 @@
+/**
+ * Moderation Middleware
+ * Screens prompt input before generation and lyrics before they are published,
+ * storing flagged items as ModerationFlags for the admin review queue
+ */
+
+const ModerationFlag = require('../models/ModerationFlag');
+const Setting = require('../models/Setting');
+const config = require('../config/config');
+const { AppError } = require('./errorHandler');
+const { generateWithFallback } = require('../providers');
+const { screenText, combineVerdicts, moderationPrompt, parseModerationAnswer } = require('../utils/moderation');
+
+const BLOCKLIST_KEY = 'moderation.blocklist';
+const PROVIDER_CHECK_KEY = 'moderation.providerCheck';
+
+/**
+ * Get the admin-managed moderation settings
+ * @returns {Promise<object>} { blocklist: string[], providerCheck: boolean }
+ */
+const getModerationSettings = async () => {
+  const blocklist = await Setting.getValue(BLOCKLIST_KEY, []);
+  const providerCheck = await Setting.getValue(PROVIDER_CHECK_KEY, false);
+  return {
+    blocklist: Array.isArray(blocklist) ? blocklist : [],
+    providerCheck: providerCheck === true
+  };
+};
+
+/**
+ * Save moderation settings
+ * @param {object} settings - { blocklist, providerCheck }; omitted keys are left as they are
+ * @param {string} userId - Admin making the change
+ */
+const saveModerationSettings = async ({ blocklist, providerCheck }, userId) => {
+  if (blocklist !== undefined) {
+    const terms = [...new Set(blocklist.map(term => term.trim().toLowerCase()).filter(Boolean))];
+    await Setting.setValue(BLOCKLIST_KEY, terms, userId);
+  }
+  if (providerCheck !== undefined) {
+    await Setting.setValue(PROVIDER_CHECK_KEY, providerCheck, userId);
+  }
+  return getModerationSettings();
+};
+
+/**
+ * Screen text offline, then with the LLM check when admins turned it on
+ * The LLM can only raise scores; if it fails, the offline verdict stands.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.input=true] - Prompt input (also screened for prompt injection)
+ * @returns {Promise<object>} Verdict with checkedBy
+ */
+const moderate = async (text, { input = true } = {}) => {
+  let settings = { blocklist: [], providerCheck: false };
+  try {
+    settings = await getModerationSettings();
+  } catch (error) {
+    console.error('Moderation settings error:', error.message);
+  }
+
+  const offline = { ...screenText(text, { blocklist: settings.blocklist, input }), checkedBy: 'offline' };
+  if (offline.action === 'block' || !settings.providerCheck) return offline;
+
+  try {
+    const result = await generateWithFallback({ prompt: moderationPrompt(text), maxTokens: config.moderation.providerMaxTokens });
+    const checked = parseModerationAnswer(result.text);
+    if (checked) {
+      const combined = combineVerdicts(offline, checked);
+      return { ...combined, checkedBy: combined.action !== offline.action ? result.provider : 'offline' };
+    }
+  } catch (error) {
+    console.error('Moderation provider error:', error.message);
+  }
+  return offline;
+};
+
+/**
+ * Middleware factory to screen request body fields that are sent to the LLM
+ * Blocked input is rejected with 422; input that only needs review goes through.
+ * Both are stored for the review queue.
+ * @param {string} source - What the input is for: 'generate', 'section' or 'dialect'
+ * @param {string[]} fields - Body fields to screen, e.g. ['theme', 'customLines'];
+ *   a field holding a list of strings is screened one entry per line
+ * @returns {function} Express middleware
+ */
+const moderateInput = (source, fields) => {
+  return async (req, res, next) => {
+    const fieldText = (value) => (Array.isArray(value) ? value.filter(v => typeof v === 'string').join('\n') : value);
+    const screened = fields.filter(field => typeof fieldText(req.body[field]) === 'string' && fieldText(req.body[field]).trim());
+    if (screened.length === 0) return next();
+
+    const text = screened.map(field => fieldText(req.body[field])).join('\n');
+    const result = await moderate(text);
+
+    if (result.flagged) {
+      try {
+        await ModerationFlag.record(result, { user: req.user._id, stage: 'input', source, fields: screened, text });
+      } catch (error) {
+        console.error('Moderation flag error:', error.message);
+      }
+    }
+
+    if (result.action === 'block') {
+      return res.status(422).json({
+        success: false,
+        error: 'Your request was flagged by content moderation. Please rephrase it and try again.',
+        code: 'CONTENT_FLAGGED',
+        data: {
+          categories: result.categories.map(c => c.category)
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Screen a document that is public or about to be
+ * Flagged documents are made private and held until an admin approves them.
+ * @param {object} doc - Lyrics or Collection document
+ * @param {string} userId - User publishing or editing it
+ * @param {string[]} fields - Text fields to screen
+ * @param {object} target - ModerationFlag reference, e.g. { source: 'publish', lyrics: id }
+ * @returns {Promise<object|null>} The ModerationFlag, or null when the document may stay public
+ */
+const screenForPublishing = async (doc, userId, fields, target) => {
+  const screened = fields.filter(field => doc[field]);
+  const text = screened.map(field => doc[field]).join('\n');
+  const result = await moderate(text, { input: false });
+
+  if (!result.flagged) {
+    doc.moderation = { status: 'clear' };
+    return null;
+  }
+
+  const flag = await ModerationFlag.record(result, { user: userId, stage: 'output', ...target, fields: screened, text });
+  doc.isPublic = false;
+  doc.moderation = { status: 'pending', flag: flag._id };
+  return flag;
+};
+
+/**
+ * Screen lyrics that are public or about to be
+ * Call before saving; sets lyrics.isPublic and lyrics.moderation.
+ * @param {object} lyrics - Lyrics document
+ * @param {string} userId - User publishing or editing the lyrics
+ * @returns {Promise<object|null>} The ModerationFlag, or null when the lyrics may stay public
+ */
+const screenPublication = (lyrics, userId) =>
+  screenForPublishing(lyrics, userId, ['title', 'theme', 'content'], { source: 'publish', lyrics: lyrics._id });
+
+/**
+ * Screen the title, description and cover text of a collection that is public or about to be
+ * Call before saving; sets collection.isPublic and collection.moderation.
+ * @param {object} collection - Collection document
+ * @param {string} userId
+ * @returns {Promise<object|null>} The ModerationFlag, or null when the collection may stay public
+ */
+const screenCollection = (collection, userId) =>
+  screenForPublishing(collection, userId, ['title', 'description', 'coverText'], { source: 'collection', lyricsCollection: collection._id });
+
+module.exports = {
+  getModerationSettings,
+  saveModerationSettings,
+  moderate,
+  moderateInput,
+  screenPublication,
+  screenCollection
+};
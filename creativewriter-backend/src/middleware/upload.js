@@ -0,0 +1,44 @@
+/**
+ * Upload Middleware
+ * Parses multipart lyrics files into memory for import
+ */
+
+const multer = require('multer');
+const config = require('../config/config');
+const { AppError } = require('./errorHandler');
+const { IMPORT_EXTENSIONS } = require('../utils/lyricsImport');
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each file must be under ${Math.round(config.lyrics.importMaxFileSize / 1024)} KB`,
+  LIMIT_FILE_COUNT: `Upload at most ${config.lyrics.importMaxFiles} files at a time`
+};
+
+const lyricsFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.lyrics.importMaxFileSize,
+    files: config.lyrics.importMaxFiles
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = file.originalname.split('.').pop().toLowerCase();
+    if (IMPORT_EXTENSIONS.includes(extension)) return cb(null, true);
+    cb(new AppError(`Unsupported file ${file.originalname}. Upload .txt, .md or .docx files.`, 400, 'UNSUPPORTED_FILE'));
+  }
+}).array('files');
+
+/**
+ * Middleware to read the `files` field of a multipart request into req.files
+ * Multer limit errors are reported as 400 AppErrors.
+ */
+const uploadLyricsFiles = (req, res, next) => {
+  lyricsFiles(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(new AppError(LIMIT_MESSAGES[err.code] || err.message, 400, err.code));
+    }
+    next(err);
+  });
+};
+
+module.exports = {
+  uploadLyricsFiles
+};
@@ -4,31 +4,51 @@
  */
 
 const Subscription = require('../models/Subscription');
+const GenerationJob = require('../models/GenerationJob');
 const { AppError } = require('./errorHandler');
 
+/**
+ * Load a user's subscription if it has a plan and is active or on trial
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { subscription }, or { error } with a 403 AppError
+ *   (NO_SUBSCRIPTION or SUBSCRIPTION_INACTIVE) for the middleware to pass on
+ */
+const activeSubscription = async (userId) => {
+  const subscription = await Subscription.getForUser(userId);
+
+  if (!subscription || !subscription.plan) {
+    return { error: new AppError('No active subscription found. Please subscribe to a plan.', 403, 'NO_SUBSCRIPTION') };
+  }
+
+  if (subscription.status !== 'active' && subscription.status !== 'trial') {
+    return { error: new AppError('Your subscription is not active. Please renew your plan.', 403, 'SUBSCRIPTION_INACTIVE') };
+  }
+
+  return { subscription };
+};
+
 /**
  * Middleware factory to check usage limits
  * @param {string} type - 'lyrics', 'music', 'video', or 'voice'
+ * @param {object} [options]
+ * @param {number|function} [options.cost=1] - Usage units the request will consume (e.g. 0.25 for a section),
+ *   or a function of req returning them
  * @returns {function} Express middleware
  */
-const checkUsageLimit = (type) => {
+const checkUsageLimit = (type, { cost = 1 } = {}) => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
         return next(new AppError('Authentication required', 401, 'NO_USER'));
       }
 
-      const subscription = await Subscription.getForUser(req.user._id);
+      const { subscription, error } = await activeSubscription(req.user._id);
+      if (error) return next(error);
 
-      if (!subscription || !subscription.plan) {
-        return next(new AppError('No active subscription found. Please subscribe to a plan.', 403, 'NO_SUBSCRIPTION'));
-      }
-
-      if (subscription.status !== 'active' && subscription.status !== 'trial') {
-        return next(new AppError('Your subscription is not active. Please renew your plan.', 403, 'SUBSCRIPTION_INACTIVE'));
-      }
-
-      const limitCheck = subscription.checkLimit(type, subscription.plan.limits);
+      // Queued and running jobs are charged when they finish, so reserve their cost now
+      const units = typeof cost === 'function' ? cost(req) : cost;
+      const pending = await GenerationJob.pendingUsage(req.user._id, type);
+      const limitCheck = subscription.checkLimit(type, subscription.plan.limits, units + pending);
 
       if (!limitCheck.allowed) {
         if (limitCheck.limit === 0) {
@@ -70,16 +90,104 @@ const checkUsageLimit = (type) => {
   };
 };
 
+/**
+ * Middleware to check that the user's plan includes the requested export format
+ * The format is read from req.query.format and checked against plan.features.exportFormats.
+ */
+const checkExportFormat = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401, 'NO_USER'));
+    }
+
+    const { subscription, error } = await activeSubscription(req.user._id);
+    if (error) return next(error);
+
+    const format = req.query.format;
+    const allowed = subscription.plan.features?.exportFormats || [];
+
+    if (!allowed.includes(format)) {
+      return res.status(403).json({
+        success: false,
+        error: `${format.toUpperCase()} export is not available on your current plan (${subscription.plan.name}). Please upgrade.`,
+        code: 'FEATURE_NOT_AVAILABLE',
+        data: {
+          currentPlan: subscription.plan.name,
+          format,
+          exportFormats: allowed
+        }
+      });
+    }
+
+    req.subscription = subscription;
+    next();
+  } catch (error) {
+    // Unlike usage limits this fails closed: a paid format is not served unchecked
+    console.error('Export format check error:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * Middleware factory to check that the user's plan turns on a feature flag
+ * @param {string} feature - Boolean key of plan.features (e.g. 'customDialects')
+ * @param {string} label - Feature name used in the upgrade message
+ * @returns {function} Express middleware
+ */
+const checkPlanFeature = (feature, label) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(new AppError('Authentication required', 401, 'NO_USER'));
+      }
+
+      const { subscription, error } = await activeSubscription(req.user._id);
+      if (error) return next(error);
+
+      if (!subscription.plan.features?.[feature]) {
+        return res.status(403).json({
+          success: false,
+          error: `${label} are not available on your current plan (${subscription.plan.name}). Please upgrade.`,
+          code: 'FEATURE_NOT_AVAILABLE',
+          data: {
+            currentPlan: subscription.plan.name,
+            feature
+          }
+        });
+      }
+
+      req.subscription = subscription;
+      next();
+    } catch (error) {
+      // Fails closed like checkExportFormat
+      console.error('Plan feature check error:', error.message);
+      next(error);
+    }
+  };
+};
+
+/**
+ * Whether the user's active subscription turns on a plan feature flag
+ * @param {string} userId - User ID
+ * @param {string} feature - Boolean key of plan.features
+ * @returns {Promise<boolean>}
+ */
+const planAllows = async (userId, feature) => {
+  const { subscription } = await activeSubscription(userId);
+  return Boolean(subscription && subscription.plan.features?.[feature]);
+};
+
 /**
  * Helper to increment usage after successful generation
  * @param {string} type - 'lyrics', 'music', 'video', or 'voice'
  * @param {string} userId - User ID
+ * @param {number} [amount=1] - Usage units consumed
  */
-const incrementUsage = async (type, userId) => {
+const incrementUsage = async (type, userId, amount = 1) => {
   try {
     const subscription = await Subscription.getForUser(userId);
     if (subscription) {
-      await subscription.incrementUsage(type);
+      await subscription.incrementUsage(type, amount);
     }
   } catch (error) {
     console.error('Usage increment error:', error.message);
@@ -88,5 +196,8 @@ const incrementUsage = async (type, userId) => {
 
 module.exports = {
   checkUsageLimit,
+  checkExportFormat,
+  checkPlanFeature,
+  planAllows,
   incrementUsage
 };
@@ -41,7 +41,7 @@ const apiKeySchema = new mongoose.Schema({
   service: {
     type: String,
     required: true,
-    enum: ['anthropic', 'suno', 'udio', 'heygen', 'elevenlabs'],
+    enum: ['anthropic', 'openai', 'ollama', 'suno', 'udio', 'heygen', 'elevenlabs'],
     unique: true
   },
   name: {
@@ -150,6 +150,24 @@ apiKeySchema.statics.initializeDefaults = async function() {
         model: 'claude-sonnet-4-20250514'
       }
     },
+    {
+      service: 'openai',
+      name: 'OpenAI-compatible',
+      description: 'AI Lyrics Generation via any OpenAI-compatible chat endpoint',
+      metadata: {
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini'
+      }
+    },
+    {
+      service: 'ollama',
+      name: 'Ollama (Local)',
+      description: 'AI Lyrics Generation via a local Ollama server (no key required)',
+      metadata: {
+        baseUrl: 'http://localhost:11434',
+        model: 'llama3.1'
+      }
+    },
     {
       service: 'suno',
       name: 'Suno AI',
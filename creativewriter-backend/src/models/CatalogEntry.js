@@ -0,0 +1,116 @@
+/**
+ * CatalogEntry Model
+ * Lyrics styles and poetry forms offered for generation, with their Telugu and
+ * English names and the guidance given to the model. Admins can edit the
+ * built-in entries and add new ones (e.g. Bathukamma paata, qawwali).
+ */
+
+const mongoose = require('mongoose');
+const { styleCatalog, poetryFormCatalog } = require('../utils/lyricsPrompt');
+
+// Built-in entries per kind; a new entry borrows demo phrases or structure from one of them
+const BUILT_IN = {
+  style: styleCatalog,
+  poetryForm: poetryFormCatalog
+};
+
+const catalogEntrySchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: Object.keys(BUILT_IN),
+    required: [true, 'Catalog kind is required']
+  },
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Key can only contain lowercase letters, numbers and hyphens']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  teluguName: {
+    type: String,
+    required: [true, 'Telugu name is required'],
+    trim: true,
+    maxlength: [60, 'Telugu name cannot exceed 60 characters']
+  },
+  guidance: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Guidance cannot exceed 500 characters'],
+    default: ''
+  },
+  // Built-in entry of the same kind used by the offline demo composer
+  base: {
+    type: String,
+    validate: {
+      validator: function(value) {
+        return Boolean(BUILT_IN[this.kind] && BUILT_IN[this.kind][value]);
+      },
+      message: 'Base must be a built-in entry of the same kind'
+    }
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+catalogEntrySchema.index({ kind: 1, key: 1 }, { unique: true });
+
+// Derive the key from the English name, and default the base to the first built-in entry
+catalogEntrySchema.pre('validate', function(next) {
+  if (!this.key && this.name) {
+    this.key = this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+  if (!this.base && BUILT_IN[this.kind]) {
+    this.base = BUILT_IN[this.kind][this.key] ? this.key : Object.keys(BUILT_IN[this.kind])[0];
+  }
+  next();
+});
+
+// Static method to find an active entry by kind and key
+catalogEntrySchema.statics.resolve = async function(kind, key) {
+  if (!key) return null;
+  return this.findOne({ kind, key: String(key).toLowerCase(), isActive: true });
+};
+
+// Static method to get the active styles and poetry forms in display order
+catalogEntrySchema.statics.listActive = async function() {
+  const entries = await this.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+  return {
+    styles: entries.filter(e => e.kind === 'style'),
+    poetryForms: entries.filter(e => e.kind === 'poetryForm')
+  };
+};
+
+// Static method to seed the built-in styles and poetry forms
+catalogEntrySchema.statics.initializeDefaults = async function() {
+  for (const [kind, entries] of Object.entries(BUILT_IN)) {
+    const keys = Object.keys(entries);
+    for (const [key, entry] of Object.entries(entries)) {
+      await this.findOneAndUpdate(
+        { kind, key },
+        { $setOnInsert: { kind, key, ...entry, base: key, sortOrder: keys.indexOf(key) } },
+        { upsert: true, new: true }
+      );
+    }
+  }
+
+  console.log('✅ Style and poetry form catalog initialized');
+};
+
+const CatalogEntry = mongoose.model('CatalogEntry', catalogEntrySchema);
+
+module.exports = CatalogEntry;
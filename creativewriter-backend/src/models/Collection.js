@@ -0,0 +1,87 @@
+/**
+ * Collection Model
+ * A songbook, album or soundtrack: an ordered list of the user's lyrics
+ */
+
+const mongoose = require('mongoose');
+
+const trackSchema = new mongoose.Schema({
+  lyrics: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lyrics',
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const collectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Collection title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    default: ''
+  },
+  coverText: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cover text cannot exceed 500 characters'],
+    default: '' // Shown on the cover of the songbook, e.g. film name and credits
+  },
+  tracks: [trackSchema], // In track order
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // Screening before publishing (middleware/moderation); pending collections stay private until an admin approves them
+  moderation: {
+    status: {
+      type: String,
+      enum: ['clear', 'pending', 'approved', 'rejected']
+    },
+    flag: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ModerationFlag'
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+collectionSchema.index({ user: 1, updatedAt: -1 });
+collectionSchema.index({ isPublic: 1, updatedAt: -1 });
+collectionSchema.index({ 'tracks.lyrics': 1 });
+
+// Virtual for the number of tracks
+collectionSchema.virtual('trackCount').get(function() {
+  return this.tracks ? this.tracks.length : 0;
+});
+
+// Static method to drop deleted lyrics from every collection
+collectionSchema.statics.removeLyrics = async function(lyricsIds) {
+  const ids = Array.isArray(lyricsIds) ? lyricsIds : [lyricsIds];
+  return this.updateMany(
+    { 'tracks.lyrics': { $in: ids } },
+    { $pull: { tracks: { lyrics: { $in: ids } } } }
+  );
+};
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+module.exports = Collection;
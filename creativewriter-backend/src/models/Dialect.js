@@ -0,0 +1,133 @@
+/**
+ * Dialect Model
+ * Vocabulary, grammatical markers and cultural references used to steer
+ * generation. Global dialects (no owner) are managed by admins; users whose
+ * plan allows custom dialects can define their own profiles. Each dialect
+ * belongs to one language (Telugu-English songs use the Telugu dialects).
+ */
+
+const mongoose = require('mongoose');
+const { dialectInfo, languageInfo, DIALECT_LANGUAGES } = require('../utils/lyricsPrompt');
+
+const listField = (max, label) => ({
+  type: [{ type: String, trim: true, maxlength: [100, `${label} entries cannot exceed 100 characters`] }],
+  default: [],
+  validate: {
+    validator: (list) => list.length <= max,
+    message: `Cannot have more than ${max} ${label.toLowerCase()} entries`
+  }
+});
+
+const dialectSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Dialect key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Dialect key can only contain lowercase letters, numbers and hyphens']
+  },
+  name: {
+    type: String,
+    required: [true, 'Dialect name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  // Name in the language's own script (Telugu, Devanagari, Tamil or Kannada)
+  nativeName: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Native name cannot exceed 60 characters'],
+    default: ''
+  },
+  language: {
+    type: String,
+    enum: DIALECT_LANGUAGES,
+    default: 'te'
+  },
+  vocabulary: listField(50, 'Vocabulary'),
+  markers: listField(20, 'Marker'),
+  references: listField(30, 'Reference'),
+  // Built-in dialect a custom profile extends (demo composer vocabulary, import guesses)
+  baseDialect: {
+    type: String,
+    enum: Object.keys(dialectInfo),
+    default: 'coastal',
+    validate: {
+      validator: function(base) {
+        return dialectInfo[base].language === this.language;
+      },
+      message: 'Base dialect must be a built-in dialect of the same language'
+    }
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+dialectSchema.index({ owner: 1, isActive: 1 });
+dialectSchema.index({ language: 1 });
+
+// Derive the key from the name; custom profiles get a suffix so they never clash with global keys
+dialectSchema.pre('validate', function(next) {
+  if (!this.key && this.name) {
+    const slug = this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'dialect';
+    this.key = this.owner ? `${slug}-${this._id.toString().slice(-6)}` : slug;
+  }
+  // A profile in another language extends that language's default dialect unless told otherwise
+  if (this.$isDefault('baseDialect') && languageInfo[this.language].defaultDialect) {
+    this.baseDialect = languageInfo[this.language].defaultDialect;
+  }
+  next();
+});
+
+// Static method to find a dialect the user may generate with
+dialectSchema.statics.resolve = async function(key, userId = null) {
+  if (!key) return null;
+  return this.findOne({
+    key: String(key).toLowerCase(),
+    isActive: true,
+    owner: { $in: userId ? [null, userId] : [null] }
+  });
+};
+
+// Static method to list global dialects and the user's own profiles, optionally for one language
+dialectSchema.statics.listAvailable = async function(userId = null, language = null) {
+  const filter = {
+    isActive: true,
+    owner: { $in: userId ? [null, userId] : [null] }
+  };
+  if (language) filter.language = language;
+
+  return this.find(filter).sort({ owner: 1, name: 1 });
+};
+
+// Static method to seed the built-in dialects
+dialectSchema.statics.initializeDefaults = async function() {
+  // Dialects saved before languages were added are Telugu
+  await this.updateMany({ language: { $exists: false } }, { $set: { language: 'te' } });
+  // The native name was stored as `teluguName` before dialects of other languages
+  await this.collection.updateMany({ teluguName: { $exists: true } }, { $rename: { teluguName: 'nativeName' } });
+
+  for (const [key, info] of Object.entries(dialectInfo)) {
+    await this.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { key, ...info, baseDialect: key, owner: null } },
+      { upsert: true, new: true }
+    );
+  }
+
+  console.log('✅ Dialects initialized');
+};
+
+const Dialect = mongoose.model('Dialect', dialectSchema);
+
+module.exports = Dialect;
@@ -0,0 +1,111 @@
+/**
+ * Generation Job Model
+ * A queued lyrics, music, video or voice generation, run by the job worker (src/jobs)
+ */
+
+const mongoose = require('mongoose');
+
+// Finished jobs are kept this long so clients can still poll the result
+const RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const generationJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['lyrics', 'music', 'video', 'voice'],
+    required: true
+  },
+  lyrics: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lyrics' // Source lyrics of a media job
+  },
+  input: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  cost: {
+    type: Number,
+    default: 1 // Usage units held for the job while it is queued or running
+  },
+  charged: {
+    type: Number,
+    default: 0 // Usage units charged when it succeeded; media demo results are free, saved demo lyrics are not
+  },
+  result: mongoose.Schema.Types.Mixed,
+  // What a paid provider accepted (task, video or recording id) or the lyrics
+  // saved from it, recorded before anything else can fail so a retry resumes
+  // from it instead of paying or saving again
+  submission: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    code: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  runAt: {
+    type: Date,
+    default: Date.now // Not picked up before this (retry backoff)
+  },
+  lockedBy: String, // Worker running the job
+  lockedAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+generationJobSchema.index({ status: 1, runAt: 1 });
+generationJobSchema.index({ user: 1, createdAt: -1 });
+generationJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+/**
+ * Atomically claim the next job that is due, or one whose worker stopped
+ * responding (still running after lockTimeout, e.g. after a restart)
+ * @param {string} workerId
+ * @param {number} lockTimeout - ms
+ * @returns {Promise<object|null>} The claimed job with attempts incremented
+ */
+generationJobSchema.statics.claimNext = function(workerId, lockTimeout) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - lockTimeout) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: workerId, lockedAt: now, startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Usage units held by a user's unfinished jobs of one type
+ * Added to the cost of a new request so queued work cannot overshoot the plan limit.
+ * @param {string} userId
+ * @param {string} type - 'lyrics', 'music', 'video' or 'voice'
+ * @returns {Promise<number>}
+ */
+generationJobSchema.statics.pendingUsage = async function(userId, type) {
+  const jobs = await this.find({ user: userId, type, status: { $in: ['queued', 'running'] } }).select('cost');
+  return jobs.reduce((sum, job) => sum + job.cost, 0);
+};
+
+const GenerationJob = mongoose.model('GenerationJob', generationJobSchema);
+
+module.exports = GenerationJob;
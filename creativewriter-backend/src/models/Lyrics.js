@@ -4,6 +4,112 @@
  */
 
 const mongoose = require('mongoose');
+const { parseLyricsStructure, extractTempo, teluguLineGroups, hasTransliteration } = require('../utils/lyricsSections');
+const { analyzeRhyme } = require('../utils/rhyme');
+const { searchableText } = require('../utils/search');
+const { styleCatalog, dialectInfo, languageInfo } = require('../utils/lyricsPrompt');
+const { TRANSLATION_LANGUAGES } = require('../utils/translation');
+const { fingerprint } = require('../utils/similarity');
+const { recommendRagaTala, sungLines } = require('../utils/ragaTala');
+
+// Bump when deriveFromContent changes so backfillSections re-derives stored lyrics
+const DERIVED_VERSION = 5;
+// Lyrics re-derived per write while backfilling
+const BACKFILL_BATCH_SIZE = 100;
+
+// A parsed 【…】 block of the lyrics, or the trailing `---` metadata block
+const sectionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true // e.g. pallavi, charanam-2, metadata
+  },
+  type: {
+    type: String,
+    enum: ['pallavi', 'anupallavi', 'charanam', 'other', 'metadata'],
+    default: 'other'
+  },
+  label: String,
+  teluguLines: [String],
+  transliterationLines: [String],
+  fields: {
+    type: Map,
+    of: String // Metadata block only: tempo, dialect, theme, raga, tala
+  },
+  lines: [String] // Metadata block only: raw lines
+}, { _id: false });
+
+// A line-by-line translation; each section's lines follow the song's lines one for one
+const translationSchema = new mongoose.Schema({
+  language: {
+    type: String,
+    enum: Object.keys(TRANSLATION_LANGUAGES),
+    required: true
+  },
+  sections: [{
+    _id: false,
+    key: String,
+    label: String,
+    lines: [{
+      _id: false,
+      source: String, // The line as it was when translated
+      text: String // Empty when the model skipped the line
+    }]
+  }],
+  provider: String,
+  model: String,
+  promptVersion: String,
+  stale: {
+    type: Boolean,
+    default: false // Set when the content changes after translating
+  },
+  translatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A co-author invited by email; `user` is set once the invitation is accepted
+const collaboratorSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'commenter', 'editor'],
+    default: 'viewer'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: Date,
+  // SHA-256 of the single-use invite token; cleared once the invitation is accepted
+  inviteToken: String
+}, {
+  // The token hash never leaves the server, whichever handler returns the lyrics
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.inviteToken;
+      return ret;
+    }
+  }
+});
 
 const lyricsSchema = new mongoose.Schema({
   user: {
@@ -22,6 +128,15 @@ const lyricsSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Lyrics content is required']
   },
+  sections: [sectionSchema], // Derived from content on save
+  searchText: {
+    type: String,
+    select: false // Folded title, theme, tags and content for search (utils/search)
+  },
+  fingerprint: {
+    type: [Number],
+    select: false // Winnowed shingle hashes of the lyric lines for similarity checks (utils/similarity)
+  },
   theme: {
     type: String,
     trim: true,
@@ -31,31 +146,42 @@ const lyricsSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Keys of CatalogEntry documents (built-in or added by admins)
   style: {
     type: String,
-    enum: ['devotional', 'folk', 'romantic', 'patriotic', 'lullaby', 'celebration', 'philosophical', 'cinematic'],
+    trim: true,
+    lowercase: true,
     default: 'romantic'
   },
+  // Key of a Dialect document (built-in, admin-managed or the user's custom profile)
   dialect: {
     type: String,
-    enum: ['telangana', 'rayalaseema', 'coastal', 'uttarandhra'],
+    trim: true,
+    lowercase: true,
     default: 'coastal'
   },
   poetryForm: {
     type: String,
-    enum: ['padyam', 'geeyam', 'janapada', 'keertana', 'modern'],
+    trim: true,
+    lowercase: true,
     default: 'geeyam'
   },
+  // Telugu, Telugu-English code-mixed, Hindi, Tamil or Kannada
   language: {
     type: String,
-    enum: ['te', 'te-en'], // Telugu only or Telugu with English transliteration
-    default: 'te-en'
+    enum: Object.keys(languageInfo),
+    default: 'te'
   },
   generationParams: {
+    provider: String, // Which LLM provider answered (anthropic, openai, ollama, demo)
     model: String,
     temperature: Number,
     maxTokens: Number,
-    promptVersion: String
+    promptVersion: String,
+    promptTemplate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptTemplate'
+    }
   },
   metadata: {
     wordCount: {
@@ -75,7 +201,15 @@ const lyricsSchema = new mongoose.Schema({
       default: '80-100 BPM'
     },
     suggestedRaga: String,
-    suggestedTala: String
+    suggestedTala: String,
+    rhyme: {
+      score: Number, // 0-100, null when there are no Telugu lines
+      praasa: Number, // Second-letter consistency, 0-1
+      antyaprasa: Number, // Share of lines with a rhyming ending, 0-1
+      anuprasa: Number, // Alliteration density, 0-1
+      analyzedAt: Date
+    },
+    derivedVersion: Number // DERIVED_VERSION that produced sections and metadata
   },
   tags: [{
     type: String,
@@ -89,6 +223,19 @@ const lyricsSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Screening before publishing (middleware/moderation); pending lyrics stay private until an admin approves them
+  moderation: {
+    status: {
+      type: String,
+      enum: ['clear', 'pending', 'approved', 'rejected']
+    },
+    flag: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ModerationFlag'
+    }
+  },
+  collaborators: [collaboratorSchema],
+  translations: [translationSchema], // At most one per language (POST /lyrics/:id/translate)
   rating: {
     type: Number,
     min: 1,
@@ -104,6 +251,14 @@ const lyricsSchema = new mongoose.Schema({
     platform: String,
     url: String,
     generatedAt: Date
+  },
+  voiceGenerated: {
+    platform: String,
+    recording: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VoiceRecording' // Audio is served by GET /media/voice/:recordingId
+    },
+    generatedAt: Date
   }
 }, {
   timestamps: true,
@@ -117,47 +272,66 @@ lyricsSchema.index({ style: 1 });
 lyricsSchema.index({ dialect: 1 });
 lyricsSchema.index({ tags: 1 });
 lyricsSchema.index({ isPublic: 1 });
+lyricsSchema.index({ 'collaborators.user': 1 });
+lyricsSchema.index({ 'collaborators.email': 1 });
+// Only public lyrics are searched for copies, so private ones stay out of the index
+lyricsSchema.index({ fingerprint: 1 }, { partialFilterExpression: { isPublic: true } });
 
 // Pre-save middleware to calculate metadata
 lyricsSchema.pre('save', function(next) {
   if (this.isModified('content')) {
-    this.metadata.wordCount = this.content.split(/\s+/).filter(w => w).length;
-    this.metadata.lineCount = this.content.split('\n').filter(l => l.trim()).length;
-    this.metadata.hasTransliteration = /[a-zA-Z]/.test(this.content);
+    this.deriveFromContent();
+    this.translations.forEach(translation => { translation.stale = true; });
+  } else if (this.isModified('title') || this.isModified('theme') || this.isModified('tags')) {
+    this.searchText = searchableText(this);
   }
   next();
 });
 
+// Method to recalculate metadata and structured sections from content
+lyricsSchema.methods.deriveFromContent = function() {
+  this.metadata.wordCount = this.content.split(/\s+/).filter(w => w).length;
+  this.metadata.lineCount = this.content.split('\n').filter(l => l.trim()).length;
+
+  const sections = parseLyricsStructure(this.content);
+  this.sections = sections;
+  this.metadata.hasTransliteration = hasTransliteration(this.content, sections);
+
+  const tempo = extractTempo(this.content);
+  if (tempo) this.metadata.suggestedTempo = tempo;
+
+  // A raga or tala named in the footer wins over the recommendation (utils/ragaTala)
+  const footer = sections.find(s => s.type === 'metadata');
+  const { ragas, talas } = recommendRagaTala({
+    style: this.style,
+    poetryForm: this.poetryForm,
+    theme: this.theme,
+    lines: sungLines(this.content, sections)
+  });
+  this.metadata.suggestedRaga = (footer && footer.fields.raga) || (ragas[0] && ragas[0].name);
+  this.metadata.suggestedTala = (footer && footer.fields.tala) || (talas[0] && talas[0].name);
+
+  const { score, praasa, antyaprasa, anuprasa } = analyzeRhyme(teluguLineGroups(this.content, sections));
+  this.metadata.rhyme = { score, praasa, antyaprasa, anuprasa, analyzedAt: new Date() };
+  this.searchText = searchableText(this);
+  this.fingerprint = fingerprint(this.content);
+  this.metadata.derivedVersion = DERIVED_VERSION;
+};
+
 // Virtual for excerpt
 lyricsSchema.virtual('excerpt').get(function() {
   if (!this.content) return '';
   return this.content.substring(0, 200) + (this.content.length > 200 ? '...' : '');
 });
 
-// Virtual for style display name
+// Virtual for style display name (admin-added styles show their key)
 lyricsSchema.virtual('styleDisplay').get(function() {
-  const styleNames = {
-    devotional: 'భక్తి గీతం',
-    folk: 'జానపద గీతం',
-    romantic: 'ప్రేమ గీతం',
-    patriotic: 'దేశభక్తి గీతం',
-    lullaby: 'జోల పాట',
-    celebration: 'పండుగ పాట',
-    philosophical: 'తత్వ గీతం',
-    cinematic: 'సినిమా పాట'
-  };
-  return styleNames[this.style] || this.style;
+  return styleCatalog[this.style] ? styleCatalog[this.style].teluguName : this.style;
 });
 
-// Virtual for dialect display name
+// Virtual for dialect display name (admin and custom dialects show their key)
 lyricsSchema.virtual('dialectDisplay').get(function() {
-  const dialectNames = {
-    telangana: 'తెలంగాణ',
-    rayalaseema: 'రాయలసీమ',
-    coastal: 'కోస్తాంధ్ర',
-    uttarandhra: 'ఉత్తరాంధ్ర'
-  };
-  return dialectNames[this.dialect] || this.dialect;
+  return dialectInfo[this.dialect] ? dialectInfo[this.dialect].nativeName : this.dialect;
 });
 
 // Static method to get user's lyrics stats
@@ -205,6 +379,37 @@ lyricsSchema.statics.getUserStats = async function(userId) {
   };
 };
 
+// Static method to re-derive sections and metadata for lyrics saved by older versions
+// Runs while the server is serving requests, so it writes in batches and only
+// where the content is unchanged: lyrics edited meanwhile were re-derived on save.
+lyricsSchema.statics.backfillSections = async function() {
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await this.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  const stale = this.find({ 'metadata.derivedVersion': { $ne: DERIVED_VERSION } }).batchSize(BACKFILL_BATCH_SIZE).cursor();
+  for await (const lyrics of stale) {
+    lyrics.deriveFromContent();
+    const { sections, metadata, searchText, fingerprint: hashes } = lyrics.toObject({ depopulate: true });
+    batch.push({
+      updateOne: {
+        filter: { _id: lyrics._id, content: lyrics.content },
+        update: { $set: { sections, metadata, searchText, fingerprint: hashes } }
+      }
+    });
+    if (batch.length >= BACKFILL_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  if (updated > 0) console.log(`✅ Re-derived sections and metadata for ${updated} lyrics`);
+};
+
 // Static method to get popular public lyrics
 lyricsSchema.statics.getPopular = async function(limit = 10) {
   return this.find({ isPublic: true })
@@ -0,0 +1,38 @@
+/**
+ * LyricsComment Model
+ * Comments left by the owner and collaborators on a lyrics document
+ */
+
+const mongoose = require('mongoose');
+
+const lyricsCommentSchema = new mongoose.Schema({
+  lyrics: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lyrics',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  section: {
+    type: String,
+    trim: true,
+    default: null // Section key (pallavi, charanam-1, …) or null for the whole song
+  },
+  text: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+lyricsCommentSchema.index({ lyrics: 1, createdAt: 1 });
+
+const LyricsComment = mongoose.model('LyricsComment', lyricsCommentSchema);
+
+module.exports = LyricsComment;
@@ -0,0 +1,57 @@
+/**
+ * Lyrics Draft Model
+ * Candidate variants from one multi-variant generation, kept until the user picks one
+ */
+
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true
+  },
+  generationParams: {
+    provider: String,
+    model: String,
+    maxTokens: Number,
+    promptVersion: String,
+    promptTemplate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptTemplate'
+    }
+  }
+}, { _id: false });
+
+const lyricsDraftSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Generation input shared by every variant
+  theme: String,
+  customLines: String,
+  style: String,
+  dialect: String,
+  poetryForm: String,
+  language: String,
+  variants: [variantSchema], // In generation order; the index identifies a variant
+  charged: {
+    type: Number,
+    default: 0 // Usage units charged for the group
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes groups nobody kept a variant from
+lyricsDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LyricsDraft = mongoose.model('LyricsDraft', lyricsDraftSchema);
+
+module.exports = LyricsDraft;
@@ -0,0 +1,79 @@
+/**
+ * LyricsRevision Model
+ * Snapshot of a lyrics title and content after each change, numbered per lyrics
+ */
+
+const mongoose = require('mongoose');
+
+const lyricsRevisionSchema = new mongoose.Schema({
+  lyrics: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lyrics',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Author of the change
+  },
+  source: {
+    type: String,
+    enum: ['generation', 'import', 'edit', 'section', 'transliteration', 'restore'],
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters'],
+    default: ''
+  },
+  title: String,
+  content: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+lyricsRevisionSchema.index({ lyrics: 1, revision: -1 }, { unique: true });
+
+// Static method to snapshot the current state of a lyrics document
+lyricsRevisionSchema.statics.record = async function(lyrics, { source, user, note = '' }) {
+  const latest = await this.findOne({ lyrics: lyrics._id }).sort({ revision: -1 }).select('revision');
+  return this.create({
+    lyrics: lyrics._id,
+    revision: latest ? latest.revision + 1 : 1,
+    user,
+    source,
+    note,
+    title: lyrics.title,
+    content: lyrics.content
+  });
+};
+
+// Static method to record the pre-history state of lyrics saved before revisions existed
+// Call before changing the document; does nothing once it has any revision.
+lyricsRevisionSchema.statics.ensureBaseline = async function(lyrics) {
+  const exists = await this.exists({ lyrics: lyrics._id });
+  if (exists) return null;
+
+  return this.create({
+    lyrics: lyrics._id,
+    revision: 1,
+    user: lyrics.user,
+    source: 'generation',
+    note: 'Original version',
+    title: lyrics.title,
+    content: lyrics.content,
+    createdAt: lyrics.createdAt
+  });
+};
+
+const LyricsRevision = mongoose.model('LyricsRevision', lyricsRevisionSchema);
+
+module.exports = LyricsRevision;
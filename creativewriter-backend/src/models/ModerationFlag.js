@@ -0,0 +1,98 @@
+/**
+ * ModerationFlag Model
+ * Prompt input or lyrics flagged by content moderation, queued for admin review
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const moderationFlagSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true // Who sent the input or published the lyrics
+  },
+  stage: {
+    type: String,
+    enum: ['input', 'output'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['generate', 'section', 'dialect', 'publish', 'collection'],
+    required: true
+  },
+  lyrics: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lyrics',
+    default: null // Output flags only
+  },
+  // Output flags for public collections (`collection` is reserved by Mongoose)
+  lyricsCollection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null
+  },
+  fields: [String], // Request or lyrics fields that were screened, e.g. theme, customLines
+  text: {
+    type: String,
+    default: ''
+  },
+  action: {
+    type: String,
+    enum: ['review', 'block'],
+    required: true // block: input was rejected; review: let through (input) or held (output)
+  },
+  categories: [{
+    _id: false,
+    category: String,
+    score: Number,
+    matches: [String]
+  }],
+  checkedBy: {
+    type: String,
+    default: 'offline' // offline, or the LLM provider that raised the score
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+moderationFlagSchema.index({ status: 1, createdAt: -1 });
+moderationFlagSchema.index({ lyrics: 1 });
+moderationFlagSchema.index({ lyricsCollection: 1 });
+
+// Static method to store a flagged verdict from utils/moderation for review
+moderationFlagSchema.statics.record = async function(result, { user, stage, source, lyrics = null, lyricsCollection = null, fields = [], text = '' }) {
+  return this.create({
+    user,
+    stage,
+    source,
+    lyrics,
+    lyricsCollection,
+    fields,
+    text: text.slice(0, config.moderation.maxFlagText),
+    action: result.action,
+    categories: result.categories,
+    checkedBy: result.checkedBy || 'offline'
+  });
+};
+
+const ModerationFlag = mongoose.model('ModerationFlag', moderationFlagSchema);
+
+module.exports = ModerationFlag;
@@ -0,0 +1,148 @@
+/**
+ * PromptTemplate Model
+ * Versioned LLM prompt templates editable by admins. Each document is one
+ * version; at most one version per template name is published at a time.
+ */
+
+const mongoose = require('mongoose');
+const { PROMPT_TEMPLATES, extractVariables } = require('../utils/lyricsPrompt');
+
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    lowercase: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  template: {
+    type: String,
+    required: [true, 'Template text is required'],
+    maxlength: [20000, 'Template cannot exceed 20000 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  variables: [{
+    type: String,
+    trim: true
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft'
+  },
+  builtIn: {
+    type: Boolean,
+    default: false // Seeded from the shipped default (PROMPT_TEMPLATES) rather than written by an admin
+  },
+  publishedAt: Date,
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promptTemplateSchema.index({ name: 1, version: -1 }, { unique: true });
+promptTemplateSchema.index({ name: 1, status: 1 });
+
+// Keep the referenced variable list in sync with the template text
+promptTemplateSchema.pre('save', function(next) {
+  if (this.isModified('template')) {
+    this.variables = extractVariables(this.template);
+  }
+  next();
+});
+
+// Static method to get the published version of a template
+promptTemplateSchema.statics.getPublished = async function(name) {
+  return this.findOne({ name, status: 'published' });
+};
+
+// Static method to create a new draft version
+promptTemplateSchema.statics.createVersion = async function(name, { template, description }, userId) {
+  const latest = await this.findOne({ name }).sort({ version: -1 }).select('version');
+  return this.create({
+    name,
+    version: latest ? latest.version + 1 : 1,
+    template,
+    description,
+    createdBy: userId
+  });
+};
+
+// Static method to publish a version, archiving the one it replaces
+promptTemplateSchema.statics.publishVersion = async function(name, version, userId) {
+  const target = await this.findOne({ name, version });
+  if (!target) return null;
+
+  await this.updateMany(
+    { name, status: 'published', _id: { $ne: target._id } },
+    { status: 'archived' }
+  );
+
+  target.status = 'published';
+  target.publishedAt = new Date();
+  target.publishedBy = userId;
+  await target.save();
+
+  return target;
+};
+
+// Static method to seed the built-in templates
+// When the shipped default text changes, it is added as a new version. That
+// version is published unless an admin has published a version of their own,
+// which is kept; the new default then waits as a draft for them to review.
+promptTemplateSchema.statics.initializeDefaults = async function() {
+  // Version 1 was seeded before built-in versions were marked
+  await this.updateMany(
+    { version: 1, builtIn: { $exists: false }, createdBy: { $exists: false } },
+    { $set: { builtIn: true } }
+  );
+
+  for (const [name, def] of Object.entries(PROMPT_TEMPLATES)) {
+    const shipped = await this.findOne({ name, builtIn: true }).sort({ version: -1 }).select('template');
+    if (shipped && shipped.template === def.defaultTemplate) continue;
+
+    const published = await this.getPublished(name);
+    const latest = await this.findOne({ name }).sort({ version: -1 }).select('version');
+    const version = latest ? latest.version + 1 : 1;
+
+    try {
+      await this.create({
+        name,
+        version,
+        template: def.defaultTemplate,
+        description: `Built-in ${def.description.toLowerCase()} prompt`,
+        builtIn: true
+      });
+    } catch (error) {
+      // Another server seeded this version first
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    if (!published || published.builtIn) {
+      await this.publishVersion(name, version, null);
+    }
+  }
+
+  console.log('✅ Prompt templates initialized');
+};
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+module.exports = PromptTemplate;
@@ -0,0 +1,69 @@
+/**
+ * ReferenceLyrics Model
+ * Admin-uploaded corpus of well-known songs (e.g. film songs) that new lyrics
+ * are checked against for copying, alongside public lyrics
+ */
+
+const mongoose = require('mongoose');
+const { fingerprint } = require('../utils/similarity');
+const { foldText } = require('../utils/search');
+
+const referenceLyricsSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  film: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Film cannot exceed 200 characters'],
+    default: ''
+  },
+  year: {
+    type: Number,
+    min: 1900,
+    max: 2100
+  },
+  lyricist: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Lyricist cannot exceed 100 characters'],
+    default: ''
+  },
+  content: {
+    type: String,
+    required: [true, 'Lyrics content is required']
+  },
+  fingerprint: {
+    type: [Number],
+    select: false // Winnowed shingle hashes (utils/similarity), derived from content on save
+  },
+  searchText: {
+    type: String,
+    select: false // Folded title, film and lyricist for the admin list
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+referenceLyricsSchema.index({ fingerprint: 1 });
+referenceLyricsSchema.index({ createdAt: -1 });
+
+// Pre-save middleware to fingerprint the content
+referenceLyricsSchema.pre('save', function(next) {
+  if (this.isModified('content')) this.fingerprint = fingerprint(this.content);
+  if (this.isModified('title') || this.isModified('film') || this.isModified('lyricist')) {
+    this.searchText = foldText([this.title, this.film, this.lyricist].join(' '));
+  }
+  next();
+});
+
+const ReferenceLyrics = mongoose.model('ReferenceLyrics', referenceLyricsSchema);
+
+module.exports = ReferenceLyrics;
@@ -104,9 +104,10 @@ subscriptionSchema.methods.checkAndResetUsage = function() {
  * Check if a specific usage type is within limits
  * @param {string} type - 'lyrics', 'music', 'video', or 'voice'
  * @param {object} planLimits - The plan's limits object
+ * @param {number} [cost=1] - Usage units the next generation will consume
  * @returns {object} { allowed, current, limit, remaining }
  */
-subscriptionSchema.methods.checkLimit = function(type, planLimits) {
+subscriptionSchema.methods.checkLimit = function(type, planLimits, cost = 1) {
   const mapping = {
     lyrics: { usage: 'lyricsGenerated', limit: 'lyricsPerMonth' },
     music: { usage: 'musicGenerated', limit: 'musicGenerations' },
@@ -131,7 +132,7 @@ subscriptionSchema.methods.checkLimit = function(type, planLimits) {
   }
 
   return {
-    allowed: current < limit,
+    allowed: current + cost <= limit,
     current,
     limit,
     remaining: Math.max(0, limit - current)
@@ -140,8 +141,10 @@ subscriptionSchema.methods.checkLimit = function(type, planLimits) {
 
 /**
  * Increment usage counter
+ * @param {string} type - 'lyrics', 'music', 'video', or 'voice'
+ * @param {number} [amount=1] - Usage units consumed (fractional for partial generations)
  */
-subscriptionSchema.methods.incrementUsage = async function(type) {
+subscriptionSchema.methods.incrementUsage = async function(type, amount = 1) {
   const mapping = {
     lyrics: 'lyricsGenerated',
     music: 'musicGenerated',
@@ -152,7 +155,7 @@ subscriptionSchema.methods.incrementUsage = async function(type) {
   const field = mapping[type];
   if (!field) return;
 
-  this.usage[field] += 1;
+  this.usage[field] += amount;
   await this.save();
 };
 
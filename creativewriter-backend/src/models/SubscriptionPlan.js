@@ -82,7 +82,8 @@ const subscriptionPlanSchema = new mongoose.Schema({
     maxLyricsLength: { type: Number, default: 2000 },
     prioritySupport: { type: Boolean, default: false },
     customDialects: { type: Boolean, default: false },
-    exportFormats: [{ type: String }]
+    exportFormats: [{ type: String }],
+    maxVariants: { type: Number, default: 1 } // Candidates per generate request (n)
   },
   offers: [offerSchema],
   isActive: {
@@ -110,7 +111,7 @@ subscriptionPlanSchema.statics.initializeDefaults = async function() {
       highlights: ['5 lyrics per month', 'Basic AI model', 'Standard export'],
       pricing: { monthly: 0, yearly: 0, currency: 'INR' },
       limits: { lyricsPerMonth: 5, musicGenerations: 0, videoGenerations: 0, voiceGenerations: 0 },
-      features: { aiModel: 'basic', maxLyricsLength: 2000, prioritySupport: false, customDialects: false, exportFormats: ['text'] },
+      features: { aiModel: 'basic', maxLyricsLength: 2000, prioritySupport: false, customDialects: false, exportFormats: ['text'], maxVariants: 1 },
       displayOrder: 1
     },
     {
@@ -118,10 +119,10 @@ subscriptionPlanSchema.statics.initializeDefaults = async function() {
       slug: 'pro',
       tier: 'pro',
       description: 'For serious lyricists who need more power',
-      highlights: ['30 lyrics per month', '5 music generations', '3 voice generations', 'Standard AI model'],
+      highlights: ['30 lyrics per month', '5 music generations', '3 voice generations', 'Compare 3 variants per request', 'Standard AI model'],
       pricing: { monthly: 299, yearly: 2999, currency: 'INR' },
       limits: { lyricsPerMonth: 30, musicGenerations: 5, videoGenerations: 0, voiceGenerations: 3 },
-      features: { aiModel: 'standard', maxLyricsLength: 4000, prioritySupport: false, customDialects: true, exportFormats: ['text', 'pdf'] },
+      features: { aiModel: 'standard', maxLyricsLength: 4000, prioritySupport: false, customDialects: true, exportFormats: ['text', 'pdf'], maxVariants: 3 },
       displayOrder: 2
     },
     {
@@ -129,10 +130,10 @@ subscriptionPlanSchema.statics.initializeDefaults = async function() {
       slug: 'premium',
       tier: 'premium',
       description: 'Full creative suite for professionals',
-      highlights: ['100 lyrics per month', '20 music generations', '10 video generations', '10 voice generations', 'Premium AI model'],
+      highlights: ['100 lyrics per month', '20 music generations', '10 video generations', '10 voice generations', 'Compare 4 variants per request', 'Premium AI model'],
       pricing: { monthly: 799, yearly: 7999, currency: 'INR' },
       limits: { lyricsPerMonth: 100, musicGenerations: 20, videoGenerations: 10, voiceGenerations: 10 },
-      features: { aiModel: 'premium', maxLyricsLength: 8000, prioritySupport: true, customDialects: true, exportFormats: ['text', 'pdf', 'docx'] },
+      features: { aiModel: 'premium', maxLyricsLength: 8000, prioritySupport: true, customDialects: true, exportFormats: ['text', 'pdf', 'docx'], maxVariants: 4 },
       displayOrder: 3
     },
     {
@@ -143,7 +144,7 @@ subscriptionPlanSchema.statics.initializeDefaults = async function() {
       highlights: ['Unlimited lyrics', 'Unlimited music', 'Unlimited video', 'Unlimited voice', 'Priority support', 'Premium AI model'],
       pricing: { monthly: 2499, yearly: 24999, currency: 'INR' },
       limits: { lyricsPerMonth: -1, musicGenerations: -1, videoGenerations: -1, voiceGenerations: -1 },
-      features: { aiModel: 'premium', maxLyricsLength: 16000, prioritySupport: true, customDialects: true, exportFormats: ['text', 'pdf', 'docx', 'srt'] },
+      features: { aiModel: 'premium', maxLyricsLength: 16000, prioritySupport: true, customDialects: true, exportFormats: ['text', 'pdf', 'docx', 'srt', 'lrc'], maxVariants: 4 },
       displayOrder: 4
     }
   ];
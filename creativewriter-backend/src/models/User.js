@@ -50,7 +50,7 @@ const userSchema = new mongoose.Schema({
     },
     language: {
       type: String,
-      enum: ['te', 'en', 'hi'],
+      enum: ['te', 'en', 'hi', 'ta', 'kn'],
       default: 'te'
     },
     avatar: {
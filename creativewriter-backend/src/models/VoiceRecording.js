@@ -0,0 +1,60 @@
+/**
+ * VoiceRecording Model
+ * The latest ElevenLabs voice synthesis of a lyrics document
+ *
+ * Kept apart from the lyrics and the GenerationJob so those documents stay
+ * small; a recording of the 5000 characters sent to ElevenLabs is a few MB.
+ */
+
+const mongoose = require('mongoose');
+
+const voiceRecordingSchema = new mongoose.Schema({
+  lyrics: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lyrics',
+    required: true,
+    unique: true // A new synthesis replaces the previous one
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true // Who generated it
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GenerationJob',
+    index: true // The voice job that stored it, so a retry finds it instead of paying again
+  },
+  platform: {
+    type: String,
+    default: 'elevenlabs'
+  },
+  contentType: {
+    type: String,
+    default: 'audio/mpeg'
+  },
+  audio: {
+    type: Buffer,
+    required: true
+  },
+  size: Number // Bytes
+}, {
+  timestamps: true
+});
+
+/**
+ * Store the audio for lyrics, replacing any earlier recording
+ * @param {object} details - { lyrics, user, job, platform, contentType, audio }
+ * @returns {Promise<object>} The recording, without its audio
+ */
+voiceRecordingSchema.statics.saveForLyrics = function({ lyrics, user, job, platform, contentType, audio }) {
+  return this.findOneAndUpdate(
+    { lyrics },
+    { $set: { user, job, platform, contentType, audio, size: audio.length } },
+    { upsert: true, new: true, projection: { audio: 0 } }
+  );
+};
+
+const VoiceRecording = mongoose.model('VoiceRecording', voiceRecordingSchema);
+
+module.exports = VoiceRecording;
@@ -0,0 +1,80 @@
+/**
+ * Anthropic (Claude) Provider
+ * Messages API - https://docs.anthropic.com/en/api/messages
+ */
+
+const fetch = require('node-fetch');
+const config = require('../config/config');
+const { parseEventStream } = require('../utils/sse');
+
+const buildRequest = ({ apiKey, baseUrl, model, prompt, maxTokens, stream, signal }) => [
+  `${baseUrl}/messages`,
+  {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      ...(stream && { stream: true }),
+      messages: [{ role: 'user', content: prompt }]
+    }),
+    ...(signal && { signal })
+  }
+];
+
+module.exports = {
+  service: 'anthropic',
+  name: 'Anthropic (Claude)',
+  requiresKey: true,
+  defaults: {
+    baseUrl: config.apis.anthropic.baseUrl,
+    model: config.apis.anthropic.model
+  },
+
+  /**
+   * Generate a complete response
+   * @returns {string} Generated text
+   */
+  async generate(options) {
+    const response = await fetch(...buildRequest(options));
+
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.content
+      .map(item => item.type === 'text' ? item.text : '')
+      .filter(Boolean)
+      .join('\n');
+  },
+
+  /**
+   * Stream a response, calling onText for every text delta
+   * @returns {string} The full generated text
+   */
+  async stream({ onText = () => {}, ...options }) {
+    const response = await fetch(...buildRequest({ ...options, stream: true }));
+
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+
+    let fullText = '';
+    await parseEventStream(response.body, ({ event, data }) => {
+      if (event === 'error') {
+        throw new Error(data.error?.message || 'Anthropic stream error');
+      }
+      if (event === 'content_block_delta' && data.delta?.type === 'text_delta') {
+        fullText += data.delta.text;
+        onText(data.delta.text);
+      }
+    });
+
+    return fullText;
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * LLM Provider Registry
+ * Registers lyrics generation providers by ApiKey service name and runs
+ * them in the admin-configured fallback order
+ */
+
+const ApiKey = require('../models/ApiKey');
+const Setting = require('../models/Setting');
+
+const FALLBACK_CHAIN_KEY = 'llm.fallbackChain';
+const DEFAULT_CHAIN = ['anthropic'];
+
+const providers = new Map();
+
+/**
+ * Register a provider
+ * A provider exposes { service, name, requiresKey, defaults: { baseUrl, model }, generate(), stream() }
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.service, provider);
+};
+
+const getProvider = (service) => providers.get(service) || null;
+
+const listProviders = () => Array.from(providers.values());
+
+/**
+ * Get the ordered fallback chain configured by admins
+ * @returns {string[]} Provider service names
+ */
+const getFallbackChain = async () => {
+  const chain = await Setting.getValue(FALLBACK_CHAIN_KEY);
+  return Array.isArray(chain) && chain.length > 0 ? chain : DEFAULT_CHAIN;
+};
+
+/**
+ * Save the fallback chain
+ * @param {string[]} chain - Provider service names, in order of preference
+ * @param {string} userId - Admin making the change
+ */
+const setFallbackChain = async (chain, userId) => {
+  const unknown = chain.filter(service => !providers.has(service));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown provider(s): ${unknown.join(', ')}`);
+  }
+  await Setting.setValue(FALLBACK_CHAIN_KEY, [...new Set(chain)], userId);
+};
+
+/**
+ * Resolve connection details for a provider from its ApiKey entry
+ * @returns {object|null} { provider, apiKey, baseUrl, model, keyDoc } or null if not usable
+ */
+const resolveProvider = async (service) => {
+  const provider = getProvider(service);
+  if (!provider) return null;
+
+  // null means no active ApiKey entry; '' means active but no key stored
+  const apiKey = await ApiKey.getKeyForService(service);
+  if (apiKey === null || apiKey === undefined) return null;
+  if (provider.requiresKey && !apiKey) return null;
+
+  const keyDoc = await ApiKey.findOne({ service });
+  const metadata = (keyDoc && keyDoc.metadata) || {};
+
+  return {
+    provider,
+    apiKey,
+    baseUrl: (metadata.baseUrl || provider.defaults.baseUrl).replace(/\/+$/, ''),
+    model: metadata.model || provider.defaults.model,
+    keyDoc
+  };
+};
+
+/**
+ * Generate text with the first provider in the chain that succeeds
+ * @param {object} options
+ * @param {string} options.prompt - User prompt
+ * @param {number} options.maxTokens - Max tokens to generate
+ * @param {function} [options.onText] - Enables streaming; called per text delta
+ * @param {function} [options.onAttempt] - Called with { provider, model } before each attempt
+ * @param {AbortSignal} [options.signal] - Aborts the in-flight request
+ * @returns {object} { text, provider, model, attempts }
+ * @throws {Error} code PROVIDERS_UNAVAILABLE when no provider is configured or all fail;
+ *   code STREAM_INTERRUPTED when a provider fails after streaming partial text
+ */
+const generateWithFallback = async ({ prompt, maxTokens, onText, onAttempt, signal }) => {
+  const chain = await getFallbackChain();
+  const attempts = [];
+
+  for (const service of chain) {
+    const target = await resolveProvider(service);
+    if (!target) continue;
+
+    const { provider, apiKey, baseUrl, model, keyDoc } = target;
+    const request = { apiKey, baseUrl, model, prompt, maxTokens, signal };
+    let streamed = false;
+
+    if (onAttempt) onAttempt({ provider: service, model });
+
+    try {
+      const text = onText
+        ? await provider.stream({
+          ...request,
+          onText: (delta) => {
+            streamed = true;
+            onText(delta);
+          }
+        })
+        : await provider.generate(request);
+
+      if (!text || !text.trim()) {
+        throw new Error('Empty response');
+      }
+
+      if (keyDoc) await keyDoc.recordUsage();
+
+      attempts.push({ provider: service, success: true });
+      return { text, provider: service, model, attempts };
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+
+      console.error(`${provider.name} provider error:`, error.message);
+      attempts.push({ provider: service, success: false, error: error.message });
+
+      // Partial output was already delivered; another provider can't continue it
+      if (streamed) {
+        const interrupted = new Error(`${provider.name} stream interrupted: ${error.message}`);
+        interrupted.code = 'STREAM_INTERRUPTED';
+        interrupted.attempts = attempts;
+        throw interrupted;
+      }
+    }
+  }
+
+  const error = new Error(attempts.length > 0 ? 'All lyrics providers failed' : 'No lyrics provider configured');
+  error.code = 'PROVIDERS_UNAVAILABLE';
+  error.attempts = attempts;
+  throw error;
+};
+
+// Built-in providers
+registerProvider(require('./anthropic'));
+registerProvider(require('./openai'));
+registerProvider(require('./ollama'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  getFallbackChain,
+  setFallbackChain,
+  resolveProvider,
+  generateWithFallback,
+  DEFAULT_CHAIN
+};
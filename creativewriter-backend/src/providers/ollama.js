@@ -0,0 +1,84 @@
+/**
+ * Ollama Provider
+ * Local model server chat API - https://github.com/ollama/ollama/blob/main/docs/api.md
+ */
+
+const fetch = require('node-fetch');
+const { StringDecoder } = require('string_decoder');
+const config = require('../config/config');
+
+const buildRequest = ({ apiKey, baseUrl, model, prompt, maxTokens, stream, signal }) => [
+  `${baseUrl}/api/chat`,
+  {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      // Local servers need no key, but a reverse proxy in front of one may
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+    },
+    body: JSON.stringify({
+      model,
+      stream: !!stream,
+      options: { num_predict: maxTokens },
+      messages: [{ role: 'user', content: prompt }]
+    }),
+    ...(signal && { signal })
+  }
+];
+
+module.exports = {
+  service: 'ollama',
+  name: 'Ollama (Local)',
+  requiresKey: false,
+  defaults: {
+    baseUrl: config.apis.ollama.baseUrl,
+    model: config.apis.ollama.model
+  },
+
+  async generate(options) {
+    const response = await fetch(...buildRequest(options));
+
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.message?.content || '';
+  },
+
+  async stream({ onText = () => {}, ...options }) {
+    const response = await fetch(...buildRequest({ ...options, stream: true }));
+
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+
+    // Ollama streams newline-delimited JSON objects
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let fullText = '';
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(data.error);
+      }
+      const text = data.message?.content;
+      if (text) {
+        fullText += text;
+        onText(text);
+      }
+    };
+
+    for await (const chunk of response.body) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.end());
+
+    return fullText;
+  }
+};
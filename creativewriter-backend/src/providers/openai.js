@@ -0,0 +1,71 @@
+/**
+ * OpenAI-compatible Provider
+ * Chat Completions API - works with OpenAI and compatible gateways (Together, Groq, vLLM, etc.)
+ */
+
+const fetch = require('node-fetch');
+const config = require('../config/config');
+const { parseEventStream } = require('../utils/sse');
+
+const buildRequest = ({ apiKey, baseUrl, model, prompt, maxTokens, stream, signal }) => [
+  `${baseUrl}/chat/completions`,
+  {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      ...(stream && { stream: true }),
+      messages: [{ role: 'user', content: prompt }]
+    }),
+    ...(signal && { signal })
+  }
+];
+
+module.exports = {
+  service: 'openai',
+  name: 'OpenAI-compatible',
+  requiresKey: true,
+  defaults: {
+    baseUrl: config.apis.openai.baseUrl,
+    model: config.apis.openai.model
+  },
+
+  async generate(options) {
+    const response = await fetch(...buildRequest(options));
+
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+  },
+
+  async stream({ onText = () => {}, ...options }) {
+    const response = await fetch(...buildRequest({ ...options, stream: true }));
+
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+
+    let fullText = '';
+    await parseEventStream(response.body, ({ data }) => {
+      // Stream terminates with a literal "[DONE]" payload
+      if (typeof data !== 'object') return;
+      if (data.error) {
+        throw new Error(data.error.message || 'OpenAI stream error');
+      }
+      const text = data.choices?.[0]?.delta?.content;
+      if (text) {
+        fullText += text;
+        onText(text);
+      }
+    });
+
+    return fullText;
+  }
+};
@@ -18,7 +18,15 @@ const {
   getApiKeys,
   updateApiKey,
   testApiKey,
-  deleteApiKey
+  deleteApiKey,
+  getProviders,
+  updateProviderChain,
+  getPromptTemplates,
+  getPromptVersions,
+  createPromptVersion,
+  previewPromptTemplate,
+  publishPromptVersion,
+  rollbackPromptTemplate
 } = require('../controllers/adminController');
 
 // All routes require authentication and admin role
@@ -50,4 +58,19 @@ router.route('/apikeys/:service')
 
 router.post('/apikeys/:service/test', testApiKey);
 
+// Lyrics LLM Providers
+router.get('/providers', getProviders);
+router.put('/providers/chain', updateProviderChain);
+
+// Prompt Templates
+router.get('/prompts', getPromptTemplates);
+
+router.route('/prompts/:name/versions')
+  .get(getPromptVersions)
+  .post(createPromptVersion);
+
+router.post('/prompts/:name/preview', previewPromptTemplate);
+router.post('/prompts/:name/versions/:version/publish', publishPromptVersion);
+router.post('/prompts/:name/rollback', rollbackPromptTemplate);
+
 module.exports = router;
@@ -0,0 +1,71 @@
+/**
+ * Catalog Routes
+ * Routes for the style and poetry form catalog, and admin operations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const { protect, adminOnly } = require('../middleware/auth');
+
+const {
+  getCatalog,
+  adminGetCatalog,
+  adminCreateCatalogEntry,
+  adminUpdateCatalogEntry
+} = require('../controllers/catalogController');
+
+const KINDS = ['style', 'poetryForm'];
+
+// Validation rules
+const entryValidation = (isNew) => [
+  isNew
+    ? body('name').trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 60 }).withMessage('Name cannot exceed 60 characters')
+    : body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+      .isLength({ max: 60 }).withMessage('Name cannot exceed 60 characters'),
+  isNew
+    ? body('teluguName').trim().notEmpty().withMessage('Telugu name is required')
+      .isLength({ max: 60 }).withMessage('Telugu name cannot exceed 60 characters')
+    : body('teluguName').optional().trim().notEmpty().withMessage('Telugu name cannot be empty')
+      .isLength({ max: 60 }).withMessage('Telugu name cannot exceed 60 characters'),
+  body('guidance')
+    .optional()
+    .isString().isLength({ max: 500 }).withMessage('Guidance cannot exceed 500 characters'),
+  body('sortOrder').optional().isInt().withMessage('sortOrder must be a number'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+// Public routes
+router.get('/', getCatalog);
+
+// Admin routes
+router.use('/admin', protect, adminOnly);
+
+router.route('/admin')
+  .get(
+    query('kind').optional().isIn(KINDS).withMessage(`kind must be one of: ${KINDS.join(', ')}`),
+    validate,
+    adminGetCatalog
+  )
+  .post(
+    [
+      body('kind').isIn(KINDS).withMessage(`kind must be one of: ${KINDS.join(', ')}`),
+      body('key')
+        .optional()
+        .matches(/^[a-z0-9-]+$/).withMessage('Key can only contain lowercase letters, numbers and hyphens'),
+      ...entryValidation(true)
+    ],
+    validate,
+    adminCreateCatalogEntry
+  );
+
+router.put(
+  '/admin/:id',
+  [param('id').isMongoId().withMessage('Invalid catalog entry id'), ...entryValidation(false)],
+  validate,
+  adminUpdateCatalogEntry
+);
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * Collection Routes
+ * Routes for songbooks and albums of lyrics
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { checkExportFormat } = require('../middleware/usageLimit');
+const config = require('../config/config');
+const { COLLECTION_EXPORT_FORMATS } = require('../utils/lyricsExport');
+const { SCHEMES } = require('../utils/transliterate');
+
+const {
+  getCollections,
+  getPublicCollections,
+  getCollection,
+  exportCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addTrack,
+  removeTrack,
+  reorderTracks
+} = require('../controllers/collectionController');
+
+// Validation rules
+const MAX_TRACKS = config.collections.maxTracks;
+
+const detailsValidation = [
+  body('description')
+    .optional()
+    .isString().isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+  body('coverText')
+    .optional()
+    .isString().isLength({ max: 500 }).withMessage('Cover text cannot exceed 500 characters'),
+  body('isPublic')
+    .optional()
+    .isBoolean().withMessage('isPublic must be true or false')
+];
+
+const lyricsListValidation = [
+  body('lyrics').isArray({ max: MAX_TRACKS }).withMessage(`lyrics must be a list of up to ${MAX_TRACKS} lyrics ids`),
+  body('lyrics.*').isMongoId().withMessage('Invalid lyrics id')
+];
+
+// Public routes
+router.get('/public', optionalAuth, getPublicCollections);
+
+// Protected routes
+router.use(protect);
+
+router.route('/')
+  .get(getCollections)
+  .post(
+    [
+      body('title').trim().notEmpty().withMessage('Title is required')
+        .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+      ...detailsValidation,
+      body('lyrics').optional().isArray({ max: MAX_TRACKS }).withMessage(`lyrics must be a list of up to ${MAX_TRACKS} lyrics ids`),
+      body('lyrics.*').isMongoId().withMessage('Invalid lyrics id')
+    ],
+    validate,
+    createCollection
+  );
+
+router.route('/:id')
+  .get(getCollection)
+  .put(
+    [
+      body('title').optional().trim().notEmpty().withMessage('Title cannot be empty')
+        .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+      ...detailsValidation
+    ],
+    validate,
+    updateCollection
+  )
+  .delete(deleteCollection);
+
+// Songbook download in a format from the user's plan
+router.get(
+  '/:id/export',
+  [
+    query('format').isIn(COLLECTION_EXPORT_FORMATS).withMessage(`Format must be one of: ${COLLECTION_EXPORT_FORMATS.join(', ')}`),
+    query('scheme').optional().isIn(SCHEMES).withMessage(`Scheme must be one of: ${SCHEMES.join(', ')}`)
+  ],
+  validate,
+  checkExportFormat,
+  exportCollection
+);
+
+// Track list
+router.route('/:id/tracks')
+  .post(
+    [
+      body('lyricsId').isMongoId().withMessage('Invalid lyrics id'),
+      body('position').optional().isInt({ min: 1 }).withMessage('Position must be a positive number')
+    ],
+    validate,
+    addTrack
+  )
+  .put(lyricsListValidation, validate, reorderTracks);
+
+router.delete('/:id/tracks/:lyricsId', removeTrack);
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * Dialect Routes
+ * Routes for dialect lexicons and custom dialect profiles, and admin operations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const { protect, optionalAuth, adminOnly } = require('../middleware/auth');
+const { checkPlanFeature } = require('../middleware/usageLimit');
+const { moderateInput } = require('../middleware/moderation');
+const { dialectInfo, languageInfo, DIALECT_LANGUAGES } = require('../utils/lyricsPrompt');
+
+const {
+  getDialects,
+  createDialect,
+  updateDialect,
+  deleteDialect,
+  adminGetDialects,
+  adminCreateDialect,
+  adminUpdateDialect
+} = require('../controllers/dialectController');
+
+// Validation rules
+const listValidation = (field, max) => [
+  body(field).optional().isArray({ max }).withMessage(`${field} must be a list of up to ${max} entries`),
+  body(`${field}.*`).isString().trim().isLength({ min: 1, max: 100 }).withMessage(`Each ${field} entry must be 1-100 characters`)
+];
+
+const profileValidation = (isNew) => [
+  isNew
+    ? body('name').trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 60 }).withMessage('Name cannot exceed 60 characters')
+    : body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+      .isLength({ max: 60 }).withMessage('Name cannot exceed 60 characters'),
+  body('nativeName')
+    .optional()
+    .isString().trim().isLength({ max: 60 }).withMessage('Native name cannot exceed 60 characters'),
+  body('language')
+    .optional()
+    .isIn(DIALECT_LANGUAGES)
+    .withMessage(`Language must be one of: ${DIALECT_LANGUAGES.join(', ')}`),
+  ...listValidation('vocabulary', 50),
+  ...listValidation('markers', 20),
+  ...listValidation('references', 30),
+  body('baseDialect')
+    .optional()
+    .isIn(Object.keys(dialectInfo))
+    .withMessage(`Base dialect must be one of: ${Object.keys(dialectInfo).join(', ')}`)
+];
+
+const idValidation = param('id').isMongoId().withMessage('Invalid dialect id');
+
+const customDialectsAllowed = checkPlanFeature('customDialects', 'Custom dialects');
+
+// Custom profiles are written into the lyrics prompt, so their text is screened like a theme
+const screenProfile = moderateInput('dialect', ['name', 'nativeName', 'vocabulary', 'markers', 'references']);
+
+// Public routes (custom profiles are listed when signed in)
+router.get(
+  '/',
+  optionalAuth,
+  query('language').optional().isIn(Object.keys(languageInfo)).withMessage('Invalid language'),
+  validate,
+  getDialects
+);
+
+// Admin routes
+router.route('/admin')
+  .get(protect, adminOnly, adminGetDialects)
+  .post(
+    protect,
+    adminOnly,
+    [
+      body('key')
+        .optional()
+        .matches(/^[a-z0-9-]+$/).withMessage('Key can only contain lowercase letters, numbers and hyphens'),
+      body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+      ...profileValidation(true)
+    ],
+    validate,
+    adminCreateDialect
+  );
+
+router.put(
+  '/admin/:id',
+  protect,
+  adminOnly,
+  [
+    idValidation,
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+    ...profileValidation(false)
+  ],
+  validate,
+  adminUpdateDialect
+);
+
+// Custom dialect profiles
+router.post('/', protect, customDialectsAllowed, profileValidation(true), validate, screenProfile, createDialect);
+
+router.route('/:id')
+  .put(protect, customDialectsAllowed, [idValidation, ...profileValidation(false)], validate, screenProfile, updateDialect)
+  .delete(protect, idValidation, validate, deleteDialect);
+
+module.exports = router;
@@ -9,7 +9,13 @@ const router = express.Router();
 const authRoutes = require('./authRoutes');
 const adminRoutes = require('./adminRoutes');
 const lyricsRoutes = require('./lyricsRoutes');
+const collectionRoutes = require('./collectionRoutes');
 const mediaRoutes = require('./mediaRoutes');
+const jobRoutes = require('./jobRoutes');
+const dialectRoutes = require('./dialectRoutes');
+const catalogRoutes = require('./catalogRoutes');
+const moderationRoutes = require('./moderationRoutes');
+const similarityRoutes = require('./similarityRoutes');
 const subscriptionRoutes = require('./subscriptionRoutes');
 
 // Health check
@@ -26,7 +32,13 @@ router.get('/health', (req, res) => {
 router.use('/auth', authRoutes);
 router.use('/admin', adminRoutes);
 router.use('/lyrics', lyricsRoutes);
+router.use('/collections', collectionRoutes);
 router.use('/media', mediaRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/dialects', dialectRoutes);
+router.use('/catalog', catalogRoutes);
+router.use('/moderation', moderationRoutes);
+router.use('/similarity', similarityRoutes);
 router.use('/subscriptions', subscriptionRoutes);
 
 module.exports = router;
@@ -0,0 +1,36 @@
+/**
+ * Job Routes
+ * Routes for polling queued lyrics and media generations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const validate = require('../middleware/validate');
+const { protect } = require('../middleware/auth');
+
+const {
+  getJobs,
+  getJob,
+  cancelJob
+} = require('../controllers/jobController');
+
+router.use(protect);
+
+router.get(
+  '/',
+  [
+    query('type').optional().isIn(['lyrics', 'music', 'video', 'voice']).withMessage('Invalid job type'),
+    query('status').optional().isIn(['queued', 'running', 'succeeded', 'failed', 'cancelled']).withMessage('Invalid job status'),
+    query('lyrics').optional().isMongoId().withMessage('Invalid lyrics id'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validate,
+  getJobs
+);
+
+router.route('/:id')
+  .get(getJob)
+  .delete(cancelJob);
+
+module.exports = router;
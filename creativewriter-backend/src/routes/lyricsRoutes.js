@@ -5,53 +5,208 @@
 
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const validate = require('../middleware/validate');
 const { protect, optionalAuth } = require('../middleware/auth');
-const { checkUsageLimit } = require('../middleware/usageLimit');
+const { checkUsageLimit, checkExportFormat, planAllows } = require('../middleware/usageLimit');
+const { uploadLyricsFiles } = require('../middleware/upload');
+const { moderateInput } = require('../middleware/moderation');
+const config = require('../config/config');
+const Dialect = require('../models/Dialect');
+const CatalogEntry = require('../models/CatalogEntry');
+const { METRES } = require('../utils/chandassu');
+const { SCHEMES } = require('../utils/transliterate');
+const { EXPORT_FORMATS } = require('../utils/lyricsExport');
+const { requestedVariants, variantsCost } = require('../utils/variants');
+const { languageInfo, dialectLanguage } = require('../utils/lyricsPrompt');
+const { TRANSLATION_LANGUAGES } = require('../utils/translation');
+const { parseTune, tuneError } = require('../utils/tune');
 
 const {
   generateLyrics,
+  streamLyrics,
+  getDrafts,
+  getDraft,
+  keepVariant,
+  discardDraft,
+  regenerateSection,
+  analyzeMeter,
+  analyzeRhyme,
+  suggestRaga,
+  regenerateTransliteration,
+  translateLyrics,
+  getSimilarity,
+  transliterateText,
   getLyrics,
   getLyricsById,
   updateLyrics,
   deleteLyrics,
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+  exportLyrics,
   toggleFavorite,
   getStats,
   getPublicLyrics
 } = require('../controllers/lyricsController');
+const {
+  getSharedLyrics,
+  getInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getCollaborators,
+  inviteCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+  getComments,
+  addComment,
+  deleteComment
+} = require('../controllers/collaborationController');
+const { importLyrics } = require('../controllers/importController');
+const { COLLABORATOR_ROLES } = require('../utils/lyricsAccess');
 
 // Validation rules
+// `style` and `poetryForm` must be active entries of the catalog
+const catalogValidation = (kind, label) => body(kind)
+  .optional()
+  .custom(async (value) => {
+    if (!(await CatalogEntry.resolve(kind, value))) {
+      throw new Error(`Invalid ${label}`);
+    }
+    return true;
+  });
+
 const generateValidation = [
-  body('style')
+  body('language')
     .optional()
-    .isIn(['devotional', 'folk', 'romantic', 'patriotic', 'lullaby', 'celebration', 'philosophical', 'cinematic'])
-    .withMessage('Invalid style'),
+    .isIn(Object.keys(languageInfo))
+    .withMessage(`Language must be one of: ${Object.keys(languageInfo).join(', ')}`),
+  catalogValidation('style', 'style'),
+  // Global dialects of the song's language, or the user's own profile while their plan allows custom dialects
   body('dialect')
     .optional()
-    .isIn(['telangana', 'rayalaseema', 'coastal', 'uttarandhra'])
-    .withMessage('Invalid dialect'),
-  body('poetryForm')
-    .optional()
-    .isIn(['padyam', 'geeyam', 'janapada', 'keertana', 'modern'])
-    .withMessage('Invalid poetry form')
+    .custom(async (value, { req }) => {
+      const dialect = await Dialect.resolve(value, req.user._id);
+      if (!dialect) {
+        throw new Error('Invalid dialect');
+      }
+      const language = languageInfo[req.body.language] ? req.body.language : config.lyrics.defaultLanguage;
+      if (dialect.language !== dialectLanguage(language)) {
+        throw new Error(`${dialect.name} is not a ${languageInfo[language].name} dialect`);
+      }
+      if (dialect.owner && !(await planAllows(req.user._id, 'customDialects'))) {
+        throw new Error('Custom dialects are not available on your current plan');
+      }
+      return true;
+    }),
+  catalogValidation('poetryForm', 'poetry form')
 ];
 
+// Write to tune: the composer's syllable template, one tune line per line (utils/tune)
+const tuneValidation = body('tune')
+  .optional()
+  .isString().withMessage('Tune must be text')
+  .isLength({ max: 5000 }).withMessage('Tune cannot exceed 5000 characters')
+  .custom((value, { req }) => {
+    const error = tuneError(parseTune(value), config.lyrics.tuneMaxLines);
+    if (error) throw new Error(error);
+    if (requestedVariants(req.body.n) > 1) {
+      throw new Error('Lyrics written to a tune are generated one at a time');
+    }
+    return true;
+  });
+
+// Theme, custom lines and dummy tune lines go into the prompt, so they are screened by content moderation
+const screenPromptInput = moderateInput('generate', ['theme', 'customLines', 'tune']);
+
+const variantsValidation = body('n')
+  .optional()
+  .isInt({ min: 1, max: config.lyrics.maxVariants })
+  .withMessage(`n must be between 1 and ${config.lyrics.maxVariants}`);
+
+const collaboratorRoleValidation = body('role')
+  .isIn(COLLABORATOR_ROLES)
+  .withMessage(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+
+const inviteTokenValidation = body('token')
+  .optional()
+  .isString().isLength({ max: 100 }).withMessage('Invalid invite token');
+
+const schemeValidation = body('scheme')
+  .optional()
+  .isIn(SCHEMES)
+  .withMessage(`Scheme must be one of: ${SCHEMES.join(', ')}`);
+
+const searchValidation = query('q')
+  .optional()
+  .isString().isLength({ max: 200 }).withMessage('Search query cannot exceed 200 characters');
+
 // Public routes
-router.get('/public', optionalAuth, getPublicLyrics);
+router.get('/public', optionalAuth, searchValidation, validate, getPublicLyrics);
 
 // Protected routes
 router.use(protect);
 
 // Generate lyrics (with usage limit check)
-router.post('/generate', checkUsageLimit('lyrics'), generateValidation, validate, generateLyrics);
+router.post(
+  '/generate',
+  checkUsageLimit('lyrics', { cost: req => variantsCost(requestedVariants(req.body.n)) }),
+  generateValidation,
+  variantsValidation,
+  tuneValidation,
+  validate,
+  screenPromptInput,
+  generateLyrics
+);
+router.post(
+  '/generate/stream',
+  checkUsageLimit('lyrics'),
+  generateValidation,
+  // Lines are only fitted to a tune after the whole song is written
+  body('tune').not().exists().withMessage('Writing to a tune is not available while streaming; use POST /lyrics/generate'),
+  validate,
+  screenPromptInput,
+  streamLyrics
+);
+
+// Variants from POST /generate with n > 1, waiting for one to be kept
+router.get('/drafts', getDrafts);
+router.route('/drafts/:id')
+  .get(getDraft)
+  .delete(discardDraft);
+router.post(
+  '/drafts/:id/keep',
+  body('index').isInt({ min: 0 }).withMessage('index must be a variant index'),
+  validate,
+  keepVariant
+);
+
+// Import lyrics from .txt, .md and .docx files (multipart `files`)
+router.post('/import', uploadLyricsFiles, generateValidation, validate, importLyrics);
+
+// Telugu ↔ Roman transliteration of arbitrary text
+router.post(
+  '/transliterate',
+  [
+    body('text').isString().isLength({ min: 1, max: 10000 }).withMessage('Text must be 1-10000 characters'),
+    body('to').optional().isIn(['roman', 'telugu']).withMessage('to must be roman or telugu'),
+    schemeValidation
+  ],
+  validate,
+  transliterateText
+);
 
 // Stats
 router.get('/stats', getStats);
 
+// Shared with me
+router.get('/shared', getSharedLyrics);
+router.get('/invitations', getInvitations);
+
 // CRUD
 router.route('/')
-  .get(getLyrics);
+  .get(searchValidation, validate, getLyrics);
 
 router.route('/:id')
   .get(getLyricsById)
@@ -60,4 +215,105 @@ router.route('/:id')
 
 router.patch('/:id/favorite', toggleFavorite);
 
+// Collaboration
+router.post('/:id/invitation/accept', inviteTokenValidation, validate, acceptInvitation);
+router.post('/:id/invitation/decline', inviteTokenValidation, validate, declineInvitation);
+
+router.route('/:id/collaborators')
+  .get(getCollaborators)
+  .post(
+    [
+      body('email').trim().notEmpty().withMessage('Email is required').isEmail().withMessage('Please provide a valid email'),
+      body('role').optional().isIn(COLLABORATOR_ROLES).withMessage(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`)
+    ],
+    validate,
+    inviteCollaborator
+  );
+
+router.route('/:id/collaborators/:collaboratorId')
+  .put(collaboratorRoleValidation, validate, updateCollaborator)
+  .delete(removeCollaborator);
+
+router.route('/:id/comments')
+  .get(getComments)
+  .post(
+    [
+      body('text').trim().isLength({ min: 1, max: 1000 }).withMessage('Comment must be 1-1000 characters'),
+      body('section').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('Invalid section')
+    ],
+    validate,
+    addComment
+  );
+
+router.delete('/:id/comments/:commentId', deleteComment);
+
+// Revision history
+const revisionParam = param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive number');
+
+router.get('/:id/revisions', getRevisions);
+router.get(
+  '/:id/revisions/diff',
+  [
+    query('from').isInt({ min: 1 }).withMessage('from must be a revision number'),
+    query('to').isInt({ min: 1 }).withMessage('to must be a revision number')
+  ],
+  validate,
+  diffRevisions
+);
+router.get('/:id/revisions/:revision', revisionParam, validate, getRevision);
+router.post('/:id/revisions/:revision/restore', revisionParam, validate, restoreRevision);
+
+// Regenerate one section (charged as a fraction of a generation)
+router.post(
+  '/:id/sections/:section/regenerate',
+  checkUsageLimit('lyrics', { cost: config.lyrics.sectionRegenerateCost }),
+  body('instructions').optional().isString().isLength({ max: 500 }).withMessage('Instructions cannot exceed 500 characters'),
+  validate,
+  moderateInput('section', ['instructions']),
+  regenerateSection
+);
+
+// Chandassu (meter) analysis for padyam lyrics
+router.post(
+  '/:id/analyze-meter',
+  body('meter').optional().isIn(Object.keys(METRES)).withMessage(`Meter must be one of: ${Object.keys(METRES).join(', ')}`),
+  validate,
+  analyzeMeter
+);
+
+// Praasa / anuprasa rhyme report
+router.post('/:id/analyze-rhyme', analyzeRhyme);
+
+// Carnatic raga and tala suggestions with reasons (top ones saved to metadata)
+router.post('/:id/suggest-raga', suggestRaga);
+
+// Regenerate the Roman transliteration lines
+router.post('/:id/transliteration', schemeValidation, validate, regenerateTransliteration);
+
+// Line-aligned translation for collaborators who don't read the song's language
+router.post(
+  '/:id/translate',
+  checkUsageLimit('lyrics', { cost: config.lyrics.translationCost }),
+  query('to').isIn(Object.keys(TRANSLATION_LANGUAGES)).withMessage(`to must be one of: ${Object.keys(TRANSLATION_LANGUAGES).join(', ')}`),
+  validate,
+  translateLyrics
+);
+
+// Closest public and reference songs, to check for copying before publishing
+router.get('/:id/similarity', getSimilarity);
+
+// Download in a format from the user's plan
+router.get(
+  '/:id/export',
+  [
+    query('format').isIn(Object.keys(EXPORT_FORMATS)).withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+    query('scheme').optional().isIn(SCHEMES).withMessage(`Scheme must be one of: ${SCHEMES.join(', ')}`),
+    query('bpm').optional().isInt({ min: 40, max: 240 }).withMessage('bpm must be between 40 and 240'),
+    query('offset').optional().isFloat({ min: 0, max: 600 }).withMessage('offset must be between 0 and 600 seconds')
+  ],
+  validate,
+  checkExportFormat,
+  exportLyrics
+);
+
 module.exports = router;
@@ -16,6 +16,7 @@ const {
   sunoCallback,
   audioProxy,
   generateVoice,
+  getVoiceRecording,
   getVoices,
   getAvatars
 } = require('../controllers/mediaController');
@@ -40,4 +41,7 @@ router.post('/:lyricsId/voice', checkUsageLimit('voice'), generateVoice);
 router.get('/video/:videoId/status', checkVideoStatus);
 router.get('/music/:taskId/status', checkMusicStatus);
 
+// Stored voice synthesis audio
+router.get('/voice/:recordingId', getVoiceRecording);
+
 module.exports = router;
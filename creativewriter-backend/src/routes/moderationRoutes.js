@@ -0,0 +1,54 @@
+/**
+ * Moderation Routes
+ * Admin review queue for content moderation flags and moderation settings
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const { protect, adminOnly } = require('../middleware/auth');
+
+const {
+  getFlags,
+  reviewFlag,
+  getSettings,
+  updateSettings
+} = require('../controllers/moderationController');
+
+router.use(protect, adminOnly);
+
+router.get(
+  '/admin/flags',
+  [
+    query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Status must be pending, approved or rejected'),
+    query('stage').optional().isIn(['input', 'output']).withMessage('Stage must be input or output')
+  ],
+  validate,
+  getFlags
+);
+
+router.put(
+  '/admin/flags/:id',
+  [
+    param('id').isMongoId().withMessage('Invalid flag id'),
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+    body('note').optional().isString().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+  ],
+  validate,
+  reviewFlag
+);
+
+router.route('/admin/settings')
+  .get(getSettings)
+  .put(
+    [
+      body('blocklist').optional().isArray({ max: 500 }).withMessage('blocklist must be a list of up to 500 terms'),
+      body('blocklist.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each blocklist term must be 1-100 characters'),
+      body('providerCheck').optional().isBoolean().withMessage('providerCheck must be true or false')
+    ],
+    validate,
+    updateSettings
+  );
+
+module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Similarity Routes
+ * Admin management of the reference corpus used by lyrics similarity checks
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const { protect, adminOnly } = require('../middleware/auth');
+const { uploadLyricsFiles } = require('../middleware/upload');
+
+const {
+  getReferences,
+  createReference,
+  importReferences,
+  deleteReference
+} = require('../controllers/similarityController');
+
+// Validation rules
+const creditValidation = [
+  body('film').optional().isString().trim().isLength({ max: 200 }).withMessage('Film cannot exceed 200 characters'),
+  body('year').optional({ values: 'falsy' }).isInt({ min: 1900, max: 2100 }).withMessage('Year must be between 1900 and 2100').toInt(),
+  body('lyricist').optional().isString().trim().isLength({ max: 100 }).withMessage('Lyricist cannot exceed 100 characters')
+];
+
+router.use(protect, adminOnly);
+
+router.route('/admin/references')
+  .get(
+    query('q').optional().isString().isLength({ max: 200 }).withMessage('Search query cannot exceed 200 characters'),
+    validate,
+    getReferences
+  )
+  .post(
+    [
+      body('title').trim().notEmpty().withMessage('Title is required')
+        .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+      body('content').isString().trim().notEmpty().withMessage('Lyrics content is required')
+        .isLength({ max: 20000 }).withMessage('Lyrics cannot exceed 20000 characters'),
+      ...creditValidation
+    ],
+    validate,
+    createReference
+  );
+
+// Import reference songs from .txt, .md and .docx files (multipart `files`)
+router.post('/admin/references/import', uploadLyricsFiles, creditValidation, validate, importReferences);
+
+router.delete(
+  '/admin/references/:id',
+  param('id').isMongoId().withMessage('Invalid reference id'),
+  validate,
+  deleteReference
+);
+
+module.exports = router;
@@ -11,6 +11,11 @@ const connectDB = require('./config/database');
 const User = require('./models/User');
 const ApiKey = require('./models/ApiKey');
 const SubscriptionPlan = require('./models/SubscriptionPlan');
+const PromptTemplate = require('./models/PromptTemplate');
+const Dialect = require('./models/Dialect');
+const CatalogEntry = require('./models/CatalogEntry');
+const Lyrics = require('./models/Lyrics');
+const { startWorker, stopWorker } = require('./jobs');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -35,6 +40,20 @@ const startServer = async () => {
     // Initialize subscription plans
     await SubscriptionPlan.initializeDefaults();
 
+    // Initialize prompt templates
+    await PromptTemplate.initializeDefaults();
+
+    // Initialize built-in dialects
+    await Dialect.initializeDefaults();
+
+    // Initialize built-in styles and poetry forms
+    await CatalogEntry.initializeDefaults();
+
+    // Run queued generations in this process unless a separate worker does
+    if (config.jobs.runWorker) {
+      startWorker();
+    }
+
     // Start server
     const PORT = config.port;
     const server = app.listen(PORT, () => {
@@ -59,6 +78,11 @@ const startServer = async () => {
       console.log('');
     });
 
+    // Parse sections for lyrics saved by older versions, in the background so
+    // the server does not wait for it
+    Lyrics.backfillSections()
+      .catch(error => console.error('Lyrics backfill failed:', error.message));
+
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
       console.error('UNHANDLED REJECTION! 💥 Shutting down...');
@@ -69,8 +93,9 @@ const startServer = async () => {
     });
 
     // Graceful shutdown
-    process.on('SIGTERM', () => {
+    process.on('SIGTERM', async () => {
       console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
+      await stopWorker();
       server.close(() => {
         console.log('💤 Process terminated');
       });
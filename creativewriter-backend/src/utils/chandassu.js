@@ -0,0 +1,471 @@
+/**
+ * Chandassu (Telugu Prosody) Analyzer
+ * Splits Telugu lines into aksharas, marks laghu (I) / guru (U), groups them
+ * into ganas and validates lines against the common padyam metres
+ */
+
+// ======================= AKSHARA SEGMENTATION =======================
+
+const isVowel = (ch) => /[అ-ఔౠౡ]/.test(ch);
+const isConsonant = (ch) => /[క-హౘ-ౚ]/.test(ch);
+const isMatra = (ch) => /[ా-ౌౕౖౢౣ]/.test(ch) && ch !== '్';
+const isModifier = (ch) => /[ఀ-ః]/.test(ch);
+const VIRAMA = '్';
+
+const LONG_VOWELS = 'ఆఈఊౠఏఐఓఔౡ';
+const LONG_MATRAS = 'ాీూౄేైోౌ';
+
+/**
+ * Split one word into aksharas
+ * A word-final consonant with virama (pollu, e.g. the న్ in "కన్") joins the previous akshara.
+ * @param {string} word - Telugu word
+ * @returns {object[]} [{ text, consonants, vowel, isLongVowel, hasBindu, hasPollu }]
+ */
+const splitWord = (word) => {
+  const aksharas = [];
+  const chars = [...word];
+  let i = 0;
+
+  while (i < chars.length) {
+    const ch = chars[i];
+
+    if (isVowel(ch)) {
+      const akshara = { text: ch, consonants: '', vowel: ch, isLongVowel: LONG_VOWELS.includes(ch), hasBindu: false, hasPollu: false };
+      i += 1;
+      while (i < chars.length && isModifier(chars[i])) {
+        akshara.text += chars[i];
+        if (chars[i] === 'ం' || chars[i] === 'ః') akshara.hasBindu = true;
+        i += 1;
+      }
+      aksharas.push(akshara);
+      continue;
+    }
+
+    if (isConsonant(ch)) {
+      let text = ch;
+      let consonants = ch;
+      i += 1;
+
+      // Conjuncts: consonant + virama + consonant ...
+      while (i + 1 < chars.length && chars[i] === VIRAMA && isConsonant(chars[i + 1])) {
+        text += chars[i] + chars[i + 1];
+        consonants += chars[i + 1];
+        i += 2;
+      }
+
+      // Word-final virama: pollu, attaches to the previous akshara
+      if (chars[i] === VIRAMA) {
+        text += VIRAMA;
+        i += 1;
+        const previous = aksharas[aksharas.length - 1];
+        if (previous) {
+          previous.text += text;
+          previous.hasPollu = true;
+          continue;
+        }
+        aksharas.push({ text, consonants, vowel: '', isLongVowel: false, hasBindu: false, hasPollu: true });
+        continue;
+      }
+
+      const akshara = { text, consonants, vowel: 'అ', isLongVowel: false, hasBindu: false, hasPollu: false };
+      if (i < chars.length && isMatra(chars[i])) {
+        akshara.text += chars[i];
+        akshara.vowel = chars[i];
+        akshara.isLongVowel = LONG_MATRAS.includes(chars[i]);
+        i += 1;
+      }
+      while (i < chars.length && isModifier(chars[i])) {
+        akshara.text += chars[i];
+        if (chars[i] === 'ం' || chars[i] === 'ః') akshara.hasBindu = true;
+        i += 1;
+      }
+      aksharas.push(akshara);
+      continue;
+    }
+
+    // Stray marks (e.g. a matra without a consonant) stay with the previous akshara
+    if (aksharas.length > 0) aksharas[aksharas.length - 1].text += ch;
+    i += 1;
+  }
+
+  return aksharas;
+};
+
+/**
+ * Split a line into aksharas and mark each laghu (I) or guru (U)
+ *
+ * Guru when the akshara has a long vowel, ends in anusvara/visarga, carries a
+ * pollu, or is followed within the same word by a conjunct or double consonant.
+ * Everything else is laghu. (Conjuncts at the start of the next word do not
+ * lengthen, and the ardhanusvara ఁ does not make guru.)
+ * @param {string} line - Telugu text
+ * @returns {object[]} [{ text, weight: 'U'|'I', consonants, vowel, wordStart }]
+ */
+const splitAksharas = (line) => {
+  const result = [];
+  const words = line.split(/[^ఀ-౿]+/).filter(Boolean);
+
+  for (const word of words) {
+    const aksharas = splitWord(word);
+    aksharas.forEach((akshara, i) => {
+      const next = aksharas[i + 1];
+      const heavy = akshara.isLongVowel
+        || akshara.hasBindu
+        || akshara.hasPollu
+        || (next && next.consonants.length > 1);
+
+      result.push({
+        text: akshara.text,
+        weight: heavy ? 'U' : 'I',
+        consonants: akshara.consonants,
+        vowel: akshara.vowel,
+        wordStart: i === 0
+      });
+    });
+  }
+
+  return result;
+};
+
+// ======================= GANAS =======================
+
+// Three-akshara ganas (య మా తా రా జ భా న స ల గం) and smaller units
+const GANAS = {
+  'య': 'IUU',
+  'మ': 'UUU',
+  'త': 'UUI',
+  'ర': 'UIU',
+  'జ': 'IUI',
+  'భ': 'UII',
+  'న': 'III',
+  'స': 'IIU',
+  'వ': 'IU', // లగం
+  'హ': 'UI', // గలం
+  'గ': 'U',
+  'ల': 'I'
+};
+
+// Upajati ganas
+const SURYA_GANAS = { 'న': 'III', 'హ': 'UI' };
+const INDRA_GANAS = { 'నల': 'IIII', 'నగ': 'IIIU', 'సల': 'IIUI', 'భ': 'UII', 'ర': 'UIU', 'త': 'UUI' };
+
+// Four-matra ganas used by Kandam
+const KANDA_GANAS = { 'గగ': 'UU', 'భ': 'UII', 'జ': 'IUI', 'స': 'IIU', 'నల': 'IIII' };
+
+const pick = (table, names) => Object.fromEntries(names.map(name => [name, table[name]]));
+
+// ======================= METRES =======================
+
+/**
+ * Known padyam metres
+ * Vrittas have a fixed gana sequence per line; jati/upajati metres allow a
+ * choice of ganas per slot. `slots(lineIndex)` returns the allowed ganas per slot.
+ * `yati` is a 1-based akshara position (vritta) or 0-based slot index (others).
+ */
+const METRES = {
+  utpalamala: {
+    name: 'ఉత్పలమాల (Utpalamala)',
+    type: 'vritta',
+    ganas: ['భ', 'ర', 'న', 'భ', 'భ', 'ర', 'వ'],
+    yati: 10,
+    praasa: true
+  },
+  champakamala: {
+    name: 'చంపకమాల (Champakamala)',
+    type: 'vritta',
+    ganas: ['న', 'జ', 'భ', 'జ', 'జ', 'జ', 'ర'],
+    yati: 11,
+    praasa: true
+  },
+  sardulam: {
+    name: 'శార్దూలం (Sardulam)',
+    type: 'vritta',
+    ganas: ['మ', 'స', 'జ', 'స', 'త', 'త', 'గ'],
+    yati: 13,
+    praasa: true
+  },
+  mattebham: {
+    name: 'మత్తేభం (Mattebham)',
+    type: 'vritta',
+    ganas: ['స', 'భ', 'ర', 'న', 'మ', 'య', 'వ'],
+    yati: 14,
+    praasa: true
+  },
+  kandam: {
+    name: 'కందం (Kandam)',
+    type: 'jati',
+    praasa: true,
+    // Lines alternate 3 and 5 ganas. Across each pair: odd ganas are never జ,
+    // the 6th is జ or నల, and the pair ends in a guru.
+    slots: (lineIndex) => (lineIndex % 2 === 0
+      ? [
+        pick(KANDA_GANAS, ['గగ', 'భ', 'స', 'నల']),
+        KANDA_GANAS,
+        pick(KANDA_GANAS, ['గగ', 'భ', 'స', 'నల'])
+      ]
+      : [
+        KANDA_GANAS,
+        pick(KANDA_GANAS, ['గగ', 'భ', 'స', 'నల']),
+        pick(KANDA_GANAS, ['జ', 'నల']),
+        pick(KANDA_GANAS, ['గగ', 'భ', 'స', 'నల']),
+        pick(KANDA_GANAS, ['గగ', 'స'])
+      ]),
+    yati: (lineIndex) => (lineIndex % 2 === 0 ? null : 3)
+  },
+  seesam: {
+    name: 'సీసం (Seesam)',
+    type: 'upajati',
+    praasa: false,
+    slots: () => [INDRA_GANAS, INDRA_GANAS, INDRA_GANAS, INDRA_GANAS, INDRA_GANAS, INDRA_GANAS, SURYA_GANAS, SURYA_GANAS],
+    yati: () => 2
+  },
+  tetageeti: {
+    name: 'తేటగీతి (Tetageeti)',
+    type: 'upajati',
+    praasa: false,
+    slots: () => [SURYA_GANAS, INDRA_GANAS, INDRA_GANAS, SURYA_GANAS, SURYA_GANAS],
+    yati: () => 3
+  },
+  ataveladi: {
+    name: 'ఆటవెలది (Ataveladi)',
+    type: 'upajati',
+    praasa: false,
+    slots: (lineIndex) => (lineIndex % 2 === 0
+      ? [SURYA_GANAS, SURYA_GANAS, SURYA_GANAS, INDRA_GANAS, INDRA_GANAS]
+      : [SURYA_GANAS, SURYA_GANAS, SURYA_GANAS, SURYA_GANAS, SURYA_GANAS]),
+    yati: () => 3
+  }
+};
+
+// ======================= YATI & PRAASA =======================
+
+// Simplified yati maitri groups
+const VOWEL_GROUPS = [
+  ['అ', 'ఆ', 'ఐ', 'ఔ', 'ా', 'ై', 'ౌ'],
+  ['ఇ', 'ఈ', 'ఎ', 'ఏ', 'ఋ', 'ౠ', 'ి', 'ీ', 'ె', 'ే', 'ృ', 'ౄ'],
+  ['ఉ', 'ఊ', 'ఒ', 'ఓ', 'ు', 'ూ', 'ొ', 'ో']
+];
+const CONSONANT_GROUPS = [
+  'కఖగఘ', 'చఛజఝశషస', 'టఠడఢ', 'తథదధ', 'పఫబభవ', 'నణ', 'రలళఱ', 'మ', 'యహ'
+];
+
+const groupOf = (groups, ch) => groups.findIndex(group => group.includes(ch));
+
+/**
+ * Whether two aksharas are in yati maitri (matching vowel and consonant groups)
+ */
+const yatiMatches = (a, b) => {
+  const vowelMatch = groupOf(VOWEL_GROUPS, a.vowel) === groupOf(VOWEL_GROUPS, b.vowel);
+  // A vowel-initial line only needs a matching vowel (sandhi yati, e.g. జగము + ఎవ్వని → జగమెవ్వని)
+  if (!a.consonants) return vowelMatch;
+  // Otherwise vowel-initial aksharas are maitri with య/హ
+  const consonantOf = (akshara) => akshara.consonants[0] || 'య';
+  const consonantMatch = groupOf(CONSONANT_GROUPS, consonantOf(a)) === groupOf(CONSONANT_GROUPS, consonantOf(b));
+  return vowelMatch && consonantMatch;
+};
+
+// ======================= MATCHING =======================
+
+/**
+ * Split a weight pattern into ganas for slot-based metres
+ * @param {string} pattern - e.g. 'UIIUIU'
+ * @param {object[]} slots - Allowed { name: pattern } tables per slot
+ * @returns {object} { ganas, complete, position } - best (longest) partition found
+ */
+const partition = (pattern, slots) => {
+  let best = { ganas: [], complete: false, position: 0 };
+
+  const search = (position, slotIndex, ganas) => {
+    if (slotIndex === slots.length) {
+      if (position === pattern.length) {
+        best = { ganas, complete: true, position };
+        return true;
+      }
+      return false;
+    }
+
+    if (position > best.position || (position === best.position && ganas.length > best.ganas.length)) {
+      best = { ganas, complete: false, position };
+    }
+
+    for (const [name, gana] of Object.entries(slots[slotIndex])) {
+      if (pattern.startsWith(gana, position)) {
+        if (search(position + gana.length, slotIndex + 1, [...ganas, { name, pattern: gana, start: position }])) {
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+
+  search(0, 0, []);
+  return best;
+};
+
+/**
+ * Analyze one line against a metre
+ * @param {string} text - Telugu line
+ * @param {string} meterKey - Key in METRES
+ * @param {number} lineIndex - Position of the line within its verse (0-3)
+ * @returns {object} { text, aksharas, pattern, ganas, expected, pass, violations }
+ */
+const analyzeLine = (text, meterKey, lineIndex = 0) => {
+  const meter = METRES[meterKey];
+  const aksharas = splitAksharas(text);
+  const pattern = aksharas.map(a => a.weight).join('');
+  const violations = [];
+  let ganas = [];
+  let expected;
+  let yatiPosition = null;
+
+  if (meter.type === 'vritta') {
+    const expectedPattern = meter.ganas.map(name => GANAS[name]).join('');
+    expected = meter.ganas.join(' ');
+    yatiPosition = meter.yati - 1;
+
+    let position = 0;
+    for (const name of meter.ganas) {
+      const gana = GANAS[name];
+      const actual = pattern.slice(position, position + gana.length);
+      if (actual.length > 0) {
+        ganas.push({ name: actual === gana ? name : '?', pattern: actual, start: position });
+      }
+      position += gana.length;
+    }
+
+    for (let i = 0; i < Math.min(pattern.length, expectedPattern.length); i++) {
+      if (pattern[i] !== expectedPattern[i]) {
+        violations.push({
+          type: 'gana',
+          position: i,
+          message: `Akshara ${i + 1} (${aksharas[i].text}) should be ${expectedPattern[i] === 'U' ? 'guru (U)' : 'laghu (I)'}`
+        });
+      }
+    }
+
+    if (pattern.length !== expectedPattern.length) {
+      violations.push({
+        type: 'length',
+        position: Math.min(pattern.length, expectedPattern.length),
+        message: `Line has ${pattern.length} aksharas; ${meter.name} needs ${expectedPattern.length}`
+      });
+    }
+  } else {
+    const slots = meter.slots(lineIndex);
+    const result = partition(pattern, slots);
+    ganas = result.ganas;
+    expected = slots.map(slot => Object.keys(slot).join('/')).join(' ');
+
+    if (!result.complete) {
+      const slotIndex = ganas.length;
+      violations.push({
+        type: slotIndex < slots.length ? 'gana' : 'length',
+        position: result.position,
+        message: slotIndex < slots.length
+          ? `Gana ${slotIndex + 1} should be one of ${Object.keys(slots[slotIndex]).join(', ')} (from akshara ${result.position + 1})`
+          : `Line has extra aksharas after ${slots.length} ganas`
+      });
+    }
+
+    const yatiSlot = meter.yati(lineIndex);
+    if (yatiSlot !== null && result.complete) {
+      yatiPosition = ganas[yatiSlot].start;
+    }
+  }
+
+  if (yatiPosition !== null && aksharas[0] && aksharas[yatiPosition]) {
+    if (!yatiMatches(aksharas[0], aksharas[yatiPosition])) {
+      violations.push({
+        type: 'yati',
+        position: yatiPosition,
+        severity: 'warning',
+        message: `Yati: ${aksharas[yatiPosition].text} (akshara ${yatiPosition + 1}) is not in maitri with ${aksharas[0].text}`
+      });
+    }
+  }
+
+  const flagged = new Set(violations.map(v => v.position));
+
+  return {
+    text,
+    aksharas: aksharas.map((a, i) => ({ text: a.text, weight: a.weight, violation: flagged.has(i) })),
+    pattern,
+    ganas,
+    expected,
+    pass: !violations.some(v => v.severity !== 'warning'),
+    violations
+  };
+};
+
+/**
+ * Check praasa (same consonant in the 2nd akshara) across each verse of four lines
+ * Adds warning-level violations to the analyzed lines in place.
+ */
+const checkPraasa = (lines) => {
+  for (let start = 0; start < lines.length; start += 4) {
+    const verse = lines.slice(start, start + 4);
+    const reference = splitAksharas(verse[0].text)[1];
+    if (!reference) continue;
+
+    verse.slice(1).forEach(line => {
+      const second = splitAksharas(line.text)[1];
+      if (second && second.consonants !== reference.consonants) {
+        line.violations.push({
+          type: 'praasa',
+          position: 1,
+          severity: 'warning',
+          message: `Praasa: ${second.text} does not match ${reference.text} in the first line`
+        });
+        line.aksharas[1].violation = true;
+      }
+    });
+  }
+};
+
+/**
+ * Analyze a padyam against a metre, or detect the best-fitting metre
+ * @param {string[]} lines - Telugu lines, in order
+ * @param {string} [meterKey] - Metre to validate against; detected when omitted
+ * @returns {object} { meter: { key, name }, detected, summary, lines }
+ */
+const analyzeMeter = (lines, meterKey) => {
+  const run = (key) => {
+    const analyzed = lines.map((text, i) => ({ index: i, ...analyzeLine(text, key, i % 4) }));
+    if (METRES[key].praasa) checkPraasa(analyzed);
+    const passed = analyzed.filter(l => l.pass).length;
+    const violationCount = analyzed.reduce((sum, l) => sum + l.violations.length, 0);
+    return { key, analyzed, passed, violationCount };
+  };
+
+  let best;
+  if (meterKey) {
+    best = run(meterKey);
+  } else {
+    for (const key of Object.keys(METRES)) {
+      const result = run(key);
+      if (!best || result.passed > best.passed
+        || (result.passed === best.passed && result.violationCount < best.violationCount)) {
+        best = result;
+      }
+    }
+  }
+
+  return {
+    meter: { key: best.key, name: METRES[best.key].name },
+    detected: !meterKey,
+    summary: {
+      totalLines: lines.length,
+      passed: best.passed,
+      failed: lines.length - best.passed
+    },
+    lines: best.analyzed
+  };
+};
+
+module.exports = {
+  METRES,
+  GANAS,
+  splitAksharas,
+  analyzeLine,
+  analyzeMeter
+};
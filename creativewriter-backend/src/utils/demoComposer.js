@@ -0,0 +1,424 @@
+/**
+ * Offline Demo Composer
+ * Assembles Telugu lyrics without any provider: the poetry form gives the
+ * sections, the style gives the line phrases, the dialect gives the address
+ * words, places and refrains, and every section keeps one ప్రాస (praasa).
+ *
+ * The choices are seeded from the input, so the same request composes the
+ * same song and a different theme composes a different one. Hindi, Tamil and
+ * Kannada requests get a short fixed song around the theme instead.
+ */
+
+const { splitAksharas } = require('./chandassu');
+const { styleCatalog, dialectInfo, languageInfo } = require('./lyricsPrompt');
+const { transliterateLyrics } = require('./transliterate');
+
+// Line openers grouped by the consonant of their second akshara: a section
+// drawing all its openers from one group has praasa on every line
+const PRAASA_OPENERS = {
+  'ల': ['చెలియా', 'కలలే', 'అలలై', 'వలపే', 'పిలుపే', 'తలపే', 'వెలుగే', 'మలుపే'],
+  'న': ['మనసే', 'కనులే', 'వినవే', 'అనురాగం', 'జనులే', 'తెనుగు', 'ఘనమౌ', 'మనసా'],
+  'ర': ['చిరునవ్వు', 'కురిసే', 'మరువని', 'సిరులే', 'కరుణ', 'వరమే', 'గిరులే', 'అరుణ'],
+  'డ': ['అడుగే', 'పాడవే', 'నడకే', 'తోడుగ', 'కడలి', 'జాడలే', 'ఆడవే', 'వాడని'],
+  'వ': ['కవితే', 'భువిలో', 'దివిలో', 'జీవన', 'పావన', 'రవళి', 'నవరస', 'యువత'],
+  'మ': ['ప్రేమ', 'సుమమై', 'గమనం', 'సమయం', 'కోమలి', 'భూమి', 'నామమే', 'హిమమై']
+};
+
+/**
+ * Phrases completing a line after its opener, per style
+ * {theme}, {place} and {address} are filled from the input and dialect.
+ */
+const STYLE_PHRASES = {
+  romantic: [
+    'నీ కోసమే వేచి ఉన్నది',
+    'నీ చూపులో కరిగిపోయెను',
+    '{theme} లా విరిసెను',
+    'నీ జతలో పాటగ మారెను',
+    'వెన్నెల వానై కురిసెను',
+    'నీ పేరే పలికెను ప్రతి క్షణం',
+    '{address} నీ తోడు కోరెను',
+    'ఊహలలో ఊయల ఊగెను',
+    '{place} తీరాన నిను తలచెను',
+    'నీ నవ్వుల వెలుగై నిలిచెను'
+  ],
+  devotional: [
+    'నీ పాదాల చెంత చేరెను',
+    'స్వామీ నీ నామమే పలికెను',
+    '{theme} నీ కృపయే కదా',
+    'దీపమై నీ గుడిలో వెలిగెను',
+    'భక్తితో నీ సేవ కోరెను',
+    '{place} కొండల నీడన నిలిచెను',
+    'గోవిందా అని పిలిచెను',
+    'హారతి వెలుగులో మురిసెను',
+    'నీ మహిమను కీర్తించెను',
+    '{address} శరణం అనెను'
+  ],
+  folk: [
+    'పొలము గట్టున పాట పాడెను',
+    '{address} సందడి చేసెను',
+    'ఏటి గట్టున ఎగిరెను',
+    '{theme} అంటూ ఆడెను',
+    'పల్లె వాకిట ముగ్గులేసెను',
+    'డప్పు మోతకు దరువేసెను',
+    '{place} తీరాన తిరిగెను',
+    'కోడి కూతకు మేలుకొనెను',
+    'జొన్న చేనులో జోరుగ పాడెను',
+    'బండి గంటల సవ్వడి చేసెను'
+  ],
+  patriotic: [
+    'భారత మాతకు జై అనెను',
+    'త్రివర్ణ పతాకమై ఎగిరెను',
+    '{theme} కోసం నిలిచెను',
+    'వీరుల త్యాగం తలచెను',
+    'తెలుగు నేలను పొగిడెను',
+    '{place} గడ్డ మా గర్వమనెను',
+    'ఐక్యత బాటన నడిచెను',
+    'స్వేచ్ఛా గీతం పాడెను',
+    '{address} దేశం పిలిచెను',
+    'సరిహద్దున కాపలా కాసెను'
+  ],
+  lullaby: [
+    'జో జో లాలీ పాడెను',
+    'చందమామ రావే అనెను',
+    'ఊయల ఊపుతు నిదురించెను',
+    '{theme} కలలో కనిపించెను',
+    'అమ్మ ఒడిలో హాయిగ నిదురించెను',
+    'నక్షత్రాలు కాపలా కాసెను',
+    '{address} కన్నులు మూసెను',
+    'గాలి పాటై జోల పాడెను',
+    '{place} వెన్నెల నిను తాకెను',
+    'చిట్టి పాదాలు ఆగి నిలిచెను'
+  ],
+  celebration: [
+    'పండుగ సందడి తెచ్చెను',
+    'తోరణాలతో ముస్తాబయెను',
+    '{theme} వేడుక జరిగెను',
+    'దీపాల వరుసలు వెలిగెను',
+    'ఆటపాటల హోరెత్తెను',
+    '{place} వీధుల ఊరేగెను',
+    'బంధుమిత్రులు కలిసెను',
+    'మంగళ వాద్యం మోగెను',
+    '{address} ఆడి పాడెను',
+    'రంగుల ముగ్గులు మెరిసెను'
+  ],
+  philosophical: [
+    'జీవితమొక పయనమనెను',
+    'కాలమనే నదిలా సాగెను',
+    '{theme} సత్యం తెలిసెను',
+    'నీలోనే నిజం దాగెను',
+    'మాయల తెరలు తొలిగెను',
+    'ఆశలు నీటి బుడగలనెను',
+    'శూన్యంలో శాంతి దొరికెను',
+    '{address} ఆలోచించెను',
+    '{place} ఒడ్డున మౌనం నేర్చెను',
+    'నేను నాదను భ్రమ వీడెను'
+  ],
+  cinematic: [
+    'హృదయం దరువేసెను',
+    'కలలే నిజమాయెను',
+    '{theme} కథగా మారెను',
+    'ఈ క్షణం మనదే అనెను',
+    'తెరపై వెలుగై మెరిసెను',
+    'గుండె చప్పుడు పెరిగెను',
+    '{place} వీధుల్లో పరుగెత్తెను',
+    'ఆకాశం అంచులు తాకెను',
+    '{address} నువ్వే నా హీరో అనెను',
+    'నీ స్టెప్పుకు ఊరే ఊగెను'
+  ]
+};
+
+// Theme used in {theme} when the user gave only custom lines
+const STYLE_DEFAULT_THEMES = {
+  romantic: 'ప్రేమ',
+  devotional: 'భక్తి',
+  folk: 'పల్లె పాట',
+  patriotic: 'దేశం',
+  lullaby: 'నిదుర',
+  celebration: 'పండుగ',
+  philosophical: 'జీవితం',
+  cinematic: 'కల'
+};
+
+const STYLE_TEMPOS = {
+  romantic: '80-100 BPM',
+  devotional: '70-90 BPM',
+  folk: '100-120 BPM',
+  patriotic: '100-120 BPM',
+  lullaby: '60-70 BPM',
+  celebration: '110-130 BPM',
+  philosophical: '70-85 BPM',
+  cinematic: '90-110 BPM'
+};
+
+// Regional vocabulary: ways to address the listener, places, everyday
+// intensifiers, and the refrains sung between folk verses
+const DIALECT_VOCABULARY = {
+  telangana: {
+    address: ['ఓ పిల్లా', 'అరె బిడ్డా', 'ఓ చెల్లె'],
+    places: ['చార్మినార్', 'ట్యాంక్ బండ్', 'ఓరుగల్లు'],
+    fillers: ['మస్తుగ', 'లగువగ'],
+    refrains: ['ఉయ్యాలో ఉయ్యాలో', 'బతుకమ్మ బతుకమ్మ ఉయ్యాలో']
+  },
+  rayalaseema: {
+    address: ['ఏందిరా పోరడా', 'ఓ పోరీ', 'అరె అబ్బీ'],
+    places: ['తిరుపతి', 'పెన్నా', 'గండికోట'],
+    fillers: ['అట్లనే', 'సక్కగ'],
+    refrains: ['ఏలో ఏలో ఏలేలో', 'ఓ రామ సక్కనోడా']
+  },
+  coastal: {
+    address: ['ఓ చిన్నదానా', 'ఓ బావా', 'చెలీ'],
+    places: ['గోదావరి', 'కృష్ణమ్మ', 'కోనసీమ'],
+    fillers: ['ఎంచక్కా', 'హాయిగా'],
+    refrains: ['ఓలమ్మో ఓలమ్మో', 'గోదారి గట్టుమీద']
+  },
+  uttarandhra: {
+    address: ['ఓ బుజ్జీ', 'అరె బావో', 'ఓ అక్కో'],
+    places: ['సింహాచలం', 'విశాఖ', 'శ్రీకాకుళం'],
+    fillers: ['గిట్ల', 'అట్ల'],
+    refrains: ['ఓలియో ఓలియో', 'రావాలె రావాలె']
+  }
+};
+
+/**
+ * Sections per poetry form
+ * A section with `refrain` is followed by a dialect refrain line (folk call and response).
+ */
+const FORM_STRUCTURES = {
+  geeyam: [
+    { label: 'పల్లవి - Pallavi', lines: 4 },
+    { label: 'చరణం 1 - Charanam 1', lines: 4 },
+    { label: 'చరణం 2 - Charanam 2', lines: 4 }
+  ],
+  keertana: [
+    { label: 'పల్లవి - Pallavi', lines: 2 },
+    { label: 'అనుపల్లవి - Anupallavi', lines: 2 },
+    { label: 'చరణం 1 - Charanam 1', lines: 4 },
+    { label: 'చరణం 2 - Charanam 2', lines: 4 },
+    { label: 'చరణం 3 - Charanam 3', lines: 4 }
+  ],
+  janapada: [
+    { label: 'పల్లవి - Pallavi', lines: 2, refrain: true },
+    { label: 'చరణం 1 - Charanam 1', lines: 4, refrain: true },
+    { label: 'చరణం 2 - Charanam 2', lines: 4, refrain: true },
+    { label: 'చరణం 3 - Charanam 3', lines: 4, refrain: true }
+  ],
+  padyam: [
+    { label: 'పద్యం 1 - Padyam 1', lines: 4 },
+    { label: 'పద్యం 2 - Padyam 2', lines: 4 }
+  ],
+  modern: [
+    { label: 'భాగం 1 - Part 1', lines: 3 },
+    { label: 'భాగం 2 - Part 2', lines: 5 },
+    { label: 'భాగం 3 - Part 3', lines: 4 }
+  ]
+};
+
+// ======================= SEEDED CHOICES =======================
+
+/**
+ * Demo songs for languages the composer has no phrase lists for
+ * {theme} is the user's theme, or `theme` when they gave none.
+ */
+const LOCALIZED_SONGS = {
+  hi: {
+    theme: 'प्रेम',
+    pallavi: ['{theme} की यादों में खोया है मन', 'हर धड़कन गाए तेरा ही गीत सजन'],
+    charanams: [
+      ['सावन की बूँदों ने छेड़ा है तराना', 'दिल ने फिर सीखा है मुस्काना'],
+      ['चाँदनी रातों में जलते हैं दीये', 'हम तो बस तेरे ही सपनों में जिये']
+    ]
+  },
+  ta: {
+    theme: 'காதல்',
+    pallavi: ['{theme} நினைவில் மனம் பாடுதே', 'ஒவ்வொரு நொடியும் உன் பெயர் தேடுதே'],
+    charanams: [
+      ['மழைத்துளி மண்ணில் கவிதை எழுதுதே', 'மலர்களின் வாசம் மனதை உருக்குதே'],
+      ['நிலவொளி இரவில் கனவுகள் பூக்குதே', 'உன் குரல் கேட்டால் உலகமே சிரிக்குதே']
+    ]
+  },
+  kn: {
+    theme: 'ಪ್ರೀತಿ',
+    pallavi: ['{theme} ನೆನಪಲಿ ಮನಸು ಹಾಡಿದೆ', 'ಪ್ರತಿ ಕ್ಷಣವೂ ನಿನ್ನ ಹೆಸರ ಕೂಗಿದೆ'],
+    charanams: [
+      ['ಮಳೆಹನಿ ನೆಲದಲಿ ಕವನ ಬರೆದಿದೆ', 'ಹೂವಿನ ಕಂಪು ಮನವ ಸೆಳೆದಿದೆ'],
+      ['ಬೆಳದಿಂಗಳ ಇರುಳಲಿ ಕನಸು ಅರಳಿದೆ', 'ನಿನ್ನ ದನಿ ಕೇಳಿ ಜಗವೇ ನಗುತಿದೆ']
+    ]
+  }
+};
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Small deterministic PRNG (mulberry32) returning floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pickOne = (random, list) => list[Math.floor(random() * list.length)];
+
+const shuffle = (random, list) => {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Deal items from a shuffled list, reshuffling once it runs out
+ */
+const createDealer = (random, list) => {
+  let deck = [];
+  return () => {
+    if (deck.length === 0) deck = shuffle(random, list);
+    return deck.pop();
+  };
+};
+
+// ======================= COMPOSITION =======================
+
+/**
+ * Praasa consonant of a Telugu line, or null if it has fewer than two aksharas
+ */
+const praasaOf = (line) => {
+  const second = splitAksharas(line)[1];
+  return second && second.consonants ? second.consonants : null;
+};
+
+const fillPhrase = (phrase, words) => phrase.replace(/\{(\w+)\}/g, (match, name) => words[name]());
+
+/**
+ * Compose a demo song in Hindi, Tamil or Kannada
+ * The user's lines open the first verse, as in the Telugu composer.
+ */
+const composeLocalizedDemo = (input) => {
+  const { language, theme, customLines, style, dialect, dialectProfile, styleProfile } = input;
+  const song = LOCALIZED_SONGS[language];
+  const { sectionNames } = languageInfo[language];
+  const baseStyle = styleProfile ? styleProfile.base : style;
+  const styleKey = STYLE_TEMPOS[baseStyle] ? baseStyle : 'romantic';
+  const themeText = (theme || '').trim();
+  const userLines = (customLines || '').split('\n').map(l => l.trim()).filter(Boolean);
+
+  const fill = (line) => line.replace('{theme}', themeText || song.theme);
+  const charanams = song.charanams.map((lines, index) => (index === 0
+    ? [...userLines, ...lines].slice(0, Math.max(lines.length, userLines.length))
+    : lines));
+
+  const dialectData = dialectProfile || dialectInfo[dialect];
+  const dialectName = dialectData ? dialectData.nativeName || dialectData.name : '';
+  const styleName = (styleProfile && styleProfile.name) || styleCatalog[styleKey].name;
+
+  const content = `🎵 ${styleName}${dialectName ? ` - ${dialectName}` : ''}
+
+【${sectionNames.pallavi} - Pallavi】
+${song.pallavi.map(fill).join('\n')}
+
+${charanams.map((lines, index) => `【${sectionNames.charanam} ${index + 1} - Charanam ${index + 1}】\n${lines.map(fill).join('\n')}`).join('\n\n')}
+
+---
+🗣️ Dialect: ${dialectName || 'Standard'}
+🎶 Theme: ${themeText || 'Universal'}
+⏱️ Suggested Tempo: ${STYLE_TEMPOS[styleKey]}
+📝 Demo Mode - Composed offline. Configure an API key for AI generation`;
+
+  return transliterateLyrics(content);
+};
+
+/**
+ * Compose demo lyrics for a generation request
+ * @param {object} input - { language, theme, customLines, style, dialect, poetryForm, dialectProfile, styleProfile, poetryFormProfile }
+ *   Profiles resolved from the database borrow the phrases, vocabulary and structure of their built-in base
+ * @param {object} [options]
+ * @param {number} [options.seed] - Overrides the seed derived from the input
+ * @returns {string} Lyrics content with 【】 sections, transliteration and a metadata footer
+ */
+const composeDemoLyrics = (input = {}, { seed } = {}) => {
+  if (LOCALIZED_SONGS[input.language]) return composeLocalizedDemo(input);
+
+  const { theme, customLines, style, dialect, poetryForm, dialectProfile, styleProfile, poetryFormProfile } = input;
+  const baseStyle = styleProfile ? styleProfile.base : style;
+  const styleKey = STYLE_PHRASES[baseStyle] ? baseStyle : 'romantic';
+  const baseDialect = dialectProfile ? dialectProfile.baseDialect : dialect;
+  const dialectKey = DIALECT_VOCABULARY[baseDialect] ? baseDialect : 'coastal';
+  const baseForm = poetryFormProfile ? poetryFormProfile.base : poetryForm;
+  const structure = FORM_STRUCTURES[baseForm] || FORM_STRUCTURES.geeyam;
+  const vocabulary = DIALECT_VOCABULARY[dialectKey];
+  const themeText = (theme || '').trim();
+  const userLines = (customLines || '').split('\n').map(l => l.trim()).filter(Boolean);
+
+  const random = createRandom(seed !== undefined
+    ? seed
+    : hashString([themeText, userLines.join('\n'), style || styleKey, dialect || dialectKey, poetryForm].join('|')));
+
+  const phrases = STYLE_PHRASES[styleKey];
+  const words = {
+    theme: () => themeText || STYLE_DEFAULT_THEMES[styleKey],
+    place: createDealer(random, vocabulary.places),
+    address: createDealer(random, vocabulary.address)
+  };
+  const nextThemePhrase = createDealer(random, phrases.filter(p => p.includes('{theme}')));
+  const nextRefrain = createDealer(random, vocabulary.refrains);
+  const praasaLetters = shuffle(random, Object.keys(PRAASA_OPENERS));
+
+  const sections = structure.map((section, index) => {
+    // The user's lines open the first verse and set its praasa when they can
+    const isFirstVerse = index === structure.findIndex(s => !/పల్లవి/.test(s.label)) || structure.length === 1;
+    const given = isFirstVerse ? userLines.slice(0, section.lines) : [];
+    const givenPraasa = given.length > 0 ? praasaOf(given[0]) : null;
+    const letter = PRAASA_OPENERS[givenPraasa] ? givenPraasa : praasaLetters[index % praasaLetters.length];
+    const nextOpener = createDealer(random, PRAASA_OPENERS[letter]);
+    const nextPhrase = createDealer(random, phrases.filter(p => !p.includes('{theme}')));
+
+    const lines = [...given];
+    while (lines.length < section.lines) {
+      // The song opens on its theme
+      const phrase = index === 0 && lines.length === 0 ? nextThemePhrase() : nextPhrase();
+      const filler = lines.length === 1 ? ` ${pickOne(random, vocabulary.fillers)}` : '';
+      lines.push(`${nextOpener()}${filler} ${fillPhrase(phrase, words)}`);
+    }
+    if (section.refrain) lines.push(nextRefrain());
+
+    return `【${section.label}】\n${lines.join('\n')}`;
+  });
+
+  const dialectName = (dialectProfile && (dialectProfile.nativeName || dialectProfile.name)) ||
+    dialectInfo[dialectKey].nativeName;
+  const styleName = (styleProfile && (styleProfile.teluguName || styleProfile.name)) ||
+    styleCatalog[styleKey].teluguName;
+
+  const content = `🎵 ${styleName} - ${dialectName} శైలి
+
+${sections.join('\n\n')}
+
+---
+🗣️ మాండలికం: ${dialectName}
+🎶 Theme: ${themeText || 'Universal'}
+⏱️ Suggested Tempo: ${STYLE_TEMPOS[styleKey]}
+📝 Demo Mode - Composed offline. Configure an API key for AI generation`;
+
+  return transliterateLyrics(content);
+};
+
+module.exports = {
+  composeDemoLyrics
+};
@@ -0,0 +1,88 @@
+/**
+ * Line Diff
+ * Line-level diff of two texts using the longest common subsequence
+ */
+
+// Above this many line comparisons the changed block is shown as a plain replacement
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line
+ * @param {string} before
+ * @param {string} after
+ * @returns {object} { changes: [{ type, text, oldLine, newLine }], stats: { added, removed, unchanged } }
+ *   type is 'equal', 'removed' or 'added'; line numbers are 1-based and null where not applicable
+ */
+const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Trim the common prefix and suffix so the LCS table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = [];
+
+  if (midA.length * midB.length <= MAX_LCS_CELLS) {
+    // lcs[i][j] = LCS length of midA[i:] and midB[j:]
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        middle.push({ type: 'equal', i, j });
+        i++;
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        middle.push({ type: 'removed', i });
+        i++;
+      } else {
+        middle.push({ type: 'added', j });
+        j++;
+      }
+    }
+  } else {
+    midA.forEach((_, i) => middle.push({ type: 'removed', i }));
+    midB.forEach((_, j) => middle.push({ type: 'added', j }));
+  }
+
+  const changes = [];
+  for (let k = 0; k < start; k++) {
+    changes.push({ type: 'equal', text: a[k], oldLine: k + 1, newLine: k + 1 });
+  }
+  for (const op of middle) {
+    changes.push({
+      type: op.type,
+      text: op.type === 'added' ? midB[op.j] : midA[op.i],
+      oldLine: op.type === 'added' ? null : start + op.i + 1,
+      newLine: op.type === 'removed' ? null : start + op.j + 1
+    });
+  }
+  for (let k = 0; k < a.length - endA; k++) {
+    changes.push({ type: 'equal', text: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+  }
+
+  const count = (type) => changes.filter(c => c.type === type).length;
+  return {
+    changes,
+    stats: { added: count('added'), removed: count('removed'), unchanged: count('equal') }
+  };
+};
+
+module.exports = {
+  diffLines
+};
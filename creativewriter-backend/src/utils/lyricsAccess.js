@@ -0,0 +1,96 @@
+/**
+ * Lyrics Access Roles
+ * Resolves what a user may do with a lyrics document: its owner, or an
+ * accepted collaborator with the viewer, commenter or editor role
+ */
+
+// Ordered from least to most access
+const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+const COLLABORATOR_ROLES = ['viewer', 'commenter', 'editor'];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const sameId = (a, b) => a !== undefined && a !== null && b !== undefined && b !== null
+  && idOf(a).toString() === idOf(b).toString();
+
+/**
+ * Role of a user on a lyrics document
+ * Pending invitations grant nothing until accepted.
+ * @param {object} lyrics - Lyrics document (or plain object with user/collaborators)
+ * @param {string|object} userId
+ * @returns {string|null} 'owner', 'editor', 'commenter', 'viewer' or null
+ */
+const getRole = (lyrics, userId) => {
+  if (sameId(lyrics.user, userId)) return 'owner';
+
+  const collaborator = (lyrics.collaborators || []).find(c => c.status === 'accepted' && sameId(c.user, userId));
+  return collaborator ? collaborator.role : null;
+};
+
+/**
+ * Whether a user has at least the given role on a lyrics document
+ * @param {object} lyrics
+ * @param {string|object} userId
+ * @param {string} minRole - 'viewer', 'commenter', 'editor' or 'owner'
+ * @returns {boolean}
+ */
+const hasRole = (lyrics, userId, minRole) => {
+  const role = getRole(lyrics, userId);
+  return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+};
+
+/**
+ * Whether a user may read lyrics: anyone with a role, or everyone when the lyrics
+ * are public and not held or declined by moderation
+ * @param {object} lyrics
+ * @param {string|object} userId
+ * @returns {boolean}
+ */
+const canRead = (lyrics, userId) => hasRole(lyrics, userId, 'viewer')
+  || (lyrics.isPublic === true && !['pending', 'rejected'].includes(lyrics.moderation?.status));
+
+/**
+ * Whether a role may see the email addresses of the people lyrics are shared with
+ * @param {string|null} role - From getRole
+ * @returns {boolean}
+ */
+const canSeeEmails = (role) => role !== null && ROLES.indexOf(role) >= ROLES.indexOf('editor');
+
+/**
+ * Collaborator as shown in API responses, without the invite token
+ * @param {object} collaborator
+ * @param {boolean} [showEmail=true]
+ * @returns {object}
+ */
+const collaboratorSummary = (collaborator, showEmail = true) => ({
+  _id: collaborator._id,
+  ...(showEmail ? { email: collaborator.email } : {}),
+  user: collaborator.user,
+  role: collaborator.role,
+  status: collaborator.status,
+  invitedAt: collaborator.invitedAt,
+  acceptedAt: collaborator.acceptedAt
+});
+
+/**
+ * Collaborators as a user with the given role may see them
+ * Users without a role see none; viewers and commenters see names and roles but
+ * no email addresses.
+ * @param {object} lyrics
+ * @param {string|null} role - From getRole
+ * @returns {object[]|undefined}
+ */
+const visibleCollaborators = (lyrics, role) => {
+  if (!role) return undefined;
+  return (lyrics.collaborators || []).map(c => collaboratorSummary(c, canSeeEmails(role)));
+};
+
+module.exports = {
+  ROLES,
+  COLLABORATOR_ROLES,
+  getRole,
+  hasRole,
+  canRead,
+  canSeeEmails,
+  collaboratorSummary,
+  visibleCollaborators
+};
@@ -0,0 +1,469 @@
+/**
+ * Lyrics Export
+ * Renders lyrics as plain text, a PDF or DOCX songbook page, or timed SRT/LRC
+ * files for subtitles and karaoke players
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const {
+  Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell, TableBorders, WidthType, HeadingLevel
+} = require('docx');
+const { lyricLineGroups } = require('./lyricsSections');
+const { splitAksharas } = require('./chandassu');
+const { toRoman, toTeluguScript } = require('./transliterate');
+const { languageInfo } = require('./lyricsPrompt');
+
+// Response headers for each format; keys match SubscriptionPlan.features.exportFormats
+const EXPORT_FORMATS = {
+  text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  lrc: { contentType: 'text/plain; charset=utf-8', extension: 'lrc' }
+};
+
+// Noto Sans for each lyrics script, keyed by languageInfo's script
+const notoFont = (script) => {
+  const pkg = `@expo-google-fonts/noto-sans-${script.toLowerCase()}`;
+  return {
+    script,
+    name: `Noto Sans ${script}`,
+    regular: require.resolve(`${pkg}/400Regular/NotoSans${script}_400Regular.ttf`),
+    bold: require.resolve(`${pkg}/700Bold/NotoSans${script}_700Bold.ttf`)
+  };
+};
+const SCRIPT_FONTS = Object.fromEntries(['Telugu', 'Devanagari', 'Tamil', 'Kannada'].map(script => [script, notoFont(script)]));
+
+// Noto Sans for ISO 15919 transliteration (ṭ ḍ ṇ ṁ …)
+const LATIN_FONT = {
+  name: 'Noto Sans',
+  regular: require.resolve('@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf'),
+  italic: require.resolve('@expo-google-fonts/noto-sans/400Regular_Italic/NotoSans_400Regular_Italic.ttf')
+};
+
+// Font for the script the lyrics are written in; Telugu when the language is unknown
+const scriptFont = (lyrics) => SCRIPT_FONTS[languageInfo[lyrics.language]?.script] || SCRIPT_FONTS.Telugu;
+
+// Font for text with no language of its own, such as a collection title, from its first Indic letter
+const SCRIPT_LETTERS = {
+  Devanagari: /[\u0900-\u097F]/,
+  Tamil: /[\u0B80-\u0BFF]/,
+  Telugu: /[\u0C00-\u0C7F]/,
+  Kannada: /[\u0C80-\u0CFF]/
+};
+const textFont = (text) => {
+  const first = (text || '').match(/[\u0900-\u097F\u0B80-\u0BFF\u0C00-\u0CFF]/);
+  const script = first && Object.keys(SCRIPT_LETTERS).find(name => SCRIPT_LETTERS[name].test(first[0]));
+  return SCRIPT_FONTS[script] || SCRIPT_FONTS.Telugu;
+};
+
+// Timing for SRT/LRC: a laghu is one mātra, a guru two, and a mātra is half a beat
+const DEFAULT_BPM = 90;
+const BEATS_PER_MATRA = 0.5;
+const LATIN_SYLLABLE_MATRAS = 1.5; // Lines with no Indic script: average akshara weight
+const MIN_LINE_BEATS = 2;
+const LINE_GAP_BEATS = 1;
+const SECTION_GAP_BEATS = 4; // An instrumental bar between sections
+
+/**
+ * Sections to export, with every lyric line paired to a transliteration
+ * Missing transliterations are filled in with toRoman. `telugu` holds the
+ * line in the song's own script, which is Devanagari, Tamil or Kannada for
+ * lyrics in those languages.
+ * @param {object} lyrics - Lyrics document
+ * @param {string} scheme - 'rts' or 'iso', for filled-in transliterations
+ * @returns {object[]} [{ label, lines: [{ telugu, roman }] }]
+ */
+const exportSections = (lyrics, scheme) => {
+  const stored = lyrics.sections && lyrics.sections.length > 0 ? lyrics.sections : undefined;
+
+  return lyricLineGroups(lyrics.content, stored).map(({ label, teluguLines, transliterationLines }) => {
+    const count = Math.max(teluguLines.length, transliterationLines.length);
+    const lines = Array.from({ length: count }, (_, i) => {
+      const telugu = teluguLines[i] || '';
+      return { telugu, roman: transliterationLines[i] || (telugu ? toRoman(telugu, scheme) : '') };
+    });
+    return { label, lines };
+  });
+};
+
+/**
+ * One-line summary of style, dialect, tempo and raga
+ * @returns {string}
+ */
+const metadataLine = (lyrics) => [
+  lyrics.styleDisplay || lyrics.style,
+  lyrics.dialectDisplay || lyrics.dialect,
+  lyrics.metadata?.suggestedTempo,
+  lyrics.metadata?.suggestedRaga && `Raga: ${lyrics.metadata.suggestedRaga}`
+].filter(Boolean).join(' · ');
+
+// Emoji and other symbols the embedded fonts have no glyphs for
+const printable = (text) => (text || '').replace(/[\p{Extended_Pictographic}\uFE0F\u200D【】]/gu, '').trim();
+
+// ======================= TIMING =======================
+
+/**
+ * Parse a tempo such as "80-100 BPM" to its midpoint
+ * @param {string} tempo
+ * @returns {number|null}
+ */
+const parseBpm = (tempo) => {
+  const values = (tempo || '').match(/\d+/g);
+  if (!values) return null;
+  const numbers = values.slice(0, 2).map(Number);
+  return Math.round(numbers.reduce((sum, n) => sum + n, 0) / numbers.length);
+};
+
+/**
+ * Mātras sung in a line
+ * Devanagari, Tamil and Kannada are read as Telugu letters to weigh aksharas.
+ * @param {object} line - { telugu, roman }
+ * @returns {number}
+ */
+const lineMatras = ({ telugu, roman }) => {
+  const aksharas = splitAksharas(toTeluguScript(telugu));
+  if (aksharas.length > 0) {
+    return aksharas.reduce((sum, a) => sum + (a.weight === 'U' ? 2 : 1), 0);
+  }
+  return (roman.match(/[aeiouāēīōū]+/gi) || []).length * LATIN_SYLLABLE_MATRAS;
+};
+
+/**
+ * Estimate when each line is sung, from its prosody and the song's tempo
+ * There is no audio alignment, so these are starting points to adjust in an editor.
+ * @param {object[]} sections - From exportSections
+ * @param {object} [options]
+ * @param {number} [options.bpm] - Overrides the tempo in the lyrics metadata
+ * @param {number} [options.offset=0] - Seconds before the first line
+ * @returns {object[]} [{ start, end, telugu, roman }] in seconds
+ */
+const timeLines = (sections, { bpm = DEFAULT_BPM, offset = 0 } = {}) => {
+  const secondsPerBeat = 60 / bpm;
+  const timed = [];
+  let beat = 0;
+
+  sections.forEach((section, s) => {
+    if (s > 0) beat += SECTION_GAP_BEATS;
+    for (const line of section.lines) {
+      const beats = Math.max(lineMatras(line) * BEATS_PER_MATRA, MIN_LINE_BEATS);
+      timed.push({
+        start: offset + beat * secondsPerBeat,
+        end: offset + (beat + beats) * secondsPerBeat,
+        telugu: line.telugu,
+        roman: line.roman
+      });
+      beat += beats + LINE_GAP_BEATS;
+    }
+  });
+
+  return timed;
+};
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// 00:01:02,345
+const srtTime = (seconds) => {
+  const ms = Math.round(seconds * 1000);
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+};
+
+// 01:02.34
+const lrcTime = (seconds) => {
+  const cs = Math.round(seconds * 100);
+  return `${pad(Math.floor(cs / 6000))}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+};
+
+// ======================= RENDERERS =======================
+
+const toText = (lyrics) => `${lyrics.content.trim()}\n`;
+
+// Numbered cues with the lyric line and its transliteration beneath
+const toSrt = (lyrics, sections, options) => timeLines(sections, options)
+  .map((line, i) => [
+    i + 1,
+    `${srtTime(line.start)} --> ${srtTime(line.end)}`,
+    ...[line.telugu, line.roman].filter(Boolean)
+  ].join('\n'))
+  .join('\n\n') + '\n';
+
+// One timestamped lyric line each; karaoke players show a single line
+const toLrc = (lyrics, sections, options) => {
+  const lines = timeLines(sections, options);
+  const last = lines[lines.length - 1];
+  const header = [`[ti:${lyrics.title}]`];
+  if (last) header.push(`[length:${lrcTime(last.end).slice(0, 5)}]`);
+
+  return [
+    ...header,
+    ...lines.map(line => `[${lrcTime(line.start)}]${line.telugu || line.roman}`)
+  ].join('\n') + '\n';
+};
+
+// PDF font names are the script names, with a Bold suffix for headings
+const registerFonts = (doc) => {
+  Object.entries(SCRIPT_FONTS).forEach(([script, font]) => {
+    doc.registerFont(script, font.regular);
+    doc.registerFont(`${script}Bold`, font.bold);
+  });
+  doc.registerFont('latin', LATIN_FONT.regular);
+  doc.registerFont('latinItalic', LATIN_FONT.italic);
+};
+
+/**
+ * Render an A4 PDF
+ * Fonts are embedded only once a page uses them.
+ * @param {string} title - Document title
+ * @param {Function} write - Called with the PDFKit document to lay out its pages
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (title, write) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 56,
+    info: { Title: printable(title), Creator: 'CreativeWriter' }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  registerFonts(doc);
+  write(doc);
+  doc.end();
+});
+
+/**
+ * Songbook page: title, metadata, then each section with the transliteration
+ * set under its lyric line. A line pair never splits across pages.
+ * Lyric lines use the Noto font for the song's script.
+ */
+const writePdfSong = (doc, lyrics, sections) => {
+  const { script } = scriptFont(lyrics);
+  const bold = `${script}Bold`;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const keepTogether = (height) => {
+    if (doc.y + height > bottom()) doc.addPage();
+  };
+
+  doc.font(bold).fontSize(22).fillColor('#111827').text(printable(lyrics.title), { align: 'center' });
+  doc.font('latin').fontSize(10).fillColor('#6b7280').text(metadataLine(lyrics), { align: 'center' });
+  doc.moveDown(1.5);
+
+  for (const section of sections) {
+    const [first] = section.lines;
+    const lineHeight = (line) => doc.font(script).fontSize(13).heightOfString(printable(line.telugu) || ' ', { width })
+      + doc.font('latinItalic').fontSize(10).heightOfString(printable(line.roman) || ' ', { width });
+
+    keepTogether(doc.font(bold).fontSize(12).heightOfString(section.label, { width }) + lineHeight(first) + 8);
+    doc.font(bold).fontSize(12).fillColor('#7c3aed').text(printable(section.label));
+    doc.moveDown(0.3);
+
+    for (const line of section.lines) {
+      keepTogether(lineHeight(line) + 4);
+      if (line.telugu) doc.font(script).fontSize(13).fillColor('#111827').text(printable(line.telugu), { width });
+      if (line.roman) doc.font('latinItalic').fontSize(10).fillColor('#6b7280').text(printable(line.roman), { width });
+      doc.moveDown(0.3);
+    }
+    doc.moveDown(0.8);
+  }
+};
+
+const toPdf = (lyrics, sections) => renderPdf(lyrics.title, doc => writePdfSong(doc, lyrics, sections));
+
+/**
+ * Word document with the fonts embedded
+ * @param {string} title - Document title
+ * @param {object[]} children - Paragraphs and tables
+ * @param {object[]} fonts - SCRIPT_FONTS entries used by the document
+ * @returns {Promise<Buffer>}
+ */
+const renderDocx = (title, children, fonts) => Packer.toBuffer(new Document({
+  title,
+  creator: 'CreativeWriter',
+  fonts: [...new Set(fonts), LATIN_FONT].map(font => ({ name: font.name, data: fs.readFileSync(font.regular) })),
+  sections: [{ children }]
+}));
+
+/**
+ * Paragraphs for one song; each section is a borderless two-column table,
+ * the lyric line on the left and its transliteration on the right
+ * @param {boolean} [pageBreakBefore=false] - Start the song on a new page
+ * @returns {object[]}
+ */
+const docxSong = (lyrics, sections, pageBreakBefore = false) => {
+  const font = scriptFont(lyrics);
+  const cell = (text, fontName, italics) => new TableCell({
+    width: { size: 50, type: WidthType.PERCENTAGE },
+    children: [new Paragraph({ children: [new TextRun({ text, font: fontName, italics, size: italics ? 20 : 24 })] })]
+  });
+
+  const children = [
+    new Paragraph({
+      heading: HeadingLevel.TITLE,
+      pageBreakBefore,
+      children: [new TextRun({ text: lyrics.title, font: font.name, bold: true })]
+    }),
+    new Paragraph({ children: [new TextRun({ text: metadataLine(lyrics), font: LATIN_FONT.name, color: '6B7280', size: 20 })] })
+  ];
+
+  for (const section of sections) {
+    children.push(
+      new Paragraph({
+        heading: HeadingLevel.HEADING_2,
+        spacing: { before: 240 },
+        children: [new TextRun({ text: section.label, font: font.name })]
+      }),
+      new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        borders: TableBorders.NONE,
+        rows: section.lines.map(line => new TableRow({
+          cantSplit: true,
+          children: [cell(line.telugu, font.name, false), cell(line.roman, LATIN_FONT.name, true)]
+        }))
+      })
+    );
+  }
+
+  return children;
+};
+
+const toDocx = (lyrics, sections) => renderDocx(lyrics.title, docxSong(lyrics, sections), [scriptFont(lyrics)]);
+
+/**
+ * Render lyrics in an export format
+ * @param {object} lyrics - Lyrics document
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @param {object} [options]
+ * @param {string} [options.scheme='rts'] - Transliteration scheme for lines that have none
+ * @param {number} [options.bpm] - SRT/LRC tempo; defaults to the lyrics' suggested tempo
+ * @param {number} [options.offset] - SRT/LRC seconds before the first line
+ * @returns {Promise<Buffer|string>}
+ */
+const renderExport = async (lyrics, format, { scheme = 'rts', bpm, offset } = {}) => {
+  if (format === 'text') return toText(lyrics);
+
+  const sections = exportSections(lyrics, scheme);
+  const timing = { bpm: bpm || parseBpm(lyrics.metadata?.suggestedTempo) || DEFAULT_BPM, offset };
+
+  switch (format) {
+    case 'pdf': return toPdf(lyrics, sections);
+    case 'docx': return toDocx(lyrics, sections);
+    case 'srt': return toSrt(lyrics, sections, timing);
+    case 'lrc': return toLrc(lyrics, sections, timing);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+// ======================= COLLECTIONS =======================
+
+// A collection exports as one songbook; timed formats only make sense for a single song
+const COLLECTION_EXPORT_FORMATS = ['text', 'pdf', 'docx'];
+
+const coverDetails = (collection) => [collection.coverText, collection.description].filter(Boolean);
+
+const contents = (songs) => songs.map(({ lyrics }, i) => `${i + 1}. ${lyrics.title}`);
+
+// Title, details and contents, then each song's content between dividers
+const collectionText = (collection, songs) => [
+  [collection.title, ...coverDetails(collection), contents(songs).join('\n')].filter(Boolean).join('\n\n'),
+  ...songs.map(({ lyrics }) => lyrics.content.trim())
+].join('\n\n* * *\n\n') + '\n';
+
+// A cover page with the collection's details and contents, then one song per page
+const collectionPdf = (collection, songs) => renderPdf(collection.title, (doc) => {
+  doc.font(`${textFont(collection.title).script}Bold`).fontSize(26).fillColor('#111827')
+    .text(printable(collection.title), { align: 'center' });
+  doc.moveDown(0.5);
+  if (collection.coverText) {
+    doc.font(textFont(collection.coverText).script).fontSize(13).fillColor('#374151')
+      .text(printable(collection.coverText), { align: 'center' });
+    doc.moveDown(0.8);
+  }
+  if (collection.description) {
+    doc.font(textFont(collection.description).script).fontSize(11).fillColor('#6b7280')
+      .text(printable(collection.description), { align: 'center' });
+  }
+  doc.moveDown(1.5);
+  contents(songs).forEach((line, i) => {
+    doc.font(scriptFont(songs[i].lyrics).script).fontSize(12).fillColor('#111827').text(printable(line));
+  });
+
+  for (const { lyrics, sections } of songs) {
+    doc.addPage();
+    writePdfSong(doc, lyrics, sections);
+  }
+});
+
+// The same layout as a Word document, each song starting on a new page
+const collectionDocx = (collection, songs) => {
+  const paragraph = (text, options = {}) => new Paragraph({
+    ...options.paragraph,
+    children: [new TextRun({ text, font: textFont(text).name, ...options.run })]
+  });
+
+  const children = [
+    paragraph(collection.title, { paragraph: { heading: HeadingLevel.TITLE }, run: { bold: true } }),
+    ...coverDetails(collection).flatMap(detail => detail.split('\n').map(line => paragraph(line, { run: { color: '374151' } }))),
+    ...contents(songs).map((line, i) => new Paragraph({
+      spacing: i === 0 ? { before: 240 } : undefined,
+      children: [new TextRun({ text: line, font: scriptFont(songs[i].lyrics).name })]
+    })),
+    ...songs.flatMap(({ lyrics, sections }) => docxSong(lyrics, sections, true))
+  ];
+
+  const fonts = [collection.title, ...coverDetails(collection)].map(textFont)
+    .concat(songs.map(({ lyrics }) => scriptFont(lyrics)));
+
+  return renderDocx(collection.title, children, fonts);
+};
+
+/**
+ * Render a collection as a songbook
+ * @param {object} collection - { title, description, coverText }
+ * @param {object[]} tracks - Lyrics in track order, already limited to what the reader may see
+ * @param {string} format - One of COLLECTION_EXPORT_FORMATS
+ * @param {object} [options]
+ * @param {string} [options.scheme='rts'] - Transliteration scheme for lines that have none
+ * @returns {Promise<Buffer|string>}
+ */
+const renderCollectionExport = async (collection, tracks, format, { scheme = 'rts' } = {}) => {
+  const songs = tracks.map(lyrics => ({
+    lyrics,
+    sections: format === 'text' ? [] : exportSections(lyrics, scheme)
+  }));
+
+  switch (format) {
+    case 'text': return collectionText(collection, songs);
+    case 'pdf': return collectionPdf(collection, songs);
+    case 'docx': return collectionDocx(collection, songs);
+    default: throw new Error(`Unknown collection export format: ${format}`);
+  }
+};
+
+/**
+ * Content-Disposition header for a download named after the lyrics title
+ * Indic titles go in filename*; filename carries an RTS ASCII fallback.
+ * @param {string} title
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @returns {string}
+ */
+const contentDisposition = (title, format) => {
+  const { extension } = EXPORT_FORMATS[format];
+  const name = printable(title).replace(/[\\/:*?"<>|\r\n]+/g, ' ').replace(/\s+/g, ' ').trim() || 'lyrics';
+  const ascii = toRoman(name).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'lyrics';
+  return `attachment; filename="${ascii}.${extension}"; filename*=UTF-8''${encodeURIComponent(`${name}.${extension}`)}`;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  COLLECTION_EXPORT_FORMATS,
+  parseBpm,
+  timeLines,
+  exportSections,
+  renderExport,
+  renderCollectionExport,
+  contentDisposition
+};
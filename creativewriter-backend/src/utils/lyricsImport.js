@@ -0,0 +1,321 @@
+/**
+ * Lyrics Import
+ * Turns uploaded text, Markdown and DOCX files into lyrics in the generated
+ * 【…】 section format, guessing the title, language, style and dialect from the text
+ */
+
+const mammoth = require('mammoth');
+const { parseFooter } = require('./lyricsSections');
+const { dialectInfo, dialectLanguage } = require('./lyricsPrompt');
+const { foldText } = require('./search');
+
+const IMPORT_EXTENSIONS = ['txt', 'md', 'markdown', 'docx'];
+
+const TITLE_MAX_LENGTH = 200;
+
+// Section markers writers use, mapped to the headings generation produces
+const SECTION_NAMES = [
+  { pattern: /^(అనుపల్లవి|anu\s*-?\s*pallavi|pre-?chorus)(?![a-z\u0C00-\u0C7F])/i, telugu: 'అనుపల్లవి', english: 'Anupallavi' },
+  { pattern: /^(పల్లవి|pallavi|chorus|refrain|hook)(?![a-z\u0C00-\u0C7F])/i, telugu: 'పల్లవి', english: 'Pallavi' },
+  { pattern: /^(చరణం|చరణము|charanam|charanamu|verse|stanza)(?![a-z\u0C00-\u0C7F])/i, telugu: 'చరణం', english: 'Charanam', numbered: true }
+];
+// Kept under their own name as an "other" section
+const OTHER_SECTIONS = /^(intro|outro|bridge|interlude|coda|sakhi|saaki|సాకీ)(?![a-z\u0C00-\u0C7F])/i;
+
+const FOOTER_LINE = /^[ \t]*---[ \t]*$/;
+// Blank-line-delimited songs in plain text are not split; these lines are
+const SONG_SEPARATOR = /^\s*(={3,}|\*{3,}|_{3,})\s*$/;
+
+// Words that hint at a style or dialect; compared after foldText so
+// transliterated lyrics ("prema") match as well as Telugu script (ప్రేమ)
+const STYLE_WORDS = {
+  devotional: ['స్వామి', 'దేవా', 'రామ', 'కృష్ణ', 'శివ', 'గోవింద', 'హరి', 'శరణం', 'నమో', 'భక్తి'],
+  lullaby: ['జోల', 'లాలి', 'నిద్ర', 'ఉయ్యాల', 'చందమామ'],
+  patriotic: ['భారత', 'దేశం', 'జననీ', 'జెండా', 'స్వాతంత్ర్య', 'వీర'],
+  celebration: ['పండుగ', 'సంబరం', 'సంక్రాంతి', 'దీపావళి', 'ఉగాది', 'పెళ్లి'],
+  romantic: ['ప్రేమ', 'ప్రియ', 'చెలి', 'మనసు', 'వలపు', 'కౌగిలి'],
+  philosophical: ['జీవితం', 'కాలం', 'సత్యం', 'మాయ', 'ఆత్మ', 'కర్మ'],
+  folk: ['పల్లె', 'పొలం', 'రైతు', 'కోలాటం', 'జానపద', 'ఏరువాక']
+};
+const DIALECT_WORDS = {
+  telangana: ['మస్తు', 'లగువ', 'బువ్వ', 'గావు', 'బతుకమ్మ', 'బోనాలు', 'చార్మినార్'],
+  rayalaseema: ['ఏందిరా', 'అట్లనే', 'పోరడు', 'తిరుపతి', 'పెన్న', 'అన్నమయ్య'],
+  coastal: ['గోదావరి', 'కృష్ణమ్మ', 'పుష్కరాలు', 'కోనసీమ'],
+  uttarandhra: ['గిట్ల', 'రావాలె', 'సింహాచలం', 'శ్రీకాకుళం', 'విశాఖ']
+};
+
+// Script letters that give away a song's language (Telugu-English reads as Telugu)
+const SCRIPT_LANGUAGES = {
+  te: /[\u0C00-\u0C7F]/g,
+  hi: /[\u0900-\u097F]/g,
+  ta: /[\u0B80-\u0BFF]/g,
+  kn: /[\u0C80-\u0CFF]/g
+};
+
+// Folded with a leading space so a word only matches at the start of a word (ప్రేమలో counts for ప్రేమ)
+const foldWords = (table) => Object.fromEntries(
+  Object.entries(table).map(([key, words]) => [key, words.map(word => ` ${foldText(word)}`)])
+);
+const STYLE_KEYS = foldWords(STYLE_WORDS);
+const DIALECT_KEYS = foldWords(DIALECT_WORDS);
+
+// ======================= FILE TEXT =======================
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Word document as Markdown-style lines: headings keep their level as #, one
+ * line per paragraph (empty paragraphs become the blank lines between stanzas)
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+const docxToText = async (buffer) => {
+  const { value } = await mammoth.convertToHtml({ buffer }, { styleMap: ["p[style-name='Title'] => h1:fresh"] });
+
+  return decodeEntities(value
+    .replace(/<h1[^>]*>/g, '\n# ')
+    .replace(/<h[2-6][^>]*>/g, '\n## ')
+    .replace(/<br\s*\/?>/g, '\n')
+    .replace(/<\/(p|h[1-6]|li)>/g, '\n')
+    .replace(/<[^>]+>/g, ''));
+};
+
+/**
+ * Strip Markdown emphasis, quotes and list bullets from a line
+ * @param {string} line
+ * @returns {string}
+ */
+const stripMarkdown = (line) => line
+  .replace(/^\s*>\s?/, '')
+  .replace(/^\s*(?:[-*+]|\d+\.)\s+/, '')
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/(^|\s)[*_](\S.*?\S|\S)[*_](?=\s|$)/g, '$1$2')
+  .replace(/\\$/, '')
+  .trimEnd();
+
+// ======================= SECTIONS =======================
+
+/**
+ * Recognise a section marker line
+ * Accepts 【…】, Markdown headings below the song title, [Chorus], bold or
+ * colon-terminated labels ("**Pallavi**", "చరణం 2:") and bare section names.
+ * @param {string} line - Raw line
+ * @returns {string|null} Marker text without decoration, or null
+ */
+const markerLabel = (line) => {
+  const text = line.trim();
+  const bracketed = text.match(/^【\s*(.+?)\s*】$/);
+  if (bracketed) return bracketed[1];
+
+  const heading = text.match(/^#{2,6}\s+(.+)$/);
+  const decorated = text.match(/^\[(.+)\]$/) || text.match(/^\((.+)\)$/) || text.match(/^\*\*(.+?)\*\*:?$/) || text.match(/^(.+?):$/);
+  const candidate = (heading || decorated || [null, text])[1].trim();
+
+  // A short label only, so a lyric line such as "Chorus of birds sings" is not a marker
+  const words = candidate.replace(/[\d-]+/g, ' ').trim().split(/\s+/);
+  const known = words.length <= 2
+    && (SECTION_NAMES.some(s => s.pattern.test(candidate)) || OTHER_SECTIONS.test(candidate));
+  if (known) return candidate;
+  // Any Markdown sub-heading is a section, even with an unfamiliar name
+  return heading ? candidate : null;
+};
+
+/**
+ * Heading for a marker in the 【తెలుగు - English】 form of generated lyrics
+ * @param {string} label - From markerLabel
+ * @param {object} counts - Running count per section name, for numbering charanams
+ * @returns {string}
+ */
+const canonicalHeading = (label, counts) => {
+  const name = SECTION_NAMES.find(s => s.pattern.test(label));
+  if (!name) return `【${label}】`;
+
+  counts[name.english] = (counts[name.english] || 0) + 1;
+  if (!name.numbered) return `【${name.telugu} - ${name.english}】`;
+
+  const number = label.match(/\d+/)?.[0] || counts[name.english];
+  return `【${name.telugu} ${number} - ${name.english} ${number}】`;
+};
+
+/**
+ * Rebuild one song's lines with canonical section headings
+ * Unmarked lines before the first marker become the pallavi when the song has no
+ * other pallavi; a song without any markers is kept as written.
+ * @param {string[]} lines - Song body, without its title
+ * @returns {string}
+ */
+const buildContent = (lines) => {
+  const footerAt = lines.findIndex(line => FOOTER_LINE.test(line));
+  const body = footerAt === -1 ? lines : lines.slice(0, footerAt);
+  const footer = footerAt === -1 ? [] : lines.slice(footerAt);
+
+  const labels = body.map(markerLabel);
+  const firstMarker = labels.findIndex(Boolean);
+  const counts = {};
+  const output = [];
+
+  if (firstMarker > 0 && body.slice(0, firstMarker).some(line => line.trim())) {
+    const pallavi = SECTION_NAMES.find(s => s.english === 'Pallavi');
+    const hasPallavi = labels.some(label => label && pallavi.pattern.test(label));
+    if (!hasPallavi) output.push(canonicalHeading('Pallavi', counts));
+  }
+
+  body.forEach((line, i) => {
+    if (labels[i]) {
+      while (output.length && !output[output.length - 1].trim()) output.pop();
+      if (output.length) output.push('');
+      output.push(canonicalHeading(labels[i], counts));
+    } else {
+      output.push(line);
+    }
+  });
+
+  return [...output, '', ...footer].join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+// ======================= GUESSES =======================
+
+const countHits = (folded, words) => words.reduce((sum, word) => sum + (folded.split(word).length - 1), 0);
+
+/**
+ * Key of the table entry whose words appear most often, or null when none do
+ * @returns {string|null}
+ */
+const bestMatch = (folded, table) => {
+  let best = null;
+  let bestHits = 0;
+  for (const [key, words] of Object.entries(table)) {
+    const hits = countHits(folded, words);
+    if (hits > bestHits) {
+      best = key;
+      bestHits = hits;
+    }
+  }
+  return best;
+};
+
+/**
+ * Guess the language of a song from the script most of its letters are in
+ * @param {string} content
+ * @returns {string|null} te, hi, ta or kn; null when there are no Indic letters
+ */
+const guessLanguage = (content) => {
+  let best = null;
+  let bestCount = 0;
+  for (const [language, pattern] of Object.entries(SCRIPT_LANGUAGES)) {
+    const count = (content.match(pattern) || []).length;
+    if (count > bestCount) {
+      best = language;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+/**
+ * Guess the style and dialect of a song
+ * A dialect in the metadata footer ("🗣️ మాండలికం: తెలంగాణ") wins over vocabulary;
+ * only dialects of the song's language are considered, and the word lists are Telugu.
+ * @param {string} content - Canonical content from buildContent
+ * @param {string} [language='te']
+ * @returns {object} { style, dialect }, each null when there is no evidence
+ */
+const guessStyleAndDialect = (content, language = 'te') => {
+  const folded = ` ${foldText(content)} `;
+  const telugu = dialectLanguage(language) === 'te';
+
+  const footerDialect = parseFooter(content)?.fields.dialect;
+  const named = footerDialect && Object.keys(dialectInfo).find(key =>
+    dialectInfo[key].language === dialectLanguage(language) &&
+    (footerDialect.toLowerCase().includes(key) || footerDialect.includes(dialectInfo[key].nativeName)));
+
+  return {
+    style: telugu ? bestMatch(folded, STYLE_KEYS) : null,
+    dialect: named || (telugu ? bestMatch(folded, DIALECT_KEYS) : null)
+  };
+};
+
+// ======================= SONGS =======================
+
+/**
+ * Split a file's text into songs
+ * Markdown (and Word) `#` headings start a new song titled by the heading;
+ * lines of ===, *** or ___ also separate songs. The first line is taken as the
+ * title when it starts with 🎵 or "Title:".
+ * @param {string} text
+ * @returns {object[]} [{ title, lines }]; title is null when the song has none
+ */
+const splitSongs = (text) => {
+  const songs = [];
+  let current = { title: null, lines: [] };
+  const finish = () => {
+    if (current.lines.some(line => line.trim())) songs.push(current);
+  };
+
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const title = line.match(/^#(?:\s+(.*))?$/);
+    if (title || SONG_SEPARATOR.test(line)) {
+      finish();
+      current = { title: (title && stripMarkdown(title[1] || '').trim()) || null, lines: [] };
+      continue;
+    }
+    current.lines.push(line);
+  }
+  finish();
+
+  return songs.map(song => {
+    const first = song.lines.findIndex(line => line.trim());
+    const explicit = song.lines[first].match(/^\s*(?:🎵\s*|title\s*:\s*)(.+)$/i);
+    if (!explicit) return song;
+    return { title: song.title || explicit[1].trim(), lines: song.lines.slice(first + 1) };
+  });
+};
+
+/**
+ * Parse an uploaded file into songs ready to save as lyrics
+ * @param {string} filename - Original name; the extension picks the parser and
+ *   the name is the title of an untitled song
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {string} [options.language] - Language of every song; style and dialect
+ *   are then guessed for it instead of the language detected in the text
+ * @returns {Promise<object[]>} [{ title, content, language, style, dialect }]; each guess is null when there is no evidence
+ */
+const parseLyricsFile = async (filename, buffer, { language: songLanguage } = {}) => {
+  const extension = filename.split('.').pop().toLowerCase();
+  const text = extension === 'docx' ? await docxToText(buffer) : buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const markdown = extension !== 'txt';
+  const baseName = filename.replace(/\.[^.]+$/, '').trim() || 'Untitled';
+
+  const songs = splitSongs(text);
+  return songs.map((song, i) => {
+    const lines = markdown ? song.lines.map(stripMarkdown) : song.lines;
+    const content = buildContent(lines);
+    const fallbackTitle = songs.length > 1 ? `${baseName} (${i + 1})` : baseName;
+    const title = (song.title || fallbackTitle).slice(0, TITLE_MAX_LENGTH);
+
+    const language = songLanguage || guessLanguage(content);
+
+    return {
+      title,
+      content: `🎵 ${title}\n\n${content}`,
+      language,
+      ...guessStyleAndDialect(content, language || 'te')
+    };
+  });
+};
+
+module.exports = {
+  IMPORT_EXTENSIONS,
+  markerLabel,
+  buildContent,
+  splitSongs,
+  guessLanguage,
+  guessStyleAndDialect,
+  parseLyricsFile
+};
@@ -0,0 +1,712 @@
+/**
+ * Lyrics Prompt Templates
+ * Variable catalogs, built-in templates, and a small {{variable}} renderer
+ */
+
+// Built-in styles and poetry forms, seeded into the catalog where admins can edit them
+const styleCatalog = {
+  devotional: {
+    name: 'Devotional',
+    teluguName: 'భక్తి గీతం',
+    guidance: 'Reverent praise of a deity with simple, repeatable refrains suited to bhajans'
+  },
+  folk: {
+    name: 'Folk',
+    teluguName: 'జానపద గీతం',
+    guidance: 'Village life, work and festivals in earthy everyday words with call-and-response refrains'
+  },
+  romantic: {
+    name: 'Romantic',
+    teluguName: 'ప్రేమ గీతం',
+    guidance: 'Longing and tenderness through nature imagery - moonlight, rain, flowers'
+  },
+  patriotic: {
+    name: 'Patriotic',
+    teluguName: 'దేశభక్తి గీతం',
+    guidance: 'Pride in the motherland and its people, in a rousing marching rhythm'
+  },
+  lullaby: {
+    name: 'Lullaby',
+    teluguName: 'జోల పాట',
+    guidance: 'Soft, slow and soothing, with gentle repetition to rock a child to sleep'
+  },
+  celebration: {
+    name: 'Celebration',
+    teluguName: 'పండుగ పాట',
+    guidance: 'Festive joy, music and dance, with a lively beat for groups to sing along'
+  },
+  philosophical: {
+    name: 'Philosophical',
+    teluguName: 'తత్వ గీతం',
+    guidance: 'Reflections on life, impermanence and the self in the tradition of Vemana and tatvalu'
+  },
+  cinematic: {
+    name: 'Cinematic',
+    teluguName: 'సినిమా పాట',
+    guidance: 'A film song with a catchy hook, modern phrasing and a situation-driven mood'
+  }
+};
+
+// Languages lyrics can be generated in. Telugu-English shares the Telugu dialects;
+// Telugu falls back to config.lyrics.defaultDialect.
+const languageInfo = {
+  te: {
+    name: 'Telugu',
+    nativeName: 'తెలుగు',
+    script: 'Telugu',
+    sectionNames: { pallavi: 'పల్లవి', anupallavi: 'అనుపల్లవి', charanam: 'చరణం' }
+  },
+  'te-en': {
+    name: 'Telugu-English',
+    nativeName: 'తెలుగు + English',
+    script: 'Telugu',
+    dialectLanguage: 'te',
+    sectionNames: { pallavi: 'పల్లవి', anupallavi: 'అనుపల్లవి', charanam: 'చరణం' },
+    devices: ['ప్రాస (Praasa) - End rhyme', 'అనుప్రాస (Anuprasa) - Alliteration', 'A catchy English hook phrase in the Pallavi'],
+    note: 'Blend everyday English words and phrases into the Telugu lines the way modern Telugu film songs do. Write the English words in Latin script and everything else in Telugu script.'
+  },
+  hi: {
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    script: 'Devanagari',
+    defaultDialect: 'khari-boli',
+    sectionNames: { pallavi: 'मुखड़ा', anupallavi: 'अनुपल्लवी', charanam: 'अंतरा' },
+    devices: ['अनुप्रास (Anupras) - Alliteration', 'तुकबंदी (Tukbandi) - End rhyme', 'रदीफ़-क़ाफ़िया (Radif-Qafiya) - Repeated refrain after the rhyme']
+  },
+  ta: {
+    name: 'Tamil',
+    nativeName: 'தமிழ்',
+    script: 'Tamil',
+    defaultDialect: 'chennai',
+    sectionNames: { pallavi: 'பல்லவி', anupallavi: 'அனுபல்லவி', charanam: 'சரணம்' },
+    devices: ['எதுகை (Edhugai) - Second-letter rhyme', 'மோனை (Monai) - Alliteration', 'இயைபு (Iyaibu) - End rhyme']
+  },
+  kn: {
+    name: 'Kannada',
+    nativeName: 'ಕನ್ನಡ',
+    script: 'Kannada',
+    defaultDialect: 'mysuru',
+    sectionNames: { pallavi: 'ಪಲ್ಲವಿ', anupallavi: 'ಅನುಪಲ್ಲವಿ', charanam: 'ಚರಣ' },
+    devices: ['ಪ್ರಾಸ (Praasa) - Second-letter rhyme', 'ಅನುಪ್ರಾಸ (Anupraasa) - Alliteration', 'ಲಯ (Laya) - Steady rhythm']
+  }
+};
+
+/**
+ * Language whose dialects a generation language uses
+ * @param {string} language - Key of languageInfo
+ * @returns {string}
+ */
+const dialectLanguage = (language) => (languageInfo[language] && languageInfo[language].dialectLanguage) || language;
+
+// Languages with their own dialects
+const DIALECT_LANGUAGES = Object.keys(languageInfo).filter(language => !languageInfo[language].dialectLanguage);
+
+// Built-in dialects, seeded into the Dialect collection where admins can edit them
+const dialectInfo = {
+  telangana: {
+    name: 'Telangana',
+    nativeName: 'తెలంగాణ',
+    language: 'te',
+    vocabulary: ['మస్తు', 'లగువ', 'బువ్వ'],
+    markers: ['గావు/గాదు endings'],
+    references: ['Bathukamma', 'Bonalu', 'Charminar', 'Tank Bund']
+  },
+  rayalaseema: {
+    name: 'Rayalaseema',
+    nativeName: 'రాయలసీమ',
+    language: 'te',
+    vocabulary: ['ఏందిరా', 'అట్లనే', 'పోరడు'],
+    markers: ['ళ్ళ/ణ్ణ pronunciations'],
+    references: ['Penna River', 'Tirupati', 'Annamayya keertanas']
+  },
+  coastal: {
+    name: 'Coastal Andhra',
+    nativeName: 'కోస్తాంధ్ర',
+    language: 'te',
+    vocabulary: [],
+    markers: ['Standard literary Telugu', 'softer pronunciations'],
+    references: ['Godavari', 'Krishna rivers', 'Pushkarams']
+  },
+  uttarandhra: {
+    name: 'North Andhra',
+    nativeName: 'ఉత్తరాంధ్ర',
+    language: 'te',
+    vocabulary: ['గిట్ల', 'అట్ల', 'రావాలె'],
+    markers: ['Odiya influence'],
+    references: ['Simhachalam', 'Visakhapatnam', 'Srikakulam']
+  },
+  'khari-boli': {
+    name: 'Khari Boli',
+    nativeName: 'खड़ी बोली',
+    language: 'hi',
+    vocabulary: [],
+    markers: ['Standard Hindustani', 'Urdu-inflected poetic diction'],
+    references: ['Delhi', 'Yamuna', 'Ghazal tradition']
+  },
+  awadhi: {
+    name: 'Awadhi',
+    nativeName: 'अवधी',
+    language: 'hi',
+    vocabulary: ['हमार', 'तोहार', 'बतिया'],
+    markers: ['-वा noun endings', 'Tulsidas-style chaupai rhythm'],
+    references: ['Ayodhya', 'Saryu', 'Ramcharitmanas']
+  },
+  bhojpuri: {
+    name: 'Bhojpuri',
+    nativeName: 'भोजपुरी',
+    language: 'hi',
+    vocabulary: ['रउआ', 'हमनी', 'बानी'],
+    markers: ['बा/बाटे verb endings', 'call-and-response refrains'],
+    references: ['Chhath Puja', 'Ganga ghats', 'Varanasi']
+  },
+  bambaiya: {
+    name: 'Bambaiya',
+    nativeName: 'बम्बइया',
+    language: 'hi',
+    vocabulary: ['अपुन', 'बोले तो', 'झकास'],
+    markers: ['Marathi and English loanwords', 'street slang'],
+    references: ['Mumbai local trains', 'Marine Drive', 'Ganpati festival']
+  },
+  chennai: {
+    name: 'Chennai',
+    nativeName: 'சென்னை',
+    language: 'ta',
+    vocabulary: ['மச்சான்', 'கலாய்', 'பேஜார்'],
+    markers: ['Madras Bashai slang', 'English loanwords'],
+    references: ['Marina Beach', 'Gaana songs', 'Mylapore']
+  },
+  madurai: {
+    name: 'Madurai',
+    nativeName: 'மதுரை',
+    language: 'ta',
+    vocabulary: ['அண்ணே', 'ஆத்தா', 'வெள்ளந்தி'],
+    markers: ['Rustic southern intonation'],
+    references: ['Meenakshi Temple', 'Vaigai', 'Chithirai festival']
+  },
+  kongu: {
+    name: 'Kongu',
+    nativeName: 'கொங்கு',
+    language: 'ta',
+    vocabulary: ['ஏனுங்க', 'கண்ணு', 'ஊட்டு'],
+    markers: ['-ங்க respectful endings'],
+    references: ['Coimbatore', 'Noyyal river', 'Kongu farmlands']
+  },
+  mysuru: {
+    name: 'Mysuru',
+    nativeName: 'ಮೈಸೂರು',
+    language: 'kn',
+    vocabulary: [],
+    markers: ['Standard literary Kannada'],
+    references: ['Chamundi Hills', 'Dasara', 'Kaveri']
+  },
+  dharwad: {
+    name: 'Dharwad',
+    nativeName: 'ಧಾರವಾಡ',
+    language: 'kn',
+    vocabulary: ['ಯಾಕ', 'ಬರ್ರಿ', 'ಹೆಂಗ'],
+    markers: ['North Karnataka -ರಿ endings', 'Marathi influence'],
+    references: ['Hindustani music gharanas', 'Bendre poetry', 'Malaprabha']
+  },
+  mangaluru: {
+    name: 'Mangaluru',
+    nativeName: 'ಮಂಗಳೂರು',
+    language: 'kn',
+    vocabulary: ['ಮಾರಾಯ', 'ಗಡಿಬಿಡಿ'],
+    markers: ['Tulu and Konkani influence'],
+    references: ['Yakshagana', 'Arabian Sea coast', 'Kambala']
+  }
+};
+
+/**
+ * Prompt-ready name, features and references of a dialect profile
+ * @param {object} dialect - Built-in entry or Dialect document
+ * @returns {object} { name, features, references }
+ */
+const describeDialect = ({ name, nativeName, vocabulary = [], markers = [], references = [] }) => ({
+  name: nativeName ? `${nativeName} (${name})` : name,
+  features: [...markers, vocabulary.length > 0 ? `${vocabulary.join(', ')} vocabulary` : '']
+    .filter(Boolean).join(', '),
+  references: references.join(', ')
+});
+
+const poetryFormCatalog = {
+  padyam: {
+    name: 'Padyam',
+    teluguName: 'పద్యం',
+    guidance: 'Classical verse with strict meter (Kandam, Seesam, Utpalamala)'
+  },
+  geeyam: {
+    name: 'Geeyam',
+    teluguName: 'గేయం',
+    guidance: 'Lyrical poetry for singing (Pallavi-Charanam structure)'
+  },
+  janapada: {
+    name: 'Janapada',
+    teluguName: 'జానపద',
+    guidance: 'Folk poetry (Gobbilla Paata, Bathukamma Paata)'
+  },
+  keertana: {
+    name: 'Keertana',
+    teluguName: 'కీర్తన',
+    guidance: 'Devotional composition (Annamayya, Tyagaraja style)'
+  },
+  modern: {
+    name: 'Modern',
+    teluguName: 'ఆధునిక',
+    guidance: 'Contemporary free verse'
+  }
+};
+
+/**
+ * Variables available to lyrics prompt templates
+ */
+const LYRICS_TEMPLATE_VARIABLES = [
+  { name: 'language', description: 'Language code, e.g. te or hi' },
+  { name: 'theme', description: 'Theme or topic entered by the user (may be empty)' },
+  { name: 'customLines', description: 'Lines the user wants incorporated (may be empty)' },
+  { name: 'style', description: 'Style key, e.g. romantic' },
+  { name: 'styleName', description: 'Style display name (in Telugu and English for Telugu songs)' },
+  { name: 'styleGuidance', description: 'Mood, themes and phrasing the style calls for' },
+  { name: 'dialect', description: 'Dialect key, e.g. telangana' },
+  { name: 'dialectName', description: 'Dialect display name in its own script and English' },
+  { name: 'dialectFeatures', description: 'Characteristic vocabulary and grammar of the dialect' },
+  { name: 'dialectReferences', description: 'Cultural references for the dialect region' },
+  { name: 'poetryForm', description: 'Poetry form key, e.g. geeyam' },
+  { name: 'poetryFormDescription', description: 'Poetry form name and structure description' },
+  { name: 'tuneRequirements', description: 'Syllables per line of the tune when writing to a tune (empty otherwise)' }
+];
+
+/**
+ * Built-in lyrics template (seeded as version 1 and used if the database has none)
+ */
+const DEFAULT_LYRICS_TEMPLATE = `You are a master Telugu lyricist and poet. Generate beautiful, authentic Telugu song lyrics.
+
+**INPUT:**
+- Theme: {{theme | default: "Not specified - create based on style"}}
+- User's lines to incorporate: {{customLines | default: "None"}}
+- Style: {{styleName}}
+- Style guidance: {{styleGuidance | default: "None"}}
+- Regional Dialect: {{dialectName}}
+- Poetry Form: {{poetryFormDescription}}
+
+**DIALECT REQUIREMENTS:**
+Use {{dialectName}} dialect characteristics:
+- Features: {{dialectFeatures}}
+- Cultural references: {{dialectReferences}}
+
+**STRUCTURAL REQUIREMENTS:**
+1. Follow traditional Telugu song structure:
+   - పల్లవి (Pallavi) - Main refrain/chorus
+   - అనుపల్లవి (Anupallavi) - Secondary refrain (optional)
+   - చరణం 1, 2 (Charanam) - Verses
+
+2. Apply Telugu poetic devices:
+   - అనుప్రాస (Anuprasa) - Alliteration
+   - యమకం (Yamakam) - Same word, different meanings
+   - ప్రాస (Praasa) - End rhyme
+   - ఛందస్సు (Chandassu) - Metrical rhythm
+
+3. Include:
+   - Telugu script (primary)
+   - Romanized transliteration (in parentheses)
+   - Make it singable and melodious
+
+{{tuneRequirements}}**OUTPUT FORMAT:**
+【పల్లవి - Pallavi】
+[Telugu lyrics]
+(Transliteration)
+
+【చరణం 1 - Charanam 1】
+[Telugu lyrics]
+(Transliteration)
+
+【చరణం 2 - Charanam 2】
+[Telugu lyrics]
+(Transliteration)
+
+---
+🗣️ మాండలికం: {{dialectName}}
+🎶 Theme: {{theme | default: "Universal"}}
+⏱️ Suggested Tempo: [appropriate tempo]
+
+Generate the complete lyrics now:`;
+
+/**
+ * Built-in lyrics template for a language other than Telugu
+ * @param {string} language - Key of languageInfo
+ * @returns {string}
+ */
+const buildLyricsTemplate = (language) => {
+  const { name, script, sectionNames, devices, note } = languageInfo[language];
+
+  return `You are a master ${name} lyricist and poet. Generate beautiful, authentic ${name} song lyrics.
+
+**INPUT:**
+- Theme: {{theme | default: "Not specified - create based on style"}}
+- User's lines to incorporate: {{customLines | default: "None"}}
+- Style: {{styleName}}
+- Style guidance: {{styleGuidance | default: "None"}}
+- Regional Dialect: {{dialectName}}
+- Poetry Form: {{poetryFormDescription}}
+${note ? `\n**LANGUAGE:**\n${note}\n` : ''}
+**DIALECT REQUIREMENTS:**
+Use {{dialectName}} dialect characteristics:
+- Features: {{dialectFeatures}}
+- Cultural references: {{dialectReferences}}
+
+**STRUCTURAL REQUIREMENTS:**
+1. Follow the traditional song structure:
+   - ${sectionNames.pallavi} (Pallavi) - Main refrain/chorus
+   - ${sectionNames.anupallavi} (Anupallavi) - Secondary refrain (optional)
+   - ${sectionNames.charanam} 1, 2 (Charanam) - Verses
+
+2. Apply ${name} poetic devices:
+${devices.map(device => `   - ${device}`).join('\n')}
+
+3. Include:
+   - ${script} script (primary)
+   - Romanized transliteration (in parentheses)
+   - Make it singable and melodious
+
+{{tuneRequirements}}**OUTPUT FORMAT:**
+【${sectionNames.pallavi} - Pallavi】
+[${name} lyrics]
+(Transliteration)
+
+【${sectionNames.charanam} 1 - Charanam 1】
+[${name} lyrics]
+(Transliteration)
+
+【${sectionNames.charanam} 2 - Charanam 2】
+[${name} lyrics]
+(Transliteration)
+
+---
+🗣️ Dialect: {{dialectName}}
+🎶 Theme: {{theme | default: "Universal"}}
+⏱️ Suggested Tempo: [appropriate tempo]
+
+Generate the complete lyrics now:`;
+};
+
+/**
+ * Variables available to section regeneration templates
+ */
+const SECTION_TEMPLATE_VARIABLES = [
+  ...LYRICS_TEMPLATE_VARIABLES,
+  { name: 'sectionLabel', description: 'Heading of the section being rewritten, e.g. చరణం 2 - Charanam 2' },
+  { name: 'currentSection', description: 'Current text of the section being rewritten' },
+  { name: 'songContext', description: 'The full song with the section being rewritten marked' },
+  { name: 'instructions', description: 'Optional guidance from the user (may be empty)' }
+];
+
+/**
+ * Built-in section regeneration template
+ */
+const DEFAULT_SECTION_TEMPLATE = `You are a master Telugu lyricist and poet. Rewrite ONE section of an existing Telugu song.
+
+**SONG DETAILS:**
+- Theme: {{theme | default: "Not specified"}}
+- Style: {{styleName}}
+- Regional Dialect: {{dialectName}} ({{dialectFeatures}})
+- Poetry Form: {{poetryFormDescription}}
+
+**FULL SONG (context only - do not rewrite other sections):**
+{{songContext}}
+
+**SECTION TO REWRITE:** 【{{sectionLabel}}】
+Current version:
+{{currentSection}}
+
+**USER GUIDANCE:** {{instructions | default: "None - write a fresh alternative"}}
+
+**REQUIREMENTS:**
+- Keep the same number of lines and a similar syllable count per line so it fits the same tune
+- Keep the ప్రాస (Praasa), tone and imagery consistent with the rest of the song
+- Telugu script with Romanized transliteration in parentheses, in the same layout as the current version
+- Do not repeat the current version
+
+Output ONLY the new section text, without the 【】 heading or any commentary:`;
+
+/**
+ * Built-in section regeneration template for a language other than Telugu
+ * @param {string} language - Key of languageInfo
+ * @returns {string}
+ */
+const buildSectionTemplate = (language) => {
+  const { name, script, note } = languageInfo[language];
+
+  return `You are a master ${name} lyricist and poet. Rewrite ONE section of an existing ${name} song.
+
+**SONG DETAILS:**
+- Theme: {{theme | default: "Not specified"}}
+- Style: {{styleName}}
+- Regional Dialect: {{dialectName}} ({{dialectFeatures}})
+- Poetry Form: {{poetryFormDescription}}
+${note ? `- Language: ${note}\n` : ''}
+**FULL SONG (context only - do not rewrite other sections):**
+{{songContext}}
+
+**SECTION TO REWRITE:** 【{{sectionLabel}}】
+Current version:
+{{currentSection}}
+
+**USER GUIDANCE:** {{instructions | default: "None - write a fresh alternative"}}
+
+**REQUIREMENTS:**
+- Keep the same number of lines and a similar syllable count per line so it fits the same tune
+- Keep the rhyme, tone and imagery consistent with the rest of the song
+- ${script} script with Romanized transliteration in parentheses, in the same layout as the current version
+- Do not repeat the current version
+
+Output ONLY the new section text, without the 【】 heading or any commentary:`;
+};
+
+/**
+ * Variables available to the translation template
+ */
+const TRANSLATE_TEMPLATE_VARIABLES = [
+  ...LYRICS_TEMPLATE_VARIABLES,
+  { name: 'sourceLanguage', description: 'Language the song is written in, e.g. Telugu' },
+  { name: 'targetLanguage', description: 'Language to translate into, e.g. English' },
+  { name: 'lineCount', description: 'Number of lines to translate' },
+  { name: 'numberedLines', description: 'The song\'s lines numbered 1..lineCount under their 【…】 headings' }
+];
+
+/**
+ * Built-in line-by-line translation template
+ * The answer is matched back to the song by line number (utils/translation).
+ */
+const DEFAULT_TRANSLATE_TEMPLATE = `You are a literary translator of Indian film and folk songs. Translate a {{sourceLanguage}} song into {{targetLanguage}} for a music director who does not read {{sourceLanguage}}.
+
+**SONG DETAILS:**
+- Theme: {{theme | default: "Not specified"}}
+- Style: {{styleName}}
+- Regional Dialect: {{dialectName}}
+
+**LINES TO TRANSLATE ({{lineCount}} lines):**
+{{numberedLines}}
+
+**REQUIREMENTS:**
+- Translate each numbered line on its own and keep its number: exactly one output line per input line, never merge or split lines
+- Convey the meaning, mood and imagery of the line; render idioms and dialect words by their sense rather than word for word
+- Write {{targetLanguage}} in its usual script, without transliteration
+- Do not add the section headings, notes or commentary
+
+Output ONLY the numbered translations, one per line:
+1. …
+2. …`;
+
+/**
+ * Variables available to the write-to-tune retry template
+ */
+const TUNE_TEMPLATE_VARIABLES = [
+  ...LYRICS_TEMPLATE_VARIABLES,
+  { name: 'languageName', description: 'Language the song is written in, e.g. Telugu' },
+  { name: 'script', description: 'Script the song is written in, e.g. Telugu or Devanagari' },
+  { name: 'songContext', description: 'The full song' },
+  { name: 'lineCount', description: 'Number of lines to rewrite' },
+  { name: 'numberedLines', description: 'Lines that do not fit the tune, numbered by their place in the song, with the syllables they have and need' }
+];
+
+/**
+ * Built-in template for rewriting lines that do not fit a tune
+ * The answer is matched back to the song by line number (utils/tune).
+ */
+const DEFAULT_TUNE_TEMPLATE = `You are a master {{languageName}} lyricist fitting a song to a tune that is already composed. Some lines of the song below do not have the number of syllables their place in the tune needs. Rewrite only those lines.
+
+**SONG DETAILS:**
+- Theme: {{theme | default: "Not specified"}}
+- Style: {{styleName}}
+- Regional Dialect: {{dialectName}} ({{dialectFeatures}})
+
+**FULL SONG (context only):**
+{{songContext}}
+
+**LINES TO REWRITE ({{lineCount}} lines):**
+{{numberedLines}}
+
+**REQUIREMENTS:**
+- Give each numbered line exactly the number of syllables (aksharas) it needs: a consonant with its vowel sign is one syllable, and a conjunct belongs to the vowel that follows it
+- Where a laghu (I) / guru (U) pattern is given, put long and short syllables in the same places
+- Keep the meaning, rhyme and dialect of the line and its place in the song
+- Write in {{script}} script only, without transliteration, headings or commentary, and keep each line's number
+
+Output ONLY the rewritten numbered lines, one per line:
+3. …`;
+
+// Languages with their own lyrics and section templates; Telugu uses the unsuffixed ones
+const LOCALIZED_LANGUAGES = Object.keys(languageInfo).filter(language => language !== 'te');
+
+/**
+ * Editable prompt templates, keyed by PromptTemplate name
+ */
+const PROMPT_TEMPLATES = {
+  lyrics: {
+    description: 'Full song generation',
+    variables: LYRICS_TEMPLATE_VARIABLES,
+    defaultTemplate: DEFAULT_LYRICS_TEMPLATE
+  },
+  section: {
+    description: 'Regenerate one section of saved lyrics',
+    variables: SECTION_TEMPLATE_VARIABLES,
+    defaultTemplate: DEFAULT_SECTION_TEMPLATE,
+    sampleVariables: {
+      sectionLabel: 'చరణం 1 - Charanam 1',
+      currentSection: '(current text of the section)',
+      songContext: '(the rest of the song)',
+      instructions: ''
+    }
+  },
+  translate: {
+    description: 'Line-by-line translation of saved lyrics',
+    variables: TRANSLATE_TEMPLATE_VARIABLES,
+    defaultTemplate: DEFAULT_TRANSLATE_TEMPLATE,
+    sampleVariables: {
+      sourceLanguage: 'Telugu',
+      targetLanguage: 'English',
+      lineCount: 2,
+      numberedLines: '【పల్లవి - Pallavi】\n1. (first line of the song)\n2. (second line of the song)'
+    }
+  },
+  tune: {
+    description: 'Rewrite lines of generated lyrics that do not fit the tune',
+    variables: TUNE_TEMPLATE_VARIABLES,
+    defaultTemplate: DEFAULT_TUNE_TEMPLATE,
+    sampleVariables: {
+      languageName: 'Telugu',
+      script: 'Telugu',
+      songContext: '(the full song)',
+      lineCount: 1,
+      numberedLines: '3. (a line of the song) (has 9 syllables; needs 8 syllables)'
+    }
+  },
+  ...Object.fromEntries(LOCALIZED_LANGUAGES.flatMap(language => [
+    [`lyrics-${language}`, {
+      description: `Full song generation in ${languageInfo[language].name}`,
+      language,
+      variables: LYRICS_TEMPLATE_VARIABLES,
+      defaultTemplate: buildLyricsTemplate(language)
+    }],
+    [`section-${language}`, {
+      description: `Regenerate one section of saved ${languageInfo[language].name} lyrics`,
+      language,
+      variables: SECTION_TEMPLATE_VARIABLES,
+      defaultTemplate: buildSectionTemplate(language),
+      sampleVariables: {
+        sectionLabel: `${languageInfo[language].sectionNames.charanam} 1 - Charanam 1`,
+        currentSection: '(current text of the section)',
+        songContext: '(the rest of the song)',
+        instructions: ''
+      }
+    }]
+  ]))
+};
+
+/**
+ * Name of the prompt template for a base template and language
+ * @param {string} base - lyrics or section
+ * @param {string} [language] - Key of languageInfo; Telugu uses the base template
+ * @returns {string} e.g. "lyrics", "section-hi"
+ */
+const promptTemplateName = (base, language) => (
+  LOCALIZED_LANGUAGES.includes(language) ? `${base}-${language}` : base
+);
+
+// {{ name }} or {{ name | default: "fallback" }}
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*(?:\|\s*default:\s*"([^"]*)"\s*)?\}\}/g;
+
+/**
+ * Build template variables from generation input
+ * @param {object} input - { language, theme, customLines, style, dialect, poetryForm, dialectProfile, styleProfile, poetryFormProfile }
+ *   The profiles are the resolved Dialect and CatalogEntry documents; built-in defaults are used without them
+ * @returns {object} Variable values keyed by name
+ */
+const buildPromptVariables = ({ language = 'te', theme, customLines, style, dialect, poetryForm, dialectProfile, styleProfile, poetryFormProfile }) => {
+  const dialectData = describeDialect(dialectProfile || dialectInfo[dialect] || dialectInfo.coastal);
+  const styleData = styleProfile || styleCatalog[style] || styleCatalog.romantic;
+  const formData = poetryFormProfile || poetryFormCatalog[poetryForm] || poetryFormCatalog.geeyam;
+  // Telugu names only help songs written in Telugu script
+  const telugu = languageInfo[language] ? languageInfo[language].script === 'Telugu' : true;
+
+  return {
+    language,
+    theme: theme || '',
+    customLines: customLines || '',
+    style,
+    styleName: telugu ? `${styleData.teluguName} (${styleData.name})` : styleData.name,
+    styleGuidance: styleData.guidance,
+    dialect,
+    dialectName: dialectData.name,
+    dialectFeatures: dialectData.features,
+    dialectReferences: dialectData.references,
+    poetryForm,
+    poetryFormDescription: `${telugu ? formData.teluguName : formData.name} - ${formData.guidance}`
+  };
+};
+
+/**
+ * List the variable names a template references
+ * @param {string} template
+ * @returns {string[]} Unique variable names in order of first use
+ */
+const extractVariables = (template) => {
+  const names = [];
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+};
+
+/**
+ * Variables a template references that are not in its variable catalog
+ * @param {string} template
+ * @param {string} [name='lyrics'] - Template name in PROMPT_TEMPLATES
+ * @returns {string[]}
+ */
+const findUnknownVariables = (template, name = 'lyrics') => {
+  const known = PROMPT_TEMPLATES[name].variables.map(v => v.name);
+  return extractVariables(template).filter(name => !known.includes(name));
+};
+
+/**
+ * Render a template, substituting {{variables}}
+ * Empty values use the placeholder's default; unknown placeholders render empty.
+ * @param {string} template
+ * @param {object} variables
+ * @returns {string}
+ */
+const renderTemplate = (template, variables) => template.replace(
+  PLACEHOLDER_PATTERN,
+  (match, name, fallback) => {
+    const value = variables[name];
+    if (value === undefined || value === null || value === '') {
+      return fallback !== undefined ? fallback : '';
+    }
+    return String(value);
+  }
+);
+
+module.exports = {
+  styleCatalog,
+  poetryFormCatalog,
+  languageInfo,
+  dialectLanguage,
+  DIALECT_LANGUAGES,
+  dialectInfo,
+  describeDialect,
+  LYRICS_TEMPLATE_VARIABLES,
+  SECTION_TEMPLATE_VARIABLES,
+  TRANSLATE_TEMPLATE_VARIABLES,
+  TUNE_TEMPLATE_VARIABLES,
+  DEFAULT_LYRICS_TEMPLATE,
+  DEFAULT_SECTION_TEMPLATE,
+  DEFAULT_TRANSLATE_TEMPLATE,
+  DEFAULT_TUNE_TEMPLATE,
+  PROMPT_TEMPLATES,
+  promptTemplateName,
+  buildPromptVariables,
+  extractVariables,
+  findUnknownVariables,
+  renderTemplate
+};
@@ -0,0 +1,298 @@
+/**
+ * Lyrics Section Helpers
+ * Locates 【…】 section blocks (pallavi, anupallavi, charanams) in lyrics content
+ * and parses them into structured Telugu/transliteration lines. Devanagari,
+ * Tamil and Kannada lines are stored in the same fields as Telugu ones.
+ */
+
+const HEADING_PATTERN = /^[ \t]*【\s*([^】]+?)\s*】[ \t]*$/gm;
+const FOOTER_PATTERN = /^[ \t]*---[ \t]*$/m;
+
+// Telugu, Devanagari, Tamil or Kannada
+const NATIVE_CHAR = /[\u0900-\u097F\u0B80-\u0BFF\u0C00-\u0CFF]/;
+const LATIN_CHAR = /[a-z]/i;
+
+const SECTION_TYPES = ['pallavi', 'anupallavi', 'charanam'];
+
+// Footer labels (English or Telugu) mapped to metadata field names
+const FOOTER_FIELDS = [
+  { field: 'tempo', pattern: /tempo|టెంపో|లయ/i },
+  { field: 'dialect', pattern: /dialect|మాండలికం/i },
+  { field: 'theme', pattern: /theme|ఇతివృత్తం/i },
+  { field: 'raga', pattern: /raga|రాగం/i },
+  { field: 'tala', pattern: /tala|తాళం/i }
+];
+
+// Longer names first: అనుపల్లవి contains పల్లవి
+const NATIVE_SECTION_NAMES = {
+  'అనుపల్లవి': 'anupallavi',
+  'పల్లవి': 'pallavi',
+  'చరణం': 'charanam',
+  'अनुपल्लवी': 'anupallavi',
+  'मुखड़ा': 'pallavi',
+  'अंतरा': 'charanam',
+  'அனுபல்லவி': 'anupallavi',
+  'பல்லவி': 'pallavi',
+  'சரணம்': 'charanam',
+  'ಅನುಪಲ್ಲವಿ': 'anupallavi',
+  'ಪಲ್ಲವಿ': 'pallavi',
+  'ಚರಣ': 'charanam'
+};
+
+/**
+ * Derive a URL-friendly key from a section heading
+ * "పల్లవి - Pallavi" → "pallavi", "చరణం 2 - Charanam 2" → "charanam-2"
+ * @param {string} label - Heading text without the 【】 brackets
+ * @returns {string}
+ */
+const sectionKey = (label) => {
+  const parts = label.split(/\s+-\s+/);
+  const english = parts.find(part => /[a-z]/i.test(part));
+
+  let name = english;
+  if (!name) {
+    const native = Object.keys(NATIVE_SECTION_NAMES).find(word => label.includes(word));
+    const number = label.match(/\d+/);
+    name = native ? `${NATIVE_SECTION_NAMES[native]} ${number ? number[0] : ''}` : label;
+  }
+
+  return name.trim().toLowerCase().replace(/[^a-z0-9\u0900-\u097F\u0B80-\u0BFF\u0C00-\u0CFF]+/g, '-').replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Split lyrics content into sections
+ * A section runs from its heading to the next heading or the `---` metadata footer.
+ * @param {string} content
+ * @returns {object[]} [{ key, label, text, start, bodyStart, end }] in document order
+ */
+const parseSections = (content) => {
+  const headings = [...content.matchAll(HEADING_PATTERN)];
+  const footer = content.search(FOOTER_PATTERN);
+  const seen = {};
+
+  return headings.map((match, i) => {
+    const bodyStart = match.index + match[0].length;
+    let end = i + 1 < headings.length ? headings[i + 1].index : content.length;
+    if (footer !== -1 && footer > bodyStart && footer < end) end = footer;
+
+    let key = sectionKey(match[1]);
+    seen[key] = (seen[key] || 0) + 1;
+    if (seen[key] > 1) key = `${key}-${seen[key]}`;
+
+    return {
+      key,
+      label: match[1],
+      text: content.slice(bodyStart, end).trim(),
+      start: match.index,
+      bodyStart,
+      end
+    };
+  });
+};
+
+/**
+ * Replace the body of one section, keeping its heading and everything else intact
+ * @param {string} content
+ * @param {string} key - Section key from parseSections
+ * @param {string} text - New section body
+ * @returns {string|null} Updated content, or null if the section doesn't exist
+ */
+const replaceSection = (content, key, text) => {
+  const section = parseSections(content).find(s => s.key === key);
+  if (!section) return null;
+
+  const after = content.slice(section.end);
+  return `${content.slice(0, section.bodyStart)}\n${text.trim()}\n${after ? '\n' : ''}${after}`;
+};
+
+/**
+ * Strip headings and code fences a model may wrap around a regenerated section
+ * @param {string} text - Raw model output
+ * @returns {string}
+ */
+const cleanSectionText = (text) => text
+  .replace(/^```[a-z]*\n?|```\s*$/g, '')
+  .replace(HEADING_PATTERN, '')
+  .trim();
+
+/**
+ * Split a section body into Telugu and transliteration lines
+ * Handles both separate "(Transliteration)" blocks and inline "తెలుగు (Telugu)" lines.
+ * @param {string} text - Section body
+ * @returns {object} { teluguLines, transliterationLines }
+ */
+const splitSectionLines = (text) => {
+  const teluguLines = [];
+  const transliterationLines = [];
+
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    if (NATIVE_CHAR.test(line)) {
+      const inline = line.match(/^(.*?)\s*\(([^()]*)\)$/);
+      if (inline && LATIN_CHAR.test(inline[2]) && !NATIVE_CHAR.test(inline[2])) {
+        teluguLines.push(inline[1]);
+        transliterationLines.push(inline[2].trim());
+      } else {
+        teluguLines.push(line);
+      }
+    } else if (LATIN_CHAR.test(line)) {
+      transliterationLines.push(line.replace(/^\(\s*/, '').replace(/\s*\)$/, ''));
+    }
+  }
+
+  return { teluguLines, transliterationLines };
+};
+
+/**
+ * Parse the trailing `---` metadata block ("⏱️ Suggested Tempo: 90-110 BPM", "🗣️ మాండలికం: …")
+ * Placeholder values such as "[appropriate tempo]" are ignored.
+ * @param {string} content
+ * @returns {object|null} { lines, fields } or null when there is no footer
+ */
+const parseFooter = (content) => {
+  // Use the last separator so a stray "---" between sections isn't mistaken for the footer
+  const separators = [...content.matchAll(new RegExp(FOOTER_PATTERN.source, 'gm'))];
+  if (separators.length === 0) return null;
+  const footer = separators[separators.length - 1].index;
+
+  const lines = content.slice(footer).split('\n').slice(1).map(l => l.trim()).filter(Boolean);
+  const fields = {};
+
+  for (const line of lines) {
+    const match = line.match(/^[^\p{L}]*([^:：]+)[:：]\s*(.+)$/u);
+    if (!match || /^\[.*\]$/.test(match[2].trim())) continue;
+
+    const known = FOOTER_FIELDS.find(f => f.pattern.test(match[1]));
+    if (known && !fields[known.field]) fields[known.field] = match[2].trim();
+  }
+
+  return { lines, fields };
+};
+
+/**
+ * Find the suggested tempo, preferring the footer and falling back to any "NN-NN BPM" in the text
+ * @param {string} content
+ * @returns {string|null}
+ */
+const extractTempo = (content) => {
+  const footer = parseFooter(content);
+  const normalize = (value) => value.replace(/(\d)\s*[-–]\s*(\d)/, '$1-$2');
+
+  if (footer && footer.fields.tempo && /\d/.test(footer.fields.tempo)) {
+    return normalize(footer.fields.tempo);
+  }
+
+  const bpm = content.match(/\d{2,3}\s*(?:-|–|to)\s*\d{2,3}\s*BPM|\d{2,3}\s*BPM/i);
+  return bpm ? normalize(bpm[0]) : null;
+};
+
+/**
+ * Parse lyrics content into typed sections for storage on the Lyrics model
+ * @param {string} content
+ * @returns {object[]} Sections in document order; a trailing `metadata` section holds the footer
+ */
+const parseLyricsStructure = (content) => {
+  const sections = parseSections(content).map(section => {
+    const baseKey = section.key.replace(/-\d+$/, '');
+    return {
+      key: section.key,
+      type: SECTION_TYPES.includes(baseKey) ? baseKey : 'other',
+      label: section.label,
+      ...splitSectionLines(section.text)
+    };
+  });
+
+  const footer = parseFooter(content);
+  if (footer) {
+    sections.push({
+      key: 'metadata',
+      type: 'metadata',
+      label: 'Metadata',
+      teluguLines: [],
+      transliterationLines: [],
+      fields: footer.fields,
+      lines: footer.lines
+    });
+  }
+
+  return sections;
+};
+
+/**
+ * Telugu lines grouped by section, for analyzers
+ * Lyrics without 【…】 headings (e.g. padyams) become a single "lyrics" group
+ * from the text above the footer.
+ * @param {string} content
+ * @param {object[]} [sections] - Stored sections; parsed from content when omitted
+ * @returns {object[]} [{ key, label, teluguLines }] with at least one Telugu line each
+ */
+const teluguLineGroups = (content, sections = parseLyricsStructure(content)) => {
+  const groups = sections
+    .filter(s => s.type !== 'metadata' && s.teluguLines.length > 0)
+    .map(s => ({ key: s.key, label: s.label, teluguLines: [...s.teluguLines] }));
+
+  if (groups.length > 0 || sections.some(s => s.type !== 'metadata')) return groups;
+
+  const body = content.split(FOOTER_PATTERN)[0];
+  const { teluguLines } = splitSectionLines(body);
+  return teluguLines.length > 0 ? [{ key: 'lyrics', label: 'Lyrics', teluguLines }] : [];
+};
+
+/**
+ * Lyric sections with their Telugu and transliteration lines, for exporters
+ * Lyrics without 【…】 headings become a single "lyrics" section, as in teluguLineGroups.
+ * @param {string} content
+ * @param {object[]} [sections] - Stored sections; parsed from content when omitted
+ * @returns {object[]} [{ key, label, teluguLines, transliterationLines }] with at least one line each
+ */
+const lyricLineGroups = (content, sections = parseLyricsStructure(content)) => {
+  const groups = sections
+    .filter(s => s.type !== 'metadata' && (s.teluguLines.length > 0 || s.transliterationLines.length > 0))
+    .map(s => ({
+      key: s.key,
+      label: s.label,
+      teluguLines: [...s.teluguLines],
+      transliterationLines: [...s.transliterationLines]
+    }));
+
+  if (groups.length > 0 || sections.some(s => s.type !== 'metadata')) return groups;
+
+  const body = content.split(FOOTER_PATTERN)[0];
+  const lines = splitSectionLines(body);
+  return lines.teluguLines.length > 0 || lines.transliterationLines.length > 0
+    ? [{ key: 'lyrics', label: 'Lyrics', ...lines }]
+    : [];
+};
+
+/**
+ * Whether the lyrics carry a Roman transliteration of their Telugu lines
+ * Only lyric lines count; English in the title or metadata footer does not.
+ * @param {string} content
+ * @param {object[]} [sections] - Stored sections; parsed from content when omitted
+ * @returns {boolean}
+ */
+const hasTransliteration = (content, sections = parseLyricsStructure(content)) => {
+  const lyricSections = sections.filter(s => s.type !== 'metadata');
+  if (lyricSections.length > 0) {
+    return lyricSections.some(s => s.transliterationLines.length > 0);
+  }
+
+  const body = content.split(FOOTER_PATTERN)[0];
+  return splitSectionLines(body).transliterationLines.length > 0;
+};
+
+module.exports = {
+  sectionKey,
+  parseSections,
+  replaceSection,
+  cleanSectionText,
+  splitSectionLines,
+  parseFooter,
+  extractTempo,
+  parseLyricsStructure,
+  teluguLineGroups,
+  lyricLineGroups,
+  hasTransliteration
+};
@@ -0,0 +1,226 @@
+/**
+ * Raga and Tala Recommendations
+ * Suggests Carnatic ragas and talas for lyrics from a curated table, using the
+ * style, poetry form, mood words in the theme and the syllable rhythm of the lines
+ */
+
+const { foldText } = require('./search');
+const { lyricLineGroups } = require('./lyricsSections');
+
+// Moods and the theme words that suggest them; Telugu, transliterated and English words
+// are folded with foldText and matched at the start of a word, so "premalo" counts as prema.
+// Avoid short words that start common others: "god" would match Godavari, వీర (vira) matches విరహం.
+const MOOD_WORDS = {
+  love: ['love', 'romance', 'ప్రేమ', 'ప్రియ', 'మనసు', 'ప్రణయం', 'प्यार', 'प्रेम', 'காதல்', 'ಪ್ರೀತಿ'],
+  longing: ['longing', 'missing', 'waiting', 'separation', 'memories', 'విరహం', 'ఎదురుచూపు', 'జ్ఞాపకం', 'వేదన', 'याद', 'विरह'],
+  sorrow: ['sad', 'sorrow', 'grief', 'pain', 'tears', 'loss', 'బాధ', 'కన్నీరు', 'దుఃఖం', 'శోకం', 'दर्द', 'दुख'],
+  joy: ['joy', 'happy', 'happiness', 'smile', 'ఆనందం', 'సంతోషం', 'నవ్వు', 'సరదా', 'खुशी'],
+  celebration: ['festival', 'celebration', 'wedding', 'dance', 'పండుగ', 'పెళ్ళి', 'సంక్రాంతి', 'బతుకమ్మ', 'బోనాలు', 'ఉగాది', 'त्योहार', 'शादी'],
+  devotion: ['divine', 'lord', 'devotion', 'prayer', 'temple', 'భక్తి', 'స్వామి', 'దేవా', 'రామ', 'కృష్ణ', 'శివ', 'వెంకటేశ్వర', 'గోవింద', 'భజన', 'भक्ति', 'भजन'],
+  heroic: ['hero', 'valor', 'courage', 'victory', 'battle', 'fight', 'వీరుడు', 'శౌర్యం', 'ధైర్యం', 'విజయం', 'పోరాటం', 'वीरता'],
+  patriotic: ['nation', 'motherland', 'freedom', 'flag', 'soldier', 'దేశం', 'భారత', 'స్వాతంత్ర్య', 'జెండా', 'జవాన్', 'देश'],
+  calm: ['sleep', 'lullaby', 'peace', 'night', 'moon', 'జోల', 'లాలి', 'నిద్ర', 'చందమామ', 'వెన్నెల', 'శాంతి', 'लोरी'],
+  reflective: ['life', 'philosophy', 'truth', 'soul', 'destiny', 'జీవితం', 'సత్యం', 'ఆత్మ', 'కర్మ', 'విధి', 'తత్వం', 'जीवन'],
+  nature: ['rain', 'river', 'nature', 'village', 'spring', 'వాన', 'గోదావరి', 'పొలం', 'పల్లె', 'వసంతం', 'ప్రకృతి', 'बारिश'],
+  morning: ['morning', 'dawn', 'sunrise', 'ఉదయం', 'సుప్రభాతం', 'తొలిపొద్దు', 'సూర్యోదయం', 'सुबह']
+};
+
+const MOOD_KEYS = Object.fromEntries(
+  Object.entries(MOOD_WORDS).map(([mood, words]) => [mood, words.map(word => ` ${foldText(word)}`)])
+);
+
+// Curated ragas with the styles, poetry forms and moods they are known for
+const RAGAS = {
+  mohanam: { name: 'Mohanam', teluguName: 'మోహనం', styles: ['romantic', 'celebration', 'folk', 'cinematic'], forms: ['geeyam', 'janapada', 'padyam'], moods: ['love', 'joy', 'nature'] },
+  kalyani: { name: 'Kalyani', teluguName: 'కళ్యాణి', styles: ['devotional', 'romantic', 'celebration', 'cinematic'], forms: ['keertana', 'geeyam', 'padyam'], moods: ['devotion', 'celebration', 'love'] },
+  shankarabharanam: { name: 'Shankarabharanam', teluguName: 'శంకరాభరణం', styles: ['patriotic', 'devotional', 'philosophical'], forms: ['keertana', 'padyam'], moods: ['heroic', 'patriotic', 'devotion'] },
+  hamsadhwani: { name: 'Hamsadhwani', teluguName: 'హంసధ్వని', styles: ['celebration', 'devotional', 'patriotic'], forms: ['keertana', 'geeyam', 'modern'], moods: ['celebration', 'joy', 'heroic'] },
+  madhyamavati: { name: 'Madhyamavati', teluguName: 'మధ్యమావతి', styles: ['devotional', 'folk', 'celebration'], forms: ['keertana', 'janapada'], moods: ['devotion', 'joy', 'celebration'] },
+  mayamalavagowla: { name: 'Mayamalavagowla', teluguName: 'మాయామాళవగౌళ', styles: ['devotional', 'philosophical'], forms: ['keertana'], moods: ['devotion', 'morning', 'calm'] },
+  bilahari: { name: 'Bilahari', teluguName: 'బిలహరి', styles: ['celebration', 'folk', 'devotional'], forms: ['keertana', 'janapada'], moods: ['joy', 'morning', 'celebration'] },
+  hindolam: { name: 'Hindolam', teluguName: 'హిందోళం', styles: ['romantic', 'devotional', 'cinematic'], forms: ['geeyam', 'keertana', 'padyam'], moods: ['longing', 'love', 'devotion'] },
+  abheri: { name: 'Abheri', teluguName: 'ఆభేరి', styles: ['romantic', 'cinematic'], forms: ['geeyam', 'modern'], moods: ['love', 'longing'] },
+  keeravani: { name: 'Keeravani', teluguName: 'కీరవాణి', styles: ['cinematic', 'romantic', 'philosophical'], forms: ['geeyam', 'modern'], moods: ['longing', 'sorrow', 'love'] },
+  sindhuBhairavi: { name: 'Sindhu Bhairavi', teluguName: 'సింధుభైరవి', styles: ['philosophical', 'romantic', 'cinematic', 'folk'], forms: ['geeyam', 'janapada', 'modern'], moods: ['longing', 'sorrow', 'reflective'] },
+  subhapantuvarali: { name: 'Subhapantuvarali', teluguName: 'శుభపంతువరాళి', styles: ['philosophical', 'devotional'], forms: ['keertana', 'padyam'], moods: ['sorrow', 'reflective'] },
+  revati: { name: 'Revati', teluguName: 'రేవతి', styles: ['philosophical', 'devotional'], forms: ['keertana', 'modern'], moods: ['reflective', 'devotion', 'calm'] },
+  anandabhairavi: { name: 'Anandabhairavi', teluguName: 'ఆనందభైరవి', styles: ['lullaby', 'folk', 'romantic'], forms: ['janapada', 'geeyam'], moods: ['calm', 'love', 'joy'] },
+  neelambari: { name: 'Neelambari', teluguName: 'నీలాంబరి', styles: ['lullaby'], forms: ['geeyam', 'janapada'], moods: ['calm'] },
+  nata: { name: 'Nata', teluguName: 'నాట', styles: ['patriotic', 'devotional'], forms: ['keertana'], moods: ['heroic', 'patriotic'] }
+};
+
+// Curated talas; `cycle` is the syllables one cycle holds at one syllable per beat
+const TALAS = {
+  adi: { name: 'Adi', teluguName: 'ఆది తాళం', beats: 8, pattern: '4+2+2', cycle: 8, styles: ['devotional', 'patriotic', 'romantic', 'cinematic', 'philosophical'], forms: ['keertana', 'geeyam', 'modern'], moods: ['devotion', 'heroic', 'patriotic'] },
+  rupaka: { name: 'Rupaka', teluguName: 'రూపక తాళం', beats: 3, pattern: '1+2', cycle: 6, styles: ['romantic', 'lullaby', 'philosophical', 'devotional'], forms: ['geeyam', 'keertana'], moods: ['calm', 'longing', 'reflective'] },
+  misraChapu: { name: 'Misra Chapu', teluguName: 'మిశ్ర చాపు', beats: 7, pattern: '3+2+2', cycle: 7, styles: ['folk', 'devotional', 'lullaby', 'romantic'], forms: ['janapada', 'keertana', 'geeyam'], moods: ['love', 'calm', 'devotion'] },
+  khandaChapu: { name: 'Khanda Chapu', teluguName: 'ఖండ చాపు', beats: 5, pattern: '2+3', cycle: 5, styles: ['folk', 'celebration', 'cinematic'], forms: ['janapada', 'modern'], moods: ['celebration', 'joy', 'heroic'] },
+  eka: { name: 'Eka', teluguName: 'ఏక తాళం', beats: 4, pattern: '4', cycle: 4, styles: ['celebration', 'patriotic', 'folk', 'cinematic'], forms: ['janapada', 'modern'], moods: ['celebration', 'patriotic', 'heroic'] }
+};
+
+const WEIGHTS = { style: 3, form: 2, mood: 2, rhythm: 3 };
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Moods suggested by the words of a theme
+ * @param {string} text
+ * @returns {string[]} Mood keys in MOOD_WORDS order
+ */
+const detectMoods = (text) => {
+  const folded = ` ${foldText(text || '')}`;
+  return Object.keys(MOOD_KEYS).filter(mood => MOOD_KEYS[mood].some(key => folded.includes(key)));
+};
+
+/**
+ * Approximate sung syllables of a line in any supported script
+ * Counts vowel groups of the folded (romanised) line, so it works for Telugu,
+ * Devanagari, Tamil, Kannada and Roman text alike.
+ * @param {string} line
+ * @returns {number}
+ */
+const syllableCount = (line) => (foldText(line).match(/[aeiou]+/g) || []).length;
+
+/**
+ * Sung lines of lyrics for the rhythm: native-script lines, or the Roman lines
+ * of sections that have none
+ * @param {string} content
+ * @param {object[]} [sections] - Stored sections; parsed from content when omitted
+ * @returns {string[]}
+ */
+const sungLines = (content, sections) => lyricLineGroups(content || '', sections)
+  .flatMap(group => (group.teluguLines.length > 0 ? group.teluguLines : group.transliterationLines));
+
+/**
+ * Syllables per line and how evenly the lines fill each tala's cycles
+ * A line that fills whole cycles fits; one syllable short or over fits half.
+ * @param {string[]} lines
+ * @returns {object} { lines, averageSyllables, fit: { [tala]: 0-1 } }
+ */
+const analyzeRhythm = (lines) => {
+  const counts = lines.map(syllableCount).filter(count => count > 0);
+  const fit = {};
+
+  for (const [key, tala] of Object.entries(TALAS)) {
+    if (counts.length === 0) {
+      fit[key] = 0;
+      continue;
+    }
+    const total = counts.reduce((sum, count) => {
+      const remainder = count % tala.cycle;
+      const off = Math.min(remainder, tala.cycle - remainder);
+      if (count < tala.cycle - 1) return sum;
+      return sum + (off === 0 ? 1 : off === 1 ? 0.5 : 0);
+    }, 0);
+    fit[key] = Math.round((total / counts.length) * 100) / 100;
+  }
+
+  return {
+    lines: counts.length,
+    averageSyllables: counts.length > 0 ? Math.round((counts.reduce((a, b) => a + b, 0) / counts.length) * 10) / 10 : 0,
+    fit
+  };
+};
+
+const styleName = (style) => style.charAt(0).toUpperCase() + style.slice(1);
+
+/**
+ * Score one raga or tala entry
+ * @returns {object} { score, reasons }
+ */
+const scoreEntry = (entry, { style, poetryForm, moods }, kind) => {
+  let score = 0;
+  const reasons = [];
+
+  if (entry.styles.includes(style)) {
+    score += WEIGHTS.style;
+    reasons.push(`Often used for ${styleName(style).toLowerCase()} songs`);
+  }
+  if (entry.forms.includes(poetryForm)) {
+    score += WEIGHTS.form;
+    reasons.push(`${styleName(poetryForm)} compositions are commonly set in this ${kind}`);
+  }
+  const moodMatches = moods.filter(mood => entry.moods.includes(mood));
+  if (moodMatches.length > 0) {
+    score += WEIGHTS.mood * Math.min(moodMatches.length, 2);
+    reasons.push(`Carries the ${moodMatches.join(' and ')} mood of the theme`);
+  }
+
+  return { score, reasons };
+};
+
+const rank = (entries) => entries
+  .filter(entry => entry.score > 0)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, MAX_SUGGESTIONS);
+
+/**
+ * Recommend ragas and talas for lyrics
+ * @param {object} input
+ * @param {string} input.style - Style key, or the built-in style a catalog style is based on
+ * @param {string} input.poetryForm - Poetry form key
+ * @param {string} [input.theme] - Theme text, searched for mood words
+ * @param {string[]} [input.lines] - Lyric lines for the syllable rhythm
+ * @returns {object} { ragas, talas: [{ key, name, teluguName, score, reasons }], moods, rhythm }; best first
+ */
+const recommendRagaTala = ({ style, poetryForm, theme = '', lines = [] }) => {
+  const moods = detectMoods(theme);
+  const rhythm = analyzeRhythm(lines);
+  const context = { style, poetryForm, moods };
+
+  const ragas = rank(Object.entries(RAGAS).map(([key, raga]) => ({
+    key,
+    name: raga.name,
+    teluguName: raga.teluguName,
+    ...scoreEntry(raga, context, 'raga')
+  })));
+
+  const talas = rank(Object.entries(TALAS).map(([key, tala]) => {
+    const { score, reasons } = scoreEntry(tala, context, 'tala');
+    const fit = rhythm.fit[key];
+    if (fit >= 0.5) {
+      reasons.push(`${Math.round(fit * 100)}% of lines fill whole ${tala.beats}-beat cycles (${tala.pattern})`);
+    }
+    return {
+      key,
+      name: tala.name,
+      teluguName: tala.teluguName,
+      beats: tala.beats,
+      pattern: tala.pattern,
+      score: Math.round((score + WEIGHTS.rhythm * fit) * 100) / 100,
+      reasons
+    };
+  }));
+
+  return { ragas, talas, moods, rhythm };
+};
+
+/**
+ * Suno style tags for a raga and tala
+ * Telugu names from a lyrics footer (మోహనం) are given by their English name when known.
+ * @param {object} suggestion - { raga, tala } names
+ * @returns {string[]} e.g. ['carnatic', 'raga Mohanam', 'Adi tala']
+ */
+const ragaStyleTags = ({ raga, tala }) => {
+  const englishName = (name, table) => {
+    const folded = foldText(name);
+    const known = Object.values(table).find(entry => folded.includes(foldText(entry.name)) || folded.includes(foldText(entry.teluguName)));
+    return known ? known.name : name.replace(/[^\x20-\x7E]/g, '').trim();
+  };
+
+  const ragaName = raga ? englishName(raga, RAGAS) : '';
+  const talaName = tala ? englishName(tala, TALAS).replace(/\s*tala(m)?$/i, '') : '';
+  if (!ragaName && !talaName) return [];
+
+  return ['carnatic', ragaName && `raga ${ragaName}`, talaName && `${talaName} tala`].filter(Boolean);
+};
+
+module.exports = {
+  RAGAS,
+  TALAS,
+  detectMoods,
+  syllableCount,
+  sungLines,
+  analyzeRhythm,
+  recommendRagaTala,
+  ragaStyleTags
+};
@@ -0,0 +1,151 @@
+/**
+ * Telugu Rhyme Analyzer
+ * Measures ప్రాస (praasa, second-letter rhyme), అంత్యప్రాస (antyaprasa, end rhyme)
+ * and అనుప్రాస (anuprasa, alliteration) per section, and rolls them into a 0-100 score
+ */
+
+const { splitAksharas } = require('./chandassu');
+
+// Alliteration density treated as full marks; denser lines don't score higher
+const ANUPRASA_TARGET = 0.5;
+
+const SCORE_WEIGHTS = { praasa: 0.4, antyaprasa: 0.3, anuprasa: 0.3 };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Most frequent value in a list
+ * @returns {object} { value, count }
+ */
+const mode = (values) => {
+  const counts = {};
+  let best = { value: null, count: 0 };
+  for (const value of values) {
+    counts[value] = (counts[value] || 0) + 1;
+    if (counts[value] > best.count) best = { value, count: counts[value] };
+  }
+  return best;
+};
+
+/**
+ * Praasa: the consonant of the second akshara should repeat on every line
+ * @param {object[][]} lines - Aksharas per line
+ * @returns {object|null} { letter, consistency, mismatches } or null for single-line sections
+ */
+const checkPraasa = (lines) => {
+  const seconds = lines
+    .map((aksharas, index) => ({ index, akshara: aksharas[1] }))
+    .filter(l => l.akshara && l.akshara.consonants);
+
+  if (seconds.length < 2) return null;
+
+  const dominant = mode(seconds.map(l => l.akshara.consonants));
+  return {
+    letter: dominant.value,
+    consistency: round(dominant.count / seconds.length),
+    mismatches: seconds.filter(l => l.akshara.consonants !== dominant.value).map(l => l.index)
+  };
+};
+
+/**
+ * Antyaprasa: lines whose final akshara sounds the same as another line's
+ * @param {object[][]} lines - Aksharas per line
+ * @returns {object|null} { ratio, groups } or null for single-line sections
+ */
+const checkAntyaprasa = (lines) => {
+  const endings = lines
+    .map((aksharas, index) => ({ index, akshara: aksharas[aksharas.length - 1] }))
+    .filter(l => l.akshara);
+
+  if (endings.length < 2) return null;
+
+  const groups = {};
+  for (const { index, akshara } of endings) {
+    const key = `${akshara.consonants}${akshara.vowel}`;
+    (groups[key] = groups[key] || { ending: akshara.text, lines: [] }).lines.push(index);
+  }
+
+  const rhyming = Object.values(groups).filter(g => g.lines.length > 1);
+  return {
+    ratio: round(rhyming.reduce((sum, g) => sum + g.lines.length, 0) / endings.length),
+    groups: rhyming
+  };
+};
+
+/**
+ * Anuprasa: share of aksharas whose consonant repeats within the same line
+ * @param {object[][]} lines - Aksharas per line
+ * @returns {object} { density, repeated }
+ */
+const checkAnuprasa = (lines) => {
+  const repeated = new Set();
+  const densities = lines.filter(aksharas => aksharas.length > 0).map(aksharas => {
+    const counts = {};
+    for (const { consonants } of aksharas) {
+      if (consonants) counts[consonants[0]] = (counts[consonants[0]] || 0) + 1;
+    }
+    let alliterative = 0;
+    for (const [consonant, count] of Object.entries(counts)) {
+      if (count > 1) {
+        alliterative += count;
+        repeated.add(consonant);
+      }
+    }
+    return alliterative / aksharas.length;
+  });
+
+  const density = densities.length > 0 ? densities.reduce((a, b) => a + b, 0) / densities.length : 0;
+  return { density: round(density), repeated: [...repeated] };
+};
+
+const average = (values) => {
+  const present = values.filter(v => v !== null && v !== undefined);
+  return present.length > 0 ? present.reduce((a, b) => a + b, 0) / present.length : null;
+};
+
+/**
+ * Analyze rhyme and alliteration across lyrics sections
+ * @param {object[]} groups - [{ key, label, teluguLines }] (see teluguLineGroups)
+ * @returns {object} { score, praasa, antyaprasa, anuprasa, sections } - score is null without Telugu lines
+ */
+const analyzeRhyme = (groups) => {
+  const sections = groups.map(group => {
+    const lines = group.teluguLines.map(splitAksharas);
+    return {
+      key: group.key,
+      label: group.label,
+      lineCount: lines.length,
+      praasa: checkPraasa(lines),
+      antyaprasa: checkAntyaprasa(lines),
+      anuprasa: checkAnuprasa(lines)
+    };
+  });
+
+  const components = {
+    praasa: average(sections.map(s => s.praasa && s.praasa.consistency)),
+    antyaprasa: average(sections.map(s => s.antyaprasa && s.antyaprasa.ratio)),
+    anuprasa: average(sections.filter(s => s.lineCount > 0).map(s => s.anuprasa.density))
+  };
+
+  // Weight only the measures that apply (single-line sections have no praasa)
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, weight] of Object.entries(SCORE_WEIGHTS)) {
+    if (components[name] === null) continue;
+    const value = name === 'anuprasa' ? Math.min(1, components[name] / ANUPRASA_TARGET) : components[name];
+    weighted += value * weight;
+    totalWeight += weight;
+  }
+
+  return {
+    score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : null,
+    praasa: components.praasa === null ? null : round(components.praasa),
+    antyaprasa: components.antyaprasa === null ? null : round(components.antyaprasa),
+    anuprasa: components.anuprasa === null ? null : round(components.anuprasa),
+    sections
+  };
+};
+
+module.exports = {
+  analyzeRhyme
+};
@@ -0,0 +1,167 @@
+/**
+ * Lyrics Search
+ * Folds Telugu script and Roman transliterations to one loose phonetic key, so
+ * "vennela", వెన్నెల and the long-vowel spelling వెన్నేల all match, then ranks
+ * matches and builds highlighted snippets
+ */
+
+const { toRoman } = require('./transliterate');
+
+// Relevance weight of a term found in each field
+const FIELD_WEIGHTS = { title: 5, tags: 4, theme: 3, content: 1 };
+// Content occurrences counted per term, so a chorus repeated ten times does not dominate
+const MAX_CONTENT_HITS = 5;
+const MAX_TERMS = 8;
+const MAX_SNIPPETS = 3;
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+/**
+ * Fold text to its search key
+ * Telugu is romanised (RTS) first; case, vowel length, aspiration, retroflex,
+ * doubled letters and the anusvara are then collapsed so spelling variants meet.
+ * @param {string} text - Telugu, Roman or mixed text
+ * @returns {string} Lowercase ASCII words separated by single spaces
+ */
+const foldText = (text) => toRoman((text || '').normalize('NFC').replace(/[\u200c\u200d]/g, ''))
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '') // ISO 15919 diacritics
+  .toLowerCase()
+  .replace(/ee/g, 'i')
+  .replace(/oo/g, 'u')
+  .replace(/([bcdgjkpst])h/g, '$1') // aspirates, sh, ch
+  .replace(/w/g, 'v')
+  .replace(/z/g, 'j')
+  .replace(/f/g, 'p')
+  .replace(/q/g, 'k')
+  .replace(/x/g, 'ks')
+  .replace(/m(?=[bcdgjklnprstv])/g, 'n') // anusvara before a consonant
+  .replace(/([a-z])\1+/g, '$1')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Folded text stored on each lyrics for matching
+ * @param {object} lyrics - { title, theme, tags, content }
+ * @returns {string}
+ */
+const searchableText = ({ title, theme, tags, content }) =>
+  foldText([title, theme, (tags || []).join(' '), content].filter(Boolean).join('\n'));
+
+/**
+ * Split a search query into distinct folded terms
+ * @param {string} query
+ * @returns {string[]} Up to MAX_TERMS terms; empty when the query has no letters or digits
+ */
+const queryTerms = (query) => [...new Set(foldText(query).split(' ').filter(Boolean))].slice(0, MAX_TERMS);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * MongoDB filter matching lyrics whose search text contains every term
+ * @param {string[]} terms - From queryTerms
+ * @returns {object}
+ */
+const searchFilter = (terms) => ({
+  $and: terms.map(term => ({ searchText: { $regex: escapeRegex(term) } }))
+});
+
+const countOccurrences = (haystack, needle) => {
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    count += 1;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+};
+
+/**
+ * Relevance of lyrics for the given terms
+ * @param {object} lyrics - { title, theme, tags, content }
+ * @param {string[]} terms
+ * @returns {number}
+ */
+const scoreLyrics = (lyrics, terms) => {
+  const fields = {
+    title: foldText(lyrics.title),
+    tags: foldText((lyrics.tags || []).join(' ')),
+    theme: foldText(lyrics.theme),
+    content: foldText(lyrics.content)
+  };
+
+  let score = 0;
+  for (const term of terms) {
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const hits = countOccurrences(fields[field], term);
+      if (hits === 0) continue;
+      score += field === 'content' ? weight * Math.min(hits, MAX_CONTENT_HITS) : weight;
+    }
+  }
+
+  // Terms appearing together as a phrase
+  const phrase = terms.join(' ');
+  if (terms.length > 1 && (fields.title.includes(phrase) || fields.content.includes(phrase))) {
+    score += FIELD_WEIGHTS.title;
+  }
+
+  return score;
+};
+
+/**
+ * Character ranges of the words in a string that contain a search term
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {object[]} [{ start, end }], end exclusive
+ */
+const highlightText = (text, terms) => {
+  const highlights = [];
+  for (const match of (text || '').matchAll(WORD_PATTERN)) {
+    const folded = foldText(match[0]);
+    if (terms.some(term => folded.includes(term))) {
+      highlights.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return highlights;
+};
+
+/**
+ * Content lines that best match the terms, with highlighted words
+ * @param {string} content
+ * @param {string[]} terms
+ * @param {number} max - Maximum number of snippets
+ * @returns {object[]} [{ line, text, highlights }] in content order; line is 1-based
+ */
+const buildSnippets = (content, terms, max = MAX_SNIPPETS) => (content || '')
+  .split('\n')
+  .map((text, i) => ({ line: i + 1, text, highlights: highlightText(text, terms) }))
+  .filter(snippet => snippet.highlights.length > 0)
+  .sort((a, b) => b.highlights.length - a.highlights.length || a.line - b.line)
+  .slice(0, max)
+  .sort((a, b) => a.line - b.line);
+
+/**
+ * Score, sort and annotate matching lyrics
+ * @param {object[]} lyricsList - Lyrics documents that matched searchFilter
+ * @param {string[]} terms
+ * @returns {object[]} [{ lyrics, score, titleHighlights, snippets }], best first, newest first on ties
+ */
+const rankLyrics = (lyricsList, terms) => lyricsList
+  .map(lyrics => ({
+    lyrics,
+    score: scoreLyrics(lyrics, terms),
+    titleHighlights: highlightText(lyrics.title, terms),
+    snippets: buildSnippets(lyrics.content, terms)
+  }))
+  .sort((a, b) => b.score - a.score || new Date(b.lyrics.createdAt) - new Date(a.lyrics.createdAt));
+
+module.exports = {
+  foldText,
+  searchableText,
+  queryTerms,
+  searchFilter,
+  scoreLyrics,
+  highlightText,
+  buildSnippets,
+  rankLyrics
+};
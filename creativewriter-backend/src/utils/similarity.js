@@ -0,0 +1,151 @@
+/**
+ * Lyrics Similarity
+ * Shingle fingerprints of lyric lines for spotting lyrics that copy public
+ * songs or the admin reference corpus. Lines are folded with foldText first,
+ * so a song in Telugu script, its Roman transliteration and spelling variants
+ * all produce the same shingles.
+ */
+
+const { lyricLineGroups } = require('./lyricsSections');
+const { foldText } = require('./search');
+
+// Folded characters per shingle, spaces dropped; about two short words
+const SHINGLE_SIZE = 10;
+// Winnowing window: any shared run of SHINGLE_SIZE + WINDOW - 1 characters keeps a common fingerprint
+const WINDOW = 4;
+// Shorter lines ("naa prema") are too common to say anything about copying
+const MIN_LINE_LENGTH = 8;
+// Share of a line's shingles found in another line for the two to count as overlapping
+const LINE_OVERLAP = 0.6;
+
+/**
+ * 32-bit FNV-1a hash of a shingle
+ * @param {string} text
+ * @returns {number} Unsigned integer
+ */
+const hashShingle = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Hashes of the overlapping SHINGLE_SIZE-character shingles of a folded line
+ * A line shorter than SHINGLE_SIZE is one shingle.
+ * @param {string} folded - Folded line without spaces
+ * @returns {number[]} In line order
+ */
+const shingleHashes = (folded) => {
+  if (folded.length <= SHINGLE_SIZE) return [hashShingle(folded)];
+
+  const hashes = [];
+  for (let i = 0; i + SHINGLE_SIZE <= folded.length; i++) {
+    hashes.push(hashShingle(folded.slice(i, i + SHINGLE_SIZE)));
+  }
+  return hashes;
+};
+
+/**
+ * Winnow shingle hashes down to the smallest hash of each WINDOW-wide window
+ * @param {number[]} hashes
+ * @returns {number[]}
+ */
+const winnow = (hashes) => {
+  const selected = new Set();
+  const windows = Math.max(hashes.length - WINDOW + 1, 1);
+  for (let start = 0; start < windows; start++) {
+    selected.add(Math.min(...hashes.slice(start, start + WINDOW)));
+  }
+  return [...selected];
+};
+
+/**
+ * Fingerprint lyrics for comparison
+ * Native-script lines are used, or the Roman lines of sections that have none,
+ * so transliterated lyrics are not counted twice. Lines sung again (a repeated
+ * pallavi) are kept once; the metadata footer is ignored.
+ * @param {string} content
+ * @returns {object} { lines: [{ section, line, shingles: Set<number> }], fingerprint: number[] } with fingerprint sorted
+ */
+const fingerprintLyrics = (content) => {
+  const seen = new Set();
+  const lines = [];
+  const fingerprint = new Set();
+
+  for (const group of lyricLineGroups(content || '')) {
+    const source = group.teluguLines.length > 0 ? group.teluguLines : group.transliterationLines;
+
+    for (const line of source) {
+      const folded = foldText(line).replace(/ /g, '');
+      if (folded.length < MIN_LINE_LENGTH || seen.has(folded)) continue;
+      seen.add(folded);
+
+      const hashes = shingleHashes(folded);
+      lines.push({ section: group.label, line, shingles: new Set(hashes) });
+      winnow(hashes).forEach(hash => fingerprint.add(hash));
+    }
+  }
+
+  return { lines, fingerprint: [...fingerprint].sort((a, b) => a - b) };
+};
+
+/**
+ * Stored fingerprint of lyrics content (Lyrics and ReferenceLyrics models)
+ * @param {string} content
+ * @returns {number[]}
+ */
+const fingerprint = (content) => fingerprintLyrics(content).fingerprint;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Compare fingerprinted lyrics with another song
+ * Similarity is the share of the lyrics' fingerprint also found in the other
+ * song, so copying a few lines of a long film song scores by how much of the
+ * new lyrics is copied, not by how much of the film song.
+ * @param {object} source - fingerprintLyrics() of the lyrics being checked
+ * @param {object} other - fingerprintLyrics() of a public or reference song
+ * @returns {object} { similarity: 0-1, overlappingLines: [{ section, line, matchedSection, matchedLine, overlap }] }
+ */
+const compareLyrics = (source, other) => {
+  if (source.fingerprint.length === 0) return { similarity: 0, overlappingLines: [] };
+
+  const otherPrint = new Set(other.fingerprint);
+  const shared = source.fingerprint.filter(hash => otherPrint.has(hash)).length;
+
+  const overlappingLines = [];
+  for (const line of source.lines) {
+    let best = null;
+    for (const candidate of other.lines) {
+      let common = 0;
+      line.shingles.forEach(hash => { if (candidate.shingles.has(hash)) common += 1; });
+      const overlap = common / line.shingles.size;
+      if (overlap >= LINE_OVERLAP && (!best || overlap > best.overlap)) best = { candidate, overlap };
+    }
+
+    if (best) {
+      overlappingLines.push({
+        section: line.section,
+        line: line.line,
+        matchedSection: best.candidate.section,
+        matchedLine: best.candidate.line,
+        overlap: round(best.overlap)
+      });
+    }
+  }
+
+  return { similarity: round(shared / source.fingerprint.length), overlappingLines };
+};
+
+module.exports = {
+  SHINGLE_SIZE,
+  WINDOW,
+  hashShingle,
+  winnow,
+  fingerprintLyrics,
+  fingerprint,
+  compareLyrics
+};
@@ -0,0 +1,101 @@
+/**
+ * Server-Sent Events Helpers
+ * Writes SSE responses to clients and parses SSE streams from upstream APIs
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Prepare an Express response for streaming events
+ * @param {object} res - Express response
+ */
+const initEventStream = (res) => {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+};
+
+/**
+ * Send a single named event with a JSON payload
+ * @param {object} res - Express response
+ * @param {string} event - Event name
+ * @param {object} data - JSON-serializable payload
+ */
+const sendEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Parse a single raw SSE block into { event, data }
+ * @param {string} block - Text between two blank lines
+ * @returns {object|null} Parsed event, or null for comments/empty blocks
+ */
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+    const sep = line.indexOf(':');
+    const field = sep === -1 ? line : line.slice(0, sep);
+    const value = sep === -1 ? '' : line.slice(sep + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    if (field === 'data') dataLines.push(value);
+  }
+
+  if (dataLines.length === 0) return null;
+
+  const raw = dataLines.join('\n');
+  let data = raw;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    // Non-JSON payloads are passed through as text
+  }
+
+  return { event, data };
+};
+
+/**
+ * Consume an SSE stream (e.g. a node-fetch response body) and invoke a handler per event
+ * @param {AsyncIterable<Buffer|string>} body - Readable stream of SSE text
+ * @param {function} onEvent - Called with { event, data } for each event
+ */
+const parseEventStream = async (body, onEvent) => {
+  // Telugu characters are multi-byte, so decode across chunk boundaries
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const parsed = parseEventBlock(block);
+      if (parsed) await onEvent(parsed);
+
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+
+  buffer += decoder.end();
+  const parsed = parseEventBlock(buffer);
+  if (parsed) await onEvent(parsed);
+};
+
+module.exports = {
+  initEventStream,
+  sendEvent,
+  parseEventBlock,
+  parseEventStream
+};
@@ -0,0 +1,63 @@
+/**
+ * Lyrics Translation
+ * Line-aligned translations (POST /lyrics/:id/translate). Lines are numbered across
+ * the whole song so the model's answer can be matched back to its section and line.
+ */
+
+// Languages lyrics can be translated into
+const TRANSLATION_LANGUAGES = {
+  en: { name: 'English' },
+  hi: { name: 'Hindi' }
+};
+
+// "12. text", "12) text" or "12 - text"
+const NUMBERED_LINE = /^\s*(\d+)\s*[.):-]\s*(.*)$/;
+
+/**
+ * Number the lines of a song for the translation prompt
+ * @param {object[]} groups - [{ label, teluguLines }] from teluguLineGroups
+ * @returns {string} Each section's 【label】 heading followed by its numbered lines
+ */
+const numberLines = (groups) => {
+  let number = 0;
+  return groups
+    .map(group => [`【${group.label}】`, ...group.teluguLines.map(line => `${++number}. ${line}`)].join('\n'))
+    .join('\n\n');
+};
+
+/**
+ * Match a numbered translation back to the lines it translates
+ * Unnumbered lines are ignored, and a line the model skipped is left empty.
+ * @param {string} text - Model output
+ * @param {object[]} groups - The groups passed to numberLines
+ * @returns {{ sections: object[], missing: number }} sections: [{ key, label, lines: [{ source, text }] }]
+ */
+const parseTranslation = (text, groups) => {
+  const translated = {};
+  for (const line of text.split('\n')) {
+    const match = line.match(NUMBERED_LINE);
+    if (match && match[2].trim() && !translated[match[1]]) {
+      translated[match[1]] = match[2].trim();
+    }
+  }
+
+  let number = 0;
+  let missing = 0;
+  const sections = groups.map(group => ({
+    key: group.key,
+    label: group.label,
+    lines: group.teluguLines.map(source => {
+      const translation = translated[++number] || '';
+      if (!translation) missing += 1;
+      return { source, text: translation };
+    })
+  }));
+
+  return { sections, missing };
+};
+
+module.exports = {
+  TRANSLATION_LANGUAGES,
+  numberLines,
+  parseTranslation
+};
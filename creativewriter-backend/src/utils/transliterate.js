@@ -0,0 +1,326 @@
+/**
+ * Telugu ↔ Roman Transliteration
+ * Deterministic conversion between Telugu script and ISO 15919 or RTS
+ * (Rice Transliteration Scheme), plus RTS input back to Telugu script.
+ * Devanagari, Tamil and Kannada are romanized through the same tables.
+ */
+
+const { parseSections, replaceSection } = require('./lyricsSections');
+
+const VIRAMA = '్';
+const TELUGU_CHAR = /[ఀ-౿]/;
+// Telugu, Devanagari, Tamil or Kannada
+const NATIVE_CHAR = /[\u0900-\u097F\u0B80-\u0BFF\u0C00-\u0CFF]/;
+const LATIN_CHAR = /[a-z]/i;
+
+// Brahmic blocks share one layout, so a letter maps to Telugu by its offset in the block
+const SCRIPT_BLOCKS = [
+  { start: 0x0900, end: 0x097F }, // Devanagari
+  { start: 0x0B80, end: 0x0BFF }, // Tamil
+  { start: 0x0C80, end: 0x0CFF } // Kannada
+];
+
+// Letters with no Telugu counterpart at the same offset
+const SCRIPT_OVERRIDES = {
+  'ॉ': 'ో', // Devanagari candra o (ड्रॉप)
+  'ऑ': 'ఓ',
+  'ॅ': 'ె',
+  'ऍ': 'ఎ',
+  '।': '.',
+  '॥': '.',
+  'ன': 'న' // Tamil alveolar na
+};
+
+const NUKTA = '\u093C';
+const DEVANAGARI_CONSONANT = /[\u0915-\u0939\u0958-\u095F]$/;
+
+const CONSONANTS = {
+  'క': { iso: 'k', rts: 'k' },
+  'ఖ': { iso: 'kh', rts: 'kh' },
+  'గ': { iso: 'g', rts: 'g' },
+  'ఘ': { iso: 'gh', rts: 'gh' },
+  'ఙ': { iso: 'ṅ', rts: '~m' },
+  'చ': { iso: 'c', rts: 'ch' },
+  'ఛ': { iso: 'ch', rts: 'Ch' },
+  'జ': { iso: 'j', rts: 'j' },
+  'ఝ': { iso: 'jh', rts: 'jh' },
+  'ఞ': { iso: 'ñ', rts: '~n' },
+  'ట': { iso: 'ṭ', rts: 'T' },
+  'ఠ': { iso: 'ṭh', rts: 'Th' },
+  'డ': { iso: 'ḍ', rts: 'D' },
+  'ఢ': { iso: 'ḍh', rts: 'Dh' },
+  'ణ': { iso: 'ṇ', rts: 'N' },
+  'త': { iso: 't', rts: 't' },
+  'థ': { iso: 'th', rts: 'th' },
+  'ద': { iso: 'd', rts: 'd' },
+  'ధ': { iso: 'dh', rts: 'dh' },
+  'న': { iso: 'n', rts: 'n' },
+  'ప': { iso: 'p', rts: 'p' },
+  'ఫ': { iso: 'ph', rts: 'ph' },
+  'బ': { iso: 'b', rts: 'b' },
+  'భ': { iso: 'bh', rts: 'bh' },
+  'మ': { iso: 'm', rts: 'm' },
+  'య': { iso: 'y', rts: 'y' },
+  'ర': { iso: 'r', rts: 'r' },
+  'ఱ': { iso: 'ṟ', rts: '~r' },
+  'ల': { iso: 'l', rts: 'l' },
+  'ళ': { iso: 'ḷ', rts: 'L' },
+  'ఴ': { iso: 'ḻ', rts: 'zh' },
+  'వ': { iso: 'v', rts: 'v' },
+  'శ': { iso: 'ś', rts: 'S' },
+  'ష': { iso: 'ṣ', rts: 'sh' },
+  'స': { iso: 's', rts: 's' },
+  'హ': { iso: 'h', rts: 'h' }
+};
+
+// Independent vowels and their dependent signs (matras)
+const VOWELS = [
+  { letter: 'అ', sign: '', iso: 'a', rts: 'a' },
+  { letter: 'ఆ', sign: 'ా', iso: 'ā', rts: 'aa' },
+  { letter: 'ఇ', sign: 'ి', iso: 'i', rts: 'i' },
+  { letter: 'ఈ', sign: 'ీ', iso: 'ī', rts: 'ee' },
+  { letter: 'ఉ', sign: 'ు', iso: 'u', rts: 'u' },
+  { letter: 'ఊ', sign: 'ూ', iso: 'ū', rts: 'oo' },
+  { letter: 'ఋ', sign: 'ృ', iso: 'r̥', rts: 'R' },
+  { letter: 'ౠ', sign: 'ౄ', iso: 'r̥̄', rts: 'RR' },
+  { letter: 'ఎ', sign: 'ె', iso: 'e', rts: 'e' },
+  { letter: 'ఏ', sign: 'ే', iso: 'ē', rts: 'E' },
+  { letter: 'ఐ', sign: 'ై', iso: 'ai', rts: 'ai' },
+  { letter: 'ఒ', sign: 'ొ', iso: 'o', rts: 'o' },
+  { letter: 'ఓ', sign: 'ో', iso: 'ō', rts: 'O' },
+  { letter: 'ఔ', sign: 'ౌ', iso: 'au', rts: 'au' }
+];
+
+const MODIFIERS = {
+  'ం': { iso: 'ṁ', rts: 'M' },
+  'ః': { iso: 'ḥ', rts: 'H' },
+  'ఁ': { iso: 'm̐', rts: '~M' },
+  'ఽ': { iso: '’', rts: "'" }
+};
+
+const SCHEMES = ['rts', 'iso'];
+
+const VOWEL_BY_LETTER = Object.fromEntries(VOWELS.map(v => [v.letter, v]));
+const VOWEL_BY_SIGN = Object.fromEntries(VOWELS.filter(v => v.sign).map(v => [v.sign, v]));
+
+const isTeluguLetter = (ch) => Boolean(CONSONANTS[ch] || VOWEL_BY_LETTER[ch] || VOWEL_BY_SIGN[ch] || MODIFIERS[ch])
+  || ch === VIRAMA || (ch >= '౦' && ch <= '౯');
+
+/**
+ * Rewrite Devanagari, Tamil and Kannada letters as their Telugu counterparts
+ * Hindi drops the inherent vowel of a word's last consonant (दिल → dil), so
+ * Devanagari words of more than one letter get a virama there. Characters
+ * with no counterpart pass through unchanged.
+ * @param {string} text
+ * @returns {string}
+ */
+const toTeluguScript = (text) => {
+  // Words stop at a danda (।)
+  const hindi = text.normalize('NFC').replace(/[\u0900-\u0963\u0966-\u097F]+/g, (word) => {
+    const letters = word.replace(new RegExp(NUKTA, 'g'), '');
+    return [...letters].length > 1 && DEVANAGARI_CONSONANT.test(letters) ? `${letters}\u094D` : letters;
+  });
+
+  return [...hindi].map(ch => {
+    if (SCRIPT_OVERRIDES[ch]) return SCRIPT_OVERRIDES[ch];
+    const code = ch.codePointAt(0);
+    const block = SCRIPT_BLOCKS.find(b => code >= b.start && code <= b.end);
+    if (!block) return ch;
+    const telugu = String.fromCodePoint(0x0C00 + code - block.start);
+    return isTeluguLetter(telugu) ? telugu : ch;
+  }).join('');
+};
+
+/**
+ * Convert Telugu (or Devanagari, Tamil, Kannada) script to Roman
+ * Other characters (spaces, punctuation, Latin) pass through unchanged.
+ * @param {string} text
+ * @param {string} [scheme='rts'] - 'rts' or 'iso' (ISO 15919)
+ * @returns {string}
+ */
+const toRoman = (text, scheme = 'rts') => {
+  const chars = [...toTeluguScript(text)];
+  let output = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+
+    if (CONSONANTS[ch]) {
+      output += CONSONANTS[ch][scheme];
+      const next = chars[i + 1];
+      if (next === VIRAMA) {
+        i += 1;
+      } else if (VOWEL_BY_SIGN[next]) {
+        output += VOWEL_BY_SIGN[next][scheme];
+        i += 1;
+      } else {
+        output += 'a';
+      }
+    } else if (VOWEL_BY_LETTER[ch]) {
+      output += VOWEL_BY_LETTER[ch][scheme];
+    } else if (MODIFIERS[ch]) {
+      output += MODIFIERS[ch][scheme];
+    } else if (ch >= '౦' && ch <= '౯') {
+      output += String(ch.charCodeAt(0) - '౦'.charCodeAt(0));
+    } else if (ch !== VIRAMA && !VOWEL_BY_SIGN[ch]) {
+      output += ch;
+    }
+  }
+
+  return output;
+};
+
+// RTS input tokens, including common alternates; matched longest first
+const RTS_CONSONANTS = {
+  ...Object.fromEntries(Object.entries(CONSONANTS).map(([letter, t]) => [t.rts, letter])),
+  'ksh': 'క్ష',
+  'x': 'క్ష',
+  'c': 'చ',
+  'Sh': 'ష',
+  'w': 'వ',
+  'f': 'ఫ',
+  'z': 'జ'
+};
+const RTS_VOWELS = {
+  ...Object.fromEntries(VOWELS.map(v => [v.rts, v])),
+  'A': VOWEL_BY_LETTER['ఆ'],
+  'I': VOWEL_BY_LETTER['ఈ'],
+  'ii': VOWEL_BY_LETTER['ఈ'],
+  'U': VOWEL_BY_LETTER['ఊ'],
+  'uu': VOWEL_BY_LETTER['ఊ']
+};
+const RTS_MODIFIERS = { 'M': 'ం', 'H': 'ః', '~M': 'ఁ' };
+
+// Capitalised "M"/"H" with no vowel before them (e.g. "Mani", "Hari") are consonants
+const RTS_MODIFIER_CONSONANTS = { 'M': 'మ', 'H': 'హ' };
+
+const RTS_TOKENS = [
+  ...Object.keys(RTS_CONSONANTS).map(token => ({ token, type: 'consonant' })),
+  ...Object.keys(RTS_VOWELS).map(token => ({ token, type: 'vowel' })),
+  ...Object.keys(RTS_MODIFIERS).map(token => ({ token, type: 'modifier' }))
+].sort((a, b) => b.token.length - a.token.length);
+
+/**
+ * Convert RTS input to Telugu script
+ * Consonant clusters become conjuncts, and a consonant with no vowel before a
+ * space or punctuation gets a virama (e.g. "kan" → కన్).
+ * @param {string} text - RTS text (case-sensitive: T is ట, t is త)
+ * @returns {string}
+ */
+const toTelugu = (text) => {
+  let output = '';
+  let pendingConsonant = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const match = RTS_TOKENS.find(({ token }) => text.startsWith(token, i));
+
+    const afterVowel = !pendingConsonant && TELUGU_CHAR.test(output.slice(-1));
+    if (match && match.type === 'modifier' && !afterVowel && RTS_MODIFIER_CONSONANTS[match.token]) {
+      if (pendingConsonant) output += VIRAMA;
+      output += RTS_MODIFIER_CONSONANTS[match.token];
+      pendingConsonant = true;
+      i += 1;
+      continue;
+    }
+
+    if (!match) {
+      if (pendingConsonant) output += VIRAMA;
+      pendingConsonant = false;
+      output += text[i];
+      i += 1;
+      continue;
+    }
+
+    if (match.type === 'consonant') {
+      if (pendingConsonant) output += VIRAMA;
+      output += RTS_CONSONANTS[match.token];
+      pendingConsonant = true;
+    } else if (match.type === 'vowel') {
+      const vowel = RTS_VOWELS[match.token];
+      output += pendingConsonant ? vowel.sign : vowel.letter;
+      pendingConsonant = false;
+    } else {
+      output += RTS_MODIFIERS[match.token];
+    }
+    i += match.token.length;
+  }
+
+  if (pendingConsonant) output += VIRAMA;
+  return output;
+};
+
+/**
+ * Rebuild the Telugu/transliteration layout of one block of lyrics
+ * Existing Latin-only lines and inline "(…)" transliterations are replaced.
+ * Sections that used inline "తెలుగు (Roman)" lines keep that layout; others get
+ * a "(…)" transliteration line per Telugu line after each run of Telugu lines.
+ */
+const rebuildBlock = (text, scheme) => {
+  const inlinePattern = /^(.*?)\s*\(([^()]*)\)$/;
+  const isInline = (line) => {
+    const match = line.match(inlinePattern);
+    return match && LATIN_CHAR.test(match[2]) && !NATIVE_CHAR.test(match[2]);
+  };
+
+  const lines = text.split('\n');
+  const inline = lines.some(line => NATIVE_CHAR.test(line) && isInline(line.trim()));
+  const output = [];
+  let run = [];
+
+  const flush = () => {
+    if (run.length === 0) return;
+    output.push(...run, ...run.map(line => `(${toRoman(line, scheme)})`));
+    run = [];
+  };
+
+  for (const raw of lines) {
+    const line = raw.trim();
+
+    if (NATIVE_CHAR.test(line)) {
+      const telugu = isInline(line) ? line.match(inlinePattern)[1] : line;
+      if (inline) output.push(`${telugu} (${toRoman(telugu, scheme)})`);
+      else run.push(telugu);
+    } else if (LATIN_CHAR.test(line)) {
+      flush(); // drop the old transliteration, keeping its place in the layout
+    } else {
+      flush();
+      output.push(raw);
+    }
+  }
+  flush();
+
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * Regenerate the transliteration of every section in lyrics content
+ * Lyrics without 【…】 headings are rebuilt above the `---` footer.
+ * @param {string} content
+ * @param {string} [scheme='rts']
+ * @param {string[]} [keys] - Only rebuild these sections (keys from parseSections)
+ * @returns {string} Updated content
+ */
+const transliterateLyrics = (content, scheme = 'rts', keys) => {
+  const sections = parseSections(content);
+
+  if (sections.length === 0) {
+    const footer = content.search(/^[ \t]*---[ \t]*$/m);
+    const body = footer === -1 ? content : content.slice(0, footer);
+    const rest = footer === -1 ? '' : `\n\n${content.slice(footer)}`;
+    return `${rebuildBlock(body, scheme)}${rest}`;
+  }
+
+  return sections.filter(section => !keys || keys.includes(section.key)).reduce(
+    (updated, section) => replaceSection(updated, section.key, rebuildBlock(section.text, scheme)),
+    content
+  );
+};
+
+module.exports = {
+  SCHEMES,
+  toTeluguScript,
+  toRoman,
+  toTelugu,
+  transliterateLyrics
+};
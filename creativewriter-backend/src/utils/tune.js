@@ -0,0 +1,293 @@
+/**
+ * Write to Tune
+ * Syllable templates for lyrics written to an existing tune (POST /lyrics/generate
+ * with `tune`). A composer gives each tune line as a syllable count ("8"), a
+ * laghu/guru pattern ("U I I U" or "2 1 1 2") or a dummy lyric line ("na na naa na").
+ * Lines are counted in aksharas with the chandassu splitter: Devanagari, Tamil and
+ * Kannada are rewritten in Telugu script first, and Roman text (dummy lines,
+ * transliteration, English words in code-mixed songs) is read as RTS.
+ */
+
+const { splitAksharas } = require('./chandassu');
+const { toTeluguScript, toTelugu, transliterateLyrics } = require('./transliterate');
+const { lyricLineGroups } = require('./lyricsSections');
+
+const HEADING = /^【\s*([^】]+?)\s*】$/;
+const SYLLABLE_COUNT = /^\d{1,2}$/;
+// Laghu/guru marks: U or 2 is guru, I or 1 is laghu
+const WEIGHT_MARK = /^[UI12]+$/i;
+const INLINE = /^(.*?)\s*\(([^()]*)\)$/;
+const NATIVE_CHAR = /[ऀ-ॿ஀-௿ఀ-೿]/;
+const LATIN_CHAR = /[a-z]/i;
+
+const MAX_SYLLABLES = 32;
+
+/**
+ * Aksharas of a line in any supported script
+ * @param {string} text
+ * @returns {object} { syllables, matras, pattern } - matras count laghu as 1 and guru as 2
+ */
+const scanLine = (text) => {
+  const telugu = toTeluguScript((text || '').replace(/[a-z]+/gi, word => toTelugu(word)));
+  const pattern = splitAksharas(telugu).map(akshara => akshara.weight).join('');
+  return { syllables: pattern.length, matras: matrasOf(pattern), pattern };
+};
+
+const matrasOf = (pattern) => [...pattern].reduce((sum, weight) => sum + (weight === 'U' ? 2 : 1), 0);
+
+/**
+ * Parse one tune line
+ * @returns {object} { syllables, matras, pattern, dummy } - matras and pattern are null for a bare count
+ */
+const parseTuneLine = (text) => {
+  if (SYLLABLE_COUNT.test(text)) {
+    return { syllables: Number(text), matras: null, pattern: null, dummy: null };
+  }
+
+  // "U I I U", "UIIU", "2 1 1 2" or "U|II|U"; a lone number is a count, not a pattern
+  const marks = text.split(/[\s|.+-]+/).filter(Boolean);
+  if (marks.every(mark => WEIGHT_MARK.test(mark)) && (marks.length > 1 || /[UI]/i.test(text))) {
+    const pattern = marks.join('').toUpperCase().replace(/2/g, 'U').replace(/1/g, 'I');
+    return { syllables: pattern.length, matras: matrasOf(pattern), pattern, dummy: null };
+  }
+
+  const { syllables, pattern } = scanLine(text);
+  return { syllables, matras: null, pattern, dummy: text };
+};
+
+/**
+ * Parse a tune template
+ * One tune line per line; 【…】 headings name the section of the lines below them
+ * and blank lines are ignored.
+ * @param {string} text
+ * @returns {object} { lines: [{ section, syllables, matras, pattern, dummy }], sections }
+ */
+const parseTune = (text) => {
+  const lines = [];
+  let section = null;
+
+  for (const raw of (text || '').split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      section = heading[1];
+      continue;
+    }
+    lines.push({ section, ...parseTuneLine(line) });
+  }
+
+  return { lines, sections: lines.some(line => line.section) };
+};
+
+/**
+ * Why a tune cannot be used, for request validation
+ * @param {object} tune - From parseTune
+ * @param {number} maxLines
+ * @returns {string|null} Error message, or null when the tune is usable
+ */
+const tuneError = (tune, maxLines) => {
+  if (tune.lines.length === 0) return 'Tune has no lines';
+  if (tune.lines.length > maxLines) return `Tune cannot have more than ${maxLines} lines`;
+
+  const bad = tune.lines.findIndex(line => line.syllables < 1 || line.syllables > MAX_SYLLABLES);
+  return bad === -1 ? null : `Tune line ${bad + 1} must have between 1 and ${MAX_SYLLABLES} syllables`;
+};
+
+/**
+ * What one tune line asks for, for prompts
+ * @example "6 syllables, laghu/guru U I I U I U (8 matras)"
+ */
+const describeTuneLine = (line) => {
+  const count = `${line.syllables} syllable${line.syllables === 1 ? '' : 's'}`;
+  if (line.dummy) return `${count}, like "${line.dummy}" (${[...line.pattern].join(' ')})`;
+  if (line.pattern && line.matras !== null) return `${count}, laghu/guru ${[...line.pattern].join(' ')} (${line.matras} matras)`;
+  return count;
+};
+
+/**
+ * Prompt block asking for lyrics that fit a tune (the tuneRequirements template variable)
+ * Ends in a blank line, as the templates place it right before the next heading.
+ * @param {object} tune - From parseTune
+ * @returns {string}
+ */
+const tunePrompt = (tune) => {
+  const numbered = [];
+  let section;
+  tune.lines.forEach((line, i) => {
+    if (line.section && line.section !== section) {
+      section = line.section;
+      numbered.push(...(numbered.length > 0 ? [''] : []), `【${section}】`);
+    }
+    numbered.push(`${i + 1}. ${describeTuneLine(line)}`);
+  });
+
+  return [
+    '**TUNE (the music is already composed):**',
+    `Write exactly ${tune.lines.length} lyric lines, one for each tune line below and in the same order${tune.sections ? ', grouped into the sections shown' : ''}.`,
+    'Each line must have exactly the given number of syllables (aksharas). Where a laghu (I) / guru (U) pattern is given, put long and short syllables in the same places.',
+    'The transliteration lines do not count as lyric lines.',
+    '',
+    ...numbered,
+    '',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Lyric lines of content in singing order, for fitting to a tune
+ * Native-script lines, or the Roman lines of sections that have none.
+ * @param {string} content
+ * @returns {object[]} [{ key, section, text, native }]
+ */
+const tuneLines = (content) => lyricLineGroups(content || '').flatMap(group => {
+  const native = group.teluguLines.length > 0;
+  return (native ? group.teluguLines : group.transliterationLines)
+    .map(text => ({ key: group.key, section: group.label, text, native }));
+});
+
+/**
+ * How far a line is from its tune line; 0 fits
+ * @param {object} actual - From scanLine
+ * @param {object} expected - Tune line
+ * @param {number} tolerance - Syllables (and matras) a line may be off by
+ */
+const offBy = (actual, expected, tolerance) => {
+  const syllables = Math.max(0, Math.abs(actual.syllables - expected.syllables) - tolerance);
+  const matras = expected.matras === null ? 0 : Math.max(0, Math.abs(actual.matras - expected.matras) - tolerance);
+  return syllables + matras;
+};
+
+/**
+ * Compare lyrics with a tune line by line
+ * @param {string} content
+ * @param {object} tune - From parseTune
+ * @param {number} [tolerance=0]
+ * @returns {object} { fits, fitted, total, extraLines, lines: [{ number, section, text, expected, syllables, matras, pattern, fits }] }
+ */
+const checkTuneFit = (content, tune, tolerance = 0) => {
+  const sung = tuneLines(content);
+
+  const lines = tune.lines.map((expected, i) => {
+    const line = sung[i];
+    const actual = line ? scanLine(line.text) : { syllables: 0, matras: 0, pattern: '' };
+    return {
+      number: i + 1,
+      section: line ? line.section : expected.section,
+      text: line ? line.text : '',
+      expected: { syllables: expected.syllables, matras: expected.matras, pattern: expected.pattern },
+      ...actual,
+      fits: Boolean(line) && offBy(actual, expected, tolerance) === 0
+    };
+  });
+
+  const fitted = lines.filter(line => line.fits).length;
+  return {
+    fits: fitted === lines.length && sung.length === lines.length,
+    fitted,
+    total: lines.length,
+    extraLines: Math.max(0, sung.length - lines.length),
+    lines
+  };
+};
+
+/**
+ * Number the lines that do not fit, for the tune retry prompt
+ * @param {object[]} misfits - Report lines from checkTuneFit
+ * @returns {string} e.g. "3. నీ కోసం వెన్నెల రాత్రి (has 9 syllables; needs 8 syllables)"
+ */
+const numberMisfits = (misfits) => misfits
+  .map(line => `${line.number}. ${line.text} (has ${line.syllables} syllable${line.syllables === 1 ? '' : 's'}; needs ${describeTuneLine({ ...line.expected, dummy: null })})`)
+  .join('\n');
+
+// "12. text", "12) text" or "12 - text"
+const NUMBERED_LINE = /^\s*(\d+)\s*[.):-]\s*(.*)$/;
+
+/**
+ * Rewritten lines from a tune retry that are closer to the tune than the lines they replace
+ * @param {string} text - Model output
+ * @param {object} report - From checkTuneFit
+ * @param {object} tune - From parseTune
+ * @param {number} [tolerance=0]
+ * @returns {object[]} [{ number, text }]
+ */
+const parseRewrites = (text, report, tune, tolerance = 0) => {
+  const rewrites = [];
+
+  for (const raw of text.split('\n')) {
+    const match = raw.match(NUMBERED_LINE);
+    if (!match) continue;
+
+    const line = report.lines[Number(match[1]) - 1];
+    const rewritten = match[2].replace(INLINE, (all, lyric, roman) => (LATIN_CHAR.test(roman) ? lyric : all)).trim();
+    if (!line || line.fits || !line.text || !rewritten || rewrites.some(r => r.number === line.number)) continue;
+
+    const expected = tune.lines[line.number - 1];
+    if (offBy(scanLine(rewritten), expected, tolerance) < offBy(line, expected, tolerance)) {
+      rewrites.push({ number: line.number, text: rewritten });
+    }
+  }
+
+  return rewrites;
+};
+
+// Lyric text of a content line, as splitSectionLines reads it
+const lineParts = (raw) => {
+  const line = raw.trim();
+  const inline = line.match(INLINE);
+  if (NATIVE_CHAR.test(line) && inline && LATIN_CHAR.test(inline[2]) && !NATIVE_CHAR.test(inline[2])) {
+    return { text: inline[1], inline: inline[2] };
+  }
+  return { text: line.replace(/^\(\s*/, '').replace(/\s*\)$/, ''), bracketed: /^\(.*\)$/.test(line) };
+};
+
+/**
+ * Put rewritten lines into lyrics content
+ * Sections whose native lines changed get a fresh transliteration (utils/transliterate).
+ * @param {string} content
+ * @param {object[]} rewrites - [{ number, text }] from parseRewrites
+ * @returns {string} Updated content
+ */
+const applyRewrites = (content, rewrites) => {
+  if (rewrites.length === 0) return content;
+
+  const sung = tuneLines(content);
+  const byNumber = Object.fromEntries(rewrites.map(r => [r.number, r.text]));
+  const lines = content.split('\n');
+  const changedKeys = new Set();
+  let cursor = 0;
+
+  sung.forEach((line, i) => {
+    // Walk the content in step with the lyric lines so repeated lines are matched in order
+    const index = lines.findIndex((raw, j) => j >= cursor && lineParts(raw).text === line.text);
+    if (index === -1) return;
+    cursor = index + 1;
+
+    const text = byNumber[i + 1];
+    if (!text) return;
+
+    const parts = lineParts(lines[index]);
+    const indent = lines[index].match(/^\s*/)[0];
+    if (parts.inline) lines[index] = `${indent}${text} (${parts.inline})`;
+    else lines[index] = `${indent}${parts.bracketed ? `(${text})` : text}`;
+    if (line.native) changedKeys.add(line.key);
+  });
+
+  const updated = lines.join('\n');
+  return changedKeys.size > 0 ? transliterateLyrics(updated, 'rts', [...changedKeys]) : updated;
+};
+
+module.exports = {
+  MAX_SYLLABLES,
+  scanLine,
+  parseTune,
+  tuneError,
+  describeTuneLine,
+  tunePrompt,
+  tuneLines,
+  checkTuneFit,
+  numberMisfits,
+  parseRewrites,
+  applyRewrites
+};
@@ -0,0 +1,26 @@
+/**
+ * Lyrics Variants
+ * Counting and pricing multi-variant generations (POST /lyrics/generate with `n`)
+ */
+
+const config = require('../config/config');
+
+/**
+ * Number of variants asked for, clamped to 1..config.lyrics.maxVariants
+ * @param {*} n - Raw `n` from the request body
+ * @returns {number}
+ */
+const requestedVariants = (n) => Math.min(Math.max(parseInt(n, 10) || 1, 1), config.lyrics.maxVariants);
+
+/**
+ * Usage units charged for a group of variants
+ * The first variant is a full generation; each extra one costs config.lyrics.variantCost.
+ * @param {number} count - Variants generated
+ * @returns {number}
+ */
+const variantsCost = (count) => 1 + (count - 1) * config.lyrics.variantCost;
+
+module.exports = {
+  requestedVariants,
+  variantsCost
+};
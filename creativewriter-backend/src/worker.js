@@ -0,0 +1,27 @@
+/**
+ * Worker Entry Point
+ * Runs queued lyrics and media generations without serving the API
+ *
+ * Start with `npm run worker`; set JOB_WORKER=false on the API servers to
+ * leave the queue to dedicated workers.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('./config/database');
+const { startWorker, stopWorker } = require('./jobs');
+
+const start = async () => {
+  await connectDB();
+  startWorker();
+
+  process.on('SIGTERM', async () => {
+    console.log('👋 SIGTERM RECEIVED. Finishing running jobs');
+    await stopWorker();
+    await mongoose.connection.close();
+    process.exit(0);
+  });
+};
+
+start();
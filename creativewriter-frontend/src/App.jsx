@@ -7,6 +7,8 @@ import Dashboard from './pages/Dashboard';
 import GenerateLyrics from './pages/GenerateLyrics';
 import MyLyrics from './pages/MyLyrics';
 import LyricsDetail from './pages/LyricsDetail';
+import Collections from './pages/Collections';
+import CollectionDetail from './pages/CollectionDetail';
 import PublicLyrics from './pages/PublicLyrics';
 import Profile from './pages/Profile';
 import Pricing from './pages/Pricing';
@@ -14,6 +16,11 @@ import Subscription from './pages/Subscription';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import UserManagement from './pages/admin/UserManagement';
 import ApiKeys from './pages/admin/ApiKeys';
+import PromptTemplates from './pages/admin/PromptTemplates';
+import Dialects from './pages/admin/Dialects';
+import Catalog from './pages/admin/Catalog';
+import Moderation from './pages/admin/Moderation';
+import ReferenceCorpus from './pages/admin/ReferenceCorpus';
 import SubscriptionManagement from './pages/admin/SubscriptionManagement';
 
 function ProtectedRoute({ children, adminOnly = false }) {
@@ -45,11 +52,18 @@ export default function App() {
         <Route path="generate" element={<GenerateLyrics />} />
         <Route path="lyrics" element={<MyLyrics />} />
         <Route path="lyrics/:id" element={<LyricsDetail />} />
+        <Route path="collections" element={<Collections />} />
+        <Route path="collections/:id" element={<CollectionDetail />} />
         <Route path="profile" element={<Profile />} />
         <Route path="subscription" element={<Subscription />} />
         <Route path="admin" element={<ProtectedRoute adminOnly><AdminDashboard /></ProtectedRoute>} />
         <Route path="admin/users" element={<ProtectedRoute adminOnly><UserManagement /></ProtectedRoute>} />
         <Route path="admin/apikeys" element={<ProtectedRoute adminOnly><ApiKeys /></ProtectedRoute>} />
+        <Route path="admin/prompts" element={<ProtectedRoute adminOnly><PromptTemplates /></ProtectedRoute>} />
+        <Route path="admin/dialects" element={<ProtectedRoute adminOnly><Dialects /></ProtectedRoute>} />
+        <Route path="admin/catalog" element={<ProtectedRoute adminOnly><Catalog /></ProtectedRoute>} />
+        <Route path="admin/moderation" element={<ProtectedRoute adminOnly><Moderation /></ProtectedRoute>} />
+        <Route path="admin/references" element={<ProtectedRoute adminOnly><ReferenceCorpus /></ProtectedRoute>} />
         <Route path="admin/subscriptions" element={<ProtectedRoute adminOnly><SubscriptionManagement /></ProtectedRoute>} />
       </Route>
 
@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+export default function CommentsPanel({ lyricsId, sections, canComment, isOwner }) {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [text, setText] = useState('');
+  const [section, setSection] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => { load(); }, [lyricsId]);
+
+  const load = async () => {
+    try {
+      const res = await api.getComments(lyricsId);
+      setComments(res.data);
+    } catch (err) { setError(err.error || 'Failed to load comments'); }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      await api.addComment(lyricsId, text, section || null);
+      setText('');
+      load();
+    } catch (err) { setError(err.error || 'Could not add comment'); }
+  };
+
+  const handleDelete = async (commentId) => {
+    try {
+      await api.deleteComment(lyricsId, commentId);
+      setComments(prev => prev.filter(c => c._id !== commentId));
+    } catch (err) { setError(err.error || 'Could not delete comment'); }
+  };
+
+  const sectionLabel = (key) => sections.find(s => s.key === key)?.label || key;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Comments</h3>
+        <span className="text-muted text-sm">{comments.length}</span>
+      </div>
+      {error && <div className="alert alert-error" onClick={() => setError('')}>{error}</div>}
+
+      {comments.length === 0 && <p className="text-muted text-sm">No comments yet.</p>}
+      {comments.map(c => (
+        <div key={c._id} className="comment">
+          <div className="comment-header">
+            <span>
+              <strong>{c.user?.name || 'Someone'}</strong>
+              {c.section && <span className="tag tag-sm comment-section">{sectionLabel(c.section)}</span>}
+              <span className="text-muted text-sm"> {new Date(c.createdAt).toLocaleString()}</span>
+            </span>
+            {(isOwner || c.user?._id === user?._id) && (
+              <button className="btn btn-sm btn-ghost" onClick={() => handleDelete(c._id)}>Delete</button>
+            )}
+          </div>
+          <p className="comment-text">{c.text}</p>
+        </div>
+      ))}
+
+      {canComment && (
+        <form onSubmit={handleAdd}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Section</label>
+              <select value={section} onChange={e => setSection(e.target.value)}>
+                <option value="">Whole song</option>
+                {sections.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="form-group">
+            <textarea value={text} onChange={e => setText(e.target.value)} rows={3} maxLength={1000} placeholder="Suggest a change or leave a note for your co-authors" required />
+          </div>
+          <button type="submit" className="btn btn-sm btn-primary" disabled={!text.trim()}>Comment</button>
+        </form>
+      )}
+    </div>
+  );
+}
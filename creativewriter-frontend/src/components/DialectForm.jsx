@@ -0,0 +1,123 @@
+import { useState } from 'react';
+
+// Languages with their own dialects (Telugu-English songs use the Telugu ones)
+export const DIALECT_LANGUAGES = [
+  { value: 'te', label: 'తెలుగు - Telugu' },
+  { value: 'hi', label: 'हिन्दी - Hindi' },
+  { value: 'ta', label: 'தமிழ் - Tamil' },
+  { value: 'kn', label: 'ಕನ್ನಡ - Kannada' }
+];
+
+export const languageLabel = (language) => DIALECT_LANGUAGES.find(l => l.value === (language || 'te'))?.label || language;
+
+// Built-in dialects a profile can extend, first one per language is its default
+export const BASE_DIALECTS = [
+  { value: 'coastal', label: 'కోస్తాంధ్ర - Coastal', language: 'te' },
+  { value: 'telangana', label: 'తెలంగాణ - Telangana', language: 'te' },
+  { value: 'rayalaseema', label: 'రాయలసీమ - Rayalaseema', language: 'te' },
+  { value: 'uttarandhra', label: 'ఉత్తరాంధ్ర - Uttarandhra', language: 'te' },
+  { value: 'khari-boli', label: 'खड़ी बोली - Khari Boli', language: 'hi' },
+  { value: 'awadhi', label: 'अवधी - Awadhi', language: 'hi' },
+  { value: 'bhojpuri', label: 'भोजपुरी - Bhojpuri', language: 'hi' },
+  { value: 'bambaiya', label: 'बम्बइया - Bambaiya', language: 'hi' },
+  { value: 'chennai', label: 'சென்னை - Chennai', language: 'ta' },
+  { value: 'madurai', label: 'மதுரை - Madurai', language: 'ta' },
+  { value: 'kongu', label: 'கொங்கு - Kongu', language: 'ta' },
+  { value: 'mysuru', label: 'ಮೈಸೂರು - Mysuru', language: 'kn' },
+  { value: 'dharwad', label: 'ಧಾರವಾಡ - Dharwad', language: 'kn' },
+  { value: 'mangaluru', label: 'ಮಂಗಳೂರು - Mangaluru', language: 'kn' }
+];
+
+const LISTS = [
+  { key: 'vocabulary', label: 'Vocabulary', placeholder: 'ఏమబ్బా, సానా, బువ్వ' },
+  { key: 'markers', label: 'Grammatical Markers', placeholder: '-బ్బా endings, dropped final vowels' },
+  { key: 'references', label: 'Cultural References', placeholder: 'Penna river, Rottela Panduga' }
+];
+
+const toText = (list) => (list || []).join(', ');
+const toList = (text) => text.split(',').map(s => s.trim()).filter(Boolean);
+
+// Edits a dialect lexicon; lists are typed comma separated
+export default function DialectForm({ dialect, withKey = false, submitLabel = 'Save', onSubmit, onCancel }) {
+  const [form, setForm] = useState({
+    key: dialect?.key || '',
+    name: dialect?.name || '',
+    nativeName: dialect?.nativeName || '',
+    language: dialect?.language || 'te',
+    baseDialect: dialect?.baseDialect || 'coastal',
+    vocabulary: toText(dialect?.vocabulary),
+    markers: toText(dialect?.markers),
+    references: toText(dialect?.references)
+  });
+  const [saving, setSaving] = useState(false);
+
+  const set = (k, v) => setForm(f => ({ ...f, [k]: v }));
+
+  // A profile extends a dialect of its own language
+  const setLanguage = (language) => setForm(f => ({
+    ...f,
+    language,
+    baseDialect: BASE_DIALECTS.find(d => d.language === language).value
+  }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const body = {
+      name: form.name,
+      nativeName: form.nativeName,
+      language: form.language,
+      baseDialect: form.baseDialect,
+      vocabulary: toList(form.vocabulary),
+      markers: toList(form.markers),
+      references: toList(form.references)
+    };
+    // The key is fixed once created since saved lyrics refer to it
+    if (withKey && !dialect && form.key) body.key = form.key;
+    setSaving(true);
+    await onSubmit(body);
+    setSaving(false);
+  };
+
+  return (
+    <form className="card" onSubmit={handleSubmit}>
+      <div className="form-row">
+        <div className="form-group">
+          <label>Name</label>
+          <input value={form.name} onChange={e => set('name', e.target.value)} maxLength={60} placeholder="e.g., Nellore" required />
+        </div>
+        <div className="form-group">
+          <label>Native Name</label>
+          <input value={form.nativeName} onChange={e => set('nativeName', e.target.value)} maxLength={60} placeholder="నెల్లూరు" />
+        </div>
+        <div className="form-group">
+          <label>Language</label>
+          <select value={form.language} onChange={e => setLanguage(e.target.value)}>
+            {DIALECT_LANGUAGES.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+          </select>
+        </div>
+        {withKey && (
+          <div className="form-group">
+            <label>Key</label>
+            <input value={form.key} onChange={e => set('key', e.target.value)} pattern="[a-z0-9-]+" disabled={!!dialect} placeholder="Derived from the name" />
+          </div>
+        )}
+        <div className="form-group">
+          <label>Based On</label>
+          <select value={form.baseDialect} onChange={e => set('baseDialect', e.target.value)}>
+            {BASE_DIALECTS.filter(d => d.language === form.language).map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+          </select>
+        </div>
+      </div>
+      {LISTS.map(l => (
+        <div className="form-group" key={l.key}>
+          <label>{l.label}</label>
+          <input value={form[l.key]} onChange={e => set(l.key, e.target.value)} placeholder={l.placeholder} />
+        </div>
+      ))}
+      <div className="btn-group">
+        <button type="submit" className="btn btn-sm btn-primary" disabled={saving}>{saving ? 'Saving...' : submitLabel}</button>
+        {onCancel && <button type="button" className="btn btn-sm btn-ghost" onClick={onCancel}>Cancel</button>}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useSubscription } from '../context/SubscriptionContext';
+import DialectForm, { languageLabel } from './DialectForm';
+import api from '../services/api';
+
+// The user's custom dialect profiles, usable in generation on plans with custom dialects
+export default function DialectProfiles() {
+  const { currentPlan } = useSubscription();
+  const [dialects, setDialects] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const allowed = !!currentPlan?.features?.customDialects;
+
+  useEffect(() => { load(); }, []);
+
+  const load = async () => {
+    try {
+      const res = await api.getDialects();
+      setDialects(res.data.filter(d => d.owner));
+    } catch (err) { setError(err.error || 'Failed to load dialects'); }
+  };
+
+  const handleSave = async (body) => {
+    try {
+      const res = editing === 'new'
+        ? await api.createDialect(body)
+        : await api.updateDialect(editing._id, body);
+      setMessage(res.message);
+      setEditing(null);
+      load();
+    } catch (err) { setError(err.error || 'Could not save dialect'); }
+  };
+
+  const handleDelete = async (dialect) => {
+    if (!confirm(`Delete ${dialect.name}? Lyrics written in it keep their text.`)) return;
+    try {
+      await api.deleteDialect(dialect._id);
+      setDialects(prev => prev.filter(d => d._id !== dialect._id));
+    } catch (err) { setError(err.error || 'Could not delete dialect'); }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Custom Dialects</h3>
+        {allowed
+          ? <button className="btn btn-sm btn-primary" onClick={() => setEditing('new')}>+ New Dialect</button>
+          : <Link to="/pricing" className="text-sm">Upgrade for custom dialects</Link>}
+      </div>
+      {error && <div className="alert alert-error" onClick={() => setError('')}>{error}</div>}
+      {message && <div className="alert alert-info" onClick={() => setMessage('')}>{message}</div>}
+
+      {editing && (
+        <DialectForm
+          key={editing === 'new' ? 'new' : editing._id}
+          dialect={editing === 'new' ? null : editing}
+          submitLabel={editing === 'new' ? 'Create' : 'Save'}
+          onSubmit={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {dialects.length === 0 ? (
+        <p className="text-muted text-sm">
+          Describe the words, grammar and places of your own dialect (e.g. Nellore or Hyderabadi Dakhni) to write lyrics in it.
+        </p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr><th>Dialect</th><th>Language</th><th>Vocabulary</th><th></th></tr>
+          </thead>
+          <tbody>
+            {dialects.map(d => (
+              <tr key={d._id}>
+                <td>{d.nativeName || d.name}{d.nativeName && <span className="text-muted text-sm"> {d.name}</span>}</td>
+                <td className="text-sm">{languageLabel(d.language)}</td>
+                <td className="text-muted text-sm">{d.vocabulary.join(', ')}</td>
+                <td>
+                  <div className="btn-group">
+                    {allowed && <button className="btn btn-sm btn-ghost" onClick={() => setEditing(d)}>Edit</button>}
+                    <button className="btn btn-sm btn-danger-ghost" onClick={() => handleDelete(d)}>Delete</button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
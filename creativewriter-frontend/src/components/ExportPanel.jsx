@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import { useSubscription } from '../context/SubscriptionContext';
+
+const FORMATS = [
+  { key: 'text', label: 'Text' },
+  { key: 'pdf', label: 'PDF' },
+  { key: 'docx', label: 'Word (DOCX)' },
+  { key: 'srt', label: 'Subtitles (SRT)' },
+  { key: 'lrc', label: 'Karaoke (LRC)' }
+];
+// A collection downloads as one songbook, so it has no timed formats
+const SONGBOOK_FORMATS = FORMATS.filter(f => f.key !== 'srt' && f.key !== 'lrc');
+
+export default function ExportPanel({ lyricsId, collectionId }) {
+  const { currentPlan } = useSubscription();
+  const [format, setFormat] = useState('text');
+  const [scheme, setScheme] = useState('rts');
+  const [bpm, setBpm] = useState('');
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  const formats = collectionId ? SONGBOOK_FORMATS : FORMATS;
+  const allowed = currentPlan?.features?.exportFormats || ['text'];
+  const timed = format === 'srt' || format === 'lrc';
+
+  const handleExport = async () => {
+    setDownloading(true);
+    setError('');
+    try {
+      const params = { format, scheme };
+      if (timed && bpm) params.bpm = bpm;
+      const { blob, filename } = collectionId
+        ? await api.exportCollection(collectionId, params)
+        : await api.exportLyrics(lyricsId, params);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.error || 'Export failed');
+    }
+    setDownloading(false);
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Export</h3>
+        {formats.some(f => !allowed.includes(f.key)) && <Link to="/pricing" className="text-sm">Upgrade for more formats</Link>}
+      </div>
+      {error && <div className="alert alert-error">{error}</div>}
+      <div className="btn-group">
+        <select value={format} onChange={e => setFormat(e.target.value)}>
+          {formats.map(f => (
+            <option key={f.key} value={f.key} disabled={!allowed.includes(f.key)}>
+              {f.label}{allowed.includes(f.key) ? '' : ' (upgrade)'}
+            </option>
+          ))}
+        </select>
+        {format !== 'text' && (
+          <select value={scheme} onChange={e => setScheme(e.target.value)} title="Scheme for lines without a transliteration">
+            <option value="rts">RTS</option>
+            <option value="iso">ISO 15919</option>
+          </select>
+        )}
+        {timed && (
+          <input className="export-bpm" type="number" min={40} max={240} value={bpm} onChange={e => setBpm(e.target.value)} placeholder="BPM" />
+        )}
+        <button className="btn btn-sm btn-primary" onClick={handleExport} disabled={downloading}>
+          {downloading ? 'Preparing...' : 'Download'}
+        </button>
+      </div>
+      {timed && <p className="text-muted text-sm export-note">Line timings are estimated from the tempo and syllables; fine-tune them in your subtitle or karaoke editor.</p>}
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+// Renders text with the search matches ({ start, end } ranges from the API) marked
+export default function Highlight({ text, ranges = [] }) {
+  if (!ranges.length) return text;
+
+  const parts = [];
+  let last = 0;
+  ranges.forEach(({ start, end }, i) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  if (last < text.length) parts.push(text.slice(last));
+  return <>{parts}</>;
+}
+
+export function SearchSnippets({ snippets = [] }) {
+  return (
+    <div className="search-snippets">
+      {snippets.map(s => (
+        <p key={s.line} className="search-snippet"><Highlight text={s.text} ranges={s.highlights} /></p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+const SOURCE_LABELS = {
+  generation: 'AI generation',
+  import: 'Imported from file',
+  edit: 'Manual edit',
+  section: 'Section regenerated',
+  transliteration: 'Transliteration',
+  restore: 'Restore'
+};
+
+export default function HistoryPanel({ lyricsId, version, onRestore, canRestore = true }) {
+  const [revisions, setRevisions] = useState([]);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => { load(); }, [lyricsId, version]);
+
+  const load = async () => {
+    try {
+      const res = await api.getRevisions(lyricsId);
+      setRevisions(res.data);
+      setTo(res.data[0]?.revision ?? null);
+      setFrom(res.data[1]?.revision ?? null);
+      setDiff(null);
+    } catch (err) { setError(err.error || 'Failed to load history'); }
+  };
+
+  const handleDiff = async () => {
+    try {
+      const res = await api.diffRevisions(lyricsId, from, to);
+      setDiff(res.data);
+    } catch (err) { setError(err.error || 'Diff failed'); }
+  };
+
+  const handleRestore = async (revision) => {
+    if (!confirm(`Restore revision ${revision}? The current version stays in the history.`)) return;
+    try {
+      const res = await api.restoreRevision(lyricsId, revision);
+      onRestore(res.data);
+    } catch (err) { setError(err.error || 'Restore failed'); }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>History</h3>
+        {revisions.length > 1 && (
+          <button className="btn btn-sm btn-ghost" onClick={handleDiff} disabled={!from || !to || from === to}>
+            Compare v{from} → v{to}
+          </button>
+        )}
+      </div>
+      {error && <div className="alert alert-error" onClick={() => setError('')}>{error}</div>}
+      {revisions.length === 0 ? (
+        <p className="text-muted text-sm">No earlier versions yet. Edits, section regenerations and restores are recorded here.</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr><th>From</th><th>To</th><th>Version</th><th>Change</th><th>By</th><th>When</th><th></th></tr>
+          </thead>
+          <tbody>
+            {revisions.map((r, i) => (
+              <tr key={r._id}>
+                <td><input type="radio" name="diff-from" checked={from === r.revision} onChange={() => setFrom(r.revision)} /></td>
+                <td><input type="radio" name="diff-to" checked={to === r.revision} onChange={() => setTo(r.revision)} /></td>
+                <td>v{r.revision}{i === 0 && <span className="tag tag-sm tag-green history-current">current</span>}</td>
+                <td>
+                  <span className="tag tag-sm">{SOURCE_LABELS[r.source] || r.source}</span>
+                  {r.note && <span className="text-muted text-sm"> {r.note}</span>}
+                </td>
+                <td className="text-sm">{r.user?.name || '-'}</td>
+                <td className="text-muted text-sm">{new Date(r.createdAt).toLocaleString()}</td>
+                <td>{i > 0 && canRestore && <button className="btn btn-sm btn-ghost" onClick={() => handleRestore(r.revision)}>Restore</button>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {diff && (
+        <div className="diff-view">
+          <div className="card-header">
+            <span className="text-sm">
+              v{diff.from.revision} → v{diff.to.revision}: <span className="diff-stat-added">+{diff.stats.added}</span>{' '}
+              <span className="diff-stat-removed">-{diff.stats.removed}</span>
+              {diff.titleChanged && <span className="text-muted"> &middot; title: {diff.from.title} → {diff.to.title}</span>}
+            </span>
+            <button className="btn btn-sm btn-ghost" onClick={() => setDiff(null)}>Close</button>
+          </div>
+          <pre>
+            {diff.changes.map((c, i) => (
+              <div key={i} className={`diff-line diff-${c.type}`}>
+                {c.type === 'added' ? '+ ' : c.type === 'removed' ? '- ' : '  '}{c.text}
+              </div>
+            ))}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+const DIALECTS = ['telangana', 'rayalaseema', 'coastal', 'uttarandhra'];
+
+export default function ImportPanel({ onImported }) {
+  const [files, setFiles] = useState([]);
+  const [overrides, setOverrides] = useState({ style: '', dialect: '' });
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [styles, setStyles] = useState([]);
+
+  useEffect(() => {
+    api.getCatalog().then(res => setStyles(res.data.styles)).catch(() => {});
+  }, []);
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setImporting(true);
+    setError('');
+    setResult(null);
+    try {
+      const res = await api.importLyrics(files, overrides);
+      setResult(res);
+      setFiles([]);
+      e.target.reset();
+      onImported?.();
+    } catch (err) {
+      setError(err.error || 'Import failed');
+    }
+    setImporting(false);
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Import Lyrics</h3>
+      </div>
+      <p className="text-muted text-sm">
+        Upload .txt, .md or .docx files. Start each song with a "# Title" heading to put several songs in one file;
+        section labels such as Pallavi, Charanam 1 or [Chorus] are recognised.
+      </p>
+      {error && <div className="alert alert-error">{error}</div>}
+      <form onSubmit={handleImport} className="import-form">
+        <input type="file" multiple accept=".txt,.md,.markdown,.docx" onChange={e => setFiles([...e.target.files])} />
+        <div className="btn-group">
+          <select value={overrides.style} onChange={e => setOverrides(o => ({ ...o, style: e.target.value }))}>
+            <option value="">Guess style</option>
+            {styles.map(s => <option key={s.key} value={s.key}>{s.name}</option>)}
+          </select>
+          <select value={overrides.dialect} onChange={e => setOverrides(o => ({ ...o, dialect: e.target.value }))}>
+            <option value="">Guess dialect</option>
+            {DIALECTS.map(d => <option key={d} value={d}>{d}</option>)}
+          </select>
+          <button type="submit" className="btn btn-sm btn-primary" disabled={importing || files.length === 0}>
+            {importing ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </form>
+
+      {result && (
+        <div className="import-result">
+          <div className="alert alert-success">{result.message}</div>
+          <ul className="import-list">
+            {result.data.map(l => (
+              <li key={l._id}>
+                <Link to={`/lyrics/${l._id}`}>{l.title}</Link>
+                <span className="text-muted text-sm"> — {l.file}, {l.sections} sections</span>
+                <span className={`tag tag-sm ${l.guessed.style ? 'tag-guessed' : ''}`} title={l.guessed.style ? 'Guessed' : ''}>{l.style}</span>
+                <span className={`tag tag-sm ${l.guessed.dialect ? 'tag-guessed' : ''}`} title={l.guessed.dialect ? 'Guessed' : ''}>{l.dialect}</span>
+              </li>
+            ))}
+          </ul>
+          {result.skipped.length > 0 && (
+            <ul className="import-list">
+              {result.skipped.map(s => (
+                <li key={s.file} className="text-muted text-sm">Skipped {s.file}: {s.reason}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -19,6 +19,7 @@ export default function MediaPanel({ lyricsId, lyrics }) {
   const [musicPlatform, setMusicPlatform] = useState('suno');
   const [tempo, setTempo] = useState('medium tempo');
   const [instrumental, setInstrumental] = useState(false);
+  const [useRaga, setUseRaga] = useState(true);
 
   // Voice config
   const [voiceId, setVoiceId] = useState('');
@@ -41,11 +42,13 @@ export default function MediaPanel({ lyricsId, lyrics }) {
   const handleGenerateMusic = async () => {
     setLoading(true); setError(''); setResult(null);
     try {
-      const res = await api.generateMusic(lyricsId, { platform: musicPlatform, tempo, instrumental });
-      setResult(res.data);
+      const ragaTala = useRaga ? {} : { raga: '', tala: '' };
+      const job = await api.generateMusic(lyricsId, { platform: musicPlatform, tempo, instrumental, ...ragaTala });
+      const data = await api.waitForJob(job.data._id);
+      setResult(data);
       refresh();
-      if (res.data.id && res.data.status === 'processing') {
-        pollMusicStatus(res.data.id);
+      if (data.id && data.status === 'processing') {
+        pollMusicStatus(data.id);
       }
     } catch (err) {
       if (err.code === 'USAGE_LIMIT_REACHED' || err.code === 'FEATURE_NOT_AVAILABLE') {
@@ -81,8 +84,9 @@ export default function MediaPanel({ lyricsId, lyrics }) {
   const handleGenerateVideo = async () => {
     setLoading(true); setError(''); setResult(null);
     try {
-      const res = await api.generateVideo(lyricsId, { avatarId });
-      setResult(res.data);
+      const job = await api.generateVideo(lyricsId, { avatarId });
+      const data = await api.waitForJob(job.data._id);
+      setResult(data);
       refresh();
     } catch (err) {
       if (err.code === 'USAGE_LIMIT_REACHED' || err.code === 'FEATURE_NOT_AVAILABLE') {
@@ -97,12 +101,12 @@ export default function MediaPanel({ lyricsId, lyrics }) {
   const handleGenerateVoice = async () => {
     setLoading(true); setError(''); setResult(null);
     try {
-      const res = await api.generateVoice(lyricsId, { voiceId: voiceId || undefined });
-      setResult(res.data);
+      const job = await api.generateVoice(lyricsId, { voiceId: voiceId || undefined });
+      const data = await api.waitForJob(job.data._id);
+      setResult(data);
       refresh();
-      if (res.data.audioBase64) {
-        const audio = new Audio(`data:${res.data.contentType};base64,${res.data.audioBase64}`);
-        audioRef.current = audio;
+      if (data.recordingId) {
+        audioRef.current = new Audio(api.voiceRecordingUrl(data.recordingId));
       }
     } catch (err) {
       if (err.code === 'USAGE_LIMIT_REACHED' || err.code === 'FEATURE_NOT_AVAILABLE') {
@@ -119,9 +123,9 @@ export default function MediaPanel({ lyricsId, lyrics }) {
   };
 
   const downloadAudio = () => {
-    if (!result?.audioBase64) return;
+    if (!result?.recordingId) return;
     const link = document.createElement('a');
-    link.href = `data:${result.contentType};base64,${result.audioBase64}`;
+    link.href = api.voiceRecordingUrl(result.recordingId);
     link.download = `${lyrics?.title || 'lyrics'}-voice.mp3`;
     link.click();
   };
@@ -196,6 +200,14 @@ export default function MediaPanel({ lyricsId, lyrics }) {
               Instrumental only (no vocals)
             </label>
           </div>
+          {(lyrics.metadata?.suggestedRaga || lyrics.metadata?.suggestedTala) && (
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <input type="checkbox" checked={useRaga} onChange={e => setUseRaga(e.target.checked)} style={{ width: 'auto' }} disabled={!musicAllowed} />
+                Carnatic style: {[lyrics.metadata.suggestedRaga, lyrics.metadata.suggestedTala].filter(Boolean).join(' / ')}
+              </label>
+            </div>
+          )}
           <button className="btn btn-primary btn-full" onClick={handleGenerateMusic} disabled={loading || !musicAllowed}>
             {loading ? 'Generating Music...' : !musicAllowed ? 'Upgrade to Generate Music' : `Generate Music with ${musicPlatform === 'suno' ? 'Suno' : 'Udio'}`}
           </button>
@@ -296,7 +308,7 @@ export default function MediaPanel({ lyricsId, lyrics }) {
               ) : null}
 
               {/* Voice result */}
-              {result.platform === 'elevenlabs' && result.audioBase64 ? (
+              {result.platform === 'elevenlabs' && result.recordingId ? (
                 <>
                   <strong>Voice generated successfully!</strong>
                   <div className="btn-group" style={{ marginTop: 12 }}>
@@ -311,7 +323,7 @@ export default function MediaPanel({ lyricsId, lyrics }) {
       )}
 
       {/* Previous Media */}
-      {(lyrics?.musicGenerated?.url || lyrics?.videoGenerated?.url) && (
+      {(lyrics?.musicGenerated?.url || lyrics?.videoGenerated?.url || lyrics?.voiceGenerated?.recording) && (
         <div style={{ marginTop: 16 }}>
           <h4 style={{ fontSize: 14, color: '#94a3b8', marginBottom: 8 }}>Previously Generated</h4>
           {lyrics.musicGenerated?.url && (
@@ -326,6 +338,12 @@ export default function MediaPanel({ lyricsId, lyrics }) {
               <span className="text-muted text-sm">ID: {lyrics.videoGenerated.url}</span>
             </div>
           )}
+          {lyrics.voiceGenerated?.recording && (
+            <div className="media-prev-item">
+              <span>🎙️ Voice ({lyrics.voiceGenerated.platform})</span>
+              <a href={api.voiceRecordingUrl(lyrics.voiceGenerated.recording)} target="_blank" rel="noreferrer" className="btn btn-xs btn-ghost">Open</a>
+            </div>
+          )}
         </div>
       )}
     </div>
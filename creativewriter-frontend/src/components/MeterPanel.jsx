@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import api from '../services/api';
+
+const METERS = [
+  { value: '', label: 'Auto-detect' },
+  { value: 'utpalamala', label: 'ఉత్పలమాల (Utpalamala)' },
+  { value: 'champakamala', label: 'చంపకమాల (Champakamala)' },
+  { value: 'sardulam', label: 'శార్దూలం (Sardulam)' },
+  { value: 'mattebham', label: 'మత్తేభం (Mattebham)' },
+  { value: 'kandam', label: 'కందం (Kandam)' },
+  { value: 'seesam', label: 'సీసం (Seesam)' },
+  { value: 'tetageeti', label: 'తేటగీతి (Tetageeti)' },
+  { value: 'ataveladi', label: 'ఆటవెలది (Ataveladi)' }
+];
+
+export default function MeterPanel({ lyricsId }) {
+  const [meter, setMeter] = useState('');
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleAnalyze = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.analyzeMeter(lyricsId, meter || undefined);
+      setAnalysis(res.data);
+    } catch (err) {
+      setError(err.error || 'Meter analysis failed');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Chandassu (Meter)</h3>
+        {analysis && (
+          <span className={`tag tag-sm ${analysis.summary.failed === 0 ? 'tag-green' : ''}`}>
+            {analysis.summary.passed}/{analysis.summary.totalLines} lines pass
+          </span>
+        )}
+      </div>
+      {error && <div className="alert alert-error">{error}</div>}
+      <div className="btn-group">
+        <select value={meter} onChange={e => setMeter(e.target.value)}>
+          {METERS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+        </select>
+        <button className="btn btn-sm btn-primary" onClick={handleAnalyze} disabled={loading}>
+          {loading ? 'Analyzing...' : 'Analyze Meter'}
+        </button>
+      </div>
+
+      {analysis && (
+        <div className="meter-results">
+          <p className="text-muted text-sm">
+            {analysis.detected ? 'Closest metre: ' : 'Checked against: '}<strong>{analysis.meter.name}</strong>
+            {' '}&middot; U = guru, I = laghu
+          </p>
+          {analysis.lines.map(line => (
+            <div key={line.index} className={`meter-line ${line.pass ? 'meter-pass' : 'meter-fail'}`}>
+              <div className="meter-aksharas">
+                {line.aksharas.map((a, i) => (
+                  <span key={i} className={`meter-akshara ${a.violation ? 'meter-violation' : ''}`}>
+                    <span>{a.text}</span>
+                    <small>{a.weight}</small>
+                  </span>
+                ))}
+              </div>
+              <div className="text-muted text-sm">
+                {line.pass ? '✓' : '✗'} {line.ganas.map(g => g.name).join(' ')}
+                {!line.pass && <> &middot; expected {line.expected}</>}
+              </div>
+              {line.violations.map((v, i) => (
+                <div key={i} className={`text-sm ${v.severity === 'warning' ? 'meter-warning' : 'meter-error'}`}>{v.message}</div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
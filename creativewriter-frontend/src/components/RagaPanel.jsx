@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import api from '../services/api';
+
+export default function RagaPanel({ lyricsId, raga, tala }) {
+  const [suggestion, setSuggestion] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSuggest = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.suggestRaga(lyricsId);
+      setSuggestion(res.data);
+    } catch (err) {
+      setError(err.error || 'Raga suggestion failed');
+    }
+    setLoading(false);
+  };
+
+  const current = suggestion
+    ? { raga: suggestion.suggestedRaga, tala: suggestion.suggestedTala }
+    : { raga, tala };
+
+  const renderOptions = (title, options, detail) => (
+    <table className="data-table raga-table">
+      <thead>
+        <tr><th>{title}</th><th>Why</th></tr>
+      </thead>
+      <tbody>
+        {options.map(o => (
+          <tr key={o.key}>
+            <td>
+              {o.name} <span className="text-muted">{o.teluguName}</span>
+              {detail && <div className="text-muted text-sm">{detail(o)}</div>}
+            </td>
+            <td className="text-sm">{o.reasons.join('; ')}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Raga &amp; Tala</h3>
+        {suggestion?.moods.map(mood => <span key={mood} className="tag tag-sm">{mood}</span>)}
+      </div>
+      {error && <div className="alert alert-error">{error}</div>}
+      {(current.raga || current.tala) && (
+        <div className="info-grid">
+          {current.raga && <><span className="text-muted">Raga:</span><span>{current.raga}{suggestion?.fromFooter.raga && <span className="text-muted text-sm"> (from the lyrics)</span>}</span></>}
+          {current.tala && <><span className="text-muted">Tala:</span><span>{current.tala}{suggestion?.fromFooter.tala && <span className="text-muted text-sm"> (from the lyrics)</span>}</span></>}
+        </div>
+      )}
+
+      {suggestion && (
+        <>
+          {suggestion.ragas.length === 0 && suggestion.talas.length === 0 && (
+            <p className="text-muted text-sm">No suggestions for this style and theme.</p>
+          )}
+          {suggestion.ragas.length > 0 && renderOptions('Raga', suggestion.ragas)}
+          {suggestion.talas.length > 0 && renderOptions('Tala', suggestion.talas, t => `${t.beats} beats (${t.pattern})`)}
+          {suggestion.rhythm.lines > 0 && (
+            <p className="text-muted text-sm">About {suggestion.rhythm.averageSyllables} syllables per line over {suggestion.rhythm.lines} lines.</p>
+          )}
+        </>
+      )}
+
+      {!suggestion && (
+        <button className="btn btn-sm btn-ghost" onClick={handleSuggest} disabled={loading}>
+          {loading ? 'Suggesting...' : 'Suggest Ragas & Talas'}
+        </button>
+      )}
+    </div>
+  );
+}
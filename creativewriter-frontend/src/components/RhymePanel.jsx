@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import api from '../services/api';
+
+const percent = (value) => (value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`);
+
+export default function RhymePanel({ lyricsId, rhyme }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const summary = report || rhyme;
+
+  const handleReport = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.analyzeRhyme(lyricsId);
+      setReport(res.data);
+    } catch (err) {
+      setError(err.error || 'Rhyme analysis failed');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Praasa &amp; Anuprasa</h3>
+        {summary?.score !== null && summary?.score !== undefined && (
+          <span className={`tag tag-sm ${summary.score >= 70 ? 'tag-green' : ''}`}>Score {summary.score}/100</span>
+        )}
+      </div>
+      {error && <div className="alert alert-error">{error}</div>}
+      {summary && (
+        <div className="info-grid">
+          <span className="text-muted">Praasa:</span><span>{percent(summary.praasa)} of lines share the second letter</span>
+          <span className="text-muted">Antyaprasa:</span><span>{percent(summary.antyaprasa)} of lines end in rhyme</span>
+          <span className="text-muted">Anuprasa:</span><span>{percent(summary.anuprasa)} alliteration density</span>
+        </div>
+      )}
+      {!report && (
+        <button className="btn btn-sm btn-ghost rhyme-report-btn" onClick={handleReport} disabled={loading}>
+          {loading ? 'Analyzing...' : 'Section Report'}
+        </button>
+      )}
+
+      {report && (
+        <table className="data-table rhyme-table">
+          <thead>
+            <tr><th>Section</th><th>Praasa</th><th>End Rhyme</th><th>Alliteration</th></tr>
+          </thead>
+          <tbody>
+            {report.sections.map(s => (
+              <tr key={s.key}>
+                <td>{s.label}</td>
+                <td>
+                  {s.praasa ? <>{s.praasa.letter} &middot; {percent(s.praasa.consistency)}</> : '-'}
+                  {s.praasa?.mismatches.length > 0 && (
+                    <div className="text-muted text-sm">Off on line {s.praasa.mismatches.map(i => i + 1).join(', ')}</div>
+                  )}
+                </td>
+                <td>
+                  {s.antyaprasa ? percent(s.antyaprasa.ratio) : '-'}
+                  {s.antyaprasa?.groups.length > 0 && (
+                    <div className="text-muted text-sm">{s.antyaprasa.groups.map(g => `-${g.ending}`).join(', ')}</div>
+                  )}
+                </td>
+                <td>
+                  {percent(s.anuprasa.density)}
+                  {s.anuprasa.repeated.length > 0 && <div className="text-muted text-sm">{s.anuprasa.repeated.join(' ')}</div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+export default function SharedWithMe() {
+  const [shared, setShared] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => { load(); }, []);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const [sharedRes, invitesRes] = await Promise.all([api.getSharedLyrics(), api.getInvitations()]);
+      setShared(sharedRes.data);
+      setInvitations(invitesRes.data);
+    } catch (err) { setError(err.error || 'Failed to load shared lyrics'); }
+    setLoading(false);
+  };
+
+  const handleAccept = async (id) => {
+    try {
+      await api.acceptInvitation(id);
+      load();
+    } catch (err) { setError(err.error || 'Could not accept invitation'); }
+  };
+
+  const handleDecline = async (id) => {
+    try {
+      await api.declineInvitation(id);
+      setInvitations(prev => prev.filter(i => i.lyrics._id !== id));
+    } catch (err) { setError(err.error || 'Could not decline invitation'); }
+  };
+
+  if (loading) return <div className="page-loader"><div className="spinner" /></div>;
+
+  return (
+    <>
+      {error && <div className="alert alert-error" onClick={() => setError('')}>{error}</div>}
+
+      {invitations.length > 0 && (
+        <div className="card">
+          <h3>Invitations</h3>
+          {invitations.map(inv => (
+            <div key={inv.lyrics._id} className="invite-row">
+              <span>
+                <strong>{inv.lyrics.title}</strong>
+                <span className="text-muted text-sm"> from {inv.lyrics.owner?.name || 'unknown'} as </span>
+                <span className="tag tag-sm">{inv.role}</span>
+              </span>
+              <span className="invite-actions">
+                <button className="btn btn-sm btn-primary" onClick={() => handleAccept(inv.lyrics._id)}>Accept</button>
+                <button className="btn btn-sm btn-ghost" onClick={() => handleDecline(inv.lyrics._id)}>Decline</button>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {shared.length === 0 ? (
+        <div className="empty-state card">
+          <p>Nothing has been shared with you yet</p>
+        </div>
+      ) : (
+        <div className="lyrics-grid">
+          {shared.map(l => (
+            <Link to={`/lyrics/${l._id}`} key={l._id} className="lyrics-card">
+              <div className="lyrics-card-header">
+                <h4>{l.title}</h4>
+                <span className="tag tag-sm tag-green">{l.role}</span>
+              </div>
+              <div className="lyrics-card-meta">
+                <span className="tag tag-sm">{l.style}</span>
+                <span className="tag tag-sm">{l.dialect}</span>
+              </div>
+              <div className="lyrics-card-footer">
+                <span className="text-muted text-sm">by {l.owner?.name || 'unknown'}</span>
+                <span className="text-muted text-sm">{new Date(l.updatedAt).toLocaleDateString()}</span>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
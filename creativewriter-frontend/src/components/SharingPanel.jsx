@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const ROLES = ['viewer', 'commenter', 'editor'];
+
+export default function SharingPanel({ lyricsId, isOwner, onLeave }) {
+  const { user } = useAuth();
+  const [owner, setOwner] = useState(null);
+  const [collaborators, setCollaborators] = useState([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [message, setMessage] = useState('');
+  const [inviteLink, setInviteLink] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => { load(); }, [lyricsId]);
+
+  const load = async () => {
+    try {
+      const res = await api.getCollaborators(lyricsId);
+      setOwner(res.data.owner);
+      setCollaborators(res.data.collaborators);
+    } catch (err) { setError(err.error || 'Failed to load collaborators'); }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await api.inviteCollaborator(lyricsId, email, role);
+      setMessage(res.message);
+      setInviteLink(res.data.inviteToken ? `${window.location.origin}/lyrics/${lyricsId}?invite=${res.data.inviteToken}` : '');
+      setEmail('');
+      load();
+    } catch (err) { setError(err.error || 'Invitation failed'); }
+  };
+
+  const handleRole = async (collaboratorId, newRole) => {
+    try {
+      await api.updateCollaborator(lyricsId, collaboratorId, newRole);
+      setCollaborators(prev => prev.map(c => c._id === collaboratorId ? { ...c, role: newRole } : c));
+    } catch (err) { setError(err.error || 'Could not change role'); }
+  };
+
+  const handleRemove = async (collaborator) => {
+    const isSelf = collaborator.user?._id === user?._id;
+    if (!confirm(isSelf ? 'Leave this lyrics? You will lose access.' : `Remove ${collaborator.user?.name || collaborator.email}?`)) return;
+    try {
+      await api.removeCollaborator(lyricsId, collaborator._id);
+      if (isSelf) return onLeave();
+      setCollaborators(prev => prev.filter(c => c._id !== collaborator._id));
+    } catch (err) { setError(err.error || 'Could not remove collaborator'); }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Sharing</h3>
+        {owner && <span className="text-muted text-sm">Owner: {owner.name}</span>}
+      </div>
+      {error && <div className="alert alert-error" onClick={() => setError('')}>{error}</div>}
+      {message && <div className="alert alert-info" onClick={() => setMessage('')}>{message}</div>}
+      {inviteLink && (
+        <div className="form-group">
+          <label>Invite link (works once)</label>
+          <input value={inviteLink} readOnly onFocus={e => e.target.select()} />
+        </div>
+      )}
+
+      {isOwner && (
+        <form className="btn-group share-form" onSubmit={handleInvite}>
+          <input type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="co-author@example.com" required />
+          <select value={role} onChange={e => setRole(e.target.value)}>
+            {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <button type="submit" className="btn btn-sm btn-primary">Invite</button>
+        </form>
+      )}
+
+      {collaborators.length === 0 ? (
+        <p className="text-muted text-sm">Not shared with anyone yet. Viewers can read, commenters can also comment, editors can change the lyrics.</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr><th>Collaborator</th><th>Role</th><th>Status</th><th></th></tr>
+          </thead>
+          <tbody>
+            {collaborators.map(c => {
+              const isSelf = c.user?._id === user?._id;
+              return (
+                <tr key={c._id}>
+                  <td>{c.user?.name || c.email || 'Invited co-author'}{c.user?.name && c.email && <span className="text-muted text-sm"> {c.email}</span>}</td>
+                  <td>
+                    {isOwner ? (
+                      <select value={c.role} onChange={e => handleRole(c._id, e.target.value)}>
+                        {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                      </select>
+                    ) : c.role}
+                  </td>
+                  <td><span className={`tag tag-sm ${c.status === 'accepted' ? 'tag-green' : ''}`}>{c.status}</span></td>
+                  <td>
+                    {(isOwner || isSelf) && (
+                      <button className="btn btn-sm btn-danger-ghost" onClick={() => handleRemove(c)}>{isSelf ? 'Leave' : 'Remove'}</button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import api from '../services/api';
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+export default function SimilarityPanel({ lyricsId }) {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleCheck = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.getSimilarity(lyricsId);
+      setResult(res.data);
+    } catch (err) {
+      setError(err.error || 'Similarity check failed');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Originality</h3>
+        {result && (
+          <span className={`tag tag-sm ${result.blocked ? 'tag-red' : result.matches.length === 0 ? 'tag-green' : ''}`}>
+            {result.matches.length === 0 ? 'No matches' : `${percent(result.score)} match`}
+          </span>
+        )}
+      </div>
+      <p className="text-muted text-sm">
+        Compares the lines with public lyrics and well-known film songs, in Telugu script or transliteration. Check before publishing or sending to music generation.
+      </p>
+      {error && <div className="alert alert-error">{error}</div>}
+      {result?.blocked && (
+        <div className="alert alert-warning">
+          These lyrics are at least {percent(result.threshold)} the same as another song and cannot be made public until they are revised.
+        </div>
+      )}
+
+      {result?.matches.map(m => (
+        <div key={`${m.source}-${m._id}`} className="similarity-match">
+          <div>
+            <strong>{m.title}</strong>
+            <span className="text-muted text-sm">
+              {m.source === 'reference'
+                ? ` ${[m.film, m.year, m.lyricist].filter(Boolean).join(' · ')}`
+                : ` public lyrics${m.author ? ` by ${m.author}` : ''}`}
+            </span>
+            <span className="tag tag-sm">{percent(m.similarity)}</span>
+          </div>
+          {m.overlappingLines.length > 0 && (
+            <table className="data-table similarity-table">
+              <thead>
+                <tr><th>Your line</th><th>Matching line</th><th>Overlap</th></tr>
+              </thead>
+              <tbody>
+                {m.overlappingLines.map((l, i) => (
+                  <tr key={i}>
+                    <td>{l.line}<div className="text-muted text-sm">{l.section}</div></td>
+                    <td>{l.matchedLine}<div className="text-muted text-sm">{l.matchedSection}</div></td>
+                    <td>{percent(l.overlap)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ))}
+
+      <button className="btn btn-sm btn-ghost" onClick={handleCheck} disabled={loading}>
+        {loading ? 'Checking...' : result ? 'Check Again' : 'Check Similarity'}
+      </button>
+    </div>
+  );
+}
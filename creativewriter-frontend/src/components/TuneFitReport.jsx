@@ -0,0 +1,36 @@
+// How generated lyrics fit the tune they were written to (result.tuneFit)
+const describeExpected = ({ syllables, matras, pattern }) => (
+  matras !== null && pattern ? `${syllables} (${[...pattern].join(' ')})` : `${syllables}`
+);
+
+export default function TuneFitReport({ report }) {
+  return (
+    <div className="tune-fit">
+      <div className="lyrics-meta-bar">
+        <strong>Fit to tune</strong>
+        <span className={`tag tag-sm ${report.fits ? 'tag-green' : 'tag-red'}`}>{report.fitted} of {report.total} lines fit</span>
+        {report.retries > 0 && <span className="text-muted text-sm">{report.retries} {report.retries === 1 ? 'retry' : 'retries'}</span>}
+        {report.extraLines > 0 && <span className="text-muted text-sm">{report.extraLines} lines beyond the tune</span>}
+      </div>
+      <table className="data-table tune-fit-table">
+        <thead>
+          <tr><th>#</th><th>Line</th><th>Syllables</th><th>Needs</th><th /></tr>
+        </thead>
+        <tbody>
+          {report.lines.map(line => (
+            <tr key={line.number}>
+              <td className="text-muted">{line.number}</td>
+              <td>
+                {line.text || <span className="text-muted">(missing)</span>}
+                {line.section && <div className="text-muted text-sm">{line.section}</div>}
+              </td>
+              <td>{line.expected.matras !== null ? `${line.syllables} (${[...line.pattern].join(' ')})` : line.syllables}</td>
+              <td>{describeExpected(line.expected)}</td>
+              <td><span className={`tag tag-sm ${line.fits ? 'tag-green' : 'tag-red'}`}>{line.fits ? 'fits' : 'off'}</span></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import ExportPanel from '../components/ExportPanel';
+
+export default function CollectionDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [collection, setCollection] = useState(null);
+  const [myLyrics, setMyLyrics] = useState([]);
+  const [adding, setAdding] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => { loadCollection(); }, [id]);
+
+  const loadCollection = async () => {
+    try {
+      const res = await api.getCollection(id);
+      setCollection(res.data);
+      setForm({ title: res.data.title, description: res.data.description, coverText: res.data.coverText, isPublic: res.data.isPublic });
+      if (res.data.user?._id === user?._id) {
+        const lyricsRes = await api.getMyLyrics({ limit: 100 });
+        setMyLyrics(lyricsRes.data);
+      }
+    } catch (err) { setError(err.error || 'Failed to load collection'); }
+    setLoading(false);
+  };
+
+  const handleSave = async () => {
+    try {
+      const res = await api.updateCollection(id, form);
+      setMessage(res.message);
+      setEditing(false);
+      loadCollection();
+    } catch (err) { setError(err.error || 'Update failed'); }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm('Delete this collection? The lyrics in it are kept.')) return;
+    try {
+      await api.deleteCollection(id);
+      navigate('/collections');
+    } catch (err) { setError(err.error || 'Delete failed'); }
+  };
+
+  const handleAdd = async () => {
+    try {
+      await api.addCollectionTrack(id, adding);
+      setAdding('');
+      loadCollection();
+    } catch (err) { setError(err.error || 'Could not add track'); }
+  };
+
+  const handleRemove = async (lyricsId) => {
+    try {
+      await api.removeCollectionTrack(id, lyricsId);
+      loadCollection();
+    } catch (err) { setError(err.error || 'Could not remove track'); }
+  };
+
+  const handleMove = async (index, offset) => {
+    const order = collection.tracks.map(t => t.lyrics._id);
+    const [moved] = order.splice(index, 1);
+    order.splice(index + offset, 0, moved);
+    try {
+      await api.reorderCollectionTracks(id, order);
+      loadCollection();
+    } catch (err) { setError(err.error || 'Could not reorder tracks'); }
+  };
+
+  if (loading) return <div className="page-loader"><div className="spinner" /></div>;
+  if (!collection) return <div className="page"><div className="alert alert-error">{error}</div></div>;
+
+  const isOwner = collection.user?._id === user?._id;
+  const trackIds = new Set(collection.tracks.map(t => t.lyrics?._id));
+  const available = myLyrics.filter(l => !trackIds.has(l._id));
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <div>
+          <button className="btn btn-ghost btn-sm" onClick={() => navigate('/collections')}>&larr; Back to Collections</button>
+          {editing ? (
+            <input className="edit-title-input" value={form.title} onChange={e => setForm(f => ({ ...f, title: e.target.value }))} />
+          ) : (
+            <h1>{collection.title}</h1>
+          )}
+          {!isOwner && <p className="text-muted">by {collection.user?.name}</p>}
+        </div>
+        {isOwner && (
+          <div className="btn-group">
+            {editing ? (
+              <>
+                <button className="btn btn-sm btn-primary" onClick={handleSave}>Save</button>
+                <button className="btn btn-sm btn-ghost" onClick={() => setEditing(false)}>Cancel</button>
+              </>
+            ) : (
+              <>
+                <button className="btn btn-sm btn-ghost" onClick={() => setEditing(true)}>Edit</button>
+                <button className="btn btn-sm btn-danger" onClick={handleDelete}>Delete</button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {error && <div className="alert alert-error" onClick={() => setError('')}>{error}</div>}
+      {message && <div className="alert alert-info" onClick={() => setMessage('')}>{message}</div>}
+
+      {editing ? (
+        <div className="card">
+          <div className="form-group">
+            <label>Description</label>
+            <textarea value={form.description} onChange={e => setForm(f => ({ ...f, description: e.target.value }))} rows={3} maxLength={2000} />
+          </div>
+          <div className="form-group">
+            <label>Cover text</label>
+            <textarea value={form.coverText} onChange={e => setForm(f => ({ ...f, coverText: e.target.value }))} rows={3} maxLength={500} placeholder="e.g., film name, music director, singers" />
+          </div>
+          <div className="form-group">
+            <label>Visibility</label>
+            <select value={form.isPublic} onChange={e => setForm(f => ({ ...f, isPublic: e.target.value === 'true' }))}>
+              <option value="false">Private</option>
+              <option value="true">Public (shares its public tracks)</option>
+            </select>
+          </div>
+        </div>
+      ) : (
+        (collection.coverText || collection.description) && (
+          <div className="card">
+            {collection.coverText && <pre className="collection-cover">{collection.coverText}</pre>}
+            {collection.description && <p className="text-muted">{collection.description}</p>}
+          </div>
+        )
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Tracks</h3>
+          {collection.isPublic && <span className="tag tag-sm tag-green">Public</span>}
+        </div>
+        {collection.tracks.length === 0 ? (
+          <p className="text-muted text-sm">No tracks yet.</p>
+        ) : (
+          <table className="data-table">
+            <tbody>
+              {collection.tracks.map((t, i) => (
+                <tr key={t.lyrics._id}>
+                  <td className="text-muted">{i + 1}</td>
+                  <td>{isOwner ? <Link to={`/lyrics/${t.lyrics._id}`}>{t.lyrics.title}</Link> : <a href={`#track-${i + 1}`}>{t.lyrics.title}</a>}</td>
+                  <td><span className="tag tag-sm">{t.lyrics.style}</span></td>
+                  {isOwner && (
+                    <td className="collection-track-actions">
+                      <button className="btn btn-sm btn-ghost" disabled={i === 0} onClick={() => handleMove(i, -1)}>↑</button>
+                      <button className="btn btn-sm btn-ghost" disabled={i === collection.tracks.length - 1} onClick={() => handleMove(i, 1)}>↓</button>
+                      <button className="btn btn-sm btn-danger-ghost" onClick={() => handleRemove(t.lyrics._id)}>Remove</button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {isOwner && available.length > 0 && (
+          <div className="btn-group collection-add">
+            <select value={adding} onChange={e => setAdding(e.target.value)}>
+              <option value="">Add lyrics...</option>
+              {available.map(l => <option key={l._id} value={l._id}>{l.title}</option>)}
+            </select>
+            <button className="btn btn-sm btn-primary" onClick={handleAdd} disabled={!adding}>Add Track</button>
+          </div>
+        )}
+      </div>
+
+      {!editing && collection.tracks.length > 0 && <ExportPanel collectionId={id} />}
+
+      {!isOwner && collection.tracks.map((t, i) => (
+        <div key={t.lyrics._id} id={`track-${i + 1}`} className="card lyrics-display">
+          <h3>{i + 1}. {t.lyrics.title}</h3>
+          <pre>{t.lyrics.content}</pre>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../services/api';
+
+export default function Collections() {
+  const navigate = useNavigate();
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState({ title: '', description: '' });
+  const [error, setError] = useState('');
+
+  useEffect(() => { loadCollections(); }, []);
+
+  const loadCollections = async () => {
+    try {
+      const res = await api.getCollections();
+      setCollections(res.data);
+    } catch (err) { setError(err.error || 'Failed to load collections'); }
+    setLoading(false);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await api.createCollection(form);
+      navigate(`/collections/${res.data._id}`);
+    } catch (err) { setError(err.error || 'Could not create collection'); }
+  };
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <div>
+          <h1>Collections</h1>
+          <p className="text-muted">Albums, soundtracks and songbooks</p>
+        </div>
+        <button className="btn btn-primary" onClick={() => setCreating(c => !c)}>+ New Collection</button>
+      </div>
+
+      {error && <div className="alert alert-error" onClick={() => setError('')}>{error}</div>}
+
+      {creating && (
+        <form className="card" onSubmit={handleCreate}>
+          <div className="form-group">
+            <label>Title</label>
+            <input value={form.title} onChange={e => setForm(f => ({ ...f, title: e.target.value }))} maxLength={200} placeholder="e.g., Sankranti Bhakti Album" required />
+          </div>
+          <div className="form-group">
+            <label>Description</label>
+            <textarea value={form.description} onChange={e => setForm(f => ({ ...f, description: e.target.value }))} rows={3} maxLength={2000} />
+          </div>
+          <button type="submit" className="btn btn-sm btn-primary">Create</button>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="page-loader"><div className="spinner" /></div>
+      ) : collections.length === 0 ? (
+        <div className="empty-state card">
+          <p>No collections yet. Group lyrics into an album or songbook to keep them in order.</p>
+        </div>
+      ) : (
+        <div className="lyrics-grid">
+          {collections.map(c => (
+            <Link to={`/collections/${c._id}`} key={c._id} className="lyrics-card">
+              <div className="lyrics-card-header">
+                <h4>{c.title}</h4>
+                {c.isPublic && <span className="tag tag-sm tag-green">Public</span>}
+              </div>
+              {c.description && <p className="lyrics-preview">{c.description.substring(0, 120)}</p>}
+              <div className="lyrics-card-footer">
+                <span className="text-muted text-sm">{c.trackCount} tracks</span>
+                <span className="text-muted text-sm">{new Date(c.updatedAt).toLocaleDateString()}</span>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,48 +1,102 @@
-import { useState } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useSubscription } from '../context/SubscriptionContext';
 import UsageIndicator from '../components/UsageIndicator';
+import TuneFitReport from '../components/TuneFitReport';
 import api from '../services/api';
 
-const STYLES = [
-  { value: 'devotional', label: 'భక్తి - Devotional' },
-  { value: 'folk', label: 'జానపద - Folk' },
-  { value: 'romantic', label: 'ప్రేమ - Romantic' },
-  { value: 'patriotic', label: 'దేశభక్తి - Patriotic' },
-  { value: 'lullaby', label: 'జోల పాట - Lullaby' },
-  { value: 'celebration', label: 'పండుగ - Celebration' },
-  { value: 'philosophical', label: 'తత్వ - Philosophical' },
-  { value: 'cinematic', label: 'సినిమా - Cinematic' }
-];
 const DIALECTS = [
-  { value: 'coastal', label: 'కోస్తాంధ్ర - Coastal' },
-  { value: 'telangana', label: 'తెలంగాణ - Telangana' },
-  { value: 'rayalaseema', label: 'రాయలసీమ - Rayalaseema' },
-  { value: 'uttarandhra', label: 'ఉత్తరాంధ్ర - Uttarandhra' }
+  { value: 'coastal', label: 'కోస్తాంధ్ర - Coastal', language: 'te' },
+  { value: 'telangana', label: 'తెలంగాణ - Telangana', language: 'te' },
+  { value: 'rayalaseema', label: 'రాయలసీమ - Rayalaseema', language: 'te' },
+  { value: 'uttarandhra', label: 'ఉత్తరాంధ్ర - Uttarandhra', language: 'te' }
 ];
-const FORMS = [
-  { value: 'geeyam', label: 'గేయం - Lyrical Poetry' },
-  { value: 'padyam', label: 'పద్యం - Classical Verse' },
-  { value: 'janapada', label: 'జానపద - Folk Poetry' },
-  { value: 'keertana', label: 'కీర్తన - Devotional' },
-  { value: 'modern', label: 'ఆధునిక - Modern Free Verse' }
+// `dialects` names the language whose dialects a code-mixed language uses
+const LANGUAGES = [
+  { value: 'te', label: 'తెలుగు - Telugu', defaultDialect: 'coastal' },
+  { value: 'te-en', label: 'తెలుగు + English - Code-mixed', dialects: 'te', defaultDialect: 'coastal' },
+  { value: 'hi', label: 'हिन्दी - Hindi', defaultDialect: 'khari-boli' },
+  { value: 'ta', label: 'தமிழ் - Tamil', defaultDialect: 'chennai' },
+  { value: 'kn', label: 'ಕನ್ನಡ - Kannada', defaultDialect: 'mysuru' }
 ];
+const VARIANT_COUNTS = [1, 2, 3, 4];
+const TUNE_PLACEHOLDER = `One line per tune line, e.g.
+【పల్లవి】
+8
+U I I U I U
+na na naa na naa`;
 
 export default function GenerateLyrics() {
   const navigate = useNavigate();
-  const { canUse, getRemaining, refresh } = useSubscription();
+  const { canUse, getRemaining, refresh, currentPlan } = useSubscription();
   const [form, setForm] = useState({
-    theme: '', customLines: '', style: 'romantic', dialect: 'coastal', poetryForm: 'geeyam'
+    theme: '', customLines: '', language: 'te', style: 'romantic', dialect: 'coastal', poetryForm: 'geeyam'
   });
+  const [dialects, setDialects] = useState(DIALECTS);
+  const [catalog, setCatalog] = useState({ styles: [], poetryForms: [] });
+  const [variantCount, setVariantCount] = useState(1);
+  // Syllable template of an existing tune; sent only when "Write to tune" is on
+  const [tuneOn, setTuneOn] = useState(false);
+  const [tune, setTune] = useState('');
   const [result, setResult] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [drafts, setDrafts] = useState([]);
+  const [keeping, setKeeping] = useState(null);
+  const [streamText, setStreamText] = useState('');
+  const [streamInfo, setStreamInfo] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const abortRef = useRef(null);
+
+  // Stop an in-flight stream when leaving the page
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // Variant groups from earlier visits that are still waiting for a pick
+  useEffect(() => {
+    api.getDrafts().then(res => setDrafts(res.data)).catch(() => {});
+  }, []);
+
+  // Styles and poetry forms are managed by admins
+  useEffect(() => {
+    api.getCatalog().then(res => setCatalog(res.data)).catch(() => {});
+  }, []);
+
+  // Admin-managed dialects and the user's own profiles
+  useEffect(() => {
+    api.getDialects().then(res => setDialects(res.data.map(d => ({
+      value: d.key,
+      label: d.nativeName ? `${d.nativeName} - ${d.name}` : d.name,
+      language: d.language || 'te',
+      custom: !!d.owner
+    })))).catch(() => {});
+  }, []);
+
+  const language = LANGUAGES.find(l => l.value === form.language);
+  const languageDialects = dialects.filter(d => d.language === (language.dialects || language.value));
+  const teluguScript = (language.dialects || language.value) === 'te';
 
   const lyricsAllowed = canUse('lyrics');
   const lyricsInfo = getRemaining('lyrics');
+  const maxVariants = currentPlan?.features?.maxVariants || 1;
+  const customDialects = !!currentPlan?.features?.customDialects;
 
   const set = (k, v) => setForm(f => ({ ...f, [k]: v }));
 
+  // Each language has its own dialects
+  const setLanguage = (value) => setForm(f => ({
+    ...f,
+    language: value,
+    dialect: LANGUAGES.find(l => l.value === value).defaultDialect
+  }));
+
+  // Custom lines typed in RTS (e.g. "nee navvE") → Telugu script
+  const handleConvertLines = async () => {
+    try {
+      const res = await api.transliterate(form.customLines, 'telugu');
+      set('customLines', res.data.text);
+    } catch (err) { setError(err.error || 'Transliteration failed'); }
+  };
+
   const handleGenerate = async (e) => {
     e.preventDefault();
     if (!form.theme && !form.customLines) {
@@ -52,11 +106,40 @@ export default function GenerateLyrics() {
     setError('');
     setLoading(true);
     setResult(null);
+    setDraft(null);
+    setStreamText('');
+    setStreamInfo(null);
+    abortRef.current = new AbortController();
     try {
-      const res = await api.generateLyrics(form);
-      setResult(res.data);
-      refresh(); // Refresh usage counts
+      // Lyrics written to a tune are checked line by line, so they come back as a whole
+      if (tuneOn && tune.trim()) {
+        const res = await api.generateLyrics({ ...form, tune });
+        setResult(await api.waitForJob(res.data._id, { signal: abortRef.current.signal }));
+        refresh();
+        return;
+      }
+      if (variantCount > 1) {
+        const res = await api.generateLyrics({ ...form, n: variantCount });
+        const { draft: generated } = await api.waitForJob(res.data._id, { signal: abortRef.current.signal });
+        setDraft(generated);
+        setDrafts(prev => [generated, ...prev]);
+        refresh();
+        return;
+      }
+      await api.streamLyrics(form, {
+        signal: abortRef.current.signal,
+        onEvent: (event, data) => {
+          if (event === 'start') setStreamInfo(data);
+          if (event === 'delta') setStreamText(t => t + data.text);
+          if (event === 'done') {
+            setResult(data);
+            refresh(); // Refresh usage counts
+          }
+          if (event === 'error') setError(data.error || 'Generation failed');
+        }
+      });
     } catch (err) {
+      if (err.name === 'AbortError') return;
       if (err.code === 'USAGE_LIMIT_REACHED' || err.code === 'FEATURE_NOT_AVAILABLE') {
         setError(err.error);
       } else {
@@ -67,6 +150,29 @@ export default function GenerateLyrics() {
     }
   };
 
+  const handleKeep = async (index) => {
+    setKeeping(index);
+    setError('');
+    try {
+      const res = await api.keepVariant(draft.id, index);
+      navigate(`/lyrics/${res.data.saved.id}`);
+    } catch (err) {
+      setError(err.error || 'Could not save the variant');
+      setKeeping(null);
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!confirm('Discard all variants?')) return;
+    try {
+      await api.discardDraft(draft.id);
+      setDrafts(prev => prev.filter(d => d.id !== draft.id));
+      setDraft(null);
+    } catch (err) {
+      setError(err.error || 'Could not discard the variants');
+    }
+  };
+
   return (
     <div className="page">
       <div className="page-header">
@@ -91,6 +197,13 @@ export default function GenerateLyrics() {
           <form onSubmit={handleGenerate} style={{ marginTop: 16 }}>
             {error && <div className="alert alert-error">{error}</div>}
 
+            <div className="form-group">
+              <label>Language</label>
+              <select value={form.language} onChange={e => setLanguage(e.target.value)} disabled={!lyricsAllowed && lyricsInfo.limit !== -1}>
+                {LANGUAGES.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+              </select>
+            </div>
+
             <div className="form-group">
               <label>Theme / Topic</label>
               <input value={form.theme} onChange={e => set('theme', e.target.value)} placeholder="e.g., Spring season, Love, Devotion to Lord Venkateswara" disabled={!lyricsAllowed && lyricsInfo.limit !== -1} />
@@ -100,12 +213,16 @@ export default function GenerateLyrics() {
               <label>Custom Lines (optional)</label>
               <textarea value={form.customLines} onChange={e => set('customLines', e.target.value)}
                 placeholder="Your own lines to incorporate into the lyrics" rows={3} disabled={!lyricsAllowed && lyricsInfo.limit !== -1} />
+              {teluguScript && (
+                <button type="button" className="btn btn-sm btn-ghost transliterate-btn" onClick={handleConvertLines} disabled={!/[a-z]/i.test(form.customLines)}
+                  title="Type in RTS (e.g. nee navvE naa vennela) and convert">RTS → తెలుగు</button>
+              )}
             </div>
 
             <div className="form-group">
               <label>Style</label>
               <select value={form.style} onChange={e => set('style', e.target.value)} disabled={!lyricsAllowed && lyricsInfo.limit !== -1}>
-                {STYLES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                {catalog.styles.map(s => <option key={s.key} value={s.key} title={s.guidance}>{s.teluguName} - {s.name}</option>)}
               </select>
             </div>
 
@@ -113,29 +230,110 @@ export default function GenerateLyrics() {
               <div className="form-group">
                 <label>Dialect</label>
                 <select value={form.dialect} onChange={e => set('dialect', e.target.value)} disabled={!lyricsAllowed && lyricsInfo.limit !== -1}>
-                  {DIALECTS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                  {languageDialects.map(d => (
+                    <option key={d.value} value={d.value} disabled={d.custom && !customDialects}>
+                      {d.label}{d.custom ? (customDialects ? ' (custom)' : ' (upgrade)') : ''}
+                    </option>
+                  ))}
                 </select>
               </div>
               <div className="form-group">
                 <label>Poetry Form</label>
                 <select value={form.poetryForm} onChange={e => set('poetryForm', e.target.value)} disabled={!lyricsAllowed && lyricsInfo.limit !== -1}>
-                  {FORMS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                  {catalog.poetryForms.map(f => <option key={f.key} value={f.key} title={f.guidance}>{f.teluguName} - {f.name}</option>)}
                 </select>
               </div>
             </div>
 
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <input type="checkbox" checked={tuneOn} onChange={e => setTuneOn(e.target.checked)} style={{ width: 'auto' }} disabled={!lyricsAllowed && lyricsInfo.limit !== -1} />
+                Write to tune
+              </label>
+              {tuneOn && (
+                <>
+                  <textarea value={tune} onChange={e => setTune(e.target.value)} placeholder={TUNE_PLACEHOLDER} rows={6} maxLength={5000}
+                    disabled={!lyricsAllowed && lyricsInfo.limit !== -1} />
+                  <span className="text-muted text-sm">Give each line a syllable count, a laghu/guru pattern (U = long, I = short) or a dummy line; 【…】 headings mark sections.</span>
+                </>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label>Variants to compare</label>
+              <select value={tuneOn ? 1 : variantCount} onChange={e => setVariantCount(Number(e.target.value))} disabled={tuneOn || (!lyricsAllowed && lyricsInfo.limit !== -1)}>
+                {VARIANT_COUNTS.map(count => (
+                  <option key={count} value={count} disabled={count > maxVariants}>
+                    {count === 1 ? '1 (single take)' : `${count} variants`}{count > maxVariants ? ' (upgrade)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <button type="submit" className="btn btn-primary btn-full" disabled={loading || (!lyricsAllowed && lyricsInfo.limit !== -1)}>
-              {loading ? 'Generating...' : (!lyricsAllowed && lyricsInfo.limit !== -1) ? 'Limit Reached - Upgrade' : 'Generate Lyrics'}
+              {loading ? 'Generating...' : (!lyricsAllowed && lyricsInfo.limit !== -1) ? 'Limit Reached - Upgrade' : variantCount > 1 && !tuneOn ? `Generate ${variantCount} Variants` : 'Generate Lyrics'}
             </button>
           </form>
+
+          {drafts.length > 0 && (
+            <div className="draft-list">
+              <h4>Waiting for a pick</h4>
+              {drafts.map(d => (
+                <button key={d.id} type="button" className={`draft-item ${draft?.id === d.id ? 'active' : ''}`} onClick={() => { setResult(null); setStreamText(''); setDraft(d); }}>
+                  <span>{d.theme || 'Untitled'}</span>
+                  <span className="text-muted text-sm">{d.variants.length} variants</span>
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         <div className="card generate-result-card">
-          <h3>Generated Lyrics</h3>
-          {loading && (
+          <h3>{draft ? 'Compare Variants' : 'Generated Lyrics'}</h3>
+          {draft && (
+            <>
+              <div className="lyrics-meta-bar">
+                <span className="text-muted text-sm">
+                  {draft.variants.length} variants, {draft.charged} generations used. Keep one to save it; the rest are discarded.
+                </span>
+                <button className="btn btn-sm btn-danger-ghost" onClick={handleDiscard} disabled={keeping !== null}>Discard all</button>
+              </div>
+              {draft.variants[0]?.generationInfo.isDemo && (
+                <div className="alert alert-warning">Demo Mode - Configure Anthropic API key in Admin panel for AI generation</div>
+              )}
+              <div className="variant-grid">
+                {draft.variants.map(v => (
+                  <div key={v.index} className="variant-card">
+                    <div className="lyrics-meta-bar">
+                      <strong>Variant {v.index + 1}</strong>
+                      {!v.generationInfo.isDemo && <span className="tag tag-sm">via {v.generationInfo.provider}</span>}
+                      <span className="text-muted text-sm">{v.metadata.wordCount} words, {v.metadata.lineCount} lines</span>
+                    </div>
+                    <div className="lyrics-content">
+                      <pre>{v.content}</pre>
+                    </div>
+                    <button className="btn btn-sm btn-primary" onClick={() => handleKeep(v.index)} disabled={keeping !== null}>
+                      {keeping === v.index ? 'Saving...' : 'Keep this one'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+          {loading && !streamText && (
             <div className="empty-state"><div className="spinner" /><p>Generating your lyrics...</p></div>
           )}
-          {!loading && !result && (
+          {!result && streamText && (
+            <>
+              {streamInfo?.isDemo && (
+                <div className="alert alert-warning">Demo Mode - Configure Anthropic API key in Admin panel for AI generation</div>
+              )}
+              <div className="lyrics-content">
+                <pre>{streamText}{loading && <span className="stream-cursor" />}</pre>
+              </div>
+            </>
+          )}
+          {!loading && !result && !streamText && !draft && (
             <div className="empty-state"><p>Configure options and click Generate to create Telugu lyrics</p></div>
           )}
           {result && (
@@ -147,10 +345,15 @@ export default function GenerateLyrics() {
                 <pre>{result.content}</pre>
               </div>
               <div className="lyrics-meta-bar">
+                <span className="tag">{result.metadata?.language}</span>
                 <span className="tag">{result.metadata?.style}</span>
                 <span className="tag">{result.metadata?.dialect}</span>
+                {result.generationInfo?.provider && !result.generationInfo.isDemo && (
+                  <span className="tag">via {result.generationInfo.provider}</span>
+                )}
                 <span className="text-muted text-sm">{result.metadata?.wordCount} words, {result.metadata?.lineCount} lines</span>
               </div>
+              {result.tuneFit && <TuneFitReport report={result.tuneFit} />}
               {result.saved && (
                 <div className="result-actions">
                   <button className="btn btn-sm btn-primary" onClick={() => navigate(`/lyrics/${result.saved.id}`)}>
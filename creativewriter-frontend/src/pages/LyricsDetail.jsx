@@ -1,23 +1,58 @@
-import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useState, useEffect, Fragment } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import api from '../services/api';
 import MediaPanel from '../components/MediaPanel';
+import MeterPanel from '../components/MeterPanel';
+import RhymePanel from '../components/RhymePanel';
+import RagaPanel from '../components/RagaPanel';
+import SimilarityPanel from '../components/SimilarityPanel';
+import HistoryPanel from '../components/HistoryPanel';
+import SharingPanel from '../components/SharingPanel';
+import CommentsPanel from '../components/CommentsPanel';
+import ExportPanel from '../components/ExportPanel';
+import { useSubscription } from '../context/SubscriptionContext';
+
+const TRANSLATION_LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'hi', label: 'हिन्दी - Hindi' }
+];
 
 export default function LyricsDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [lyrics, setLyrics] = useState(null);
+  const [role, setRole] = useState(null);
   const [editing, setEditing] = useState(false);
   const [editForm, setEditForm] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [section, setSection] = useState('');
+  const [instructions, setInstructions] = useState('');
+  const [regenerating, setRegenerating] = useState(false);
+  const [regenMsg, setRegenMsg] = useState('');
+  const [scheme, setScheme] = useState('rts');
+  const [translitMsg, setTranslitMsg] = useState('');
+  const [translateTo, setTranslateTo] = useState('en');
+  const [showTranslation, setShowTranslation] = useState(false);
+  const [translating, setTranslating] = useState(false);
+  const [translateMsg, setTranslateMsg] = useState('');
+  const [saveMsg, setSaveMsg] = useState('');
+  const { refresh } = useSubscription();
 
   useEffect(() => { loadLyrics(); }, [id]);
 
   const loadLyrics = async () => {
     try {
+      // Invite links carry a single-use token (/lyrics/:id?invite=...)
+      const inviteToken = searchParams.get('invite');
+      if (inviteToken) {
+        await api.acceptInvitation(id, inviteToken);
+        setSearchParams({}, { replace: true });
+      }
       const res = await api.getLyricsById(id);
       setLyrics(res.data);
+      setRole(res.role);
       setEditForm({ title: res.data.title, content: res.data.content, rating: res.data.rating || '', isPublic: res.data.isPublic, tags: res.data.tags?.join(', ') || '' });
     } catch (err) {
       setError(err.error || 'Failed to load lyrics');
@@ -27,17 +62,69 @@ export default function LyricsDetail() {
 
   const handleSave = async () => {
     try {
-      const body = { title: editForm.title, content: editForm.content, isPublic: editForm.isPublic };
-      if (editForm.rating) body.rating = parseInt(editForm.rating);
+      const body = { title: editForm.title, content: editForm.content };
+      if (isOwner) body.isPublic = editForm.isPublic;
+      if (isOwner && editForm.rating) body.rating = parseInt(editForm.rating);
       if (editForm.tags) body.tags = editForm.tags.split(',').map(t => t.trim()).filter(Boolean);
       const res = await api.updateLyrics(id, body);
       setLyrics(res.data);
+      setEditForm(f => ({ ...f, isPublic: res.data.isPublic }));
       setEditing(false);
+      setSaveMsg(res.message);
     } catch (err) {
       setError(err.error || 'Update failed');
     }
   };
 
+  const handleRegenerate = async () => {
+    setRegenerating(true);
+    setRegenMsg('');
+    try {
+      const res = await api.regenerateSection(id, section, instructions);
+      setLyrics(res.data.lyrics);
+      setEditForm(f => ({ ...f, content: res.data.lyrics.content }));
+      setRegenMsg(res.message);
+      setInstructions('');
+      refresh();
+    } catch (err) {
+      setRegenMsg(err.error || 'Section regeneration failed');
+    }
+    setRegenerating(false);
+  };
+
+  const handleTransliterate = async () => {
+    if (!confirm('Replace the transliteration lines? The Telugu lines are kept as they are.')) return;
+    try {
+      const res = await api.regenerateTransliteration(id, scheme);
+      setLyrics(res.data);
+      setEditForm(f => ({ ...f, content: res.data.content }));
+      setTranslitMsg(res.message);
+    } catch (err) {
+      setTranslitMsg(err.error || 'Transliteration failed');
+    }
+  };
+
+  const handleTranslate = async () => {
+    setTranslating(true);
+    setTranslateMsg('');
+    try {
+      const res = await api.translateLyrics(id, translateTo);
+      const translation = res.data.translation;
+      setLyrics(l => ({ ...l, translations: [...(l.translations || []).filter(t => t.language !== translation.language), translation] }));
+      setShowTranslation(true);
+      setTranslateMsg(res.message);
+      refresh();
+    } catch (err) {
+      setTranslateMsg(err.error || 'Translation failed');
+    }
+    setTranslating(false);
+  };
+
+  const handleRestored = (restored) => {
+    setLyrics(restored);
+    setEditForm(f => ({ ...f, title: restored.title, content: restored.content }));
+  };
+
   const handleFav = async () => {
     try {
       const res = await api.toggleFavorite(id);
@@ -57,6 +144,12 @@ export default function LyricsDetail() {
   if (error) return <div className="page"><div className="alert alert-error">{error}</div></div>;
   if (!lyrics) return null;
 
+  const sections = (lyrics.sections || []).filter(s => s.type !== 'metadata');
+  const isOwner = role === 'owner';
+  const canEdit = isOwner || role === 'editor';
+  const translateOptions = TRANSLATION_LANGUAGES.filter(l => l.value !== lyrics.language);
+  const translation = (lyrics.translations || []).find(t => t.language === translateTo);
+
   return (
     <div className="page">
       <div className="page-header">
@@ -69,9 +162,12 @@ export default function LyricsDetail() {
           )}
         </div>
         <div className="btn-group">
-          <button className={`btn btn-sm ${lyrics.isFavorite ? 'btn-danger' : 'btn-ghost'}`} onClick={handleFav}>
-            {lyrics.isFavorite ? '❤️ Favorited' : '🤍 Favorite'}
-          </button>
+          {role && !isOwner && <span className="tag tag-green">Shared with you &middot; {role}</span>}
+          {isOwner && (
+            <button className={`btn btn-sm ${lyrics.isFavorite ? 'btn-danger' : 'btn-ghost'}`} onClick={handleFav}>
+              {lyrics.isFavorite ? '❤️ Favorited' : '🤍 Favorite'}
+            </button>
+          )}
           {editing ? (
             <>
               <button className="btn btn-sm btn-primary" onClick={handleSave}>Save</button>
@@ -79,8 +175,8 @@ export default function LyricsDetail() {
             </>
           ) : (
             <>
-              <button className="btn btn-sm btn-ghost" onClick={() => setEditing(true)}>Edit</button>
-              <button className="btn btn-sm btn-danger" onClick={handleDelete}>Delete</button>
+              {canEdit && <button className="btn btn-sm btn-ghost" onClick={() => setEditing(true)}>Edit</button>}
+              {isOwner && <button className="btn btn-sm btn-danger" onClick={handleDelete}>Delete</button>}
             </>
           )}
         </div>
@@ -91,11 +187,15 @@ export default function LyricsDetail() {
         <span className="tag">{lyrics.dialectDisplay || lyrics.dialect}</span>
         <span className="tag">{lyrics.poetryForm}</span>
         {lyrics.isPublic && <span className="tag tag-green">Public</span>}
+        {lyrics.moderation?.status === 'pending' && <span className="tag">Awaiting moderation</span>}
+        {lyrics.moderation?.status === 'rejected' && <span className="tag tag-red">Not approved for publishing</span>}
         {lyrics.rating && <span className="rating">{'⭐'.repeat(lyrics.rating)}</span>}
         <span className="text-muted text-sm">{lyrics.metadata?.wordCount} words &middot; {lyrics.metadata?.lineCount} lines</span>
         <span className="text-muted text-sm">{new Date(lyrics.createdAt).toLocaleString()}</span>
       </div>
 
+      {saveMsg && <div className="alert alert-info" onClick={() => setSaveMsg('')}>{saveMsg}</div>}
+
       {lyrics.tags?.length > 0 && (
         <div className="tag-grid" style={{ marginBottom: 16 }}>
           {lyrics.tags.map((t, i) => <span key={i} className="tag tag-sm">#{t}</span>)}
@@ -108,45 +208,159 @@ export default function LyricsDetail() {
             <label>Content</label>
             <textarea value={editForm.content} onChange={e => setEditForm(f => ({ ...f, content: e.target.value }))} rows={20} className="lyrics-editor" />
           </div>
-          <div className="form-row">
-            <div className="form-group">
-              <label>Rating (1-5)</label>
-              <select value={editForm.rating} onChange={e => setEditForm(f => ({ ...f, rating: e.target.value }))}>
-                <option value="">No rating</option>
-                {[1,2,3,4,5].map(n => <option key={n} value={n}>{'⭐'.repeat(n)}</option>)}
-              </select>
-            </div>
-            <div className="form-group">
-              <label>Public</label>
-              <select value={editForm.isPublic} onChange={e => setEditForm(f => ({ ...f, isPublic: e.target.value === 'true' }))}>
-                <option value="false">Private</option>
-                <option value="true">Public</option>
-              </select>
+          {isOwner && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>Rating (1-5)</label>
+                <select value={editForm.rating} onChange={e => setEditForm(f => ({ ...f, rating: e.target.value }))}>
+                  <option value="">No rating</option>
+                  {[1,2,3,4,5].map(n => <option key={n} value={n}>{'⭐'.repeat(n)}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Public</label>
+                <select value={editForm.isPublic} onChange={e => setEditForm(f => ({ ...f, isPublic: e.target.value === 'true' }))}>
+                  <option value="false">Private</option>
+                  <option value="true">Public</option>
+                </select>
+              </div>
             </div>
-          </div>
+          )}
           <div className="form-group">
             <label>Tags (comma separated)</label>
             <input value={editForm.tags} onChange={e => setEditForm(f => ({ ...f, tags: e.target.value }))} placeholder="e.g., spring, folk, telugu" />
           </div>
         </div>
+      ) : showTranslation && translation ? (
+        <div className="card lyrics-display">
+          {translation.stale && <div className="alert alert-warning">The lyrics changed after this translation. Translate again to update it.</div>}
+          <table className="data-table translation-table">
+            <thead>
+              <tr><th>Lyrics</th><th>Transliteration</th><th>{TRANSLATION_LANGUAGES.find(l => l.value === translation.language).label}</th></tr>
+            </thead>
+            <tbody>
+              {translation.sections.map(ts => {
+                const source = sections.find(s => s.key === ts.key);
+                return (
+                  <Fragment key={ts.key}>
+                    <tr><td colSpan={3} className="translation-heading">{ts.label}</td></tr>
+                    {ts.lines.map((line, i) => (
+                      <tr key={i}>
+                        <td>{line.source}</td>
+                        <td className="text-muted">{source?.transliterationLines?.[i] || ''}</td>
+                        <td>{line.text || <span className="text-muted">—</span>}</td>
+                      </tr>
+                    ))}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
       ) : (
         <div className="card lyrics-display">
           <pre>{lyrics.content}</pre>
         </div>
       )}
 
+      {!editing && canEdit && sections.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Regenerate a Section</h3>
+            <span className="text-muted text-sm">Counts as ¼ of a generation</span>
+          </div>
+          {regenMsg && <div className="alert alert-info" onClick={() => setRegenMsg('')}>{regenMsg}</div>}
+          <div className="form-row">
+            <div className="form-group">
+              <label>Section</label>
+              <select value={section} onChange={e => setSection(e.target.value)}>
+                <option value="">Choose a section...</option>
+                {sections.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Guidance (optional)</label>
+              <input value={instructions} onChange={e => setInstructions(e.target.value)} maxLength={500} placeholder="e.g., more imagery of the monsoon" />
+            </div>
+          </div>
+          <button className="btn btn-sm btn-primary" onClick={handleRegenerate} disabled={!section || regenerating}>
+            {regenerating ? 'Regenerating...' : 'Regenerate Section'}
+          </button>
+        </div>
+      )}
+
+      {!editing && canEdit && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Transliteration</h3>
+            <span className="text-muted text-sm">{lyrics.metadata?.hasTransliteration ? 'Included' : 'None yet'}</span>
+          </div>
+          {translitMsg && <div className="alert alert-info" onClick={() => setTranslitMsg('')}>{translitMsg}</div>}
+          <div className="btn-group">
+            <select value={scheme} onChange={e => setScheme(e.target.value)}>
+              <option value="rts">RTS (nee navvE)</option>
+              <option value="iso">ISO 15919 (nī navvē)</option>
+            </select>
+            <button className="btn btn-sm btn-ghost" onClick={handleTransliterate}>Regenerate Transliteration</button>
+          </div>
+        </div>
+      )}
+
+      {!editing && role && translateOptions.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Translation</h3>
+            <span className="text-muted text-sm">Line by line &middot; counts as ¼ of a generation</span>
+          </div>
+          {translateMsg && <div className="alert alert-info" onClick={() => setTranslateMsg('')}>{translateMsg}</div>}
+          <div className="btn-group">
+            <select value={translateTo} onChange={e => setTranslateTo(e.target.value)}>
+              {translateOptions.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+            </select>
+            <button className="btn btn-sm btn-primary" onClick={handleTranslate} disabled={translating}>
+              {translating ? 'Translating...' : translation ? 'Translate Again' : 'Translate'}
+            </button>
+            {translation && (
+              <button className="btn btn-sm btn-ghost" onClick={() => setShowTranslation(v => !v)}>
+                {showTranslation ? 'Hide Translation' : 'Show Translation'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {!editing && lyrics.poetryForm === 'padyam' && <MeterPanel lyricsId={id} />}
+
+      {!editing && <RhymePanel key={lyrics.updatedAt} lyricsId={id} rhyme={lyrics.metadata?.rhyme} />}
+
+      {!editing && <RagaPanel key={lyrics.updatedAt} lyricsId={id} raga={lyrics.metadata?.suggestedRaga} tala={lyrics.metadata?.suggestedTala} />}
+
+      {!editing && role && <SimilarityPanel key={lyrics.updatedAt} lyricsId={id} />}
+
       {lyrics.generationParams && (
         <div className="card">
           <h3>Generation Info</h3>
           <div className="info-grid">
+            {lyrics.generationParams.provider && <><span className="text-muted">Provider:</span><span>{lyrics.generationParams.provider}</span></>}
             <span className="text-muted">Model:</span><span>{lyrics.generationParams.model}</span>
+            {lyrics.metadata?.suggestedTempo && <><span className="text-muted">Tempo:</span><span>{lyrics.metadata.suggestedTempo}</span></>}
+            {lyrics.metadata?.suggestedRaga && <><span className="text-muted">Raga:</span><span>{lyrics.metadata.suggestedRaga}</span></>}
+            {lyrics.metadata?.suggestedTala && <><span className="text-muted">Tala:</span><span>{lyrics.metadata.suggestedTala}</span></>}
             {lyrics.theme && <><span className="text-muted">Theme:</span><span>{lyrics.theme}</span></>}
             {lyrics.customLines && <><span className="text-muted">Custom Lines:</span><span>{lyrics.customLines}</span></>}
           </div>
         </div>
       )}
 
-      {!editing && <MediaPanel lyricsId={id} lyrics={lyrics} />}
+      {!editing && role && <ExportPanel lyricsId={id} />}
+
+      {!editing && role && <CommentsPanel lyricsId={id} sections={sections} canComment={role !== 'viewer'} isOwner={isOwner} />}
+
+      {!editing && role && <SharingPanel lyricsId={id} isOwner={isOwner} onLeave={() => navigate('/lyrics')} />}
+
+      {!editing && role && <HistoryPanel lyricsId={id} version={lyrics.updatedAt} onRestore={handleRestored} canRestore={canEdit} />}
+
+      {!editing && canEdit && <MediaPanel lyricsId={id} lyrics={lyrics} />}
     </div>
   );
 }
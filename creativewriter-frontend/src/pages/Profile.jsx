@@ -1,5 +1,6 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
+import DialectProfiles from '../components/DialectProfiles';
 import api from '../services/api';
 
 export default function Profile() {
@@ -16,6 +17,11 @@ export default function Profile() {
   const [msg, setMsg] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [catalog, setCatalog] = useState({ styles: [], poetryForms: [] });
+
+  useEffect(() => {
+    api.getCatalog().then(res => setCatalog(res.data)).catch(() => {});
+  }, []);
 
   const set = (k, v) => setForm(f => ({ ...f, [k]: v }));
 
@@ -59,6 +65,7 @@ export default function Profile() {
       <div className="tab-bar">
         <button className={`tab ${tab === 'profile' ? 'active' : ''}`} onClick={() => setTab('profile')}>Profile & Preferences</button>
         <button className={`tab ${tab === 'password' ? 'active' : ''}`} onClick={() => setTab('password')}>Change Password</button>
+        <button className={`tab ${tab === 'dialects' ? 'active' : ''}`} onClick={() => setTab('dialects')}>Custom Dialects</button>
       </div>
 
       {msg && <div className="alert alert-success">{msg}</div>}
@@ -84,16 +91,12 @@ export default function Profile() {
             </div>
             <div className="form-group"><label>Default Style</label>
               <select value={form.defaultStyle} onChange={e => set('defaultStyle', e.target.value)}>
-                <option value="romantic">Romantic</option><option value="devotional">Devotional</option>
-                <option value="folk">Folk</option><option value="patriotic">Patriotic</option>
-                <option value="cinematic">Cinematic</option>
+                {catalog.styles.map(s => <option key={s.key} value={s.key}>{s.name}</option>)}
               </select>
             </div>
             <div className="form-group"><label>Default Poetry Form</label>
               <select value={form.defaultPoetryForm} onChange={e => set('defaultPoetryForm', e.target.value)}>
-                <option value="geeyam">Geeyam</option><option value="padyam">Padyam</option>
-                <option value="janapada">Janapada</option><option value="keertana">Keertana</option>
-                <option value="modern">Modern</option>
+                {catalog.poetryForms.map(f => <option key={f.key} value={f.key}>{f.name}</option>)}
               </select>
             </div>
           </div>
@@ -102,6 +105,8 @@ export default function Profile() {
         </form>
       )}
 
+      {tab === 'dialects' && <DialectProfiles />}
+
       {tab === 'password' && (
         <form onSubmit={handleChangePassword} className="card">
           <h3>Change Password</h3>
@@ -1,15 +1,25 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import api from '../services/api';
+import Highlight, { SearchSnippets } from '../components/Highlight';
 
 export default function PublicLyrics() {
   const [lyrics, setLyrics] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selected, setSelected] = useState(null);
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState('');
 
   useEffect(() => {
-    api.getPublicLyrics(20).then(res => setLyrics(res.data)).catch(() => {}).finally(() => setLoading(false));
-  }, []);
+    setLoading(true);
+    setSelected(null);
+    api.getPublicLyrics(20, search).then(res => setLyrics(res.data)).catch(() => {}).finally(() => setLoading(false));
+  }, [search]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(query.trim());
+  };
 
   return (
     <div className="page public-page">
@@ -24,21 +34,28 @@ export default function PublicLyrics() {
         </div>
       </div>
 
+      <form className="filter-bar" onSubmit={handleSearch}>
+        <input className="filter-input" type="search" value={query} onChange={e => setQuery(e.target.value)}
+          maxLength={200} placeholder="Search titles, themes and lines... (vennela / వెన్నెల)" />
+        <button type="submit" className="btn btn-sm btn-primary">Search</button>
+      </form>
+
       {loading ? (
         <div className="page-loader"><div className="spinner" /></div>
       ) : lyrics.length === 0 ? (
-        <div className="empty-state card"><p>No public lyrics yet. Be the first to share!</p></div>
+        <div className="empty-state card"><p>{search ? `No public lyrics match "${search}"` : 'No public lyrics yet. Be the first to share!'}</p></div>
       ) : (
         <div className="public-layout">
           <div className="public-list">
             {lyrics.map(l => (
               <div key={l._id} className={`public-card ${selected?._id === l._id ? 'active' : ''}`} onClick={() => setSelected(l)}>
-                <h4>{l.title}</h4>
+                <h4><Highlight text={l.title} ranges={l.search?.titleHighlights} /></h4>
                 <div className="lyrics-card-meta">
                   <span className="tag tag-sm">{l.style}</span>
                   <span className="tag tag-sm">{l.dialect}</span>
                   {l.rating && <span className="rating text-sm">{'⭐'.repeat(l.rating)}</span>}
                 </div>
+                {l.search?.snippets.length > 0 && <SearchSnippets snippets={l.search.snippets} />}
                 <span className="text-muted text-sm">by {l.user?.name || 'Anonymous'} &middot; {new Date(l.createdAt).toLocaleDateString()}</span>
               </div>
             ))}
@@ -6,10 +6,38 @@ export default function ApiKeys() {
   const [loading, setLoading] = useState(true);
   const [editService, setEditService] = useState(null);
   const [newKey, setNewKey] = useState('');
+  const [newMeta, setNewMeta] = useState({ baseUrl: '', model: '' });
   const [testing, setTesting] = useState('');
   const [msg, setMsg] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [chain, setChain] = useState([]);
 
-  useEffect(() => { loadKeys(); }, []);
+  useEffect(() => { loadKeys(); loadProviders(); }, []);
+
+  const loadProviders = async () => {
+    try {
+      const res = await api.getProviders();
+      setProviders(res.data.providers);
+      setChain(res.data.chain);
+    } catch {}
+  };
+
+  const moveInChain = (index, delta) => {
+    setChain(c => {
+      const next = [...c];
+      const [item] = next.splice(index, 1);
+      next.splice(index + delta, 0, item);
+      return next;
+    });
+  };
+
+  const handleSaveChain = async () => {
+    try {
+      const res = await api.updateProviderChain(chain);
+      setChain(res.data.chain);
+      setMsg('Provider fallback chain saved');
+    } catch (err) { setMsg(err.error || 'Failed to save chain'); }
+  };
 
   const loadKeys = async () => {
     try {
@@ -19,13 +47,24 @@ export default function ApiKeys() {
     setLoading(false);
   };
 
+  const isProvider = (service) => providers.some(p => p.service === service);
+
+  const startEdit = (k) => {
+    setEditService(k.service);
+    setNewMeta({ baseUrl: k.metadata?.baseUrl || '', model: k.metadata?.model || '' });
+  };
+
   const handleUpdate = async (service) => {
     try {
-      await api.updateApiKey(service, { key: newKey });
+      // LLM providers may only be changing base URL/model, so keep the stored key unless a new one is typed
+      const body = isProvider(service) ? { metadata: newMeta } : { key: newKey };
+      if (isProvider(service) && newKey) body.key = newKey;
+      await api.updateApiKey(service, body);
       setMsg(`${service} API key updated`);
       setEditService(null);
       setNewKey('');
       loadKeys();
+      loadProviders();
     } catch (err) { setMsg(err.error || 'Update failed'); }
   };
 
@@ -61,6 +100,41 @@ export default function ApiKeys() {
 
       {msg && <div className="alert alert-info" onClick={() => setMsg('')}>{msg} (click to dismiss)</div>}
 
+      <div className="card">
+        <div className="card-header">
+          <h3>Lyrics Provider Fallback Chain</h3>
+          <button className="btn btn-sm btn-primary" onClick={handleSaveChain} disabled={chain.length === 0}>Save Order</button>
+        </div>
+        <p className="text-muted text-sm" style={{ marginBottom: 12 }}>
+          Providers are tried top to bottom. Unconfigured providers are skipped; if all fail, demo lyrics are returned.
+        </p>
+        <div className="provider-chain">
+          {chain.map((service, i) => {
+            const p = providers.find(x => x.service === service) || { service, name: service };
+            return (
+              <div key={service} className="provider-chain-item">
+                <span className="provider-chain-pos">{i + 1}</span>
+                <span className={`status-dot ${p.isConfigured && p.isActive ? 'green' : 'gray'}`} />
+                <span className="provider-chain-name">{p.name}</span>
+                <span className="text-muted text-sm">{p.model}</span>
+                <div className="btn-group">
+                  <button className="btn btn-sm btn-ghost" disabled={i === 0} onClick={() => moveInChain(i, -1)}>↑</button>
+                  <button className="btn btn-sm btn-ghost" disabled={i === chain.length - 1} onClick={() => moveInChain(i, 1)}>↓</button>
+                  <button className="btn btn-sm btn-danger-ghost" disabled={chain.length === 1} onClick={() => setChain(c => c.filter(s => s !== service))}>Remove</button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        {providers.some(p => !chain.includes(p.service)) && (
+          <div className="btn-group" style={{ marginTop: 12 }}>
+            {providers.filter(p => !chain.includes(p.service)).map(p => (
+              <button key={p.service} className="btn btn-sm btn-ghost" onClick={() => setChain(c => [...c, p.service])}>+ {p.name}</button>
+            ))}
+          </div>
+        )}
+      </div>
+
       <div className="api-keys-grid">
         {keys.map(k => (
           <div key={k.service} className="card api-key-card">
@@ -100,6 +174,12 @@ export default function ApiKeys() {
             {editService === k.service ? (
               <div className="api-key-edit">
                 <input value={newKey} onChange={e => setNewKey(e.target.value)} placeholder={`Enter ${k.name} API key`} className="api-key-input" />
+                {isProvider(k.service) && (
+                  <>
+                    <input value={newMeta.baseUrl} onChange={e => setNewMeta(m => ({ ...m, baseUrl: e.target.value }))} placeholder="Base URL" className="api-key-input" />
+                    <input value={newMeta.model} onChange={e => setNewMeta(m => ({ ...m, model: e.target.value }))} placeholder="Model" className="api-key-input" />
+                  </>
+                )}
                 <div className="btn-group">
                   <button className="btn btn-sm btn-primary" onClick={() => handleUpdate(k.service)}>Save</button>
                   <button className="btn btn-sm btn-ghost" onClick={() => { setEditService(null); setNewKey(''); }}>Cancel</button>
@@ -107,7 +187,7 @@ export default function ApiKeys() {
               </div>
             ) : (
               <div className="btn-group api-key-actions">
-                <button className="btn btn-sm btn-primary" onClick={() => setEditService(k.service)}>
+                <button className="btn btn-sm btn-primary" onClick={() => startEdit(k)}>
                   {k.isConfigured ? 'Update Key' : 'Add Key'}
                 </button>
                 <button className="btn btn-sm btn-ghost" onClick={() => handleTest(k.service)} disabled={testing === k.service}>
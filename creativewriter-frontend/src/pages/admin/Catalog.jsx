@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+const KINDS = [
+  { value: 'style', label: 'Styles' },
+  { value: 'poetryForm', label: 'Poetry Forms' }
+];
+
+const emptyEntry = { key: '', name: '', teluguName: '', guidance: '', base: '', sortOrder: 0 };
+
+export default function Catalog() {
+  const [kind, setKind] = useState('style');
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyEntry);
+  const [msg, setMsg] = useState('');
+
+  useEffect(() => { setEditing(null); load(); }, [kind]);
+
+  const load = async () => {
+    try {
+      const res = await api.adminGetCatalog(kind);
+      setEntries(res.data);
+    } catch {}
+    setLoading(false);
+  };
+
+  // Built-in entries (their own base) lend demo phrases or structure to new ones
+  const builtIns = entries.filter(e => e.base === e.key);
+
+  const set = (k, v) => setForm(f => ({ ...f, [k]: v }));
+
+  const startEdit = (entry) => {
+    setEditing(entry || 'new');
+    setForm(entry ? { ...emptyEntry, ...entry } : emptyEntry);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { key, name, teluguName, guidance, base, sortOrder } = form;
+    const body = { name, teluguName, guidance, sortOrder: Number(sortOrder) || 0 };
+    if (base) body.base = base;
+    try {
+      const res = editing === 'new'
+        ? await api.adminCreateCatalogEntry({ ...body, kind, ...(key ? { key } : {}) })
+        : await api.adminUpdateCatalogEntry(editing._id, body);
+      setMsg(res.message);
+      setEditing(null);
+      load();
+    } catch (err) { setMsg(err.error || 'Save failed'); }
+  };
+
+  const handleToggle = async (entry) => {
+    try {
+      const res = await api.adminUpdateCatalogEntry(entry._id, { isActive: !entry.isActive });
+      setMsg(res.message);
+      load();
+    } catch (err) { setMsg(err.error || 'Update failed'); }
+  };
+
+  if (loading) return <div className="page-loader"><div className="spinner" /></div>;
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <div>
+          <h1>Styles & Forms</h1>
+          <p className="text-muted">Names and prompt guidance for the styles and poetry forms offered in generation</p>
+        </div>
+        <button className="btn btn-primary" onClick={() => startEdit(null)}>+ New {kind === 'style' ? 'Style' : 'Poetry Form'}</button>
+      </div>
+
+      <div className="tab-bar">
+        {KINDS.map(k => (
+          <button key={k.value} className={`tab ${kind === k.value ? 'active' : ''}`} onClick={() => setKind(k.value)}>{k.label}</button>
+        ))}
+      </div>
+
+      {msg && <div className="alert alert-info" onClick={() => setMsg('')}>{msg} (click to dismiss)</div>}
+
+      {editing && (
+        <form className="card" onSubmit={handleSave}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Name</label>
+              <input value={form.name} onChange={e => set('name', e.target.value)} maxLength={60} placeholder="e.g., Bathukamma Paata" required />
+            </div>
+            <div className="form-group">
+              <label>Telugu Name</label>
+              <input value={form.teluguName} onChange={e => set('teluguName', e.target.value)} maxLength={60} placeholder="బతుకమ్మ పాట" required />
+            </div>
+            <div className="form-group">
+              <label>Key</label>
+              <input value={form.key} onChange={e => set('key', e.target.value)} pattern="[a-z0-9-]+" disabled={editing !== 'new'} placeholder="Derived from the name" />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Prompt Guidance</label>
+            <textarea value={form.guidance} onChange={e => set('guidance', e.target.value)} rows={3} maxLength={500} />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Demo Based On</label>
+              <select value={form.base} onChange={e => set('base', e.target.value)}>
+                <option value="">Default</option>
+                {builtIns.map(b => <option key={b.key} value={b.key}>{b.name}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Sort Order</label>
+              <input type="number" value={form.sortOrder} onChange={e => set('sortOrder', e.target.value)} />
+            </div>
+          </div>
+          <div className="btn-group">
+            <button type="submit" className="btn btn-sm btn-primary">{editing === 'new' ? 'Create' : 'Save'}</button>
+            <button type="button" className="btn btn-sm btn-ghost" onClick={() => setEditing(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      <div className="card">
+        <table className="data-table">
+          <thead>
+            <tr><th>Name</th><th>Key</th><th>Guidance</th><th>Status</th><th></th></tr>
+          </thead>
+          <tbody>
+            {entries.map(e => (
+              <tr key={e._id}>
+                <td>{e.teluguName} <span className="text-muted text-sm">{e.name}</span></td>
+                <td className="text-sm">{e.key}</td>
+                <td className="text-muted text-sm">{e.guidance}</td>
+                <td><span className={`tag tag-sm ${e.isActive ? 'tag-green' : ''}`}>{e.isActive ? 'active' : 'inactive'}</span></td>
+                <td>
+                  <div className="btn-group">
+                    <button className="btn btn-sm btn-ghost" onClick={() => startEdit(e)}>Edit</button>
+                    <button className="btn btn-sm btn-ghost" onClick={() => handleToggle(e)}>{e.isActive ? 'Deactivate' : 'Activate'}</button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
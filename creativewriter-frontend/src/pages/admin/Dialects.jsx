@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import DialectForm, { languageLabel } from '../../components/DialectForm';
+import api from '../../services/api';
+
+export default function Dialects() {
+  const [dialects, setDialects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [msg, setMsg] = useState('');
+
+  useEffect(() => { load(); }, []);
+
+  const load = async () => {
+    try {
+      const res = await api.adminGetDialects();
+      setDialects(res.data);
+    } catch {}
+    setLoading(false);
+  };
+
+  const handleSave = async (body) => {
+    try {
+      const res = editing === 'new'
+        ? await api.adminCreateDialect(body)
+        : await api.adminUpdateDialect(editing._id, body);
+      setMsg(res.message);
+      setEditing(null);
+      load();
+    } catch (err) { setMsg(err.error || 'Save failed'); }
+  };
+
+  const handleToggle = async (dialect) => {
+    try {
+      const res = await api.adminUpdateDialect(dialect._id, { isActive: !dialect.isActive });
+      setMsg(res.message);
+      load();
+    } catch (err) { setMsg(err.error || 'Update failed'); }
+  };
+
+  if (loading) return <div className="page-loader"><div className="spinner" /></div>;
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <div>
+          <h1>Dialects</h1>
+          <p className="text-muted">Vocabulary, grammatical markers and cultural references used in generation</p>
+        </div>
+        <button className="btn btn-primary" onClick={() => setEditing('new')}>+ New Dialect</button>
+      </div>
+
+      {msg && <div className="alert alert-info" onClick={() => setMsg('')}>{msg} (click to dismiss)</div>}
+
+      {editing && (
+        <DialectForm
+          key={editing === 'new' ? 'new' : editing._id}
+          dialect={editing === 'new' ? null : editing}
+          withKey
+          submitLabel={editing === 'new' ? 'Create' : 'Save'}
+          onSubmit={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      <div className="card">
+        <table className="data-table">
+          <thead>
+            <tr><th>Dialect</th><th>Language</th><th>Key</th><th>Markers</th><th>References</th><th>Status</th><th></th></tr>
+          </thead>
+          <tbody>
+            {dialects.map(d => (
+              <tr key={d._id}>
+                <td>{d.nativeName || d.name}{d.nativeName && <span className="text-muted text-sm"> {d.name}</span>}</td>
+                <td className="text-sm">{languageLabel(d.language)}</td>
+                <td className="text-sm">{d.key}</td>
+                <td className="text-muted text-sm">{d.markers.join(', ')}</td>
+                <td className="text-muted text-sm">{d.references.join(', ')}</td>
+                <td><span className={`tag tag-sm ${d.isActive ? 'tag-green' : ''}`}>{d.isActive ? 'active' : 'inactive'}</span></td>
+                <td>
+                  <div className="btn-group">
+                    <button className="btn btn-sm btn-ghost" onClick={() => setEditing(d)}>Edit</button>
+                    <button className="btn btn-sm btn-ghost" onClick={() => handleToggle(d)}>{d.isActive ? 'Deactivate' : 'Activate'}</button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
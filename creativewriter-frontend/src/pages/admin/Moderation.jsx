@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const SOURCE_LABELS = { generate: 'Generation input', section: 'Section guidance', dialect: 'Custom dialect', publish: 'Publishing', collection: 'Public collection' };
+
+export default function Moderation() {
+  const [flags, setFlags] = useState([]);
+  const [pending, setPending] = useState(0);
+  const [status, setStatus] = useState('pending');
+  const [stage, setStage] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [notes, setNotes] = useState({});
+  const [settings, setSettings] = useState({ blocklist: '', providerCheck: false });
+  const [msg, setMsg] = useState('');
+
+  useEffect(() => { load(); }, [status, stage]);
+  useEffect(() => { loadSettings(); }, []);
+
+  const load = async () => {
+    try {
+      const params = { status };
+      if (stage) params.stage = stage;
+      const res = await api.adminGetModerationFlags(params);
+      setFlags(res.data);
+      setPending(res.pending);
+    } catch {}
+    setLoading(false);
+  };
+
+  const loadSettings = async () => {
+    try {
+      const res = await api.adminGetModerationSettings();
+      setSettings({ blocklist: res.data.blocklist.join('\n'), providerCheck: res.data.providerCheck });
+    } catch {}
+  };
+
+  const handleReview = async (flag, decision) => {
+    try {
+      const res = await api.adminReviewModerationFlag(flag._id, decision, notes[flag._id] || '');
+      setMsg(res.message);
+      load();
+    } catch (err) { setMsg(err.error || 'Review failed'); }
+  };
+
+  const handleSaveSettings = async () => {
+    try {
+      const res = await api.adminUpdateModerationSettings({
+        blocklist: settings.blocklist.split('\n').map(t => t.trim()).filter(Boolean),
+        providerCheck: settings.providerCheck
+      });
+      setSettings({ blocklist: res.data.blocklist.join('\n'), providerCheck: res.data.providerCheck });
+      setMsg(res.message);
+    } catch (err) { setMsg(err.error || 'Save failed'); }
+  };
+
+  if (loading) return <div className="page-loader"><div className="spinner" /></div>;
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <div>
+          <h1>Moderation</h1>
+          <p className="text-muted">Themes, custom lines, published lyrics and collections flagged by content moderation &middot; {pending} pending</p>
+        </div>
+        <div className="btn-group">
+          <select value={status} onChange={e => setStatus(e.target.value)}>
+            {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <select value={stage} onChange={e => setStage(e.target.value)}>
+            <option value="">Input and output</option>
+            <option value="input">Input</option>
+            <option value="output">Output</option>
+          </select>
+        </div>
+      </div>
+
+      {msg && <div className="alert alert-info" onClick={() => setMsg('')}>{msg} (click to dismiss)</div>}
+
+      <div className="card">
+        {flags.length === 0 ? <p className="text-muted">Nothing {status}.</p> : (
+          <table className="data-table">
+            <thead>
+              <tr><th>Flagged</th><th>Text</th><th>Categories</th><th>User</th><th>{status === 'pending' ? 'Review' : 'Reviewed'}</th></tr>
+            </thead>
+            <tbody>
+              {flags.map(f => (
+                <tr key={f._id}>
+                  <td className="text-sm">
+                    {SOURCE_LABELS[f.source]}
+                    <div><span className={`tag tag-sm ${f.action === 'block' ? 'tag-red' : ''}`}>{f.action === 'block' ? 'blocked' : 'review'}</span></div>
+                    {f.lyrics && <div className="text-muted">{f.lyrics.title}</div>}
+                    {f.lyricsCollection && <div className="text-muted">{f.lyricsCollection.title}</div>}
+                    <div className="text-muted">{new Date(f.createdAt).toLocaleString()}</div>
+                  </td>
+                  <td className="text-sm"><pre className="flag-text">{f.text}</pre></td>
+                  <td className="text-sm">
+                    {f.categories.map(c => (
+                      <div key={c.category}>{c.category} {Math.round(c.score * 100)}%{c.matches.length > 0 && <span className="text-muted"> ({c.matches.join(', ')})</span>}</div>
+                    ))}
+                    {f.checkedBy !== 'offline' && <div className="text-muted">via {f.checkedBy}</div>}
+                  </td>
+                  <td className="text-sm">{f.user?.name}<div className="text-muted">{f.user?.email}</div></td>
+                  <td>
+                    {f.status === 'pending' ? (
+                      <>
+                        <input className="text-sm" value={notes[f._id] || ''} onChange={e => setNotes(n => ({ ...n, [f._id]: e.target.value }))} maxLength={500} placeholder="Note (optional)" />
+                        <div className="btn-group" style={{ marginTop: 8 }}>
+                          <button className="btn btn-sm btn-primary" onClick={() => handleReview(f, 'approved')}>{f.stage === 'output' ? 'Publish' : 'Approve'}</button>
+                          <button className="btn btn-sm btn-danger" onClick={() => handleReview(f, 'rejected')}>Reject</button>
+                        </div>
+                      </>
+                    ) : (
+                      <span className="text-sm">{f.reviewedBy?.name}{f.reviewNote && <div className="text-muted">{f.reviewNote}</div>}</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card">
+        <h3>Settings</h3>
+        <div className="form-group">
+          <label>Blocklist (one term per line, never allowed in themes, custom lines or public lyrics)</label>
+          <textarea rows={6} value={settings.blocklist} onChange={e => setSettings(s => ({ ...s, blocklist: e.target.value }))} />
+        </div>
+        <div className="form-group">
+          <label>
+            <input type="checkbox" checked={settings.providerCheck} onChange={e => setSettings(s => ({ ...s, providerCheck: e.target.checked }))} />
+            {' '}Double-check text that passes the offline screen with the lyrics LLM (one extra request per check)
+          </label>
+        </div>
+        <button className="btn btn-sm btn-primary" onClick={handleSaveSettings}>Save Settings</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+export default function PromptTemplates() {
+  const [name, setName] = useState('lyrics');
+  const [templates, setTemplates] = useState([]);
+  const [info, setInfo] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [description, setDescription] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [msg, setMsg] = useState('');
+
+  useEffect(() => { load(true); }, [name]);
+
+  const load = async (resetDraft = false) => {
+    try {
+      const [templatesRes, versionsRes] = await Promise.all([
+        api.getPromptTemplates(),
+        api.getPromptVersions(name)
+      ]);
+      setTemplates(templatesRes.data);
+      setInfo(templatesRes.data.find(t => t.name === name));
+      setVersions(versionsRes.data);
+      const published = versionsRes.data.find(v => v.status === 'published');
+      setDraft(d => (resetDraft || !d) ? (published ? published.template : '') : d);
+      if (resetDraft) setPreview(null);
+    } catch {}
+    setLoading(false);
+  };
+
+  const handlePreview = async () => {
+    try {
+      const res = await api.previewPrompt(name, { template: draft });
+      setPreview(res.data);
+    } catch (err) { setMsg(err.error || 'Preview failed'); }
+  };
+
+  const handleSaveDraft = async () => {
+    try {
+      const res = await api.createPromptVersion(name, { template: draft, description });
+      setMsg(res.message);
+      setDescription('');
+      load();
+    } catch (err) { setMsg(err.error || 'Save failed'); }
+  };
+
+  const handlePublish = async (version) => {
+    if (!confirm(`Publish version ${version}? New generations will use it immediately.`)) return;
+    try {
+      const res = await api.publishPromptVersion(name, version);
+      setMsg(res.message);
+      load();
+    } catch (err) { setMsg(err.error || 'Publish failed'); }
+  };
+
+  const handleRollback = async () => {
+    if (!confirm('Roll back to the previously published version?')) return;
+    try {
+      const res = await api.rollbackPrompt(name);
+      setMsg(res.message);
+      load();
+    } catch (err) { setMsg(err.error || 'Rollback failed'); }
+  };
+
+  if (loading) return <div className="page-loader"><div className="spinner" /></div>;
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <div>
+          <h1>Prompt Templates</h1>
+          <p className="text-muted">Tune the lyrics generation prompt without a redeploy</p>
+        </div>
+        <div className="btn-group">
+          <select value={name} onChange={e => setName(e.target.value)}>
+            {templates.map(t => <option key={t.name} value={t.name}>{t.description}</option>)}
+          </select>
+          <button className="btn btn-ghost" onClick={handleRollback}>Roll Back</button>
+        </div>
+      </div>
+
+      {msg && <div className="alert alert-info" onClick={() => setMsg('')}>{msg} (click to dismiss)</div>}
+
+      <div className="admin-grid">
+        <div className="card">
+          <div className="card-header">
+            <h3>Edit Template</h3>
+            <span className="tag tag-sm">Live: v{info?.publishedVersion ?? '-'}</span>
+          </div>
+          <div className="form-group">
+            <label>Template</label>
+            <textarea className="prompt-editor" value={draft} onChange={e => setDraft(e.target.value)} rows={18} />
+          </div>
+          <div className="form-group">
+            <label>Change Note</label>
+            <input value={description} onChange={e => setDescription(e.target.value)} placeholder="What changed in this version?" />
+          </div>
+          <div className="btn-group">
+            <button className="btn btn-sm btn-ghost" onClick={handlePreview} disabled={!draft.trim()}>Preview</button>
+            <button className="btn btn-sm btn-primary" onClick={handleSaveDraft} disabled={!draft.trim()}>Save as Draft</button>
+          </div>
+
+          {info && (
+            <div className="prompt-variables">
+              <p className="text-muted text-sm">Variables — use {'{{name}}'} or {'{{name | default: "text"}}'}</p>
+              <div className="tag-grid">
+                {info.variables.map(v => (
+                  <span key={v.name} className="tag tag-sm" title={v.description}>{v.name}</span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="card">
+          <div className="card-header"><h3>Versions</h3></div>
+          <table className="data-table">
+            <thead>
+              <tr><th>Version</th><th>Status</th><th>Note</th><th></th></tr>
+            </thead>
+            <tbody>
+              {versions.map(v => (
+                <tr key={v._id}>
+                  <td>v{v.version}</td>
+                  <td><span className={`tag tag-sm ${v.status === 'published' ? 'tag-green' : ''}`}>{v.status}</span></td>
+                  <td className="text-muted text-sm">{v.description}</td>
+                  <td>
+                    <div className="btn-group">
+                      <button className="btn btn-sm btn-ghost" onClick={() => setDraft(v.template)}>Load</button>
+                      {v.status !== 'published' && (
+                        <button className="btn btn-sm btn-primary" onClick={() => handlePublish(v.version)}>Publish</button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Preview</h3>
+            <button className="btn btn-sm btn-ghost" onClick={() => setPreview(null)}>Close</button>
+          </div>
+          {preview.unknownVariables.length > 0 && (
+            <div className="alert alert-error">Unknown variables: {preview.unknownVariables.join(', ')}</div>
+          )}
+          <div className="lyrics-content"><pre>{preview.prompt}</pre></div>
+        </div>
+      )}
+    </div>
+  );
+}
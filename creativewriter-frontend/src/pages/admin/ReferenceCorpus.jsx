@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+const emptySong = { title: '', film: '', year: '', lyricist: '', content: '' };
+const emptyCredits = { film: '', year: '', lyricist: '' };
+
+export default function ReferenceCorpus() {
+  const [references, setReferences] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [q, setQ] = useState('');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(null);
+  const [form, setForm] = useState(emptySong);
+  const [files, setFiles] = useState([]);
+  const [credits, setCredits] = useState(emptyCredits);
+  const [msg, setMsg] = useState('');
+
+  useEffect(() => { load(); }, [page, search]);
+
+  const load = async () => {
+    try {
+      const params = { page };
+      if (search) params.q = search;
+      const res = await api.adminGetReferences(params);
+      setReferences(res.data);
+      setPagination(res.pagination);
+    } catch {}
+    setLoading(false);
+  };
+
+  const set = (k, v) => setForm(f => ({ ...f, [k]: v }));
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(q.trim());
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const { year, ...rest } = form;
+    try {
+      const res = await api.adminCreateReference({ ...rest, ...(year ? { year: Number(year) } : {}) });
+      setMsg(res.message);
+      setForm(emptySong);
+      setAdding(null);
+      load();
+    } catch (err) { setMsg(err.error || 'Save failed'); }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (files.length === 0) return;
+    try {
+      const res = await api.adminImportReferences(files, credits);
+      const skipped = res.skipped.length > 0 ? ` Skipped: ${res.skipped.map(s => `${s.file} (${s.reason})`).join(', ')}` : '';
+      setMsg(res.message + '.' + skipped);
+      setFiles([]);
+      setCredits(emptyCredits);
+      setAdding(null);
+      load();
+    } catch (err) { setMsg(err.error || 'Import failed'); }
+  };
+
+  const handleDelete = async (reference) => {
+    if (!confirm(`Remove "${reference.title}" from the reference songs?`)) return;
+    try {
+      const res = await api.adminDeleteReference(reference._id);
+      setMsg(res.message);
+      load();
+    } catch (err) { setMsg(err.error || 'Delete failed'); }
+  };
+
+  if (loading) return <div className="page-loader"><div className="spinner" /></div>;
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <div>
+          <h1>Reference Songs</h1>
+          <p className="text-muted">Well-known songs that lyrics are checked against for copying, along with public lyrics &middot; {pagination.total} songs</p>
+        </div>
+        <div className="btn-group">
+          <button className="btn btn-ghost" onClick={() => setAdding('import')}>Import Files</button>
+          <button className="btn btn-primary" onClick={() => setAdding('song')}>+ Add Song</button>
+        </div>
+      </div>
+
+      {msg && <div className="alert alert-info" onClick={() => setMsg('')}>{msg} (click to dismiss)</div>}
+
+      {adding === 'song' && (
+        <form className="card" onSubmit={handleCreate}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Title</label>
+              <input value={form.title} onChange={e => set('title', e.target.value)} maxLength={200} required />
+            </div>
+            <div className="form-group">
+              <label>Film</label>
+              <input value={form.film} onChange={e => set('film', e.target.value)} maxLength={200} />
+            </div>
+            <div className="form-group">
+              <label>Year</label>
+              <input type="number" value={form.year} onChange={e => set('year', e.target.value)} min={1900} max={2100} />
+            </div>
+            <div className="form-group">
+              <label>Lyricist</label>
+              <input value={form.lyricist} onChange={e => set('lyricist', e.target.value)} maxLength={100} />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Lyrics (Telugu script or transliteration)</label>
+            <textarea value={form.content} onChange={e => set('content', e.target.value)} rows={10} maxLength={20000} required />
+          </div>
+          <div className="btn-group">
+            <button type="submit" className="btn btn-sm btn-primary">Add</button>
+            <button type="button" className="btn btn-sm btn-ghost" onClick={() => setAdding(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {adding === 'import' && (
+        <form className="card" onSubmit={handleImport}>
+          <div className="form-group">
+            <label>Files (.txt, .md or .docx; songs are split like lyrics imports)</label>
+            <input type="file" multiple accept=".txt,.md,.markdown,.docx" onChange={e => setFiles([...e.target.files])} />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Film (all songs)</label>
+              <input value={credits.film} onChange={e => setCredits(c => ({ ...c, film: e.target.value }))} maxLength={200} />
+            </div>
+            <div className="form-group">
+              <label>Year</label>
+              <input type="number" value={credits.year} onChange={e => setCredits(c => ({ ...c, year: e.target.value }))} min={1900} max={2100} />
+            </div>
+            <div className="form-group">
+              <label>Lyricist</label>
+              <input value={credits.lyricist} onChange={e => setCredits(c => ({ ...c, lyricist: e.target.value }))} maxLength={100} />
+            </div>
+          </div>
+          <div className="btn-group">
+            <button type="submit" className="btn btn-sm btn-primary" disabled={files.length === 0}>Import</button>
+            <button type="button" className="btn btn-sm btn-ghost" onClick={() => setAdding(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      <div className="card">
+        <form className="btn-group" onSubmit={handleSearch} style={{ marginBottom: 12 }}>
+          <input value={q} onChange={e => setQ(e.target.value)} placeholder="Search title, film or lyricist" maxLength={200} />
+          <button type="submit" className="btn btn-sm btn-ghost">Search</button>
+        </form>
+        {references.length === 0 ? <p className="text-muted">No reference songs{search ? ` matching "${search}"` : ''}.</p> : (
+          <table className="data-table">
+            <thead>
+              <tr><th>Title</th><th>Film</th><th>Lyricist</th><th>Added</th><th></th></tr>
+            </thead>
+            <tbody>
+              {references.map(r => (
+                <tr key={r._id}>
+                  <td>{r.title}</td>
+                  <td className="text-sm">{r.film}{r.year && <span className="text-muted"> ({r.year})</span>}</td>
+                  <td className="text-sm">{r.lyricist}</td>
+                  <td className="text-muted text-sm">{new Date(r.createdAt).toLocaleDateString()}{r.addedBy && <div>{r.addedBy.name}</div>}</td>
+                  <td><button className="btn btn-sm btn-danger" onClick={() => handleDelete(r)}>Remove</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {pagination.pages > 1 && (
+          <div className="btn-group" style={{ marginTop: 12 }}>
+            <button className="btn btn-sm btn-ghost" disabled={page <= 1} onClick={() => setPage(p => p - 1)}>Previous</button>
+            <span className="text-sm text-muted">Page {pagination.page} of {pagination.pages}</span>
+            <button className="btn btn-sm btn-ghost" disabled={page >= pagination.pages} onClick={() => setPage(p => p + 1)}>Next</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -7,7 +7,9 @@ class ApiService {
       credentials: 'include',
       headers: {}
     };
-    if (body) {
+    if (body instanceof FormData) {
+      opts.body = body;
+    } else if (body) {
       opts.headers['Content-Type'] = 'application/json';
       opts.body = JSON.stringify(body);
     }
@@ -17,6 +19,60 @@ class ApiService {
     return data;
   }
 
+  // GET a file; resolves to { blob, filename } from the Content-Disposition header
+  async download(endpoint) {
+    const res = await fetch(API_BASE + endpoint, { credentials: 'include' });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw { status: res.status, ...data };
+    }
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/);
+    const plain = disposition.match(/filename="([^"]+)"/);
+    const filename = encoded ? decodeURIComponent(encoded[1]) : plain?.[1] || 'download';
+    return { blob: await res.blob(), filename };
+  }
+
+  // POST that responds with Server-Sent Events; calls onEvent(event, data) per event
+  async stream(endpoint, body, { onEvent = () => {}, signal } = {}) {
+    const res = await fetch(API_BASE + endpoint, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw { status: res.status, ...data };
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const dispatch = (block) => {
+      let event = 'message';
+      const dataLines = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (dataLines.length) onEvent(event, JSON.parse(dataLines.join('\n')));
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let idx;
+      while ((idx = buffer.indexOf('\n\n')) !== -1) {
+        dispatch(buffer.slice(0, idx));
+        buffer = buffer.slice(idx + 2);
+      }
+    }
+    if (buffer.trim()) dispatch(buffer);
+  }
+
   // Auth
   login(email, password) { return this.request('POST', '/auth/login', { email, password }); }
   register(body) { return this.request('POST', '/auth/register', body); }
@@ -29,26 +85,111 @@ class ApiService {
 
   // Lyrics
   generateLyrics(body) { return this.request('POST', '/lyrics/generate', body); }
+  streamLyrics(body, handlers) { return this.stream('/lyrics/generate/stream', body, handlers); }
+  getDrafts() { return this.request('GET', '/lyrics/drafts'); }
+  getDraft(id) { return this.request('GET', `/lyrics/drafts/${id}`); }
+  keepVariant(id, index) { return this.request('POST', `/lyrics/drafts/${id}/keep`, { index }); }
+  discardDraft(id) { return this.request('DELETE', `/lyrics/drafts/${id}`); }
   getMyLyrics(params = {}) {
     const q = new URLSearchParams(params).toString();
     return this.request('GET', '/lyrics' + (q ? '?' + q : ''));
   }
+  importLyrics(files, overrides = {}) {
+    const form = new FormData();
+    files.forEach(file => form.append('files', file));
+    Object.entries(overrides).forEach(([key, value]) => value && form.append(key, value));
+    return this.request('POST', '/lyrics/import', form);
+  }
   getLyricsById(id) { return this.request('GET', `/lyrics/${id}`); }
   updateLyrics(id, body) { return this.request('PUT', `/lyrics/${id}`, body); }
   deleteLyrics(id) { return this.request('DELETE', `/lyrics/${id}`); }
   toggleFavorite(id) { return this.request('PATCH', `/lyrics/${id}/favorite`); }
+  regenerateSection(id, section, instructions) { return this.request('POST', `/lyrics/${id}/sections/${section}/regenerate`, { instructions }); }
+  analyzeMeter(id, meter) { return this.request('POST', `/lyrics/${id}/analyze-meter`, { meter }); }
+  analyzeRhyme(id) { return this.request('POST', `/lyrics/${id}/analyze-rhyme`); }
+  suggestRaga(id) { return this.request('POST', `/lyrics/${id}/suggest-raga`); }
+  regenerateTransliteration(id, scheme) { return this.request('POST', `/lyrics/${id}/transliteration`, { scheme }); }
+  translateLyrics(id, to) { return this.request('POST', `/lyrics/${id}/translate?to=${to}`); }
+  getSimilarity(id) { return this.request('GET', `/lyrics/${id}/similarity`); }
+  exportLyrics(id, params) { return this.download(`/lyrics/${id}/export?${new URLSearchParams(params)}`); }
+  transliterate(text, to = 'roman', scheme = 'rts') { return this.request('POST', '/lyrics/transliterate', { text, to, scheme }); }
+  getRevisions(id) { return this.request('GET', `/lyrics/${id}/revisions`); }
+  diffRevisions(id, from, to) { return this.request('GET', `/lyrics/${id}/revisions/diff?from=${from}&to=${to}`); }
+  restoreRevision(id, revision) { return this.request('POST', `/lyrics/${id}/revisions/${revision}/restore`); }
+  getSharedLyrics() { return this.request('GET', '/lyrics/shared'); }
+  getInvitations() { return this.request('GET', '/lyrics/invitations'); }
+  acceptInvitation(id, token) { return this.request('POST', `/lyrics/${id}/invitation/accept`, token ? { token } : undefined); }
+  declineInvitation(id) { return this.request('POST', `/lyrics/${id}/invitation/decline`); }
+  getCollaborators(id) { return this.request('GET', `/lyrics/${id}/collaborators`); }
+  inviteCollaborator(id, email, role) { return this.request('POST', `/lyrics/${id}/collaborators`, { email, role }); }
+  updateCollaborator(id, collaboratorId, role) { return this.request('PUT', `/lyrics/${id}/collaborators/${collaboratorId}`, { role }); }
+  removeCollaborator(id, collaboratorId) { return this.request('DELETE', `/lyrics/${id}/collaborators/${collaboratorId}`); }
+  getComments(id) { return this.request('GET', `/lyrics/${id}/comments`); }
+  addComment(id, text, section) { return this.request('POST', `/lyrics/${id}/comments`, { text, section }); }
+  deleteComment(id, commentId) { return this.request('DELETE', `/lyrics/${id}/comments/${commentId}`); }
   getLyricsStats() { return this.request('GET', '/lyrics/stats'); }
-  getPublicLyrics(limit = 10) { return this.request('GET', `/lyrics/public?limit=${limit}`); }
+  getPublicLyrics(limit = 10, q = '') {
+    const params = new URLSearchParams({ limit });
+    if (q) params.set('q', q);
+    return this.request('GET', `/lyrics/public?${params}`);
+  }
+
+  // Collections
+  getCollections() { return this.request('GET', '/collections'); }
+  getCollection(id) { return this.request('GET', `/collections/${id}`); }
+  createCollection(body) { return this.request('POST', '/collections', body); }
+  updateCollection(id, body) { return this.request('PUT', `/collections/${id}`, body); }
+  deleteCollection(id) { return this.request('DELETE', `/collections/${id}`); }
+  addCollectionTrack(id, lyricsId, position) { return this.request('POST', `/collections/${id}/tracks`, { lyricsId, position }); }
+  removeCollectionTrack(id, lyricsId) { return this.request('DELETE', `/collections/${id}/tracks/${lyricsId}`); }
+  reorderCollectionTracks(id, lyrics) { return this.request('PUT', `/collections/${id}/tracks`, { lyrics }); }
+  exportCollection(id, params) { return this.download(`/collections/${id}/export?${new URLSearchParams(params)}`); }
 
   // Media
   generateMusic(lyricsId, body = {}) { return this.request('POST', `/media/${lyricsId}/music`, body); }
   generateVideo(lyricsId, body = {}) { return this.request('POST', `/media/${lyricsId}/video`, body); }
   generateVoice(lyricsId, body = {}) { return this.request('POST', `/media/${lyricsId}/voice`, body); }
+  voiceRecordingUrl(recordingId) { return `${API_BASE}/media/voice/${recordingId}`; }
   checkVideoStatus(videoId) { return this.request('GET', `/media/video/${videoId}/status`); }
   checkMusicStatus(taskId) { return this.request('GET', `/media/music/${taskId}/status`); }
   getVoices() { return this.request('GET', '/media/voices'); }
   getAvatars() { return this.request('GET', '/media/avatars'); }
 
+  // Generation jobs (lyrics and media generations run in the background)
+  getJobs(params = {}) {
+    const q = new URLSearchParams(params).toString();
+    return this.request('GET', '/jobs' + (q ? '?' + q : ''));
+  }
+  getJob(id) { return this.request('GET', `/jobs/${id}`); }
+  cancelJob(id) { return this.request('DELETE', `/jobs/${id}`); }
+
+  // Poll a job until it finishes; resolves to its result, throws like request() if it failed
+  async waitForJob(id, { interval = 2000, signal } = {}) {
+    while (true) {
+      const { data: job } = await this.getJob(id);
+      if (job.status === 'succeeded') return job.result;
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        throw { error: job.error?.message || `Generation ${job.status}`, code: job.error?.code };
+      }
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, interval);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+      });
+    }
+  }
+
+  // Styles and poetry forms offered for generation
+  getCatalog() { return this.request('GET', '/catalog'); }
+
+  // Dialects (built-in and admin-managed, plus the user's custom profiles when signed in)
+  getDialects() { return this.request('GET', '/dialects'); }
+  createDialect(body) { return this.request('POST', '/dialects', body); }
+  updateDialect(id, body) { return this.request('PUT', `/dialects/${id}`, body); }
+  deleteDialect(id) { return this.request('DELETE', `/dialects/${id}`); }
+
   // Admin
   getDashboard() { return this.request('GET', '/admin/dashboard'); }
   getUsers(params = {}) {
@@ -64,6 +205,33 @@ class ApiService {
   updateApiKey(service, body) { return this.request('PUT', `/admin/apikeys/${service}`, body); }
   testApiKey(service) { return this.request('POST', `/admin/apikeys/${service}/test`); }
   clearApiKey(service) { return this.request('DELETE', `/admin/apikeys/${service}`); }
+  getProviders() { return this.request('GET', '/admin/providers'); }
+  updateProviderChain(chain) { return this.request('PUT', '/admin/providers/chain', { chain }); }
+  getPromptTemplates() { return this.request('GET', '/admin/prompts'); }
+  getPromptVersions(name) { return this.request('GET', `/admin/prompts/${name}/versions`); }
+  createPromptVersion(name, body) { return this.request('POST', `/admin/prompts/${name}/versions`, body); }
+  previewPrompt(name, body) { return this.request('POST', `/admin/prompts/${name}/preview`, body); }
+  publishPromptVersion(name, version) { return this.request('POST', `/admin/prompts/${name}/versions/${version}/publish`); }
+  rollbackPrompt(name) { return this.request('POST', `/admin/prompts/${name}/rollback`); }
+  adminGetDialects() { return this.request('GET', '/dialects/admin'); }
+  adminCreateDialect(body) { return this.request('POST', '/dialects/admin', body); }
+  adminUpdateDialect(id, body) { return this.request('PUT', `/dialects/admin/${id}`, body); }
+  adminGetCatalog(kind) { return this.request('GET', '/catalog/admin' + (kind ? `?kind=${kind}` : '')); }
+  adminCreateCatalogEntry(body) { return this.request('POST', '/catalog/admin', body); }
+  adminUpdateCatalogEntry(id, body) { return this.request('PUT', `/catalog/admin/${id}`, body); }
+  adminGetModerationFlags(params = {}) { return this.request('GET', `/moderation/admin/flags?${new URLSearchParams(params)}`); }
+  adminReviewModerationFlag(id, status, note) { return this.request('PUT', `/moderation/admin/flags/${id}`, { status, note }); }
+  adminGetModerationSettings() { return this.request('GET', '/moderation/admin/settings'); }
+  adminUpdateModerationSettings(body) { return this.request('PUT', '/moderation/admin/settings', body); }
+  adminGetReferences(params = {}) { return this.request('GET', `/similarity/admin/references?${new URLSearchParams(params)}`); }
+  adminCreateReference(body) { return this.request('POST', '/similarity/admin/references', body); }
+  adminImportReferences(files, credits = {}) {
+    const form = new FormData();
+    files.forEach(file => form.append('files', file));
+    Object.entries(credits).forEach(([key, value]) => value && form.append(key, value));
+    return this.request('POST', '/similarity/admin/references/import', form);
+  }
+  adminDeleteReference(id) { return this.request('DELETE', `/similarity/admin/references/${id}`); }
 
   // Subscriptions - Public
   getPlans() { return this.request('GET', '/subscriptions/plans'); }